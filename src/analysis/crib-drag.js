@@ -0,0 +1,159 @@
+import { ByteUtils } from '../core/byte-utils.js';
+import { TextUtils } from '../core/text-utils.js';
+import { Scorer } from '../search/scorer.js';
+
+/**
+ * Many-time pad attack (crib dragging) for XOR stream ciphers such as Vernam.
+ *
+ * When the same pad encrypts several messages, C1 XOR C2 = P1 XOR P2: the key cancels out.
+ * Dragging a guessed word (crib) along one ciphertext gives, at every offset, the pad bytes that
+ * would produce it; those pad bytes decrypt the same positions of every other ciphertext.
+ * At the right offset the other fragments read as text, which the n-gram models can rank.
+ * Confirmed cribs are then placed with recover() to rebuild the pad piece by piece.
+ */
+export class CribDrag {
+    /**
+     * Scores a decrypted fragment: non printable bytes rule it out, symbols are penalized,
+     * letters are scored with the bigram model of the language.
+     * @param {Array<number>} bytes - Fragment bytes
+     * @param {string} language - Language of the plaintexts (default: 'english')
+     * @returns {number} Higher is better, -Infinity for binary data
+     */
+    static scoreFragment(bytes, language = 'english') {
+        if (bytes.length === 0) return -Infinity;
+        if (bytes.some(byte => (byte < 32 || byte > 126) && byte !== 10 && byte !== 13)) {
+            return -Infinity;
+        }
+
+        const text = String.fromCharCode(...bytes);
+        const letters = TextUtils.onlyLetters(text);
+        const symbols = text.replace(/[A-Za-z\s]/g, '').length;
+        const scorer = CribDrag._scorer(language);
+
+        // Unknown bigrams score -10: a lone letter counts as a weak bigram
+        const ngram = letters.length >= 2 ? scorer.score(letters) : -6;
+        return ngram - (6 * symbols) / bytes.length;
+    }
+
+    /**
+     * Drags a crib along the XOR of two ciphertexts.
+     * @param {string|Array<number>} first - Ciphertext assumed to contain the crib
+     * @param {string|Array<number>} second - Ciphertext encrypted with the same pad
+     * @param {string} crib - Guessed plaintext fragment
+     * @param {Object} options
+     * @param {string} options.format - Ciphertext format: 'hex' or 'base64' (default: 'hex')
+     * @param {string} options.language - Language of the plaintexts (default: 'english')
+     * @param {number} options.top - Results returned (default: 10)
+     * @returns {Array<{offset:number, fragment:string, score:number}>} Best offsets first
+     */
+    static drag(first, second, crib, options = {}) {
+        const { format = 'hex', language = 'english', top = 10 } = options;
+        const combined = ByteUtils.xor(ByteUtils.decode(first, format), ByteUtils.decode(second, format));
+        const cribBytes = ByteUtils.fromUtf8(crib);
+
+        const results = [];
+        for (let offset = 0; offset + cribBytes.length <= combined.length; offset++) {
+            const fragment = ByteUtils.xor(combined.slice(offset, offset + cribBytes.length), cribBytes);
+            const score = CribDrag.scoreFragment(fragment, language);
+            if (score > -Infinity) {
+                results.push({ offset, fragment: ByteUtils.toUtf8(fragment), score });
+            }
+        }
+        return results.sort((a, b) => b.score - a.score).slice(0, top);
+    }
+
+    /**
+     * Drags a crib along every ciphertext and decrypts the others with the implied pad bytes.
+     * @param {Array<string|Array<number>>} ciphertexts - Ciphertexts encrypted with the same pad
+     * @param {string} crib - Guessed plaintext fragment
+     * @param {Object} options
+     * @param {string} options.format - Ciphertext format: 'hex' or 'base64' (default: 'hex')
+     * @param {string} options.language - Language of the plaintexts (default: 'english')
+     * @param {number} options.top - Results returned (default: 10)
+     * @returns {Array<{index:number, offset:number, key:string, fragments:Array<string|null>, score:number}>}
+     *   index = ciphertext holding the crib, key = implied pad bytes (hex), fragments = decryption of every
+     *   ciphertext at that offset (null when too short), score = mean fragment score of the other ciphertexts
+     */
+    static attack(ciphertexts, crib, options = {}) {
+        const { format = 'hex', language = 'english', top = 10 } = options;
+        const messages = ciphertexts.map(ciphertext => ByteUtils.decode(ciphertext, format));
+        const cribBytes = ByteUtils.fromUtf8(crib);
+        const candidates = [];
+
+        messages.forEach((message, index) => {
+            for (let offset = 0; offset + cribBytes.length <= message.length; offset++) {
+                const key = ByteUtils.xor(message.slice(offset, offset + cribBytes.length), cribBytes);
+
+                let total = 0;
+                let count = 0;
+                const fragments = messages.map((other, otherIndex) => {
+                    if (otherIndex === index) return crib;
+                    const slice = other.slice(offset, offset + cribBytes.length);
+                    if (slice.length < cribBytes.length) return null;
+
+                    const fragment = ByteUtils.xor(slice, key);
+                    total += CribDrag.scoreFragment(fragment, language);
+                    count++;
+                    return ByteUtils.toUtf8(fragment);
+                });
+
+                if (count > 0 && total > -Infinity) {
+                    candidates.push({ index, offset, key: ByteUtils.toHex(key), fragments, score: total / count });
+                }
+            }
+        });
+
+        return candidates.sort((a, b) => b.score - a.score).slice(0, top);
+    }
+
+    /**
+     * Rebuilds the pad from confirmed plaintext fragments and decrypts every ciphertext with it.
+     * @param {Array<string|Array<number>>} ciphertexts - Ciphertexts encrypted with the same pad
+     * @param {Array<{index:number, offset:number, text:string}>} placements - Known plaintext of ciphertext `index` at byte `offset`
+     * @param {Object} options
+     * @param {string} options.format - Ciphertext format: 'hex' or 'base64' (default: 'hex')
+     * @param {string} options.unknown - Character shown for bytes without pad (default: '?')
+     * @returns {{key:Array<number|null>, plaintexts:Array<string>, coverage:number}} Partial pad,
+     *   partial plaintexts (one character per byte, '?' where unknown) and fraction of the pad known
+     */
+    static recover(ciphertexts, placements, options = {}) {
+        const { format = 'hex', unknown = '?' } = options;
+        const messages = ciphertexts.map(ciphertext => ByteUtils.decode(ciphertext, format));
+        const length = Math.max(0, ...messages.map(message => message.length));
+        const key = new Array(length).fill(null);
+
+        for (const { index, offset, text } of placements) {
+            const bytes = ByteUtils.fromUtf8(text);
+            bytes.forEach((byte, i) => {
+                const position = offset + i;
+                if (position < messages[index].length) {
+                    key[position] = messages[index][position] ^ byte;
+                }
+            });
+        }
+
+        const plaintexts = messages.map(message => message.map((byte, i) => {
+            if (key[i] === null) return unknown;
+            const plain = byte ^ key[i];
+            return plain >= 32 && plain <= 126 ? String.fromCharCode(plain) : unknown;
+        }).join(''));
+
+        const known = key.filter(value => value !== null).length;
+        return { key, plaintexts, coverage: length > 0 ? known / length : 0 };
+    }
+
+    /**
+     * Bigram scorers are cached per language.
+     * @private
+     */
+    static _scorer(language) {
+        if (!CribDrag._scorers[language]) {
+            CribDrag._scorers[language] = new Scorer(language, 2);
+        }
+        return CribDrag._scorers[language];
+    }
+
+    static _scorers = {};
+}
+
+export default CribDrag;
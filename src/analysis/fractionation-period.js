@@ -0,0 +1,101 @@
+// Trifid's 27-cell cube adds '+' to the alphabet: dropping it would shift every block after it
+const symbolsOf = text => (text || '').toUpperCase().replace(/[^A-Z+]/g, '');
+
+/**
+ * Period detection for periodic fractionation ciphers (Bifid, Trifid).
+ *
+ * With the right period p and d coordinates per symbol, the ciphertext symbols k/d, (p + k)/d, ...
+ * of a block are all built from the same d plaintext letters (for Bifid: the rows, then the
+ * columns of one plaintext digraph). These "linked" tuples therefore repeat like plaintext n-grams,
+ * while at a wrong period they group unrelated symbols and look random.
+ * The period is the one whose linked tuples have the highest index of coincidence,
+ * the same test ACA solvers do by hand.
+ *
+ * Every Bifid period is detectable. A Trifid period that is not a multiple of 3 spreads each plaintext
+ * letter over ciphertext symbols shared with its neighbours, so only multiples of 3 stand out clearly.
+ * The symbols are the letters and the '+' of the Trifid cube.
+ */
+export class FractionationPeriod {
+    /**
+     * Collects the linked ciphertext symbols for a candidate period: the symbols at
+     * positions (m * size + k) / d of each block, for m = 0..d-1.
+     * @param {string} text - Ciphertext (cleaned internally)
+     * @param {number} period - Candidate period
+     * @param {number} dimension - Coordinates per symbol (2 = Bifid, 3 = Trifid)
+     * @returns {string[]} Linked tuples (d symbols each)
+     */
+    static linkedTuples(text, period, dimension = 2) {
+        const symbols = symbolsOf(text);
+        const tuples = [];
+
+        for (let start = 0; start < symbols.length; start += period) {
+            const size = Math.min(period, symbols.length - start);
+            for (let k = 0; k < size; k += dimension) {
+                const tuple = [];
+                for (let m = 0; m < dimension; m++) {
+                    const position = Math.floor((m * size + k) / dimension);
+                    if (position >= size || (tuple.length > 0 && position <= tuple[tuple.length - 1])) break;
+                    tuple.push(position);
+                }
+                if (tuple.length === dimension) {
+                    tuples.push(tuple.map(position => symbols[start + position]).join(''));
+                }
+            }
+        }
+        return tuples;
+    }
+
+    /**
+     * Normalized index of coincidence of the linked tuples (≈ 1.0 at a wrong period).
+     * @param {string} text - Ciphertext
+     * @param {number} period - Candidate period
+     * @param {number} dimension - Coordinates per symbol
+     * @returns {number}
+     */
+    static score(text, period, dimension = 2) {
+        const tuples = FractionationPeriod.linkedTuples(text, period, dimension);
+        if (tuples.length < 2) return 0;
+
+        const counts = {};
+        for (const tuple of tuples) {
+            counts[tuple] = (counts[tuple] || 0) + 1;
+        }
+
+        let sum = 0;
+        for (const tuple in counts) {
+            sum += counts[tuple] * (counts[tuple] - 1);
+        }
+
+        const alphabet = new Set(symbolsOf(text)).size;
+        return (sum / (tuples.length * (tuples.length - 1))) * Math.pow(alphabet, dimension);
+    }
+
+    /**
+     * Ranks candidate periods.
+     * @param {string} text - Ciphertext
+     * @param {Object} options
+     * @param {number} options.dimension - Coordinates per symbol (default: 2)
+     * @param {number} options.minPeriod - Smallest period (default: 2)
+     * @param {number} options.maxPeriod - Largest period (default: 20)
+     * @returns {{period:number|null, score:number, candidates:Array<{period:number, score:number}>}}
+     */
+    static detect(text, options = {}) {
+        const { dimension = 2, minPeriod = 2, maxPeriod = 20 } = options;
+        const cleaned = symbolsOf(text);
+
+        const candidates = [];
+        const lastPeriod = Math.min(maxPeriod, Math.floor(cleaned.length / 2));
+        for (let period = minPeriod; period <= lastPeriod; period++) {
+            candidates.push({ period, score: FractionationPeriod.score(cleaned, period, dimension) });
+        }
+        candidates.sort((a, b) => b.score - a.score);
+
+        return {
+            period: candidates.length > 0 ? candidates[0].period : null,
+            score: candidates.length > 0 ? candidates[0].score : 0,
+            candidates
+        };
+    }
+}
+
+export default FractionationPeriod;
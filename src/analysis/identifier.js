@@ -28,11 +28,29 @@ export class CipherIdentifier {
         }
     
         // --- Early Detection: Check for special ciphers before main analysis ---
+        // Nihilist substitution: Polybius coordinates plus key coordinates give 2-3 digit numbers (22-110)
+        // whose tens and units digits are both sums of two coordinates (2-10, units 10 written as 0)
+        const numbers = text.match(/\d+/g);
+        let isNihilist = false;
+        if (numbers && numbers.length >= 5) {
+            const validSums = numbers.filter(token => {
+                if (token.length < 2 || token.length > 3) return false;
+                const num = parseInt(token, 10);
+                const units = num % 10 === 0 ? 10 : num % 10;
+                const tens = (num - units) / 10;
+                return units >= 2 && tens >= 2 && tens <= 10;
+            });
+            const aboveSquare = numbers.filter(token => parseInt(token, 10) > 55);
+            if (validSums.length >= numbers.length * 0.9 && aboveSquare.length >= numbers.length * 0.2) {
+                isNihilist = true;
+            }
+        }
+
         // Polybius Square: Contains number pairs (11-55)
         // This must be checked BEFORE IC calculation because Polybius uses numbers, not letters
         const numberPairs = text.match(/\d{2}/g);
         let isPolybius = false;
-        if (numberPairs && numberPairs.length >= 5) {
+        if (!isNihilist && numberPairs && numberPairs.length >= 5) {
             const validPairs = numberPairs.filter(p => {
                 const num = parseInt(p, 10);
                 return num >= 11 && num <= 55;
@@ -42,9 +60,74 @@ export class CipherIdentifier {
             }
         }
     
+        // Homophonic substitution: more distinct symbols than letters, so it cannot be one symbol per letter
+        if (!isNihilist && !isPolybius) {
+            const homophonic = CipherIdentifier.homophonicTest(text);
+            if (homophonic.isHomophonic) {
+                return {
+                    families: [
+                        {
+                            type: 'homophonic',
+                            confidence: 1.0,
+                            reason: `${homophonic.distinct} distinct symbols, more than the 26 letters of the alphabet`
+                        }
+                    ],
+                    stats: {
+                        length: homophonic.length,
+                        ic: 0,
+                        entropy: 0,
+                        symbols: homophonic.distinct,
+                        isHomophonic: true
+                    }
+                };
+            }
+        }
+
+        // ADFGX / ADFGVX: nothing but the coordinate letters of the Polybius square
+        if (!isNihilist && !isPolybius) {
+            const adfgx = CipherIdentifier.adfgxTest(text);
+            if (adfgx.isAdfgx) {
+                return {
+                    families: [
+                        {
+                            type: 'adfgx',
+                            confidence: 1.0,
+                            reason: `Only the ${adfgx.coordinates} coordinate letters (${adfgx.length} of them)`
+                        }
+                    ],
+                    stats: {
+                        length: adfgx.length,
+                        ic: 0,
+                        entropy: 0,
+                        coordinates: adfgx.coordinates,
+                        isAdfgx: true
+                    }
+                };
+            }
+        }
+
         const cleaned = TextUtils.onlyLetters(text);
         const length = cleaned.length;
 
+        // Edge case: Nihilist-like numbers and no letters at all → skip stats, return early
+        if (isNihilist && length === 0) {
+            return {
+                families: [
+                    {
+                        type: 'nihilist',
+                        confidence: 1.0,
+                        reason: 'Nihilist-like numbers detected (2-3 digit sums of Polybius coordinates)'
+                    }
+                ],
+                stats: {
+                    length: 0,
+                    ic: 0,
+                    entropy: 0,
+                    isNihilist: true
+                }
+            };
+        }
+
         // Edge case: Polybius-like but no letters at all → skip stats, return early
         if (isPolybius && length === 0) {
             return {
@@ -163,8 +246,11 @@ export class CipherIdentifier {
         const scores = {
             'monoalphabetic-substitution': 0,
             'caesar-shift': 0,
+            'affine': 0,
             'vigenere-like': 0,
             'transposition': 0,
+            'digraphic': 0,
+            'playfair': 0,
             'random-unknown': 0
         };
 
@@ -274,6 +360,24 @@ export class CipherIdentifier {
             }
         }
 
+        // ========================================================================
+        // Affine test: Caesar is the case a = 1, so every (a, b) key is checked the same way. The best
+        // key must beat both the text as it is and every shift (those are left to the Caesar branch).
+        // ========================================================================
+        let affineTestSucceeded = false;
+        if (length >= 30 && !isPolybius) {
+            const affine = CipherIdentifier.affineTest(cleaned, language);
+            const improvement = affine.score - Math.max(affine.baseline, affine.shiftScore);
+            if (affine.key && affine.key.a !== 1 && affine.score > 0.5 && improvement > 0.15) {
+                affineTestSucceeded = true;
+                const affineScore = affine.score * 2.2;
+                scores['affine'] += affineScore;
+                scores['monoalphabetic-substitution'] += affineScore * 1.3;
+                scores['vigenere-like'] -= affineScore * 1.8;
+                scores['transposition'] -= affineScore * 1.8;
+            }
+        }
+
         // --- Early Classification: Polybius Square ---
         if (isPolybius) {
             // Polybius is monoalphabetic but numeric; we classify within monoalphabetic family
@@ -625,6 +729,41 @@ export class CipherIdentifier {
             }
         }
 
+        // --- Heuristic 9b: Digraphic ciphers (Hill 2x2, Playfair...) ---
+        // Aligned pairs keep the plaintext digraph IoC while pairs read from offset 1 look random.
+        // Monoalphabetic and transposition ciphers keep both offsets alike, Vigenère flattens both.
+        const digraphIc = length > 0 ? Stats.digraphIndexOfCoincidence(cleaned, 0) : 0;
+        const shiftedDigraphIc = length > 0 ? Stats.digraphIndexOfCoincidence(cleaned, 1) : 0;
+        const isDigraphic =
+            !isPolybius &&
+            !caesarTestSucceeded &&
+            length >= 60 &&
+            length % 2 === 0 &&
+            digraphIc >= 3.0 &&
+            digraphIc >= shiftedDigraphIc * 1.6;
+
+        if (isDigraphic) {
+            const currentBest = Math.max(...Object.values(scores));
+            scores['digraphic'] = currentBest + 0.5;
+            scores['vigenere-like'] *= 0.7;
+            scores['random-unknown'] *= 0.7;
+        }
+
+        // --- Heuristic 9c: Playfair signature ---
+        // Even length, no digraph made of a doubled letter and a 25-letter alphabet without J.
+        // A monoalphabetic text without J and without aligned doubled letters passes it too, so the letter
+        // frequencies must also be flattened by the digraphs: English keeps an IoC around 1.7, Playfair
+        // ciphertexts mostly stay between 1.1 and 1.5.
+        const playfair = CipherIdentifier.playfairTest(text);
+        if (!isPolybius && !caesarTestSucceeded && length >= 60 && playfair.isPlayfair && ic < 1.5) {
+            const currentBest = Math.max(...Object.values(scores));
+            scores['playfair'] = currentBest + 0.3;
+            scores['digraphic'] = Math.max(scores['digraphic'], currentBest);
+            scores['monoalphabetic-substitution'] *= 0.7;
+            scores['vigenere-like'] *= 0.7;
+            scores['random-unknown'] *= 0.7;
+        }
+
         // --- Heuristic 10: Prioritize monoalphabetic family over caesar-shift ---
         // Ensure monoalphabetic-substitution is at least slightly stronger than caesar-shift
         // so that the main family is monoalphabetic, and caesar is seen as a sub-case.
@@ -634,6 +773,13 @@ export class CipherIdentifier {
                 scores['caesar-shift'] * 1.05 // 5% above caesar
             );
         }
+        // The affine cipher is another monoalphabetic sub-case
+        if (affineTestSucceeded) {
+            scores['monoalphabetic-substitution'] = Math.max(
+                scores['monoalphabetic-substitution'],
+                scores['affine'] * 1.05
+            );
+        }
 
         // Normalize scores to [0, 1] and filter out very low scores
         const maxScore = Math.max(...Object.values(scores));
@@ -677,11 +823,128 @@ export class CipherIdentifier {
                 ic: parseFloat(ic.toFixed(2)),
                 entropy: parseFloat(entropy.toFixed(2)),
                 hasRepetitions: kasiski.hasRepetitions,
-                suggestedKeyLengths: suggestedKeyLengths.slice(0, 3)
+                suggestedKeyLengths: suggestedKeyLengths.slice(0, 3),
+                digraphIc: parseFloat(digraphIc.toFixed(2)),
+                shiftedDigraphIc: parseFloat(shiftedDigraphIc.toFixed(2))
             }
         };
     }
 
+    /**
+     * Chi-squared fit of the letter frequencies for every affine key (decrypting P = a⁻¹(C - b)),
+     * scored like the Caesar test: 1 / (1 + chi² / normalization).
+     * @param {string} cleaned - Ciphertext letters (A-Z)
+     * @param {string} language - Language of the expected frequencies
+     * @returns {{score: number, baseline: number, shiftScore: number, key: {a: number, b: number}|null}}
+     *   Best key and its score, the score of the text as it is (a = 1, b = 0) and of the best shift (a = 1)
+     */
+    static affineTest(cleaned, language = 'english') {
+        const langData = LanguageAnalysis.languages[language] || LanguageAnalysis.languages.english;
+        const expectedFreqs = langData ? langData.monograms : null;
+        if (!expectedFreqs || cleaned.length === 0) {
+            return { score: 0, baseline: 0, shiftScore: 0, key: null };
+        }
+
+        const N = cleaned.length;
+        const counts = new Array(26).fill(0);
+        for (const char of cleaned) {
+            counts[char.charCodeAt(0) - 65]++;
+        }
+        const normalizationFactor = N < 50 ? 100 : (N < 200 ? 60 : 40);
+
+        let best = { score: 0, key: null };
+        let baseline = 0;
+        let shiftScore = 0;
+        for (const a of [1, 3, 5, 7, 9, 11, 15, 17, 19, 21, 23, 25]) {
+            for (let b = 0; b < 26; b++) {
+                // Plaintext letter p is enciphered as a·p + b
+                let chiSquared = 0;
+                for (let p = 0; p < 26; p++) {
+                    const E = ((expectedFreqs[String.fromCharCode(65 + p)] || 0) / 100) * N;
+                    const O = counts[(a * p + b) % 26];
+                    if (E > 0) {
+                        chiSquared += Math.pow(O - E, 2) / E;
+                    } else if (O > 0) {
+                        chiSquared += O * 10;
+                    }
+                }
+                const score = 1 / (1 + chiSquared / normalizationFactor);
+                if (a === 1) {
+                    shiftScore = Math.max(shiftScore, score);
+                    if (b === 0) baseline = score;
+                }
+                if (score > best.score) {
+                    best = { score, key: { a, b } };
+                }
+            }
+        }
+        return { score: best.score, baseline, shiftScore, key: best.key };
+    }
+
+    /**
+     * Checks the Playfair signature: an even number of letters, no doubled letter inside a digraph and
+     * no J (the square has 25 letters, most of them used).
+     * @param {string} text - Ciphertext
+     * @returns {{isPlayfair: boolean, evenLength: boolean, doubledDigraphs: number, hasJ: boolean, letters: number}}
+     */
+    static playfairTest(text) {
+        const cleaned = TextUtils.onlyLetters(text);
+        let doubledDigraphs = 0;
+        for (let i = 0; i + 1 < cleaned.length; i += 2) {
+            if (cleaned[i] === cleaned[i + 1]) doubledDigraphs++;
+        }
+        const evenLength = cleaned.length % 2 === 0;
+        const hasJ = cleaned.includes('J');
+        const letters = new Set(cleaned).size;
+        return {
+            isPlayfair: cleaned.length > 0 && evenLength && doubledDigraphs === 0 && !hasJ && letters >= 20,
+            evenLength,
+            doubledDigraphs,
+            hasJ,
+            letters
+        };
+    }
+
+    /**
+     * Checks the ADFGX signature: every symbol is one of the coordinate letters A, D, F, G, X (and V for
+     * ADFGVX), at least four of them used.
+     * @param {string} text - Ciphertext
+     * @returns {{isAdfgx: boolean, coordinates: string, length: number}} Verdict, coordinate letters and length
+     */
+    static adfgxTest(text) {
+        const symbols = `${text}`.replace(/\s/g, '').toUpperCase();
+        return {
+            isAdfgx: symbols.length >= 20 && /^[ADFGVX]+$/.test(symbols) && new Set(symbols).size >= 4,
+            coordinates: symbols.includes('V') ? 'ADFGVX' : 'ADFGX',
+            length: symbols.length
+        };
+    }
+
+    /**
+     * Counts the symbols of a ciphertext (see TextUtils.symbols) and flags it as homophonic when there are
+     * more distinct symbols than letters. Only symbol ciphertexts are flagged: number tokens, or symbols run
+     * together (maybe in groups of the same length, the last one shorter) without both cases of letters.
+     * Text that keeps its words (written text, ROT47) or mixes both cases (Base64) is never flagged: its
+     * upper and lower case letters and its punctuation are not different symbols.
+     * @param {string} text - Ciphertext
+     * @returns {{isHomophonic: boolean, length: number, distinct: number}} Verdict, symbols and distinct symbols
+     */
+    static homophonicTest(text) {
+        const symbols = TextUtils.symbols(text);
+        const distinct = new Set(symbols).size;
+        const trimmed = `${text}`.trim();
+        const groups = trimmed.split(/\s+/);
+        const grouped = groups.slice(0, -1).every(group => group.length === groups[0].length)
+            && groups[groups.length - 1].length <= groups[0].length;
+        const mixedCase = /[a-z]/.test(trimmed) && /[A-Z]/.test(trimmed);
+        const symbolic = /^[\d\s,;.-]+$/.test(trimmed) || (grouped && !mixedCase);
+        return {
+            isHomophonic: symbolic && symbols.length >= 20 && distinct > 26,
+            length: symbols.length,
+            distinct
+        };
+    }
+
     /**
      * Returns a human-readable description of a cipher type.
      * @param {string} type - The cipher type identifier.
@@ -693,10 +956,22 @@ export class CipherIdentifier {
                 'Monoalphabetic Substitution (each letter maps to one other letter)',
             'caesar-shift':
                 'Caesar Shift (simple rotation of the alphabet)',
+            'affine':
+                'Affine Cipher (letters multiplied and shifted modulo 26: C = aP + b)',
             'vigenere-like':
                 'Polyalphabetic Cipher (Vigenère, Beaufort, etc.)',
             'transposition':
                 'Transposition Cipher (letters are rearranged, not substituted)',
+            'digraphic':
+                'Digraphic Cipher (letter pairs are substituted together: Hill, Playfair, etc.)',
+            'playfair':
+                'Playfair Cipher (digraphs through a 5x5 key square without J)',
+            'homophonic':
+                'Homophonic Substitution (several symbols per letter flatten the frequencies)',
+            'adfgx':
+                'ADFGX / ADFGVX (Polybius coordinates A D F G (V) X, then a columnar transposition)',
+            'nihilist':
+                'Nihilist Substitution (Polybius numbers plus a repeating numeric key)',
             'random-unknown':
                 'Strong Cipher or Random Text (high entropy, uniform distribution)',
             'unknown':
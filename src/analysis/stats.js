@@ -155,6 +155,39 @@ export const Stats = {
         return normalized ? ioc * 26 : ioc;
     },
 
+    /**
+     * Calculates the Index of Coincidence of non-overlapping digraphs.
+     * Digraphic ciphers (Hill 2x2, Playfair...) encrypt aligned pairs, so the IoC of
+     * pairs read from offset 0 keeps the plaintext bigram structure while offset 1 looks random.
+     * Normalized (x676): ≈ 1.0 for random digraphs.
+     *
+     * @param {string} text - Text to analyze (cleaned internally)
+     * @param {number} offset - Starting position of the first digraph (default: 0)
+     * @param {boolean} normalized - Multiply by 676 (default: true)
+     * @returns {number}
+     */
+    digraphIndexOfCoincidence: (text, offset = 0, normalized = true) => {
+        const cleaned = TextUtils.onlyLetters(text || '');
+        const counts = {};
+        let total = 0;
+
+        for (let i = offset; i + 1 < cleaned.length; i += 2) {
+            const digraph = cleaned[i] + cleaned[i + 1];
+            counts[digraph] = (counts[digraph] || 0) + 1;
+            total++;
+        }
+
+        if (total < 2) return 0;
+
+        let sum = 0;
+        for (const digraph in counts) {
+            sum += counts[digraph] * (counts[digraph] - 1);
+        }
+
+        const ioc = sum / (total * (total - 1));
+        return normalized ? ioc * 676 : ioc;
+    },
+
     /**
      * Calculates Shannon Entropy.
      * Random text ≈ 4.7 (log2(26)).
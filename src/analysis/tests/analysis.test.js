@@ -4,7 +4,6 @@ import { Stats } from '../stats.js';
 import { NgramScorer } from '../ngram-scorer.js';
 import { Kasiski } from '../kasiski.js';
 import { PeriodicAnalysis } from '../periodic-analysis.js';
-import { Identifier } from '../identifier.js';
 import { ShortTextPatterns } from '../short-text-patterns.js';
 import { TextUtils } from '../../core/text-utils.js';
 
@@ -0,0 +1,72 @@
+import { CribDrag } from '../crib-drag.js';
+import Vernam from '../../ciphers/polyalphabetic/vernam.js';
+import { ByteUtils } from '../../core/byte-utils.js';
+
+describe('Crib Dragging (many-time pad)', () => {
+    const messages = [
+        'Meet me at the north gate of the castle at dawn.',
+        'The shipment arrives on Tuesday with the new codes',
+        'Send more money to the usual account before noon',
+        'Our agent in the capital has been compromised now'
+    ];
+
+    // Deterministic pad (linear congruential generator) reused for every message
+    const pad = [];
+    let seed = 7;
+    for (let i = 0; i < 60; i++) {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        pad.push((seed >> 16) & 255);
+    }
+    const key = ByteUtils.toHex(pad);
+    const ciphertexts = messages.map(message => new Vernam(message, key).encode());
+
+    describe('scoreFragment', () => {
+        it('should prefer text over symbols and rule out binary data', () => {
+            const text = CribDrag.scoreFragment(ByteUtils.fromUtf8('in the'));
+            const symbols = CribDrag.scoreFragment(ByteUtils.fromUtf8('#}e)|s'));
+            expect(text).toBeGreaterThan(symbols);
+            expect(CribDrag.scoreFragment([0x01, 0x41])).toBe(-Infinity);
+        });
+    });
+
+    describe('drag', () => {
+        it('should reveal the second plaintext where the crib fits the first', () => {
+            const results = CribDrag.drag(ciphertexts[0], ciphertexts[1], ' the ');
+            expect(results[0].offset).toBe(10);
+            expect(results[0].fragment).toBe(messages[1].slice(10, 15));
+        });
+    });
+
+    describe('attack', () => {
+        it('should place a common word in one of the messages and decrypt the others', () => {
+            const [best] = CribDrag.attack(ciphertexts, ' the ');
+            expect(messages[best.index].slice(best.offset, best.offset + 5)).toBe(' the ');
+            expect(best.key).toBe(ByteUtils.toHex(pad.slice(best.offset, best.offset + 5)));
+            best.fragments.forEach((fragment, i) => {
+                expect(fragment).toBe(messages[i].slice(best.offset, best.offset + 5));
+            });
+        });
+
+        it('should accept Base64 ciphertexts', () => {
+            const base64 = messages.map(message => new Vernam(message, ByteUtils.toBase64(pad), false, false, 'bytes', 'base64').encode());
+            const [best] = CribDrag.attack(base64, ' the ', { format: 'base64' });
+            expect(best.fragments[best.index]).toBe(' the ');
+            expect(messages[best.index].slice(best.offset, best.offset + 5)).toBe(' the ');
+        });
+    });
+
+    describe('recover', () => {
+        it('should rebuild the pad from confirmed plaintext', () => {
+            const result = CribDrag.recover(ciphertexts, [
+                { index: 0, offset: 0, text: 'Meet me at the north' },
+                { index: 1, offset: 20, text: messages[1].slice(20, 33) }
+            ]);
+
+            expect(result.key.slice(0, 33)).toEqual(pad.slice(0, 33));
+            expect(result.plaintexts[2].slice(0, 33)).toBe(messages[2].slice(0, 33));
+            expect(result.plaintexts[3].slice(33, 36)).toBe('???');
+            // The longest message has 50 bytes
+            expect(result.coverage).toBeCloseTo(33 / 50);
+        });
+    });
+});
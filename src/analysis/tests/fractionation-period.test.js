@@ -0,0 +1,55 @@
+import { FractionationPeriod } from '../fractionation-period.js';
+import Bifid from '../../ciphers/dictionary/bifid.js';
+import Trifid from '../../ciphers/dictionary/trifid.js';
+import { TEST_TEXTS } from '../../attacks/tests/common/test-texts.js';
+
+describe('Fractionation Period Detection', () => {
+    const plaintext = TEST_TEXTS.english.long;
+
+    describe('linkedTuples', () => {
+        it('should link the symbols built from the same plaintext digraph', () => {
+            // Period 4: symbols 0-2 and 1-3 come from plaintext digraphs 0-1 and 2-3
+            expect(FractionationPeriod.linkedTuples('ABCDEFGH', 4, 2)).toEqual(['AC', 'BD', 'EG', 'FH']);
+        });
+
+        it('should link three symbols for Trifid', () => {
+            expect(FractionationPeriod.linkedTuples('ABCDEF', 6, 3)).toEqual(['ACE', 'BDF']);
+        });
+    });
+
+    describe('detect', () => {
+        it('should find even and odd Bifid periods', () => {
+            for (const period of [4, 5, 7, 10]) {
+                const ciphertext = new Bifid(plaintext, 'KEYWORD', false, false, period).encode();
+                expect(FractionationPeriod.detect(ciphertext).period).toBe(period);
+            }
+        });
+
+        it('should find Trifid periods that are multiples of 3', () => {
+            for (const period of [9, 12]) {
+                const ciphertext = new Trifid(plaintext, 'KEYWORD', false, false, period).encode();
+                expect(FractionationPeriod.detect(ciphertext, { dimension: 3 }).period).toBe(period);
+            }
+        });
+
+        it('should keep the + of the Trifid cube', () => {
+            // E+KEYWORD puts + in the second cell of the cube: it shows about once every 15 symbols
+            for (const period of [6, 9, 12]) {
+                const ciphertext = new Trifid(plaintext, 'E+KEYWORD', false, false, period).encode();
+                expect(ciphertext).toMatch(/\+/);
+                expect(FractionationPeriod.detect(ciphertext, { dimension: 3 }).period).toBe(period);
+            }
+        });
+
+        it('should score a wrong period close to random', () => {
+            const ciphertext = new Bifid(plaintext, 'KEYWORD', false, false, 10).encode();
+            expect(FractionationPeriod.score(ciphertext, 10)).toBeGreaterThan(2 * FractionationPeriod.score(ciphertext, 7));
+        });
+
+        it('should handle very short texts', () => {
+            const result = FractionationPeriod.detect('AB');
+            expect(result.period).toBeNull();
+            expect(result.candidates).toEqual([]);
+        });
+    });
+});
@@ -2,6 +2,13 @@ import { CipherIdentifier } from '../identifier.js';
 import Shift from '../../ciphers/shift/shift.js';
 import Polyalphabetic from '../../ciphers/polyalphabetic/polyalphabetic.js';
 import Columnar from '../../ciphers/columnar/columnar.js';
+import Hill from '../../ciphers/dictionary/hill.js';
+import Playfair from '../../ciphers/dictionary/playfair.js';
+import Nihilist from '../../ciphers/dictionary/nihilist.js';
+import Affine from '../../ciphers/shift/affine.js';
+import Homophonic from '../../ciphers/dictionary/homophonic.js';
+import ADFGX from '../../ciphers/dictionary/adfgx.js';
+import ADFGVX from '../../ciphers/dictionary/adfgvx.js';
 
 describe('Cipher Identifier', () => {
     // =========================
@@ -228,6 +235,189 @@ describe('Cipher Identifier', () => {
             expect(monoFamily).toBeDefined();
             expect(monoFamily.confidence).toBeGreaterThan(0.2);
         });
+
+        it('should recognize Nihilist two- and three-digit sums instead of Polybius pairs', async () => {
+            const nihilistText = new Nihilist('DYNAMITE WINTER PALACE', 'ZEBRAS', false, false, 'RUSSIAN').encode();
+            const result = await CipherIdentifier.identify(nihilistText);
+
+            expect(result.families[0].type).toBe('nihilist');
+            expect(result.stats.isNihilist).toBe(true);
+            expect(result.stats.isPolybius).toBeUndefined();
+        });
+
+        it('should keep plain Polybius pairs as Polybius', async () => {
+            const result = await CipherIdentifier.identify('23 15 31 31 34 52 34 42 31 14 23 15 31 31 34');
+
+            expect(result.families[0].type).toBe('monoalphabetic-substitution');
+            expect(result.stats.isNihilist).toBeUndefined();
+        });
+    });
+
+    // =========================
+    // Afín
+    // =========================
+    describe('Affine Detection', () => {
+        const plaintext =
+            'THE HISTORY OF CRYPTOGRAPHY BEGINS THOUSANDS OF YEARS AGO UNTIL RECENT DECADES IT HAS BEEN ' +
+            'SYNONYMOUS WITH ENCRYPTION THE CONVERSION OF INFORMATION FROM A READABLE STATE TO APPARENT NONSENSE';
+
+        it('should report affine as a monoalphabetic candidate', async () => {
+            const ciphertext = new Affine(plaintext, [7, 11]).encode();
+            const result = await CipherIdentifier.identify(ciphertext);
+
+            expect(result.families[0].type).toBe('monoalphabetic-substitution');
+            expect(result.families.map(f => f.type)).toContain('affine');
+        });
+
+        it('should find the affine key from letter frequencies', () => {
+            const ciphertext = new Affine(plaintext, [7, 11]).encode().replace(/[^A-Z]/g, '');
+            const affine = CipherIdentifier.affineTest(ciphertext);
+
+            expect(affine.key).toEqual({ a: 7, b: 11 });
+            expect(affine.score).toBeGreaterThan(affine.baseline);
+        });
+
+        it('should not report affine for a Caesar cipher or plaintext', async () => {
+            const caesar = await CipherIdentifier.identify(new Shift.CaesarShift(plaintext, 3).encode());
+            const plain = await CipherIdentifier.identify(plaintext);
+
+            expect(caesar.families.map(f => f.type)).not.toContain('affine');
+            expect(plain.families.map(f => f.type)).not.toContain('affine');
+        });
+    });
+
+    // =========================
+    // Homofónicos
+    // =========================
+    describe('Homophonic Detection', () => {
+        const plaintext =
+            'THE HISTORY OF CRYPTOGRAPHY BEGINS THOUSANDS OF YEARS AGO UNTIL RECENT DECADES IT HAS BEEN ' +
+            'SYNONYMOUS WITH ENCRYPTION THE CONVERSION OF INFORMATION FROM A READABLE STATE TO APPARENT NONSENSE';
+
+        it('should flag numbers with more distinct values than letters', async () => {
+            const ciphertext = new Homophonic(plaintext).encode();
+            const result = await CipherIdentifier.identify(ciphertext);
+
+            expect(result.families[0].type).toBe('homophonic');
+            expect(result.stats.isHomophonic).toBe(true);
+            expect(result.stats.symbols).toBeGreaterThan(26);
+        });
+
+        it('should flag run-together symbols with more distinct characters than letters', async () => {
+            const symbols = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789+#%&@'.split('');
+            const key = Homophonic.generateKey({ symbols, random: () => 0.5 });
+            const ciphertext = new Homophonic(plaintext, key).encode();
+            const result = await CipherIdentifier.identify(ciphertext);
+
+            expect(result.families[0].type).toBe('homophonic');
+        });
+
+        it('should not flag written text, Caesar or Nihilist ciphertexts', async () => {
+            const written = 'The history of cryptography begins thousands of years ago. Until recent decades, ' +
+                'it has been synonymous with Encryption: the conversion of information, from a readable state!';
+            const caesar = new Shift.CaesarShift(written, 3).encode();
+            const nihilist = new Nihilist(plaintext, 'ZEBRAS', false, false, 'RUSSIAN').encode();
+
+            expect(CipherIdentifier.homophonicTest(written).isHomophonic).toBe(false);
+            expect(CipherIdentifier.homophonicTest(caesar).isHomophonic).toBe(false);
+            expect((await CipherIdentifier.identify(nihilist)).families[0].type).toBe('nihilist');
+        });
+
+        it('should not flag ROT47 or Base64 text for its punctuation and both cases', async () => {
+            const written = 'The history of cryptography begins thousands of years ago. Until recent decades, ' +
+                'it has been synonymous with Encryption: the conversion of information, from a readable state!';
+            const rot47 = new Shift.Rot47(written).encode();
+            const base64 = Buffer.from(written).toString('base64');
+
+            expect(CipherIdentifier.homophonicTest(rot47).distinct).toBeGreaterThan(26);
+            expect(CipherIdentifier.homophonicTest(rot47).isHomophonic).toBe(false);
+            expect((await CipherIdentifier.identify(rot47)).families[0].type).not.toBe('homophonic');
+            expect(CipherIdentifier.homophonicTest(base64).distinct).toBeGreaterThan(26);
+            expect(CipherIdentifier.homophonicTest(base64).isHomophonic).toBe(false);
+        });
+
+        it('should flag run-together symbols written in groups of five', () => {
+            const symbols = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789+#%&@'.split('');
+            const key = Homophonic.generateKey({ symbols, random: () => 0.5 });
+            const ciphertext = new Homophonic(plaintext, key).encode().match(/.{1,5}/g).join(' ');
+
+            expect(CipherIdentifier.homophonicTest(ciphertext).isHomophonic).toBe(true);
+        });
+    });
+
+    describe('ADFGX Detection', () => {
+        const plaintext =
+            'THE HISTORY OF CRYPTOGRAPHY BEGINS THOUSANDS OF YEARS AGO UNTIL RECENT DECADES IT HAS BEEN ' +
+            'SYNONYMOUS WITH ENCRYPTION THE CONVERSION OF INFORMATION FROM A READABLE STATE TO APPARENT NONSENSE';
+
+        it('should flag texts of ADFGX and ADFGVX coordinate letters', async () => {
+            const adfgx = await CipherIdentifier.identify(new ADFGX(plaintext, 'PHQGM', 'CARGO').encode());
+            const adfgvx = await CipherIdentifier.identify(new ADFGVX(plaintext, 'PHQGM', 'GERMAN').encode());
+
+            expect(adfgx.families[0].type).toBe('adfgx');
+            expect(adfgx.stats.coordinates).toBe('ADFGX');
+            expect(adfgvx.families[0].type).toBe('adfgx');
+            expect(adfgvx.stats.coordinates).toBe('ADFGVX');
+        });
+
+        it('should not flag other ciphertexts', async () => {
+            const caesar = await CipherIdentifier.identify(new Shift.CaesarShift(plaintext, 3).encode());
+
+            expect(caesar.families[0].type).not.toBe('adfgx');
+            expect(CipherIdentifier.adfgxTest('ADD A FAD').isAdfgx).toBe(false);
+        });
+    });
+
+    // =========================
+    // Digráficos (Hill, Playfair)
+    // =========================
+    describe('Digraphic Detection', () => {
+        const plaintext =
+            'THE HISTORY OF CRYPTOGRAPHY BEGINS THOUSANDS OF YEARS AGO UNTIL RECENT DECADES IT HAS BEEN ' +
+            'SYNONYMOUS WITH ENCRYPTION THE CONVERSION OF INFORMATION FROM A READABLE STATE TO APPARENT NONSENSE';
+
+        it('should detect a 2x2 Hill cipher as digraphic', async () => {
+            const ciphertext = new Hill(plaintext, [[3, 3], [2, 5]]).encode();
+            const result = await CipherIdentifier.identify(ciphertext);
+
+            expect(result.families[0].type).toBe('digraphic');
+            expect(result.stats.digraphIc).toBeGreaterThan(result.stats.shiftedDigraphIc);
+        });
+
+        it('should not flag a Caesar cipher as digraphic', async () => {
+            const ciphertext = new Shift.CaesarShift(plaintext, 3).encode();
+            const result = await CipherIdentifier.identify(ciphertext);
+
+            expect(result.families[0].type).not.toBe('digraphic');
+        });
+
+        it('should recognize the Playfair signature', async () => {
+            const ciphertext = new Playfair(plaintext, 'MONARCHY').encode();
+            const result = await CipherIdentifier.identify(ciphertext);
+            const signature = CipherIdentifier.playfairTest(ciphertext);
+
+            expect(result.families[0].type).toBe('playfair');
+            expect(signature).toMatchObject({ isPlayfair: true, evenLength: true, doubledDigraphs: 0, hasJ: false });
+        });
+
+        it('should not take Hill or substitution ciphertexts for Playfair', async () => {
+            const hill = await CipherIdentifier.identify(new Hill(plaintext, [[3, 3], [2, 5]]).encode());
+            const caesar = CipherIdentifier.playfairTest(new Shift.CaesarShift(plaintext, 3).encode());
+
+            expect(hill.families[0].type).not.toBe('playfair');
+            expect(caesar.isPlayfair).toBe(false);
+        });
+
+        it('should not take a substitution that passes the Playfair signature for Playfair', async () => {
+            // Keyboard alphabet: no Q in the plaintext gives no J, and no doubled letter falls inside a pair
+            const key = 'QWERTYUIOPASDFGHJKLZXCVBNM';
+            const ciphertext = ('THE SHIPS ARE TO SAIL AT DAWN FROM THE NORTHERN HARBOUR AND THE ARMY IS TO MARCH ' +
+                'ALONG THE RIVER TO JOIN THEM BY THE OLD BRIDGE BEFORE NIGHT').replace(/[A-Z]/g, letter => key[letter.charCodeAt(0) - 65]);
+            const result = await CipherIdentifier.identify(ciphertext);
+
+            expect(CipherIdentifier.playfairTest(ciphertext).isPlayfair).toBe(true);
+            expect(result.families[0].type).toBe('monoalphabetic-substitution');
+        });
     });
 
     // =========================
@@ -303,6 +493,7 @@ describe('Cipher Identifier', () => {
                 'caesar-shift',
                 'vigenere-like',
                 'transposition',
+                'digraphic',
                 'random-unknown',
                 'unknown'
             ];
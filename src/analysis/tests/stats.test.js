@@ -46,5 +46,11 @@ describe('Stats Analysis', () => {
         // Spanish text has redundancy, so lower entropy per char than uniform random
         expect(structureEntropy).toBeLessThan(randomEntropy);
     });
-});
 
+    test('Digraph IoC should only keep the structure of aligned pairs', () => {
+        // Repeated aligned pairs: high at offset 0, lower when read from offset 1
+        const text = "THTHTHHEHEHEINININERERER";
+        expect(Stats.digraphIndexOfCoincidence(text, 0)).toBeGreaterThan(Stats.digraphIndexOfCoincidence(text, 1));
+        expect(Stats.digraphIndexOfCoincidence("AB")).toBe(0);
+    });
+});
@@ -1,4 +1,4 @@
-import { LanguageAnalysis } from '../../analysis/analysis.js';
+import { LanguageAnalysis } from '../../analysis/analysis-core.js';
 
 /**
  * Language Handler
@@ -3,12 +3,29 @@ import { AutokeySolver } from '../strategies/autokey-solver.js';
 import { BaconianSolver } from '../strategies/baconian-solver.js';
 import { PolybiusSolver } from '../strategies/polybius-solver.js';
 import { CaesarBruteForce } from '../strategies/caesar-brute-force.js';
+import { AffineSolver } from '../strategies/affine-solver.js';
 import { ROT47BruteForce } from '../strategies/rot47-brute-force.js';
 import { VigenereStrategy } from '../strategies/vigenere-strategy.js';
 import { SubstitutionStrategy } from '../strategies/substitution-strategy.js';
 import { PolyalphabeticStrategy } from '../strategies/polyalphabetic-strategy.js';
 import { RailFenceSolver } from '../strategies/railfence-solver.js';
 import { AmscoSolver } from '../strategies/amsco-solver.js';
+import { RouteSolver } from '../strategies/route-solver.js';
+import { HillSolver } from '../strategies/hill-solver.js';
+import { PlayfairSolver } from '../strategies/playfair-solver.js';
+import { TwoSquareSolver } from '../strategies/two-square-solver.js';
+import { FourSquareSolver } from '../strategies/four-square-solver.js';
+import { ColumnarSolver } from '../strategies/columnar-solver.js';
+import { DoubleColumnarSolver } from '../strategies/double-columnar-solver.js';
+import { NihilistSolver } from '../strategies/nihilist-solver.js';
+import { AdfgxSolver } from '../strategies/adfgx-solver.js';
+import { BifidSolver } from '../strategies/bifid-solver.js';
+import { RunningKeySolver } from '../strategies/running-key-solver.js';
+import { HomophonicSolver } from '../../search/homophonic-solver.js';
+
+// Keywords tried as starting squares by the Two-Square and Four-Square solvers (Four-Square tries
+// every pair, keep it short)
+const SQUARE_KEYWORDS = ['KEYWORD', 'EXAMPLE', 'SECRET', 'CIPHER', 'CODE', 'KEY', 'PLAYFAIR', 'MONARCHY'];
 
 /**
  * Strategy Selector
@@ -25,13 +42,18 @@ export class StrategySelector {
      * @param {string} language - Current language
      * @param {Array} languageDetectionResults - Optional language detection results for multi-language support
      * @param {boolean} autoDetectLanguage - Whether language auto-detection is enabled
-     * @returns {Array<Object>} Array of strategy objects with { name, execute } methods
+     * @returns {Array<Object>} Array of strategy objects with { name, execute } methods; the plain substitution
+     *   searches also carry `iterative` ('hillclimb' or 'annealing'), which the orchestrator runs with progress
      */
     static selectStrategies(topCandidate, stats, ciphertext = '', language = 'english', languageDetectionResults = null, autoDetectLanguage = false) {
         const strategies = [];
         
         // Check if text contains non-letter ASCII (for ROT47 detection)
         const hasNonLetterASCII = ciphertext && /[!-~]/.test(ciphertext) && /[^A-Za-z\s]/.test(ciphertext);
+
+        // Polybius square alphabet: long enough, no J and most of the other 25 letters used (as Playfair)
+        const letters = (ciphertext || '').toUpperCase().replace(/[^A-Z]/g, '');
+        const hasSquareAlphabet = letters.length >= 60 && !letters.includes('J') && new Set(letters).size >= 20;
         
         switch (topCandidate.type) {
             case 'caesar-shift':
@@ -69,6 +91,33 @@ export class StrategySelector {
                         return await solver.solve(text);
                     }
                 });
+                // Caesar is the affine case a = 1: try the other 286 keys too
+                strategies.push({
+                    name: 'Brute Force (Affine)',
+                    execute: async (text) => {
+                        const solver = new AffineSolver(language);
+                        return await solver.solve(text);
+                    }
+                });
+                break;
+                
+            case 'affine':
+                // Affine test matched a key with a != 1: try every key, then a general substitution
+                strategies.push({
+                    name: 'Brute Force (Affine)',
+                    execute: async (text) => {
+                        const solver = new AffineSolver(language);
+                        return await solver.solve(text);
+                    }
+                });
+                strategies.push({
+                    name: 'Hill Climbing (Affine Fallback)',
+                    iterative: 'hillclimb',
+                    execute: async (text) => {
+                        const solver = new SubstitutionStrategy(language);
+                        return await solver.solve(text, 'hillclimb');
+                    }
+                });
                 break;
                 
             case 'vigenere-like':
@@ -88,6 +137,14 @@ export class StrategySelector {
                         return await solver.solve(text);
                     }
                 });
+                // A running key never repeats, so it looks like a long-period or random polyalphabetic
+                strategies.push({
+                    name: 'Running Key',
+                    execute: async (text) => {
+                        const solver = new RunningKeySolver(language);
+                        return await solver.solve(text);
+                    }
+                });
                 // Then try advanced polyalphabetic (Porta, Beaufort, Gronsfeld, Quagmire)
                 strategies.push({
                     name: 'Advanced Polyalphabetic (Porta/Beaufort/Gronsfeld/Quagmire)',
@@ -99,6 +156,7 @@ export class StrategySelector {
                 // Fallback to substitution if all polyalphabetic methods fail
                 strategies.push({
                     name: 'Hill Climbing (Fallback)',
+                    iterative: 'hillclimb',
                     execute: async (text) => {
                         const solver = new SubstitutionStrategy(language);
                         return await solver.solve(text, 'hillclimb');
@@ -168,9 +226,18 @@ export class StrategySelector {
                         }
                     });
                 }
+                // Affine keys (312) are still cheap compared to Hill Climbing
+                strategies.push({
+                    name: 'Brute Force (Affine)',
+                    execute: async (text) => {
+                        const solver = new AffineSolver(language);
+                        return await solver.solve(text);
+                    }
+                });
                 // Then try Hill Climbing (for complex substitutions)
                 strategies.push({
                     name: 'Hill Climbing',
+                    iterative: 'hillclimb',
                     execute: async (text) => {
                         const solver = new SubstitutionStrategy(language);
                         return await solver.solve(text, 'hillclimb');
@@ -179,6 +246,7 @@ export class StrategySelector {
                 // Finally try Simulated Annealing (most thorough but slowest)
                 strategies.push({
                     name: 'Simulated Annealing',
+                    iterative: 'annealing',
                     execute: async (text) => {
                         const solver = new SubstitutionStrategy(language);
                         return await solver.solve(text, 'annealing');
@@ -203,9 +271,110 @@ export class StrategySelector {
                         return await solver.solve(text);
                     }
                 });
+                // Try Route (every grid, route shape and starting corner)
+                strategies.push({
+                    name: 'Route',
+                    execute: async (text) => {
+                        const solver = new RouteSolver(language);
+                        return await solver.solve(text);
+                    }
+                });
+                // Try keyed columnar (hill climbing over column permutations)
+                strategies.push({
+                    name: 'Keyed Columnar',
+                    execute: async (text) => {
+                        const solver = new ColumnarSolver(language);
+                        return await solver.solve(text);
+                    }
+                });
+                // Try double columnar (both keys searched jointly)
+                strategies.push({
+                    name: 'Double Columnar',
+                    execute: async (text) => {
+                        const solver = new DoubleColumnarSolver(language);
+                        return await solver.solve(text);
+                    }
+                });
                 // Fallback to substitution (in case it's actually a substitution cipher)
                 strategies.push({
                     name: 'Hill Climbing (Transposition Fallback)',
+                    iterative: 'hillclimb',
+                    execute: async (text) => {
+                        const solver = new SubstitutionStrategy(language);
+                        return await solver.solve(text, 'hillclimb');
+                    }
+                });
+                break;
+                
+            case 'playfair':
+                // Even length, no doubled digraph and no J: anneal the 5x5 key square
+                strategies.push({
+                    name: 'Playfair Key Square',
+                    execute: async (text) => {
+                        const solver = new PlayfairSolver(language);
+                        return await solver.solve(text);
+                    }
+                });
+                // Two-Square and Four-Square ciphertexts look the same (even, no J): anneal their squares too
+                strategies.push({
+                    name: 'Two-Square Key Square',
+                    execute: async (text) => {
+                        const solver = new TwoSquareSolver(language);
+                        return await solver.solve(text, { keywords: SQUARE_KEYWORDS });
+                    }
+                });
+                strategies.push({
+                    name: 'Four-Square Key Squares',
+                    execute: async (text) => {
+                        const solver = new FourSquareSolver(language);
+                        return await solver.solve(text, { keywords: SQUARE_KEYWORDS });
+                    }
+                });
+                strategies.push({
+                    name: 'Hill Cipher',
+                    execute: async (text) => {
+                        const solver = new HillSolver(language);
+                        return await solver.solve(text);
+                    }
+                });
+                break;
+                
+            case 'digraphic':
+                // Aligned letter pairs behave like single symbols: try Hill (2x2/3x3 matrix attack)
+                strategies.push({
+                    name: 'Hill Cipher',
+                    execute: async (text) => {
+                        const solver = new HillSolver(language);
+                        return await solver.solve(text);
+                    }
+                });
+                // Then a Playfair key square (only tried on even texts without doubled digraphs)
+                strategies.push({
+                    name: 'Playfair Key Square',
+                    execute: async (text) => {
+                        const solver = new PlayfairSolver(language);
+                        return await solver.solve(text);
+                    }
+                });
+                // Then the Two-Square and Four-Square squares, from common keywords first
+                strategies.push({
+                    name: 'Two-Square Key Square',
+                    execute: async (text) => {
+                        const solver = new TwoSquareSolver(language);
+                        return await solver.solve(text, { keywords: SQUARE_KEYWORDS });
+                    }
+                });
+                strategies.push({
+                    name: 'Four-Square Key Squares',
+                    execute: async (text) => {
+                        const solver = new FourSquareSolver(language);
+                        return await solver.solve(text, { keywords: SQUARE_KEYWORDS });
+                    }
+                });
+                // Fallback to substitution (in case it's actually a substitution cipher)
+                strategies.push({
+                    name: 'Hill Climbing (Digraphic Fallback)',
+                    iterative: 'hillclimb',
                     execute: async (text) => {
                         const solver = new SubstitutionStrategy(language);
                         return await solver.solve(text, 'hillclimb');
@@ -213,6 +382,39 @@ export class StrategySelector {
                 });
                 break;
                 
+            case 'nihilist':
+                // Numbers are Polybius coordinates plus a periodic key: find the period and the key
+                strategies.push({
+                    name: 'Nihilist Substitution',
+                    execute: async (text) => {
+                        const solver = new NihilistSolver(language);
+                        return await solver.solve(text);
+                    }
+                });
+                break;
+                
+            case 'adfgx':
+                // Coordinate letters only: undo the transposition, then solve the square as a substitution
+                strategies.push({
+                    name: 'ADFGX Transposition and Square',
+                    execute: async (text) => {
+                        const solver = new AdfgxSolver(language);
+                        return await solver.solve(text);
+                    }
+                });
+                break;
+                
+            case 'homophonic':
+                // Several symbols per letter: anneal the letter of every symbol
+                strategies.push({
+                    name: 'Homophonic Annealing',
+                    execute: async (text) => {
+                        const solver = new HomophonicSolver(language);
+                        return solver.solve(text);
+                    }
+                });
+                break;
+                
             case 'random-unknown':
             default:
                 // Try everything, starting with fast dictionary ciphers
@@ -257,8 +459,17 @@ export class StrategySelector {
                         return await solver.solve(text);
                     }
                 });
+                // A running key never repeats, so it looks like a long-period or random polyalphabetic
+                strategies.push({
+                    name: 'Running Key',
+                    execute: async (text) => {
+                        const solver = new RunningKeySolver(language);
+                        return await solver.solve(text);
+                    }
+                });
                 strategies.push({
                     name: 'Hill Climbing',
+                    iterative: 'hillclimb',
                     execute: async (text) => {
                         const solver = new SubstitutionStrategy(language);
                         return await solver.solve(text, 'hillclimb');
@@ -266,6 +477,17 @@ export class StrategySelector {
                 });
                 break;
         }
+
+        // Bifid keeps the 25-letter square alphabet but, unlike Playfair and Hill, not the digraph statistics
+        if (hasSquareAlphabet && topCandidate.type !== 'playfair' && topCandidate.type !== 'digraphic') {
+            strategies.push({
+                name: 'Bifid Period and Square',
+                execute: async (text) => {
+                    const solver = new BifidSolver(language);
+                    return await solver.solve(text);
+                }
+            });
+        }
         
         return strategies;
     }
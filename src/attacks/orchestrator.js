@@ -1,6 +1,6 @@
 import 'regenerator-runtime/runtime';
 import { CipherIdentifier } from '../analysis/identifier.js';
-import { LanguageAnalysis } from '../analysis/analysis.js';
+import { LanguageAnalysis } from '../analysis/analysis-core.js';
 import { configLoader } from '../config/config-loader.js';
 import { StrategySelector } from './helpers/strategy-selector.js';
 import { LanguageHandler } from './helpers/language-handler.js';
@@ -568,8 +568,8 @@ export class Orchestrator {
                     let result = null;
 
                     // Soporte especial para métodos iterativos (hillclimb / annealing) con progreso interno
-                    if (strategy.name.includes('Hill Climbing') || strategy.name.includes('Simulated Annealing')) {
-                        const method = strategy.name.includes('Annealing') ? 'annealing' : 'hillclimb';
+                    if (strategy.iterative) {
+                        const method = strategy.iterative;
                         const solver = method === 'annealing'
                             ? new SimulatedAnnealing(tryLanguage)
                             : new HillClimb(tryLanguage);
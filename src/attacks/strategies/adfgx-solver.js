@@ -0,0 +1,350 @@
+import 'regenerator-runtime/runtime';
+import { HillClimb } from '../../search/hillclimb.js';
+import { Scorers } from '../../language/scorers.js';
+
+const SYMBOLS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const MAX_BLOCK = 4;
+
+/**
+ * ADFGX / ADFGVX Ciphertext-only Solver
+ *
+ * Undoes the two steps of the cipher one after the other:
+ * 1. Columnar transposition. ADFGX pads the last row, so every candidate width divides the length and
+ *    each column is a block of the ciphertext. A coordinate pair is made of two neighbouring columns
+ *    (or the last and first ones across rows, for odd widths), and right pairs look like a monoalphabetic
+ *    substitution: their index of coincidence is that of the language, not that of random pairs. Scoring
+ *    every pair of columns that way turns the key into a best path through the columns, found exactly
+ *    with a dynamic program over subsets (Held-Karp), then a hill climb on the coincidence of all the
+ *    pairs at once sorts out what the pairs of columns cannot tell apart. With an even width the pairs of
+ *    columns can trade places without changing the pairs: their order is the one where consecutive pairs
+ *    coincide most. The width with the most coincident pairs wins.
+ * 2. Polybius square: each coordinate pair is given a letter, the most frequent pairs first, and the
+ *    resulting monoalphabetic text is handed to the HillClimb substitution engine, scored with the
+ *    corpus quadgrams of the Scorer. Its key fills the square; the restarts stop at the first
+ *    decryption that reads like the language, and the confidence comes from its quadgram quality.
+ *
+ * The key reports both: the transposition as the rank of every column (as the ColumnarSolver does) and
+ * the square row by row, '?' for the cells the ciphertext never uses. With an even width the two columns
+ * of every pair may come out swapped: that key reads the square transposed and decrypts the same.
+ */
+export class AdfgxSolver {
+    constructor(language = 'english') {
+        this.language = language;
+        this.hillClimb = new HillClimb(language, { corpus: true });
+        this.scorer = this.hillClimb.scorer;
+    }
+
+    /**
+     * Solves an ADFGX or ADFGVX ciphertext.
+     * @param {string} ciphertext - The encrypted text (A, D, F, G, X and, for ADFGVX, V)
+     * @param {Object} options - Solver options
+     * @param {number} options.minWidth - Smallest transposition key (default: 2)
+     * @param {number} options.maxWidth - Largest transposition key (default: 12)
+     * @param {number} options.maxIterations - Most improving swaps per HillClimb run for the square (default: 10000)
+     * @param {number} options.restarts - Most HillClimb runs for the square, the first from letter frequencies
+     *   and the others from random keys (default: 3)
+     * @param {number} options.perturbations - Kicks out of the local maxima of every HillClimb run (default: 30)
+     * @param {Function} options.random - Numbers in [0, 1) (default: Math.random)
+     * @returns {Promise<Object>} Result with plaintext, method, confidence, score, key {transposition, square}, etc.
+     */
+    async solve(ciphertext, options = {}) {
+        const {
+            minWidth = 2,
+            maxWidth = 12,
+            maxIterations = 10000,
+            restarts = 3,
+            perturbations = 30,
+            random = Math.random
+        } = options;
+
+        const letters = ciphertext.toUpperCase().replace(/[^A-Z]/g, '');
+        if (!AdfgxSolver.isAdfgxText(letters)) {
+            return this._emptyResult(ciphertext);
+        }
+        const coordinates = letters.includes('V') ? 'ADFGVX' : 'ADFGX';
+
+        // 1. Transposition: best column order of every width that fills the rectangle
+        let best = null;
+        for (let width = minWidth; width <= Math.min(maxWidth, letters.length / 2); width++) {
+            if (letters.length % width !== 0) continue;
+            const candidate = this._columnOrder(letters, width);
+            if (!best || candidate.score > best.score) {
+                best = candidate;
+            }
+        }
+        if (!best) {
+            return this._emptyResult(ciphertext);
+        }
+
+        // 2. Substitution: one letter per coordinate pair, the most frequent pairs first
+        const pairs = AdfgxSolver.pairs(AdfgxSolver.untranspose(letters, best.ranks));
+        const counts = {};
+        pairs.forEach(pair => { counts[pair] = (counts[pair] || 0) + 1; });
+        const symbolOf = {};
+        Object.keys(counts)
+            .sort((a, b) => counts[b] - counts[a])
+            .slice(0, SYMBOLS.length)
+            .forEach((pair, i) => { symbolOf[pair] = SYMBOLS[i]; });
+        const stream = pairs.filter(pair => symbolOf[pair]).map(pair => symbolOf[pair]).join('');
+
+        // Key: the letter of every symbol, the first run from the letters of the language by frequency
+        let substitution = null;
+        for (let restart = 0; restart < restarts; restart++) {
+            const result = this.hillClimb.solve(stream, {
+                initMethod: restart === 0 ? 'frequency' : 'random',
+                maxIterations,
+                useDictionary: false,
+                random,
+                perturbations
+            });
+            if (!substitution || result.score > substitution.score) {
+                substitution = result;
+            }
+            if (this.scorer.confidence(substitution.plaintext) >= 0.9) {
+                break;
+            }
+        }
+        const letterOf = pair => substitution.key[symbolOf[pair]];
+
+        // Pairs beyond the 26 letters of the key (digits of ADFGVX) stay unknown
+        const plaintext = pairs.map(pair => (symbolOf[pair] ? letterOf(pair) : '?')).join('');
+        const square = new Array(coordinates.length ** 2).fill('?');
+        Object.keys(symbolOf).forEach(pair => {
+            square[coordinates.indexOf(pair[0]) * coordinates.length + coordinates.indexOf(pair[1])] = letterOf(pair);
+        });
+
+        return {
+            plaintext,
+            method: coordinates.toLowerCase(),
+            confidence: this.scorer.confidence(plaintext),
+            score: this.scorer.score(plaintext),
+            ngramScore: Scorers.scoreTextNormalized(plaintext, this.language, { useFallback: true }),
+            key: {
+                transposition: best.ranks,
+                square: square.join('')
+            },
+            width: best.ranks.length,
+            pairCoincidence: best.score
+        };
+    }
+
+    /**
+     * ADFGX signature: nothing but the coordinate letters (V too for ADFGVX), enough of them to sort out.
+     * @param {string} letters - Uppercase ciphertext letters
+     * @returns {boolean}
+     */
+    static isAdfgxText(letters) {
+        return letters.length >= 20 && /^[ADFGVX]+$/.test(letters) && new Set(letters).size >= 4;
+    }
+
+    /**
+     * Undoes the columnar transposition of a full rectangle: column i is the ranks[i]-th block of the
+     * ciphertext.
+     * @param {string} letters - Ciphertext letters, a multiple of the width
+     * @param {Array<number>} ranks - Rank (1-n) of every column
+     * @returns {string} Coordinates row by row
+     */
+    static untranspose(letters, ranks) {
+        const rows = letters.length / ranks.length;
+        let result = '';
+        for (let row = 0; row < rows; row++) {
+            for (const rank of ranks) {
+                result += letters[(rank - 1) * rows + row];
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Splits coordinates into pairs (a last odd coordinate is padding and dropped).
+     * @param {string} coordinates - Coordinates row by row
+     * @returns {Array<string>}
+     */
+    static pairs(coordinates) {
+        return coordinates.match(/../g) || [];
+    }
+
+    /**
+     * Index of coincidence of a list of symbols.
+     * @param {Array<string>} symbols - Symbols (coordinate pairs, etc.)
+     * @returns {number}
+     */
+    static coincidence(symbols) {
+        if (symbols.length < 2) return 0;
+        const counts = {};
+        symbols.forEach(symbol => { counts[symbol] = (counts[symbol] || 0) + 1; });
+        const sum = Object.values(counts).reduce((total, count) => total + count * (count - 1), 0);
+        return sum / (symbols.length * (symbols.length - 1));
+    }
+
+    /**
+     * Best column order for one width.
+     * @private
+     * @param {string} letters - Ciphertext letters, a multiple of the width
+     * @param {number} width - Number of columns
+     * @returns {{ranks: Array<number>, score: number}} Rank of every column, index of coincidence of the pairs
+     */
+    _columnOrder(letters, width) {
+        const rows = letters.length / width;
+        const blocks = Array.from({ length: width }, (_, i) => letters.slice(i * rows, (i + 1) * rows));
+        // Coincidence of the pairs made by blocks a and b: same rows from the given parity (every row
+        // with an even width) or, across rows, a on an even row and b on the next one
+        const link = (a, b, parity, across = false) => {
+            const pairs = [];
+            for (let row = 0; row + (across ? 1 : 0) < rows; row++) {
+                if (width % 2 === 0 || row % 2 === parity) {
+                    pairs.push(blocks[a][row] + blocks[b][row + (across ? 1 : 0)]);
+                }
+            }
+            return AdfgxSolver.coincidence(pairs);
+        };
+        const weights = [0, 1].map(parity => blocks.map((_, a) => blocks.map((__, b) => (a === b ? 0 : link(a, b, parity)))));
+        const across = width % 2 === 1 ? blocks.map((_, a) => blocks.map((__, b) => (a === b ? 0 : link(a, b, 0, true)))) : null;
+        // Position i starts a pair on the rows where row * width + i is even
+        const weight = (position, a, b) => {
+            if (width % 2 === 0) {
+                return position % 2 === 0 ? weights[0][a][b] : 0;
+            }
+            return weights[position % 2][a][b];
+        };
+
+        // Held-Karp: best path through every block from each first block
+        const full = (1 << width) - 1;
+        const starts = [];
+        for (let first = 0; first < width; first++) {
+            let best = null;
+            const value = new Float64Array((full + 1) * width).fill(-Infinity);
+            const previous = new Int8Array((full + 1) * width).fill(-1);
+            value[(1 << first) * width + first] = 0;
+            for (let mask = 1; mask <= full; mask++) {
+                if (!(mask & (1 << first))) continue;
+                let position = -1;
+                for (let m = mask; m; m &= m - 1) position++;
+                for (let last = 0; last < width; last++) {
+                    const current = value[mask * width + last];
+                    if (current === -Infinity) continue;
+                    for (let next = 0; next < width; next++) {
+                        if (mask & (1 << next)) continue;
+                        const index = (mask | (1 << next)) * width + next;
+                        const candidate = current + weight(position, last, next);
+                        if (candidate > value[index]) {
+                            value[index] = candidate;
+                            previous[index] = last;
+                        }
+                    }
+                }
+            }
+            for (let last = 0; last < width; last++) {
+                const total = value[full * width + last] + (across ? across[last][first] : 0);
+                if (!best || total > best.total) {
+                    const path = [last];
+                    for (let mask = full, block = last; previous[mask * width + block] !== -1;) {
+                        const before = previous[mask * width + block];
+                        mask &= ~(1 << block);
+                        block = before;
+                        path.unshift(block);
+                    }
+                    best = { total, path };
+                }
+            }
+            starts.push(best.path);
+        }
+
+        // The links only see two columns at a time: climb the coincidence of all the pairs, where every
+        // letter must be the same pair in every column (swapping the two columns of a pair included)
+        const pairScore = order => AdfgxSolver.coincidence(AdfgxSolver.pairs(AdfgxSolver.untranspose(letters, order.map(block => block + 1))));
+        let path = null;
+        let score = -Infinity;
+        for (const start of starts) {
+            let current = start;
+            let currentScore = pairScore(current);
+            let improved = true;
+            while (improved) {
+                improved = false;
+                for (const candidate of this._neighbours(current)) {
+                    const candidateScore = pairScore(candidate);
+                    if (candidateScore > currentScore) {
+                        current = candidate;
+                        currentScore = candidateScore;
+                        improved = true;
+                        break;
+                    }
+                }
+            }
+            if (currentScore > score) {
+                path = current;
+                score = currentScore;
+            }
+        }
+
+        if (width % 2 === 0) {
+            // Pairs of columns: the order where consecutive coordinate pairs coincide most
+            const units = Array.from({ length: width / 2 }, (_, i) => path.slice(2 * i, 2 * i + 2));
+            let bestOrder = null;
+            for (const order of this._permutations(units)) {
+                const pairs = AdfgxSolver.pairs(AdfgxSolver.untranspose(letters, order.flat().map(block => block + 1)));
+                const score = AdfgxSolver.coincidence(pairs.slice(1).map((pair, i) => pairs[i] + pair));
+                if (!bestOrder || score > bestOrder.score) {
+                    bestOrder = { order, score };
+                }
+            }
+            path = bestOrder.order.flat();
+        }
+
+        return { ranks: path.map(block => block + 1), score };
+    }
+
+    /**
+     * Neighbouring column orders: swaps of two columns and block moves.
+     * @private
+     * @param {Array<number>} order - Current order
+     * @returns {Generator<Array<number>>}
+     */
+    *_neighbours(order) {
+        const width = order.length;
+        for (let i = 0; i < width; i++) {
+            for (let j = i + 1; j < width; j++) {
+                const swapped = [...order];
+                [swapped[i], swapped[j]] = [swapped[j], swapped[i]];
+                yield swapped;
+            }
+        }
+        for (let length = 1; length <= Math.min(MAX_BLOCK, width - 1); length++) {
+            for (let from = 0; from + length <= width; from++) {
+                const block = order.slice(from, from + length);
+                const rest = [...order.slice(0, from), ...order.slice(from + length)];
+                for (let to = 0; to <= rest.length; to++) {
+                    if (to === from) continue;
+                    yield [...rest.slice(0, to), ...block, ...rest.slice(to)];
+                }
+            }
+        }
+    }
+
+    /**
+     * Yields every permutation of the given values.
+     * @private
+     */
+    *_permutations(values, prefix = []) {
+        if (values.length === 0) {
+            yield prefix;
+            return;
+        }
+        for (let i = 0; i < values.length; i++) {
+            yield* this._permutations([...values.slice(0, i), ...values.slice(i + 1)], [...prefix, values[i]]);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _emptyResult(ciphertext) {
+        return {
+            plaintext: ciphertext,
+            method: 'adfgx',
+            confidence: 0,
+            score: -Infinity,
+            key: null
+        };
+    }
+}
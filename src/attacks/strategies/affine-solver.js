@@ -0,0 +1,79 @@
+import 'regenerator-runtime/runtime';
+import { default as Affine } from '../../ciphers/shift/affine.js';
+import { Scorer } from '../../search/scorer.js';
+import { Scorers } from '../../language/scorers.js';
+
+/**
+ * Affine Cipher Brute Force Solver
+ *
+ * The affine cipher only has m · φ(m) keys (312 with 26 letters), so every valid (a, b) pair is tried
+ * and the decryptions are ranked by quadgram score. Caesar shifts (a = 1) and Atbash (a = b = 25) are
+ * among them, so this is also a cheap check before hill climbing a general substitution.
+ */
+export class AffineSolver {
+    constructor(language = 'english') {
+        this.language = language;
+        this.scorer = new Scorer(language, 4);
+    }
+
+    /**
+     * Tries every affine key.
+     * @param {string} ciphertext - The encrypted text
+     * @param {Object} options - Solver options
+     * @param {string} options.alphabet - Cipher alphabet, its length is the modulus (default: A-Z)
+     * @returns {Promise<Object>} Result with plaintext, method, confidence, score, key {a, b}, etc.
+     */
+    async solve(ciphertext, options = {}) {
+        const { alphabet = Affine.DEFAULT_ALPHABET } = options;
+        const cipher = new Affine(ciphertext, [1, 0], true, false, alphabet);
+        // Only symbols of the alphabet are scored, the layout is kept for the result
+        const source = alphabet === alphabet.toUpperCase() ? ciphertext.toUpperCase() : ciphertext;
+        const symbols = source.split('').filter(char => alphabet.includes(char)).join('');
+        if (symbols.length < 4) {
+            return this._emptyResult(ciphertext);
+        }
+
+        let best = null;
+        for (const key of Affine.keys(alphabet.length)) {
+            const score = this.scorer.score(cipher.decode(symbols, key));
+            if (!best || score > best.score) {
+                best = { key, score };
+            }
+        }
+
+        const plaintext = cipher.decode(ciphertext, best.key);
+        const ngramScore = Scorers.scoreTextNormalized(plaintext, this.language, { useFallback: true });
+        let confidence = 0.3;
+        if (ngramScore > 0.70) {
+            confidence = 0.95;
+        } else if (ngramScore > 0.60) {
+            confidence = 0.85;
+        } else if (ngramScore > 0.50) {
+            confidence = 0.7;
+        } else if (ngramScore > 0.40) {
+            confidence = 0.5;
+        }
+
+        return {
+            plaintext,
+            method: 'affine',
+            confidence,
+            score: best.score,
+            ngramScore,
+            key: best.key
+        };
+    }
+
+    /**
+     * @private
+     */
+    _emptyResult(ciphertext) {
+        return {
+            plaintext: ciphertext,
+            method: 'affine',
+            confidence: 0,
+            score: -Infinity,
+            key: null
+        };
+    }
+}
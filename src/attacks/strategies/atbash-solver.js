@@ -1,7 +1,7 @@
 import { default as Dictionary } from '../../ciphers/dictionary/dictionary.js';
 import { Scorer } from '../../search/scorer.js';
 import { TextUtils } from '../../core/text-utils.js';
-import { LanguageAnalysis } from '../../analysis/analysis.js';
+import { LanguageAnalysis } from '../../analysis/analysis-core.js';
 
 /**
  * Atbash Cipher Solver
@@ -0,0 +1,137 @@
+import 'regenerator-runtime/runtime';
+import { SimulatedAnnealing } from '../../search/simulated-annealing.js';
+import { Scorer } from '../../search/scorer.js';
+import { Scorers } from '../../language/scorers.js';
+import { FractionationPeriod } from '../../analysis/fractionation-period.js';
+import { KeySquare } from '../../search/key-square.js';
+
+// Row and column of every cell of the square
+const ROWS = Array.from({ length: 25 }, (_, i) => Math.floor(i / 5));
+const COLUMNS = Array.from({ length: 25 }, (_, i) => i % 5);
+
+/**
+ * Bifid Ciphertext-only Solver
+ *
+ * The period comes first: FractionationPeriod ranks the candidate periods by the index of coincidence
+ * of their linked letters (the ciphertext letters built from the same plaintext digraph), which is
+ * high at the right period only. Then, for each of the best `periodCandidates` periods, the 5×5
+ * Polybius square is annealed with the Playfair square moves and the decryptions are scored with the
+ * corpus quadgrams of the Scorer, temperatures given per ciphertext letter like the Playfair solver;
+ * the best period and square win. The restarts stop at the first decryption that reads like the
+ * language, and the confidence comes from its quadgram quality.
+ *
+ * A Bifid over the whole message (period 0) has no linked letters to find: pass `period: 0` for it.
+ */
+export class BifidSolver {
+    constructor(language = 'english') {
+        this.language = language;
+        this.scorer = new Scorer(language, 4, { corpus: true });
+    }
+
+    /**
+     * Searches the period and the Polybius square.
+     * @param {string} ciphertext - The encrypted text
+     * @param {Object} options - Solver options
+     * @param {number} options.period - Known period, 0 for the whole message (default: detected)
+     * @param {number} options.periodCandidates - Best detected periods to try (default: 1)
+     * @param {number} options.maxIterations - Moves per run (default: 300000)
+     * @param {number} options.initialTemp - Initial temperature per ciphertext letter (default: 0.1)
+     * @param {number} options.finalTemp - Final temperature per ciphertext letter (default: 0.007)
+     * @param {number} options.restarts - Most runs per period (default: 4)
+     * @param {string} options.square - Starting square (25 letters) instead of random ones
+     * @param {Function} options.random - Numbers in [0, 1) (default: Math.random)
+     * @returns {Promise<Object>} Result with plaintext, method, confidence, score, key {square, period}, etc.
+     */
+    async solve(ciphertext, options = {}) {
+        const {
+            period = null,
+            periodCandidates = 1,
+            maxIterations = 300000,
+            initialTemp = 0.1,
+            finalTemp = 0.007,
+            restarts = 4,
+            square = null,
+            random = Math.random
+        } = options;
+
+        const letters = ciphertext.toUpperCase().replace(/J/g, 'I').replace(/[^A-Z]/g, '');
+        if (letters.length < 4) {
+            return this._emptyResult(ciphertext);
+        }
+
+        const periods = period !== null
+            ? [period]
+            : FractionationPeriod.detect(letters).candidates.slice(0, periodCandidates).map(candidate => candidate.period);
+
+        let best = null;
+        let solved = false;
+        for (const candidate of periods) {
+            for (let restart = 0; restart < restarts && !solved; restart++) {
+                const result = SimulatedAnnealing.anneal({
+                    key: square ? square.toUpperCase().replace(/J/g, 'I') : KeySquare.random(random),
+                    score: key => this.scorer.total(BifidSolver.decrypt(letters, key, candidate)),
+                    neighbour: key => KeySquare.neighbour(key, random),
+                    maxIterations,
+                    initialTemp: initialTemp * letters.length,
+                    finalTemp: finalTemp * letters.length,
+                    random
+                });
+                if (!best || result.score > best.score) {
+                    best = { ...result, period: candidate };
+                }
+                solved = this.scorer.confidence(BifidSolver.decrypt(letters, best.key, best.period)) >= 0.9;
+            }
+        }
+
+        const plaintext = BifidSolver.decrypt(letters, best.key, best.period);
+        return {
+            plaintext,
+            method: 'bifid',
+            confidence: this.scorer.confidence(plaintext),
+            score: this.scorer.score(plaintext),
+            ngramScore: Scorers.scoreTextNormalized(plaintext, this.language, { useFallback: true }),
+            key: { square: best.key, period: best.period }
+        };
+    }
+
+    /**
+     * Decrypts with a Polybius square (same as Bifid.decode): in every block of n letters, the
+     * coordinates of the ciphertext letters read in a row give the n plaintext rows, then the n
+     * plaintext columns.
+     * @param {string} letters - Ciphertext letters (J written as I)
+     * @param {string} square - 25 letters, row by row
+     * @param {number} period - Block length (0 = whole text)
+     * @returns {string}
+     */
+    static decrypt(letters, square, period = 0) {
+        const positions = {};
+        for (let i = 0; i < 25; i++) positions[square[i]] = i;
+        const size = period > 0 ? period : letters.length;
+        let plaintext = '';
+        for (let start = 0; start < letters.length; start += size) {
+            const length = Math.min(size, letters.length - start);
+            const stream = [];
+            for (let i = start; i < start + length; i++) {
+                const position = positions[letters[i]];
+                stream.push(ROWS[position], COLUMNS[position]);
+            }
+            for (let i = 0; i < length; i++) {
+                plaintext += square[stream[i] * 5 + stream[length + i]];
+            }
+        }
+        return plaintext;
+    }
+
+    /**
+     * @private
+     */
+    _emptyResult(ciphertext) {
+        return {
+            plaintext: ciphertext,
+            method: 'bifid',
+            confidence: 0,
+            score: -Infinity,
+            key: null
+        };
+    }
+}
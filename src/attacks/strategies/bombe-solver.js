@@ -0,0 +1,474 @@
+import 'regenerator-runtime/runtime';
+import { default as Enigma } from '../../ciphers/enigma/enigma.js';
+import { default as EnigmaModels } from '../../ciphers/enigma/models.js';
+import { Scorer } from '../../search/scorer.js';
+import { TextUtils } from '../../core/text-utils.js';
+
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const code = letter => letter.charCodeAt(0) - 65;
+
+/**
+ * Enigma Crib Attack (Turing-Welchman Bombe)
+ *
+ * A crib is a guessed piece of plaintext. Enigma never enciphers a letter to itself, so the
+ * offsets where a crib letter falls on the same ciphertext letter are rejected first.
+ *
+ * At every remaining offset the crib and the ciphertext give the menu: a graph whose nodes are
+ * letters and whose edges are the crib positions (plain letter -- cipher letter). Without the
+ * plugboard P, the machine at position i is a fixed scrambler S_i and P(cipher) = S_i(P(plain)).
+ * For each rotor order and starting position the bombe guesses the plugboard partner of the most
+ * connected letter (the test register) and follows every implication through the menu, using the
+ * diagonal board (P(a) = b means P(b) = a). A guess that leads to a letter with two partners is
+ * wrong; a position where some guess stays consistent is a stop.
+ *
+ * Stops are then checked with the whole crib (the checking machine), which also completes the
+ * plugboard with letters outside the menu. Positions are tested with the real stepping of the
+ * model for the given ring settings (AAA by default): with other rings the stop shows the same
+ * rotor cores as long as the middle rotor does not turn over inside the crib.
+ *
+ * Models without a plugboard (commercial machines) are tested directly: every crib letter must
+ * encipher to its ciphertext letter.
+ */
+export class BombeSolver {
+    constructor(language = 'english') {
+        this.language = language;
+    }
+
+    /**
+     * Runs the bombe on a ciphertext with a crib.
+     * @param {string} ciphertext - The encrypted text
+     * @param {Object} options - Solver options
+     * @param {string} options.crib - Known plaintext
+     * @param {Array<number>} options.offsets - Letters of the ciphertext where the crib may start
+     *   (default: every offset); offsets with a self-enciphered letter are always dropped
+     * @param {string} options.model - Enigma model (default: 'M3', see EnigmaModels)
+     * @param {Array<string>} options.rotorOrders - Rotor orders to test, e.g. ['123', '541'] (default: all)
+     * @param {string} options.reflector - Reflector (default: the model one)
+     * @param {string} options.greekWheel - Greek wheel for the M4 (default: none, Beta for an M4)
+     * @param {string} options.ringSettings - Ring settings assumed (default: all A)
+     * @param {Array<string>} options.reflectorPositions - Reflector positions to test on models with a
+     *   settable reflector (default: all 26)
+     * @param {number} options.maxStops - Stops kept (default: 50)
+     * @returns {Promise<Object>} Result with plaintext, method, confidence, key {model, rotors, reflector,
+     *   greekWheel, ringSettings, keySettings, plugboard}, offset, menu and every stop found
+     */
+    async solve(ciphertext, options = {}) {
+        const { crib = '', offsets = null, maxStops = 50 } = options;
+        const letters = TextUtils.onlyLetters(ciphertext);
+        const known = TextUtils.onlyLetters(crib);
+
+        const allowed = this.candidateOffsets(letters, known);
+        const candidates = offsets ? offsets.filter(offset => allowed.includes(offset)) : allowed;
+        if (candidates.length === 0) {
+            return this._emptyResult(ciphertext);
+        }
+
+        const stops = [];
+        for (const offset of candidates) {
+            if (stops.length >= maxStops) break;
+            stops.push(...this.search(letters, known, offset, { ...options, maxStops: maxStops - stops.length }));
+        }
+        if (stops.length === 0) {
+            return this._emptyResult(ciphertext);
+        }
+
+        // Rank the stops by the decryption of the whole message. Plugs the crib cannot prove are left
+        // out, so the crib itself may not come out complete (cribMatch = fraction that does)
+        const scorer = new Scorer(this.language, 4);
+        const ranked = stops.map(stop => {
+            const plaintext = this.decrypt(letters, stop);
+            const crib = plaintext.slice(stop.offset, stop.offset + known.length);
+            const cribMatch = crib.split('').filter((letter, i) => letter === known[i]).length / known.length;
+            return { ...stop, plaintext, cribMatch, score: scorer.score(plaintext) };
+        }).sort((a, b) => b.score - a.score);
+
+        const [best] = ranked;
+        const { plaintext, score, offset, menu, cribMatch, ...key } = best;
+        return {
+            plaintext,
+            method: 'enigma-bombe',
+            confidence: cribMatch === 1 ? 0.9 : 0.6,
+            score,
+            ngramScore: score,
+            key,
+            offset,
+            menu,
+            stops: ranked
+        };
+    }
+
+    /**
+     * Offsets where the crib can lie: no crib letter on the same ciphertext letter.
+     * @param {string} ciphertext - Ciphertext letters
+     * @param {string} crib - Crib letters
+     * @returns {Array<number>}
+     */
+    candidateOffsets(ciphertext, crib) {
+        const offsets = [];
+        for (let offset = 0; crib.length > 0 && offset + crib.length <= ciphertext.length; offset++) {
+            if (crib.split('').every((letter, i) => ciphertext[offset + i] !== letter)) {
+                offsets.push(offset);
+            }
+        }
+        return offsets;
+    }
+
+    /**
+     * Builds the menu of a crib at an offset.
+     * @param {string} ciphertext - Ciphertext letters
+     * @param {string} crib - Crib letters
+     * @param {number} offset - Letter of the ciphertext where the crib starts
+     * @returns {{edges: Array<{step:number, plain:string, cipher:string}>, letters: Array<string>,
+     *   testLetter: string, loops: number}} loops = closed cycles of the menu (more loops, fewer false stops)
+     */
+    buildMenu(ciphertext, crib, offset) {
+        const edges = crib.split('').map((plain, step) => ({ step, plain, cipher: ciphertext[offset + step] }));
+        const degree = {};
+        edges.forEach(({ plain, cipher }) => {
+            degree[plain] = (degree[plain] || 0) + 1;
+            degree[cipher] = (degree[cipher] || 0) + 1;
+        });
+        const letters = Object.keys(degree).sort();
+        const [testLetter] = [...letters].sort((a, b) => degree[b] - degree[a]);
+
+        // Connected components (union-find) give the number of independent loops
+        const parent = {};
+        const find = letter => (parent[letter] === letter ? letter : (parent[letter] = find(parent[letter])));
+        letters.forEach(letter => { parent[letter] = letter; });
+        edges.forEach(({ plain, cipher }) => { parent[find(plain)] = find(cipher); });
+        const components = letters.filter(letter => find(letter) === letter).length;
+
+        return { edges, letters, testLetter, loops: edges.length - letters.length + components };
+    }
+
+    /**
+     * Tests every rotor order and starting position for a crib at one offset.
+     * @param {string} ciphertext - Ciphertext letters
+     * @param {string} crib - Crib letters
+     * @param {number} offset - Letter of the ciphertext where the crib starts
+     * @param {Object} options - Same machine options as solve()
+     * @returns {Array<Object>} Stops: {offset, model, rotors, reflector, greekWheel, ringSettings, keySettings, plugboard, menu}
+     */
+    search(ciphertext, crib, offset, options = {}) {
+        const { model = 'M3', reflector = null, ringSettings = null, maxStops = 50 } = options;
+        const machine = EnigmaModels.get(model);
+        const greekWheel = options.greekWheel || Object.keys(machine.greekWheels)[0] || null;
+        const rings = ringSettings || 'A'.repeat(greekWheel ? 4 : 3);
+        const rotorOrders = options.rotorOrders || this.rotorOrders(machine);
+        const reflectorPositions = machine.settableReflector
+            ? (options.reflectorPositions || ALPHABET.split('')).map(code)
+            : [0];
+        const greekPositions = greekWheel ? ALPHABET.split('').map(code) : [0];
+
+        const menu = this.buildMenu(ciphertext, crib, offset);
+        const plain = crib.split('').map(code);
+        const cipher = ciphertext.slice(offset, offset + crib.length).split('').map(code);
+        const adjacency = this._adjacency(plain, cipher);
+        const stops = [];
+
+        for (const rotors of rotorOrders) {
+            const enigma = new Enigma('A', rings, rings, '', rotors, false, false, reflector, greekWheel, model);
+            const scrambler = this._scrambler(enigma, rotors, rings);
+
+            for (const reflectorPosition of reflectorPositions) {
+                for (const greekPosition of greekPositions) {
+                    for (let start = 0; start < 26 * 26 * 26; start++) {
+                        const position = [Math.floor(start / 676), Math.floor(start / 26) % 26, start % 26];
+                        const steps = this._steps(enigma, rotors, position, reflectorPosition, offset + crib.length).slice(offset);
+                        const scramble = step => scrambler(step, greekPosition);
+
+                        const plugboard = machine.plugboard
+                            ? this._test(plain, cipher, steps.map(scramble), adjacency, code(menu.testLetter))
+                            : this._direct(plain, cipher, steps, scramble);
+                        if (plugboard === null) continue;
+
+                        const prefix = (machine.settableReflector ? ALPHABET[reflectorPosition] : '') +
+                            (greekWheel ? ALPHABET[greekPosition] : '');
+                        stops.push({
+                            offset,
+                            model,
+                            rotors,
+                            reflector: enigma.reflector,
+                            greekWheel,
+                            ringSettings: rings,
+                            keySettings: prefix + position.map(value => ALPHABET[value]).join(''),
+                            plugboard,
+                            menu
+                        });
+                        if (stops.length >= maxStops) return stops;
+                    }
+                }
+            }
+        }
+        return stops;
+    }
+
+    /**
+     * Every order of three different rotors of a model ('123', '124', ...).
+     * @param {Object} machine - Model from EnigmaModels
+     * @returns {Array<string>}
+     */
+    rotorOrders(machine) {
+        const count = machine.rotors.length;
+        const orders = [];
+        for (let left = 1; left <= count; left++) {
+            for (let middle = 1; middle <= count; middle++) {
+                for (let right = 1; right <= count; right++) {
+                    if (left !== middle && middle !== right && left !== right) {
+                        orders.push(`${left}${middle}${right}`);
+                    }
+                }
+            }
+        }
+        return orders;
+    }
+
+    /**
+     * Decrypts with the settings of a stop (letters missing from the plugboard are left unplugged).
+     * @param {string} ciphertext - Ciphertext letters
+     * @param {Object} stop - Stop returned by search()
+     * @returns {string}
+     */
+    decrypt(ciphertext, stop) {
+        const { keySettings, ringSettings, plugboard, rotors, reflector, greekWheel, model } = stop;
+        return new Enigma(ciphertext, keySettings, ringSettings, plugboard, rotors, true, false, reflector, greekWheel, model).encode();
+    }
+
+    /**
+     * Menu edges of every letter in both directions, as flat arrays: the edges of letter x are
+     * other[i] / step[i] for i from start[x] to start[x + 1].
+     * @private
+     */
+    _adjacency(plain, cipher) {
+        const lists = Array.from({ length: 26 }, () => []);
+        plain.forEach((letter, i) => {
+            lists[letter].push([cipher[i], i]);
+            lists[cipher[i]].push([letter, i]);
+        });
+        const start = new Int16Array(27);
+        lists.forEach((list, letter) => { start[letter + 1] = start[letter] + list.length; });
+        const edges = lists.flat();
+        return {
+            start,
+            other: Int8Array.from(edges, ([letter]) => letter),
+            step: Int16Array.from(edges, ([, i]) => i)
+        };
+    }
+
+    /**
+     * Rotor positions (and reflector position) for the first `count` letters from a starting position.
+     * @private
+     */
+    _steps(enigma, rotors, position, reflectorPosition, count) {
+        const order = rotors.split('').map(number => number - 1);
+        const key = [...position];
+        enigma.reflectorposition = reflectorPosition;
+        const steps = [];
+        for (let i = 0; i < count; i++) {
+            enigma.incrementSettings(key, order);
+            steps.push([...key, enigma.reflectorposition]);
+        }
+        return steps;
+    }
+
+    /**
+     * Builds a function that gives the scrambler (entry wheel, rotors, reflector, no plugboard) of a
+     * machine position as a table of 26 letter codes.
+     * @private
+     */
+    _scrambler(enigma, rotors, rings) {
+        const toCodes = wiring => Int8Array.from(wiring, code);
+        // Wiring turned by every offset: turned[offset * 26 + letter]
+        const turn = wiring => {
+            const codes = toCodes(wiring);
+            const turned = new Int8Array(676);
+            for (let offset = 0; offset < 26; offset++) {
+                for (let x = 0; x < 26; x++) {
+                    turned[offset * 26 + x] = (codes[(x + offset) % 26] - offset + 26) % 26;
+                }
+            }
+            return turned;
+        };
+        const mod = value => ((value % 26) + 26) % 26 * 26;
+
+        const count = enigma.machine.rotors.length;
+        const order = rotors.split('').map(number => number - 1);
+        const forward = order.map(r => turn(enigma.wirings[r]));
+        const backward = order.map(r => turn(enigma.wirings[r + count]));
+        const ring = rings.split('').map(code);
+        const greekRing = enigma.greekwheel ? ring.shift() : 0;
+        const greek = enigma.greekwheel ? turn(enigma.greekwiring) : null;
+        const greekInverse = enigma.greekwheel ? turn(enigma.greekinverse) : null;
+        const reflector = turn(enigma.reflectorwiring);
+        const entryOut = toCodes(enigma.machine.entry);
+        const entryIn = new Int8Array(26);
+        entryOut.forEach((contact, letter) => { entryIn[contact] = letter; });
+
+        return (step, greekPosition) => {
+            const [left, middle, right] = [0, 1, 2].map(i => mod(step[i] - ring[i]));
+            const greekOffset = mod(greekPosition - greekRing);
+            const reflectorOffset = mod(step[3]);
+            const table = new Int8Array(26);
+            for (let letter = 0; letter < 26; letter++) {
+                let x = entryIn[letter];
+                x = forward[2][right + x];
+                x = forward[1][middle + x];
+                x = forward[0][left + x];
+                if (greek) x = greek[greekOffset + x];
+                x = reflector[reflectorOffset + x];
+                if (greek) x = greekInverse[greekOffset + x];
+                x = backward[0][left + x];
+                x = backward[1][middle + x];
+                x = backward[2][right + x];
+                table[letter] = entryOut[x];
+            }
+            return table;
+        };
+    }
+
+    /**
+     * Position test without plugboard: every crib letter must encipher to its ciphertext letter.
+     * @returns {string|null} Empty plugboard for a stop, null otherwise
+     * @private
+     */
+    _direct(plain, cipher, steps, scramble) {
+        return plain.every((letter, i) => scramble(steps[i])[letter] === cipher[i]) ? '' : null;
+    }
+
+    /**
+     * Bombe test of one position: every guess for the test register is followed through the menu
+     * until a letter gets two partners (the guess is wrong). A guess that stays consistent is a stop,
+     * which the checking machine then confirms.
+     * @returns {string|null} Plugboard pairs ('AB CD ...') or null when the position is not a stop
+     * @private
+     */
+    _test(plain, cipher, tables, adjacency, testLetter) {
+        const partners = new Int8Array(26);
+        const stack = new Int8Array(4 * plain.length + 2);
+        for (let guess = 0; guess < 26; guess++) {
+            if (this._closure(adjacency, tables, testLetter, guess, partners, stack) && this._check(plain, cipher, tables, partners)) {
+                this._deduce(plain, cipher, tables, partners);
+                return this._pairs(partners);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Lights every plugboard hypothesis implied by P(letter) = partner (diagonal board included).
+     * Each letter is lit once and pushes its menu edges, so the stack holds at most 4 entries per edge.
+     * @param {Int8Array} partners - Filled with the partner of every letter reached (-1 for the others)
+     * @param {Int8Array} stack - Work buffer
+     * @returns {boolean} false on a contradiction (a letter with two partners)
+     * @private
+     */
+    _closure(adjacency, tables, letter, partner, partners, stack) {
+        const { start, other, step } = adjacency;
+        partners.fill(-1);
+        stack[0] = letter;
+        stack[1] = partner;
+        let top = 2;
+        while (top > 0) {
+            const b = stack[--top];
+            const a = stack[--top];
+            if (partners[a] === b) continue;
+            if (partners[a] !== -1 || partners[b] !== -1) return false;
+            partners[a] = b;
+            partners[b] = a;
+            for (let i = start[a]; i < start[a + 1]; i++) {
+                stack[top++] = other[i];
+                stack[top++] = tables[step[i]][b];
+            }
+            if (a !== b) {
+                for (let i = start[b]; i < start[b + 1]; i++) {
+                    stack[top++] = other[i];
+                    stack[top++] = tables[step[i]][a];
+                }
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Checking machine: runs the whole crib, completing the plugboard, and rejects contradictions.
+     * @private
+     */
+    _check(plain, cipher, tables, partners) {
+        const plug = (a, b) => {
+            if (partners[a] === b) return true;
+            if (partners[a] !== -1 || partners[b] !== -1) return false;
+            partners[a] = b;
+            partners[b] = a;
+            return true;
+        };
+
+        let changed = true;
+        while (changed) {
+            changed = false;
+            for (let step = 0; step < plain.length; step++) {
+                const [from, to] = partners[plain[step]] !== -1 ? [plain[step], cipher[step]] : [cipher[step], plain[step]];
+                if (partners[from] === -1) continue;
+                const known = partners[to] !== -1;
+                if (!plug(to, tables[step][partners[from]])) return false;
+                if (!known) changed = true;
+            }
+        }
+
+        let pairs = 0;
+        partners.forEach((partner, letter) => { if (partner > letter) pairs++; });
+        return pairs <= 13;
+    }
+
+    /**
+     * Completes the plugboard with the crib letters outside the menu: a letter whose plug can only
+     * take one value without contradicting the crib gets it (letters left open stay unplugged).
+     * @private
+     */
+    _deduce(plain, cipher, tables, partners) {
+        let progress = true;
+        while (progress) {
+            progress = false;
+            for (let step = 0; step < plain.length; step++) {
+                const letter = plain[step];
+                if (partners[letter] !== -1 || partners[cipher[step]] !== -1) continue;
+
+                const options = [];
+                for (let guess = 0; guess < 26 && options.length < 2; guess++) {
+                    if (partners[guess] !== -1) continue;
+                    const trial = Int8Array.from(partners);
+                    trial[letter] = guess;
+                    trial[guess] = letter;
+                    if (this._check(plain, cipher, tables, trial)) options.push(trial);
+                }
+                if (options.length === 1) {
+                    partners.set(options[0]);
+                    progress = true;
+                }
+            }
+        }
+    }
+
+    /**
+     * @private
+     */
+    _pairs(partners) {
+        const pairs = [];
+        partners.forEach((partner, letter) => {
+            if (partner > letter) pairs.push(ALPHABET[letter] + ALPHABET[partner]);
+        });
+        return pairs.join(' ');
+    }
+
+    /**
+     * @private
+     */
+    _emptyResult(ciphertext) {
+        return {
+            plaintext: ciphertext,
+            method: 'enigma-bombe',
+            confidence: 0,
+            score: -Infinity,
+            key: null
+        };
+    }
+}
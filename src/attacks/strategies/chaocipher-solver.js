@@ -0,0 +1,348 @@
+import 'regenerator-runtime/runtime';
+import { default as Polyalphabetic } from '../../ciphers/polyalphabetic/polyalphabetic.js';
+import { Scorers } from '../../language/scorers.js';
+import { TextUtils } from '../../core/text-utils.js';
+
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const UNKNOWN = '?';
+const NADIR = 13;
+
+/**
+ * Chaocipher Known-Plaintext Solver
+ *
+ * The alphabet permutations only depend on the position where each letter was found, so they can
+ * be followed without knowing the letters: the solver tracks which starting slot sits at every
+ * position and fills the slots from the crib. At each crib letter the plaintext letter (right
+ * alphabet) and the ciphertext letter (left alphabet) must share a position: a letter seen before
+ * fixes it, two new letters branch over the free positions (depth-first search with backtracking).
+ *
+ * Branching is expensive until letters start repeating, so the search starts at the point of the
+ * crib whose next letters repeat soonest. The alphabets found there are unwound back to the start
+ * of the crib and of the message: after every step the left alphabet starts with the ciphertext
+ * letter just used and the right alphabet ends with the plaintext letter, so a step can be undone.
+ *
+ * Rotating both alphabets together does not change the cipher: the recovered alphabets have the
+ * first letters of the message at the zenith. Letters that never appear in the crib stay unknown
+ * ('?'), except a single missing one.
+ */
+export class ChaocipherSolver {
+    constructor(language = 'english') {
+        this.language = language;
+    }
+
+    /**
+     * Solves a Chaocipher ciphertext with a crib.
+     * @param {string} ciphertext - The encrypted text
+     * @param {Object} options - Solver options
+     * @param {string} options.crib - Known plaintext
+     * @param {number} options.offset - Letter of the ciphertext where the crib starts (default: 0)
+     * @param {number} options.maxNodes - Search limit (default: 5000000)
+     * @returns {Promise<Object>} Result with plaintext, method, confidence, key {left, right}, etc.
+     */
+    async solve(ciphertext, options = {}) {
+        const { crib = '', offset = 0, maxNodes = 5000000 } = options;
+        const letters = TextUtils.onlyLetters(ciphertext);
+        const known = TextUtils.onlyLetters(crib);
+
+        if (known.length === 0 || offset < 0 || offset + known.length > letters.length) {
+            return this._emptyResult(ciphertext);
+        }
+
+        const recovered = this.recoverAlphabets(known, letters.slice(offset, offset + known.length), { maxNodes });
+        if (!recovered) {
+            return this._emptyResult(ciphertext);
+        }
+
+        // Alphabets at the start of the message; if they are too incomplete to step back, those at the crib
+        let key;
+        let keyOffset = 0;
+        let plaintext;
+        try {
+            key = this._complete(this.unwind(recovered, letters.slice(0, offset)));
+            plaintext = this.decrypt(letters, key);
+        } catch (error) {
+            key = { left: recovered.left, right: recovered.right };
+            keyOffset = offset;
+            plaintext = UNKNOWN.repeat(offset) + this.decrypt(letters.slice(offset), key);
+        }
+
+        const ngramScore = Scorers.scoreTextNormalized(plaintext.replace(/\?/g, ''), this.language, { useFallback: true });
+        const complete = !key.left.includes(UNKNOWN) && !key.right.includes(UNKNOWN);
+
+        return {
+            plaintext,
+            method: 'chaocipher',
+            confidence: complete ? 0.95 : 0.75,
+            score: ngramScore,
+            ngramScore,
+            key,
+            keyOffset,
+            complete,
+            wordCoverage: 0,
+            dictionaryCoverage: 0
+        };
+    }
+
+    /**
+     * Recovers the alphabets in use at the first letter of a plaintext/ciphertext pair.
+     * @param {string} plaintext - Known plaintext letters
+     * @param {string} ciphertext - Matching ciphertext letters
+     * @param {Object} options
+     * @param {number} options.maxNodes - Total search limit (default: 5000000)
+     * @param {number} options.nodesPerStart - Search limit from one starting point (default: 500000)
+     * @returns {{left:string, right:string, start:number, nodes:number}|null} Alphabets with '?' for
+     *   letters the crib does not show (start = crib letter where the search began), null if none is found
+     */
+    recoverAlphabets(plaintext, ciphertext, options = {}) {
+        const { maxNodes = 5000000, nodesPerStart = 500000 } = options;
+        const plainLetters = TextUtils.onlyLetters(plaintext);
+        const cipherLetters = TextUtils.onlyLetters(ciphertext);
+        const plain = Array.from(plainLetters, char => char.charCodeAt(0) - 65);
+        const cipher = Array.from(cipherLetters, char => char.charCodeAt(0) - 65);
+        const length = Math.min(plain.length, cipher.length);
+
+        let nodes = 0;
+        for (const start of this.rankStarts(plain.slice(0, length), cipher.slice(0, length))) {
+            const limit = Math.min(nodesPerStart, maxNodes - nodes);
+            if (limit <= 0) break;
+
+            const found = this._search(plain.slice(start, length), cipher.slice(start, length), limit);
+            nodes += found.nodes;
+            if (found.solutions.length === 0) continue;
+
+            const [left, right] = [found.solutions[0].left, found.solutions[0].right]
+                .map(slots => Array.from(slots, letter => (letter < 0 ? UNKNOWN : ALPHABET[letter])).join(''));
+            try {
+                const state = this._complete(this.unwind({ left, right }, cipherLetters.slice(0, start), plainLetters.slice(0, start)));
+                return { ...state, start, nodes };
+            } catch (error) {
+                // The letters before the starting point contradict this solution
+                continue;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Starting points of the search, best first: the fewer pairs of new letters before letters
+     * start repeating, the smaller the search tree.
+     * @param {Array<number>} plain - Plaintext letters (0-25)
+     * @param {Array<number>} cipher - Ciphertext letters (0-25)
+     * @param {number} window - Letters examined after each starting point (default: 18)
+     * @returns {Array<number>} Starting points
+     */
+    rankStarts(plain, cipher, window = 18) {
+        const starts = [];
+        for (let start = 0; start < plain.length; start++) {
+            const seenPlain = new Set();
+            const seenCipher = new Set();
+            let cost = 0;
+            for (let t = start; t < Math.min(start + window, plain.length); t++) {
+                const newPlain = !seenPlain.has(plain[t]);
+                const newCipher = !seenCipher.has(cipher[t]);
+                // Two new letters branch; two known letters check the alignment
+                if (newPlain && newCipher) cost += 10;
+                if (!newPlain && !newCipher) cost -= 1;
+                seenPlain.add(plain[t]);
+                seenCipher.add(cipher[t]);
+            }
+            // Starting points too close to the end leave the search unconstrained
+            if (plain.length - start < window) cost += 1000;
+            starts.push({ start, cost });
+        }
+        return starts.sort((a, b) => a.cost - b.cost || a.start - b.start).map(({ start }) => start);
+    }
+
+    /**
+     * Steps the alphabets back over the letters that precede them.
+     * The alphabets are only known up to a common rotation: before undoing a step they are turned so
+     * the ciphertext letter of that step is at the zenith (and its plaintext letter at the last position).
+     * @param {{left:string, right:string}} state - Alphabets at the first letter after the prefix
+     * @param {string} prefix - Ciphertext letters enciphered before that state
+     * @param {string} plainPrefix - Matching plaintext letters, if known (fills unknown right letters)
+     * @returns {{left:string, right:string}} Alphabets at the start of the prefix, first letter at the zenith
+     */
+    unwind(state, prefix, plainPrefix = '') {
+        let left = state.left.split('');
+        let right = state.right.split('');
+        const mismatch = () => new Error('Chaocipher state does not match the letters before it');
+
+        for (let t = prefix.length - 1; t >= 0; t--) {
+            const cipherLetter = prefix[t];
+            const plainLetter = plainPrefix[t] || null;
+
+            let rotation = left.indexOf(cipherLetter);
+            if (rotation < 0 && plainLetter && right.includes(plainLetter)) {
+                rotation = (right.indexOf(plainLetter) + 1) % 26;
+            }
+            if (rotation < 0) {
+                throw new Error('Chaocipher alphabets are too incomplete to step back');
+            }
+            left = [...left.slice(rotation), ...left.slice(0, rotation)];
+            right = [...right.slice(rotation), ...right.slice(0, rotation)];
+
+            // After a step the left alphabet starts with its ciphertext letter, the right one ends with its plaintext letter
+            if (left[0] !== cipherLetter) {
+                if (left[0] !== UNKNOWN || left.includes(cipherLetter)) throw mismatch();
+                left[0] = cipherLetter;
+            }
+            if (plainLetter && right[25] !== plainLetter) {
+                if (right[25] !== UNKNOWN || right.includes(plainLetter)) throw mismatch();
+                right[25] = plainLetter;
+            }
+            left = Polyalphabetic.Chaocipher.unpermuteLeft(left);
+            right = Polyalphabetic.Chaocipher.unpermuteRight(right);
+        }
+        return { left: left.join(''), right: right.join('') };
+    }
+
+    /**
+     * Deciphers with possibly incomplete alphabets ('?' for unknown letters).
+     * @param {string} ciphertext - Ciphertext letters
+     * @param {{left:string, right:string}} state - Starting alphabets
+     * @returns {string} Plaintext with '?' where the alphabets are unknown
+     */
+    decrypt(ciphertext, state) {
+        let left = state.left.split('');
+        let right = state.right.split('');
+        let result = '';
+
+        for (const char of ciphertext) {
+            let position = left.indexOf(char);
+            if (position < 0) {
+                // Unknown ciphertext letter: it must sit in the only unknown slot
+                const unknown = left.reduce((list, letter, i) => (letter === UNKNOWN ? [...list, i] : list), []);
+                if (unknown.length !== 1) {
+                    return result + UNKNOWN.repeat(ciphertext.length - result.length);
+                }
+                position = unknown[0];
+                left[position] = char;
+            }
+            result += right[position];
+            left = Polyalphabetic.Chaocipher.permuteLeft(left, position);
+            right = Polyalphabetic.Chaocipher.permuteRight(right, position);
+        }
+        return result;
+    }
+
+    /**
+     * Depth-first search of the slot contents, stopping at the first solution.
+     * @private
+     */
+    _search(plain, cipher, maxNodes) {
+        const length = plain.length;
+        // Slot at every position, one array per depth (no allocation while searching)
+        const leftPositions = Array.from({ length: length + 1 }, () => new Int8Array(26));
+        const rightPositions = Array.from({ length: length + 1 }, () => new Int8Array(26));
+        for (let i = 0; i < 26; i++) {
+            leftPositions[0][i] = i;
+            rightPositions[0][i] = i;
+        }
+        // Letter in every starting slot and slot of every letter (-1 when unknown)
+        const leftSlots = new Int8Array(26).fill(-1);
+        const rightSlots = new Int8Array(26).fill(-1);
+        const leftOf = new Int8Array(26).fill(-1);
+        const rightOf = new Int8Array(26).fill(-1);
+        const solutions = [];
+        let nodes = 0;
+
+        const search = (t) => {
+            if (solutions.length > 0 || nodes >= maxNodes) return;
+            nodes++;
+            if (t === length) {
+                solutions.push({ left: Array.from(leftSlots), right: Array.from(rightSlots) });
+                return;
+            }
+
+            const p = plain[t];
+            const c = cipher[t];
+            const left = leftPositions[t];
+            const right = rightPositions[t];
+            let from = 0;
+            let to = 26;
+            if (rightOf[p] >= 0) {
+                from = right.indexOf(rightOf[p]);
+                to = from + 1;
+            } else if (leftOf[c] >= 0) {
+                from = left.indexOf(leftOf[c]);
+                to = from + 1;
+            } else if (t === 0) {
+                // Only the relative alignment matters
+                to = 1;
+            }
+
+            for (let i = from; i < to; i++) {
+                const leftSlot = left[i];
+                const rightSlot = right[i];
+                const newLeft = leftSlots[leftSlot] < 0;
+                const newRight = rightSlots[rightSlot] < 0;
+                if (newLeft ? leftOf[c] >= 0 : leftSlots[leftSlot] !== c) continue;
+                if (newRight ? rightOf[p] >= 0 : rightSlots[rightSlot] !== p) continue;
+
+                if (newLeft) {
+                    leftSlots[leftSlot] = c;
+                    leftOf[c] = leftSlot;
+                }
+                if (newRight) {
+                    rightSlots[rightSlot] = p;
+                    rightOf[p] = rightSlot;
+                }
+
+                this._permute(left, leftPositions[t + 1], i, 1);
+                this._permute(right, rightPositions[t + 1], (i + 1) % 26, 2);
+                search(t + 1);
+
+                if (newLeft) {
+                    leftSlots[leftSlot] = -1;
+                    leftOf[c] = -1;
+                }
+                if (newRight) {
+                    rightSlots[rightSlot] = -1;
+                    rightOf[p] = -1;
+                }
+            }
+        };
+
+        search(0);
+        return { solutions, nodes };
+    }
+
+    /**
+     * Chaocipher.permuteLeft (extracted = 1) and permuteRight (start one past the zenith, extracted = 2)
+     * written into a preallocated array.
+     * @private
+     */
+    _permute(source, target, start, extracted) {
+        let k = 0;
+        for (let j = 0; j < 26; j++) {
+            if (j === extracted) continue;
+            if (k === NADIR) target[k++] = source[(start + extracted) % 26];
+            target[k++] = source[(start + j) % 26];
+        }
+    }
+
+    /**
+     * Places a single missing letter in the single unknown position of each alphabet.
+     * @private
+     */
+    _complete({ left, right }) {
+        const fill = alphabet => {
+            const missing = ALPHABET.split('').filter(letter => !alphabet.includes(letter));
+            return missing.length === 1 ? alphabet.replace(UNKNOWN, missing[0]) : alphabet;
+        };
+        return { left: fill(left), right: fill(right) };
+    }
+
+    /**
+     * @private
+     */
+    _emptyResult(ciphertext) {
+        return {
+            plaintext: ciphertext,
+            method: 'chaocipher',
+            confidence: 0,
+            score: -Infinity,
+            key: null
+        };
+    }
+}
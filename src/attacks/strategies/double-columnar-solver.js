@@ -0,0 +1,242 @@
+import { ColumnarSolver } from './columnar-solver.js';
+import { TextUtils } from '../../core/text-utils.js';
+
+const WIDTH_PENALTY = 0.25;
+const EXHAUSTIVE_LIMIT = 2000;
+
+/**
+ * Double Columnar Transposition Solver
+ *
+ * The first transposition only becomes readable once the second one is undone, so both keys
+ * are searched jointly for every pair of widths (or only the known widths):
+ * 1. Small pairs (w1! · w2! ≤ 2000 key combinations) are searched exhaustively
+ * 2. Larger pairs use iterated hill climbing where a move changes either key
+ *    (column swaps and block moves, as in ColumnarSolver)
+ *
+ * Pairs are tried from the narrowest to the widest until the time budget runs out.
+ * With known widths the climb keeps restarting until three runs agree or the budget runs out.
+ */
+export class DoubleColumnarSolver extends ColumnarSolver {
+    /**
+     * Solves a double columnar transposition.
+     * @param {string} ciphertext - The encrypted text
+     * @param {Object} options - Solver options
+     * @param {Array<number>} options.widths - Known widths [first key, second key] (default: search all pairs)
+     * @param {number} options.minWidth - Smallest number of columns per key (default: 2)
+     * @param {number} options.maxWidth - Largest number of columns per key (default: 8)
+     * @param {number} options.restarts - Hill climbing restarts per width pair (default: 4)
+     * @param {number} options.kicks - Random perturbations after each climb (default: 10)
+     * @param {number} options.maxTime - Time budget in milliseconds (default: 20000)
+     * @returns {Promise<Object>} Result with plaintext, method, confidence, score, key, secondKey, etc.
+     */
+    async solve(ciphertext, options = {}) {
+        const {
+            widths = null,
+            minWidth = 2,
+            maxWidth = 8,
+            restarts = 4,
+            kicks = 10,
+            maxTime = 20000
+        } = options;
+
+        const cleaned = TextUtils.onlyLetters(ciphertext);
+        const startTime = Date.now();
+
+        let bestResult = {
+            plaintext: ciphertext,
+            method: 'double-columnar',
+            confidence: 0,
+            score: -Infinity,
+            key: null,
+            secondKey: null,
+            isTranspositionCandidate: true
+        };
+
+        let bestAdjusted = -Infinity;
+        for (const [first, second] of this._widthPairs(cleaned.length, widths, minWidth, maxWidth)) {
+            if (Date.now() - startTime > maxTime) break;
+
+            const candidates = this._factorial(first) * this._factorial(second) <= EXHAUSTIVE_LIMIT
+                ? [this._exhaustivePair(cleaned, first, second)]
+                : this._climbRestarts(cleaned, first, second, {
+                    restarts,
+                    kicks,
+                    // Known widths get the whole time budget
+                    deadline: widths ? startTime + maxTime : 0
+                });
+
+            for (const candidate of candidates) {
+                const adjusted = candidate.score - WIDTH_PENALTY * (first + second) / Math.sqrt(cleaned.length);
+                if (adjusted > bestAdjusted) {
+                    bestAdjusted = adjusted;
+                    bestResult = this._buildPairResult(ciphertext, candidate);
+                }
+            }
+        }
+
+        return bestResult;
+    }
+
+    /**
+     * Width pairs to try, narrowest first.
+     * @private
+     */
+    _widthPairs(length, widths, minWidth, maxWidth) {
+        if (widths) {
+            return [widths];
+        }
+        const lastWidth = Math.min(maxWidth, Math.floor(length / 2));
+        const pairs = [];
+        for (let first = minWidth; first <= lastWidth; first++) {
+            for (let second = minWidth; second <= lastWidth; second++) {
+                pairs.push([first, second]);
+            }
+        }
+        return pairs.sort((a, b) => (a[0] + a[1]) - (b[0] + b[1]) || Math.max(...a) - Math.max(...b));
+    }
+
+    /**
+     * Tries every combination of column orders for a pair of narrow keys.
+     * @private
+     * @param {string} cleaned - Clean ciphertext
+     * @param {number} firstWidth - Width of the first key
+     * @param {number} secondWidth - Width of the second key
+     * @returns {{first:Array<number>, second:Array<number>, plaintext:string, score:number}}
+     */
+    _exhaustivePair(cleaned, firstWidth, secondWidth) {
+        const firstOrders = [...this._permutations(Array.from({ length: firstWidth }, (_, i) => i))];
+        let best = null;
+
+        for (const second of this._permutations(Array.from({ length: secondWidth }, (_, i) => i))) {
+            const intermediate = this._decrypt(cleaned, second);
+            for (const first of firstOrders) {
+                const plaintext = this._decrypt(intermediate, first);
+                const score = this._score(plaintext);
+                if (!best || score > best.score) {
+                    best = { first, second, plaintext, score };
+                }
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Runs the iterated climb several times. Until the deadline, it keeps restarting
+     * until three runs agree on the best score (local maxima are often reached twice).
+     * @private
+     */
+    _climbRestarts(cleaned, firstWidth, secondWidth, { restarts, kicks, deadline }) {
+        const candidates = [];
+        let best = null;
+        let hits = 0;
+
+        while (candidates.length < restarts || (hits < 3 && Date.now() < deadline)) {
+            const candidate = this._iteratedClimbPair(cleaned, firstWidth, secondWidth, kicks);
+            candidates.push(candidate);
+            if (!best || candidate.score > best.score + 1e-9) {
+                best = candidate;
+                hits = 1;
+            } else if (Math.abs(candidate.score - best.score) < 1e-9) {
+                hits++;
+            }
+        }
+        return candidates;
+    }
+
+    /**
+     * Joint hill climbing: every move changes one of the two keys.
+     * @private
+     */
+    _climbPair(cleaned, firstWidth, secondWidth, start = null) {
+        let state = start || {
+            first: this._shuffle(Array.from({ length: firstWidth }, (_, i) => i)),
+            second: this._shuffle(Array.from({ length: secondWidth }, (_, i) => i))
+        };
+        let plaintext = this._decryptPair(cleaned, state);
+        let score = this._score(plaintext);
+
+        let improved = true;
+        while (improved) {
+            improved = false;
+            for (const candidate of this._pairNeighbours(state)) {
+                const candidateText = this._decryptPair(cleaned, candidate);
+                const candidateScore = this._score(candidateText);
+                if (candidateScore > score) {
+                    state = candidate;
+                    plaintext = candidateText;
+                    score = candidateScore;
+                    improved = true;
+                    break;
+                }
+            }
+        }
+
+        return { ...state, plaintext, score };
+    }
+
+    /**
+     * Iterated joint hill climbing: once stuck, kick one of the keys with two random swaps.
+     * @private
+     */
+    _iteratedClimbPair(cleaned, firstWidth, secondWidth, kicks) {
+        let best = this._climbPair(cleaned, firstWidth, secondWidth);
+        for (let kick = 0; kick < kicks; kick++) {
+            const start = { first: [...best.first], second: [...best.second] };
+            const order = Math.random() < 0.5 ? start.first : start.second;
+            for (let swap = 0; swap < 2; swap++) {
+                const i = Math.floor(Math.random() * order.length);
+                const j = Math.floor(Math.random() * order.length);
+                [order[i], order[j]] = [order[j], order[i]];
+            }
+            const candidate = this._climbPair(cleaned, firstWidth, secondWidth, start);
+            if (candidate.score > best.score) {
+                best = candidate;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Neighbouring key pairs: ColumnarSolver moves applied to the second key, then to the first.
+     * @private
+     */
+    *_pairNeighbours(state) {
+        for (const second of this._neighbours(state.second)) {
+            yield { first: state.first, second };
+        }
+        for (const first of this._neighbours(state.first)) {
+            yield { first, second: state.second };
+        }
+    }
+
+    /**
+     * Undoes the second transposition, then the first.
+     * @private
+     */
+    _decryptPair(cleaned, state) {
+        return this._decrypt(this._decrypt(cleaned, state.second), state.first);
+    }
+
+    /**
+     * @private
+     */
+    _factorial(n) {
+        return n <= 1 ? 1 : n * this._factorial(n - 1);
+    }
+
+    /**
+     * Builds the standard solver result. key and secondKey are numeric DoubleColumnar keys.
+     * @private
+     */
+    _buildPairResult(ciphertext, candidate) {
+        const result = this._buildResult(ciphertext, { order: candidate.first, plaintext: candidate.plaintext, score: candidate.score });
+        delete result.width;
+
+        return {
+            ...result,
+            method: 'double-columnar',
+            secondKey: this._toRanks(candidate.second),
+            widths: [candidate.first.length, candidate.second.length]
+        };
+    }
+}
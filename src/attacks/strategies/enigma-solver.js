@@ -0,0 +1,441 @@
+import 'regenerator-runtime/runtime';
+import { default as Enigma } from '../../ciphers/enigma/enigma.js';
+import { default as EnigmaModels } from '../../ciphers/enigma/models.js';
+import { Stats } from '../../analysis/stats.js';
+import { Scorer } from '../../search/scorer.js';
+import { TextUtils } from '../../core/text-utils.js';
+
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const code = letter => letter.charCodeAt(0) - 65;
+const POSITIONS = 26 * 26 * 26;
+
+/**
+ * Ciphertext-only Enigma Attack (Gillogly, Weierud-Sullivan)
+ *
+ * Without a crib the settings are recovered one part at a time, each part scored by how much
+ * the decryption looks like language even though the other parts are still wrong:
+ *
+ * 1. Rotor order and starting position: every position is tried with rings at A and an empty
+ *    plugboard. The plugboard leaves most letters in place, so the right position already gives a
+ *    decryption whose index of coincidence stands out from random text.
+ * 2. Ring settings: for the best positions the right ring (then the middle one) is turned together
+ *    with its rotor, which keeps the wiring in place but moves the turnover. The left ring only
+ *    shifts the left rotor, which the starting position already covers.
+ * 3. Plugboard: hill climbing over plugs (add, remove or swap a pair) scored with bigrams, then
+ *    refined with quadgrams.
+ *
+ * Needs long messages: a few hundred letters, more the more plugs were used.
+ */
+export class EnigmaSolver {
+    constructor(language = 'english') {
+        this.language = language;
+    }
+
+    /**
+     * Solves an Enigma ciphertext without crib.
+     * @param {string} ciphertext - The encrypted text
+     * @param {Object} options - Solver options
+     * @param {string} options.model - Enigma model (default: 'M3', see EnigmaModels)
+     * @param {Array<string>} options.rotorOrders - Rotor orders to test, e.g. ['123', '541'] (default: all)
+     * @param {string} options.reflector - Reflector (default: the model one)
+     * @param {string} options.greekWheel - Greek wheel for the M4 (default: none, Beta for an M4)
+     * @param {Array<string>} options.reflectorPositions - Reflector positions to test on models with a
+     *   settable reflector (default: all 26)
+     * @param {number} options.candidates - Positions kept after the IoC search (default: 10)
+     * @param {number} options.maxPairs - Most plugboard pairs (default: 10)
+     * @param {number} options.maxTime - Maximum time in ms (default: 60000), the best settings so far
+     *   are returned when it runs out
+     * @param {Function} options.onProgress - Called with {stage, message, progress (0-100)}
+     * @returns {Promise<Object>} Result with plaintext, method, confidence, key {model, rotors, reflector,
+     *   greekWheel, ringSettings, keySettings, plugboard}, ioc and timedOut
+     */
+    async solve(ciphertext, options = {}) {
+        const { model = 'M3', candidates = 10, maxPairs = 10, maxTime = 60000, onProgress = () => {} } = options;
+        const letters = TextUtils.onlyLetters(ciphertext);
+        if (letters.length < 2) {
+            return this._emptyResult(ciphertext);
+        }
+
+        const machine = EnigmaModels.get(model);
+        const greekWheel = options.greekWheel || Object.keys(machine.greekWheels)[0] || null;
+        const rotorOrders = options.rotorOrders || this.rotorOrders(machine);
+        const deadline = Date.now() + maxTime;
+        const setup = { ...options, model, machine, greekWheel };
+        const cipher = Uint8Array.from(letters, code);
+
+        // 1. Rotor order and positions by IoC
+        const best = [];
+        let timedOut = false;
+        for (let i = 0; i < rotorOrders.length && !timedOut; i++) {
+            onProgress({
+                stage: 'positions',
+                message: `Testing rotor order ${rotorOrders[i]} (${i + 1}/${rotorOrders.length})`,
+                progress: Math.round((i / rotorOrders.length) * 60)
+            });
+            timedOut = !this.searchPositions(cipher, rotorOrders[i], setup, best, candidates, deadline);
+        }
+        if (best.length === 0) {
+            onProgress({ stage: 'timeout', message: `Timeout reached (${maxTime}ms)`, progress: 100 });
+            return { ...this._emptyResult(ciphertext), timedOut: true };
+        }
+
+        // 2. Ring settings
+        onProgress({ stage: 'rings', message: `Searching ring settings of ${best.length} positions`, progress: 60 });
+        const settings = best.map(candidate => this.searchRings(cipher, candidate, setup));
+
+        // 3. Plugboard. The quadgram tables only hold the most common quadgrams, so the refinement
+        // keeps the bigram score in the balance to stay on track where they have no entry
+        const bigrams = new Scorer(this.language, 2);
+        const quadgrams = new Scorer(this.language, 4);
+        const fitness = text => bigrams.score(text) + quadgrams.score(text);
+        let top = null;
+        for (let i = 0; i < settings.length && !(timedOut && top); i++) {
+            onProgress({
+                stage: 'plugboard',
+                message: `Climbing the plugboard of ${settings[i].rotors} ${this._letters(settings[i].position)} (${i + 1}/${settings.length})`,
+                progress: 70 + Math.round((i / settings.length) * 30)
+            });
+            const tables = this._tables(cipher, settings[i], setup);
+            let partners = Int8Array.from(ALPHABET, (letter, x) => x);
+            if (machine.plugboard) {
+                partners = this.climbPlugboard(cipher, tables, partners, text => bigrams.score(text), maxPairs, deadline);
+            }
+            const score = fitness(this._decrypt(cipher, tables, partners));
+            if (!top || score > top.score) {
+                top = { ...settings[i], tables, partners, score };
+            }
+            timedOut = timedOut || Date.now() > deadline;
+        }
+        if (machine.plugboard && !timedOut) {
+            top.partners = this.climbPlugboard(cipher, top.tables, top.partners, fitness, maxPairs, deadline);
+            timedOut = Date.now() > deadline;
+        }
+
+        onProgress(timedOut
+            ? { stage: 'timeout', message: `Timeout reached (${maxTime}ms)`, progress: 100 }
+            : { stage: 'complete', message: 'Enigma settings found', progress: 100 });
+
+        const key = this._key(top, setup);
+        const plaintext = new Enigma(letters, key.keySettings, key.ringSettings, key.plugboard, key.rotors, true, false,
+            key.reflector, key.greekWheel, model).encode();
+        const score = quadgrams.score(plaintext);
+        // Random text has an IoC near 1, German or English near 1.7-2
+        const ioc = Stats.indexOfCoincidence(plaintext);
+        return {
+            plaintext,
+            method: 'enigma-ioc',
+            confidence: ioc >= 1.6 ? 0.85 : ioc >= 1.3 ? 0.6 : 0.3,
+            score,
+            ngramScore: score,
+            key,
+            ioc,
+            timedOut
+        };
+    }
+
+    /**
+     * Tests every starting position of a rotor order (rings at A, no plugboard) and keeps the best ones.
+     * @param {Uint8Array} cipher - Ciphertext letter codes
+     * @param {string} rotors - Rotor order, e.g. '241'
+     * @param {Object} setup - Machine options of solve()
+     * @param {Array<Object>} best - Best positions so far {rotors, reflectorPosition, greekPosition,
+     *   position, rings, ioc}, sorted by IoC and updated in place
+     * @param {number} keep - Size of best
+     * @param {number} deadline - Time (Date.now()) to stop at
+     * @returns {boolean} false when the deadline was reached
+     */
+    searchPositions(cipher, rotors, setup, best, keep, deadline = Infinity) {
+        const { machine, greekWheel } = setup;
+        const core = this._core(rotors, setup);
+        const reflectorPositions = machine.settableReflector
+            ? (setup.reflectorPositions || ALPHABET.split('')).map(code)
+            : [0];
+        const greekPositions = greekWheel ? ALPHABET.split('').map(code) : [0];
+        const rings = [0, 0, 0];
+        const { reflector } = core.enigma;
+        const buffer = new Uint8Array(cipher.length);
+
+        for (const reflectorPosition of reflectorPositions) {
+            for (const greekPosition of greekPositions) {
+                for (let start = 0; start < POSITIONS; start++) {
+                    if (start % 676 === 0 && Date.now() > deadline) return false;
+                    const candidate = { rotors, reflectorPosition, greekPosition, position: start, rings };
+                    this._run(cipher, core, candidate, buffer);
+                    const ioc = Stats.indexOfCoincidence(String.fromCharCode.apply(null, buffer));
+                    if (best.length < keep || ioc > best[best.length - 1].ioc) {
+                        best.push({ ...candidate, reflector, ioc });
+                        best.sort((a, b) => b.ioc - a.ioc);
+                        if (best.length > keep) best.pop();
+                    }
+                }
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Turns the right ring, then the middle one, together with the rotor and keeps the setting with
+     * the highest IoC (no plugboard).
+     * @param {Uint8Array} cipher - Ciphertext letter codes
+     * @param {Object} candidate - Position found by searchPositions()
+     * @param {Object} setup - Machine options of solve()
+     * @returns {Object} Candidate with the best rings and starting position
+     */
+    searchRings(cipher, candidate, setup) {
+        const core = this._core(candidate.rotors, setup);
+        const buffer = new Uint8Array(cipher.length);
+        let best = candidate;
+
+        for (const wheel of [2, 1]) {
+            const from = best;
+            const window = this._wheels(from.position);
+            for (let shift = 1; shift < 26; shift++) {
+                const rings = [...from.rings];
+                rings[wheel] = (rings[wheel] + shift) % 26;
+                const turned = [...window];
+                turned[wheel] = (turned[wheel] + shift) % 26;
+                const trial = { ...from, position: turned[0] * 676 + turned[1] * 26 + turned[2], rings };
+
+                this._run(cipher, core, trial, buffer);
+                const ioc = Stats.indexOfCoincidence(String.fromCharCode.apply(null, buffer));
+                if (ioc > best.ioc) {
+                    best = { ...trial, ioc };
+                }
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Hill climbing over the plugboard: every pair of letters is plugged together (unplugging their
+     * partners) or unplugged, and the change is kept when the score improves.
+     * @param {Uint8Array} cipher - Ciphertext letter codes
+     * @param {Int8Array} tables - Scrambler of every letter of the message (26 entries each)
+     * @param {Int8Array} partners - Starting plugboard (partners[x] = x for unplugged letters)
+     * @param {Function} fitness - Score of a decryption (higher is better)
+     * @param {number} maxPairs - Most plugboard pairs
+     * @param {number} deadline - Time (Date.now()) to stop at
+     * @returns {Int8Array} Best plugboard found
+     */
+    climbPlugboard(cipher, tables, partners, fitness, maxPairs = 10, deadline = Infinity) {
+        let best = Int8Array.from(partners);
+        let bestScore = fitness(this._decrypt(cipher, tables, best));
+        let improved = true;
+
+        while (improved && Date.now() <= deadline) {
+            improved = false;
+            for (let a = 0; a < 26; a++) {
+                for (let b = a + 1; b < 26; b++) {
+                    const trial = Int8Array.from(best);
+                    if (trial[a] === b) {
+                        trial[a] = a;
+                        trial[b] = b;
+                    } else {
+                        trial[trial[a]] = trial[a];
+                        trial[trial[b]] = trial[b];
+                        trial[a] = b;
+                        trial[b] = a;
+                        if (this._pairCount(trial) > maxPairs) continue;
+                    }
+
+                    const score = fitness(this._decrypt(cipher, tables, trial));
+                    if (score > bestScore) {
+                        best = trial;
+                        bestScore = score;
+                        improved = true;
+                    }
+                }
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Every order of three different rotors of a model ('123', '124', ...).
+     * @param {Object} machine - Model from EnigmaModels
+     * @returns {Array<string>}
+     */
+    rotorOrders(machine) {
+        const count = machine.rotors.length;
+        const orders = [];
+        for (let left = 1; left <= count; left++) {
+            for (let middle = 1; middle <= count; middle++) {
+                for (let right = 1; right <= count; right++) {
+                    if (left !== middle && middle !== right && left !== right) {
+                        orders.push(`${left}${middle}${right}`);
+                    }
+                }
+            }
+        }
+        return orders;
+    }
+
+    /**
+     * Wirings of a rotor order turned by every offset (turned[offset * 26 + letter]) and the stepping
+     * of the model as a table: next[position] is the position after a key press and carry[position]
+     * tells whether the reflector moves with it (positions numbered left * 676 + middle * 26 + right).
+     * @private
+     */
+    _core(rotors, setup) {
+        const { model, machine, greekWheel, reflector = null } = setup;
+        const rings = 'A'.repeat(greekWheel ? 4 : 3);
+        const enigma = new Enigma('A', rings, rings, '', rotors, false, false, reflector, greekWheel, model);
+        const toCodes = wiring => Int8Array.from(wiring, code);
+        const turn = wiring => {
+            const codes = toCodes(wiring);
+            const turned = new Int8Array(676);
+            for (let offset = 0; offset < 26; offset++) {
+                for (let x = 0; x < 26; x++) {
+                    turned[offset * 26 + x] = (codes[(x + offset) % 26] - offset + 26) % 26;
+                }
+            }
+            return turned;
+        };
+
+        const count = machine.rotors.length;
+        const order = rotors.split('').map(number => number - 1);
+        const next = new Int16Array(POSITIONS);
+        const carry = new Uint8Array(POSITIONS);
+        for (let position = 0; position < POSITIONS; position++) {
+            enigma.reflectorposition = 0;
+            const key = enigma.incrementSettings(this._wheels(position), order);
+            next[position] = key[0] * 676 + key[1] * 26 + key[2];
+            carry[position] = enigma.reflectorposition;
+        }
+
+        const entryOut = toCodes(machine.entry);
+        const entryIn = new Int8Array(26);
+        entryOut.forEach((contact, letter) => { entryIn[contact] = letter; });
+
+        return {
+            enigma,
+            next,
+            carry,
+            forward: order.map(r => turn(enigma.wirings[r])),
+            backward: order.map(r => turn(enigma.wirings[r + count])),
+            greek: greekWheel ? turn(enigma.greekwiring) : null,
+            greekInverse: greekWheel ? turn(enigma.greekinverse) : null,
+            reflector: turn(enigma.reflectorwiring),
+            entryIn,
+            entryOut
+        };
+    }
+
+    /**
+     * Deciphers the message without plugboard into buffer (letter codes + 65).
+     * @private
+     */
+    _run(cipher, core, candidate, buffer) {
+        const { next, carry, forward, backward, greek, greekInverse, reflector, entryIn, entryOut } = core;
+        const [leftRing, middleRing, rightRing] = candidate.rings;
+        const greekOffset = candidate.greekPosition * 26;
+        let reflectorOffset = candidate.reflectorPosition;
+        let position = candidate.position;
+
+        for (let i = 0; i < cipher.length; i++) {
+            reflectorOffset = (reflectorOffset + carry[position]) % 26;
+            position = next[position];
+            const left = ((Math.floor(position / 676) - leftRing + 26) % 26) * 26;
+            const middle = ((Math.floor(position / 26) % 26 - middleRing + 26) % 26) * 26;
+            const right = ((position % 26 - rightRing + 26) % 26) * 26;
+
+            let x = entryIn[cipher[i]];
+            x = forward[2][right + x];
+            x = forward[1][middle + x];
+            x = forward[0][left + x];
+            if (greek) x = greek[greekOffset + x];
+            x = reflector[reflectorOffset * 26 + x];
+            if (greek) x = greekInverse[greekOffset + x];
+            x = backward[0][left + x];
+            x = backward[1][middle + x];
+            x = backward[2][right + x];
+            buffer[i] = entryOut[x] + 65;
+        }
+    }
+
+    /**
+     * Scrambler (no plugboard) of every letter of the message: tables[i * 26 + letter].
+     * @private
+     */
+    _tables(cipher, candidate, setup) {
+        const core = this._core(candidate.rotors, setup);
+        const tables = new Int8Array(cipher.length * 26);
+        const buffer = new Uint8Array(cipher.length);
+        for (let letter = 0; letter < 26; letter++) {
+            this._run(new Uint8Array(cipher.length).fill(letter), core, candidate, buffer);
+            buffer.forEach((value, i) => { tables[i * 26 + letter] = value - 65; });
+        }
+        return tables;
+    }
+
+    /**
+     * Deciphers with a plugboard: P(S_i(P(c))).
+     * @private
+     */
+    _decrypt(cipher, tables, partners) {
+        const buffer = new Uint8Array(cipher.length);
+        for (let i = 0; i < cipher.length; i++) {
+            buffer[i] = partners[tables[i * 26 + partners[cipher[i]]]] + 65;
+        }
+        return String.fromCharCode.apply(null, buffer);
+    }
+
+    /**
+     * Settings of a candidate in the format of the Enigma class.
+     * @private
+     */
+    _key(candidate, setup) {
+        const { model, machine, greekWheel } = setup;
+        const { rotors, reflectorPosition, greekPosition, position, rings, partners } = candidate;
+        const pairs = [];
+        partners.forEach((partner, letter) => {
+            if (partner > letter) pairs.push(ALPHABET[letter] + ALPHABET[partner]);
+        });
+        return {
+            model,
+            rotors,
+            reflector: candidate.reflector,
+            greekWheel,
+            ringSettings: (greekWheel ? 'A' : '') + rings.map(value => ALPHABET[value]).join(''),
+            keySettings: (machine.settableReflector ? ALPHABET[reflectorPosition] : '') +
+                (greekWheel ? ALPHABET[greekPosition] : '') + this._letters(position),
+            plugboard: pairs.join(' ')
+        };
+    }
+
+    /**
+     * @private
+     */
+    _wheels(position) {
+        return [Math.floor(position / 676), Math.floor(position / 26) % 26, position % 26];
+    }
+
+    /**
+     * @private
+     */
+    _letters(position) {
+        return this._wheels(position).map(value => ALPHABET[value]).join('');
+    }
+
+    /**
+     * @private
+     */
+    _pairCount(partners) {
+        let pairs = 0;
+        partners.forEach((partner, letter) => { if (partner > letter) pairs++; });
+        return pairs;
+    }
+
+    /**
+     * @private
+     */
+    _emptyResult(ciphertext) {
+        return {
+            plaintext: ciphertext,
+            method: 'enigma-ioc',
+            confidence: 0,
+            score: -Infinity,
+            key: null
+        };
+    }
+}
@@ -0,0 +1,160 @@
+import 'regenerator-runtime/runtime';
+import { SimulatedAnnealing } from '../../search/simulated-annealing.js';
+import { Scorer } from '../../search/scorer.js';
+import { Scorers } from '../../language/scorers.js';
+import { KeySquare } from '../../search/key-square.js';
+
+// Top-left and bottom-right squares: the plain alphabet without J
+const PLAIN_SQUARE = KeySquare.fromKeyword('');
+// Start of the row and column of every cell of a square
+const ROW_STARTS = Array.from({ length: 25 }, (_, i) => i - i % 5);
+const COLUMNS = Array.from({ length: 25 }, (_, i) => i % 5);
+
+/**
+ * Four-Square Ciphertext-only Solver
+ *
+ * Simulated annealing over the two keyed squares of FourSquare (top-right and bottom-left) at once:
+ * every move changes one of them, with the same letter swaps and row/column moves as the Playfair
+ * solver. Decryptions are scored with the corpus quadgrams of the Scorer, temperatures given per
+ * ciphertext letter like the Playfair solver; the restarts stop at the first decryption that reads
+ * like the language, and the confidence comes from its quadgram quality.
+ *
+ * With `keywords` the first run starts from the best pair of keyword squares instead of a random
+ * pair. Neither square can be scored alone, so every ordered pair is tried: n keywords cost n²
+ * decryptions, keep the list short.
+ */
+export class FourSquareSolver {
+    constructor(language = 'english') {
+        this.language = language;
+        this.scorer = new Scorer(language, 4, { corpus: true });
+    }
+
+    /**
+     * Searches the two keyed squares.
+     * @param {string} ciphertext - The encrypted text
+     * @param {Object} options - Solver options
+     * @param {number} options.maxIterations - Moves per run (default: 300000)
+     * @param {number} options.initialTemp - Initial temperature per ciphertext letter (default: 0.06)
+     * @param {number} options.finalTemp - Final temperature per ciphertext letter (default: 0.004)
+     * @param {number} options.restarts - Most runs (default: 4)
+     * @param {Array<string>} options.keywords - Keywords to build the starting squares from (default: none)
+     * @param {Function} options.random - Numbers in [0, 1) (default: Math.random)
+     * @returns {Promise<Object>} Result with plaintext, method, confidence, score, key {square2, square3}, etc.
+     */
+    async solve(ciphertext, options = {}) {
+        const {
+            maxIterations = 300000,
+            initialTemp = 0.06,
+            finalTemp = 0.004,
+            restarts = 4,
+            keywords = [],
+            random = Math.random
+        } = options;
+
+        const letters = ciphertext.toUpperCase().replace(/J/g, 'I').replace(/[^A-Z]/g, '');
+        if (letters.length < 4 || letters.length % 2 !== 0) {
+            return this._emptyResult(ciphertext);
+        }
+
+        const score = key => this.scorer.total(FourSquareSolver.decrypt(letters, key));
+        let best = null;
+        for (let restart = 0; restart < restarts; restart++) {
+            const start = restart === 0 && keywords.length > 0
+                ? this._keywordStart(keywords, score)
+                : { square2: KeySquare.random(random), square3: KeySquare.random(random) };
+            const result = SimulatedAnnealing.anneal({
+                key: start,
+                score,
+                neighbour: key => FourSquareSolver.neighbour(key, random),
+                maxIterations,
+                initialTemp: initialTemp * letters.length,
+                finalTemp: finalTemp * letters.length,
+                random
+            });
+            if (!best || result.score > best.score) {
+                best = result;
+            }
+            if (this.scorer.confidence(FourSquareSolver.decrypt(letters, best.key)) >= 0.9) {
+                break;
+            }
+        }
+
+        const plaintext = FourSquareSolver.decrypt(letters, best.key);
+        return {
+            plaintext,
+            method: 'four-square',
+            confidence: this.scorer.confidence(plaintext),
+            score: this.scorer.score(plaintext),
+            ngramScore: Scorers.scoreTextNormalized(plaintext, this.language, { useFallback: true }),
+            key: best.key
+        };
+    }
+
+    /**
+     * Decrypts with the two keyed squares: the ciphertext letters give the row and column of the
+     * plaintext letters in the plain squares (same as FourSquare.decodeDigraph).
+     * @param {string} letters - Ciphertext letters, even length
+     * @param {{square2: string, square3: string}} key - Top-right and bottom-left squares, 25 letters each
+     * @returns {string}
+     */
+    static decrypt(letters, key) {
+        const topRight = {};
+        const bottomLeft = {};
+        for (let i = 0; i < 25; i++) {
+            topRight[key.square2[i]] = i;
+            bottomLeft[key.square3[i]] = i;
+        }
+        let plaintext = '';
+        for (let i = 0; i < letters.length; i += 2) {
+            const a = topRight[letters[i]];
+            const b = bottomLeft[letters[i + 1]];
+            plaintext += PLAIN_SQUARE[ROW_STARTS[a] + COLUMNS[b]] + PLAIN_SQUARE[ROW_STARTS[b] + COLUMNS[a]];
+        }
+        return plaintext;
+    }
+
+    /**
+     * A key next to the given one: one of the two squares moved like a Playfair square.
+     * @param {{square2: string, square3: string}} key - Current squares
+     * @param {Function} random - Numbers in [0, 1)
+     * @returns {{square2: string, square3: string}} New squares
+     */
+    static neighbour(key, random = Math.random) {
+        if (random() < 0.5) {
+            return { square2: KeySquare.neighbour(key.square2, random), square3: key.square3 };
+        }
+        return { square2: key.square2, square3: KeySquare.neighbour(key.square3, random) };
+    }
+
+    /**
+     * Best pair of keyword squares.
+     * @private
+     */
+    _keywordStart(keywords, score) {
+        const squares = [...new Set(keywords.map(keyword => KeySquare.fromKeyword(keyword)))];
+        let best = null;
+        for (const square2 of squares) {
+            for (const square3 of squares) {
+                const key = { square2, square3 };
+                const keyScore = score(key);
+                if (!best || keyScore > best.score) {
+                    best = { key, score: keyScore };
+                }
+            }
+        }
+        return best.key;
+    }
+
+    /**
+     * @private
+     */
+    _emptyResult(ciphertext) {
+        return {
+            plaintext: ciphertext,
+            method: 'four-square',
+            confidence: 0,
+            score: -Infinity,
+            key: null
+        };
+    }
+}
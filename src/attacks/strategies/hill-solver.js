@@ -0,0 +1,336 @@
+import { Scorer } from '../../search/scorer.js';
+import { Scorers } from '../../language/scorers.js';
+import { TextUtils } from '../../core/text-utils.js';
+import { ModularMath } from '../../core/modular-math.js';
+import { Stats } from '../../analysis/stats.js';
+import { LanguageAnalysis } from '../../analysis/analysis-core.js';
+
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const MODULUS = 26;
+
+/**
+ * Hill Cipher Solver
+ *
+ * Hill encrypts blocks of n letters with an n x n matrix: C = K · P (mod 26).
+ *
+ * Strategies:
+ * - Known plaintext (crib): the aligned crib blocks give a linear system K · P = C (mod 26).
+ *   If the crib position is unknown every aligned offset is tried and checked against the whole crib.
+ * - Ciphertext only (2x2 and 3x3): each row of K⁻¹ produces one letter of every plaintext block
+ *   independently, so all m^n candidate rows are ranked by chi-squared against the language
+ *   letter frequencies. The best rows are combined into invertible matrices and the decryptions
+ *   are ranked with the quadgram Scorer.
+ */
+export class HillSolver {
+    constructor(language = 'english') {
+        this.language = language;
+        this.scorer = new Scorer(language, 4);
+        this.expectedFrequencies = this._getExpectedFrequencies(language);
+    }
+
+    /**
+     * Solves a Hill cipher.
+     * @param {string} ciphertext - The encrypted text
+     * @param {Object} options - Solver options
+     * @param {number} options.size - Matrix size (default: try 2 and 3)
+     * @param {string} options.crib - Known plaintext fragment (switches to known-plaintext attack)
+     * @param {number} options.offset - Position of the crib in the text (default: unknown)
+     * @param {number} options.maxRows - Candidate rows kept per matrix size (default: 12 for 2x2, 8 for 3x3)
+     * @returns {Promise<Object>} Result with plaintext, method, confidence, score, key, etc.
+     */
+    async solve(ciphertext, options = {}) {
+        const { size = null, crib = null, offset = null, maxRows = null } = options;
+
+        if (crib) {
+            return this.solveWithCrib(ciphertext, crib, { size, offset });
+        }
+
+        const cleaned = TextUtils.onlyLetters(ciphertext);
+        let bestResult = this._emptyResult(ciphertext);
+        const sizes = size ? [size] : [2, 3];
+
+        for (const n of sizes) {
+            if (cleaned.length < n * 10 || cleaned.length % n !== 0) continue;
+
+            const candidate = this._solveCiphertextOnly(cleaned, n, maxRows || (n === 2 ? 12 : 8));
+            if (candidate && candidate.score > bestResult.score) {
+                bestResult = this._buildResult(ciphertext, candidate.plaintext, candidate.key, candidate.score);
+            }
+        }
+
+        return bestResult;
+    }
+
+    /**
+     * Known-plaintext attack: recovers the key matrix from a crib.
+     * @param {string} ciphertext - The encrypted text
+     * @param {string} crib - Known plaintext fragment (at least n² letters, ideally more)
+     * @param {Object} options - Solver options
+     * @param {number} options.size - Matrix size (default: try 2, 3 and 4)
+     * @param {number} options.offset - Position of the crib in the plaintext (default: try all positions)
+     * @returns {Promise<Object>} Result with plaintext, method, confidence, score, key, etc.
+     */
+    async solveWithCrib(ciphertext, crib, options = {}) {
+        const { size = null, offset = null } = options;
+        const cleaned = TextUtils.onlyLetters(ciphertext);
+        const cleanCrib = TextUtils.onlyLetters(crib || '');
+
+        let bestResult = this._emptyResult(ciphertext);
+        let bestRank = null;
+        const sizes = size ? [size] : [2, 3, 4];
+
+        for (const n of sizes) {
+            if (cleaned.length % n !== 0 || cleanCrib.length < n * n) continue;
+
+            const offsets = offset !== null && offset !== undefined
+                ? [offset]
+                : Array.from({ length: cleaned.length - cleanCrib.length + 1 }, (_, i) => i);
+
+            for (const start of offsets) {
+                for (const key of this._recoverKeys(cleaned, cleanCrib, start, n)) {
+                    const inverse = ModularMath.inverseMatrix(key, MODULUS);
+                    const plaintext = this._decrypt(cleaned, inverse);
+                    const matched = this._countMatches(plaintext, cleanCrib, start);
+                    const score = this.scorer.score(plaintext);
+
+                    // Prefer keys that reproduce the whole crib, then the most language-like decryption
+                    const rank = matched * 100 + score;
+                    if (bestRank === null || rank > bestRank) {
+                        bestRank = rank;
+                        bestResult = this._buildResult(ciphertext, plaintext, key, score);
+                        bestResult.offset = start;
+                        if (matched === cleanCrib.length && cleanCrib.length > n * n) {
+                            bestResult.confidence = 0.98;
+                        }
+                    }
+                }
+            }
+        }
+
+        return bestResult;
+    }
+
+    /**
+     * Recovers the candidate encryption matrices from the crib placed at the given position.
+     * Every row of K satisfies Pᵀ · row = (i-th letters of the cipher blocks), which is solved
+     * modulo 2 and 13 separately, so the crib blocks don't need to form an invertible matrix mod 26.
+     * A short crib may leave a few keys open, all of them are returned.
+     * @private
+     * @param {string} cleaned - Clean ciphertext
+     * @param {string} crib - Clean crib
+     * @param {number} start - Position of the crib in the text
+     * @param {number} n - Matrix size
+     * @returns {Array<Array<Array<number>>>} Invertible encryption matrices consistent with the crib
+     */
+    _recoverKeys(cleaned, crib, start, n) {
+        const plainBlocks = [];
+        const cipherBlocks = [];
+        for (let pos = Math.ceil(start / n) * n; pos + n <= start + crib.length; pos += n) {
+            plainBlocks.push(this._toNumbers(crib.slice(pos - start, pos - start + n)));
+            cipherBlocks.push(this._toNumbers(cleaned.slice(pos, pos + n)));
+        }
+        if (plainBlocks.length < n) return [];
+
+        let keys = [[]];
+        for (let row = 0; row < n; row++) {
+            const rowSolutions = ModularMath.solveLinearSystem(plainBlocks, cipherBlocks.map(block => block[row]), MODULUS, 16);
+            if (rowSolutions.length === 0) return [];
+            keys = keys.flatMap(partial => rowSolutions.map(solution => [...partial, solution]));
+        }
+
+        return keys.filter(key => ModularMath.isInvertible(key, MODULUS));
+    }
+
+    /**
+     * Ciphertext-only attack for one matrix size.
+     * @private
+     * @param {string} cleaned - Clean ciphertext (length multiple of n)
+     * @param {number} n - Matrix size
+     * @param {number} maxRows - Number of candidate rows to combine
+     * @returns {{plaintext:string, key:Array<Array<number>>, score:number}|null}
+     */
+    _solveCiphertextOnly(cleaned, n, maxRows) {
+        const blocks = [];
+        for (let i = 0; i < cleaned.length; i += n) {
+            blocks.push(this._toNumbers(cleaned.slice(i, i + n)));
+        }
+
+        const rows = this._rankRows(blocks, n).slice(0, maxRows);
+        let best = null;
+
+        for (const selection of this._permutations(rows.length, n)) {
+            const inverse = selection.map(i => rows[i].row);
+            if (!ModularMath.isInvertible(inverse, MODULUS)) continue;
+
+            const plaintext = this._decrypt(cleaned, inverse);
+            const chiPenalty = selection.reduce((sum, i) => sum + rows[i].chiSquared, 0) / cleaned.length;
+            const score = this.scorer.score(plaintext) - chiPenalty * 0.1;
+
+            if (!best || score > best.score) {
+                best = {
+                    plaintext,
+                    key: ModularMath.inverseMatrix(inverse, MODULUS),
+                    score
+                };
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Ranks every possible decryption row by the chi-squared of the letters it produces.
+     * @private
+     * @param {Array<Array<number>>} blocks - Ciphertext blocks as numbers
+     * @param {number} n - Matrix size
+     * @returns {Array<{row:Array<number>, chiSquared:number}>} Rows sorted best first
+     */
+    _rankRows(blocks, n) {
+        const ranked = [];
+        const total = Math.pow(MODULUS, n);
+        const counts = new Array(MODULUS);
+
+        for (let index = 0; index < total; index++) {
+            const row = [];
+            let rest = index;
+            for (let k = 0; k < n; k++) {
+                row.push(rest % MODULUS);
+                rest = Math.floor(rest / MODULUS);
+            }
+            // A row sharing a factor with 26 can't belong to an invertible matrix
+            if (row.reduce((g, value) => ModularMath.gcd(g, value), MODULUS) !== 1) continue;
+
+            counts.fill(0);
+            for (const block of blocks) {
+                let value = 0;
+                for (let k = 0; k < n; k++) {
+                    value += row[k] * block[k];
+                }
+                counts[value % MODULUS]++;
+            }
+
+            ranked.push({ row, chiSquared: this._chiSquared(counts, blocks.length) });
+        }
+
+        return ranked.sort((a, b) => a.chiSquared - b.chiSquared);
+    }
+
+    /**
+     * Chi-squared of letter counts against the expected language frequencies.
+     * @private
+     */
+    _chiSquared(counts, total) {
+        let chiSquared = 0;
+        for (let i = 0; i < MODULUS; i++) {
+            const expected = this.expectedFrequencies[i] * total;
+            chiSquared += Math.pow(counts[i] - expected, 2) / expected;
+        }
+        return chiSquared;
+    }
+
+    /**
+     * Expected letter probabilities (A-Z) for the language, with a small floor for missing letters.
+     * @private
+     */
+    _getExpectedFrequencies(language) {
+        const langData = LanguageAnalysis.languages[language] || LanguageAnalysis.languages.english;
+        const monograms = langData.monograms || {};
+        const raw = ALPHABET.split('').map(letter => Math.max(monograms[letter] || 0, 0.01));
+        const sum = raw.reduce((a, b) => a + b, 0);
+        return raw.map(value => value / sum);
+    }
+
+    /**
+     * Decrypts clean text with a decryption matrix.
+     * @private
+     */
+    _decrypt(cleaned, inverse) {
+        const n = inverse.length;
+        let result = '';
+        for (let i = 0; i + n <= cleaned.length; i += n) {
+            const block = ModularMath.multiplyMatrixVector(inverse, this._toNumbers(cleaned.slice(i, i + n)), MODULUS);
+            result += block.map(value => ALPHABET[value]).join('');
+        }
+        return result;
+    }
+
+    /**
+     * Counts how many crib letters the decryption reproduces at the given position.
+     * @private
+     */
+    _countMatches(plaintext, crib, start) {
+        let matched = 0;
+        for (let i = 0; i < crib.length; i++) {
+            if (plaintext[start + i] === crib[i]) matched++;
+        }
+        return matched;
+    }
+
+    /**
+     * @private
+     */
+    _toNumbers(text) {
+        return text.split('').map(char => ALPHABET.indexOf(char));
+    }
+
+    /**
+     * Yields all ordered selections of k distinct indices from 0..n-1.
+     * @private
+     */
+    *_permutations(n, k, prefix = []) {
+        if (prefix.length === k) {
+            yield prefix;
+            return;
+        }
+        for (let i = 0; i < n; i++) {
+            if (!prefix.includes(i)) {
+                yield* this._permutations(n, k, [...prefix, i]);
+            }
+        }
+    }
+
+    /**
+     * @private
+     */
+    _emptyResult(ciphertext) {
+        return {
+            plaintext: ciphertext,
+            method: 'hill',
+            confidence: 0,
+            score: -Infinity,
+            key: null
+        };
+    }
+
+    /**
+     * Builds the standard solver result.
+     * @private
+     */
+    _buildResult(ciphertext, plaintext, key, score) {
+        const ngramScore = Scorers.scoreTextNormalized(plaintext, this.language, { useFallback: true });
+
+        let confidence = 0.5;
+        if (ngramScore > 0.70) {
+            confidence = 0.85;
+        } else if (ngramScore > 0.60) {
+            confidence = 0.75;
+        } else if (ngramScore > 0.50) {
+            confidence = 0.65;
+        }
+        // A wrong matrix flattens the letter distribution
+        if (Stats.indexOfCoincidence(plaintext) < 1.4) {
+            confidence = Math.min(confidence, 0.4);
+        }
+
+        return {
+            plaintext: TextUtils.matchLayout(ciphertext, plaintext),
+            method: 'hill',
+            confidence,
+            score,
+            ngramScore,
+            key,
+            wordCoverage: 0,
+            dictionaryCoverage: 0
+        };
+    }
+}
@@ -0,0 +1,201 @@
+import 'regenerator-runtime/runtime';
+import { default as Lorenz } from '../../ciphers/lorenz/lorenz.js';
+import { Baudot } from '../../core/baudot.js';
+
+/**
+ * Lorenz Chi-Wheel Setting (Colossus)
+ *
+ * With the chi patterns known (broken earlier from depths), Colossus found the start of every chi
+ * wheel of a message by counting. Working on deltas (each character added to the next one):
+ *   dZ = dP + dChi + dPsi'
+ * The psi wheels stand still about half of the time, so dPsi' is a dot more often than a cross, and
+ * teleprinter text has biased impulses too (dP1 + dP2 is mostly a dot in German, dP3 mostly a cross
+ * in English). At the right setting of a chi wheel, dZ + dChi keeps these biases; at the others the
+ * count of dots is random. A count is measured in standard deviations from the random count (sigma).
+ *
+ * The runs of Colossus are combined as a chi-square: the first run sets the two wheels, among the ten
+ * pairs, with the largest sum of squared sigmas of dZa + dChia, dZb + dChib and dZa + dZb + dChia + dChib
+ * (the famous chi1 + chi2 run is one of them). Every later run sets one more wheel with its own impulse
+ * and its pairs with the wheels already set, and once all are set each wheel is checked again against
+ * the four others. Both excesses and shortages of dots count, so the text language does not need to
+ * be known.
+ *
+ * Taking the chi off the ciphertext leaves the de-chi, D = P + Psi', which was then read by hand
+ * (psi and motor settings) in the Testery.
+ *
+ * Needs long messages: a few thousand characters.
+ */
+export class LorenzSolver {
+    constructor(language = 'english') {
+        this.language = language;
+    }
+
+    /**
+     * Finds the chi wheel settings of a ciphertext.
+     * @param {string|Array<number>} ciphertext - Bletchley Park notation or ITA2 codes
+     * @param {Object} options - Solver options
+     * @param {Array<string>} options.chi - The five chi patterns (like the Lorenz key)
+     * @returns {Promise<Object>} Result with plaintext (the de-chi, in Bletchley Park notation), method,
+     *   confidence, score (chi-square of the first run), key {chi: settings from 1} and every run
+     */
+    async solve(ciphertext, options = {}) {
+        const codes = Array.isArray(ciphertext) ? ciphertext : Baudot.fromNotation(ciphertext);
+        if (!options.chi) {
+            throw new Error('The Lorenz chi attack needs the chi wheel patterns (options.chi)');
+        }
+        if (codes.length < 2) {
+            return this._emptyResult(ciphertext);
+        }
+
+        const patterns = this.chiPatterns(options.chi);
+        const streams = this.streams(Baudot.delta(codes), patterns);
+        const settings = [null, null, null, null, null];
+
+        // First run: the best pair of wheels
+        let first = null;
+        for (let a = 0; a < 5; a++) {
+            for (let b = a + 1; b < 5; b++) {
+                const run = this.run(streams, [a, b], settings);
+                if (!first || run.score > first.score) first = run;
+            }
+        }
+        first.wheels.forEach((wheel, i) => { settings[wheel] = first.settings[i]; });
+        const runs = [first];
+
+        // Later runs: one wheel at a time, the most significant first
+        while (settings.includes(null)) {
+            const next = settings
+                .map((setting, wheel) => (setting === null ? this.run(streams, [wheel], settings) : null))
+                .filter(Boolean)
+                .sort((x, y) => y.score - x.score)[0];
+            settings[next.wheels[0]] = next.settings[0];
+            runs.push(next);
+        }
+
+        // The first wheels were set with little help: set each wheel again against the four others
+        for (let changed = true, pass = 0; changed && pass < 3; pass++) {
+            changed = false;
+            for (let wheel = 0; wheel < 5; wheel++) {
+                const others = settings.map((setting, other) => (other === wheel ? null : setting));
+                const check = this.run(streams, [wheel], others);
+                if (check.settings[0] !== settings[wheel]) {
+                    settings[wheel] = check.settings[0];
+                    runs.push(check);
+                    changed = true;
+                }
+            }
+        }
+
+        const dechi = this.dechi(codes, patterns, settings);
+        return {
+            plaintext: Baudot.toNotation(dechi),
+            method: 'lorenz-chi',
+            confidence: first.score >= 30 ? 0.85 : first.score >= 20 ? 0.6 : 0.3,
+            score: first.score,
+            key: { chi: settings.map(setting => setting + 1) },
+            runs: runs.map(run => ({
+                wheels: run.wheels.map(wheel => `chi${wheel + 1}`).join('+'),
+                settings: run.settings.map(setting => setting + 1),
+                score: run.score
+            }))
+        };
+    }
+
+    /**
+     * Reads chi patterns into cam arrays.
+     * @param {Array<string|Array>} chi - Five patterns of 'x' and '.' (or 1 and 0)
+     * @returns {Array<Array<number>>}
+     */
+    chiPatterns(chi) {
+        return new Lorenz('A', { ...Lorenz.DEFAULT_KEY, chi }).wheels.chi;
+    }
+
+    /**
+     * dZ + dChi of every impulse for every setting of its chi wheel: streams[wheel][setting] is a
+     * Uint8Array of dots (0) and crosses (1).
+     * @param {Array<number>} delta - Delta of the ciphertext codes
+     * @param {Array<Array<number>>} patterns - Chi cams
+     * @returns {Array<Array<Uint8Array>>}
+     */
+    streams(delta, patterns) {
+        return patterns.map((cams, wheel) => cams.map((cam, setting) => Uint8Array.from(delta, (code, i) => {
+            const position = (setting + i) % cams.length;
+            return Baudot.impulse(code, wheel + 1) ^ cams[position] ^ cams[(position + 1) % cams.length];
+        })));
+    }
+
+    /**
+     * Sigma of the dots of the sum of one or two streams: how far the count is from half of the
+     * characters, in standard deviations.
+     * @param {Uint8Array} first
+     * @param {Uint8Array} second - Optional
+     * @returns {number}
+     */
+    sigma(first, second = null) {
+        let dots = 0;
+        for (let i = 0; i < first.length; i++) {
+            if ((second ? first[i] ^ second[i] : first[i]) === 0) dots++;
+        }
+        return (dots - first.length / 2) / Math.sqrt(first.length / 4);
+    }
+
+    /**
+     * Tries every setting of new wheels, scored by the squared sigmas of each new impulse and of its
+     * pairs with the other new wheel and the wheels already set.
+     * @param {Array<Array<Uint8Array>>} streams - From streams()
+     * @param {Array<number>} wheels - New wheels (0-4), one or two
+     * @param {Array<number|null>} known - Settings from 0 of the wheels already set (null for the others)
+     * @returns {{wheels: Array<number>, settings: Array<number>, score: number}} Best settings from 0
+     */
+    run(streams, wheels, known) {
+        const fixed = known.map((setting, wheel) => (setting === null ? null : wheel)).filter(wheel => wheel !== null);
+        const alone = wheel => streams[wheel].map(stream => this.sigma(stream) ** 2 + fixed.reduce(
+            (sum, other) => sum + this.sigma(stream, streams[other][known[other]]) ** 2, 0
+        ));
+        const [a, b] = wheels;
+        const scoresA = alone(a);
+
+        let best = null;
+        if (b === undefined) {
+            scoresA.forEach((score, setting) => {
+                if (!best || score > best.score) best = { wheels, settings: [setting], score };
+            });
+            return best;
+        }
+
+        const scoresB = alone(b);
+        streams[a].forEach((streamA, sa) => {
+            streams[b].forEach((streamB, sb) => {
+                const score = scoresA[sa] + scoresB[sb] + this.sigma(streamA, streamB) ** 2;
+                if (!best || score > best.score) best = { wheels, settings: [sa, sb], score };
+            });
+        });
+        return best;
+    }
+
+    /**
+     * Takes the chi stream off the ciphertext: D = Z + Chi = P + Psi'.
+     * @param {Array<number>} codes - Ciphertext codes
+     * @param {Array<Array<number>>} patterns - Chi cams
+     * @param {Array<number>} settings - Chi settings from 0
+     * @returns {Array<number>} De-chi codes
+     */
+    dechi(codes, patterns, settings) {
+        return codes.map((code, i) => code ^ patterns.reduce(
+            (chi, cams, wheel) => (chi << 1) | cams[(settings[wheel] + i) % cams.length], 0
+        ));
+    }
+
+    /**
+     * @private
+     */
+    _emptyResult(ciphertext) {
+        return {
+            plaintext: Array.isArray(ciphertext) ? Baudot.toNotation(ciphertext) : ciphertext,
+            method: 'lorenz-chi',
+            confidence: 0,
+            score: -Infinity,
+            key: null
+        };
+    }
+}
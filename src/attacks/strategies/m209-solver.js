@@ -0,0 +1,283 @@
+import 'regenerator-runtime/runtime';
+import { default as M209 } from '../../ciphers/hagelin/m209.js';
+import { TextUtils } from '../../core/text-utils.js';
+
+const code = letter => letter.charCodeAt(0) - 65;
+const SIZES = M209.WHEELS.map(letters => letters.length);
+const BARS = 27;
+
+// Kinds of bars: a lug on one wheel only (6), or on two wheels (15)
+const KINDS = [];
+for (let a = 0; a < 6; a++) {
+    KINDS.push([a]);
+}
+for (let a = 0; a < 6; a++) {
+    for (let b = a + 1; b < 6; b++) KINDS.push([a, b]);
+}
+
+/**
+ * M-209 Known-Plaintext Attack (pins and lugs)
+ *
+ * With the plaintext under a stretch of ciphertext, every letter gives its displacement:
+ *   displacement = C + P - Z (mod 26)
+ * the number of bars with a lug against an active pin. The key is then rebuilt from the displacements:
+ *
+ * 1. Pins: a wheel with lugs adds to the displacement whenever its pin is active, so the average
+ *    displacement at each pin of a wheel splits the pins into active (higher) and inactive ones.
+ * 2. Lugs: only the number of bars of each kind matters, a lug on one wheel (6 kinds) or on two wheels
+ *    (15 kinds, shifting when either pin is active).
+ * 3. Hill climbing over bar counts (add, remove or move a bar) and pins (flip), scored by the squared
+ *    distance between the displacements of the key and the known ones, with restarts from a shaken
+ *    key until every displacement of the crib is matched.
+ *
+ * Pins are only found relative to the message, so the key is given from AAAAAA. Pins of wheels
+ * without lugs cannot be found (and do not matter). Needs a crib of a few hundred letters.
+ */
+export class M209Solver {
+    constructor(language = 'english') {
+        this.language = language;
+    }
+
+    /**
+     * Recovers pins and lugs from a crib.
+     * @param {string} ciphertext - The encrypted text
+     * @param {Object} options - Solver options
+     * @param {string} options.crib - Known plaintext (spaces typed as Z)
+     * @param {number} options.offset - Position of the crib in the ciphertext (default: 0)
+     * @param {number} options.restarts - Most restarts of the hill climbing (default: 200)
+     * @param {number} options.maxTime - Maximum time in ms (default: 60000)
+     * @param {Function} options.onProgress - Called with {stage, message, progress (0-100)}
+     * @returns {Promise<Object>} Result with plaintext, method, confidence, score (displacements matched),
+     *   key {pins, lugs, start} and timedOut
+     */
+    async solve(ciphertext, options = {}) {
+        const { offset = 0, restarts = 200, maxTime = 60000, onProgress = () => {} } = options;
+        if (!options.crib) {
+            throw new Error('The M-209 attack needs known plaintext (options.crib)');
+        }
+        const letters = TextUtils.onlyLetters(ciphertext);
+        const crib = options.crib.toUpperCase().replace(/\s+/g, 'Z').replace(/[^A-Z]/g, '');
+        if (crib.length === 0 || offset < 0 || offset + crib.length > letters.length) {
+            return this._emptyResult(ciphertext);
+        }
+
+        const known = Int8Array.from(crib, (letter, i) => (code(letters[offset + i]) + code(letter) + 1) % 26);
+        const deadline = Date.now() + maxTime;
+
+        onProgress({ stage: 'pins', message: `Averaging ${crib.length} displacements`, progress: 0 });
+        let best = this.climb(known, this.initialPins(known), new Int8Array(KINDS.length));
+        let timedOut = false;
+        for (let restart = 1; restart <= restarts && best.error > 0; restart++) {
+            if (Date.now() > deadline) {
+                timedOut = true;
+                break;
+            }
+            onProgress({
+                stage: 'climbing',
+                message: `Restart ${restart}: ${best.matches}/${crib.length} displacements matched`,
+                progress: Math.round((restart / restarts) * 100)
+            });
+            const shaken = this.shake(best);
+            const next = this.climb(known, shaken.pins, shaken.counts);
+            if (next.error < best.error) best = next;
+        }
+
+        onProgress(timedOut
+            ? { stage: 'timeout', message: `Timeout reached (${maxTime}ms)`, progress: 100 }
+            : { stage: 'complete', message: `${best.matches}/${crib.length} displacements matched`, progress: 100 });
+
+        const key = this._key(best, offset);
+        const score = best.matches / crib.length;
+        return {
+            plaintext: new M209(letters, key, true).decode(),
+            method: 'm209-known-plaintext',
+            confidence: score === 1 ? 0.95 : score * 0.7,
+            score,
+            key,
+            timedOut
+        };
+    }
+
+    /**
+     * First pins from the average displacement at each pin: active above the average of the wheel.
+     * @param {Int8Array} known - Displacements of the crib (mod 26)
+     * @returns {Array<Uint8Array>} Pins of each wheel, from the first letter of the crib
+     */
+    initialPins(known) {
+        return SIZES.map(size => {
+            const sums = new Float64Array(size);
+            const counts = new Float64Array(size);
+            known.forEach((displacement, i) => {
+                sums[i % size] += displacement;
+                counts[i % size]++;
+            });
+            const averages = Array.from(sums, (sum, pin) => (counts[pin] ? sum / counts[pin] : 0));
+            const mean = averages.reduce((total, average) => total + average, 0) / size;
+            return Uint8Array.from(averages, average => (average > mean ? 1 : 0));
+        });
+    }
+
+    /**
+     * Hill climbing over bar counts and pins until no change lowers the error.
+     * @param {Int8Array} known - Displacements of the crib
+     * @param {Array<Uint8Array>} pins - Starting pins (changed in place)
+     * @param {Int8Array} counts - Bars of each kind (changed in place)
+     * @returns {{pins: Array<Uint8Array>, counts: Int8Array, error: number, matches: number}}
+     */
+    climb(known, pins, counts) {
+        const n = known.length;
+        const displacements = new Int16Array(n);
+        for (let i = 0; i < n; i++) displacements[i] = this.displacement(pins, counts, i);
+        // Displacements go from 0 to 27: a known 0 or 1 may also be 26 or 27
+        const distance = (value, i) => Math.min(Math.abs(value - known[i]), Math.abs(value - known[i] - 26)) ** 2;
+        let error = 0;
+        for (let i = 0; i < n; i++) error += distance(displacements[i], i);
+
+        let improved = true;
+        while (improved) {
+            improved = false;
+
+            // Bars: add one, remove one or move one to another kind. Pins do not change here, so
+            // whether each kind shifts at each letter is computed once
+            const shifting = KINDS.map(wheels => Uint8Array.from(known, (displacement, i) => (this.shifts(pins, wheels, i) ? 1 : 0)));
+            const tryCounts = (from, to) => {
+                let next = 0;
+                for (let i = 0; i < n; i++) {
+                    const value = displacements[i] - (from >= 0 ? shifting[from][i] : 0) + (to >= 0 ? shifting[to][i] : 0);
+                    next += distance(value, i);
+                }
+                return next;
+            };
+            let total = counts.reduce((sum, count) => sum + count, 0);
+            for (let from = -1; from < KINDS.length; from++) {
+                for (let to = -1; to < KINDS.length; to++) {
+                    if (to === from || (from >= 0 && counts[from] === 0) || (from < 0 && (to < 0 || total >= BARS))) continue;
+                    const next = tryCounts(from, to);
+                    if (next < error) {
+                        for (let i = 0; i < n; i++) {
+                            displacements[i] += (to >= 0 ? shifting[to][i] : 0) - (from >= 0 ? shifting[from][i] : 0);
+                        }
+                        if (from >= 0) counts[from]--;
+                        if (to >= 0) counts[to]++;
+                        total += (to >= 0 ? 1 : 0) - (from >= 0 ? 1 : 0);
+                        error = next;
+                        improved = true;
+                    }
+                }
+            }
+
+            // Pins: flip one
+            for (let wheel = 0; wheel < 6; wheel++) {
+                for (let pin = 0; pin < SIZES[wheel]; pin++) {
+                    pins[wheel][pin] ^= 1;
+                    let next = error;
+                    const changed = [];
+                    for (let i = pin; i < n; i += SIZES[wheel]) {
+                        const value = this.displacement(pins, counts, i);
+                        next += distance(value, i) - distance(displacements[i], i);
+                        changed.push([i, value]);
+                    }
+                    if (next < error) {
+                        changed.forEach(([i, value]) => { displacements[i] = value; });
+                        error = next;
+                        improved = true;
+                    } else {
+                        pins[wheel][pin] ^= 1;
+                    }
+                }
+            }
+        }
+
+        let matches = 0;
+        for (let i = 0; i < n; i++) {
+            if (distance(displacements[i], i) === 0) matches++;
+        }
+        return { pins, counts, error, matches };
+    }
+
+    /**
+     * Random changes to a key to leave a local optimum: a few pins flipped and bars moved.
+     * @param {{pins: Array<Uint8Array>, counts: Int8Array}} key
+     * @returns {{pins: Array<Uint8Array>, counts: Int8Array}} A changed copy
+     */
+    shake({ pins, counts }) {
+        const copy = { pins: pins.map(wheel => Uint8Array.from(wheel)), counts: Int8Array.from(counts) };
+        for (let i = 0; i < 6; i++) {
+            const wheel = Math.floor(Math.random() * 6);
+            copy.pins[wheel][Math.floor(Math.random() * SIZES[wheel])] ^= 1;
+        }
+        for (let i = 0; i < 3; i++) {
+            const from = Math.floor(Math.random() * KINDS.length);
+            if (copy.counts[from] > 0) {
+                copy.counts[from]--;
+                copy.counts[Math.floor(Math.random() * KINDS.length)]++;
+            }
+        }
+        return copy;
+    }
+
+    /**
+     * Displacement at a letter of the crib.
+     * @param {Array<Uint8Array>} pins
+     * @param {Int8Array} counts - Bars of each kind
+     * @param {number} i - Letter of the crib
+     * @returns {number}
+     */
+    displacement(pins, counts, i) {
+        let displacement = 0;
+        for (let kind = 0; kind < KINDS.length; kind++) {
+            if (counts[kind] && this.shifts(pins, KINDS[kind], i)) displacement += counts[kind];
+        }
+        return displacement;
+    }
+
+    /**
+     * Whether a bar of a kind shifts at a letter of the crib (any of its wheels on an active pin).
+     * @param {Array<Uint8Array>} pins
+     * @param {Array<number>} wheels - Wheels of the kind
+     * @param {number} i - Letter of the crib
+     * @returns {boolean}
+     */
+    shifts(pins, wheels, i) {
+        return wheels.some(wheel => pins[wheel][i % SIZES[wheel]] === 1);
+    }
+
+    /**
+     * M-209 key from AAAAAA: the pin under the lugs at the first letter of the message is the one
+     * OFFSETS ahead of A, and pins were found from the crib at offset.
+     * @private
+     */
+    _key({ pins, counts }, offset) {
+        const bars = [];
+        KINDS.forEach((wheels, kind) => {
+            for (let i = 0; i < counts[kind]; i++) {
+                bars.push(wheels.length === 1 ? `0-${wheels[0] + 1}` : `${wheels[0] + 1}-${wheels[1] + 1}`);
+            }
+        });
+        while (bars.length < BARS) bars.push('0-0');
+        return {
+            pins: M209.WHEELS.map((letters, wheel) => letters
+                .split('')
+                .filter((letter, position) => {
+                    const size = SIZES[wheel];
+                    return pins[wheel][(((position - M209.OFFSETS[wheel] - offset) % size) + size) % size] === 1;
+                })
+                .join('')),
+            lugs: bars.join(' '),
+            start: 'AAAAAA'
+        };
+    }
+
+    /**
+     * @private
+     */
+    _emptyResult(ciphertext) {
+        return {
+            plaintext: ciphertext,
+            method: 'm209-known-plaintext',
+            confidence: 0,
+            score: -Infinity,
+            key: null
+        };
+    }
+}
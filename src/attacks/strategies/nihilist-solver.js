@@ -0,0 +1,363 @@
+import { default as Dictionary } from '../../ciphers/dictionary/dictionary.js';
+import { SimulatedAnnealing } from '../../search/simulated-annealing.js';
+import { Scorer } from '../../search/scorer.js';
+import { Scorers } from '../../language/scorers.js';
+import { Stats } from '../../analysis/stats.js';
+import { LanguageAnalysis } from '../../analysis/analysis-core.js';
+import { KeySquare } from '../../search/key-square.js';
+
+/**
+ * Nihilist Substitution Solver
+ *
+ * Every ciphertext number is the sum of a plaintext and a key number of the Polybius square,
+ * so its tens digit is rowP + rowK and its units digit colP + colK (both 2-10, a units sum of 10
+ * borrows one ten: 15 + 15 = 30).
+ *
+ * Strategy:
+ * 1. Period: with the right period every column shares one key number, so its row sums and its
+ *    column sums each span at most 4 (plaintext coordinates are 1-5). The smallest such period wins.
+ * 2. Key: each column bounds its key digits (max - 5 .. min - 1). Columns are aligned with each other
+ *    by comparing their coordinate frequencies (like Vigenère columns), leaving a few global shifts.
+ * 3. Square: the coordinates are decoded with the standard and common keyword squares. The square is
+ *    also annealed like the Bifid square (corpus quadgrams of the Scorer, Playfair square moves),
+ *    which the global shifts of the key cannot fool: the decryption that scores best wins, so an
+ *    unknown square is solved even when a keyword square reads a little better than the others.
+ */
+export class NihilistSolver {
+    constructor(language = 'english') {
+        this.language = language;
+        this.commonKeywords = ['', 'KEY', 'SECRET', 'CIPHER', 'CODE', 'ZEBRAS'];
+        this.quadgrams = new Scorer(language, 4);
+        this.trigrams = new Scorer(language, 3);
+        this.bigrams = new Scorer(language, 2);
+        this.fitness = new Scorer(language, 4, { corpus: true });
+    }
+
+    /**
+     * Solves a Nihilist substitution cipher.
+     * @param {string} ciphertext - Numbers separated by spaces
+     * @param {Object} options - Solver options
+     * @param {number} options.period - Key length (default: detected)
+     * @param {number} options.maxPeriod - Largest period tried (default: 20)
+     * @param {Array<string>} options.keywords - Square keywords to try (default: common keywords)
+     * @param {boolean} options.substitution - Also anneal the square, for unknown squares (default: true)
+     * @param {number} options.maxIterations - Moves per annealing run (default: 100000)
+     * @param {number} options.restarts - Most annealing runs (default: 2)
+     * @param {Function} options.random - Numbers in [0, 1) (default: Math.random)
+     * @returns {Promise<Object>} Result with plaintext, method, confidence, score, key, etc.
+     */
+    async solve(ciphertext, options = {}) {
+        const {
+            maxPeriod = 20,
+            keywords = this.commonKeywords,
+            substitution = true,
+            maxIterations = 100000,
+            restarts = 2,
+            random = Math.random
+        } = options;
+        const pairs = this.parse(ciphertext);
+
+        if (!pairs || pairs.length < 10) {
+            return this._emptyResult(ciphertext);
+        }
+
+        const period = options.period || this.detectPeriod(pairs, maxPeriod).period;
+        const candidates = period ? this.keyCandidates(pairs, period) : [];
+        if (candidates.length === 0) {
+            return this._emptyResult(ciphertext);
+        }
+
+        let best = null;
+        for (const key of candidates) {
+            for (const keyword of keywords) {
+                const grid = new Dictionary.Polybius('', keyword).grid;
+                const plaintext = this._decrypt(pairs, key, grid);
+                const score = this._score(plaintext);
+                if (!best || score > best.score) {
+                    best = { key, keyword, grid, plaintext, score };
+                }
+            }
+        }
+        if (!best) {
+            return this._emptyResult(ciphertext);
+        }
+        best = this._refine(pairs, best, period);
+
+        // Unknown square: the coordinates are a monoalphabetic substitution (global shifts only relabel it)
+        if (substitution) {
+            const { key } = best;
+            // Cell of every plaintext letter, row by row
+            const cells = pairs.map(([row, col], i) => (row - key[i % period][0] - 1) * 5 + col - key[i % period][1] - 1);
+            const decrypt = square => cells.reduce((text, cell) => text + square[cell], '');
+            const score = square => this.fitness.total(decrypt(square));
+            let annealed = null;
+            for (let restart = 0; restart < restarts; restart++) {
+                const result = SimulatedAnnealing.anneal({
+                    key: KeySquare.random(random),
+                    score,
+                    neighbour: square => KeySquare.neighbour(square, random),
+                    maxIterations,
+                    initialTemp: 0.03 * pairs.length,
+                    finalTemp: 0.002 * pairs.length,
+                    random
+                });
+                if (!annealed || result.score > annealed.score) {
+                    annealed = result;
+                }
+                if (this.fitness.confidence(decrypt(annealed.key)) >= 0.9) {
+                    break;
+                }
+            }
+            if (annealed.score > this.fitness.total(best.plaintext)) {
+                const plaintext = decrypt(annealed.key);
+                return this._buildResult({ key, keyword: null, grid: null, plaintext, score: this._score(plaintext) }, period);
+            }
+        }
+
+        return this._buildResult(best, period);
+    }
+
+    /**
+     * Splits the numbers into row and column sums.
+     * @param {string} ciphertext - Numbers separated by spaces
+     * @returns {Array<Array<number>>|null} [rowSum, colSum] per number, null if a number cannot be a Nihilist sum
+     */
+    parse(ciphertext) {
+        const numbers = (ciphertext.match(/\d+/g) || []).map(Number);
+        const pairs = numbers.map(number => {
+            const col = number % 10 === 0 ? 10 : number % 10;
+            const row = (number - col) / 10;
+            return [row, col];
+        });
+        const valid = pairs.every(([row, col]) => row >= 2 && row <= 10 && col >= 2 && col <= 10);
+        return valid ? pairs : null;
+    }
+
+    /**
+     * Finds the key length: the smallest period whose columns keep their row and column sums
+     * within a span of 4.
+     * @param {Array<Array<number>>} pairs - Parsed numbers
+     * @param {number} maxPeriod - Largest period tried
+     * @returns {{period:number|null, candidates:Array<{period:number, excess:number}>}}
+     */
+    detectPeriod(pairs, maxPeriod = 20) {
+        const candidates = [];
+        const lastPeriod = Math.min(maxPeriod, Math.floor(pairs.length / 2));
+
+        for (let period = 1; period <= lastPeriod; period++) {
+            let excess = 0;
+            for (const column of this._columns(pairs, period)) {
+                for (const axis of [0, 1]) {
+                    const values = column.map(pair => pair[axis]);
+                    excess += Math.max(0, Math.max(...values) - Math.min(...values) - 4);
+                }
+            }
+            candidates.push({ period, excess });
+        }
+
+        const consistent = candidates.find(candidate => candidate.excess === 0);
+        if (consistent) {
+            return { period: consistent.period, candidates };
+        }
+        // Garbled numbers: take the period that breaks the bounds least
+        const sorted = [...candidates].sort((a, b) => a.excess - b.excess || a.period - b.period);
+        return { period: sorted.length > 0 ? sorted[0].period : null, candidates };
+    }
+
+    /**
+     * Candidate additive keys for a period, as [row, col] digits per key position.
+     * Columns are aligned on the first one by frequency overlap; the remaining global shifts
+     * are all returned.
+     * @param {Array<Array<number>>} pairs - Parsed numbers
+     * @param {number} period - Key length
+     * @returns {Array<Array<Array<number>>>} Keys
+     */
+    keyCandidates(pairs, period) {
+        const columns = this._columns(pairs, period);
+        const ranges = columns.map(column => this._keyRanges(column));
+        if (ranges.some(range => range.some(([low, high]) => low > high))) {
+            return [];
+        }
+
+        const histogram = (column, key) => {
+            const counts = new Array(25).fill(0);
+            for (const [row, col] of column) {
+                const index = (row - key[0] - 1) * 5 + (col - key[1] - 1);
+                if (index >= 0 && index < 25) counts[index]++;
+            }
+            return counts;
+        };
+
+        // Align every column with the first one
+        const reference = [ranges[0][0][0], ranges[0][1][0]];
+        const total = histogram(columns[0], reference);
+        const offsets = [[0, 0]];
+
+        for (let k = 1; k < period; k++) {
+            let bestOffset = null;
+            let bestOverlap = -1;
+            for (let row = ranges[k][0][0]; row <= ranges[k][0][1]; row++) {
+                for (let col = ranges[k][1][0]; col <= ranges[k][1][1]; col++) {
+                    const counts = histogram(columns[k], [row, col]);
+                    const overlap = counts.reduce((sum, count, index) => sum + count * total[index], 0);
+                    if (overlap > bestOverlap) {
+                        bestOverlap = overlap;
+                        bestOffset = [row - reference[0], col - reference[1]];
+                    }
+                }
+            }
+            offsets.push(bestOffset);
+            histogram(columns[k], [reference[0] + bestOffset[0], reference[1] + bestOffset[1]])
+                .forEach((count, index) => { total[index] += count; });
+        }
+
+        // Global shifts keeping every column inside its bounds
+        const keys = [];
+        for (let row = ranges[0][0][0]; row <= ranges[0][0][1]; row++) {
+            for (let col = ranges[0][1][0]; col <= ranges[0][1][1]; col++) {
+                const key = offsets.map(([dr, dc]) => [row + dr, col + dc]);
+                const fits = key.every(([r, c], k) =>
+                    r >= ranges[k][0][0] && r <= ranges[k][0][1] && c >= ranges[k][1][0] && c <= ranges[k][1][1]);
+                if (fits) keys.push(key);
+            }
+        }
+        return keys;
+    }
+
+    /**
+     * Possible key digits of one column: [[lowRow, highRow], [lowCol, highCol]].
+     * @private
+     */
+    _keyRanges(column) {
+        return [0, 1].map(axis => {
+            const values = column.map(pair => pair[axis]);
+            return [Math.max(1, Math.max(...values) - 5), Math.min(5, Math.min(...values) - 1)];
+        });
+    }
+
+    /**
+     * Numbers at positions k, k + period, ... for every k.
+     * @private
+     */
+    _columns(pairs, period) {
+        const columns = Array.from({ length: period }, () => []);
+        pairs.forEach((pair, i) => columns[i % period].push(pair));
+        return columns;
+    }
+
+    /**
+     * Improves the key one position at a time while the n-gram score goes up
+     * (frequency alignment can be wrong for short columns).
+     * @private
+     */
+    _refine(pairs, best, period) {
+        const columns = this._columns(pairs, period);
+        let improved = true;
+        while (improved) {
+            improved = false;
+            for (let k = 0; k < period; k++) {
+                const [rowRange, colRange] = this._keyRanges(columns[k]);
+                for (let row = rowRange[0]; row <= rowRange[1]; row++) {
+                    for (let col = colRange[0]; col <= colRange[1]; col++) {
+                        const key = best.key.map((value, index) => (index === k ? [row, col] : value));
+                        const plaintext = this._decrypt(pairs, key, best.grid);
+                        const score = this._score(plaintext);
+                        if (score > best.score + 1e-9) {
+                            best = { ...best, key, plaintext, score };
+                            improved = true;
+                        }
+                    }
+                }
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Subtracts the key and reads the coordinates in a square.
+     * @private
+     */
+    _decrypt(pairs, key, grid) {
+        return pairs.map(([row, col], i) => {
+            const [keyRow, keyCol] = key[i % key.length];
+            return grid[row - keyRow - 1][col - keyCol - 1];
+        }).join('');
+    }
+
+    /**
+     * Combined n-gram score (higher is better).
+     * @private
+     */
+    _score(text) {
+        return this.quadgrams.score(text) + 0.5 * this.trigrams.score(text) + 0.25 * this.bigrams.score(text);
+    }
+
+    /**
+     * Cosine similarity between the letter frequencies of a text and the language.
+     * A wrong square keeps the n-gram structure but not the letter frequencies.
+     * @private
+     */
+    _frequencyFit(text) {
+        const monograms = (LanguageAnalysis.languages[this.language] || LanguageAnalysis.languages.english).monograms || {};
+        const counts = Stats.frequency(text).counts;
+        let dot = 0;
+        let normText = 0;
+        let normLanguage = 0;
+        for (const letter of 'ABCDEFGHIJKLMNOPQRSTUVWXYZ') {
+            const observed = counts[letter] || 0;
+            const expected = monograms[letter] || 0;
+            dot += observed * expected;
+            normText += observed * observed;
+            normLanguage += expected * expected;
+        }
+        return normText > 0 && normLanguage > 0 ? dot / Math.sqrt(normText * normLanguage) : 0;
+    }
+
+    /**
+     * Builds the result object; the key word is read back when the square is known.
+     * @private
+     */
+    _buildResult({ key, keyword, grid, plaintext, score }, period) {
+        const ngramScore = Scorers.scoreTextNormalized(plaintext, this.language, { useFallback: true });
+
+        let confidence = 0.5;
+        if (ngramScore > 0.70) {
+            confidence = 0.85;
+        } else if (ngramScore > 0.60) {
+            confidence = 0.75;
+        } else if (ngramScore > 0.50) {
+            confidence = 0.65;
+        }
+        // A wrong square or key scrambles the letter frequencies
+        if (this._frequencyFit(plaintext) < 0.8) {
+            confidence = Math.min(confidence, 0.4);
+        }
+
+        return {
+            plaintext,
+            method: 'nihilist',
+            confidence,
+            score,
+            ngramScore,
+            key: key.map(([row, col]) => row * 10 + col),
+            keyWord: grid ? key.map(([row, col]) => grid[row - 1][col - 1]).join('') : null,
+            keyword,
+            period,
+            wordCoverage: 0,
+            dictionaryCoverage: 0
+        };
+    }
+
+    /**
+     * @private
+     */
+    _emptyResult(ciphertext) {
+        return {
+            plaintext: ciphertext,
+            method: 'nihilist',
+            confidence: 0,
+            score: -Infinity,
+            key: null
+        };
+    }
+}
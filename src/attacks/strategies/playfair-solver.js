@@ -0,0 +1,147 @@
+import 'regenerator-runtime/runtime';
+import { SimulatedAnnealing } from '../../search/simulated-annealing.js';
+import { Scorer } from '../../search/scorer.js';
+import { Scorers } from '../../language/scorers.js';
+import { KeySquare } from '../../search/key-square.js';
+
+// Row and column of every cell of the square
+const ROWS = Array.from({ length: 25 }, (_, i) => Math.floor(i / 5));
+const COLUMNS = Array.from({ length: 25 }, (_, i) => i % 5);
+
+/**
+ * Playfair Ciphertext-only Solver
+ *
+ * Simulated annealing over 5×5 key squares, scored with the corpus quadgrams of the Scorer (the
+ * frequency tables alone are flat around random squares). Besides swapping two letters, the moves reshape the square like the classic
+ * Playfair solvers do, since a square that is right up to its layout decrypts many digraphs already:
+ * - swap two rows or two columns;
+ * - flip the square top to bottom, left to right or along its diagonal.
+ * Score differences grow with the text, so the temperatures are given per ciphertext letter. A run
+ * finds the square about one time in two on 300 letters: the restarts stop at the first decryption
+ * that reads like the language. The confidence comes from the quadgram quality of the decryption.
+ * Playfair ciphertexts have an even length and never a doubled letter inside a digraph: other texts
+ * are rejected straight away.
+ *
+ * References:
+ * - "Breaking Short Playfair Ciphers with the Simulated Annealing Algorithm" (Cowan, Cryptologia, 2008)
+ */
+export class PlayfairSolver {
+    constructor(language = 'english') {
+        this.language = language;
+        this.scorer = new Scorer(language, 4, { corpus: true });
+    }
+
+    /**
+     * Searches the key square.
+     * @param {string} ciphertext - The encrypted text
+     * @param {Object} options - Solver options
+     * @param {number} options.maxIterations - Moves per run (default: 300000)
+     * @param {number} options.initialTemp - Initial temperature per ciphertext letter (default: 0.1)
+     * @param {number} options.finalTemp - Final temperature per ciphertext letter (default: 0.007)
+     * @param {number} options.restarts - Most runs from random squares (default: 4)
+     * @param {string} options.square - Starting square (25 letters) instead of random ones
+     * @param {Function} options.random - Numbers in [0, 1) (default: Math.random)
+     * @returns {Promise<Object>} Result with plaintext, method, confidence, score, key (the square), etc.
+     */
+    async solve(ciphertext, options = {}) {
+        const {
+            maxIterations = 300000,
+            initialTemp = 0.1,
+            finalTemp = 0.007,
+            restarts = 4,
+            square = null,
+            random = Math.random
+        } = options;
+
+        const letters = ciphertext.toUpperCase().replace(/J/g, 'I').replace(/[^A-Z]/g, '');
+        if (!PlayfairSolver.isPlayfairText(letters)) {
+            return this._emptyResult(ciphertext);
+        }
+
+        let best = null;
+        for (let restart = 0; restart < restarts; restart++) {
+            const result = SimulatedAnnealing.anneal({
+                key: square ? square.toUpperCase().replace(/J/g, 'I') : KeySquare.random(random),
+                score: key => this.scorer.total(PlayfairSolver.decrypt(letters, key)),
+                neighbour: key => KeySquare.neighbour(key, random),
+                maxIterations,
+                initialTemp: initialTemp * letters.length,
+                finalTemp: finalTemp * letters.length,
+                random
+            });
+            if (!best || result.score > best.score) {
+                best = result;
+            }
+            if (this.scorer.confidence(PlayfairSolver.decrypt(letters, best.key)) >= 0.9) {
+                break;
+            }
+        }
+
+        const plaintext = PlayfairSolver.decrypt(letters, best.key);
+        return {
+            plaintext,
+            method: 'playfair',
+            confidence: this.scorer.confidence(plaintext),
+            score: this.scorer.score(plaintext),
+            ngramScore: Scorers.scoreTextNormalized(plaintext, this.language, { useFallback: true }),
+            key: best.key
+        };
+    }
+
+    /**
+     * Playfair signature: even length and no digraph made of a doubled letter.
+     * @param {string} letters - Ciphertext letters (J written as I)
+     * @returns {boolean}
+     */
+    static isPlayfairText(letters) {
+        if (letters.length < 4 || letters.length % 2 !== 0) {
+            return false;
+        }
+        for (let i = 0; i < letters.length; i += 2) {
+            if (letters[i] === letters[i + 1]) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Decrypts with a key square: same row, letters to the left; same column, letters above; otherwise
+     * the other corners of the rectangle.
+     * @param {string} letters - Ciphertext letters, even length
+     * @param {string} square - 25 letters, row by row
+     * @returns {string}
+     */
+    static decrypt(letters, square) {
+        const positions = {};
+        for (let i = 0; i < 25; i++) positions[square[i]] = i;
+        let plaintext = '';
+        for (let i = 0; i < letters.length; i += 2) {
+            const a = positions[letters[i]];
+            const b = positions[letters[i + 1]];
+            const rowA = ROWS[a];
+            const colA = COLUMNS[a];
+            const rowB = ROWS[b];
+            const colB = COLUMNS[b];
+            if (rowA === rowB) {
+                plaintext += square[rowA * 5 + (colA + 4) % 5] + square[rowB * 5 + (colB + 4) % 5];
+            } else if (colA === colB) {
+                plaintext += square[((rowA + 4) % 5) * 5 + colA] + square[((rowB + 4) % 5) * 5 + colB];
+            } else {
+                plaintext += square[rowA * 5 + colB] + square[rowB * 5 + colA];
+            }
+        }
+        return plaintext;
+    }
+
+    /**
+     * @private
+     */
+    _emptyResult(ciphertext) {
+        return {
+            plaintext: ciphertext,
+            method: 'playfair',
+            confidence: 0,
+            score: -Infinity,
+            key: null
+        };
+    }
+}
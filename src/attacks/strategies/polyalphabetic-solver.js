@@ -3,7 +3,7 @@ import { TextUtils } from '../../core/text-utils.js';
 import { Stats } from '../../analysis/stats.js';
 import { Kasiski } from '../../analysis/kasiski.js';
 import { Scorers } from '../../language/scorers.js';
-import { LanguageAnalysis } from '../../analysis/analysis.js';
+import { LanguageAnalysis } from '../../analysis/analysis-core.js';
 import Polyalphabetic from '../../ciphers/polyalphabetic/polyalphabetic.js';
 import { segmentText } from '../../language/word-segmenter.js';
 
@@ -0,0 +1,228 @@
+import { Scorers } from '../../language/scorers.js';
+import { TextUtils } from '../../core/text-utils.js';
+import { LanguageAnalysis } from '../../analysis/analysis-core.js';
+import { segmentText } from '../../language/word-segmenter.js';
+
+const ROUTES = ['spiral', 'zigzag', 'column'];
+const CORNERS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+/**
+ * Route Cipher Solver
+ *
+ * Route writes the message row by row in a grid and reads it along a route. The grid sizes are few,
+ * so every candidate is decrypted:
+ * - every grid of at least 2 rows and 2 columns, under two padding assumptions: the grid is full
+ *   (Route pads the last row with X, which is dropped again) or the last row is left short (the route
+ *   skips the empty cells);
+ * - every route (spiral, zigzag, column), starting from any of the four corners, turned a quarter
+ *   (counter-clockwise spiral, row zigzag down the columns, rows instead of columns) and read backwards.
+ * The candidates are ranked by n-gram score; the best few are then validated with the dictionary
+ * like the Rail Fence solver (n-gram 70%, dictionary 30%), after segmenting them into words.
+ * On texts of a few dozen letters many wrong routes score as well as the right one.
+ */
+export class RouteSolver {
+    constructor(language = 'english') {
+        this.language = language;
+    }
+
+    /**
+     * Solves a Route cipher.
+     * @param {string} ciphertext - The encrypted text
+     * @param {Object} options - Solver options
+     * @param {number} options.shortlist - Best n-gram candidates checked against the dictionary (default: 50)
+     * @returns {Promise<Object>} Result with plaintext, method, confidence, score, key {rows, cols, route, corner, turned, reversed, padded}, etc.
+     */
+    async solve(ciphertext, options = {}) {
+        const { shortlist = 50 } = options;
+        const cleaned = TextUtils.onlyLetters(ciphertext);
+
+        let bestResult = {
+            plaintext: ciphertext,
+            method: 'route',
+            confidence: 0,
+            score: -Infinity,
+            key: null,
+            isTranspositionCandidate: true  // Mark as transposition
+        };
+        if (cleaned.length < 10) {
+            return bestResult;
+        }
+
+        const candidates = [];
+        for (const grid of RouteSolver.grids(cleaned.length)) {
+            for (const route of RouteSolver.routes(grid.rows, grid.cols)) {
+                let plaintext = RouteSolver.decrypt(cleaned, route.order);
+                if (grid.padded) {
+                    plaintext = plaintext.replace(/X+$/, '');
+                }
+                if (plaintext.length < 10) continue;
+                candidates.push({
+                    plaintext,
+                    key: { rows: grid.rows, cols: grid.cols, ...route.key, padded: grid.padded },
+                    ngramScore: Scorers.scoreTextNormalized(plaintext, this.language, { useFallback: true })
+                });
+            }
+        }
+        candidates.sort((a, b) => b.ngramScore - a.ngramScore);
+
+        const dict = LanguageAnalysis.getDictionary(this.language);
+        for (const candidate of candidates.slice(0, shortlist)) {
+            const { plaintext, ngramScore } = candidate;
+
+            // Validate with dictionary: share of the letters inside words of 3 letters or more (the
+            // segmenter leaves the letters it cannot place as single letters)
+            let wordCoverage = 0;
+            if (dict) {
+                const words = segmentText(plaintext, dict, { maxWordLength: 20, minWordLength: 2 })
+                    .split(/\s+/)
+                    .filter(w => w.length >= 3);
+
+                let validLetters = 0;
+                for (const word of words) {
+                    if (dict.has(word)) {
+                        validLetters += word.length;
+                    }
+                }
+                wordCoverage = validLetters / plaintext.length;
+            }
+
+            // Combined score: n-gram (70%) + dictionary (30%)
+            const combinedScore = (ngramScore * 0.7) + (wordCoverage * 0.3);
+
+            if (combinedScore > bestResult.score) {
+                let confidence = 0.5;
+                if (wordCoverage > 0.80) {
+                    confidence = 0.98;
+                } else if (wordCoverage > 0.70) {
+                    confidence = 0.95;
+                } else if (wordCoverage > 0.60) {
+                    confidence = 0.90;
+                } else if (ngramScore > 0.70) {
+                    confidence = 0.85;
+                } else if (ngramScore > 0.60) {
+                    confidence = 0.75;
+                } else if (ngramScore > 0.50) {
+                    confidence = 0.65;
+                }
+
+                bestResult = {
+                    plaintext: TextUtils.matchLayout(ciphertext, plaintext),
+                    method: 'route',
+                    confidence,
+                    score: combinedScore,
+                    ngramScore,
+                    key: candidate.key,
+                    wordCoverage,
+                    dictionaryCoverage: wordCoverage,  // Alias for ResultAggregator
+                    isTranspositionCandidate: true
+                };
+            }
+        }
+
+        return bestResult;
+    }
+
+    /**
+     * Grids that can hold a text: full grids (rows × cols = length, e.g. padded by Route) and grids whose
+     * last row is short (fewer than cols letters in it).
+     * @param {number} length - Number of letters
+     * @returns {Array<{rows: number, cols: number, padded: boolean}>}
+     */
+    static grids(length) {
+        const grids = [];
+        for (let cols = 2; cols <= Math.floor(length / 2); cols++) {
+            const rows = Math.ceil(length / cols);
+            grids.push({ rows, cols, padded: rows * cols === length });
+        }
+        return grids;
+    }
+
+    /**
+     * Every route through a rows × cols grid, each one once: the order in which it visits the cells
+     * (row-major indexes). Reading the grid row by row from the top left is no transposition and is left out.
+     * @param {number} rows - Number of rows
+     * @param {number} cols - Number of columns
+     * @returns {Array<{key: {route: string, corner: string, turned: boolean, reversed: boolean}, order: Array<number>}>}
+     */
+    static routes(rows, cols) {
+        const seen = new Set([Array.from({ length: rows * cols }, (_, i) => i).join(',')]);
+        const routes = [];
+        for (const route of ROUTES) {
+            for (const turned of [false, true]) {
+                // A turned route is the route of the transposed grid
+                const cells = turned
+                    ? RouteSolver.path(route, cols, rows).map(([r, c]) => [c, r])
+                    : RouteSolver.path(route, rows, cols);
+                for (const corner of CORNERS) {
+                    const flipRows = corner.startsWith('bottom');
+                    const flipCols = corner.endsWith('right');
+                    const order = cells.map(([r, c]) => (flipRows ? rows - 1 - r : r) * cols + (flipCols ? cols - 1 - c : c));
+                    for (const reversed of [false, true]) {
+                        const visits = reversed ? [...order].reverse() : order;
+                        const signature = visits.join(',');
+                        if (seen.has(signature)) continue;
+                        seen.add(signature);
+                        routes.push({ key: { route, corner, turned, reversed }, order: visits });
+                    }
+                }
+            }
+        }
+        return routes;
+    }
+
+    /**
+     * Cells of a rows × cols grid in the order Route reads them from the top left.
+     * @param {string} route - 'spiral', 'zigzag' or 'column'
+     * @param {number} rows - Number of rows
+     * @param {number} cols - Number of columns
+     * @returns {Array<Array<number>>} [row, col] pairs
+     */
+    static path(route, rows, cols) {
+        const cells = [];
+        if (route === 'spiral') {
+            let top = 0, bottom = rows - 1;
+            let left = 0, right = cols - 1;
+            while (top <= bottom && left <= right) {
+                for (let c = left; c <= right; c++) cells.push([top, c]);
+                top++;
+                for (let r = top; r <= bottom; r++) cells.push([r, right]);
+                right--;
+                if (top <= bottom) {
+                    for (let c = right; c >= left; c--) cells.push([bottom, c]);
+                    bottom--;
+                }
+                if (left <= right) {
+                    for (let r = bottom; r >= top; r--) cells.push([r, left]);
+                    left++;
+                }
+            }
+        } else if (route === 'zigzag') {
+            for (let r = 0; r < rows; r++) {
+                for (let i = 0; i < cols; i++) cells.push([r, r % 2 === 0 ? i : cols - 1 - i]);
+            }
+        } else {
+            for (let c = 0; c < cols; c++) {
+                for (let r = 0; r < rows; r++) cells.push([r, c]);
+            }
+        }
+        return cells;
+    }
+
+    /**
+     * Decrypts along a route: the k-th ciphertext letter goes to the k-th cell visited, the cells past
+     * the end of the text (short last row) are skipped.
+     * @param {string} letters - Ciphertext letters
+     * @param {Array<number>} order - Visited cells (row-major indexes, see routes)
+     * @returns {string} Grid read row by row
+     */
+    static decrypt(letters, order) {
+        const plaintext = new Array(letters.length);
+        let k = 0;
+        for (const cell of order) {
+            if (cell < letters.length) {
+                plaintext[cell] = letters[k++];
+            }
+        }
+        return plaintext.join('');
+    }
+}
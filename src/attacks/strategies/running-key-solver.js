@@ -0,0 +1,381 @@
+import { default as Polyalphabetic } from '../../ciphers/polyalphabetic/polyalphabetic.js';
+import { Scorer } from '../../search/scorer.js';
+import { Scorers } from '../../language/scorers.js';
+import { TextUtils } from '../../core/text-utils.js';
+import { LanguageAnalysis } from '../../analysis/analysis-core.js';
+
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+/**
+ * Running Key Cipher Solver
+ *
+ * Every ciphertext letter is the sum of a plaintext letter and a key letter, and both come from
+ * natural language. The solver separates the two streams with the language models of
+ * src/language/models:
+ * 1. Book key: when candidate key texts are given, every offset of every text is tried.
+ * 2. Viterbi: the most likely pair of streams under a trigram model (states are the last two
+ *    plaintext letters, the key letter follows from the ciphertext), then quadgram hill climbing
+ *    one position at a time. Known plaintext fragments (cribs) pin their positions.
+ * 3. Crib dragging: dragCrib() slides a probable word along the ciphertext and ranks the key
+ *    fragments it implies.
+ *
+ * The models give unseen n-grams a backoff probability (shorter n-gram times letter frequency)
+ * so that sparse tables still rank every candidate.
+ * Plaintext and key play the same role in the cipher: without cribs the solver cannot tell which
+ * recovered stream is the message, so both are reported.
+ */
+export class RunningKeySolver {
+    constructor(language = 'english') {
+        this.language = language;
+        this.quadgrams = new Scorer(language, 4);
+        this.trigrams = new Scorer(language, 3);
+        this.bigrams = new Scorer(language, 2);
+        this.tables = null;
+    }
+
+    /**
+     * Solves a running key cipher.
+     * @param {string} ciphertext - The encrypted text
+     * @param {Object} options - Solver options
+     * @param {Array<string>} options.keyTexts - Candidate key texts (books) to slide along the ciphertext
+     * @param {Array<{offset:number, text:string}>} options.cribs - Known plaintext at letter offsets
+     * @param {number} options.passes - Quadgram refinement passes (default: 10)
+     * @returns {Promise<Object>} Result with plaintext, keyText, method, confidence, score, etc.
+     */
+    async solve(ciphertext, options = {}) {
+        const { keyTexts = [], cribs = [], passes = 10 } = options;
+        const letters = TextUtils.onlyLetters(ciphertext);
+
+        if (letters.length < 10) {
+            return this._emptyResult(ciphertext);
+        }
+
+        if (keyTexts.length > 0) {
+            const book = this.searchKeyTexts(ciphertext, keyTexts);
+            if (book && book.confidence >= 0.65) {
+                return book;
+            }
+        }
+
+        const cipher = Array.from(letters, char => char.charCodeAt(0) - 65);
+        const fixed = this._fixedLetters(cipher.length, cribs);
+        let plain = this.viterbi(cipher, fixed);
+        plain = this._refine(cipher, plain, fixed, passes);
+
+        const plaintext = plain.map(value => ALPHABET[value]).join('');
+        const keyText = cipher.map((value, i) => ALPHABET[(value - plain[i] + 26) % 26]).join('');
+        return this._buildResult(ciphertext, plaintext, keyText, { offset: null, source: null, swap: cribs.length === 0 });
+    }
+
+    /**
+     * Slides every candidate key text along the ciphertext and keeps the best decryption.
+     * @param {string} ciphertext - The encrypted text
+     * @param {Array<string>} keyTexts - Candidate key texts
+     * @returns {Object|null} Best result (with offset and source index) or null if no text is long enough
+     */
+    searchKeyTexts(ciphertext, keyTexts) {
+        const letters = TextUtils.onlyLetters(ciphertext);
+        let best = null;
+
+        keyTexts.forEach((keyText, source) => {
+            const keyLetters = TextUtils.onlyLetters(keyText);
+            for (let offset = 0; offset + letters.length <= keyLetters.length; offset++) {
+                const cipher = new Polyalphabetic.RunningKey(letters, keyLetters, true, false, offset);
+                const plaintext = cipher.decode();
+                const score = this._score(plaintext);
+                if (!best || score > best.score) {
+                    best = { plaintext, keyText: keyLetters.slice(offset, offset + letters.length), offset, source, score };
+                }
+            }
+        });
+
+        return best ? this._buildResult(ciphertext, best.plaintext, best.keyText, best) : null;
+    }
+
+    /**
+     * Drags a probable word along the ciphertext: at every offset the word implies a key fragment,
+     * which should read as language at the right offset.
+     * @param {string} ciphertext - The encrypted text
+     * @param {string} crib - Probable plaintext word
+     * @param {number} top - Results returned (default: 10)
+     * @returns {Array<{offset:number, keyFragment:string, score:number}>} Best offsets first
+     */
+    dragCrib(ciphertext, crib, top = 10) {
+        const letters = TextUtils.onlyLetters(ciphertext);
+        const word = TextUtils.onlyLetters(crib);
+        const tables = this._getTables();
+        const results = [];
+
+        for (let offset = 0; offset + word.length <= letters.length; offset++) {
+            let keyFragment = '';
+            for (let i = 0; i < word.length; i++) {
+                keyFragment += ALPHABET[(letters.charCodeAt(offset + i) - word.charCodeAt(i) + 26) % 26];
+            }
+            results.push({ offset, keyFragment, score: this._fragmentScore(keyFragment, tables) });
+        }
+
+        return results.sort((a, b) => b.score - a.score).slice(0, top);
+    }
+
+    /**
+     * Most likely plaintext stream under a trigram model of both streams.
+     * @param {Array<number>} cipher - Ciphertext letters (0-25)
+     * @param {Array<number|null>} fixed - Known plaintext letters (null where unknown)
+     * @returns {Array<number>} Plaintext letters (0-25)
+     */
+    viterbi(cipher, fixed = []) {
+        const { lp1, lp2, lp3 } = this._getTables();
+        const n = cipher.length;
+        const allowed = i => (fixed[i] === undefined || fixed[i] === null ? null : fixed[i]);
+        const keyOf = (i, p) => (cipher[i] - p + 26) % 26;
+
+        // score[b * 26 + c]: best path whose last two plaintext letters are b, c
+        let score = new Float64Array(676).fill(-Infinity);
+        const back = new Uint8Array(n * 676);
+
+        for (let b = 0; b < 26; b++) {
+            if (allowed(0) !== null && allowed(0) !== b) continue;
+            for (let c = 0; c < 26; c++) {
+                if (allowed(1) !== null && allowed(1) !== c) continue;
+                score[b * 26 + c] = lp2[b * 26 + c] + lp2[keyOf(0, b) * 26 + keyOf(1, c)];
+            }
+        }
+
+        for (let i = 2; i < n; i++) {
+            const next = new Float64Array(676).fill(-Infinity);
+            for (let c = 0; c < 26; c++) {
+                if (allowed(i) !== null && allowed(i) !== c) continue;
+                const kc = keyOf(i, c);
+                for (let b = 0; b < 26; b++) {
+                    const kb = keyOf(i - 1, b);
+                    let bestScore = -Infinity;
+                    let bestA = 0;
+                    for (let a = 0; a < 26; a++) {
+                        const previous = score[a * 26 + b];
+                        if (previous === -Infinity) continue;
+                        const ka = keyOf(i - 2, a);
+                        const plain = lp3[(a * 26 + b) * 26 + c] - lp2[a * 26 + b];
+                        const key = lp3[(ka * 26 + kb) * 26 + kc] - lp2[ka * 26 + kb];
+                        const total = previous + plain + key;
+                        if (total > bestScore) {
+                            bestScore = total;
+                            bestA = a;
+                        }
+                    }
+                    next[b * 26 + c] = bestScore;
+                    back[i * 676 + b * 26 + c] = bestA;
+                }
+            }
+            score = next;
+        }
+
+        let state = 0;
+        for (let s = 1; s < 676; s++) {
+            if (score[s] > score[state]) state = s;
+        }
+
+        const plain = new Array(n);
+        plain[n - 1] = state % 26;
+        if (n > 1) plain[n - 2] = Math.floor(state / 26);
+        for (let i = n - 1; i >= 2; i--) {
+            plain[i - 2] = back[i * 676 + plain[i - 1] * 26 + plain[i]];
+        }
+        return plain;
+    }
+
+    /**
+     * Quadgram hill climbing: changes one plaintext letter (and so its key letter) at a time
+     * while the sum of both streams' quadgram scores improves.
+     * @private
+     */
+    _refine(cipher, plain, fixed, passes) {
+        const { lp4 } = this._getTables();
+        const result = [...plain];
+        const n = cipher.length;
+        const key = i => (cipher[i] - result[i] + 26) % 26;
+
+        const local = i => {
+            let total = 0;
+            for (let start = Math.max(0, i - 3); start <= Math.min(i, n - 4); start++) {
+                let p = 0;
+                let k = 0;
+                for (let j = start; j < start + 4; j++) {
+                    p = p * 26 + result[j];
+                    k = k * 26 + key(j);
+                }
+                total += lp4[p] + lp4[k];
+            }
+            return total;
+        };
+
+        for (let pass = 0; pass < passes; pass++) {
+            let improved = false;
+            for (let i = 0; i < n; i++) {
+                if (fixed[i] !== undefined && fixed[i] !== null) continue;
+                const original = result[i];
+                let bestLetter = original;
+                let bestScore = local(i);
+                for (let letter = 0; letter < 26; letter++) {
+                    if (letter === original) continue;
+                    result[i] = letter;
+                    const candidate = local(i);
+                    if (candidate > bestScore + 1e-9) {
+                        bestScore = candidate;
+                        bestLetter = letter;
+                    }
+                }
+                result[i] = bestLetter;
+                if (bestLetter !== original) improved = true;
+            }
+            if (!improved) break;
+        }
+        return result;
+    }
+
+    /**
+     * Known plaintext letters by position.
+     * @private
+     */
+    _fixedLetters(length, cribs) {
+        const fixed = new Array(length).fill(null);
+        for (const { offset, text } of cribs) {
+            const word = TextUtils.onlyLetters(text);
+            for (let i = 0; i < word.length && offset + i < length; i++) {
+                fixed[offset + i] = word.charCodeAt(i) - 65;
+            }
+        }
+        return fixed;
+    }
+
+    /**
+     * Mean quadgram log probability of a short fragment under the backoff model.
+     * @private
+     */
+    _fragmentScore(fragment, tables) {
+        const values = Array.from(fragment, char => char.charCodeAt(0) - 65);
+        const order = Math.min(4, values.length);
+        const table = [null, tables.lp1, tables.lp2, tables.lp3, tables.lp4][order];
+        let total = 0;
+        let count = 0;
+        for (let start = 0; start + order <= values.length; start++) {
+            let index = 0;
+            for (let j = start; j < start + order; j++) index = index * 26 + values[j];
+            total += table[index];
+            count++;
+        }
+        return count > 0 ? total / count : -Infinity;
+    }
+
+    /**
+     * Log10 probability tables of 1- to 4-grams. Listed n-grams keep their frequency; the others
+     * back off to the (n-1)-gram times the letter frequency, scaled so every table sums to 1.
+     * @private
+     */
+    _getTables() {
+        if (this.tables) return this.tables;
+
+        const data = LanguageAnalysis.languages[this.language] || LanguageAnalysis.languages.english;
+        const monograms = data.monograms || {};
+        const total = Object.values(monograms).reduce((sum, value) => sum + value, 0) || 1;
+        const lp1 = new Float64Array(26);
+        for (let a = 0; a < 26; a++) {
+            // Letters missing from the model get a tiny frequency
+            lp1[a] = Math.log10(Math.max(monograms[ALPHABET[a]] || 0, 0.01) / total);
+        }
+
+        const extend = (previous, listed, order) => {
+            const size = Math.pow(26, order);
+            const table = new Float64Array(size);
+            const known = new Map();
+            for (const [ngram, value] of Object.entries(listed || {})) {
+                if (ngram.length === order && /^[A-Z]+$/.test(ngram) && value > 0) {
+                    let index = 0;
+                    for (const char of ngram) index = index * 26 + char.charCodeAt(0) - 65;
+                    known.set(index, value / 100);
+                }
+            }
+
+            let listedMass = 0;
+            let backoffMass = 0;
+            for (const [index, probability] of known) {
+                listedMass += probability;
+                backoffMass += Math.pow(10, previous[Math.floor(index / 26)] + lp1[index % 26]);
+            }
+            const scale = Math.log10(Math.max(1 - listedMass, 0.01) / Math.max(1 - backoffMass, 0.01));
+
+            for (let index = 0; index < size; index++) {
+                table[index] = known.has(index)
+                    ? Math.log10(known.get(index))
+                    : previous[Math.floor(index / 26)] + lp1[index % 26] + scale;
+            }
+            return table;
+        };
+
+        const lp2 = extend(lp1, data.bigrams, 2);
+        const lp3 = extend(lp2, data.trigrams, 3);
+        const lp4 = extend(lp3, data.quadgrams, 4);
+        this.tables = { lp1, lp2, lp3, lp4 };
+        return this.tables;
+    }
+
+    /**
+     * Combined n-gram score (higher is better).
+     * @private
+     */
+    _score(text) {
+        return this.quadgrams.score(text) + 0.5 * this.trigrams.score(text) + 0.25 * this.bigrams.score(text);
+    }
+
+    /**
+     * Builds the result object. Without cribs the stream that scores better is reported as the plaintext,
+     * in the layout of the ciphertext.
+     * @private
+     */
+    _buildResult(ciphertext, plaintext, keyText, { offset, source, swap = false }) {
+        let [message, key] = [plaintext, keyText];
+        if (swap && this._score(keyText) > this._score(plaintext)) {
+            [message, key] = [keyText, plaintext];
+        }
+        const ngramScore = Scorers.scoreTextNormalized(message, this.language, { useFallback: true });
+
+        let confidence = 0.5;
+        if (ngramScore > 0.70) {
+            confidence = 0.85;
+        } else if (ngramScore > 0.60) {
+            confidence = 0.75;
+        } else if (ngramScore > 0.50) {
+            confidence = 0.65;
+        }
+        // Without the key text both streams are only statistically separated
+        if (source === null) {
+            confidence = Math.min(confidence, 0.6);
+        }
+
+        return {
+            plaintext: TextUtils.matchLayout(ciphertext, message),
+            keyText: key,
+            method: 'running-key',
+            confidence,
+            score: this._score(message),
+            ngramScore,
+            key: key,
+            offset,
+            source,
+            wordCoverage: 0,
+            dictionaryCoverage: 0
+        };
+    }
+
+    /**
+     * @private
+     */
+    _emptyResult(ciphertext) {
+        return {
+            plaintext: ciphertext,
+            method: 'running-key',
+            confidence: 0,
+            score: -Infinity,
+            key: null
+        };
+    }
+}
@@ -0,0 +1,120 @@
+import 'regenerator-runtime/runtime';
+import { SimulatedAnnealing } from '../../search/simulated-annealing.js';
+import { Scorer } from '../../search/scorer.js';
+import { Scorers } from '../../language/scorers.js';
+import { KeySquare } from '../../search/key-square.js';
+
+// Left square: the plain alphabet without J
+const PLAIN_SQUARE = KeySquare.fromKeyword('');
+
+/**
+ * Two-Square Ciphertext-only Solver
+ *
+ * TwoSquare pairs a plain square with a keyed one and reads every letter at the same place in the
+ * other square, so only the keyed square is unknown: it is annealed with the Playfair square moves and
+ * the decryptions are scored with the corpus quadgrams of the Scorer, temperatures given per ciphertext letter like the
+ * Playfair solver. The restarts stop at the first decryption that reads like the language, and the
+ * confidence comes from its quadgram quality.
+ *
+ * With `keywords` (e.g. a dictionary word list) the first run starts from the best keyword square
+ * instead of a random one.
+ */
+export class TwoSquareSolver {
+    constructor(language = 'english') {
+        this.language = language;
+        this.scorer = new Scorer(language, 4, { corpus: true });
+    }
+
+    /**
+     * Searches the keyed square.
+     * @param {string} ciphertext - The encrypted text
+     * @param {Object} options - Solver options
+     * @param {number} options.maxIterations - Moves per run (default: 100000)
+     * @param {number} options.initialTemp - Initial temperature per ciphertext letter (default: 0.1)
+     * @param {number} options.finalTemp - Final temperature per ciphertext letter (default: 0.007)
+     * @param {number} options.restarts - Most runs (default: 4)
+     * @param {Array<string>} options.keywords - Keywords to build the starting square from (default: none)
+     * @param {Function} options.random - Numbers in [0, 1) (default: Math.random)
+     * @returns {Promise<Object>} Result with plaintext, method, confidence, score, key (the keyed square), etc.
+     */
+    async solve(ciphertext, options = {}) {
+        const {
+            maxIterations = 100000,
+            initialTemp = 0.1,
+            finalTemp = 0.007,
+            restarts = 4,
+            keywords = [],
+            random = Math.random
+        } = options;
+
+        const letters = ciphertext.toUpperCase().replace(/J/g, 'I').replace(/[^A-Z]/g, '');
+        if (letters.length < 4 || letters.length % 2 !== 0) {
+            return this._emptyResult(ciphertext);
+        }
+
+        const score = square => this.scorer.total(TwoSquareSolver.decrypt(letters, square));
+        let best = null;
+        for (let restart = 0; restart < restarts; restart++) {
+            let start = KeySquare.random(random);
+            if (restart === 0 && keywords.length > 0) {
+                start = keywords
+                    .map(keyword => KeySquare.fromKeyword(keyword))
+                    .reduce((a, b) => (score(b) > score(a) ? b : a));
+            }
+            const result = SimulatedAnnealing.anneal({
+                key: start,
+                score,
+                neighbour: square => KeySquare.neighbour(square, random),
+                maxIterations,
+                initialTemp: initialTemp * letters.length,
+                finalTemp: finalTemp * letters.length,
+                random
+            });
+            if (!best || result.score > best.score) {
+                best = result;
+            }
+            if (this.scorer.confidence(TwoSquareSolver.decrypt(letters, best.key)) >= 0.9) {
+                break;
+            }
+        }
+
+        const plaintext = TwoSquareSolver.decrypt(letters, best.key);
+        return {
+            plaintext,
+            method: 'two-square',
+            confidence: this.scorer.confidence(plaintext),
+            score: this.scorer.score(plaintext),
+            ngramScore: Scorers.scoreTextNormalized(plaintext, this.language, { useFallback: true }),
+            key: best.key
+        };
+    }
+
+    /**
+     * Decrypts with the keyed square (same as TwoSquare.decodeDigraph).
+     * @param {string} letters - Ciphertext letters
+     * @param {string} square - Keyed square, 25 letters row by row
+     * @returns {string}
+     */
+    static decrypt(letters, square) {
+        const positions = {};
+        for (let i = 0; i < 25; i++) positions[square[i]] = i;
+        let plaintext = '';
+        for (const letter of letters) {
+            plaintext += PLAIN_SQUARE[positions[letter]];
+        }
+        return plaintext;
+    }
+
+    /**
+     * @private
+     */
+    _emptyResult(ciphertext) {
+        return {
+            plaintext: ciphertext,
+            method: 'two-square',
+            confidence: 0,
+            score: -Infinity,
+            key: null
+        };
+    }
+}
@@ -1,4 +1,4 @@
-import { LanguageAnalysis } from '../../analysis/analysis.js';
+import { LanguageAnalysis } from '../../analysis/analysis-core.js';
 import { DictionaryValidator } from '../../language/dictionary-validator.js';
 import { TextUtils } from '../../core/text-utils.js';
 import { Scorers } from '../../language/scorers.js';
@@ -0,0 +1,108 @@
+import ADFGX from '../../ciphers/dictionary/adfgx.js';
+import ADFGVX from '../../ciphers/dictionary/adfgvx.js';
+import { AdfgxSolver } from '../strategies/adfgx-solver.js';
+import { TEST_TEXTS } from './common/test-texts.js';
+import { seeded } from './common/seeded.js';
+
+// Rank (1-n) of every column of a transposition keyword without repeated letters
+const ranksOf = keyword => keyword.split('').map(letter => [...keyword].sort().indexOf(letter) + 1);
+
+describe('AdfgxSolver', () => {
+    const plaintext = TEST_TEXTS.english.long;
+
+    test('should undo the transposition of the ADFGX cipher with its key', () => {
+        const adfgx = new ADFGX(plaintext, 'PHQGM', 'CARGO');
+        const ciphertext = adfgx.encode();
+        const coordinates = plaintext.replace(/[^A-Z]/g, '').split('').map(letter => {
+            const { row, col } = adfgx.findPosition(letter);
+            return 'ADFGX'[row] + 'ADFGX'[col];
+        }).join('');
+
+        expect(ranksOf('CARGO')).toEqual([2, 1, 5, 3, 4]);
+        expect(AdfgxSolver.untranspose(ciphertext, ranksOf('CARGO')).startsWith(coordinates)).toBe(true);
+        expect(AdfgxSolver.pairs('ADFGX')).toEqual(['AD', 'FG']);
+    });
+
+    test('should only take texts of coordinate letters', async () => {
+        const solver = new AdfgxSolver('english');
+
+        expect(AdfgxSolver.isAdfgxText('ADFGXXGFDAADFGXXGFDA')).toBe(true);
+        expect(AdfgxSolver.isAdfgxText('ADFGVXXVGFDAADFGVXXVGFDA')).toBe(true);
+        expect(AdfgxSolver.isAdfgxText('ADFGXADFGX')).toBe(false);
+        expect(AdfgxSolver.isAdfgxText('AAAAADDDDDAAAAADDDDD')).toBe(false);
+
+        const rejected = await solver.solve('HELLO WORLD THIS IS NOT ADFGX AT ALL');
+        expect(rejected.confidence).toBe(0);
+        expect(rejected.key).toBeNull();
+    });
+
+    test('should recover odd transposition keys', async () => {
+        const solver = new AdfgxSolver('english');
+
+        for (const keyword of ['CARGO', 'PRIVATE', 'DUMBWAITERS']) {
+            const ciphertext = new ADFGX(plaintext, 'PHQGM', keyword).encode();
+            const result = await solver.solve(ciphertext, { restarts: 1 });
+
+            expect(result.method).toBe('adfgx');
+            expect(result.key.transposition).toEqual(ranksOf(keyword));
+        }
+    }, 60000);
+
+    test('should recover even transposition keys up to the order inside the pairs', async () => {
+        const solver = new AdfgxSolver('english');
+        // Swapping the two columns of every pair reads the square transposed
+        const swapped = ranks => ranks.map((rank, i) => ranks[i % 2 === 0 ? i + 1 : i - 1]);
+
+        for (const keyword of ['GERMAN', 'BLACKSMITH', 'CRYPTOGAMS']) {
+            const ciphertext = new ADFGX(plaintext, 'PHQGM', keyword).encode();
+            const result = await solver.solve(ciphertext, { restarts: 1 });
+
+            expect([ranksOf(keyword), swapped(ranksOf(keyword))]).toContainEqual(result.key.transposition);
+        }
+
+        const adfgvx = await solver.solve(new ADFGVX(plaintext, 'PHQGM', 'GERMAN').encode(), { restarts: 1 });
+        expect(adfgvx.method).toBe('adfgvx');
+        expect([ranksOf('GERMAN'), swapped(ranksOf('GERMAN'))]).toContainEqual(adfgvx.key.transposition);
+    }, 60000);
+
+    test('should fill the square with the letters of the plaintext', async () => {
+        const solver = new AdfgxSolver('english');
+        const adfgx = new ADFGX(plaintext, 'PHQGM', 'CARGO');
+        const ciphertext = adfgx.encode();
+
+        const result = await solver.solve(ciphertext, { random: seeded(1) });
+        const pairs = AdfgxSolver.pairs(AdfgxSolver.untranspose(ciphertext, result.key.transposition));
+        // Cells of letters missing from the plaintext (K, X and Z) stay unknown
+        const square = adfgx.grid.flat().map(letter => (plaintext.includes(letter) ? letter : '?')).join('');
+
+        expect(result.key.square).toBe(square);
+        expect(result.plaintext).toBe(plaintext.replace(/[^A-Z]/g, ''));
+        expect(result.confidence).toBe(0.9);
+        pairs.forEach((pair, i) => {
+            expect(result.key.square['ADFGX'.indexOf(pair[0]) * 5 + 'ADFGX'.indexOf(pair[1])]).toBe(result.plaintext[i]);
+        });
+    }, 60000);
+
+    test('should recover most letters of a shorter message', async () => {
+        const solver = new AdfgxSolver('english');
+        const letters = TEST_TEXTS.english.medium.replace(/[^A-Z]/g, '');
+        const ciphertext = new ADFGX(TEST_TEXTS.english.medium, 'ZEBRAS', 'CARGO').encode();
+
+        const result = await solver.solve(ciphertext, { random: seeded(1) });
+        const recovered = [...letters].filter((letter, i) => result.plaintext[i] === letter).length;
+
+        // 125 letters: letters seen once or twice (V, M here) may swap
+        expect(result.key.transposition).toEqual(ranksOf('CARGO'));
+        expect(recovered / letters.length).toBeGreaterThan(0.9);
+    }, 60000);
+
+    test('should give a wrong square a low confidence', async () => {
+        const solver = new AdfgxSolver('english');
+        const ciphertext = new ADFGX(plaintext, 'PHQGM', 'CARGO').encode();
+
+        const result = await solver.solve(ciphertext, { maxIterations: 0, restarts: 1 });
+
+        expect(result.key.transposition).toEqual(ranksOf('CARGO'));
+        expect(result.confidence).toBe(0.3);
+    });
+});
@@ -0,0 +1,41 @@
+import Affine from '../../ciphers/shift/affine.js';
+import { AffineSolver } from '../strategies/affine-solver.js';
+import { TEST_TEXTS } from './common/test-texts.js';
+
+describe('AffineSolver', () => {
+    test('should recover the key and keep the layout', async () => {
+        const ciphertext = new Affine(TEST_TEXTS.english.long, [7, 11]).encode();
+
+        const result = await new AffineSolver('english').solve(ciphertext);
+
+        expect(result.method).toBe('affine');
+        expect(result.key).toEqual({ a: 7, b: 11 });
+        expect(result.plaintext).toBe(TEST_TEXTS.english.long);
+        expect(result.confidence).toBeGreaterThan(0.8);
+    });
+
+    test('should break short messages and Caesar shifts', async () => {
+        const solver = new AffineSolver('english');
+
+        const affine = await solver.solve(new Affine(TEST_TEXTS.english.medium, [19, 4]).encode());
+        expect(affine.key).toEqual({ a: 19, b: 4 });
+
+        const caesar = await solver.solve(new Affine(TEST_TEXTS.english.medium, [1, 3]).encode());
+        expect(caesar.key).toEqual({ a: 1, b: 3 });
+    });
+
+    test('should work in other languages', async () => {
+        const ciphertext = new Affine(TEST_TEXTS.spanish.long, [5, 20]).encode();
+
+        const result = await new AffineSolver('spanish').solve(ciphertext);
+
+        expect(result.key).toEqual({ a: 5, b: 20 });
+    });
+
+    test('should return an empty result without enough letters', async () => {
+        const result = await new AffineSolver('english').solve('AB 12');
+
+        expect(result.confidence).toBe(0);
+        expect(result.key).toBeNull();
+    });
+});
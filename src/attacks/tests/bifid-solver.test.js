@@ -0,0 +1,66 @@
+import Bifid from '../../ciphers/dictionary/bifid.js';
+import { BifidSolver } from '../strategies/bifid-solver.js';
+import { KeySquare } from '../../search/key-square.js';
+import { TEST_TEXTS } from './common/test-texts.js';
+import { seeded } from './common/seeded.js';
+
+describe('BifidSolver', () => {
+    const square = KeySquare.fromKeyword('KEYWORD');
+    const encode = period => new Bifid(TEST_TEXTS.english.long, 'KEYWORD', false, false, period).encode();
+    const plaintext = TEST_TEXTS.english.long.toUpperCase().replace(/J/g, 'I').replace(/[^A-Z]/g, '');
+
+    test('should decrypt like the Bifid cipher with its square', () => {
+        for (const period of [0, 5, 7, 10]) {
+            const ciphertext = encode(period);
+            expect(BifidSolver.decrypt(ciphertext, square, period)).toBe(new Bifid(ciphertext, 'KEYWORD', true, false, period).decode());
+            expect(BifidSolver.decrypt(ciphertext, square, period)).toBe(plaintext);
+        }
+    });
+
+    test('should detect the period before searching the square', async () => {
+        const solver = new BifidSolver('english');
+
+        for (const period of [5, 7, 10]) {
+            const result = await solver.solve(encode(period), { square, maxIterations: 0, restarts: 1 });
+            expect(result.key).toEqual({ square, period });
+            expect(result.plaintext).toBe(plaintext);
+        }
+    });
+
+    test('should take a known period, 0 for the whole message', async () => {
+        const solver = new BifidSolver('english');
+
+        const result = await solver.solve(encode(0), { period: 0, square, maxIterations: 0, restarts: 1 });
+
+        expect(result.key).toEqual({ square, period: 0 });
+        expect(result.plaintext).toBe(plaintext);
+    });
+
+    test('should recover the plaintext of a 334-letter ciphertext', async () => {
+        const solver = new BifidSolver('english');
+        const ciphertext = encode(7);
+
+        const result = await solver.solve(ciphertext, { random: seeded(3) });
+
+        // Squares with the same permutation of their rows and columns decrypt alike: the plaintext is checked
+        expect(result.method).toBe('bifid');
+        expect(result.key.period).toBe(7);
+        expect(result.key.square.split('').sort().join('')).toBe('ABCDEFGHIKLMNOPQRSTUVWXYZ');
+        expect(result.plaintext).toBe(plaintext);
+        expect(result.confidence).toBe(0.9);
+
+        const rejected = await solver.solve('ABC');
+        expect(rejected.confidence).toBe(0);
+        expect(rejected.key).toBeNull();
+    }, 120000);
+
+    test('should give a wrong square a low confidence', async () => {
+        const solver = new BifidSolver('english');
+        const ciphertext = encode(7);
+
+        const result = await solver.solve(ciphertext, { maxIterations: 0, restarts: 1, random: seeded(3) });
+
+        expect(result.plaintext).toBe(BifidSolver.decrypt(ciphertext, result.key.square, 7));
+        expect(result.confidence).toBe(0.3);
+    });
+});
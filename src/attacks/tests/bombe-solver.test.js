@@ -0,0 +1,78 @@
+import Enigma from '../../ciphers/enigma/enigma.js';
+import { BombeSolver } from '../strategies/bombe-solver.js';
+
+describe('BombeSolver', () => {
+    jest.setTimeout(60000);
+
+    const plaintext = 'ANXKOMMANDIERENDENADMIRALXWETTERVORHERSAGEBISKAYAXNORDWESTWINDSTAERKEFUENFXSEEGANGVIER';
+    const crib = 'WETTERVORHERSAGE';
+    const cribOffset = plaintext.indexOf(crib);
+    const plugboard = 'AB CD EF GH IJ KL MN OP QR ST';
+    const ciphertext = new Enigma(plaintext, 'QWE', 'AAA', plugboard, '241').encode();
+
+    test('should drop crib offsets where a letter would encipher to itself', () => {
+        const solver = new BombeSolver('german');
+        const offsets = solver.candidateOffsets(ciphertext, crib);
+
+        expect(offsets).toContain(cribOffset);
+        offsets.forEach(offset => {
+            crib.split('').forEach((letter, i) => expect(ciphertext[offset + i]).not.toBe(letter));
+        });
+        expect(offsets.length).toBeLessThan(ciphertext.length - crib.length + 1);
+    });
+
+    test('should build the menu of a crib', () => {
+        const menu = new BombeSolver('german').buildMenu(ciphertext, crib, cribOffset);
+
+        expect(menu.edges).toHaveLength(crib.length);
+        expect(menu.edges[0]).toEqual({ step: 0, plain: 'W', cipher: ciphertext[cribOffset] });
+        expect(menu.letters).toContain(menu.testLetter);
+        expect(menu.loops).toBeGreaterThanOrEqual(0);
+    });
+
+    test('should find the rotor start and plugboard of an M3 from a crib', async () => {
+        const solver = new BombeSolver('german');
+        const result = await solver.solve(ciphertext, {
+            crib,
+            offsets: [cribOffset - 1, cribOffset, cribOffset + 1],
+            rotorOrders: ['123', '241']
+        });
+
+        expect(result.method).toBe('enigma-bombe');
+        expect(result.offset).toBe(cribOffset);
+        expect(result.key.rotors).toBe('241');
+        expect(result.key.keySettings).toBe('QWE');
+        // Every pair found is a real one (letters outside the crib may stay unplugged)
+        result.key.plugboard.split(' ').forEach(pair => expect(plugboard).toContain(pair));
+        expect(result.plaintext.slice(cribOffset, cribOffset + crib.length)).toBe(crib);
+        expect(result.confidence).toBeGreaterThan(0.8);
+    });
+
+    test('should test positions directly on models without plugboard', async () => {
+        const message = 'KEINEBESONDERENEREIGNISSEXFEINDLICHEFLUGZEUGEUEBERDEMKANAL';
+        const encoded = new Enigma(message, 'BGMY', 'AAA', '', '321', false, false, null, null, 'G').encode();
+
+        const result = await new BombeSolver('german').solve(encoded, {
+            crib: 'KEINEBESONDEREN',
+            offsets: [0],
+            model: 'Abwehr G',
+            rotorOrders: ['321'],
+            reflectorPositions: ['A', 'B']
+        });
+
+        expect(result.key.keySettings).toBe('BGMY');
+        expect(result.key.plugboard).toBe('');
+        expect(result.plaintext).toBe(message);
+    });
+
+    test('should return an empty result when no offset is possible', async () => {
+        const solver = new BombeSolver('german');
+        const impossible = solver.candidateOffsets(ciphertext, crib).length === ciphertext.length - crib.length + 1
+            ? []
+            : [[...Array(ciphertext.length - crib.length + 1).keys()].find(offset => !solver.candidateOffsets(ciphertext, crib).includes(offset))];
+
+        const result = await solver.solve(ciphertext, { crib, offsets: impossible, rotorOrders: ['241'] });
+        expect(result.confidence).toBe(0);
+        expect(result.key).toBeNull();
+    });
+});
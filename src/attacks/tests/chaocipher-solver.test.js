@@ -0,0 +1,64 @@
+import Polyalphabetic from '../../ciphers/polyalphabetic/polyalphabetic.js';
+import { ChaocipherSolver } from '../strategies/chaocipher-solver.js';
+import { TEST_TEXTS } from './common/test-texts.js';
+import { TextUtils } from '../../core/text-utils.js';
+
+describe('ChaocipherSolver', () => {
+    const key = { left: 'HXUCZVAMDSLKPEFJRIGTWOBNYQ', right: 'PTLNBQDEOYSFAVZKGJRIHWXUMC' };
+
+    // Alphabets are only defined up to a common rotation: turn them so the first ciphertext letter is at the zenith
+    const normalize = (alphabets, ciphertext) => {
+        const rotation = alphabets.left.indexOf(ciphertext[0]);
+        const turn = alphabet => alphabet.slice(rotation) + alphabet.slice(0, rotation);
+        return { left: turn(alphabets.left), right: turn(alphabets.right) };
+    };
+    // Compares a partially recovered alphabet ('?' = unknown) with the real one
+    const matches = (recovered, expected) => Array.from(recovered).every((letter, i) => letter === '?' || letter === expected[i]);
+
+    test('should recover both alphabets from a crib at the start', async () => {
+        const plaintext = TextUtils.onlyLetters(`${TEST_TEXTS.english.short} ${TEST_TEXTS.english.long}`);
+        const ciphertext = new Polyalphabetic.Chaocipher(plaintext, key).encode();
+
+        const result = await new ChaocipherSolver('english').solve(ciphertext, { crib: plaintext.slice(0, 120) });
+
+        expect(result.method).toBe('chaocipher');
+        expect(result.complete).toBe(true);
+        expect(result.key).toEqual(normalize(key, ciphertext));
+        expect(result.plaintext).toBe(plaintext);
+        expect(result.confidence).toBeGreaterThan(0.9);
+    });
+
+    test('should unwind a crib in the middle back to the starting alphabets', async () => {
+        const plaintext = TextUtils.onlyLetters(TEST_TEXTS.english.long);
+        const ciphertext = new Polyalphabetic.Chaocipher(plaintext, key).encode();
+
+        const result = await new ChaocipherSolver('english').solve(ciphertext, { crib: plaintext.slice(100, 200), offset: 100 });
+        const expected = normalize(key, ciphertext);
+
+        expect(result.keyOffset).toBe(0);
+        expect(result.key.left).toBe(expected.left);
+        // Letters that never occur in the plaintext cannot be placed in the right alphabet
+        expect(matches(result.key.right, expected.right)).toBe(true);
+        expect(result.plaintext.startsWith('THEHISTORYOFCRYPTOGRAPHYBEGINS')).toBe(true);
+    });
+
+    test('should report letters the crib does not reveal as unknown', () => {
+        const plaintext = TextUtils.onlyLetters(TEST_TEXTS.english.long);
+        const ciphertext = new Polyalphabetic.Chaocipher(plaintext, key).encode();
+        const solver = new ChaocipherSolver('english');
+
+        const recovered = solver.recoverAlphabets(plaintext.slice(0, 55), ciphertext.slice(0, 55));
+        const expected = normalize(key, ciphertext);
+
+        expect(recovered.left).toContain('?');
+        expect(matches(recovered.left, expected.left)).toBe(true);
+        expect(matches(recovered.right, expected.right)).toBe(true);
+        expect(solver.decrypt(ciphertext.slice(0, 55), recovered)).toBe(plaintext.slice(0, 55));
+    });
+
+    test('should fail without a usable crib', async () => {
+        const solver = new ChaocipherSolver('english');
+        expect((await solver.solve('OAHQHCNYNX')).confidence).toBe(0);
+        expect((await solver.solve('OAHQHCNYNX', { crib: 'WELLDONEISBETTER' })).confidence).toBe(0);
+    });
+});
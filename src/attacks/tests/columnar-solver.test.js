@@ -0,0 +1,65 @@
+import KeyedColumnar from '../../ciphers/columnar/keyedColumnar.js';
+import { ColumnarSolver } from '../strategies/columnar-solver.js';
+import { TEST_TEXTS } from './common/test-texts.js';
+import { TextUtils } from '../../core/text-utils.js';
+import { seeded } from './common/seeded.js';
+
+describe('ColumnarSolver', () => {
+    const plaintext = TextUtils.onlyLetters(TEST_TEXTS.english.long);
+
+    test('should recover an irregular keyed columnar transposition', async () => {
+        const ciphertext = new KeyedColumnar(plaintext, 'ZEBRAS').encode();
+
+        const result = await new ColumnarSolver('english').solve(ciphertext, { maxWidth: 8 });
+
+        expect(result.method).toBe('keyed-columnar');
+        expect(result.width).toBe(6);
+        expect(result.plaintext).toBe(plaintext);
+        expect(result.isTranspositionCandidate).toBe(true);
+    });
+
+    test('should return a numeric key usable by KeyedColumnar', async () => {
+        const ciphertext = new KeyedColumnar(plaintext, 'SEVENTH').encode();
+
+        const result = await new ColumnarSolver('english').solve(ciphertext, { minWidth: 5, maxWidth: 9 });
+        const decoded = new KeyedColumnar(ciphertext, result.key, true).decode();
+
+        expect(result.key).toEqual([5, 1, 7, 2, 4, 6, 3]);
+        expect(decoded).toBe(plaintext);
+    });
+
+    test('should recover keys of 10 columns and more within the time budget', async () => {
+        for (const keyword of ['BLACKSMITH', 'DUMBWAITERS']) {
+            const ciphertext = new KeyedColumnar(plaintext, keyword).encode();
+            const started = Date.now();
+
+            const result = await new ColumnarSolver('english').solve(ciphertext, {
+                minWidth: 8,
+                maxWidth: 12,
+                maxTime: 20000,
+                random: seeded(1)
+            });
+
+            expect(result.width).toBe(keyword.length);
+            expect(result.plaintext).toBe(plaintext);
+            expect(Date.now() - started).toBeLessThan(20000);
+        }
+    }, 60000);
+
+    test('should stop climbing at the deadline', async () => {
+        const ciphertext = new KeyedColumnar(plaintext, 'DUMBWAITERS').encode();
+        const started = Date.now();
+
+        await new ColumnarSolver('english').solve(ciphertext, { minWidth: 12, maxTime: 500, random: seeded(1) });
+
+        // One neighbourhood of the climb may still finish after the deadline
+        expect(Date.now() - started).toBeLessThan(2000);
+    });
+
+    test('should return an empty result for texts that are too short', async () => {
+        const result = await new ColumnarSolver('english').solve('ABC');
+
+        expect(result.key).toBeNull();
+        expect(result.confidence).toBe(0);
+    });
+});
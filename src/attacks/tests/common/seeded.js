@@ -0,0 +1,14 @@
+/**
+ * Seeded random numbers for the search tests: the same seed repeats the same run
+ * (linear congruential generator, same constants as the C library example).
+ *
+ * @param {number} seed - Starting state
+ * @returns {Function} Numbers in [0, 1)
+ */
+export const seeded = seed => {
+    let state = seed;
+    return () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state / 2147483648;
+    };
+};
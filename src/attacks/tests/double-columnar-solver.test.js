@@ -0,0 +1,37 @@
+import DoubleColumnar from '../../ciphers/columnar/doubleColumnar.js';
+import { DoubleColumnarSolver } from '../strategies/double-columnar-solver.js';
+import { TEST_TEXTS } from './common/test-texts.js';
+import { TextUtils } from '../../core/text-utils.js';
+
+describe('DoubleColumnarSolver', () => {
+    const plaintext = TextUtils.onlyLetters(TEST_TEXTS.english.long);
+
+    test('should recover both keys of a narrow double transposition', async () => {
+        const ciphertext = new DoubleColumnar(plaintext, 'CAT', false, false, 'DOGS').encode();
+
+        const result = await new DoubleColumnarSolver('english').solve(ciphertext, { maxWidth: 5 });
+
+        expect(result.method).toBe('double-columnar');
+        expect(result.widths).toEqual([3, 4]);
+        expect(result.plaintext).toBe(plaintext);
+        expect(result.key).toEqual([2, 1, 3]);
+        expect(result.secondKey).toEqual([1, 3, 2, 4]);
+    }, 30000);
+
+    test('should search both keys jointly when the widths are known', async () => {
+        const ciphertext = new DoubleColumnar(plaintext, 'ZEBRAS', false, false, 'STRIPE').encode();
+
+        const result = await new DoubleColumnarSolver('english').solve(ciphertext, { widths: [6, 6] });
+        const decoded = new DoubleColumnar(ciphertext, result.key, true, false, result.secondKey).decode();
+
+        expect(decoded).toBe(plaintext);
+        expect(result.plaintext).toBe(plaintext);
+    }, 30000);
+
+    test('should return an empty result for texts that are too short', async () => {
+        const result = await new DoubleColumnarSolver('english').solve('ABC');
+
+        expect(result.key).toBeNull();
+        expect(result.confidence).toBe(0);
+    });
+});
@@ -0,0 +1,66 @@
+import Enigma from '../../ciphers/enigma/enigma.js';
+import EnigmaModels from '../../ciphers/enigma/models.js';
+import { EnigmaSolver } from '../strategies/enigma-solver.js';
+
+describe('EnigmaSolver', () => {
+    jest.setTimeout(60000);
+
+    const plaintext = 'ANXKOMMANDIERENDENADMIRALXWETTERVORHERSAGEBISKAYAXNORDWESTWINDSTAERKEFUENFXSEEGANGVIER' +
+        'XSICHTWEITEZEHNSEEMEILENXBEDECKTXREGENSCHAUERXLUFTDRUCKFALLENDXUBOOTEHALTENPOSITIONENXKONVOIERWARTET' +
+        'INQUADRATBRAVOXZWOXDREIXMORGENFRUEHXALLEEINHEITENMELDENSTANDORTUNDBRENNSTOFFVORRATBISZWOLFUHRXENDE';
+    const plugboard = 'AB CD EF GH IJ';
+    const ciphertext = new Enigma(plaintext, 'QWE', 'AFM', plugboard, '241').encode();
+
+    test('should recover rotor order, positions, rings and plugboard without crib', async () => {
+        const stages = [];
+        const result = await new EnigmaSolver('german').solve(ciphertext, {
+            rotorOrders: ['123', '241'],
+            onProgress: ({ stage, progress }) => stages.push({ stage, progress })
+        });
+
+        expect(result.method).toBe('enigma-ioc');
+        expect(result.plaintext).toBe(plaintext);
+        expect(result.key.rotors).toBe('241');
+        expect(result.key.plugboard).toBe(plugboard);
+        // The middle ring does not act within the message: any ring giving the same rotor cores is a solution
+        expect(result.key.keySettings[2]).toBe('E');
+        expect(result.key.ringSettings[2]).toBe('M');
+        expect(result.confidence).toBeGreaterThan(0.8);
+        expect(result.timedOut).toBe(false);
+
+        expect(stages.map(({ stage }) => stage)).toEqual(expect.arrayContaining(['positions', 'rings', 'plugboard', 'complete']));
+        expect(stages[stages.length - 1].progress).toBe(100);
+    });
+
+    test('should rank the positions of a rotor order by IoC', () => {
+        const solver = new EnigmaSolver('german');
+        const setup = { model: 'M3', machine: EnigmaModels.get('M3'), greekWheel: null };
+        const cipher = Uint8Array.from(ciphertext, letter => letter.charCodeAt(0) - 65);
+        const best = [];
+        solver.searchPositions(cipher, '241', setup, best, 5);
+
+        expect(best).toHaveLength(5);
+        expect(best[0].ioc).toBeGreaterThanOrEqual(best[4].ioc);
+        // With ring A the right rotor shows the same wiring at S as at E with ring M
+        expect(best.map(({ position }) => position % 26)).toContain('S'.charCodeAt(0) - 65);
+        const rings = solver.searchRings(cipher, best[0], setup);
+        expect(rings.ioc).toBeGreaterThanOrEqual(best[0].ioc);
+    });
+
+    test('should stop at the time budget', async () => {
+        const stages = [];
+        const result = await new EnigmaSolver('german').solve(ciphertext, {
+            maxTime: 1,
+            onProgress: progress => stages.push(progress)
+        });
+
+        expect(result.timedOut).toBe(true);
+        expect(stages[stages.length - 1]).toEqual({ stage: 'timeout', message: 'Timeout reached (1ms)', progress: 100 });
+    });
+
+    test('should return an empty result without letters', async () => {
+        const result = await new EnigmaSolver('german').solve('1234');
+        expect(result.confidence).toBe(0);
+        expect(result.key).toBeNull();
+    });
+});
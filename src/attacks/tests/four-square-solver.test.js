@@ -0,0 +1,74 @@
+import FourSquare from '../../ciphers/dictionary/fourSquare.js';
+import { FourSquareSolver } from '../strategies/four-square-solver.js';
+import { TEST_TEXTS } from './common/test-texts.js';
+import { seeded } from './common/seeded.js';
+
+const ALPHABET = 'ABCDEFGHIKLMNOPQRSTUVWXYZ';
+
+describe('FourSquareSolver', () => {
+    const fourSquare = new FourSquare(TEST_TEXTS.english.long, 'EXAMPLE', 'KEYWORD');
+    const ciphertext = fourSquare.encode();
+    const key = {
+        square2: fourSquare.squares.square2.map(row => row.join('')).join(''),
+        square3: fourSquare.squares.square3.map(row => row.join('')).join('')
+    };
+
+    test('should decrypt like the Four-Square cipher with its squares', () => {
+        expect(key).toEqual({ square2: 'EXAMPLBCDFGHIKNOQRSTUVWYZ', square3: 'KEYWORDABCFGHILMNPQSTUVXZ' });
+        expect(FourSquareSolver.decrypt(ciphertext, key)).toBe(new FourSquare(ciphertext, 'EXAMPLE', 'KEYWORD', true).decode());
+    });
+
+    test('should reject odd or too short texts', async () => {
+        const solver = new FourSquareSolver('english');
+
+        expect((await solver.solve('ABCDE')).key).toBeNull();
+        expect((await solver.solve('AB')).confidence).toBe(0);
+    });
+
+    test('should move one square at a time', () => {
+        const random = seeded(1);
+        let current = key;
+        for (let i = 0; i < 200; i++) {
+            const next = FourSquareSolver.neighbour(current, random);
+            expect([next.square2 !== current.square2, next.square3 !== current.square3].filter(Boolean)).toHaveLength(1);
+            expect(next.square2.split('').sort().join('')).toBe(ALPHABET);
+            expect(next.square3.split('').sort().join('')).toBe(ALPHABET);
+            current = next;
+        }
+    });
+
+    test('should start from the best pair of keywords', async () => {
+        const solver = new FourSquareSolver('english');
+
+        const result = await solver.solve(ciphertext, {
+            maxIterations: 0,
+            restarts: 1,
+            keywords: ['SECRET', 'KEYWORD', 'CIPHER', 'EXAMPLE']
+        });
+
+        expect(result.key).toEqual(key);
+        expect(result.plaintext).toBe(new FourSquare(ciphertext, 'EXAMPLE', 'KEYWORD', true).decode());
+    });
+
+    test('should recover both keyed squares of a 334-letter ciphertext', async () => {
+        const solver = new FourSquareSolver('english');
+
+        const result = await solver.solve(ciphertext, { random: seeded(2) });
+
+        expect(result.method).toBe('four-square');
+        expect(result.key).toEqual(key);
+        expect(result.plaintext).toBe(new FourSquare(ciphertext, 'EXAMPLE', 'KEYWORD', true).decode());
+        expect(result.confidence).toBe(0.9);
+    }, 120000);
+
+    test('should give wrong squares a low confidence', async () => {
+        const solver = new FourSquareSolver('english');
+
+        const result = await solver.solve(ciphertext, { maxIterations: 0, restarts: 1, random: seeded(2) });
+
+        expect(result.key.square2.split('').sort().join('')).toBe(ALPHABET);
+        expect(result.key.square3.split('').sort().join('')).toBe(ALPHABET);
+        expect(result.plaintext).toBe(FourSquareSolver.decrypt(ciphertext, result.key));
+        expect(result.confidence).toBe(0.3);
+    });
+});
@@ -0,0 +1,70 @@
+import Hill from '../../ciphers/dictionary/hill.js';
+import { HillSolver } from '../strategies/hill-solver.js';
+import { TEST_TEXTS } from './common/test-texts.js';
+import { TextUtils } from '../../core/text-utils.js';
+
+describe('HillSolver', () => {
+    const plaintext = TextUtils.onlyLetters(TEST_TEXTS.english.long);
+    const KEY_2X2 = [[3, 3], [2, 5]];
+    const KEY_3X3 = [[6, 24, 1], [13, 16, 10], [20, 17, 15]];
+
+    describe('Known plaintext', () => {
+        test('should recover a 3x3 key from a crib at a known offset', async () => {
+            const ciphertext = new Hill(plaintext, KEY_3X3).encode();
+            const crib = plaintext.slice(30, 60);
+
+            const result = await new HillSolver('english').solveWithCrib(ciphertext, crib, { size: 3, offset: 30 });
+
+            expect(result.method).toBe('hill');
+            expect(result.key).toEqual(KEY_3X3);
+            expect(result.plaintext.startsWith(plaintext)).toBe(true);
+            expect(result.confidence).toBeGreaterThan(0.9);
+        });
+
+        test('should find the crib position when the offset is unknown', async () => {
+            const ciphertext = new Hill(plaintext, KEY_2X2).encode();
+
+            const result = await new HillSolver('english').solve(ciphertext, { crib: 'CRYPTOGRAPHYBEGINS' });
+
+            expect(result.key).toEqual(KEY_2X2);
+            expect(result.offset).toBe(12);
+        });
+
+        test('should recover the key even if no crib blocks form an invertible matrix mod 26', async () => {
+            // PHY BEG INS THO USA NDS: every 3x3 selection has an even determinant
+            const ciphertext = new Hill(plaintext, KEY_3X3).encode();
+
+            const result = await new HillSolver('english').solveWithCrib(ciphertext, plaintext.slice(20, 40), { size: 3 });
+
+            expect(result.key).toEqual(KEY_3X3);
+            expect(result.offset).toBe(20);
+        });
+    });
+
+    describe('Ciphertext only', () => {
+        test('should break a 2x2 Hill cipher', async () => {
+            const ciphertext = new Hill(plaintext, KEY_2X2).encode();
+
+            const result = await new HillSolver('english').solve(ciphertext, { size: 2 });
+
+            expect(result.key).toEqual(KEY_2X2);
+            expect(result.plaintext.startsWith(plaintext)).toBe(true);
+        });
+
+        test('should break a 3x3 Hill cipher', async () => {
+            const ciphertext = new Hill(plaintext, KEY_3X3).encode();
+
+            const result = await new HillSolver('english').solve(ciphertext);
+
+            expect(result.key).toEqual(KEY_3X3);
+            expect(result.confidence).toBeGreaterThan(0.5);
+        });
+
+        test('should return an empty result for texts that are too short', async () => {
+            const result = await new HillSolver('english').solve('ABCD');
+
+            expect(result.key).toBeNull();
+            expect(result.confidence).toBe(0);
+        });
+    });
+});
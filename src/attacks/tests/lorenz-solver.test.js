@@ -0,0 +1,46 @@
+import Lorenz from '../../ciphers/lorenz/lorenz.js';
+import { Baudot } from '../../core/baudot.js';
+import { LorenzSolver } from '../strategies/lorenz-solver.js';
+
+describe('LorenzSolver', () => {
+    jest.setTimeout(60000);
+
+    const sentences = [
+        'AN OBERKOMMANDO DER WEHRMACHT', 'FEINDLICHE PANZER IM RAUM NORDWESTLICH ORSCHA',
+        'EIGENE VERLUSTE 12 TOTE 37 VERWUNDETE', 'VERSORGUNGSLAGE ANGESPANNT MUNITION REICHT NUR NOCH FUER 2 TAGE',
+        'ERBITTE WEISUNG FUER DEN WEITEREN EINSATZ DER DIVISION', 'WETTER REGNERISCH STRASSEN KAUM BEFAHRBAR',
+        'ANGRIFF DES GEGNERS MIT STARKEN KRAEFTEN BEI TAGESANBRUCH ERWARTET', 'BRUECKE UEBER DEN FLUSS GESPRENGT',
+        'NACHSCHUB FUER DIE ARMEE VERZOEGERT SICH UM DREI TAGE', 'LUFTAUFKLAERUNG MELDET KOLONNEN AUF DER STRASSE NACH MINSK'
+    ];
+    // About 8000 characters: Colossus needed long messages too
+    const plaintext = Array.from({ length: 160 }, (_, i) => sentences[(i * 7) % sentences.length] + (i % 3 ? ' ' : '\n')).join('');
+    const key = { ...Lorenz.DEFAULT_KEY, start: { chi: [5, 17, 3, 20, 9], psi: [11, 2, 40, 7, 33], mu: [60, 4] } };
+    const ciphertext = new Lorenz(plaintext, key).encode();
+
+    test('should find the chi settings with the chi patterns known', async () => {
+        const result = await new LorenzSolver('german').solve(ciphertext, { chi: key.chi });
+
+        expect(result.method).toBe('lorenz-chi');
+        expect(result.key.chi).toEqual([5, 17, 3, 20, 9]);
+        expect(result.confidence).toBeGreaterThan(0.8);
+        expect(result.runs[0].wheels).toMatch(/^chi\d\+chi\d$/);
+    });
+
+    test('should leave the de-chi: plaintext plus extended psi', async () => {
+        const codes = Baudot.encode(plaintext);
+        const { psi } = new Lorenz(plaintext, key).keystream(codes.length);
+        const result = await new LorenzSolver().solve(Baudot.fromNotation(ciphertext), { chi: key.chi });
+
+        expect(result.plaintext).toBe(Baudot.toNotation(codes.map((code, i) => code ^ psi[i])));
+    });
+
+    test('should need the chi patterns', async () => {
+        await expect(new LorenzSolver().solve(ciphertext)).rejects.toThrow('chi wheel patterns');
+    });
+
+    test('should return an empty result for too short ciphertext', async () => {
+        const result = await new LorenzSolver().solve('A', { chi: key.chi });
+        expect(result.confidence).toBe(0);
+        expect(result.key).toBeNull();
+    });
+});
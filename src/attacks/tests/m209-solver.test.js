@@ -0,0 +1,48 @@
+import M209 from '../../ciphers/hagelin/m209.js';
+import { M209Solver } from '../strategies/m209-solver.js';
+
+describe('M209Solver', () => {
+    jest.setTimeout(60000);
+
+    const plaintext = 'THE ENEMY HAS BEEN OBSERVED MOVING TROOPS ALONG THE RIVER ROAD TOWARD THE BRIDGE AT DAWN ' +
+        'REQUEST ARTILLERY SUPPORT AT GRID REFERENCE SEVEN FOUR TWO ONE AND ADDITIONAL AMMUNITION FOR THE SECOND ' +
+        'BATTALION WHICH HAS SUFFERED HEAVY LOSSES IN THE LAST ENGAGEMENT NEAR THE VILLAGE SUPPLY TRUCKS WILL ARRIVE ' +
+        'TOMORROW MORNING AFTER THE ROAD IS CLEARED OF MINES BY THE ENGINEERS REPORT ALL CHANGES IN POSITION';
+    const key = { ...M209.DEFAULT_KEY, start: 'GHKLMN' };
+    const ciphertext = new M209(plaintext, key).encode();
+
+    test('should recover pins and lugs from a crib and read the rest of the message', async () => {
+        const crib = plaintext.slice(0, 300);
+        const result = await new M209Solver().solve(ciphertext, { crib });
+
+        expect(result.method).toBe('m209-known-plaintext');
+        expect(result.score).toBe(1);
+        expect(result.confidence).toBeGreaterThan(0.9);
+        expect(result.plaintext).toBe(plaintext);
+        expect(result.key.lugs.split(' ')).toHaveLength(27);
+        expect(result.key.start).toBe('AAAAAA');
+    });
+
+    test('should use a crib inside the message', async () => {
+        const stages = [];
+        const result = await new M209Solver().solve(ciphertext, {
+            crib: plaintext.slice(40, 340),
+            offset: 40,
+            onProgress: ({ stage }) => stages.push(stage)
+        });
+
+        expect(result.plaintext).toBe(plaintext);
+        expect(stages[0]).toBe('pins');
+        expect(stages[stages.length - 1]).toBe('complete');
+    });
+
+    test('should need a crib', async () => {
+        await expect(new M209Solver().solve(ciphertext)).rejects.toThrow('known plaintext');
+    });
+
+    test('should return an empty result when the crib does not fit', async () => {
+        const result = await new M209Solver().solve('ABCDE', { crib: 'ATTACK AT DAWN' });
+        expect(result.confidence).toBe(0);
+        expect(result.key).toBeNull();
+    });
+});
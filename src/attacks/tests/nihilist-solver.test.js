@@ -0,0 +1,74 @@
+import Nihilist from '../../ciphers/dictionary/nihilist.js';
+import { NihilistSolver } from '../strategies/nihilist-solver.js';
+import { TEST_TEXTS } from './common/test-texts.js';
+import { TextUtils } from '../../core/text-utils.js';
+import { seeded } from './common/seeded.js';
+
+describe('NihilistSolver', () => {
+    const plaintext = TextUtils.onlyLetters(TEST_TEXTS.english.long).replace(/J/g, 'I');
+
+    test('should find the period and the additive key with a standard square', async () => {
+        const ciphertext = new Nihilist(plaintext, '', false, false, 'RUSSIAN').encode();
+
+        const result = await new NihilistSolver('english').solve(ciphertext);
+
+        expect(result.method).toBe('nihilist');
+        expect(result.period).toBe(7);
+        expect(result.keyWord).toBe('RUSSIAN');
+        expect(result.plaintext).toBe(plaintext);
+        expect(result.confidence).toBeGreaterThan(0.7);
+    });
+
+    test('should read the key word through a keyword square', async () => {
+        const ciphertext = new Nihilist(plaintext, 'SECRET', false, false, 'MOSCOW').encode();
+
+        const result = await new NihilistSolver('english').solve(ciphertext);
+
+        expect(result.keyword).toBe('SECRET');
+        expect(result.keyWord).toBe('MOSCOW');
+        expect(result.plaintext).toBe(plaintext);
+    });
+
+    test('should recover the key numbers even if the square is unknown', async () => {
+        const cipher = new Nihilist(plaintext, 'KREMLIN', false, false, 'LENINGRAD');
+        const ciphertext = cipher.encode();
+        const solver = new NihilistSolver('english');
+
+        const pairs = solver.parse(ciphertext);
+        expect(solver.detectPeriod(pairs).period).toBe(9);
+
+        const result = await solver.solve(ciphertext, { substitution: false });
+        const expected = cipher.getKeyNumbers();
+        // The key is only known up to one shift of all rows/columns: compare differences
+        const differences = numbers => numbers.map(number => number - numbers[0]);
+        expect(differences(result.key)).toEqual(differences(expected));
+        expect(result.confidence).toBeLessThan(0.5);
+    });
+
+    test('should solve an unknown square even when a common square reads better than the others', async () => {
+        const ciphertext = new Nihilist(plaintext, 'PALMERSTON', false, false, 'BOMB').encode();
+        const solver = new NihilistSolver('english');
+
+        // Without the annealing, one of the common squares wins with gibberish
+        const common = await solver.solve(ciphertext, { substitution: false });
+        expect(common.plaintext).not.toBe(plaintext);
+
+        const result = await solver.solve(ciphertext, { random: seeded(1) });
+        expect(result.plaintext).toBe(plaintext);
+        expect(result.keyword).toBeNull();
+    }, 30000);
+
+    test('should return an empty result without square keywords to try', async () => {
+        const ciphertext = new Nihilist(plaintext, '', false, false, 'RUSSIAN').encode();
+
+        const result = await new NihilistSolver('english').solve(ciphertext, { keywords: [] });
+
+        expect(result.confidence).toBe(0);
+        expect(result.key).toBeNull();
+    });
+
+    test('should reject numbers that cannot be Nihilist sums', async () => {
+        const result = await new NihilistSolver('english').solve('11 12 13 14 15 16 17 18 19 20 21');
+        expect(result.confidence).toBe(0);
+    });
+});
@@ -2,7 +2,7 @@ import { Orchestrator } from '../../orchestrator.js';
 import Shift from '../../../ciphers/shift/shift.js';
 import Polyalphabetic from '../../../ciphers/polyalphabetic/polyalphabetic.js';
 import { CipherIdentifier } from '../../../analysis/identifier.js';
-import { LanguageAnalysis } from '../../../analysis/analysis.js';
+import { LanguageAnalysis } from '../../../analysis/analysis-core.js';
 import { verifyE2EResult } from './orchestrator-test-base.js';
 
 /**
@@ -2,6 +2,7 @@ import { Orchestrator } from '../../orchestrator.js';
 import Shift from '../../../ciphers/shift/shift.js';
 import Polyalphabetic from '../../../ciphers/polyalphabetic/polyalphabetic.js';
 import { Scorer } from '../../../search/scorer.js';
+import { StrategySelector } from '../../helpers/strategy-selector.js';
 import {
     createCipherTestSuite,
     verifyOrchestratorResult,
@@ -149,5 +150,24 @@ describe('Orchestrator', () => {
             }
         }, 60000);
     });
+
+    describe('Strategy Selection', () => {
+        it('should flag the plain substitution searches it runs with progress', () => {
+            const strategies = StrategySelector.selectStrategies({ type: 'monoalphabetic-substitution' }, {}, 'ABC');
+            const iterative = strategies.filter(strategy => strategy.iterative);
+
+            expect(iterative.map(strategy => [strategy.name, strategy.iterative])).toEqual([
+                ['Hill Climbing', 'hillclimb'],
+                ['Simulated Annealing', 'annealing']
+            ]);
+        });
+
+        it('should run homophonic annealing as its own strategy whatever its name', () => {
+            const strategies = StrategySelector.selectStrategies({ type: 'homophonic' }, {}, '12 34 56');
+
+            expect(strategies).toHaveLength(1);
+            expect(strategies[0].iterative).toBeUndefined();
+        });
+    });
 });
 
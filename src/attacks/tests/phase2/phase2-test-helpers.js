@@ -1,7 +1,7 @@
 import { Orchestrator } from '../../orchestrator.js';
 import { CipherIdentifier } from '../../../analysis/identifier.js';
 import { Stats } from '../../../analysis/stats.js';
-import { LanguageAnalysis } from '../../../analysis/analysis.js';
+import { LanguageAnalysis } from '../../../analysis/analysis-core.js';
 import { ICSampleCorrection } from '../../../analysis/ic-sample-correction.js';
 import { configLoader } from '../../../config/config-loader.js';
 import Shift from '../../../ciphers/shift/shift.js';
@@ -0,0 +1,51 @@
+import Playfair from '../../ciphers/dictionary/playfair.js';
+import { PlayfairSolver } from '../strategies/playfair-solver.js';
+import { KeySquare } from '../../search/key-square.js';
+import { TEST_TEXTS } from './common/test-texts.js';
+import { seeded } from './common/seeded.js';
+
+describe('PlayfairSolver', () => {
+    const playfair = new Playfair(TEST_TEXTS.english.long, 'MONARCHY');
+    const ciphertext = playfair.encode();
+    const square = playfair.grid.map(row => row.join('')).join('');
+
+    test('should decrypt like the Playfair cipher with its square', () => {
+        expect(square).toBe('MONARCHYBDEFGIKLPQSTUVWXZ');
+        expect(KeySquare.fromKeyword('monarchy')).toBe(square);
+        expect(PlayfairSolver.decrypt(ciphertext, square)).toBe(new Playfair(ciphertext, 'MONARCHY', true).decode());
+    });
+
+    test('should only take even texts without doubled digraphs', async () => {
+        const solver = new PlayfairSolver('english');
+
+        expect(PlayfairSolver.isPlayfairText(ciphertext)).toBe(true);
+        expect(PlayfairSolver.isPlayfairText('ABCDE')).toBe(false);
+        expect(PlayfairSolver.isPlayfairText('ABBCDE')).toBe(true);
+        expect(PlayfairSolver.isPlayfairText('ABDDCE')).toBe(false);
+
+        const rejected = await solver.solve('HELLO WORLD THIS IS NOT PLAYFAIR');
+        expect(rejected.confidence).toBe(0);
+        expect(rejected.key).toBeNull();
+    });
+
+    test('should recover the plaintext of a 334-letter ciphertext', async () => {
+        const solver = new PlayfairSolver('english');
+
+        const result = await solver.solve(ciphertext, { random: seeded(2) });
+
+        expect(result.method).toBe('playfair');
+        expect(result.plaintext).toBe(new Playfair(ciphertext, 'MONARCHY', true).decode());
+        expect(result.plaintext).toBe(PlayfairSolver.decrypt(ciphertext, result.key));
+        expect(result.confidence).toBe(0.9);
+    }, 120000);
+
+    test('should give a wrong square a low confidence', async () => {
+        const solver = new PlayfairSolver('english');
+        const random = seeded(5);
+
+        const result = await solver.solve(ciphertext, { square: KeySquare.random(random), maxIterations: 0, restarts: 1, random });
+
+        expect(result.key.split('').sort().join('')).toBe('ABCDEFGHIKLMNOPQRSTUVWXYZ');
+        expect(result.confidence).toBe(0.3);
+    });
+});
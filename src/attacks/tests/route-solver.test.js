@@ -0,0 +1,65 @@
+import Route from '../../ciphers/columnar/route.js';
+import { RouteSolver } from '../strategies/route-solver.js';
+import { TEST_TEXTS } from './common/test-texts.js';
+
+describe('RouteSolver', () => {
+    const plaintext = TEST_TEXTS.english.medium.toUpperCase().replace(/[^A-Z]/g, '');
+
+    test('should read the grid like the Route cipher', () => {
+        for (const [rows, cols, route] of [[9, 14, 'spiral'], [14, 9, 'spiral'], [11, 12, 'zigzag'], [12, 11, 'column']]) {
+            const ciphertext = new Route(plaintext, rows, cols, route).encode();
+            const { order } = RouteSolver.routes(rows, cols)
+                .find(({ key }) => key.route === route && key.corner === 'top-left' && !key.turned && !key.reversed);
+
+            expect(RouteSolver.decrypt(ciphertext, order)).toBe(plaintext.padEnd(rows * cols, 'X'));
+        }
+    });
+
+    test('should list every grid and every route once', () => {
+        expect(RouteSolver.grids(10)).toEqual([
+            { rows: 5, cols: 2, padded: true },
+            { rows: 4, cols: 3, padded: false },
+            { rows: 3, cols: 4, padded: false },
+            { rows: 2, cols: 5, padded: true }
+        ]);
+
+        const routes = RouteSolver.routes(3, 4);
+        const signatures = routes.map(({ order }) => order.join(','));
+        expect(new Set(signatures).size).toBe(routes.length);
+        expect(signatures).not.toContain('0,1,2,3,4,5,6,7,8,9,10,11');
+        routes.forEach(({ order }) => expect([...order].sort((a, b) => a - b)).toEqual([...Array(12).keys()]));
+
+        // Counter-clockwise spiral from the top left
+        const turned = routes.find(({ key }) => key.route === 'spiral' && key.corner === 'top-left' && key.turned && !key.reversed);
+        expect(turned.order).toEqual([0, 4, 8, 9, 10, 11, 7, 3, 2, 1, 5, 6]);
+    });
+
+    test('should find the grid and route of padded Route ciphertexts', async () => {
+        const solver = new RouteSolver('english');
+
+        for (const [rows, cols, route] of [[9, 14, 'spiral'], [12, 11, 'column']]) {
+            const result = await solver.solve(new Route(plaintext, rows, cols, route).encode());
+
+            expect(result.method).toBe('route');
+            expect(result.plaintext).toBe(plaintext);
+            expect(result.key).toEqual({ rows, cols, route, corner: 'top-left', turned: false, reversed: false, padded: true });
+        }
+    }, 30000);
+
+    test('should skip the empty cells of a short last row', async () => {
+        const solver = new RouteSolver('english');
+        // 125 letters in 12 rows of 11, spiral from the bottom right read backwards (from the centre out)
+        const { order } = RouteSolver.routes(12, 11)
+            .find(({ key }) => key.route === 'spiral' && key.corner === 'bottom-right' && !key.turned && key.reversed);
+        const ciphertext = order.filter(cell => cell < plaintext.length).map(cell => plaintext[cell]).join('');
+
+        const result = await solver.solve(ciphertext);
+
+        expect(result.plaintext).toBe(plaintext);
+        expect(result.key).toMatchObject({ rows: 12, cols: 11, padded: false });
+
+        const rejected = await solver.solve('HELLO');
+        expect(rejected.confidence).toBe(0);
+        expect(rejected.key).toBeNull();
+    }, 30000);
+});
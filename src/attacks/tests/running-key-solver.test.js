@@ -0,0 +1,72 @@
+import Polyalphabetic from '../../ciphers/polyalphabetic/polyalphabetic.js';
+import { RunningKeySolver } from '../strategies/running-key-solver.js';
+import { TEST_TEXTS } from './common/test-texts.js';
+import { TextUtils } from '../../core/text-utils.js';
+
+describe('RunningKeySolver', () => {
+    const plaintext = TextUtils.onlyLetters(TEST_TEXTS.english.long).slice(0, 120);
+    const book = `${TEST_TEXTS.english.medium} ${TEST_TEXTS.english.short} IT WAS THE BEST OF TIMES IT WAS THE WORST OF TIMES ` +
+        'IT WAS THE AGE OF WISDOM IT WAS THE AGE OF FOOLISHNESS IT WAS THE EPOCH OF BELIEF';
+    const ciphertext = new Polyalphabetic.RunningKey(plaintext, book, false, false, 30).encode();
+
+    test('should find the book and the offset among candidate key texts', async () => {
+        const result = await new RunningKeySolver('english').solve(ciphertext, {
+            keyTexts: [TEST_TEXTS.english.long, book]
+        });
+
+        expect(result.method).toBe('running-key');
+        expect(result.source).toBe(1);
+        expect(result.offset).toBe(30);
+        expect(result.plaintext).toBe(plaintext);
+        expect(result.keyText).toBe(TextUtils.onlyLetters(book).slice(30, 150));
+        expect(result.confidence).toBeGreaterThan(0.7);
+    });
+
+    test('should keep the spaces and punctuation of the ciphertext', async () => {
+        const message = TEST_TEXTS.english.medium.toUpperCase();
+        const encrypted = new Polyalphabetic.RunningKey(message, book, false, false, 30).encode();
+
+        const result = await new RunningKeySolver('english').solve(encrypted, { keyTexts: [book] });
+
+        expect(result.offset).toBe(30);
+        expect(result.plaintext).toBe(message);
+    });
+
+    test('should locate a probable word by crib dragging', () => {
+        const [best] = new RunningKeySolver('english').dragCrib(ciphertext, 'ENCRYPTION');
+
+        expect(best.offset).toBe(plaintext.indexOf('ENCRYPTION'));
+        expect(best.keyFragment).toBe(TextUtils.onlyLetters(book).slice(120, 130));
+    });
+
+    test('should split the ciphertext into two language streams', async () => {
+        const longText = TextUtils.onlyLetters(TEST_TEXTS.english.long).slice(0, 200);
+        const keyText = TextUtils.onlyLetters(`${book} ${TEST_TEXTS.english.long}`);
+        const encrypted = new Polyalphabetic.RunningKey(longText, keyText).encode();
+
+        const result = await new RunningKeySolver('english').solve(encrypted);
+
+        // Both streams always add up to the ciphertext
+        expect(new Polyalphabetic.RunningKey(result.plaintext, result.keyText).encode()).toBe(encrypted);
+        // Over a quarter of the positions hold the letter of one of the two texts (English text unrelated
+        // to both matches about one in nine)
+        const matches = Array.from(encrypted).filter((_, i) =>
+            result.plaintext[i] === longText[i] || result.plaintext[i] === keyText[i]).length;
+        expect(matches / encrypted.length).toBeGreaterThan(0.25);
+        expect(result.confidence).toBeLessThanOrEqual(0.6);
+    });
+
+    test('should keep known plaintext in place', async () => {
+        const cribs = [{ offset: 0, text: 'THEHISTORYOF' }, { offset: 90, text: 'ENCRYPTION' }];
+        const result = await new RunningKeySolver('english').solve(ciphertext, { cribs });
+
+        expect(result.plaintext.slice(0, 12)).toBe('THEHISTORYOF');
+        expect(result.plaintext.slice(90, 100)).toBe('ENCRYPTION');
+        expect(result.keyText.slice(0, 12)).toBe(TextUtils.onlyLetters(book).slice(30, 42));
+    });
+
+    test('should reject texts that are too short', async () => {
+        const result = await new RunningKeySolver('english').solve('ABC');
+        expect(result.confidence).toBe(0);
+    });
+});
@@ -0,0 +1,59 @@
+import TwoSquare from '../../ciphers/dictionary/twoSquare.js';
+import { TwoSquareSolver } from '../strategies/two-square-solver.js';
+import { TEST_TEXTS } from './common/test-texts.js';
+import { seeded } from './common/seeded.js';
+
+describe('TwoSquareSolver', () => {
+    const twoSquare = new TwoSquare(TEST_TEXTS.english.long, 'KEYWORD');
+    const ciphertext = twoSquare.encode();
+    const square = twoSquare.squares.square2.map(row => row.join('')).join('');
+
+    test('should decrypt like the Two-Square cipher with its keyed square', () => {
+        expect(square).toBe('KEYWORDABCFGHILMNPQSTUVXZ');
+        expect(TwoSquareSolver.decrypt(ciphertext, square)).toBe(new TwoSquare(ciphertext, 'KEYWORD', true).decode());
+    });
+
+    test('should reject odd or too short texts', async () => {
+        const solver = new TwoSquareSolver('english');
+
+        expect((await solver.solve('ABCDE')).key).toBeNull();
+        expect((await solver.solve('AB')).confidence).toBe(0);
+    });
+
+    test('should start from the best keyword', async () => {
+        const solver = new TwoSquareSolver('english');
+
+        const result = await solver.solve(ciphertext, {
+            maxIterations: 0,
+            restarts: 1,
+            keywords: ['SECRET', 'KEYWORD', 'CIPHER', 'EXAMPLE']
+        });
+
+        expect(result.key).toBe(square);
+        expect(result.plaintext).toBe(new TwoSquare(ciphertext, 'KEYWORD', true).decode());
+    });
+
+    test('should recover the plaintext of a 334-letter ciphertext', async () => {
+        const solver = new TwoSquareSolver('english');
+
+        const result = await solver.solve(ciphertext, { random: seeded(2) });
+        const plaintext = new TwoSquare(ciphertext, 'KEYWORD', true).decode();
+        // Letters that are rare in the text (V here) can swap without changing the score much
+        const recovered = [...plaintext].filter((letter, i) => result.plaintext[i] === letter).length;
+
+        expect(result.method).toBe('two-square');
+        expect(recovered / plaintext.length).toBeGreaterThan(0.98);
+        expect([...square].filter((letter, i) => result.key[i] === letter).length).toBeGreaterThanOrEqual(23);
+        expect(result.confidence).toBe(0.9);
+    }, 120000);
+
+    test('should give a wrong square a low confidence', async () => {
+        const solver = new TwoSquareSolver('english');
+
+        const result = await solver.solve(ciphertext, { maxIterations: 0, restarts: 1, random: seeded(2) });
+
+        expect(result.key.split('').sort().join('')).toBe('ABCDEFGHIKLMNOPQRSTUVWXYZ');
+        expect(result.plaintext).toBe(TwoSquareSolver.decrypt(ciphertext, result.key));
+        expect(result.confidence).toBe(0.3);
+    });
+});
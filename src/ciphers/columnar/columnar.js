@@ -1,5 +1,10 @@
 import { default as Amsco } from "./amsco.js";
 import { default as RailFence } from "./railFence.js";
 import { default as Route } from "./route.js";
+import { default as KeyedColumnar } from "./keyedColumnar.js";
+import { default as DoubleColumnar } from "./doubleColumnar.js";
+import { default as Myszkowski } from "./myszkowski.js";
+import { default as DisruptedColumnar } from "./disruptedColumnar.js";
+import { default as NihilistTransposition } from "./nihilistTransposition.js";
 
-export default { Amsco, RailFence, Route };
+export default { Amsco, RailFence, Route, KeyedColumnar, DoubleColumnar, Myszkowski, DisruptedColumnar, NihilistTransposition };
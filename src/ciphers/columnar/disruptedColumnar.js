@@ -0,0 +1,65 @@
+import { default as BasicCipher } from '../../core/basicCipher.js';
+import { CipherValidator } from '../../core/validation.js';
+import { TranspositionGrid } from '../../core/transposition-grid.js';
+import { default as KeyedColumnar } from './keyedColumnar.js';
+
+/**
+ * Disrupted Columnar Transposition Cipher
+ *
+ * Columnar transposition where triangular areas of the grid are filled last, which breaks
+ * the regular row structure a plain columnar transposition keeps (used by the VIC cipher).
+ * The first triangle starts on the first row at the column ranked 1 and runs to the end of the row,
+ * every following row starts one column further right. The next triangle starts at the column ranked 2
+ * on the row below, and so on.
+ *
+ * Example with key 3142 (triangle cells marked with *):
+ * 3 1 4 2
+ * . * * *
+ * . . * *
+ * . . . *
+ * . . . *
+ * * * * *
+ * The text fills the free cells row by row, then the triangle cells, and the columns are read in key order.
+ *
+ * @param {String} message - Text to be encoded/decoded
+ * @param {String|Array} key - Keyword or numeric key (see KeyedColumnar)
+ * @param {Boolean} encoded - Indicates if message is already encoded
+ * @param {Boolean} debug - Enable debug messages
+ */
+
+export default class DisruptedColumnar extends BasicCipher {
+    constructor(message, key = 'ZEBRAS', encoded = false, debug = false) {
+        super(message, encoded, 'disruptedColumnar', key, '', debug);
+        this.columnar = new KeyedColumnar(message, key, encoded, debug);
+    }
+
+    /**
+     * Encode message using disrupted columnar transposition
+     * @param {String} message - Text to encode
+     * @param {String|Array} key - Key for encryption
+     * @returns {String} Encoded message
+     */
+    encode = (message = this.message, key = this.key) => {
+        CipherValidator.validateMessage(message);
+        const ranks = this.columnar.getRanks(key);
+        const clean = message.toUpperCase().replace(/[^A-Z]/g, '');
+
+        const result = TranspositionGrid.transpose(clean, TranspositionGrid.disruptedPositions(clean.length, ranks));
+        this.logMessage(`Disrupted columnar encoded with ranks ${ranks.join(',')}`);
+        return result;
+    }
+
+    /**
+     * Decode message using disrupted columnar transposition
+     * @param {String} message - Text to decode
+     * @param {String|Array} key - Key for decryption
+     * @returns {String} Decoded message
+     */
+    decode = (message = this.message, key = this.key) => {
+        CipherValidator.validateMessage(message);
+        const ranks = this.columnar.getRanks(key);
+        const clean = message.toUpperCase().replace(/[^A-Z]/g, '');
+
+        return TranspositionGrid.untranspose(clean, TranspositionGrid.disruptedPositions(clean.length, ranks));
+    }
+}
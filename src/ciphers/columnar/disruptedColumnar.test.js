@@ -0,0 +1,33 @@
+import DisruptedColumnar from './disruptedColumnar.js';
+import KeyedColumnar from './keyedColumnar.js';
+
+describe('Disrupted Columnar Cipher Tests', () => {
+    const message = 'WE ARE DISCOVERED FLEE AT ONCE';
+
+    test('should fill the triangles after the free cells', () => {
+        // Key 3142, 5 rows (see class docs): free cells get A-I, the triangles get J-T
+        // A J K L / B C M N / D E F O / G H I P / Q R S T
+        const cipher = new DisruptedColumnar('ABCDEFGHIJKLMNOPQRST', '3142');
+        expect(cipher.encode()).toBe('JCEHRLNOPTABDGQKMFIS');
+    });
+
+    test('should differ from the plain columnar transposition', () => {
+        const disrupted = new DisruptedColumnar(message, 'ZEBRAS').encode();
+        const plain = new KeyedColumnar(message, 'ZEBRAS').encode();
+        expect(disrupted).not.toBe(plain);
+        expect(disrupted.split('').sort().join('')).toBe(plain.split('').sort().join(''));
+    });
+
+    test('should be reciprocal', () => {
+        const text = 'THEQUICKBROWNFOXJUMPSOVERTHELAZYDOG';
+        for (const key of ['AB', 'KEY', 'SECRET', '52413']) {
+            const encoded = new DisruptedColumnar(text, key).encode();
+            expect(new DisruptedColumnar(encoded, key, true).decode()).toBe(text);
+        }
+    });
+
+    test('should throw error with invalid numeric key', () => {
+        const cipher = new DisruptedColumnar(message, '1244');
+        expect(() => cipher.encode()).toThrow('Invalid key format');
+    });
+});
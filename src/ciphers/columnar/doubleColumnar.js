@@ -0,0 +1,55 @@
+import { default as BasicCipher } from '../../core/basicCipher.js';
+import { CipherValidator } from '../../core/validation.js';
+import { default as KeyedColumnar } from './keyedColumnar.js';
+
+/**
+ * Double Columnar Transposition Cipher
+ *
+ * Applies a keyed columnar transposition twice: first with the key, then with the second key
+ * (the same key is used twice when no second key is given). Both passes use irregular grids.
+ *
+ * Example with keys ZEBRAS and STRIPE:
+ * WE ARE DISCOVERED FLEE AT ONCE -> EVLNACDTESEAROFODEECWIREE -> CAEENSOIAEDRLEFWEDREEVTOC
+ *
+ * @param {String} message - Text to be encoded/decoded
+ * @param {String|Array} key - Key of the first transposition (keyword or numeric key, see KeyedColumnar)
+ * @param {Boolean} encoded - Indicates if message is already encoded
+ * @param {Boolean} debug - Enable debug messages
+ * @param {String|Array} secondKey - Key of the second transposition (default: same as key)
+ */
+
+export default class DoubleColumnar extends BasicCipher {
+    constructor(message, key = 'ZEBRAS', encoded = false, debug = false, secondKey = null) {
+        super(message, encoded, 'doubleColumnar', key, '', debug);
+        this.secondKey = secondKey;
+        this.columnar = new KeyedColumnar(message, key, encoded, debug);
+    }
+
+    /**
+     * Encode message using double columnar transposition
+     * @param {String} message - Text to encode
+     * @param {String|Array} key - Key of the first transposition
+     * @param {String|Array} secondKey - Key of the second transposition
+     * @returns {String} Encoded message
+     */
+    encode = (message = this.message, key = this.key, secondKey = this.secondKey || key) => {
+        CipherValidator.validateMessage(message);
+        const first = this.columnar.encode(message, key);
+        this.logMessage(`First transposition: ${first}`);
+        return this.columnar.encode(first, secondKey);
+    }
+
+    /**
+     * Decode message using double columnar transposition
+     * @param {String} message - Text to decode
+     * @param {String|Array} key - Key of the first transposition
+     * @param {String|Array} secondKey - Key of the second transposition
+     * @returns {String} Decoded message
+     */
+    decode = (message = this.message, key = this.key, secondKey = this.secondKey || key) => {
+        CipherValidator.validateMessage(message);
+        const first = this.columnar.decode(message, secondKey);
+        this.logMessage(`Second transposition undone: ${first}`);
+        return this.columnar.decode(first, key);
+    }
+}
@@ -0,0 +1,38 @@
+import DoubleColumnar from './doubleColumnar.js';
+import KeyedColumnar from './keyedColumnar.js';
+
+describe('Double Columnar Cipher Tests', () => {
+    const message = 'WE ARE DISCOVERED FLEE AT ONCE';
+
+    test('should encode with two keys', () => {
+        const cipher = new DoubleColumnar(message, 'ZEBRAS', false, false, 'STRIPE');
+        expect(cipher.encode()).toBe('CAEENSOIAEDRLEFWEDREEVTOC');
+    });
+
+    test('should decode with two keys', () => {
+        const cipher = new DoubleColumnar('CAEENSOIAEDRLEFWEDREEVTOC', 'ZEBRAS', true, false, 'STRIPE');
+        expect(cipher.decode()).toBe('WEAREDISCOVEREDFLEEATONCE');
+    });
+
+    test('should use the same key twice when no second key is given', () => {
+        const once = new KeyedColumnar(message, 'ZEBRAS').encode();
+        const twice = new KeyedColumnar(once, 'ZEBRAS').encode();
+        expect(new DoubleColumnar(message, 'ZEBRAS').encode()).toBe(twice);
+    });
+
+    test('should accept numeric keys', () => {
+        const cipher = new DoubleColumnar(message, '632415', false, false, [5, 6, 4, 2, 3, 1]);
+        expect(cipher.encode()).toBe('CAEENSOIAEDRLEFWEDREEVTOC');
+    });
+
+    test('should be reciprocal', () => {
+        const text = 'THEQUICKBROWNFOXJUMPSOVERTHELAZYDOG';
+        const encoded = new DoubleColumnar(text, 'CIPHER', false, false, 'KEY').encode();
+        expect(new DoubleColumnar(encoded, 'CIPHER', true, false, 'KEY').decode()).toBe(text);
+    });
+
+    test('should throw error with empty message', () => {
+        const cipher = new DoubleColumnar('', 'ZEBRAS');
+        expect(() => cipher.encode()).toThrow();
+    });
+});
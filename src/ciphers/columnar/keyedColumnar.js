@@ -0,0 +1,137 @@
+import { default as BasicCipher } from '../../core/basicCipher.js';
+import { CipherValidator } from '../../core/validation.js';
+import { TranspositionGrid } from '../../core/transposition-grid.js';
+
+/**
+ * Keyed Columnar Transposition Cipher
+ *
+ * The message is written row by row under the key, then the columns are read
+ * top to bottom in the order given by the key.
+ *
+ * Keyword keys are ranked alphabetically (repeated letters from left to right),
+ * numeric keys give the reading position of each column directly (1-n).
+ *
+ * Example with key ZEBRAS (order 6 3 2 4 1 5):
+ * Z E B R A S
+ * W E A R E D
+ * I S C O V E
+ * R E D F L E
+ * E A T O N C
+ * E
+ * Ciphertext: EVLNACDTESEAROFODEECWIREE
+ *
+ * Complete mode pads the last row with X (every column has the same length),
+ * irregular mode (default) leaves the last row short.
+ *
+ * @param {String} message - Text to be encoded/decoded
+ * @param {String|Array} key - Keyword, digit string ('3142'), separated numbers ('3 1 10 2') or array of numbers
+ * @param {Boolean} encoded - Indicates if message is already encoded
+ * @param {Boolean} debug - Enable debug messages
+ * @param {Boolean} complete - Pad the grid with X so every column is complete (default: false)
+ */
+
+export default class KeyedColumnar extends BasicCipher {
+    constructor(message, key = 'ZEBRAS', encoded = false, debug = false, complete = false) {
+        super(message, encoded, 'keyedColumnar', key, '', debug);
+        this.complete = complete;
+    }
+
+    /**
+     * Converts a key into the reading rank of every column.
+     * @param {String|Array} key - Keyword or numeric key
+     * @returns {Array<Number>} Rank (1-n) of each column, e.g. ZEBRAS -> [6, 3, 2, 4, 1, 5]
+     */
+    getRanks(key) {
+        CipherValidator.validateKey(key);
+
+        let values;
+        if (Array.isArray(key)) {
+            values = key.map(Number);
+        } else if (typeof key === 'number') {
+            values = String(key).split('').map(Number);
+        } else if (/^[\d\s,]+$/.test(key.trim())) {
+            const trimmed = key.trim();
+            values = /[\s,]/.test(trimmed)
+                ? trimmed.split(/[\s,]+/).map(Number)
+                : trimmed.split('').map(Number);
+        } else {
+            // Keyword: rank letters alphabetically, ties from left to right
+            const letters = key.toUpperCase().replace(/[^A-Z]/g, '').split('');
+            if (letters.length < 2) {
+                throw new Error('Columnar key must contain at least 2 letters');
+            }
+            return TranspositionGrid.rankSymbols(letters);
+        }
+
+        // Accept 0-based numeric keys as well
+        if (values.includes(0)) {
+            values = values.map(value => value + 1);
+        }
+
+        const isPermutation = values.length >= 2 &&
+            values.every(value => Number.isInteger(value)) &&
+            [...values].sort((a, b) => a - b).every((value, index) => value === index + 1);
+        if (!isPermutation) {
+            throw new Error('Invalid key format for columnar cipher. Numeric key must contain sequential numbers 1-n.');
+        }
+        return values;
+    }
+
+    /**
+     * Returns the column indexes in reading order.
+     * @param {String|Array} key - Keyword or numeric key
+     * @returns {Array<Number>} Column indexes, e.g. ZEBRAS -> [4, 2, 1, 3, 5, 0]
+     */
+    getColumnOrder(key) {
+        const ranks = this.getRanks(key);
+        const order = new Array(ranks.length);
+        ranks.forEach((rank, column) => {
+            order[rank - 1] = column;
+        });
+        return order;
+    }
+
+    /**
+     * Encode message using keyed columnar transposition
+     * @param {String} message - Text to encode
+     * @param {String|Array} key - Key for encryption
+     * @returns {String} Encoded message
+     */
+    encode = (message = this.message, key = this.key) => {
+        CipherValidator.validateMessage(message);
+        const ranks = this.getRanks(key);
+        const width = ranks.length;
+
+        let clean = message.toUpperCase().replace(/[^A-Z]/g, '');
+        if (clean.length === 0) {
+            return '';
+        }
+        if (this.complete) {
+            while (clean.length % width !== 0) {
+                clean += 'X';
+            }
+        }
+
+        const result = TranspositionGrid.transpose(clean, TranspositionGrid.columnarPositions(clean.length, ranks));
+        this.logMessage(`Keyed columnar encoded with ranks ${ranks.join(',')}`);
+        return result;
+    }
+
+    /**
+     * Decode message using keyed columnar transposition
+     * @param {String} message - Text to decode
+     * @param {String|Array} key - Key for decryption
+     * @returns {String} Decoded message (padding is not removed)
+     */
+    decode = (message = this.message, key = this.key) => {
+        CipherValidator.validateMessage(message);
+        const ranks = this.getRanks(key);
+
+        const clean = message.toUpperCase().replace(/[^A-Z]/g, '');
+        if (clean.length === 0) {
+            return '';
+        }
+
+        return TranspositionGrid.untranspose(clean, TranspositionGrid.columnarPositions(clean.length, ranks));
+    }
+}
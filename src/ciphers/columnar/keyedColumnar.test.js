@@ -0,0 +1,67 @@
+import KeyedColumnar from './keyedColumnar.js';
+
+describe('Keyed Columnar Cipher Tests', () => {
+    const message = 'WE ARE DISCOVERED FLEE AT ONCE';
+
+    describe('Keys', () => {
+        test('should rank keyword letters alphabetically', () => {
+            const cipher = new KeyedColumnar(message, 'ZEBRAS');
+            expect(cipher.getRanks('ZEBRAS')).toEqual([6, 3, 2, 4, 1, 5]);
+            expect(cipher.getColumnOrder('ZEBRAS')).toEqual([4, 2, 1, 3, 5, 0]);
+        });
+
+        test('should rank repeated letters from left to right', () => {
+            const cipher = new KeyedColumnar(message, 'LETTER');
+            expect(cipher.getRanks('LETTER')).toEqual([3, 1, 5, 6, 2, 4]);
+        });
+
+        test('should accept numeric keys in several formats', () => {
+            const cipher = new KeyedColumnar(message, '632415');
+            expect(cipher.getRanks('632415')).toEqual([6, 3, 2, 4, 1, 5]);
+            expect(cipher.getRanks('6 3 2 4 1 5')).toEqual([6, 3, 2, 4, 1, 5]);
+            expect(cipher.getRanks([5, 2, 1, 3, 0, 4])).toEqual([6, 3, 2, 4, 1, 5]);
+        });
+
+        test('should reject numeric keys that are not a permutation', () => {
+            const cipher = new KeyedColumnar(message, '1244');
+            expect(() => cipher.encode()).toThrow('Invalid key format');
+        });
+    });
+
+    describe('Encoding', () => {
+        test('should encode the irregular textbook example', () => {
+            const cipher = new KeyedColumnar(message, 'ZEBRAS');
+            expect(cipher.encode()).toBe('EVLNACDTESEAROFODEECWIREE');
+        });
+
+        test('should give the same result with the equivalent numeric key', () => {
+            const cipher = new KeyedColumnar(message, [6, 3, 2, 4, 1, 5]);
+            expect(cipher.encode()).toBe('EVLNACDTESEAROFODEECWIREE');
+        });
+
+        test('should pad the grid in complete mode', () => {
+            const cipher = new KeyedColumnar(message, 'ZEBRAS', false, false, true);
+            expect(cipher.encode()).toBe('EVLNXACDTXESEAXROFOXDEECXWIREE');
+        });
+    });
+
+    describe('Decoding', () => {
+        test('should decode the irregular textbook example', () => {
+            const decoder = new KeyedColumnar('EVLNACDTESEAROFODEECWIREE', 'ZEBRAS', true);
+            expect(decoder.decode()).toBe('WEAREDISCOVEREDFLEEATONCE');
+        });
+
+        test('should be reciprocal for any length', () => {
+            const text = 'THEQUICKBROWNFOXJUMPSOVERTHELAZYDOG';
+            for (const key of ['AB', 'KEY', 'SECRET', 'CRYPTOGRAPHY']) {
+                const encoded = new KeyedColumnar(text, key).encode();
+                expect(new KeyedColumnar(encoded, key, true).decode()).toBe(text);
+            }
+        });
+
+        test('should throw error with empty message', () => {
+            const cipher = new KeyedColumnar('', 'ZEBRAS');
+            expect(() => cipher.encode()).toThrow();
+        });
+    });
+});
@@ -0,0 +1,78 @@
+import { default as BasicCipher } from '../../core/basicCipher.js';
+import { CipherValidator } from '../../core/validation.js';
+import { TranspositionGrid } from '../../core/transposition-grid.js';
+
+/**
+ * Myszkowski Transposition Cipher
+ *
+ * Columnar transposition where repeated key letters share the same rank.
+ * Columns with a unique letter are read top to bottom; columns sharing a letter
+ * are read together, row by row from left to right.
+ *
+ * Example with key TOMATO (ranks 4 3 2 1 4 3):
+ * T O M A T O
+ * W E A R E D
+ * I S C O V E
+ * R E D F L E
+ * E A T O N C
+ * E
+ * Ciphertext: ROFOACDTEDSEEEACWEIVRLENE
+ *
+ * @param {String} message - Text to be encoded/decoded
+ * @param {String} key - Keyword or digit string, repeated symbols allowed ('TOMATO', '432143')
+ * @param {Boolean} encoded - Indicates if message is already encoded
+ * @param {Boolean} debug - Enable debug messages
+ */
+
+export default class Myszkowski extends BasicCipher {
+    constructor(message, key = 'TOMATO', encoded = false, debug = false) {
+        super(message, encoded, 'myszkowski', key, '', debug);
+    }
+
+    /**
+     * Converts the key into the rank of every column (equal symbols share a rank).
+     * @param {String} key - Keyword or digit string
+     * @returns {Array<Number>} Rank of each column, e.g. TOMATO -> [4, 3, 2, 1, 4, 3]
+     */
+    getRanks(key) {
+        CipherValidator.validateKey(key, 'string');
+
+        const symbols = /^\d+$/.test(key.trim())
+            ? key.trim().split('').map(Number)
+            : key.toUpperCase().replace(/[^A-Z]/g, '').split('');
+        if (symbols.length < 2) {
+            throw new Error('Myszkowski key must contain at least 2 letters or digits');
+        }
+        return TranspositionGrid.rankSymbols(symbols, true);
+    }
+
+    /**
+     * Encode message using Myszkowski transposition
+     * @param {String} message - Text to encode
+     * @param {String} key - Key for encryption
+     * @returns {String} Encoded message
+     */
+    encode = (message = this.message, key = this.key) => {
+        CipherValidator.validateMessage(message);
+        const ranks = this.getRanks(key);
+        const clean = message.toUpperCase().replace(/[^A-Z]/g, '');
+
+        const result = TranspositionGrid.transpose(clean, TranspositionGrid.columnarPositions(clean.length, ranks));
+        this.logMessage(`Myszkowski encoded with ranks ${ranks.join(',')}`);
+        return result;
+    }
+
+    /**
+     * Decode message using Myszkowski transposition
+     * @param {String} message - Text to decode
+     * @param {String} key - Key for decryption
+     * @returns {String} Decoded message
+     */
+    decode = (message = this.message, key = this.key) => {
+        CipherValidator.validateMessage(message);
+        const ranks = this.getRanks(key);
+        const clean = message.toUpperCase().replace(/[^A-Z]/g, '');
+
+        return TranspositionGrid.untranspose(clean, TranspositionGrid.columnarPositions(clean.length, ranks));
+    }
+}
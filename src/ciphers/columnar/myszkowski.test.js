@@ -0,0 +1,39 @@
+import Myszkowski from './myszkowski.js';
+
+describe('Myszkowski Cipher Tests', () => {
+    const message = 'WE ARE DISCOVERED FLEE AT ONCE';
+
+    test('should encode the textbook example', () => {
+        const cipher = new Myszkowski(message, 'TOMATO');
+        expect(cipher.encode()).toBe('ROFOACDTEDSEEEACWEIVRLENE');
+    });
+
+    test('should decode the textbook example', () => {
+        const cipher = new Myszkowski('ROFOACDTEDSEEEACWEIVRLENE', 'TOMATO', true);
+        expect(cipher.decode()).toBe('WEAREDISCOVEREDFLEEATONCE');
+    });
+
+    test('should accept digit keys with repeated digits', () => {
+        const cipher = new Myszkowski(message, '432143');
+        expect(cipher.getRanks('432143')).toEqual([4, 3, 2, 1, 4, 3]);
+        expect(cipher.encode()).toBe('ROFOACDTEDSEEEACWEIVRLENE');
+    });
+
+    test('should behave like a keyed columnar transposition without repeated letters', () => {
+        const cipher = new Myszkowski(message, 'ZEBRAS');
+        expect(cipher.encode()).toBe('EVLNACDTESEAROFODEECWIREE');
+    });
+
+    test('should be reciprocal', () => {
+        const text = 'THEQUICKBROWNFOXJUMPSOVERTHELAZYDOG';
+        for (const key of ['BANANA', 'LETTER', 'MISSISSIPPI']) {
+            const encoded = new Myszkowski(text, key).encode();
+            expect(new Myszkowski(encoded, key, true).decode()).toBe(text);
+        }
+    });
+
+    test('should throw error with a key shorter than 2 symbols', () => {
+        const cipher = new Myszkowski(message, 'A');
+        expect(() => cipher.encode()).toThrow('at least 2');
+    });
+});
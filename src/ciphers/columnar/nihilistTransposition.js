@@ -0,0 +1,101 @@
+import { default as BasicCipher } from '../../core/basicCipher.js';
+import { CipherValidator } from '../../core/validation.js';
+import { TranspositionGrid } from '../../core/transposition-grid.js';
+import { default as KeyedColumnar } from './keyedColumnar.js';
+
+/**
+ * Nihilist Transposition Cipher
+ *
+ * The message is written row by row into a square whose side is the key length.
+ * The columns are rearranged in key order, then the rows are rearranged with the same order,
+ * and the square is read row by row (or column by column).
+ * Longer messages use one square after another; the last square is padded with X.
+ *
+ * Example with key 3142 (columns and rows taken in the order 2 4 1 3):
+ * W E A R      E R W A      D S E I
+ * E D I S  ->  D S E I  ->  E X R D
+ * C O V E      O E C V      E R W A
+ * R E D X      E X R D      O E C V
+ * WEAREDISCOVERED -> DSEIEXRDERWAOECV
+ *
+ * @param {String} message - Text to be encoded/decoded
+ * @param {String|Array} key - Keyword or numeric key (see KeyedColumnar)
+ * @param {Boolean} encoded - Indicates if message is already encoded
+ * @param {Boolean} debug - Enable debug messages
+ * @param {Boolean} readByColumns - Read the final square column by column (default: false)
+ */
+
+export default class NihilistTransposition extends BasicCipher {
+    constructor(message, key = 'ZEBRAS', encoded = false, debug = false, readByColumns = false) {
+        super(message, encoded, 'nihilistTransposition', key, '', debug);
+        this.readByColumns = readByColumns;
+        this.columnar = new KeyedColumnar(message, key, encoded, debug);
+    }
+
+    /**
+     * Reading positions for the whole (padded) text
+     * @param {Number} length - Padded text length (multiple of size²)
+     * @param {Array<Number>} order - Column indexes in key order
+     * @returns {Array<Number>} Positions in reading order
+     */
+    getPositions(length, order) {
+        const size = order.length;
+        const positions = [];
+
+        for (let start = 0; start < length; start += size * size) {
+            for (let i = 0; i < size; i++) {
+                for (let j = 0; j < size; j++) {
+                    // Cell (row, column) of the final square holds the original cell (order[row], order[column])
+                    const [row, column] = this.readByColumns ? [j, i] : [i, j];
+                    positions.push(start + order[row] * size + order[column]);
+                }
+            }
+        }
+        return positions;
+    }
+
+    /**
+     * Encode message using Nihilist transposition
+     * @param {String} message - Text to encode
+     * @param {String|Array} key - Keyword or numeric key
+     * @returns {String} Encoded message
+     */
+    encode = (message = this.message, key = this.key) => {
+        CipherValidator.validateMessage(message);
+        const order = this.columnar.getColumnOrder(key);
+        const cells = order.length * order.length;
+
+        let clean = message.toUpperCase().replace(/[^A-Z]/g, '');
+        if (clean.length === 0) {
+            return '';
+        }
+        while (clean.length % cells !== 0) {
+            clean += 'X';
+        }
+
+        const result = TranspositionGrid.transpose(clean, this.getPositions(clean.length, order));
+        this.logMessage(`Nihilist transposition encoded with order ${order.join(',')}`);
+        return result;
+    }
+
+    /**
+     * Decode message using Nihilist transposition
+     * @param {String} message - Text to decode (a multiple of the square size)
+     * @param {String|Array} key - Keyword or numeric key
+     * @returns {String} Decoded message (padding is not removed)
+     */
+    decode = (message = this.message, key = this.key) => {
+        CipherValidator.validateMessage(message);
+        const order = this.columnar.getColumnOrder(key);
+
+        const clean = message.toUpperCase().replace(/[^A-Z]/g, '');
+        if (clean.length === 0) {
+            return '';
+        }
+        if (clean.length % (order.length * order.length) !== 0) {
+            throw new Error('Nihilist transposition ciphertext must fill complete squares');
+        }
+
+        return TranspositionGrid.untranspose(clean, this.getPositions(clean.length, order));
+    }
+}
@@ -0,0 +1,34 @@
+import NihilistTransposition from './nihilistTransposition.js';
+
+describe('Nihilist Transposition Cipher Tests', () => {
+    test('should permute columns then rows of the square', () => {
+        // See class docs: WEAR EDIS COVE REDX with key 3142
+        const cipher = new NihilistTransposition('WE ARE DISCOVERED', '3142');
+        expect(cipher.encode()).toBe('DSEIEXRDERWAOECV');
+    });
+
+    test('should read the square by columns when asked', () => {
+        const cipher = new NihilistTransposition('WE ARE DISCOVERED', '3142', false, false, true);
+        expect(cipher.encode()).toBe('DEEOSXREERWCIDAV');
+    });
+
+    test('should use one square after another for long messages', () => {
+        const encoded = new NihilistTransposition('ABCDEFGHIJKLMNOPQRST', 'KEY').encode();
+        expect(encoded).toHaveLength(27);
+        expect(encoded.slice(9, 18).split('').sort().join('')).toBe('JKLMNOPQR');
+    });
+
+    test('should be reciprocal with keyword keys', () => {
+        const text = 'THEQUICKBROWNFOXJUMPSOVERTHELAZYDOG';
+        for (const readByColumns of [false, true]) {
+            const encoded = new NihilistTransposition(text, 'ZEBRAS', false, false, readByColumns).encode();
+            const decoded = new NihilistTransposition(encoded, 'ZEBRAS', true, false, readByColumns).decode();
+            expect(decoded).toBe(text + 'X');
+        }
+    });
+
+    test('should reject ciphertexts that do not fill complete squares', () => {
+        const cipher = new NihilistTransposition('ABCDE', '3142', true);
+        expect(() => cipher.decode()).toThrow();
+    });
+});
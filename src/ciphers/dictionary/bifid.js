@@ -1,5 +1,6 @@
 import { default as BasicCipher } from '../../core/basicCipher.js';
 import { CipherValidator } from '../../core/validation.js';
+import { Fractionation } from '../../core/fractionation.js';
 
 /**
  * Bifid Cipher
@@ -13,6 +14,8 @@ import { CipherValidator } from '../../core/validation.js';
  * 3. Read coordinates in columns (transposition)
  * 4. Convert coordinate pairs back to letters using Polybius Square
  * 
+ * With a period, steps 2-4 are applied to blocks of that many letters (see Fractionation).
+ * 
  * Example:
  * Plaintext: HELLO
  * Keyword:   KEYWORD (optional)
@@ -21,12 +24,14 @@ import { CipherValidator } from '../../core/validation.js';
  * @param {String} keyword - Optional keyword for Polybius Square
  * @param {Boolean} encoded - Indicates if message is already encoded
  * @param {Boolean} debug - Enable debug messages
+ * @param {Number} period - Block length (default: 0, the whole message is one block)
  */
 
 export default class Bifid extends BasicCipher {
-    constructor(message, keyword = '', encoded = false, debug = false) {
+    constructor(message, keyword = '', encoded = false, debug = false, period = 0) {
         super(message, encoded, 'bifid', keyword, '', debug);
         this.grid = this.generateGrid(keyword);
+        this.period = period;
     }
 
     /**
@@ -117,24 +122,17 @@ export default class Bifid extends BasicCipher {
         }
 
         // Step 1: Convert letters to coordinates (row, col pairs)
-        const rows = [];
-        const cols = [];
+        const coordinates = [];
         for (const char of cleanMessage) {
             const pos = this.findPosition(char);
             if (pos) {
-                rows.push(pos.row);
-                cols.push(pos.col);
+                coordinates.push([pos.row, pos.col]);
             }
         }
 
-        // Step 2: Combine rows and cols into single sequence
-        const combined = rows.concat(cols);
-
-        // Step 3: Read in pairs (transposition)
+        // Step 2-3: Write rows and cols one after the other and read them in pairs (transposition)
         let result = '';
-        for (let i = 0; i < combined.length - 1; i += 2) {
-            const row = combined[i];
-            const col = combined[i + 1];
+        for (const [row, col] of Fractionation.fractionate(coordinates, this.period)) {
             result += this.getLetter(row, col);
         }
 
@@ -163,25 +161,17 @@ export default class Bifid extends BasicCipher {
         }
 
         // Step 1: Convert letters to coordinates (row, col pairs)
-        const allNumbers = [];
+        const coordinates = [];
         for (const char of cleanMessage) {
             const pos = this.findPosition(char);
             if (pos) {
-                allNumbers.push(pos.row);
-                allNumbers.push(pos.col);
+                coordinates.push([pos.row, pos.col]);
             }
         }
 
-        // Step 2: Split into two halves (reverse of encoding)
-        const midPoint = Math.ceil(allNumbers.length / 2);
-        const rows = allNumbers.slice(0, midPoint);
-        const cols = allNumbers.slice(midPoint);
-
-        // Step 3: Interleave rows and cols (reverse transposition)
+        // Step 2-3: Split the coordinates back into rows and cols (reverse transposition)
         let result = '';
-        for (let i = 0; i < rows.length; i++) {
-            const row = rows[i];
-            const col = cols[i] !== undefined ? cols[i] : 0;
+        for (const [row, col] of Fractionation.unfractionate(coordinates, this.period)) {
             result += this.getLetter(row, col);
         }
 
@@ -52,6 +52,27 @@ describe('Bifid Cipher Tests', () => {
         });
     });
 
+    describe('Period', () => {
+        test('should encode the classic example with a keyed square', () => {
+            const cipher = new Bifid('FLEE AT ONCE', 'BGWKZQPNDSIOAXEFCLUMTHYVR');
+            expect(cipher.encode()).toBe('UAEOLWRINS');
+        });
+
+        test('should fractionate each period block separately', () => {
+            const whole = new Bifid('FLEEATONCE', 'BGWKZQPNDSIOAXEFCLUMTHYVR').encode();
+            const periodic = new Bifid('FLEEATONCE', 'BGWKZQPNDSIOAXEFCLUMTHYVR', false, false, 5).encode();
+            const firstBlock = new Bifid('FLEEA', 'BGWKZQPNDSIOAXEFCLUMTHYVR').encode();
+            expect(periodic).not.toBe(whole);
+            expect(periodic.slice(0, 5)).toBe(firstBlock);
+        });
+
+        test('should be reciprocal with a period', () => {
+            const encoded = new Bifid('DEFENDTHEEASTWALLOFTHECASTLE', 'KEYWORD', false, false, 7).encode();
+            const decoded = new Bifid(encoded, 'KEYWORD', true, false, 7).decode();
+            expect(decoded).toBe('DEFENDTHEEASTWALLOFTHECASTLE');
+        });
+    });
+
     describe('Edge Cases', () => {
         test('should handle single character', () => {
             const cipher = new Bifid('H');
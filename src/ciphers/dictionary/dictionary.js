@@ -4,6 +4,8 @@ import { default as Baconian } from './baconian.js';
 import { default as Bazeries } from './bazeries.js';
 import { default as Bifid } from './bifid.js';
 import { default as FourSquare } from './fourSquare.js';
+import { default as Hill } from './hill.js';
+import { default as Homophonic } from './homophonic.js';
 import { default as Morse } from './morse.js';
 import { default as Playfair } from './playfair.js';
 import { default as Polybius } from './polybius.js';
@@ -11,6 +13,11 @@ import { default as SimpleSubstitution } from './simpleSubstitution.js';
 import { default as TwoSquare } from './twoSquare.js';
 import { default as ADFGX } from './adfgx.js';
 import { default as ADFGVX } from './adfgvx.js';
+import { default as Trifid } from './trifid.js';
+import { default as Digrafid } from './digrafid.js';
+import { default as StraddlingCheckerboard } from './straddlingCheckerboard.js';
+import { default as VIC } from './vic.js';
+import { default as Nihilist } from './nihilist.js';
 
 export default {
 	Atbash,
@@ -19,11 +26,18 @@ export default {
 	Bazeries,
 	Bifid,
 	FourSquare,
+	Hill,
+	Homophonic,
 	Morse,
 	Playfair,
 	Polybius,
 	SimpleSubstitution,
 	TwoSquare,
 	ADFGX,
-	ADFGVX
+	ADFGVX,
+	Trifid,
+	Digrafid,
+	StraddlingCheckerboard,
+	VIC,
+	Nihilist
 };
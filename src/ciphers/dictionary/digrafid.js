@@ -0,0 +1,139 @@
+import { default as BasicCipher } from '../../core/basicCipher.js';
+import { CipherValidator } from '../../core/validation.js';
+import { Fractionation } from '../../core/fractionation.js';
+
+const GRID_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ#';
+
+/**
+ * Digrafid Cipher
+ *
+ * Fractionates digraphs instead of letters (ACA). Two 27-symbol grids are used:
+ * - Grid 1: 3 rows x 9 columns, keyed with the first keyword, filled row by row
+ * - Grid 2: 9 rows x 3 columns, keyed with the second keyword, filled row by row
+ *
+ * Each plaintext digraph (a, b) becomes three numbers:
+ * the column of a in grid 1, the keypad number where the row of a meets the column of b
+ * (1 2 3 / 4 5 6 / 7 8 9) and the row of b in grid 2.
+ * The numbers are then fractionated in period blocks of digraphs (see Fractionation)
+ * and every group of three numbers is turned back into a digraph.
+ *
+ * @param {String} message - Text to be encoded/decoded (padded with X to an even length)
+ * @param {String} keyword - Keyword for grid 1
+ * @param {Boolean} encoded - Indicates if message is already encoded
+ * @param {Boolean} debug - Enable debug messages
+ * @param {Number} period - Block length in digraphs (default: 3, 0 = the whole message is one block)
+ * @param {String} secondKeyword - Keyword for grid 2 (default: same as keyword)
+ */
+
+export default class Digrafid extends BasicCipher {
+    constructor(message, keyword = '', encoded = false, debug = false, period = 3, secondKeyword = null) {
+        super(message, encoded, 'digrafid', keyword, '', debug);
+        this.period = period;
+        this.secondKeyword = secondKeyword;
+        this.generateGrids(keyword, secondKeyword === null ? keyword : secondKeyword);
+    }
+
+    /**
+     * Generate both keyed grids as 27-symbol strings, read row by row
+     * @param {String} keyword - Keyword for grid 1
+     * @param {String} secondKeyword - Keyword for grid 2
+     */
+    generateGrids(keyword = '', secondKeyword = keyword) {
+        const keyed = (key) => {
+            const cleanKey = key.toUpperCase()
+                .split('')
+                .filter((char, index, self) => GRID_ALPHABET.includes(char) && self.indexOf(char) === index)
+                .join('');
+            return cleanKey + GRID_ALPHABET.split('').filter(char => !cleanKey.includes(char)).join('');
+        };
+
+        this.firstGrid = keyed(keyword);
+        this.secondGrid = keyed(secondKeyword);
+    }
+
+    /**
+     * Encode message using Digrafid cipher
+     * @param {String} message - Text to encode
+     * @param {String} keyword - Keyword for grid 1
+     * @returns {String} Encoded message
+     */
+    encode = (message = this.message, keyword = this.key) => {
+        CipherValidator.validateMessage(message);
+        this.updateKey(keyword);
+
+        let cleanMessage = message.toUpperCase().replace(/[^A-Z#]/g, '');
+        if (cleanMessage.length === 0) {
+            return '';
+        }
+        if (cleanMessage.length % 2 !== 0) {
+            cleanMessage += 'X';
+        }
+
+        const result = Fractionation.fractionate(this.toTriples(cleanMessage), this.period)
+            .map(triple => this.fromTriple(triple))
+            .join('');
+
+        this.logMessage(`Digrafid encoded with period ${this.period}: ${result}`);
+        return result;
+    }
+
+    /**
+     * Decode message using Digrafid cipher
+     * @param {String} message - Encoded text
+     * @param {String} keyword - Keyword for grid 1
+     * @returns {String} Decoded message (padding is not removed)
+     */
+    decode = (message = this.message, keyword = this.key) => {
+        CipherValidator.validateMessage(message);
+        this.updateKey(keyword);
+
+        const cleanMessage = message.toUpperCase().replace(/[^A-Z#]/g, '');
+        if (cleanMessage.length === 0) {
+            return '';
+        }
+        if (cleanMessage.length % 2 !== 0) {
+            throw new Error('Digrafid ciphertext must have an even number of symbols');
+        }
+
+        return Fractionation.unfractionate(this.toTriples(cleanMessage), this.period)
+            .map(triple => this.fromTriple(triple))
+            .join('');
+    }
+
+    /**
+     * Regenerate the grids if the keyword changed
+     * @param {String} keyword - Keyword for grid 1
+     */
+    updateKey(keyword) {
+        if (keyword !== this.key) {
+            this.key = keyword;
+            this.generateGrids(keyword, this.secondKeyword === null ? keyword : this.secondKeyword);
+        }
+    }
+
+    /**
+     * Convert text into one triple per digraph
+     * @param {String} text - Clean text of even length
+     * @returns {Array<Array<Number>>} [column in grid 1, keypad number, row in grid 2] (0-indexed)
+     */
+    toTriples(text) {
+        const triples = [];
+        for (let i = 0; i < text.length; i += 2) {
+            const first = this.firstGrid.indexOf(text[i]);
+            const second = this.secondGrid.indexOf(text[i + 1]);
+            const firstRow = Math.floor(first / 9);
+            const secondColumn = second % 3;
+            triples.push([first % 9, firstRow * 3 + secondColumn, Math.floor(second / 3)]);
+        }
+        return triples;
+    }
+
+    /**
+     * Convert a triple back into a digraph
+     * @param {Array<Number>} triple - [column in grid 1, keypad number, row in grid 2] (0-indexed)
+     * @returns {String} Digraph
+     */
+    fromTriple([column, keypad, row]) {
+        return this.firstGrid[Math.floor(keypad / 3) * 9 + column] + this.secondGrid[row * 3 + keypad % 3];
+    }
+}
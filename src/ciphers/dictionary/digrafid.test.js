@@ -0,0 +1,50 @@
+import Digrafid from './digrafid.js';
+
+describe('Digrafid Cipher Tests', () => {
+    describe('Triples', () => {
+        test('should turn a digraph into column, keypad number and row', () => {
+            const cipher = new Digrafid('TH', '');
+            // T: row 2, column 1 of grid 1; H: row 2, column 1 of grid 2 (3 letters a row)
+            expect(cipher.toTriples('TH')).toEqual([[1, 7, 2]]);
+            expect(cipher.fromTriple([1, 7, 2])).toBe('TH');
+        });
+
+        test('should lay out grid 2 in rows of three', () => {
+            const cipher = new Digrafid('', 'KEYWORD', false, false, 3, 'VERTICAL');
+            // V E R / T I C / A L B / D F G / H J K / M N O / P Q S / U W X / Y Z #
+            expect(cipher.secondGrid.match(/.{3}/g)).toEqual(['VER', 'TIC', 'ALB', 'DFG', 'HJK', 'MNO', 'PQS', 'UWX', 'YZ#']);
+            // T (row 1, column 4 of grid 1) and H (row 5, column 1 of grid 2): 4, 7, 5 counted from 1
+            expect(cipher.toTriples('TH')).toEqual([[3, 6, 4]]);
+        });
+    });
+
+    describe('Encoding', () => {
+        test('should encode the KEYWORD / VERTICAL example with period 3', () => {
+            // Worked by hand from the ACA rules: TH IS IS give 475 567 567, written in three rows and
+            // read across as 455 744 765 577, and so on for every block of three digraphs
+            const cipher = new Digrafid('THISISTHEFORESTPRIMEVAL', 'KEYWORD', false, false, 3, 'VERTICAL');
+            expect(cipher.encode()).toBe('HJLOUPWJDLIVFMSTXTMSUMKX');
+        });
+
+        test('should use the first keyword for both grids by default', () => {
+            const cipher = new Digrafid('HELLO', 'KEYWORD');
+            expect(cipher.secondGrid).toBe(cipher.firstGrid);
+        });
+    });
+
+    describe('Decoding', () => {
+        test('should be reciprocal for several periods', () => {
+            const text = 'THEQUICKBROWNFOXJUMPSOVERTHELAZYDOG';
+            for (const period of [0, 2, 3, 4, 7]) {
+                const encoded = new Digrafid(text, 'KEYWORD', false, false, period, 'VERTICAL').encode();
+                const decoded = new Digrafid(encoded, 'KEYWORD', true, false, period, 'VERTICAL').decode();
+                expect(decoded).toBe(`${text}X`);
+            }
+        });
+
+        test('should reject ciphertexts with an odd number of symbols', () => {
+            const cipher = new Digrafid('ABC', 'KEYWORD', true);
+            expect(() => cipher.decode()).toThrow('even number');
+        });
+    });
+});
@@ -0,0 +1,173 @@
+import { default as BasicCipher } from '../../core/basicCipher.js';
+import { CipherValidator } from '../../core/validation.js';
+import { ModularMath } from '../../core/modular-math.js';
+
+/**
+ * Hill Cipher
+ *
+ * A polygraphic substitution cipher based on linear algebra (Lester S. Hill, 1929).
+ * The plaintext is split into blocks of n letters, each block is treated as a column vector
+ * and multiplied by an n x n key matrix modulo the alphabet size.
+ *
+ * Process:
+ * 1. Convert the key into an n x n matrix (keyword of n² letters or numeric matrix)
+ * 2. Split the message into blocks of n letters (padding the last block with X)
+ * 3. Encode: C = K · P (mod m)
+ * 4. Decode: P = K⁻¹ · C (mod m), the key must be invertible modulo m
+ *
+ * Example (Wikipedia):
+ * Key:        GYBNQKURP  ->  [[6, 24, 1], [13, 16, 10], [20, 17, 15]]
+ * Plaintext:  ACT
+ * Ciphertext: POH
+ *
+ * @param {String} message - Text to be encoded/decoded
+ * @param {String|Array} key - Keyword of n² letters, flat array of n² numbers or n x n matrix
+ * @param {Boolean} encoded - Indicates if message is already encoded
+ * @param {Boolean} debug - Enable debug messages
+ * @param {String} alphabet - Symbols of the cipher alphabet, its length is the modulus (default: A-Z, mod 26)
+ */
+
+export default class Hill extends BasicCipher {
+    static DEFAULT_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+    constructor(message, key = 'GYBNQKURP', encoded = false, debug = false, alphabet = Hill.DEFAULT_ALPHABET) {
+        super(message, encoded, 'hill', key, alphabet, debug);
+        this.modulus = alphabet.length;
+        this.matrix = this.keyToMatrix(key);
+    }
+
+    /**
+     * Converts a key into a square matrix.
+     * @param {String|Array} key - Keyword (n² symbols), flat numeric array (n² values) or n x n matrix
+     * @returns {Array<Array<Number>>} n x n key matrix
+     */
+    keyToMatrix(key) {
+        CipherValidator.validateKey(key);
+
+        if (Array.isArray(key) && key.length > 0 && Array.isArray(key[0])) {
+            return key.map(row => [...row]);
+        }
+
+        let values;
+        if (Array.isArray(key)) {
+            values = [...key];
+        } else if (typeof key === 'string') {
+            const cleanKey = this.cleanText(key);
+            values = cleanKey.split('').map(char => this.alphabet.indexOf(char));
+        } else {
+            throw new TypeError(`Key must be a string or an array, got ${typeof key}`);
+        }
+
+        const size = Math.round(Math.sqrt(values.length));
+        if (size < 1 || size * size !== values.length) {
+            throw new Error(`Hill key must contain a perfect square number of values, got ${values.length}`);
+        }
+
+        const matrix = [];
+        for (let row = 0; row < size; row++) {
+            matrix.push(values.slice(row * size, (row + 1) * size));
+        }
+        return matrix;
+    }
+
+    /**
+     * Keeps only symbols of the cipher alphabet (uppercasing first when the alphabet is uppercase).
+     * @param {String} text - Text to clean
+     * @returns {String} Cleaned text
+     */
+    cleanText(text) {
+        const source = this.alphabet === this.alphabet.toUpperCase() ? text.toUpperCase() : text;
+        return source.split('').filter(char => this.alphabet.includes(char)).join('');
+    }
+
+    /**
+     * Pads the text so its length is a multiple of the block size.
+     * Uses X when available in the alphabet, otherwise the last symbol of the alphabet.
+     * @param {String} text - Clean text
+     * @param {Number} size - Block size
+     * @returns {String} Padded text
+     */
+    padText(text, size) {
+        const padChar = this.alphabet.includes('X') ? 'X' : this.alphabet[this.alphabet.length - 1];
+        let padded = text;
+        while (padded.length % size !== 0) {
+            padded += padChar;
+        }
+        return padded;
+    }
+
+    /**
+     * Multiplies every block of the text by the given matrix.
+     * @param {String} text - Clean text whose length is a multiple of the matrix size
+     * @param {Array<Array<Number>>} matrix - Matrix to apply
+     * @returns {String} Transformed text
+     */
+    applyMatrix(text, matrix) {
+        const size = matrix.length;
+        let result = '';
+
+        for (let i = 0; i + size <= text.length; i += size) {
+            const block = text.slice(i, i + size).split('').map(char => this.alphabet.indexOf(char));
+            const transformed = ModularMath.multiplyMatrixVector(matrix, block, this.modulus);
+            result += transformed.map(value => this.alphabet[value]).join('');
+        }
+
+        return result;
+    }
+
+    /**
+     * Returns the inverse of the current key matrix.
+     * @returns {Array<Array<Number>>|null} Inverse matrix, null if the key is not invertible
+     */
+    getInverseMatrix() {
+        return ModularMath.inverseMatrix(this.matrix, this.modulus);
+    }
+
+    /**
+     * Regenerates the key matrix if the key changed.
+     * @param {String|Array} key - Key to use
+     */
+    updateKey(key) {
+        if (key !== this.key) {
+            this.matrix = this.keyToMatrix(key);
+            this.key = key;
+        }
+        CipherValidator.validateMatrix(this.matrix, this.modulus);
+    }
+
+    /**
+     * Encode message using Hill cipher
+     * @param {String} message - Text to encode
+     * @param {String|Array} key - Key for encryption
+     * @returns {String} Encoded message
+     */
+    encode = (message = this.message, key = this.key) => {
+        CipherValidator.validateMessage(message);
+        this.updateKey(key);
+
+        const clean = this.cleanText(message);
+        if (clean.length === 0) {
+            return '';
+        }
+
+        return this.applyMatrix(this.padText(clean, this.matrix.length), this.matrix);
+    }
+
+    /**
+     * Decode message using Hill cipher
+     * @param {String} message - Text to decode
+     * @param {String|Array} key - Key for decryption
+     * @returns {String} Decoded message (padding is not removed)
+     */
+    decode = (message = this.message, key = this.key) => {
+        CipherValidator.validateMessage(message);
+        this.updateKey(key);
+
+        const clean = this.cleanText(message);
+        if (clean.length === 0) {
+            return '';
+        }
+
+        return this.applyMatrix(this.padText(clean, this.matrix.length), this.getInverseMatrix());
+    }
+}
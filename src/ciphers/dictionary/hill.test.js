@@ -0,0 +1,69 @@
+import Hill from './hill.js';
+
+describe('Hill Cipher Tests', () => {
+    describe('Encoding', () => {
+        test('should encode the 3x3 textbook example', () => {
+            const cipher = new Hill('ACT', 'GYBNQKURP');
+            expect(cipher.encode()).toBe('POH');
+        });
+
+        test('should encode with a numeric 2x2 matrix', () => {
+            const cipher = new Hill('HELP', [[3, 3], [2, 5]]);
+            expect(cipher.encode()).toBe('HIAT');
+        });
+
+        test('should accept a flat numeric key', () => {
+            const cipher = new Hill('HELP', [3, 3, 2, 5]);
+            expect(cipher.encode()).toBe('HIAT');
+        });
+
+        test('should pad incomplete blocks with X', () => {
+            const cipher = new Hill('HELLO', 'HILL');
+            expect(cipher.encode().length).toBe(6);
+        });
+
+        test('should ignore case, spaces and punctuation', () => {
+            const cipher = new Hill('act!', 'GYBNQKURP');
+            expect(cipher.encode()).toBe('POH');
+        });
+    });
+
+    describe('Decoding', () => {
+        test('should decode the 3x3 textbook example', () => {
+            const decoder = new Hill('POH', 'GYBNQKURP', true);
+            expect(decoder.decode()).toBe('ACT');
+        });
+
+        test('should be reciprocal with a 4x4 matrix', () => {
+            const key = [[5, 17, 4, 15], [2, 3, 1, 8], [9, 7, 11, 2], [6, 1, 3, 5]];
+            const encoded = new Hill('ATTACKATDAWNX', key).encode();
+            const decoded = new Hill(encoded, key, true).decode();
+            expect(decoded).toBe('ATTACKATDAWNXXXX');
+        });
+
+        test('should be reciprocal with a custom alphabet (mod 29)', () => {
+            const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ.,?';
+            const key = [[2, 3], [1, 4]];
+            const encoded = new Hill('HELLO, WORLD.', key, false, false, alphabet).encode();
+            const decoder = new Hill(encoded, key, true, false, alphabet);
+            expect(decoder.modulus).toBe(29);
+            expect(decoder.decode()).toBe('HELLO,WORLD.');
+        });
+    });
+
+    describe('Validation', () => {
+        test('should reject a non-invertible key', () => {
+            const cipher = new Hill('HELLO', [[2, 4], [6, 8]]);
+            expect(() => cipher.encode()).toThrow('not invertible');
+        });
+
+        test('should reject a key whose length is not a perfect square', () => {
+            expect(() => new Hill('HELLO', 'ABC')).toThrow('perfect square');
+        });
+
+        test('should throw error with empty message', () => {
+            const cipher = new Hill('', 'HILL');
+            expect(() => cipher.encode()).toThrow();
+        });
+    });
+});
@@ -0,0 +1,162 @@
+import { default as BasicCipher } from '../../core/basicCipher.js';
+import { CipherValidator } from '../../core/validation.js';
+import { TextUtils } from '../../core/text-utils.js';
+import { englishLetterFrequencies } from '../../language/models/english.js';
+
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+// Two-digit code groups, like the numbers of the nomenclators
+const NUMBERS = Array.from({ length: 100 }, (number, i) => `${i}`.padStart(2, '0'));
+
+/**
+ * Homophones of every letter, as many as its share of the plaintext letters (at least one each), so
+ * that all the symbols come out about as often. Symbols are dealt at random.
+ * @param {Object} options
+ * @param {Array<String>|String} options.symbols - Cipher symbols, 26 at least (default: 00 to 99)
+ * @param {Object} options.frequencies - Letter frequencies of the plaintext language (default: English)
+ * @param {Function} options.random - Numbers in [0, 1) (default: Math.random)
+ * @returns {Object} Homophones by letter, e.g. {A: ['17', '42', ...], ...}
+ */
+const generateKey = ({ symbols = NUMBERS, frequencies = englishLetterFrequencies, random = Math.random } = {}) => {
+    const pool = [...symbols];
+    if (pool.length < ALPHABET.length || new Set(pool).size !== pool.length) {
+        throw new Error(`A homophonic key needs at least ${ALPHABET.length} different symbols, got ${pool.length}`);
+    }
+    for (let i = pool.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [pool[i], pool[j]] = [pool[j], pool[i]];
+    }
+
+    // One symbol per letter, the rest by largest remainder of the frequencies
+    const total = ALPHABET.split('').reduce((sum, letter) => sum + (frequencies[letter] || 0), 0);
+    const spare = pool.length - ALPHABET.length;
+    const shares = ALPHABET.split('').map(letter => ((frequencies[letter] || 0) / total) * spare);
+    const counts = shares.map(share => 1 + Math.floor(share));
+    let left = pool.length - counts.reduce((sum, count) => sum + count, 0);
+    shares
+        .map((share, i) => ({ i, remainder: share - Math.floor(share) }))
+        .sort((a, b) => b.remainder - a.remainder)
+        .forEach(({ i }) => {
+            if (left > 0) {
+                counts[i] += 1;
+                left -= 1;
+            }
+        });
+
+    const key = {};
+    let next = 0;
+    ALPHABET.split('').forEach((letter, i) => {
+        key[letter] = pool.slice(next, next + counts[i]);
+        next += counts[i];
+    });
+    return key;
+};
+
+// Fixed default key: the numbers 00 to 99 dealt by a linear congruential generator (seed 408)
+const DEFAULT_KEY = (() => {
+    let state = 408;
+    return generateKey({
+        random: () => {
+            state = (state * 1103515245 + 12345) % 2147483648;
+            return state / 2147483648;
+        }
+    });
+})();
+
+/**
+ * Homophonic Substitution Cipher
+ *
+ * Each plaintext letter has one or more cipher symbols (homophones), usually as many as its frequency
+ * in the language, so that the symbols of the ciphertext come out with about the same frequency and
+ * frequency analysis no longer reveals E or T. Used from the Renaissance nomenclators to the Zodiac
+ * killer's 408 cipher. Decoding is many-to-one: every homophone gives back its letter.
+ *
+ * The homophones of a letter are used in turn, as clerks were told to. Only letters are enciphered.
+ * Symbols longer than one character (the default two-digit numbers) are written with spaces between
+ * them, single characters are run together.
+ *
+ * Example (default key, A: 40 35 51 ..., T: 09 52 57 ...):
+ * Plaintext:  ATTACK AT DAWN
+ * Ciphertext: 40 09 52 35 38 02 51 57 46 55 36 80
+ *
+ * @param {String} message - Text to be encoded/decoded
+ * @param {Object} key - Homophones by letter, {A: ['17', '42'], B: ['05'], ...} (see generateKey)
+ * @param {Boolean} encoded - Indicates if the message is already encoded
+ * @param {Boolean} debug - Enable debug messages
+ */
+
+export default class Homophonic extends BasicCipher {
+    static DEFAULT_KEY = DEFAULT_KEY;
+
+    static generateKey = generateKey;
+
+    static symbols = TextUtils.symbols;
+
+    constructor(message, key = DEFAULT_KEY, encoded = false, debug = false) {
+        super(message, encoded, 'homophonic', key, ALPHABET, debug);
+    }
+
+    /**
+     * Reads and checks a key
+     * @param {Object} key - Homophones by letter
+     * @returns {{homophones: Object, letters: Map<String, String>, separator: String}} Homophones of every
+     *   letter, letter of every symbol and the separator of the ciphertext symbols
+     */
+    parseKey(key) {
+        CipherValidator.validateKey(key);
+        if (typeof key !== 'object' || Array.isArray(key)) {
+            throw new TypeError('A homophonic key maps every letter to its symbols, e.g. {A: [\'17\', \'42\'], ...}');
+        }
+        const homophones = {};
+        const letters = new Map();
+        ALPHABET.split('').forEach(letter => {
+            const list = key[letter] || key[letter.toLowerCase()] || [];
+            homophones[letter] = (typeof list === 'string' ? list.split('') : list).map(symbol => `${symbol}`);
+            if (homophones[letter].length === 0) {
+                throw new Error(`Letter ${letter} has no homophone`);
+            }
+            homophones[letter].forEach(symbol => {
+                if (letters.has(symbol) || symbol === '' || /\s/.test(symbol)) {
+                    throw new Error(`Homophone "${symbol}" of ${letter} is empty, has spaces or is used twice`);
+                }
+                letters.set(symbol, letter);
+            });
+        });
+        const separator = [...letters.keys()].every(symbol => symbol.length === 1) ? '' : ' ';
+        return { homophones, letters, separator };
+    }
+
+    /**
+     * Encode message using the homophones of every letter in turn
+     * @param {String} message - Text to encode (only letters are kept)
+     * @param {Object} key - Homophones by letter
+     * @returns {String} Cipher symbols
+     */
+    encode = (message = this.message, key = this.key) => {
+        CipherValidator.validateMessage(message);
+        const { homophones, separator } = this.parseKey(key);
+        const used = {};
+        return message.toUpperCase().replace(/[^A-Z]/g, '').split('').map(letter => {
+            const turn = used[letter] || 0;
+            used[letter] = turn + 1;
+            return homophones[letter][turn % homophones[letter].length];
+        }).join(separator);
+    }
+
+    /**
+     * Decode message, every homophone back to its letter
+     * @param {String} message - Cipher symbols
+     * @param {Object} key - Homophones by letter
+     * @returns {String} Plaintext letters
+     */
+    decode = (message = this.message, key = this.key) => {
+        CipherValidator.validateMessage(message);
+        const { letters, separator } = this.parseKey(key);
+        const tokens = separator ? message.split(/\s+/).filter(Boolean) : message.replace(/\s/g, '').split('');
+        return tokens.map(symbol => {
+            if (!letters.has(symbol)) {
+                throw new Error(`Unknown homophone "${symbol}"`);
+            }
+            return letters.get(symbol);
+        }).join('');
+    }
+}
@@ -0,0 +1,70 @@
+import Homophonic from './homophonic.js';
+
+describe('Homophonic Cipher Tests', () => {
+    const KEY = {
+        A: ['10', '11'], B: ['12'], C: ['13'], D: ['14'], E: ['15', '16', '17'], F: ['18'], G: ['19'],
+        H: ['20'], I: ['21'], J: ['22'], K: ['23'], L: ['24'], M: ['25'], N: ['26'], O: ['27'], P: ['28'],
+        Q: ['29'], R: ['30'], S: ['31'], T: ['32', '33'], U: ['34'], V: ['35'], W: ['36'], X: ['37'],
+        Y: ['38'], Z: ['39']
+    };
+
+    describe('Encoding', () => {
+        test('should use the homophones of a letter in turn', () => {
+            const cipher = new Homophonic('TEE TEE ATE', KEY);
+            expect(cipher.encode()).toBe('32 15 16 33 17 15 10 32 16');
+        });
+
+        test('should encode the default key example', () => {
+            expect(new Homophonic('ATTACK AT DAWN').encode()).toBe('40 09 52 35 38 02 51 57 46 55 36 80');
+        });
+
+        test('should run single-character symbols together', () => {
+            const key = {};
+            'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('').forEach(letter => { key[letter] = letter.toLowerCase(); });
+            Object.assign(key, { A: '@4', E: ['3', 'e', '&'] });
+            expect(new Homophonic('a peace', key).encode()).toBe('@p34ce');
+        });
+    });
+
+    describe('Decoding', () => {
+        test('should give every homophone back its letter', () => {
+            const cipher = new Homophonic('32 15 16 33 17 15 10 32 16', KEY, true);
+            expect(cipher.decode()).toBe('TEETEEATE');
+        });
+
+        test('should decode what it encodes with a generated key', () => {
+            const key = Homophonic.generateKey();
+            const encoded = new Homophonic('Homophones flatten the letter frequencies', key).encode();
+            expect(new Homophonic(encoded, key, true).decode()).toBe('HOMOPHONESFLATTENTHELETTERFREQUENCIES');
+        });
+
+        test('should reject unknown symbols', () => {
+            expect(() => new Homophonic('32 99', KEY, true).decode()).toThrow('Unknown homophone "99"');
+        });
+    });
+
+    describe('Keys', () => {
+        test('should give frequent letters more homophones', () => {
+            const key = Homophonic.generateKey({ random: () => 0 });
+            const symbols = Object.values(key).flat();
+
+            expect(symbols.length).toBe(100);
+            expect(new Set(symbols).size).toBe(100);
+            expect(key.E.length).toBeGreaterThan(key.T.length);
+            expect(key.T.length).toBeGreaterThan(key.Z.length);
+            expect(key.Z.length).toBe(1);
+        });
+
+        test('should reject keys without homophones or with shared symbols', () => {
+            expect(() => new Homophonic('A', { ...KEY, Q: [] }).encode()).toThrow('Letter Q has no homophone');
+            expect(() => new Homophonic('A', { ...KEY, Q: ['10'] }).encode()).toThrow('used twice');
+            expect(() => Homophonic.generateKey({ symbols: 'ABC' })).toThrow('at least 26');
+        });
+
+        test('should read numbers and run-together symbols', () => {
+            expect(Homophonic.symbols('12 05, 99')).toEqual(['12', '05', '99']);
+            expect(Homophonic.symbols('120599')).toEqual(['12', '05', '99']);
+            expect(Homophonic.symbols('a+B\nc')).toEqual(['a', '+', 'B', 'c']);
+        });
+    });
+});
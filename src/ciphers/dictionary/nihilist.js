@@ -0,0 +1,112 @@
+import { default as Polybius } from './polybius.js';
+import { CipherValidator } from '../../core/validation.js';
+
+/**
+ * Nihilist Substitution Cipher
+ *
+ * Russian Nihilist cipher: a Polybius square turns the message and a second keyword (the additive key)
+ * into two-digit numbers, and the key numbers are added to the message numbers, repeating the key.
+ * Sums range from 22 to 110, so the ciphertext mixes two- and three-digit numbers.
+ *
+ * Example (square keyword ZEBRAS, additive key RUSSIAN):
+ *   1 2 3 4 5
+ * 1 Z E B R A
+ * 2 S C D F G
+ * 3 H I K L M
+ * 4 N O P Q T
+ * 5 U V W X Y
+ * "DYNAMITE" -> 23+14, 55+51, 41+21, ... -> "37 106 62 36 67 47 86 26"
+ *
+ * @param {String} message - Text to be encoded/decoded
+ * @param {String} keyword - Optional keyword to scramble the square
+ * @param {Boolean} encoded - Indicates if the message is already encoded
+ * @param {Boolean} debug - Enable debug messages
+ * @param {String|Array<Number>} additiveKey - Key word (coded with the square) or its numbers (11-55)
+ */
+
+export default class Nihilist extends Polybius {
+    constructor(message, keyword = '', encoded = false, debug = false, additiveKey = 'RUSSIAN') {
+        super(message, keyword, encoded, debug);
+        this.method = 'nihilist';
+        this.additiveKey = additiveKey;
+    }
+
+    /**
+     * Numbers of the additive key
+     * @param {String|Array<Number>} additiveKey - Key word or key numbers
+     * @returns {Array<Number>} Two-digit key numbers
+     */
+    getKeyNumbers(additiveKey = this.additiveKey) {
+        CipherValidator.validateKey(additiveKey);
+
+        const numbers = Array.isArray(additiveKey)
+            ? additiveKey.map(Number)
+            : additiveKey.toUpperCase().replace(/[^A-Z]/g, '').split('').map(char => {
+                const pos = this.findPosition(char);
+                return pos.row * 10 + pos.col;
+            });
+
+        if (numbers.length === 0 || !numbers.every(number => Number.isInteger(number) && number % 10 >= 1 && number % 10 <= 5 && number >= 11 && number <= 55)) {
+            throw new Error('Nihilist additive key must be a word or numbers of the square (11-55)');
+        }
+        return numbers;
+    }
+
+    /**
+     * Encode message using Nihilist substitution
+     * @param {String} message - Text to encode
+     * @param {String} keyword - Optional keyword for the square
+     * @returns {String} Space separated numbers
+     */
+    encode = (message = this.message, keyword = this.key) => {
+        CipherValidator.validateMessage(message);
+
+        // Regenerate grid if keyword changed
+        if (keyword !== this.key) {
+            this.grid = this.generateGrid(keyword);
+            this.key = keyword;
+        }
+
+        const keyNumbers = this.getKeyNumbers();
+        const cleanMessage = message.toUpperCase().replace(/[^A-Z]/g, '');
+        const result = cleanMessage.split('').map((char, i) => {
+            const pos = this.findPosition(char);
+            return pos.row * 10 + pos.col + keyNumbers[i % keyNumbers.length];
+        }).join(' ');
+
+        this.logMessage(`Nihilist encoded with key ${keyNumbers.join(',')}: ${result}`);
+        return result;
+    }
+
+    /**
+     * Decode message using Nihilist substitution
+     * @param {String} message - Numbers separated by spaces
+     * @param {String} keyword - Optional keyword for the square
+     * @returns {String} Decoded message
+     */
+    decode = (message = this.message, keyword = this.key) => {
+        CipherValidator.validateMessage(message);
+
+        // Regenerate grid if keyword changed
+        if (keyword !== this.key) {
+            this.grid = this.generateGrid(keyword);
+            this.key = keyword;
+        }
+
+        const keyNumbers = this.getKeyNumbers();
+        const numbers = (message.match(/\d+/g) || []).map(Number);
+        let decoded = '';
+
+        numbers.forEach((number, i) => {
+            const value = number - keyNumbers[i % keyNumbers.length];
+            const row = Math.floor(value / 10) - 1;
+            const col = (value % 10) - 1;
+
+            if (row >= 0 && row < 5 && col >= 0 && col < 5) {
+                decoded += this.grid[row][col];
+            }
+        });
+
+        return decoded;
+    }
+}
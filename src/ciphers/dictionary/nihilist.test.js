@@ -0,0 +1,47 @@
+import Nihilist from './nihilist.js';
+
+describe('Nihilist Cipher Tests', () => {
+    const WIKIPEDIA_CIPHERTEXT = '37 106 62 36 67 47 86 26 104 53 62 77 27 55 57 66 55 36 54 27';
+
+    describe('Encoding', () => {
+        test('should encode the published DYNAMITE WINTER PALACE example', () => {
+            const cipher = new Nihilist('DYNAMITE WINTER PALACE', 'ZEBRAS', false, false, 'RUSSIAN');
+            expect(cipher.encode()).toBe(WIKIPEDIA_CIPHERTEXT);
+        });
+
+        test('should code the additive key with the same square', () => {
+            const cipher = new Nihilist('HELLO', 'ZEBRAS', false, false, 'RUSSIAN');
+            expect(cipher.getKeyNumbers()).toEqual([14, 51, 21, 21, 32, 15, 41]);
+        });
+
+        test('should accept the key as numbers', () => {
+            const byWord = new Nihilist('ATTACK AT DAWN', '', false, false, 'KEY').encode();
+            const byNumbers = new Nihilist('ATTACK AT DAWN', '', false, false, [25, 15, 54]).encode();
+            expect(byNumbers).toBe(byWord);
+        });
+    });
+
+    describe('Decoding', () => {
+        test('should decode the published example', () => {
+            const cipher = new Nihilist(WIKIPEDIA_CIPHERTEXT, 'ZEBRAS', true, false, 'RUSSIAN');
+            expect(cipher.decode()).toBe('DYNAMITEWINTERPALACE');
+        });
+
+        test('should be reciprocal with a standard square', () => {
+            const encoded = new Nihilist('THE QUICK BROWN FOX', '', false, false, 'SECRET').encode();
+            expect(new Nihilist(encoded, '', true, false, 'SECRET').decode()).toBe('THEQUICKBROWNFOX');
+        });
+    });
+
+    describe('Edge Cases', () => {
+        test('should throw error with empty message', () => {
+            const cipher = new Nihilist('');
+            expect(() => cipher.encode()).toThrow();
+        });
+
+        test('should reject key numbers outside the square', () => {
+            const cipher = new Nihilist('HELLO', '', false, false, [16, 60]);
+            expect(() => cipher.encode()).toThrow();
+        });
+    });
+});
@@ -0,0 +1,149 @@
+import { default as BasicCipher } from '../../core/basicCipher.js';
+import { CipherValidator } from '../../core/validation.js';
+
+const BOARD_SYMBOLS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ./';
+const FIGURE_SHIFT = '/';
+
+/**
+ * Straddling Checkerboard
+ *
+ * Substitution that turns letters into one or two digits. The top row has 8 symbols and two blanks;
+ * the digits above the blanks label the two lower rows of 10 symbols each.
+ * Frequent letters placed in the top row get single digits, which shortens the output.
+ *
+ * Example (key ETAONRISBCDFGHJKLMPQ/UVWXYZ., blanks 2 and 6):
+ *    0 1 2 3 4 5 6 7 8 9
+ *    E T   A O N   R I S
+ * 2  B C D F G H J K L M
+ * 6  P Q / U V W X Y Z .
+ * "ATTACK AT DAWN" -> 3113212731223655
+ *
+ * '.' is the full stop and '/' the figure shift: a number is written as '/', every digit
+ * written twice, then '/' again.
+ *
+ * @param {String} message - Text to be encoded/decoded
+ * @param {String} key - Symbols in board order (top row first); a keyword is completed with the remaining symbols
+ * @param {Boolean} encoded - Indicates if message is already encoded
+ * @param {Boolean} debug - Enable debug messages
+ * @param {Array<Number>} blanks - Positions (0-9) of the two blanks in the top row (default: [2, 6])
+ * @param {String} digits - Column headings, a permutation of 0-9 (default: '0123456789')
+ */
+
+export default class StraddlingCheckerboard extends BasicCipher {
+    constructor(message, key = 'ETAONRISBCDFGHJKLMPQ/UVWXYZ.', encoded = false, debug = false, blanks = [2, 6], digits = '0123456789') {
+        super(message, encoded, 'straddlingCheckerboard', key, '', debug);
+        this.blanks = blanks;
+        this.digits = digits;
+        this.board = this.generateBoard(key);
+    }
+
+    /**
+     * Builds the code of every symbol.
+     * @param {String} key - Symbols in board order or keyword
+     * @returns {Object<String, String>} Symbol -> one or two digit code
+     */
+    generateBoard(key = '') {
+        CipherValidator.validateKey(key, 'string');
+        if (!/^\d{10}$/.test(this.digits) || new Set(this.digits).size !== 10) {
+            throw new Error('Checkerboard digits must be a permutation of 0-9');
+        }
+        if (this.blanks.length !== 2 || this.blanks[0] === this.blanks[1] ||
+            !this.blanks.every(blank => Number.isInteger(blank) && blank >= 0 && blank <= 9)) {
+            throw new Error('Checkerboard needs two different blank positions between 0 and 9');
+        }
+
+        const keyed = key.toUpperCase()
+            .split('')
+            .filter((char, index, self) => BOARD_SYMBOLS.includes(char) && self.indexOf(char) === index)
+            .join('');
+        const symbols = keyed + BOARD_SYMBOLS.split('').filter(char => !keyed.includes(char)).join('');
+
+        const topColumns = [...Array(10).keys()].filter(column => !this.blanks.includes(column));
+        const board = {};
+        topColumns.forEach((column, index) => {
+            board[symbols[index]] = this.digits[column];
+        });
+        for (let row = 0; row < 2; row++) {
+            for (let column = 0; column < 10; column++) {
+                board[symbols[8 + row * 10 + column]] = this.digits[this.blanks[row]] + this.digits[column];
+            }
+        }
+        return board;
+    }
+
+    /**
+     * Encode message using the straddling checkerboard
+     * @param {String} message - Text to encode (letters, digits and '.')
+     * @param {String} key - Symbols in board order or keyword
+     * @returns {String} Digit string
+     */
+    encode = (message = this.message, key = this.key) => {
+        CipherValidator.validateMessage(message);
+        this.updateKey(key);
+
+        const clean = message.toUpperCase().replace(/[^A-Z0-9.]/g, '');
+        const figureShift = this.board[FIGURE_SHIFT];
+        let result = '';
+
+        for (const run of clean.match(/\d+|[A-Z.]/g) || []) {
+            if (/\d/.test(run)) {
+                result += figureShift + run.split('').map(digit => digit + digit).join('') + figureShift;
+            } else {
+                result += this.board[run];
+            }
+        }
+
+        this.logMessage(`Straddling checkerboard encoded: ${result}`);
+        return result;
+    }
+
+    /**
+     * Decode a digit string using the straddling checkerboard
+     * @param {String} message - Digit string (spaces are ignored)
+     * @param {String} key - Symbols in board order or keyword
+     * @returns {String} Decoded message
+     */
+    decode = (message = this.message, key = this.key) => {
+        CipherValidator.validateMessage(message);
+        this.updateKey(key);
+
+        const clean = message.replace(/\D/g, '');
+        const codes = {};
+        for (const symbol in this.board) {
+            codes[this.board[symbol]] = symbol;
+        }
+        const rowDigits = this.blanks.map(blank => this.digits[blank]);
+
+        let result = '';
+        let figures = false;
+        let i = 0;
+        while (i < clean.length) {
+            const code = rowDigits.includes(clean[i]) ? clean.slice(i, i + 2) : clean[i];
+            if (figures && code !== this.board[FIGURE_SHIFT]) {
+                // Inside a number every digit is written twice
+                result += clean[i];
+                i += 2;
+                continue;
+            }
+            if (code === this.board[FIGURE_SHIFT]) {
+                figures = !figures;
+            } else if (codes[code] !== undefined) {
+                result += codes[code];
+            }
+            i += code.length;
+        }
+
+        return result;
+    }
+
+    /**
+     * Regenerate the board if the key changed
+     * @param {String} key - Symbols in board order or keyword
+     */
+    updateKey(key) {
+        if (key !== this.key) {
+            this.key = key;
+            this.board = this.generateBoard(key);
+        }
+    }
+}
@@ -0,0 +1,61 @@
+import StraddlingCheckerboard from './straddlingCheckerboard.js';
+
+describe('Straddling Checkerboard Tests', () => {
+    describe('Encoding', () => {
+        test('should encode the published ATTACK AT DAWN example', () => {
+            const cipher = new StraddlingCheckerboard('ATTACK AT DAWN');
+            expect(cipher.encode()).toBe('3113212731223655');
+        });
+
+        test('should give single digits to the top row and two digits to the lower rows', () => {
+            const cipher = new StraddlingCheckerboard('HELLO');
+            expect(cipher.board.E).toBe('0');
+            expect(cipher.board.B).toBe('20');
+            expect(cipher.board['.']).toBe('69');
+        });
+
+        test('should complete a keyword with the remaining symbols', () => {
+            const cipher = new StraddlingCheckerboard('HELLO', 'ATONESIR');
+            expect(cipher.board.A).toBe('0');
+            expect(cipher.board.R).toBe('9');
+            expect(cipher.board.B).toBe('20');
+        });
+
+        test('should use custom blanks and column headings', () => {
+            const cipher = new StraddlingCheckerboard('AB', 'ATONESIR', false, false, [0, 1], '9876543210');
+            expect(cipher.board.A).toBe('7');
+            expect(cipher.board.B).toBe('99');
+            expect(cipher.encode()).toBe('799');
+        });
+
+        test('should write numbers between figure shifts with doubled digits', () => {
+            const cipher = new StraddlingCheckerboard('AT 1944');
+            expect(cipher.encode()).toBe('31' + '62' + '11994444' + '62');
+        });
+    });
+
+    describe('Decoding', () => {
+        test('should decode the published example', () => {
+            const cipher = new StraddlingCheckerboard('3113212731223655', undefined, true);
+            expect(cipher.decode()).toBe('ATTACKATDAWN');
+        });
+
+        test('should round trip letters, numbers and full stops', () => {
+            const text = 'MEET AT 2130 NEAR PIER 6. BRING 250 ROUNDS.';
+            const encoded = new StraddlingCheckerboard(text, 'ATONESIR').encode();
+            expect(new StraddlingCheckerboard(encoded, 'ATONESIR', true).decode()).toBe('MEETAT2130NEARPIER6.BRING250ROUNDS.');
+        });
+    });
+
+    describe('Edge Cases', () => {
+        test('should throw error with empty message', () => {
+            const cipher = new StraddlingCheckerboard('');
+            expect(() => cipher.encode()).toThrow();
+        });
+
+        test('should reject invalid blanks and headings', () => {
+            expect(() => new StraddlingCheckerboard('A', 'ATONESIR', false, false, [3, 3])).toThrow();
+            expect(() => new StraddlingCheckerboard('A', 'ATONESIR', false, false, [2, 6], '0123456788')).toThrow();
+        });
+    });
+});
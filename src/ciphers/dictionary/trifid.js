@@ -0,0 +1,128 @@
+import { default as BasicCipher } from '../../core/basicCipher.js';
+import { CipherValidator } from '../../core/validation.js';
+import { Fractionation } from '../../core/fractionation.js';
+
+const CUBE_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ+';
+
+/**
+ * Trifid Cipher
+ *
+ * Three-dimensional sibling of Bifid (Félix Delastelle): the 26 letters plus '+' fill
+ * a 3x3x3 cube, so every letter becomes three coordinates (layer, row, column).
+ *
+ * Process:
+ * 1. Convert each letter to layer/row/column coordinates using the keyed cube
+ * 2. In blocks of `period` letters, write the layers, then the rows, then the columns
+ * 3. Read the coordinates in groups of three
+ * 4. Convert the groups back to letters using the cube
+ *
+ * Example (period 5, key FELIX MARIE DELASTELLE):
+ * Plaintext:  AIDETOILECIELTAIDERA
+ * Ciphertext: FMJFVOISSUFTFPUFEQQC
+ *
+ * @param {String} message - Text to be encoded/decoded
+ * @param {String} keyword - Optional keyword for the cube
+ * @param {Boolean} encoded - Indicates if message is already encoded
+ * @param {Boolean} debug - Enable debug messages
+ * @param {Number} period - Block length (default: 5, 0 = the whole message is one block)
+ */
+
+export default class Trifid extends BasicCipher {
+    constructor(message, keyword = '', encoded = false, debug = false, period = 5) {
+        super(message, encoded, 'trifid', keyword, '', debug);
+        this.period = period;
+        this.cube = this.generateCube(keyword);
+    }
+
+    /**
+     * Generate the keyed 27-symbol alphabet of the cube (layer by layer, row by row)
+     * @param {String} keyword - Optional keyword to scramble the cube
+     * @returns {String} 27 symbols, position = 9 * layer + 3 * row + column
+     */
+    generateCube(keyword = '') {
+        const cleanKey = keyword.toUpperCase()
+            .split('')
+            .filter((char, index, self) => CUBE_ALPHABET.includes(char) && self.indexOf(char) === index)
+            .join('');
+
+        const remaining = CUBE_ALPHABET.split('')
+            .filter(char => !cleanKey.includes(char))
+            .join('');
+
+        return cleanKey + remaining;
+    }
+
+    /**
+     * Encode message using Trifid cipher
+     * @param {String} message - Text to encode
+     * @param {String} keyword - Optional keyword
+     * @returns {String} Encoded message
+     */
+    encode = (message = this.message, keyword = this.key) => {
+        CipherValidator.validateMessage(message);
+
+        // Regenerate cube if keyword changed
+        if (keyword !== this.key) {
+            this.cube = this.generateCube(keyword);
+            this.key = keyword;
+        }
+
+        const cleanMessage = message.toUpperCase().replace(/[^A-Z+]/g, '');
+        if (cleanMessage.length === 0) {
+            return '';
+        }
+
+        const coordinates = cleanMessage.split('').map(char => this.toCoordinates(char));
+        const result = Fractionation.fractionate(coordinates, this.period)
+            .map(tuple => this.fromCoordinates(tuple))
+            .join('');
+
+        this.logMessage(`Trifid encoded with period ${this.period}: ${result}`);
+        return result;
+    }
+
+    /**
+     * Decode message using Trifid cipher
+     * @param {String} message - Encoded text
+     * @param {String} keyword - Optional keyword
+     * @returns {String} Decoded message
+     */
+    decode = (message = this.message, keyword = this.key) => {
+        CipherValidator.validateMessage(message);
+
+        // Regenerate cube if keyword changed
+        if (keyword !== this.key) {
+            this.cube = this.generateCube(keyword);
+            this.key = keyword;
+        }
+
+        const cleanMessage = message.toUpperCase().replace(/[^A-Z+]/g, '');
+        if (cleanMessage.length === 0) {
+            return '';
+        }
+
+        const coordinates = cleanMessage.split('').map(char => this.toCoordinates(char));
+        return Fractionation.unfractionate(coordinates, this.period)
+            .map(tuple => this.fromCoordinates(tuple))
+            .join('');
+    }
+
+    /**
+     * Find the position of a symbol in the cube
+     * @param {String} char - Symbol to find
+     * @returns {Array<Number>} [layer, row, column] (0-indexed)
+     */
+    toCoordinates(char) {
+        const index = this.cube.indexOf(char);
+        return [Math.floor(index / 9), Math.floor(index / 3) % 3, index % 3];
+    }
+
+    /**
+     * Get the symbol at a cube position
+     * @param {Array<Number>} coordinates - [layer, row, column] (0-indexed)
+     * @returns {String} Symbol at position
+     */
+    fromCoordinates([layer, row, column]) {
+        return this.cube[layer * 9 + row * 3 + column];
+    }
+}
@@ -0,0 +1,44 @@
+import Trifid from './trifid.js';
+
+describe('Trifid Cipher Tests', () => {
+    describe('Encoding', () => {
+        test('should encode the Delastelle example with period 5', () => {
+            const cipher = new Trifid('AIDE-TOI, LE CIEL T\'AIDERA', 'FELIX MARIE DELASTELLE', false, false, 5);
+            expect(cipher.encode()).toBe('FMJFVOISSUFTFPUFEQQC');
+        });
+
+        test('should build the keyed cube with + as 27th symbol', () => {
+            const cipher = new Trifid('HELLO', 'FELIX MARIE DELASTELLE');
+            expect(cipher.cube).toBe('FELIXMARDSTBCGHJKNOPQUVWYZ+');
+            expect(cipher.toCoordinates('+')).toEqual([2, 2, 2]);
+        });
+
+        test('should use the whole message as one block with period 0', () => {
+            const whole = new Trifid('ATTACKATDAWN', 'KEY', false, false, 0).encode();
+            const long = new Trifid('ATTACKATDAWN', 'KEY', false, false, 50).encode();
+            expect(whole).toBe(long);
+        });
+    });
+
+    describe('Decoding', () => {
+        test('should decode the Delastelle example', () => {
+            const cipher = new Trifid('FMJFVOISSUFTFPUFEQQC', 'FELIX MARIE DELASTELLE', true, false, 5);
+            expect(cipher.decode()).toBe('AIDETOILECIELTAIDERA');
+        });
+
+        test('should be reciprocal for several periods', () => {
+            const text = 'THEQUICKBROWNFOXJUMPSOVERTHELAZYDOG';
+            for (const period of [0, 3, 5, 7, 10]) {
+                const encoded = new Trifid(text, 'SECRET', false, false, period).encode();
+                expect(new Trifid(encoded, 'SECRET', true, false, period).decode()).toBe(text);
+            }
+        });
+    });
+
+    describe('Edge Cases', () => {
+        test('should throw error with empty message', () => {
+            const cipher = new Trifid('');
+            expect(() => cipher.encode()).toThrow();
+        });
+    });
+});
@@ -0,0 +1,195 @@
+import { default as BasicCipher } from '../../core/basicCipher.js';
+import { CipherValidator } from '../../core/validation.js';
+import { TranspositionGrid } from '../../core/transposition-grid.js';
+import { default as StraddlingCheckerboard } from './straddlingCheckerboard.js';
+
+/**
+ * VIC Cipher
+ *
+ * Hand cipher of the Soviet spy Reino Häyhänen (1950s). A straddling checkerboard is followed by a
+ * columnar and a disrupted columnar transposition; every key comes from the same short secrets.
+ *
+ * Key derivation (lines as in the published descriptions):
+ * - A: message indicator (5 random digits, sent inside the ciphertext)
+ * - B: first 5 digits of the date; C: A - B digit by digit without borrowing
+ * - D: first 20 letters of the phrase in two halves; E: each half sequentialized
+ * - F: C extended to 10 digits by chain addition, then 1234567890
+ * - G: E1 + F1 without carrying; H: G encoded with E2 under 1234567890; J: H sequentialized
+ * - K-P: 50 digits chained from H; S: P sequentialized (checkerboard column headings)
+ * - The personal number plus the last two unequal digits of P give both transposition widths;
+ *   their keys (Q, R) are read from K-P column by column in the order of J
+ *
+ * The indicator becomes the n-th block of five digits counted from the end, n being the last date digit.
+ *
+ * Example:
+ * new VIC('WE ARE PLEASED TO HEAR OF YOUR SUCCESS', { phrase: 'TWAS THE NIGHT BEFORE CHRISTMAS', date: '741776', personalNumber: 6 }, false, false, '77651').encode()
+ *
+ * @param {String} message - Text to be encoded/decoded
+ * @param {Object} key - { phrase, date, personalNumber }
+ * @param {Boolean} encoded - Indicates if message is already encoded
+ * @param {Boolean} debug - Enable debug messages
+ * @param {String} indicator - Message indicator (default: random on encode, read from the message on decode)
+ * @param {String} checkerboardKey - Symbols of the checkerboard (default: AT ONE SIR top row)
+ * @param {Array<Number>} blanks - Blank positions of the checkerboard top row (default: [2, 6])
+ */
+
+export default class VIC extends BasicCipher {
+    constructor(message, key = { phrase: 'TWAS THE NIGHT BEFORE CHRISTMAS', date: '741776', personalNumber: 6 }, encoded = false, debug = false, indicator = null, checkerboardKey = 'ATONESIRBCDFGHJKLMPQUVWXYZ./', blanks = [2, 6]) {
+        super(message, encoded, 'vic', key, '', debug);
+        this.indicator = indicator;
+        this.checkerboardKey = checkerboardKey;
+        this.blanks = blanks;
+    }
+
+    /**
+     * Derive every intermediate line and the final keys from the secrets and an indicator
+     * @param {String} indicator - 5-digit message indicator
+     * @param {Object} key - { phrase, date, personalNumber }
+     * @returns {Object} Lines A-S (strings of digits), keys Q and R (column ranks) and checkerboard digits
+     */
+    deriveKeys(indicator, key = this.key) {
+        CipherValidator.validateKey(key, 'any');
+        const phrase = String(key.phrase || '').toUpperCase().replace(/[^A-Z]/g, '');
+        const date = String(key.date || '').replace(/\D/g, '');
+        const personalNumber = Number(key.personalNumber);
+
+        if (phrase.length < 20) {
+            throw new Error('VIC phrase must contain at least 20 letters');
+        }
+        if (date.length < 5) {
+            throw new Error('VIC date must contain at least 5 digits');
+        }
+        if (!Number.isInteger(personalNumber) || personalNumber < 1 || personalNumber > 99) {
+            throw new Error('VIC personal number must be an integer between 1 and 99');
+        }
+        if (!/^\d{5}$/.test(indicator)) {
+            throw new Error('VIC indicator must be 5 digits');
+        }
+
+        const digits = (line) => line.split('').map(Number);
+        const A = indicator;
+        const B = date.slice(0, 5);
+        const C = digits(A).map((digit, i) => (digit - Number(B[i]) + 10) % 10).join('');
+        const D = [phrase.slice(0, 10), phrase.slice(10, 20)];
+        const E = D.map(half => VIC.sequentialize(half.split('')));
+        const F = [VIC.chainAdd(C, 10), '1234567890'];
+        const G = digits(E[0]).map((digit, i) => (digit + Number(F[0][i])) % 10).join('');
+        const H = G.split('').map(digit => E[1][F[1].indexOf(digit)]).join('');
+        const J = VIC.sequentialize(digits(H).map(digit => digit || 10));
+
+        const chained = VIC.chainAdd(H, 60).slice(10);
+        const rows = [0, 1, 2, 3, 4].map(row => chained.slice(row * 10, row * 10 + 10));
+        const [K, L, M, N, P] = rows;
+
+        const last = P[9];
+        let previous = 8;
+        while (previous > 0 && P[previous] === last) previous--;
+        const firstWidth = personalNumber + Number(P[previous]);
+        const secondWidth = personalNumber + Number(last);
+
+        // Read the columns of K-P in the order given by J
+        let columns = '';
+        for (let rank = 1; rank <= 10; rank++) {
+            const column = J.indexOf(String(rank % 10));
+            columns += rows.map(row => row[column]).join('');
+        }
+        const Q = columns.slice(0, firstWidth);
+        const R = columns.slice(firstWidth, firstWidth + secondWidth);
+        const S = VIC.sequentialize(digits(P).map(digit => digit || 10));
+
+        this.logMessage(`VIC keys: Q=${Q} R=${R} S=${S}`);
+
+        return {
+            A, B, C, D, E, F, G, H, J, K, L, M, N, P, Q, R, S,
+            firstKey: TranspositionGrid.rankSymbols(digits(Q).map(digit => digit || 10)),
+            secondKey: TranspositionGrid.rankSymbols(digits(R).map(digit => digit || 10)),
+            checkerboardDigits: S
+        };
+    }
+
+    /**
+     * Encode message using the VIC cipher
+     * @param {String} message - Text to encode (letters, digits and '.')
+     * @param {Object} key - { phrase, date, personalNumber }
+     * @returns {String} Digits in groups of five, indicator included
+     */
+    encode = (message = this.message, key = this.key) => {
+        CipherValidator.validateMessage(message);
+
+        const indicator = this.indicator || String(Math.floor(Math.random() * 100000)).padStart(5, '0');
+        const keys = this.deriveKeys(indicator, key);
+
+        const board = new StraddlingCheckerboard(message, this.checkerboardKey, false, this.debug, this.blanks, keys.checkerboardDigits);
+        const substituted = board.encode();
+        const first = TranspositionGrid.transpose(substituted, TranspositionGrid.columnarPositions(substituted.length, keys.firstKey));
+        const second = TranspositionGrid.transpose(first, TranspositionGrid.disruptedPositions(first.length, keys.secondKey));
+
+        const position = this.indicatorPosition(second.length, key);
+        const result = second.slice(0, position) + indicator + second.slice(position);
+
+        this.logMessage(`VIC encoded with indicator ${indicator}: ${result}`);
+        return result.match(/.{1,5}/g).join(' ');
+    }
+
+    /**
+     * Decode message using the VIC cipher
+     * @param {String} message - Digit groups with the indicator inside
+     * @param {Object} key - { phrase, date, personalNumber }
+     * @returns {String} Decoded message
+     */
+    decode = (message = this.message, key = this.key) => {
+        CipherValidator.validateMessage(message);
+
+        const clean = message.replace(/\D/g, '');
+        if (clean.length <= 5) {
+            throw new Error('VIC ciphertext is too short to hold an indicator');
+        }
+
+        const position = this.indicatorPosition(clean.length - 5, key);
+        const indicator = clean.slice(position, position + 5);
+        const body = clean.slice(0, position) + clean.slice(position + 5);
+        const keys = this.deriveKeys(indicator, key);
+
+        const first = TranspositionGrid.untranspose(body, TranspositionGrid.disruptedPositions(body.length, keys.secondKey));
+        const substituted = TranspositionGrid.untranspose(first, TranspositionGrid.columnarPositions(first.length, keys.firstKey));
+
+        return new StraddlingCheckerboard(substituted, this.checkerboardKey, true, this.debug, this.blanks, keys.checkerboardDigits).decode();
+    }
+
+    /**
+     * Digit offset of the indicator: it becomes the n-th block of five digits from the end,
+     * n being the last digit of the date (0 counts as 10)
+     * @param {Number} length - Ciphertext length without the indicator
+     * @param {Object} key - { phrase, date, personalNumber }
+     * @returns {Number}
+     */
+    indicatorPosition(length, key = this.key) {
+        const date = String(key.date || '').replace(/\D/g, '');
+        const group = Number(date[date.length - 1]) || 10;
+        return Math.max(0, length - 5 * (group - 1));
+    }
+
+    /**
+     * Numbers the symbols 1-9, 0 in ascending order (ties left to right)
+     * @param {Array<String|Number>} symbols - Letters, or digits with 0 given as 10
+     * @returns {String} One digit per symbol
+     */
+    static sequentialize(symbols) {
+        return TranspositionGrid.rankSymbols(symbols).map(rank => rank % 10).join('');
+    }
+
+    /**
+     * Chain addition (lagged Fibonacci without carry): every new digit is the sum
+     * of the digit in its place and the next one, modulo 10
+     * @param {String} seed - Starting digits
+     * @param {Number} length - Length of the result
+     * @returns {String} Seed followed by the chained digits
+     */
+    static chainAdd(seed, length) {
+        const digits = seed.split('').map(Number);
+        for (let i = 0; digits.length < length; i++) {
+            digits.push((digits[i] + digits[i + 1]) % 10);
+        }
+        return digits.slice(0, length).join('');
+    }
+}
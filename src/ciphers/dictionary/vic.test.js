@@ -0,0 +1,77 @@
+import VIC from './vic.js';
+
+const KEY = { phrase: 'TWAS THE NIGHT BEFORE CHRISTMAS', date: '741776', personalNumber: 6 };
+const MESSAGE = 'WE ARE PLEASED TO HEAR OF YOUR SUCCESS IN ESTABLISHING YOUR FALSE IDENTITY. ' +
+    'YOU WILL BE SENT SOME MONEY TO COVER EXPENSES WITHIN A MONTH.';
+
+describe('VIC Cipher Tests', () => {
+    describe('Key derivation', () => {
+        test('should derive the published intermediate lines', () => {
+            const keys = new VIC('', KEY).deriveKeys('77651');
+            expect(keys.C).toBe('03584');
+            expect(keys.E).toEqual(['8017942653', '6013589427']);
+            expect(keys.F).toEqual(['0358438327', '1234567890']);
+            expect(keys.G).toBe('8365370970');
+            expect(keys.H).toBe('4185197297');
+            expect(keys.P).toBe('3309841552');
+        });
+
+        test('should use the personal number and the last unequal digits of P as widths', () => {
+            const keys = new VIC('', KEY).deriveKeys('77651');
+            expect(keys.Q).toHaveLength(6 + 5);
+            expect(keys.R).toHaveLength(6 + 2);
+            expect(keys.S).toBe('3409851672');
+        });
+
+        test('should sequentialize with 0 counted as 10', () => {
+            expect(VIC.sequentialize('TWASTHENIG'.split(''))).toBe('8017942653');
+            expect(VIC.sequentialize([3, 10, 1])).toBe('231');
+            expect(VIC.chainAdd('03584', 10)).toBe('0358438327');
+        });
+    });
+
+    describe('Encoding', () => {
+        test('should place the indicator n groups of five from the end', () => {
+            const encoded = new VIC(MESSAGE, KEY, false, false, '77651').encode();
+            const digits = encoded.replace(/ /g, '');
+            const position = digits.length - 5 * 6;
+            expect(digits.slice(position, position + 5)).toBe('77651');
+            expect(encoded.split(' ').slice(0, -1).every(group => /^\d{5}$/.test(group))).toBe(true);
+        });
+
+        test('should produce a different ciphertext for another indicator', () => {
+            const first = new VIC(MESSAGE, KEY, false, false, '77651').encode();
+            const second = new VIC(MESSAGE, KEY, false, false, '12345').encode();
+            expect(first).not.toBe(second);
+        });
+
+        // The checkerboard and transpositions of the worked example still need checking against its
+        // published ciphertext, which is not reproduced here until it can be copied from the source
+        test.todo('should produce the published ciphertext of the worked example');
+    });
+
+    describe('Decoding', () => {
+        test('should decode the message with the indicator read from the ciphertext', () => {
+            const encoded = new VIC(MESSAGE, KEY, false, false, '77651').encode();
+            expect(new VIC(encoded, KEY, true).decode()).toBe(MESSAGE.replace(/[^A-Z.]/g, ''));
+        });
+
+        test('should round trip with a random indicator and numbers', () => {
+            const encoded = new VIC('MEET AT PIER 6 AT 2130.', KEY).encode();
+            expect(new VIC(encoded, KEY, true).decode()).toBe('MEETATPIER6AT2130.');
+        });
+    });
+
+    describe('Edge Cases', () => {
+        test('should reject short phrases and bad indicators', () => {
+            const cipher = new VIC('HELLO', { phrase: 'TOO SHORT', date: '741776', personalNumber: 6 });
+            expect(() => cipher.encode()).toThrow();
+            expect(() => new VIC('HELLO', KEY).deriveKeys('123')).toThrow();
+        });
+
+        test('should throw error with empty message', () => {
+            const cipher = new VIC('', KEY);
+            expect(() => cipher.encode()).toThrow();
+        });
+    });
+});
@@ -0,0 +1,69 @@
+import Enigma from './enigma.js';
+import Rotors from './rotors.js';
+
+describe('Enigma M3 / M4', () => {
+	test('Rotors.inverse should invert a wiring', () => {
+		const rotors = new Rotors();
+		expect(rotors.inverse(rotors.rotorSet4[1])).toBe('UWYGADFPVZBECKMTHXSLRINQOJ');
+		expect(rotors.inverse(rotors.inverse('BDFHJLCPRTXVZNYEIWGAKMUSQO'))).toBe('BDFHJLCPRTXVZNYEIWGAKMUSQO');
+	});
+
+	test('Should step the middle rotor twice in a row (double stepping)', () => {
+		// Rotors I II III: ADU -> ADV -> AEW -> BFX
+		const enigma = new Enigma('A', 'ADU', 'AAA', '', '123');
+		const key = [0, 3, 20];
+		const rotors = [0, 1, 2];
+		expect(enigma.incrementSettings(key, rotors)).toEqual([0, 3, 21]);
+		expect(enigma.incrementSettings(key, rotors)).toEqual([0, 4, 22]);
+		expect(enigma.incrementSettings(key, rotors)).toEqual([1, 5, 23]);
+	});
+
+	test('Should decrypt the Operation Barbarossa message (M3, reflector B)', () => {
+		const ciphertext = 'EDPUDNRGYSZRCXNUYTPOMRMBOFKTBZREZKMLXLVEFGUEYSIOZVEQMIKUBPMMYLKLTTDEISMDICAGYKUACTCDOMOHWXMUUIAUBSTSLRNBZSZWNRFXWFYSSXJZVIJHIDISHPRKLKAYUPADTXQSPINQMATLPIFSVKDASCTACDPBOPVHJK';
+		const enigma = new Enigma(ciphertext, 'BLA', 'BUL', 'AV BS CG DL FU HZ IN KM OW RX', '245', true);
+		expect(enigma.encode()).toBe('AUFKLXABTEILUNGXVONXKURTINOWAXKURTINOWAXNORDWESTLXSEBEZXSEBEZXUAFFLIEGERSTRASZERIQTUNGXDUBROWKIXDUBROWKIXOPOTSCHKAXOPOTSCHKAXUMXEINSAQTDREINULLXUHRANGETRETENXANGRIFFXINFXRGTX');
+	});
+
+	test('Should decrypt the Scharnhorst message (M3, two-notch rotors VI and VIII)', () => {
+		const ciphertext = 'YKAENZAPMSCHZBFOCUVMRMDPYCOFHADZIZMEFXTHFLOLPZLFGGBOTGOXGRETDWTJIQHLMXVJWKZUASTR';
+		const enigma = new Enigma(ciphertext, 'UZV', 'AHM', 'AN EZ HK IJ LR MQ OT PV SW UX', '368', true, false, 'B');
+		expect(enigma.encode()).toBe('STEUEREJTANAFJORDJANSTANDORTQUAAACCCVIERNEUNNEUNZWOFAHRTZWONULSMXXSCHARNHORSTHCO');
+	});
+
+	test('Should decrypt U-boat message P1030681 (M4, Beta, reflector B Thin)', () => {
+		const ciphertext = 'NCZWVUSXPNYMINHZXMQXSFWXWLKJAHSHNMCOCCAKUQPMKCSMHKSEINJUSBLKIOSXCKUBHMLLXCSJUSRRDVKOHULXWCCBGVLIYXEOAHXRHKKFVDREWEZLXOBAFGYUJQUKGRTVUKAMEURBVEKSUHHVOYHABCJWMAKLFKLMYFVNRIZRVVRTKOFDANJMOLBGFFLEOPRGTFLVRHOWOPBEKVWMUQFMPWPARMFHAGKXIIBG';
+		const enigma = new Enigma(ciphertext, 'VJNA', 'AAAV', 'AT BL DF GJ HM NW OP QY RZ VX', '241', true, false, 'B Thin', 'Beta');
+		expect(enigma.encode()).toBe('VONVONJLOOKSJHFFTTTEINSEINSDREIZWOYYQNNSNEUNINHALTXXBEIANGRIFFUNTERWASSERGEDRUECKTYWABOSXLETZTERGEGNERSTANDNULACHTDREINULUHRMARQUANTONJOTANEUNACHTSEYHSDREIYZWOZWONULGRADYACHTSMYSTOSSENACHXEKNSVIERMBFAELLTYNNNNNNOOOVIERYSICHTEINSNULL');
+	});
+
+	test('M4 with Beta at A and B Thin should match an M3 with reflector B', () => {
+		const message = 'WETTERVORHERSAGEBISKAYA';
+		const m3 = new Enigma(message, 'QWE', 'RTY', 'AB CD EF', '531', false, false, 'B');
+		const m4 = new Enigma(message, 'AQWE', 'ARTY', 'AB CD EF', '531', false, false, 'B Thin', 'Beta');
+		expect(m4.encode()).toBe(m3.encode());
+	});
+
+	test('M4 should be reciprocal and depend on the greek wheel', () => {
+		const message = 'UBOOTXSICHTETGELEITZUG';
+		const encoded = new Enigma(message, 'MCKL', 'BAAZ', 'AT BL', '167', false, false, 'C Thin', 'Gamma').encode();
+		expect(new Enigma(encoded, 'MCKL', 'BAAZ', 'AT BL', '167', true, false, 'C Thin', 'Gamma').encode()).toBe(message);
+		expect(new Enigma(message, 'MCKL', 'BAAZ', 'AT BL', '167', false, false, 'C Thin', 'Beta').encode()).not.toBe(encoded);
+	});
+
+	test('Should select the reflector by name', () => {
+		const message = 'REFLECTORTEST';
+		const withB = new Enigma(message, 'AAA', 'AAA', '', '123').encode();
+		expect(new Enigma(message, 'AAA', 'AAA', '', '123', false, false, 'Reflector B').encode()).toBe(withB);
+		expect(new Enigma(message, 'AAA', 'AAA', '', '123', false, false, 'UKW-C').encode()).not.toBe(withB);
+	});
+
+	test('Should reject invalid M4 configurations', () => {
+		// The greek wheel only fits next to a thin reflector, and thin reflectors only fit an M4
+		expect(() => new Enigma('TEST', 'AAAA', 'AAAA', '', '123', false, false, 'B', 'Beta').encode()).toThrow('Unknown reflector');
+		expect(() => new Enigma('TEST', 'AAA', 'AAA', '', '123', false, false, 'C Thin').encode()).toThrow('Unknown reflector');
+		expect(() => new Enigma('TEST', 'AAAA', 'AAAA', '', '123', false, false, null, 'Delta').encode()).toThrow('Unknown greek wheel');
+		expect(() => new Enigma('TEST', 'AAA', 'AAA', '', '123', false, false, 'D').encode()).toThrow('Unknown reflector');
+		// An M4 needs 4 letters of key and ring settings
+		expect(new Enigma('TEST', 'AAA', 'AAA', '', '123', false, false, null, 'Beta').encode()).toBe('');
+	});
+});
@@ -1,7 +1,11 @@
 import { default as BasicCipher } from '../../core/basicCipher.js';
 import { default as Rotors } from './rotors.js';
+import { default as EnigmaModels } from './models.js';
 import { CipherValidator } from '../../core/validation.js';
 
+// Shows registry reflector names the way they are written: BTHIN -> B Thin
+const reflectorName = name => name.replace(/THIN$/, ' Thin');
+
 export default class Enigma extends BasicCipher {
 	/* Enigma Machine - German WWII
     
@@ -22,6 +26,18 @@ export default class Enigma extends BasicCipher {
 	Additional info on rotors: https://en.wikipedia.org/wiki/Enigma_rotor_details
     
 	The receiving station has to know and use the exact settings employed by the transmitting station to successfully decrypt a message.
+
+	M3 / M4: the Army and Navy M3 uses three rotors (I - VIII) and the wide reflector B or C. The naval M4 (1942) adds a fourth,
+	non-stepping "greek" wheel (Beta or Gamma) on the left, which only fits next to the thin reflectors B Thin / C Thin.
+	For an M4 the key and ring settings have 4 letters, the first one for the greek wheel: e.g. greekWheel 'Beta',
+	reflector 'B Thin', rotors '241', rings 'AAAV', key 'VJNA'. With the greek wheel at A (ring A) an M4 with Beta + B Thin
+	behaves exactly like an M3 with reflector B, which is how the Navy kept talking to three-rotor stations.
+
+	Other models: the model parameter selects a machine from the EnigmaModels registry (I, M3, M4, D, K, Swiss-K, Railway, G),
+	which sets the available rotors (numbered 1, 2, 3... in the rotor settings), the entry wheel, the reflectors and the
+	stepping rules. Commercial machines have no plugboard (pass '') and their reflector can be set: give 4 key letters and
+	the first one is the reflector position, e.g. model 'G', key 'MQRF' -> reflector at M, rotors at QRF.
+	Without a model, an M4 is used when there is a greek wheel and an M3 otherwise.
     
 	PS: One of the most famous encryption "methods" ever, it is my pleasure to enclude it in the module. 
 	Disclaimer: All functions here were based on the works of :http://practicalcryptography.com/ciphers/enigma-cipher/ and adapted to ES6
@@ -36,7 +52,10 @@ export default class Enigma extends BasicCipher {
 		plugboardSettings = 'PO ML IU KJ NH YT GB VF RE DC',
 		rotorSettings = '123',
 		encoded = false,
-		debug = false
+		debug = false,
+		reflector = null,
+		greekWheel = null,
+		model = null
 	) {
 		// Enigma is a very complex system, no wonder it as so hard to crack during WWII. the rotors and plugs are responsible for the setup of the alphabet.
 
@@ -46,6 +65,11 @@ export default class Enigma extends BasicCipher {
 		this.ringSettings = ringSettings;
 		this.plugboardSettings = plugboardSettings;
 		this.rotorSettings = rotorSettings;
+		// Default reflector: B for an M3, B Thin for an M4
+		this.reflector = reflector;
+		this.greekWheel = greekWheel;
+		this.model = model;
+		this.initialize();
 	}
 
 	initialize = () => {
@@ -56,8 +80,62 @@ export default class Enigma extends BasicCipher {
 		this.plugboardsettings = this.plugboardSettings
 			.toUpperCase()
 			.replace(/[^A-Z]/g, '');
+
+		this.machine = EnigmaModels.get(this.model || (this.greekWheel ? 'M4' : 'M3'));
+		const rotorOptions = new Rotors();
+
+		// Default reflector: the model one (B for an M3, B Thin for an M4)
+		const reflectors = Object.keys(this.machine.reflectors);
+		const letters = `${this.reflector || this.machine.defaultReflector}`.toUpperCase().replace(/[^A-Z]/g, '');
+		const reflector = [letters, letters.replace(/^(REFLECTOR|UKW)/, '')].find(name => reflectors.includes(name));
+		if (!reflector) {
+			throw new Error(
+				`Unknown reflector "${this.reflector}" for ${this.machine.name}, expected ${reflectors.map(reflectorName).join(', ')}`
+			);
+		}
+		this.reflectorwiring = this.machine.reflectors[reflector];
+		this.reflectorposition = 0;
+
+		this.greekwheel = this.greekWheel ? `${this.greekWheel}`.toUpperCase().replace(/[^A-Z]/g, '') : '';
+		const greekWheels = Object.keys(this.machine.greekWheels);
+		if (this.greekwheel && greekWheels.length === 0) {
+			throw new Error(`${this.machine.name} has no greek wheel`);
+		}
+		if (greekWheels.length > 0 && !greekWheels.includes(this.greekwheel)) {
+			throw new Error(`Unknown greek wheel "${this.greekWheel}" for ${this.machine.name}, expected Beta or Gamma`);
+		}
+		if (this.greekwheel) {
+			this.greekwiring = this.machine.greekWheels[this.greekwheel];
+			this.greekinverse = rotorOptions.inverse(this.greekwiring);
+		}
+
+		// Rotor wirings of the model followed by their inverses (see rotor)
+		this.rotorsettings.split('').forEach(number => {
+			if (number > this.machine.rotors.length) {
+				throw new Error(`${this.machine.name} has no rotor ${number}, rotors go from 1 to ${this.machine.rotors.length}`);
+			}
+		});
+		this.wirings = [
+			...this.machine.rotors.map(rotor => rotor.wiring),
+			...this.machine.rotors.map(rotor => rotorOptions.inverse(rotor.wiring))
+		];
+		// turnovers[rotor][position]: the rotor kicks over the one on its left when leaving this position
+		this.turnovers = this.machine.rotors.map(rotor =>
+			Array.from({ length: 26 }, (_, position) => rotor.turnover.includes(String.fromCharCode(position + 65)))
+		);
+
+		if (!this.machine.plugboard && this.plugboardsettings.length > 0) {
+			throw new Error(`${this.machine.name} has no plugboard, use '' as plugboard settings`);
+		}
 	};
 
+	// 3 letters of ring settings, 4 for an M4 (greek wheel first)
+	settingsLength = () => (this.greekwheel ? 4 : 3);
+
+	// Key settings also accept a leading reflector position on models with a settable reflector
+	keyLengths = () =>
+		this.machine.settableReflector ? [this.settingsLength(), this.settingsLength() + 1] : [this.settingsLength()];
+
 	setupPlugboard = () => {
 		let plugboard = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
 		const parr = plugboard.split('');
@@ -72,21 +150,9 @@ export default class Enigma extends BasicCipher {
 		return plugboard;
 	};
 
-	setupKey = () => {
-		const key = this.keysettings.split('');
-		key[0] = this.code(key[0]);
-		key[1] = this.code(key[1]);
-		key[2] = this.code(key[2]);
-		return key;
-	};
+	setupKey = () => this.keysettings.split('').map(letter => this.code(letter));
 
-	setupCode = () => {
-		const ring = this.ringsettings.split('');
-		ring[0] = this.code(ring[0]);
-		ring[1] = this.code(ring[1]);
-		ring[2] = this.code(ring[2]);
-		return ring;
-	};
+	setupCode = () => this.ringsettings.split('').map(letter => this.code(letter));
 
 	getRotors = () => {
 		const rotors = this.rotorsettings.split('');
@@ -109,6 +175,10 @@ export default class Enigma extends BasicCipher {
 			// interpret key and ring settings (convert from letters to numbers 0-25)
 			let key = this.setupKey();
 			const ring = this.setupCode();
+			// settable reflector position (commercial models, A by default), moved by the left rotor on the Enigma G
+			this.reflectorposition = key.length > ring.length ? key.shift() : 0;
+			// M4: the greek wheel comes first in the settings and never steps, so its offset is fixed
+			const greekOffset = this.greekwheel ? key.shift() - ring.shift() : 0;
 			// do the actual enigma enciphering
 			let ch = '';
 			let echr = '';
@@ -120,7 +190,7 @@ export default class Enigma extends BasicCipher {
 					// console.log(ch, " -> No change");
 				} else {
 					key = this.incrementSettings(key, rotors);
-					echr = this.enigmaChar(ch, key, rotors, ring, plugboard);
+					echr = this.enigmaChar(ch, key, rotors, ring, plugboard, greekOffset);
 					// console.log(ch, " -> ", echr);
 					ciphertext += echr;
 				}
@@ -136,12 +206,12 @@ export default class Enigma extends BasicCipher {
 			// alert("please enter some plaintext (letters and numbers only)");
 			retorno = false;
 		}
-		if (this.keysettings.length !== 3) {
-			// alert("Key settings must consist of 3 uppercase characters.");
+		if (!this.keyLengths().includes(this.keysettings.length)) {
+			// alert("Key settings must consist of 3 uppercase characters, 4 for an M4 or a settable reflector.");
 			retorno = false;
 		}
-		if (this.ringsettings.length !== 3) {
-			// alert("Ring settings must consist of 3 uppercase characters.");
+		if (this.ringsettings.length !== this.settingsLength()) {
+			// alert("Ring settings must consist of 3 (M3) or 4 (M4) uppercase characters.");
 			retorno = false;
 		}
 		if (this.plugboardsettings.length > 26) {
@@ -159,47 +229,67 @@ export default class Enigma extends BasicCipher {
 		return retorno;
 	};
 
-	enigmaChar = (channel, key, rotors, ring, plugboard) => {
+	enigmaChar = (channel, key, rotors, ring, plugboard, greekOffset = 0) => {
 		let ch = channel;
 		// apply plugboard transformation
 		ch = this.simplesub(ch, plugboard);
+		// entry wheel: keyboard letter to wheel contact (QWERTZ order on commercial machines)
+		ch = String.fromCharCode(this.machine.entry.indexOf(ch) + 65);
 		// apply rotor transformations from right to left
 		ch = this.rotor(ch, rotors[2], key[2] - ring[2]);
 		ch = this.rotor(ch, rotors[1], key[1] - ring[1]);
 		ch = this.rotor(ch, rotors[0], key[0] - ring[0]);
-		// use reflector B
-		ch = this.simplesub(ch, 'YRUHQSLDPXNGOKMIEBFZCWVJAT');
+		// M4: through the greek wheel, the selected reflector and back through the greek wheel
+		if (this.greekwheel) ch = this.wheel(ch, this.greekwiring, greekOffset);
+		ch = this.wheel(ch, this.reflectorwiring, this.reflectorposition);
+		if (this.greekwheel) ch = this.wheel(ch, this.greekinverse, greekOffset);
 		// apply inverse rotor transformations from left to right
-		ch = this.rotor(ch, rotors[0] + 8, key[0] - ring[0]);
-		ch = this.rotor(ch, rotors[1] + 8, key[1] - ring[1]);
-		ch = this.rotor(ch, rotors[2] + 8, key[2] - ring[2]);
-		// apply plugboard transformation again
+		const inverse = this.machine.rotors.length;
+		ch = this.rotor(ch, rotors[0] + inverse, key[0] - ring[0]);
+		ch = this.rotor(ch, rotors[1] + inverse, key[1] - ring[1]);
+		ch = this.rotor(ch, rotors[2] + inverse, key[2] - ring[2]);
+		// back through the entry wheel and the plugboard
+		ch = this.simplesub(ch, this.machine.entry);
 		ch = this.simplesub(ch, plugboard);
 		return ch;
 	};
 
 	incrementSettings = (refKey, r) => {
-		// notch = [['Q','Q'],['E','E'],['V','V'],['J','J'],['Z','Z'],['Z','M'],['Z','M'],['Z','M']];
-		// The notch array stores the positions at which each rotor kicks over the rotor to its left
+		// The turnover letters of each rotor are the positions at which it kicks over the rotor to its left
 		const key = refKey;
-		const notch = [
-			[16, 16],
-			[4, 4],
-			[21, 21],
-			[9, 9],
-			[25, 25],
-			[25, 12],
-			[25, 12],
-			[25, 12]
-		];
-		if (key[1] === notch[r[1]][0] || key[1] === notch[r[1]][1]) {
-			key[0] = (key[0] + 1) % 26;
-			key[1] = (key[1] + 1) % 26;
-		}
-		if (key[2] === notch[r[2]][0] || key[2] === notch[r[2]][1]) {
-			key[1] = (key[1] + 1) % 26;
+		const turnover = key.map((position, i) => this.turnovers[r[i]][position]);
+		switch (this.machine.stepping) {
+			case 'cog': {
+				// Enigma G: works like a counter, each wheel passing a notch carries into the next one up to the reflector
+				let carry = true;
+				for (let i = key.length - 1; i >= 0 && carry; i -= 1) {
+					carry = turnover[i];
+					key[i] = (key[i] + 1) % 26;
+				}
+				if (carry) {
+					this.reflectorposition = (this.reflectorposition + 1) % 26;
+				}
+				break;
+			}
+			case 'swiss-k':
+				// Swiss-K: stationary left wheel, the middle wheel steps every time and kicks over the right one
+				if (turnover[1]) {
+					key[2] = (key[2] + 1) % 26;
+				}
+				key[1] = (key[1] + 1) % 26;
+				break;
+			default:
+				// Lever stepping with double stepping: the middle rotor moves when the right one is at its notch
+				// and again on the next key, together with the left one, when it reaches its own notch
+				if (turnover[1]) {
+					key[0] = (key[0] + 1) % 26;
+				}
+				if (turnover[1] || turnover[2]) {
+					key[1] = (key[1] + 1) % 26;
+				}
+				key[2] = (key[2] + 1) % 26;
+				break;
 		}
-		key[2] = (key[2] + 1) % 26;
 		return key;
 	};
 
@@ -208,38 +298,17 @@ export default class Enigma extends BasicCipher {
 
 	rotor = (ch, r, offset) => {
 		/* 
-	There are many versions of the rotors, in a future update I'll include this so that you can recreate other versions of enigma machines.
-	The first eight strings represent the rotor substitutions I through VIII (see wiki article for more info), what's instresting is that
-	once this class is reworked for better code recycling, you will be able to create your own rotors. 
-    
-	The second 8 are the inverse transformations 
-    
-	*/
-		const key = [
-			'EKMFLGDQVZNTOWYHXUSPAIBRCJ',
-			'AJDKSIRUXBLHWTMCQGZNPYFVOE',
-			'BDFHJLCPRTXVZNYEIWGAKMUSQO',
-			'ESOVPZJAYQUIRHXLNFTGKDCMWB',
-			'VZBRGITYUPSDNHLXAWMJQOFECK',
-			'JPGVOUMFYQBENHZRDKASXLICTW',
-			'NZJHGRCXMYSWBOUFAIVLPEKQDT',
-			'FKQHTLXOCBJSPDZRAMEWNIUYGV',
-			// inverses
-			'UWYGADFPVZBECKMTHXSLRINQOJ',
-			'AJPCZWRLFBDKOTYUQGENHXMIVS',
-			'TAGBPCSDQEUFVNZHYIXJWLRKOM',
-			'HZWVARTNLGUPXQCEJMBSKDYOIF',
-			'QCYLXWENFTZOSMVJUDKGIARPHB',
-			'SKXQLHCNWARVGMEBJPTYFDZUIO',
-			'QMGYVPEDRCWTIANUXFKZOSLHJB',
-			'QJINSAYDVKBFRUHMCPLEWZTGXO'
-		];
-		/* the following code looks a bit horrible, but it is essentially just doing a simple substitution
-	  taking into account 16 possible keys (8 rotors and their inverses) and the offset (which is calculated
-	  from the indicator and ring settings). The offset essentially shifts the rotor key to the left or right
+	The rotors come from the selected model (see models.js): the first strings of this.wirings are the rotor substitutions
+	(I through VIII for the M3 / M4) and the next ones are the inverse transformations, in the same order.
+	The offset is calculated from the indicator and ring settings and shifts the rotor key to the left or right.
 	*/
+		return this.wheel(ch, this.wirings[r], offset);
+	};
+
+	wheel = (ch, wiring, offset) => {
+		// substitution through a single wheel wiring turned by offset (position minus ring setting)
 		const chcode = (this.code(ch) + 26 + offset) % 26;
-		const mapch = ((this.code(key[r].charAt(chcode)) + 26 - offset) % 26) + 65;
+		const mapch = ((this.code(wiring.charAt(chcode)) + 26 - offset) % 26) + 65;
 		// console.log("Rotor > char: ", ch, "->", mapch);
 		return String.fromCharCode(mapch);
 	};
@@ -0,0 +1,132 @@
+import { default as EnigmaModels } from './models.js';
+
+/*
+Enigma key sheet (Schlüsseltafel)
+
+Every network received a monthly sheet with one row per day, the daily key shared by all operators:
+- Walzenlage: the rotors and their order, e.g. 'II IV V' (or '245'). On an M4 the greek wheel comes first: 'Beta II IV I'.
+- Ringstellung: the ring settings, as numbers ('02 21 12') or letters ('BUL').
+- Steckerverbindungen: the plugboard pairs, e.g. 'AV BS CG DL FU HZ IN KM OW RX'.
+- Kenngruppen: three-letter groups that identify the key of a message (see EnigmaOperator). Optional.
+- Grundstellung: the common starting position for the indicators, only on early sheets (until September 1938). Optional.
+
+The model and the reflector are those of the whole network.
+
+Sources: https://www.cryptomuseum.com/crypto/enigma/procedure.htm and https://en.wikipedia.org/wiki/Enigma_machine#Indicator
+*/
+
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+export default class KeySheet {
+	constructor({
+		day = 1,
+		rotors = '123',
+		rings = 'AAA',
+		plugboard = '',
+		kenngruppen = [],
+		grundstellung = null,
+		model = null,
+		reflector = null,
+		greekWheel = null
+	} = {}) {
+		this.day = day;
+		this.reflector = reflector;
+		this.grundstellung = grundstellung ? grundstellung.toUpperCase().replace(/[^A-Z]/g, '') : null;
+		this.plugboard = plugboard
+			.toUpperCase()
+			.replace(/[^A-Z ]/g, '')
+			.trim()
+			.split(/\s+/)
+			.filter(Boolean)
+			.join(' ');
+		this.kenngruppen = (Array.isArray(kenngruppen) ? kenngruppen : kenngruppen.split(/[\s,]+/))
+			.map(group => group.toUpperCase().replace(/[^A-Z]/g, ''))
+			.filter(Boolean);
+
+		/* Walzenlage: roman numerals or names of the model rotors, digits also accepted; with four names the first one is
+		the greek wheel */
+		const names = `${rotors}`.trim().split(/[\s,]+/);
+		this.greekWheel = greekWheel || (names.length > 3 ? names.shift() : null);
+		this.model = model || (this.greekWheel ? 'M4' : 'M3');
+		const machine = EnigmaModels.get(this.model);
+		this.rotors = names
+			.map(name => {
+				if (/^[1-9]+$/.test(name)) return name;
+				const index = machine.rotors.findIndex(rotor => rotor.name === name.toUpperCase());
+				if (index < 0) {
+					throw new Error(`${machine.name} has no rotor "${name}"`);
+				}
+				return `${index + 1}`;
+			})
+			.join('');
+
+		/* Ringstellung: numbers 01-26 or letters */
+		const ringSettings = `${rings}`.trim();
+		this.rings = /\d/.test(ringSettings)
+			? ringSettings
+					.split(/[\s,]+/)
+					.map(number => ALPHABET[(parseInt(number, 10) - 1 + 26) % 26])
+					.join('')
+			: ringSettings.toUpperCase().replace(/[^A-Z]/g, '');
+		// An M4 sheet may leave out the greek wheel ring, which was usually at A
+		if (this.greekWheel && this.rings.length === 3) {
+			this.rings = `A${this.rings}`;
+		}
+		if (this.rings.length !== (this.greekWheel ? 4 : 3)) {
+			throw new Error(`Ring settings "${rings}" do not fit ${this.greekWheel ? 'four' : 'three'} wheels`);
+		}
+	}
+
+	// Machine settings for a message key, as arguments of the Enigma class
+	settings = key => ({
+		keySettings: key,
+		ringSettings: this.rings,
+		plugboardSettings: this.plugboard,
+		rotorSettings: this.rotors,
+		reflector: this.reflector,
+		greekWheel: this.greekWheel,
+		model: this.model
+	});
+
+	// Length of a message key (rotor positions, with the greek wheel on an M4)
+	keyLength = () => this.rings.length;
+
+	// Row of the sheet: day | Walzenlage | Ringstellung | Steckerverbindungen | Kenngruppen
+	toString = () => {
+		const machine = EnigmaModels.get(this.model);
+		const walzenlage = this.rotors.split('').map(number => machine.rotors[number - 1].name);
+		const ringstellung = this.rings.split('').map(letter => `0${ALPHABET.indexOf(letter) + 1}`.slice(-2));
+		return [
+			`0${this.day}`.slice(-2),
+			[this.greekWheel, ...walzenlage].filter(Boolean).join(' '),
+			ringstellung.join(' '),
+			this.plugboard,
+			this.kenngruppen.join(' ')
+		].join(' | ');
+	};
+
+	/* A month of random daily keys, like the sheets issued to a network: different rotor orders, ten plugs and four
+	Kenngruppen per day. random returns numbers in [0, 1) (Math.random by default). */
+	static generate = (days = 31, { model = 'M3', reflector = null, greekWheel = null, random = Math.random } = {}) => {
+		const machine = EnigmaModels.get(model);
+		const pick = list => list.splice(Math.floor(random() * list.length), 1)[0];
+		const letters = count => Array.from({ length: count }, () => ALPHABET[Math.floor(random() * 26)]).join('');
+		const greek = greekWheel || (Object.keys(machine.greekWheels).length > 0 ? 'Beta' : null);
+
+		return Array.from({ length: days }, (_, i) => {
+			const numbers = machine.rotors.map((rotor, index) => `${index + 1}`);
+			const free = ALPHABET.split('');
+			const pairs = machine.plugboard ? Array.from({ length: 10 }, () => pick(free) + pick(free)) : [];
+			return new KeySheet({
+				day: i + 1,
+				rotors: [pick(numbers), pick(numbers), pick(numbers)].join(''),
+				rings: letters(greek ? 4 : 3),
+				plugboard: pairs.join(' '),
+				kenngruppen: Array.from({ length: 4 }, () => letters(3)),
+				model,
+				reflector,
+				greekWheel: greek
+			});
+		});
+	};
+}
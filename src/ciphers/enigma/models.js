@@ -0,0 +1,215 @@
+import { default as Rotors } from './rotors.js';
+
+/*
+Enigma machine models
+
+Every model describes the parts of one machine, so that the Enigma class can build any of them:
+- rotors: the wheels that can be placed in the machine (numbered 1, 2, 3... in the rotor settings), with their wiring
+  and turnover letters (the letter shown in the window when the wheel moves the next one).
+- entry: the entry wheel (ETW). Military machines wire it ABC..., commercial ones follow the QWERTZ keyboard.
+- reflectors: the reflectors (UKW) that fit the machine and the one used by default.
+- greekWheels: the fourth, non-stepping wheel of the naval M4.
+- stepping:
+	lever   - pawls and notches: the right wheel always steps and the middle wheel double steps (Enigma I, M3, M4, D, K, Railway).
+	cog     - gear driven, like a counter: a wheel only moves when the wheel on its right carries, there is no double step,
+	          and the reflector is moved by the left wheel (Abwehr Enigma G, with many notches per wheel).
+	swiss-k - the Swiss Army modification: the left wheel stays where it was set, the middle wheel steps with every key
+	          and the right wheel is moved by the middle one.
+- settableReflector: the reflector can be turned to any position. Its position is an extra letter at the start of the
+  key settings (like the greek wheel of the M4).
+- plugboard: the machine has a plugboard (Steckerbrett). Commercial machines have none.
+
+Sources: https://en.wikipedia.org/wiki/Enigma_rotor_details and https://www.cryptomuseum.com/crypto/enigma/wiring.htm
+*/
+
+const rotorOptions = new Rotors();
+
+// Builds the list of wheels of a model from a rotor set: [[set key, name, turnover letters], ...]
+const wheels = (set, list) =>
+	list.map(([key, name, turnover]) => ({
+		name,
+		wiring: rotorOptions[set][key][0],
+		turnover
+	}));
+
+const MILITARY_ROTORS = wheels('rotorSet4', [
+	[1, 'I', 'Q'],
+	[2, 'II', 'E'],
+	[3, 'III', 'V'],
+	[4, 'IV', 'J'],
+	[5, 'V', 'Z'],
+	[6, 'VI', 'ZM'],
+	[7, 'VII', 'ZM'],
+	[8, 'VIII', 'ZM']
+]);
+
+const SWISS_ROTORS = wheels('rotorSet3', [
+	['I-K', 'I-K', 'Y'],
+	['II-K', 'II-K', 'E'],
+	['III-K', 'III-K', 'N']
+]);
+
+const wiringOf = (set, key) => rotorOptions[set][key][0];
+
+const MODELS = {
+	I: {
+		name: 'Enigma I',
+		rotors: MILITARY_ROTORS.slice(0, 5),
+		entry: wiringOf('rotorSet5', 'ETW'),
+		reflectors: {
+			A: wiringOf('rotorSet5', 'Reflector A'),
+			B: wiringOf('rotorSet5', 'Reflector B'),
+			C: wiringOf('rotorSet5', 'Reflector C')
+		},
+		defaultReflector: 'B',
+		greekWheels: {},
+		stepping: 'lever',
+		settableReflector: false,
+		plugboard: true
+	},
+	M3: {
+		name: 'Enigma M3',
+		rotors: MILITARY_ROTORS,
+		entry: wiringOf('rotorSet5', 'ETW'),
+		reflectors: {
+			B: wiringOf('rotorSet5', 'Reflector B'),
+			C: wiringOf('rotorSet5', 'Reflector C')
+		},
+		defaultReflector: 'B',
+		greekWheels: {},
+		stepping: 'lever',
+		settableReflector: false,
+		plugboard: true
+	},
+	M4: {
+		name: 'Enigma M4',
+		rotors: MILITARY_ROTORS,
+		entry: wiringOf('rotorSet5', 'ETW'),
+		reflectors: {
+			BTHIN: wiringOf('rotorSet5', 'Reflector B Thin'),
+			CTHIN: wiringOf('rotorSet5', 'Reflector C Thin')
+		},
+		defaultReflector: 'BTHIN',
+		greekWheels: {
+			BETA: wiringOf('rotorSet5', 'BETA'),
+			GAMMA: wiringOf('rotorSet5', 'GAMMA')
+		},
+		stepping: 'lever',
+		settableReflector: false,
+		plugboard: true
+	},
+	D: {
+		name: 'Enigma D',
+		rotors: wheels('rotorSet6', [
+			['I-D', 'I', 'Y'],
+			['II-D', 'II', 'E'],
+			['III-D', 'III', 'N']
+		]),
+		entry: wiringOf('rotorSet6', 'ETW-D'),
+		reflectors: { UKW: wiringOf('rotorSet6', 'UKW-D') },
+		defaultReflector: 'UKW',
+		greekWheels: {},
+		stepping: 'lever',
+		settableReflector: true,
+		plugboard: false
+	},
+	K: {
+		name: 'Enigma K',
+		rotors: SWISS_ROTORS,
+		entry: wiringOf('rotorSet3', 'ETW-K'),
+		reflectors: { UKW: wiringOf('rotorSet3', 'UKV-K') },
+		defaultReflector: 'UKW',
+		greekWheels: {},
+		stepping: 'lever',
+		settableReflector: true,
+		plugboard: false
+	},
+	SWISSK: {
+		name: 'Swiss-K',
+		rotors: SWISS_ROTORS,
+		entry: wiringOf('rotorSet3', 'ETW-K'),
+		reflectors: { UKW: wiringOf('rotorSet3', 'UKV-K') },
+		defaultReflector: 'UKW',
+		greekWheels: {},
+		stepping: 'swiss-k',
+		settableReflector: true,
+		plugboard: false
+	},
+	RAILWAY: {
+		name: 'Enigma Railway (Rocket)',
+		rotors: wheels('rotorSet2', [
+			[1, 'I', 'N'],
+			[2, 'II', 'E'],
+			[3, 'III', 'Y']
+		]),
+		entry: wiringOf('rotorSet2', 5),
+		reflectors: { UKW: wiringOf('rotorSet2', 4) },
+		defaultReflector: 'UKW',
+		greekWheels: {},
+		stepping: 'lever',
+		settableReflector: true,
+		plugboard: false
+	},
+	G: {
+		name: 'Abwehr Enigma G',
+		rotors: wheels('rotorSet1', [
+			[1, 'I', 'SUVWZABCEFGIKLOPQ'],
+			[2, 'II', 'STVYZACDFGHKMNQ'],
+			[3, 'III', 'UWXAEFHKMNR']
+		]),
+		entry: wiringOf('rotorSet1', 'ETW-G'),
+		reflectors: { UKW: wiringOf('rotorSet1', 'UKW-G') },
+		defaultReflector: 'UKW',
+		greekWheels: {},
+		stepping: 'cog',
+		settableReflector: true,
+		plugboard: false
+	}
+};
+
+// Other names accepted for the models (letters and digits only, upper case)
+const ALIASES = {
+	ENIGMAI: 'I',
+	ARMY: 'I',
+	WEHRMACHT: 'I',
+	COMMERCIAL: 'D',
+	SWISS: 'SWISSK',
+	ROCKET: 'RAILWAY',
+	REICHSBAHN: 'RAILWAY',
+	ABWEHR: 'G',
+	ABWEHRG: 'G',
+	G312: 'G'
+};
+
+// Every wiring must be a permutation (Rotors.inverse checks it) and every reflector a pairing without fixed letters
+Object.values(MODELS).forEach(model => {
+	[model.entry, ...model.rotors.map(rotor => rotor.wiring), ...Object.values(model.greekWheels)].forEach(wiring =>
+		rotorOptions.inverse(wiring)
+	);
+	Object.values(model.reflectors).forEach(wiring => {
+		if (rotorOptions.inverse(wiring) !== wiring || wiring.split('').some((letter, i) => letter.charCodeAt(0) - 65 === i)) {
+			throw new Error(`${model.name} reflector ${wiring} must swap the letters in pairs`);
+		}
+	});
+});
+
+export default class EnigmaModels {
+	// Key of the model in the registry for any accepted name ('M4', 'Enigma M4', 'Swiss-K', 'Abwehr'...), null if unknown
+	static resolve = name => {
+		const key = `${name}`.toUpperCase().replace(/[^A-Z0-9]/g, '');
+		if (MODELS[key]) return key;
+		if (ALIASES[key]) return ALIASES[key];
+		const stripped = key.replace(/^ENIGMA/, '');
+		return MODELS[stripped] ? stripped : null;
+	};
+
+	static get = name => {
+		const key = EnigmaModels.resolve(name);
+		if (!key) {
+			throw new Error(`Unknown Enigma model "${name}", expected one of ${EnigmaModels.list().join(', ')}`);
+		}
+		return MODELS[key];
+	};
+
+	static list = () => Object.keys(MODELS);
+}
@@ -0,0 +1,81 @@
+import Enigma from './enigma.js';
+import EnigmaModels from './models.js';
+import Rotors from './rotors.js';
+
+describe('Enigma models', () => {
+	const message = 'DIEWACHEAMRHEINSTEHTBEREITZUMABMARSCH';
+
+	test('Should list and resolve the models', () => {
+		expect(EnigmaModels.list()).toEqual(['I', 'M3', 'M4', 'D', 'K', 'SWISSK', 'RAILWAY', 'G']);
+		expect(EnigmaModels.resolve('Enigma I')).toBe('I');
+		expect(EnigmaModels.resolve('Swiss-K')).toBe('SWISSK');
+		expect(EnigmaModels.resolve('Abwehr')).toBe('G');
+		expect(EnigmaModels.resolve('rocket')).toBe('RAILWAY');
+		expect(EnigmaModels.resolve('Enigma Z')).toBeNull();
+		expect(() => EnigmaModels.get('Z')).toThrow('Unknown Enigma model');
+		expect(EnigmaModels.get('Enigma G').name).toBe('Abwehr Enigma G');
+	});
+
+	test('Rotors.inverse should reject wirings that are not permutations', () => {
+		const rotors = new Rotors();
+		expect(() => rotors.inverse('ABCDEFGHIJKLMNOPQRSTUVWXYA')).toThrow('permutation');
+		expect(() => rotors.inverse('ABC')).toThrow('permutation');
+		expect(rotors.inverse(rotors.rotorSet2[2])).toHaveLength(26);
+	});
+
+	test.each(EnigmaModels.list())('Model %s should be reciprocal and never encipher a letter to itself', model => {
+		const machine = EnigmaModels.get(model);
+		const greekWheel = Object.keys(machine.greekWheels)[0] || null;
+		const key = greekWheel ? 'KQZN' : 'QEV';
+		const ring = greekWheel ? 'CBAD' : 'BAD';
+		const plugboard = machine.plugboard ? 'AZ BY CX' : '';
+		const encoded = new Enigma(message, key, ring, plugboard, '321', false, false, null, greekWheel, model).encode();
+
+		expect(encoded).toHaveLength(message.length);
+		encoded.split('').forEach((letter, i) => expect(letter).not.toBe(message[i]));
+		expect(new Enigma(encoded, key, ring, plugboard, '321', true, false, null, greekWheel, model).encode()).toBe(message);
+	});
+
+	test('Models should differ by wiring, entry wheel and stepping', () => {
+		const outputs = ['D', 'K', 'SWISSK', 'RAILWAY', 'G'].map(model =>
+			new Enigma(message, 'AAA', 'AAA', '', '123', false, false, null, null, model).encode()
+		);
+		expect(new Set(outputs).size).toBe(outputs.length);
+	});
+
+	test('Should turn the reflector of the commercial models', () => {
+		const encode = key => new Enigma(message, key, 'AAA', '', '123', false, false, null, null, 'K').encode();
+		expect(encode('AQEV')).toBe(encode('QEV'));
+		expect(encode('MQEV')).not.toBe(encode('QEV'));
+		// Military reflectors cannot be turned
+		expect(new Enigma(message, 'MQEV', 'AAA', '', '123').encode()).toBe('');
+	});
+
+	test('Swiss-K should keep the left wheel still and step the middle one every time', () => {
+		const enigma = new Enigma(message, 'AAA', 'AAA', '', '123', false, false, null, null, 'Swiss-K');
+		const key = [0, 0, 0];
+		for (let i = 0; i < 30; i += 1) {
+			enigma.incrementSettings(key, [0, 1, 2]);
+		}
+		// II-K turns over at E: the right wheel moved when the middle one left E (once in 30 keys)
+		expect(key).toEqual([0, 4, 1]);
+	});
+
+	test('Enigma G should step like a counter and carry into the reflector', () => {
+		const enigma = new Enigma(message, 'AAA', 'AAA', '', '123', false, false, null, null, 'G');
+		// Middle wheel at a notch but right wheel not: no double step
+		expect(enigma.incrementSettings([0, 18, 1], [0, 1, 2])).toEqual([0, 18, 2]);
+		// All wheels at a notch (I: S, II: S, III: U): every wheel and the reflector move
+		enigma.reflectorposition = 0;
+		expect(enigma.incrementSettings([18, 18, 20], [0, 1, 2])).toEqual([19, 19, 21]);
+		expect(enigma.reflectorposition).toBe(1);
+	});
+
+	test('Should check the parts of the selected model', () => {
+		expect(() => new Enigma(message, 'AAA', 'AAA', 'AB', '123', false, false, null, null, 'D')).toThrow('no plugboard');
+		expect(() => new Enigma(message, 'AAA', 'AAA', '', '124', false, false, null, null, 'K')).toThrow('no rotor 4');
+		expect(() => new Enigma(message, 'AAAA', 'AAAA', '', '123', false, false, null, 'Beta', 'M3')).toThrow('no greek wheel');
+		expect(() => new Enigma(message, 'AAA', 'AAA', '', '123', false, false, 'A')).toThrow('Unknown reflector');
+		expect(new Enigma(message, 'AAA', 'AAA', '', '123', false, false, 'A', null, 'Enigma I').encode()).toHaveLength(message.length);
+	});
+});
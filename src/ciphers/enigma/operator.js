@@ -0,0 +1,168 @@
+import { default as Enigma } from './enigma.js';
+import { default as KeySheet } from './keysheet.js';
+
+/*
+Enigma operating procedures
+
+The daily key (KeySheet) was never used directly on a message: each message got its own key (Spruchschlüssel), chosen
+by the operator and sent enciphered in the message itself, the indicator.
+
+- doubled (until May 1940): the message key was typed twice at a starting position (Grundstellung), giving a six
+  letter indicator. Until September 1938 the Grundstellung was on the key sheet and the indicator went alone; later the
+  operator chose it and sent it in clear in front of the indicator. The repetition is what the Polish cryptologists
+  used against Enigma (characteristics, Zygalski sheets, the bomba), so it was dropped.
+- grundstellung (from May 1940): the operator chooses a Grundstellung, sends it in clear and types the message key
+  once at it, giving three letters (e.g. WXC KCH: at WXC the key BLA enciphers to KCH).
+
+A formatted message has a header and the body in five-letter groups:
+	1840 = 179 = WXC KCH =
+	RFUGZ EDPUD NRGYS ...
+time = letter count = Grundstellung and indicator =. The first group of the body is the Buchstabenkenngruppe, sent in
+clear: two filler letters and one of the Kenngruppen of the sheet, which tells the receiver which key to use. The letter
+count includes it. Headers may carry more fields (2TLE = 1TL = for message parts), they are skipped when decrypting.
+
+Sheets can be a single KeySheet, a list of them (a month) or plain objects with the KeySheet options.
+*/
+
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const PROCEDURES = ['doubled', 'grundstellung'];
+
+export default class EnigmaOperator {
+	constructor(sheets, procedure = 'grundstellung', random = Math.random) {
+		this.sheets = (Array.isArray(sheets) ? sheets : [sheets]).map(sheet =>
+			sheet instanceof KeySheet ? sheet : new KeySheet(sheet)
+		);
+		if (this.sheets.length === 0) {
+			throw new Error('An Enigma operator needs at least one key sheet');
+		}
+		if (!PROCEDURES.includes(procedure)) {
+			throw new Error(`Unknown indicator procedure "${procedure}", expected ${PROCEDURES.join(' or ')}`);
+		}
+		this.procedure = procedure;
+		this.random = random;
+	}
+
+	/* Encrypts a message like an operator: options.day selects the key of the sheet (first one by default); messageKey,
+	indicatorSetting (Grundstellung chosen by the operator), kenngruppe, filler and time are random when missing. */
+	encrypt = (message, options = {}) => {
+		const sheet = this.sheet(options.day);
+		const length = sheet.keyLength();
+		const messageKey = this.letters(options.messageKey, length);
+		const setting = this.procedure === 'doubled' && sheet.grundstellung
+			? sheet.grundstellung
+			: this.letters(options.indicatorSetting, length);
+
+		const typed = this.procedure === 'doubled' ? messageKey + messageKey : messageKey;
+		const indicator = this.machine(typed, sheet, setting, false).encode();
+		const body = this.machine(message.toUpperCase().replace(/[^A-Z]/g, ''), sheet, messageKey, false).encode();
+
+		let identifier = '';
+		if (sheet.kenngruppen.length > 0) {
+			const kenngruppe = options.kenngruppe || sheet.kenngruppen[Math.floor(this.random() * sheet.kenngruppen.length)];
+			if (!sheet.kenngruppen.includes(kenngruppe)) {
+				throw new Error(`Kenngruppe "${kenngruppe}" is not on the key sheet of day ${sheet.day}`);
+			}
+			identifier = this.letters(options.filler, 2) + kenngruppe;
+		}
+
+		const time = options.time || `0${Math.floor(this.random() * 24)}`.slice(-2) + `0${Math.floor(this.random() * 60)}`.slice(-2);
+		// Without a Grundstellung sent in clear (doubled procedure with the sheet one) the indicator goes alone
+		const clear = this.procedure === 'doubled' && sheet.grundstellung ? '' : `${setting} `;
+		const header = `${time} = ${identifier.length + body.length} = ${clear}${indicator} =`;
+		return `${header}\n${this.groups(identifier + body)}`;
+	};
+
+	/* Decrypts a formatted message: the Kenngruppe picks the key sheet (or the only sheet), the indicator gives the
+	message key. Returns {plaintext, day, time, indicatorSetting, indicator, messageKey, kenngruppe, procedure}. */
+	decrypt = formatted => {
+		const [header, ...lines] = formatted.trim().split('\n');
+		const fields = header
+			.split('=')
+			.map(field => field.trim().toUpperCase())
+			.filter(Boolean);
+		const time = /^\d{4}$/.test(fields[0]) ? fields[0] : null;
+		const words = fields
+			.filter(field => /^[A-Z]+( [A-Z]+)?$/.test(field))
+			.pop();
+		if (!words) {
+			throw new Error(`No indicator in the message header "${header}"`);
+		}
+		const text = lines.join('').toUpperCase().replace(/[^A-Z]/g, '');
+
+		const { sheet, kenngruppe } = this.identify(text);
+		const length = sheet.keyLength();
+		const indicator = words.split(' ').pop();
+		const setting = words.includes(' ') ? words.split(' ')[0] : sheet.grundstellung;
+		if (!setting) {
+			throw new Error(`The indicator "${indicator}" comes without Grundstellung and the key sheet of day ${sheet.day} has none`);
+		}
+		const expected = this.procedure === 'doubled' ? 2 * length : length;
+		if (indicator.length !== expected || setting.length !== length) {
+			throw new Error(`Indicator "${words}" does not fit the ${this.procedure} procedure`);
+		}
+
+		const typed = this.machine(indicator, sheet, setting, true).encode();
+		const messageKey = typed.slice(0, length);
+		if (this.procedure === 'doubled' && typed.slice(length) !== messageKey) {
+			throw new Error(`Indicator "${indicator}" deciphers to ${typed}, not a doubled message key: wrong key sheet?`);
+		}
+
+		const body = kenngruppe ? text.slice(5) : text;
+		return {
+			plaintext: this.machine(body, sheet, messageKey, true).encode(),
+			day: sheet.day,
+			time,
+			indicatorSetting: setting,
+			indicator,
+			messageKey,
+			kenngruppe,
+			procedure: this.procedure
+		};
+	};
+
+	// Key sheet of a day, the first one when no day is given
+	sheet = day => {
+		const sheet = day === undefined ? this.sheets[0] : this.sheets.find(candidate => candidate.day === day);
+		if (!sheet) {
+			throw new Error(`No key sheet for day ${day}`);
+		}
+		return sheet;
+	};
+
+	// Finds the key sheet of a message body from its Kenngruppe (letters 3 to 5 of the first group)
+	identify = text => {
+		const group = text.slice(2, 5);
+		const sheet = this.sheets.find(candidate => candidate.kenngruppen.includes(group));
+		if (sheet) {
+			return { sheet, kenngruppe: group };
+		}
+		if (this.sheets.length === 1 && this.sheets[0].kenngruppen.length === 0) {
+			return { sheet: this.sheets[0], kenngruppe: null };
+		}
+		throw new Error(`Kenngruppe "${group}" is not on any key sheet`);
+	};
+
+	machine = (text, sheet, key, encoded) => {
+		const { keySettings, ringSettings, plugboardSettings, rotorSettings, reflector, greekWheel, model } = sheet.settings(key);
+		return new Enigma(text, keySettings, ringSettings, plugboardSettings, rotorSettings, encoded, false, reflector, greekWheel, model);
+	};
+
+	// The given letters, or random ones
+	letters = (given, length) => {
+		if (given) {
+			const letters = given.toUpperCase().replace(/[^A-Z]/g, '');
+			if (letters.length !== length) {
+				throw new Error(`"${given}" should have ${length} letters`);
+			}
+			return letters;
+		}
+		return Array.from({ length }, () => ALPHABET[Math.floor(this.random() * 26)]).join('');
+	};
+
+	// Five-letter groups, ten groups per line
+	groups = text =>
+		(text.match(/.{1,5}/g) || [])
+			.map((group, i) => (i > 0 && i % 10 === 0 ? `\n${group}` : group))
+			.join(' ')
+			.replace(/ \n/g, '\n');
+}
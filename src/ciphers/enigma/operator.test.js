@@ -0,0 +1,103 @@
+import Enigma from './enigma.js';
+import KeySheet from './keysheet.js';
+import EnigmaOperator from './operator.js';
+
+// Deterministic replacement for Math.random
+const seeded = seed => {
+	let state = seed;
+	return () => {
+		state = (state * 1103515245 + 12345) % 2147483648;
+		return state / 2147483648;
+	};
+};
+
+describe('Enigma key sheets and operating procedures', () => {
+	// Operation Barbarossa, 7 July 1941: rotors II IV V, rings 02 21 12. The first group RFUGZ is the Buchstabenkenngruppe
+	const barbarossa = new KeySheet({
+		day: 7,
+		rotors: 'II IV V',
+		rings: '02 21 12',
+		plugboard: 'AV BS CG DL FU HZ IN KM OW RX',
+		kenngruppen: ['UGZ']
+	});
+	const message = 'KEINEBESONDERENEREIGNISSEXFEINDLICHEFLUGZEUGEUEBERDEMKANAL';
+
+	test('Should read a key sheet row', () => {
+		expect(barbarossa.rotors).toBe('245');
+		expect(barbarossa.rings).toBe('BUL');
+		expect(barbarossa.model).toBe('M3');
+		expect(barbarossa.toString()).toBe('07 | II IV V | 02 21 12 | AV BS CG DL FU HZ IN KM OW RX | UGZ');
+
+		const naval = new KeySheet({ rotors: 'Beta II IV I', rings: '01 01 01 22', reflector: 'B Thin' });
+		expect(naval.greekWheel).toBe('Beta');
+		expect(naval.model).toBe('M4');
+		expect(naval.rotors).toBe('241');
+		expect(naval.rings).toBe('AAAV');
+
+		expect(() => new KeySheet({ rotors: 'II IX V' })).toThrow('no rotor "IX"');
+		expect(() => new KeySheet({ rings: '01 02' })).toThrow('three wheels');
+	});
+
+	test('Should decrypt the formatted Operation Barbarossa message', () => {
+		const formatted = [
+			'1840 = 2TLE = 1TL = 179 = WXC KCH =',
+			'RFUGZ EDPUD NRGYS ZRCXN UYTPO MRMBO FKTBZ REZKM LXLVE FGUEY SIOZV EQMIK UBPMM YLKLT TDEIS MDICA GYKUA CTCDO',
+			'MOHWX MUUIA UBSTS LRNBZ SZWNR FXWFY SSXJZ VIJHI DISHP RKLKA YUPAD TXQSP INQMA TLPIF SVKDA SCTAC DPBOP VHJK'
+		].join('\n');
+		const result = new EnigmaOperator(barbarossa).decrypt(formatted);
+
+		expect(result.messageKey).toBe('BLA');
+		expect(result.kenngruppe).toBe('UGZ');
+		expect(result.day).toBe(7);
+		expect(result.time).toBe('1840');
+		expect(result.plaintext).toMatch(/^AUFKLXABTEILUNGXVONXKURTINOWA/);
+		expect(result.plaintext).toHaveLength(174);
+	});
+
+	test('Should encrypt like an operator and find the day from the Kenngruppe', () => {
+		const month = KeySheet.generate(31, { random: seeded(1941) });
+		const operator = new EnigmaOperator(month, 'grundstellung', seeded(7));
+		const formatted = operator.encrypt(message, { day: 12, time: '0915' });
+		const [header, body] = formatted.split('\n');
+
+		expect(header).toMatch(/^0915 = 63 = [A-Z]{3} [A-Z]{3} =$/);
+		expect(body.split(' ').every(group => group.length <= 5)).toBe(true);
+		expect(month[11].kenngruppen).toContain(body.slice(2, 5));
+
+		const result = operator.decrypt(formatted);
+		expect(result.plaintext).toBe(message);
+		expect(result.day).toBe(12);
+
+		// The body is the message enciphered at the message key with the daily key
+		const { keySettings, ringSettings, plugboardSettings, rotorSettings } = month[11].settings(result.messageKey);
+		const letters = formatted.split('\n').slice(1).join('').replace(/ /g, '');
+		expect(letters.slice(5)).toBe(new Enigma(message, keySettings, ringSettings, plugboardSettings, rotorSettings).encode());
+	});
+
+	test('Should use the doubled indicator with the Grundstellung of the sheet or chosen by the operator', () => {
+		const early = new KeySheet({ ...barbarossa, rotors: '245', rings: 'BUL', grundstellung: 'FOL' });
+		const formatted = new EnigmaOperator(early, 'doubled').encrypt(message, { messageKey: 'ABL', time: '1200', filler: 'QQ' });
+		const [header, body] = formatted.split('\n');
+		const indicator = new Enigma('ABLABL', 'FOL', 'BUL', barbarossa.plugboard, '245').encode();
+
+		expect(header).toBe(`1200 = 63 = ${indicator} =`);
+		expect(body.slice(0, 5)).toBe('QQUGZ');
+		expect(new EnigmaOperator(early, 'doubled').decrypt(formatted)).toMatchObject({ plaintext: message, messageKey: 'ABL', indicatorSetting: 'FOL' });
+
+		// From September 1938 the operator chose the Grundstellung and sent it in clear
+		const chosen = new EnigmaOperator(barbarossa, 'doubled').encrypt(message, { messageKey: 'ABL', indicatorSetting: 'WXC' });
+		expect(chosen.split('\n')[0]).toMatch(/= WXC [A-Z]{6} =$/);
+		expect(new EnigmaOperator(barbarossa, 'doubled').decrypt(chosen).plaintext).toBe(message);
+
+		// With another daily key the indicator does not decipher to a repeated key
+		const other = new KeySheet({ ...barbarossa, rotors: '123', rings: 'AAA', kenngruppen: ['UGZ'] });
+		expect(() => new EnigmaOperator(other, 'doubled').decrypt(chosen)).toThrow('not a doubled message key');
+	});
+
+	test('Should reject unknown procedures, days and Kenngruppen', () => {
+		expect(() => new EnigmaOperator(barbarossa, 'navy')).toThrow('Unknown indicator procedure');
+		expect(() => new EnigmaOperator(barbarossa).encrypt(message, { day: 8 })).toThrow('No key sheet for day 8');
+		expect(() => new EnigmaOperator(barbarossa).encrypt(message, { kenngruppe: 'ABC' })).toThrow('not on the key sheet');
+		expect(() => new EnigmaOperator(barbarossa).decrypt('1200 = 10 = AAA BBB =\nXXABC DEFGH')).toThrow('not on any key sheet');
+	});
+});
@@ -1,16 +1,19 @@
 export default class Rotors {
 	constructor() {
 		this.rotorSet1 = {
-			// Commercial Enigma A B 1924
+			// Commercial Enigma A B 1924, same wirings used in the Abwehr Enigma G (G-312)
 			1: ['DMTWSILRUYQNKFEJCAZBPGXOHV'],
 			2: ['HQZGPJTMOBLNCIFDYAWVEUSRKX'],
-			3: ['UQNTLSZFMREHDPXKIBVYGJCWOA']
+			3: ['UQNTLSZFMREHDPXKIBVYGJCWOA'],
+			'UKW-G': ['RULQMZJSYGOCETKWDAHNBXPVIF'],
+			'ETW-G': ['QWERTZUIOASDFGHJKPYXCVBNML']
 		};
 		this.rotorSet2 = {
 			// German Railway (Rocket) 1941
 			1: ['JGDQOXUSCAMIFRVTPNEWKBLZYH'],
-			2: '[NTZPSFBOKMWRCJDIVLAEYUXHGQ]',
+			2: ['NTZPSFBOKMWRCJDIVLAEYUXHGQ'],
 			3: ['JVIUBHTCDYAKEQZPOSGXNRMWFL'],
+			// 4: Reflector (UKW), 5: Entry wheel (ETW)
 			4: ['QYHOGNECVPUZTFDJAXWMKISRBL'],
 			5: ['QWERTZUIOASDFGHJKPYXCVBNML']
 		};
@@ -50,12 +53,32 @@ export default class Rotors {
 			'Reflector C Thin': ['RDOBJNTKVEHMLFCWZAXGYIPSUQ'],
 			ETW: ['ABCDEFGHIJKLMNOPQRSTUVWXYZ']
 		};
+		this.rotorSet6 = {
+			// Commercial Enigma D 1926, settable reflector and QWERTZ entry wheel, no plugboard
+			'I-D': ['LPGSZMHAEOQKVXRFYBUTNICJDW'],
+			'II-D': ['SLVGBTFXJQOHEWIRZYAMKPCNDU'],
+			'III-D': ['CJGDPSHKTURAWZXFMYNQOBVLIE'],
+			'UKW-D': ['IMETCGFRAYSQBZXWLHKDVUPOJN'],
+			'ETW-D': ['QWERTZUIOASDFGHJKPYXCVBNML']
+		};
 	}
 
 	inverse = rotor => {
 		/* This method takes the rotor and gives the inverse back.
-     Example: (RotorSet 4 rotor 3) turns A -> B and if we want to go back from B -> A we need the inverse rotor */
+     Example: (RotorSet 4 rotor 3) turns A -> B and if we want to go back from B -> A we need the inverse rotor.
+     Accepts the wiring string or the one-element arrays used in the rotor sets and returns the inverse wiring string */
+		const [wiring] = [].concat(rotor);
+		if (
+			typeof wiring !== 'string' ||
+			!/^[A-Z]{26}$/.test(wiring) ||
+			new Set(wiring).size !== 26
+		) {
+			throw new Error(`Rotor wiring must be a permutation of the 26 letters A-Z, got "${wiring}"`);
+		}
 		const invertedRotor = [];
-		return invertedRotor;
+		wiring.split('').forEach((letter, index) => {
+			invertedRotor[letter.charCodeAt(0) - 65] = String.fromCharCode(index + 65);
+		});
+		return invertedRotor.join('');
 	};
 }
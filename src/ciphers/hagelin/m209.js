@@ -0,0 +1,225 @@
+import { default as BasicCipher } from '../../core/basicCipher.js';
+import { CipherValidator } from '../../core/validation.js';
+
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// Letters on the six pin wheels (26, 25, 23, 21, 19 and 17 pins)
+const WHEELS = [
+    ALPHABET,
+    'ABCDEFGHIJKLMNOPQRSTUVXYZ',
+    'ABCDEFGHIJKLMNOPQRSTUVX',
+    'ABCDEFGHIJKLMNOPQRSTU',
+    'ABCDEFGHIJKLMNOPQRS',
+    'ABCDEFGHIJKLMNOPQ'
+];
+
+// The pin that meets the lugs is not the one under the window letter but this many pins further
+const OFFSETS = [15, 14, 13, 12, 11, 10];
+
+const BARS = 27;
+
+/**
+ * Random pins (about half of them active) and lugs (two per bar, 0 for a neutral position), wheels at AAAAAA.
+ * @param {Function} random - Numbers in [0, 1) (default: Math.random)
+ * @returns {Object} M-209 key
+ */
+const randomKey = (random = Math.random) => ({
+    pins: WHEELS.map(letters => letters.split('').filter(() => random() < 0.5).join('')),
+    lugs: Array.from({ length: BARS }, () => {
+        const first = 1 + Math.floor(random() * 6);
+        const second = (first + 1 + Math.floor(random() * 6)) % 7;
+        return [Math.min(first, second), Math.max(first, second)].join('-');
+    }).join(' '),
+    start: 'AAAAAA'
+});
+
+// Fixed pins and lugs for the default key (linear congruential generator, seed 1942)
+const DEFAULT_KEY = (() => {
+    let state = 1942;
+    return randomKey(() => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state / 2147483648;
+    });
+})();
+
+/**
+ * Hagelin M-209
+ *
+ * Portable pin-and-lug machine of the US Army (Hagelin C-38). Six pin wheels move one step with every
+ * letter; each pin is set active or inactive. Behind them the cage has 27 bars with two lugs each, set
+ * in front of one of the wheels or neutral (0). For every letter, each bar with a lug against an active
+ * pin shifts one step: the displacement is the number of these bars (0 to 27).
+ *
+ * The output is Beaufort-like, C = Z - P + displacement (A = 0, mod 26), so the same operation deciphers.
+ * When enciphering, spaces are typed as Z; when deciphering, the machine prints Z as a space.
+ *
+ * Pins are given per wheel as the letters of the active pins ('ABDHIKMNSTVW') or as a pattern of the
+ * wheel size ('x' or 1 active, '.' or 0 inactive). Lugs are the 27 bars, 'a-b' with wheels 1-6 and 0
+ * for neutral ('3-6 0-6 1-6 ...'), or a list of [a, b] pairs.
+ *
+ * @param {String} message - Text to be encoded
+ * @param {Object} key - {pins: [6 wheels], lugs: 27 bars, start: 6 window letters ('AAAAAA')}
+ * @param {Boolean} encoded - Indicates if message is already encoded
+ * @param {Boolean} debug - Enable debug messages
+ */
+
+export default class M209 extends BasicCipher {
+    static WHEELS = WHEELS;
+
+    static OFFSETS = OFFSETS;
+
+    static DEFAULT_KEY = DEFAULT_KEY;
+
+    static randomKey = randomKey;
+
+    constructor(message, key = DEFAULT_KEY, encoded = false, debug = false) {
+        super(message, encoded, 'm209', key, ALPHABET, debug);
+        this.reset();
+    }
+
+    /**
+     * Reads and checks a key
+     * @param {Object} key - M-209 key
+     * @returns {{pins: Array<Array<number>>, lugs: Array<Array<number>>, start: Array<number>}} Pins by
+     *   letter of each wheel (1 active), lug wheels of each bar (0-5, -1 neutral) and window letters
+     */
+    parseKey(key) {
+        CipherValidator.validateKey(key);
+        const pins = WHEELS.map((letters, wheel) => {
+            const given = (key.pins || [])[wheel];
+            const text = (Array.isArray(given) ? given.join('') : `${given || ''}`).toUpperCase();
+            if (text.length === letters.length && /^[X.01]+$/.test(text)) {
+                return text.split('').map(pin => (pin === 'X' || pin === '1' ? 1 : 0));
+            }
+            const active = text.replace(/[^A-Z]/g, '');
+            const wrong = active.split('').find(letter => !letters.includes(letter));
+            if (wrong) {
+                throw new Error(`M-209 wheel ${wheel + 1} has no pin ${wrong} (pins ${letters[0]}-${letters[letters.length - 1]})`);
+            }
+            return letters.split('').map(letter => (active.includes(letter) ? 1 : 0));
+        });
+
+        const bars = Array.isArray(key.lugs) ? key.lugs : `${key.lugs || ''}`.trim().split(/[\s,]+/).filter(Boolean);
+        if (bars.length !== BARS) {
+            throw new Error(`The M-209 cage has ${BARS} bars, got ${bars.length}`);
+        }
+        const lugs = bars.map(bar => {
+            const positions = Array.isArray(bar) ? bar.map(Number) : `${bar}`.split('-').map(Number);
+            if (positions.length !== 2 || positions.some(position => !Number.isInteger(position) || position < 0 || position > 6)) {
+                throw new Error(`M-209 bar "${bar}" needs two lug positions from 0 (neutral) to 6`);
+            }
+            return positions.map(position => position - 1);
+        });
+
+        const start = `${key.start || 'AAAAAA'}`.toUpperCase().replace(/[^A-Z]/g, '');
+        if (start.length !== WHEELS.length) {
+            throw new Error(`M-209 start position "${key.start}" needs one letter per wheel`);
+        }
+        return {
+            pins,
+            lugs,
+            start: start.split('').map((letter, wheel) => {
+                const position = WHEELS[wheel].indexOf(letter);
+                if (position < 0) {
+                    throw new Error(`M-209 wheel ${wheel + 1} has no letter ${letter}`);
+                }
+                return position;
+            })
+        };
+    }
+
+    /**
+     * Puts the wheels back at their starting positions
+     * @param {Object} key - M-209 key (default: the cipher key)
+     * @returns {M209} This instance for chaining
+     */
+    reset(key = this.key) {
+        this.wheels = this.parseKey(key);
+        this.positions = [...this.wheels.start];
+        return this;
+    }
+
+    /**
+     * Letters in the windows
+     * @returns {String} e.g. 'AAAAAA'
+     */
+    getPositions() {
+        return this.positions.map((position, wheel) => WHEELS[wheel][position]).join('');
+    }
+
+    /**
+     * Active pins against the lugs at the current positions
+     * @returns {Array<number>} One 0 or 1 per wheel
+     */
+    activePins() {
+        return this.positions.map((position, wheel) => this.wheels.pins[wheel][(position + OFFSETS[wheel]) % WHEELS[wheel].length]);
+    }
+
+    /**
+     * Bars shifted at the current positions, without moving the wheels
+     * @returns {number} Displacement 0-27
+     */
+    displacement() {
+        const active = this.activePins();
+        return this.wheels.lugs.filter(bar => bar.some(wheel => wheel >= 0 && active[wheel])).length;
+    }
+
+    /**
+     * Moves every wheel one step
+     */
+    move() {
+        this.positions = this.positions.map((position, wheel) => (position + 1) % WHEELS[wheel].length);
+        if (this.debug) {
+            this.logMessage(`M-209 wheels at ${this.getPositions()}`);
+        }
+    }
+
+    /**
+     * Displacements from the starting positions
+     * @param {number} length - Letters
+     * @returns {Array<number>} Displacements 0-27
+     */
+    displacements(length) {
+        this.reset();
+        return Array.from({ length }, () => {
+            const displacement = this.displacement();
+            this.move();
+            return displacement;
+        });
+    }
+
+    /**
+     * Enciphers or deciphers letters from the starting positions (C = Z - P + displacement)
+     * @param {String} letters - Letters A-Z only
+     * @returns {String}
+     */
+    encipher(letters) {
+        return this.displacements(letters.length)
+            .map((displacement, i) => ALPHABET[(25 - ALPHABET.indexOf(letters[i]) + displacement) % 26])
+            .join('');
+    }
+
+    /**
+     * Encode message using the M-209
+     * @param {String} message - Text to encode (spaces become Z, other characters are dropped)
+     * @param {Object} key - M-209 key
+     * @returns {String} Ciphertext letters
+     */
+    encode = (message = this.message, key = this.key) => {
+        CipherValidator.validateMessage(message);
+        this.key = key;
+        return this.encipher(message.toUpperCase().replace(/\s+/g, 'Z').replace(/[^A-Z]/g, ''));
+    }
+
+    /**
+     * Decode message using the M-209
+     * @param {String} message - Ciphertext (letters, groups allowed)
+     * @param {Object} key - M-209 key
+     * @returns {String} Plaintext, Z printed as a space
+     */
+    decode = (message = this.message, key = this.key) => {
+        CipherValidator.validateMessage(message);
+        this.key = key;
+        return this.encipher(message.toUpperCase().replace(/[^A-Z]/g, '')).replace(/Z/g, ' ');
+    }
+}
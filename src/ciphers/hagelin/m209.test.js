@@ -0,0 +1,60 @@
+import M209 from './m209.js';
+
+describe('M209 Tests', () => {
+    const key = { ...M209.DEFAULT_KEY, start: 'GHKLMN' };
+    const neutral = Array(27).fill('0-0').join(' ');
+
+    test('should work as Atbash when no bar shifts', () => {
+        expect(new M209('HELLO', { pins: ['', '', '', '', '', ''], lugs: neutral }).encode()).toBe('SVOOL');
+    });
+
+    test('should add the bars shifted to the Beaufort output', () => {
+        // Every bar on wheel 1, every pin of wheel 1 active: 27 bars, a shift of 1
+        const lugs = Array(27).fill('0-1').join(' ');
+        expect(new M209('ABC', { pins: ['ABCDEFGHIJKLMNOPQRSTUVWXYZ', '', '', '', '', ''], lugs }).encode()).toBe('AZY');
+    });
+
+    test('should read the pin that meets the lugs, not the one in the window', () => {
+        // Only pin P of wheel 1 is active: it meets the lugs when A is in the window (15 pins further)
+        const cipher = new M209('AAA', { pins: ['P', '', '', '', '', ''], lugs: Array(27).fill('1-0').join(' ') });
+        expect(cipher.displacements(3)).toEqual([27, 0, 0]);
+        expect(cipher.getPositions()).toBe('DDDDDD');
+    });
+
+    test('should type spaces as Z and print Z as spaces', () => {
+        const encoded = new M209('ATTACK AT DAWN', key).encode();
+        expect(encoded).toMatch(/^[A-Z]{14}$/);
+        expect(new M209(encoded, key, true).decode()).toBe('ATTACK AT DAWN');
+    });
+
+    test('should be reciprocal', () => {
+        const cipher = new M209('', key);
+        const letters = 'THEENEMYHASBEENOBSERVEDMOVINGTROOPS';
+        expect(cipher.encipher(cipher.encipher(letters))).toBe(letters);
+    });
+
+    test('should move every wheel with every letter', () => {
+        const cipher = new M209('', { ...key, start: 'ZZXUSQ' });
+        expect(cipher.getPositions()).toBe('ZZXUSQ');
+        cipher.move();
+        expect(cipher.getPositions()).toBe('AAAAAA');
+        cipher.move();
+        expect(cipher.getPositions()).toBe('BBBBBB');
+    });
+
+    test('should accept pins as patterns and lugs as pairs', () => {
+        const pins = M209.WHEELS.map((letters, wheel) => letters
+            .split('')
+            .map(letter => (key.pins[wheel].includes(letter) ? 'x' : '.'))
+            .join(''));
+        const lugs = key.lugs.split(' ').map(bar => bar.split('-').map(Number));
+        expect(new M209('ATTACK AT DAWN', { pins, lugs, start: 'GHKLMN' }).encode()).toBe(new M209('ATTACK AT DAWN', key).encode());
+    });
+
+    test('should reject bad keys', () => {
+        expect(() => new M209('A', { ...key, pins: ['A', 'W', '', '', '', ''] })).toThrow('wheel 2 has no pin W');
+        expect(() => new M209('A', { ...key, lugs: '1-2 3-4' })).toThrow('27 bars, got 2');
+        expect(() => new M209('A', { ...key, lugs: neutral.replace('0-0', '1-7') })).toThrow('bar "1-7"');
+        expect(() => new M209('A', { ...key, start: 'AAAAAZ' })).toThrow('wheel 6 has no letter Z');
+    });
+});
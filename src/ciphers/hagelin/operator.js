@@ -0,0 +1,159 @@
+import { default as M209 } from './m209.js';
+
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+/**
+ * M-209 operating procedure (TM 11-380)
+ *
+ * The key list gives the pins and lugs of the period, identified by a two-letter key list indicator. The
+ * starting position of each message comes from its message indicator:
+ * - the operator chooses six letters, the external indicator (e.g. NQVLTY);
+ * - with the wheels at AAAAAA, the external indicator is enciphered twice (12 letters);
+ * - the internal indicator (starting position) is, in order, the first of these letters on wheel 1, the
+ *   next one on wheel 2, and so on (wheels 2 to 6 lack some letters).
+ *
+ * The message is sent in five-letter groups, ten per line, between two copies of the indicator groups:
+ * the system indicator letter twice and the external indicator, then the key list indicator
+ * (GGNQV LTYAB for system G, external NQVLTY, key list AB).
+ *
+ * Key lists are objects {indicator: 'AB', pins, lugs} (see M209), or a single one.
+ *
+ * @param {Object|Array<Object>} keyLists - Key lists
+ * @param {Function} random - Numbers in [0, 1) for the indicators (default: Math.random)
+ */
+export default class M209Operator {
+    constructor(keyLists, random = Math.random) {
+        this.keyLists = (Array.isArray(keyLists) ? keyLists : [keyLists]).map(keyList => {
+            const indicator = `${keyList.indicator || ''}`.toUpperCase();
+            if (!/^[A-Z]{2}$/.test(indicator)) {
+                throw new Error(`M-209 key list indicator "${keyList.indicator}" should be two letters`);
+            }
+            return { ...keyList, indicator };
+        });
+        if (this.keyLists.length === 0) {
+            throw new Error('An M-209 operator needs at least one key list');
+        }
+        this.random = random;
+    }
+
+    /**
+     * Enciphers and formats a message
+     * @param {String} message - Plaintext (spaces are typed as Z)
+     * @param {Object} options - keyList (indicator, default the first one), systemIndicator and
+     *   externalIndicator (random when missing)
+     * @returns {String} Indicator groups, body and indicator groups again
+     */
+    encrypt(message, options = {}) {
+        const keyList = this.keyList(options.keyList);
+        const systemIndicator = this.letters(options.systemIndicator, 1);
+        let externalIndicator = this.letters(options.externalIndicator, 6);
+        let internalIndicator = this.internalIndicator(keyList, externalIndicator);
+        // Some external indicators do not give a letter for every wheel: choose another one
+        while (!internalIndicator && !options.externalIndicator) {
+            externalIndicator = this.letters(null, 6);
+            internalIndicator = this.internalIndicator(keyList, externalIndicator);
+        }
+        if (!internalIndicator) {
+            throw new Error(`External indicator ${externalIndicator} gives no starting position, choose another one`);
+        }
+
+        const body = new M209(message, { ...keyList, start: internalIndicator }).encode();
+        const indicator = [
+            systemIndicator + systemIndicator + externalIndicator.slice(0, 3),
+            externalIndicator.slice(3) + keyList.indicator
+        ];
+        return this.groups([...indicator, ...(body.match(/.{1,5}/g) || []), ...indicator]);
+    }
+
+    /**
+     * Reads and deciphers a formatted message
+     * @param {String} formatted - Message from encrypt()
+     * @returns {{plaintext: String, keyList: String, systemIndicator: String, externalIndicator: String,
+     *   internalIndicator: String}}
+     */
+    decrypt(formatted) {
+        const groups = formatted.toUpperCase().replace(/[^A-Z\s]/g, '').trim().split(/\s+/);
+        const [first, second] = groups;
+        if (groups.length < 4 || !/^([A-Z])\1[A-Z]{3}$/.test(first) || !/^[A-Z]{5}$/.test(second)) {
+            throw new Error(`No M-209 indicator groups at the start of "${groups.slice(0, 2).join(' ')}"`);
+        }
+        if (groups[groups.length - 2] !== first || groups[groups.length - 1] !== second) {
+            throw new Error(`The indicator groups at the end (${groups.slice(-2).join(' ')}) differ from ${first} ${second}`);
+        }
+
+        const keyList = this.keyList(second.slice(3));
+        const externalIndicator = first.slice(2) + second.slice(0, 3);
+        const internalIndicator = this.internalIndicator(keyList, externalIndicator);
+        if (!internalIndicator) {
+            throw new Error(`External indicator ${externalIndicator} gives no starting position`);
+        }
+        const body = groups.slice(2, -2).join('');
+        return {
+            plaintext: new M209(body, { ...keyList, start: internalIndicator }, true).decode(),
+            keyList: keyList.indicator,
+            systemIndicator: first[0],
+            externalIndicator,
+            internalIndicator
+        };
+    }
+
+    /**
+     * Starting position of a message from its external indicator, or null when the 12 letters do not
+     * give a letter for every wheel
+     * @param {Object} keyList - Key list
+     * @param {String} externalIndicator - Six letters
+     * @returns {String|null}
+     */
+    internalIndicator(keyList, externalIndicator) {
+        const letters = new M209(externalIndicator + externalIndicator, { ...keyList, start: 'AAAAAA' }).encode();
+        let next = 0;
+        const start = M209.WHEELS.map(wheel => {
+            while (next < letters.length && !wheel.includes(letters[next])) next++;
+            return letters[next++];
+        });
+        return start.includes(undefined) ? null : start.join('');
+    }
+
+    /**
+     * Key list by indicator, the first one when none is given
+     * @param {String} indicator
+     * @returns {Object}
+     */
+    keyList(indicator) {
+        const keyList = indicator === undefined ? this.keyLists[0] : this.keyLists.find(candidate => candidate.indicator === `${indicator}`.toUpperCase());
+        if (!keyList) {
+            throw new Error(`No M-209 key list ${indicator}`);
+        }
+        return keyList;
+    }
+
+    /**
+     * The given letters, or random ones
+     * @param {String} given
+     * @param {number} length
+     * @returns {String}
+     */
+    letters(given, length) {
+        if (given) {
+            const letters = given.toUpperCase().replace(/[^A-Z]/g, '');
+            if (letters.length !== length) {
+                throw new Error(`"${given}" should have ${length} letters`);
+            }
+            return letters;
+        }
+        return Array.from({ length }, () => ALPHABET[Math.floor(this.random() * 26)]).join('');
+    }
+
+    /**
+     * Ten groups per line
+     * @param {Array<String>} groups
+     * @returns {String}
+     */
+    groups(groups) {
+        const lines = [];
+        for (let i = 0; i < groups.length; i += 10) {
+            lines.push(groups.slice(i, i + 10).join(' '));
+        }
+        return lines.join('\n');
+    }
+}
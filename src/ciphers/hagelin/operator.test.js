@@ -0,0 +1,55 @@
+import M209 from './m209.js';
+import M209Operator from './operator.js';
+
+describe('M209Operator', () => {
+    const seeded = (seed) => {
+        let state = seed;
+        return () => {
+            state = (state * 1103515245 + 12345) % 2147483648;
+            return state / 2147483648;
+        };
+    };
+    const keyLists = [{ indicator: 'AB', ...M209.DEFAULT_KEY }, { indicator: 'cd', ...M209.randomKey(seeded(7)) }];
+
+    test('should send the indicator groups before and after the message', () => {
+        const operator = new M209Operator(keyLists);
+        const formatted = operator.encrypt('ATTACK AT DAWN', { keyList: 'CD', systemIndicator: 'G', externalIndicator: 'NQVLTY' });
+        const groups = formatted.split(/\s+/);
+
+        expect(groups.slice(0, 2)).toEqual(['GGNQV', 'LTYCD']);
+        expect(groups.slice(-2)).toEqual(['GGNQV', 'LTYCD']);
+        expect(groups.slice(2, -2).join('')).toHaveLength(14);
+    });
+
+    test('should start the message at the internal indicator', () => {
+        const operator = new M209Operator(keyLists);
+        const internal = operator.internalIndicator(keyLists[0], 'NQVLTY');
+        const letters = new M209('', { ...keyLists[0], start: 'AAAAAA' }).encipher('NQVLTYNQVLTY');
+
+        expect(internal).toMatch(/^[A-Z]{6}$/);
+        expect(letters).toContain(internal[0]);
+        const formatted = operator.encrypt('ATTACK AT DAWN', { systemIndicator: 'G', externalIndicator: 'NQVLTY' });
+        const body = formatted.split(/\s+/).slice(2, -2).join('');
+        expect(body).toBe(new M209('ATTACK AT DAWN', { ...keyLists[0], start: internal }).encode());
+    });
+
+    test('should decrypt with the key list of the indicator', () => {
+        const sender = new M209Operator(keyLists, seeded(1));
+        const message = 'ENEMY TROOPS MOVING ALONG THE RIVER ROAD TOWARD THE BRIDGE AT DAWN REQUEST SUPPORT';
+        const formatted = sender.encrypt(message, { keyList: 'CD' });
+        const result = new M209Operator(keyLists).decrypt(formatted);
+
+        expect(formatted.split('\n')[0].split(' ')).toHaveLength(10);
+        expect(result.plaintext).toBe(message);
+        expect(result.keyList).toBe('CD');
+        expect(result.internalIndicator).toBe(sender.internalIndicator(keyLists[1], result.externalIndicator));
+    });
+
+    test('should reject bad key lists and messages', () => {
+        expect(() => new M209Operator({ indicator: 'A', ...M209.DEFAULT_KEY })).toThrow('two letters');
+        const operator = new M209Operator(keyLists);
+        expect(() => operator.encrypt('HELLO', { keyList: 'XY' })).toThrow('No M-209 key list XY');
+        expect(() => operator.decrypt('GHNQV LTYAB ABCDE GHNQV LTYAB')).toThrow('No M-209 indicator groups');
+        expect(() => operator.decrypt('GGNQV LTYAB ABCDE GGNQV LTYCD')).toThrow('indicator groups at the end');
+    });
+});
@@ -0,0 +1,257 @@
+import { default as BasicCipher } from '../../core/basicCipher.js';
+import { CipherValidator } from '../../core/validation.js';
+import { Baudot } from '../../core/baudot.js';
+
+// Cams of each wheel (Bletchley Park names: chi, psi and motor or mu wheels)
+const SIZES = {
+    chi: [41, 31, 29, 26, 23],
+    psi: [43, 47, 51, 53, 59],
+    mu: [61, 37]
+};
+
+// Limitation of the psi motion on the SZ42 models
+const LIMITATIONS = { SZ40: 'none', SZ42A: 'chi2', SZ42B: 'chi2psi1' };
+
+/**
+ * Random wheel patterns (about half of the cams raised) with every wheel at position 1.
+ * @param {Function} random - Numbers in [0, 1) (default: Math.random)
+ * @returns {Object} Lorenz key
+ */
+const randomKey = (random = Math.random) => {
+    const pattern = size => Array.from({ length: size }, () => (random() < 0.5 ? 'x' : '.')).join('');
+    return {
+        chi: SIZES.chi.map(pattern),
+        psi: SIZES.psi.map(pattern),
+        mu: SIZES.mu.map(pattern),
+        start: { chi: [1, 1, 1, 1, 1], psi: [1, 1, 1, 1, 1], mu: [1, 1] },
+        limitation: 'none',
+        p5: false
+    };
+};
+
+// Fixed patterns for the default key (linear congruential generator, seed 1942)
+const DEFAULT_KEY = (() => {
+    let state = 1942;
+    return randomKey(() => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state / 2147483648;
+    });
+})();
+
+/**
+ * Lorenz SZ40/42 ("Tunny")
+ *
+ * Teleprinter cipher attachment of the German High Command. Each character is a 5-bit ITA2 code
+ * (see Baudot), added (XOR) to a key character made by twelve pinwheels:
+ * - five chi wheels (41, 31, 29, 26, 23 cams), one per impulse, which move with every character;
+ * - five psi wheels (43, 47, 51, 53, 59 cams), also one per impulse, which all move together or
+ *   stand still;
+ * - two motor wheels: mu61 moves with every character and moves mu37 when its cam is raised; the
+ *   cam of mu37 (the basic motor) tells whether the psi wheels move.
+ * Key = chi + psi. As the addition is its own inverse, encoding and decoding are the same operation.
+ *
+ * SZ42 limitations: the psi wheels also move when the limitation is a dot, so they only stand still
+ * when the basic motor is a dot and the limitation a cross. The limitation is chi2 one back (SZ42A)
+ * or chi2 + psi1 one back (SZ42B); with p5 the fifth impulse of the plaintext two back is added
+ * (autoclave).
+ *
+ * Cam patterns are written with 'x' (cross, raised) and '.' (dot), or 1 and 0. Wheel positions count
+ * from 1 like the settings of the time. Text is encoded to ITA2 and the ciphertext is written in
+ * Bletchley Park notation (letters and / 9 3 4 5 8).
+ *
+ * @param {String} message - Text to be encoded, or ciphertext in Bletchley Park notation
+ * @param {Object} key - {chi: [5 patterns], psi: [5 patterns], mu: [mu61, mu37], start: {chi, psi, mu},
+ *   limitation: 'none' | 'chi2' | 'chi2psi1' (or 'SZ40', 'SZ42A', 'SZ42B'), p5: Boolean}
+ * @param {Boolean} encoded - Indicates if message is already encoded
+ * @param {Boolean} debug - Enable debug messages
+ */
+
+export default class Lorenz extends BasicCipher {
+    static SIZES = SIZES;
+
+    static LIMITATIONS = LIMITATIONS;
+
+    static DEFAULT_KEY = DEFAULT_KEY;
+
+    static randomKey = randomKey;
+
+    constructor(message, key = DEFAULT_KEY, encoded = false, debug = false) {
+        super(message, encoded, 'lorenz', key, '', debug);
+        this.reset();
+    }
+
+    /**
+     * Reads and checks a key
+     * @param {Object} key - Lorenz key
+     * @returns {{chi: Array<Array<number>>, psi: Array<Array<number>>, mu: Array<Array<number>>,
+     *   start: {chi: Array<number>, psi: Array<number>, mu: Array<number>}, limitation: String, p5: Boolean}}
+     */
+    parseKey(key) {
+        CipherValidator.validateKey(key);
+        const cams = (pattern, size, name) => {
+            const bits = (Array.isArray(pattern) ? pattern.join('') : `${pattern || ''}`)
+                .toLowerCase()
+                .replace(/[^x.01]/g, '')
+                .split('')
+                .map(cam => (cam === 'x' || cam === '1' ? 1 : 0));
+            if (bits.length !== size) {
+                throw new Error(`Lorenz wheel ${name} needs ${size} cams, got ${bits.length}`);
+            }
+            return bits;
+        };
+        const wheels = group => SIZES[group].map((size, i) => cams((key[group] || [])[i], size, `${group}${group === 'mu' ? size : i + 1}`));
+        const positions = group => SIZES[group].map((size, i) => {
+            const position = ((key.start || {})[group] || [])[i] || 1;
+            if (!Number.isInteger(position) || position < 1 || position > size) {
+                throw new Error(`Lorenz wheel ${group}${group === 'mu' ? size : i + 1} positions go from 1 to ${size}, got ${position}`);
+            }
+            return position - 1;
+        });
+
+        const limitation = LIMITATIONS[`${key.limitation || 'none'}`.toUpperCase()] || key.limitation || 'none';
+        if (!Object.values(LIMITATIONS).includes(limitation)) {
+            throw new Error(`Unknown Lorenz limitation "${key.limitation}", expected none, chi2 or chi2psi1`);
+        }
+
+        return {
+            chi: wheels('chi'),
+            psi: wheels('psi'),
+            mu: wheels('mu'),
+            start: { chi: positions('chi'), psi: positions('psi'), mu: positions('mu') },
+            limitation,
+            p5: Boolean(key.p5)
+        };
+    }
+
+    /**
+     * Puts the wheels back at their starting positions
+     * @param {Object} key - Lorenz key (default: the cipher key)
+     * @returns {Lorenz} This instance for chaining
+     */
+    reset(key = this.key) {
+        this.wheels = this.parseKey(key);
+        this.positions = {
+            chi: [...this.wheels.start.chi],
+            psi: [...this.wheels.start.psi],
+            mu: [...this.wheels.start.mu]
+        };
+        // Fifth impulse of the last two plaintext characters, for the p5 limitation
+        this.history = [0, 0];
+        return this;
+    }
+
+    /**
+     * Current wheel positions (from 1)
+     * @returns {{chi: Array<number>, psi: Array<number>, mu: Array<number>}}
+     */
+    getPositions() {
+        const show = list => list.map(position => position + 1);
+        return { chi: show(this.positions.chi), psi: show(this.positions.psi), mu: show(this.positions.mu) };
+    }
+
+    /**
+     * Key character at the current positions, without moving the wheels
+     * @returns {{chi: number, psi: number, key: number}} 5-bit codes
+     */
+    current() {
+        const code = (group) => this.wheels[group].reduce(
+            (value, cams, i) => (value << 1) | cams[this.positions[group][i]], 0
+        );
+        const chi = code('chi');
+        const psi = code('psi');
+        return { chi, psi, key: chi ^ psi };
+    }
+
+    /**
+     * Moves the wheels after a character
+     * @param {number} plain - Plaintext code of the character (for the p5 limitation)
+     */
+    move(plain) {
+        const { wheels, positions } = this;
+        const chi2 = wheels.chi[1][positions.chi[1]];
+        const psi1 = wheels.psi[0][positions.psi[0]];
+        const basicMotor = wheels.mu[1][positions.mu[1]];
+
+        let totalMotor = basicMotor;
+        if (wheels.limitation !== 'none') {
+            let limitation = chi2;
+            if (wheels.limitation === 'chi2psi1') limitation ^= psi1;
+            // Two back from the next character
+            if (wheels.p5) limitation ^= this.history[1];
+            totalMotor = basicMotor | (limitation ^ 1);
+        }
+
+        if (totalMotor) {
+            positions.psi = positions.psi.map((position, i) => (position + 1) % SIZES.psi[i]);
+        }
+        if (wheels.mu[0][positions.mu[0]]) {
+            positions.mu[1] = (positions.mu[1] + 1) % SIZES.mu[1];
+        }
+        positions.mu[0] = (positions.mu[0] + 1) % SIZES.mu[0];
+        positions.chi = positions.chi.map((position, i) => (position + 1) % SIZES.chi[i]);
+
+        this.history = [this.history[1], plain & 1];
+        if (this.debug) {
+            this.logMessage(`Lorenz total motor ${totalMotor}, positions ${JSON.stringify(this.getPositions())}`);
+        }
+    }
+
+    /**
+     * Adds the key to ITA2 codes from the starting positions
+     * @param {Array<number>} codes - Codes 0-31
+     * @param {Boolean} decode - The codes are ciphertext (matters for the p5 limitation)
+     * @returns {Array<number>} Output codes
+     */
+    encipher(codes, decode = false) {
+        this.reset();
+        return codes.map(code => {
+            const output = code ^ this.current().key;
+            this.move(decode ? output : code);
+            return output;
+        });
+    }
+
+    /**
+     * Key streams from the starting positions
+     * @param {number} length - Characters
+     * @param {Array<number>} plain - Plaintext codes (only needed with the p5 limitation)
+     * @returns {{chi: Array<number>, psi: Array<number>, key: Array<number>}} psi is the extended psi
+     *   stream (repeated while the psi wheels stand still)
+     */
+    keystream(length, plain = []) {
+        this.reset();
+        const streams = { chi: [], psi: [], key: [] };
+        for (let i = 0; i < length; i++) {
+            const { chi, psi, key } = this.current();
+            streams.chi.push(chi);
+            streams.psi.push(psi);
+            streams.key.push(key);
+            this.move(plain[i] || 0);
+        }
+        return streams;
+    }
+
+    /**
+     * Encode message using Lorenz
+     * @param {String} message - Text to encode (ITA2)
+     * @param {Object} key - Lorenz key
+     * @returns {String} Ciphertext in Bletchley Park notation
+     */
+    encode = (message = this.message, key = this.key) => {
+        CipherValidator.validateMessage(message);
+        this.key = key;
+        return Baudot.toNotation(this.encipher(Baudot.encode(message)));
+    }
+
+    /**
+     * Decode message using Lorenz
+     * @param {String} message - Ciphertext in Bletchley Park notation
+     * @param {Object} key - Lorenz key
+     * @returns {String} Decoded text
+     */
+    decode = (message = this.message, key = this.key) => {
+        CipherValidator.validateMessage(message);
+        this.key = key;
+        return Baudot.decode(this.encipher(Baudot.fromNotation(message), true));
+    }
+}
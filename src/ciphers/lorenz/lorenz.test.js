@@ -0,0 +1,62 @@
+import Lorenz from './lorenz.js';
+import { Baudot } from '../../core/baudot.js';
+
+describe('Lorenz Tests', () => {
+    const text = 'AN OBERKOMMANDO DER WEHRMACHT\nFEINDLICHE PANZER IM RAUM ORSCHA, 12 TOTE UND 37 VERWUNDETE';
+    const key = { ...Lorenz.DEFAULT_KEY, start: { chi: [5, 17, 3, 20, 9], psi: [11, 2, 40, 7, 33], mu: [60, 4] } };
+
+    test('should decode what it encodes', () => {
+        const encoded = new Lorenz(text, key).encode();
+        expect(encoded).toMatch(/^[A-Z/934589]+$/);
+        expect(encoded).toHaveLength(Baudot.encode(text).length);
+        expect(new Lorenz(encoded, key, true).decode()).toBe(text);
+    });
+
+    test('should be reciprocal on ITA2 codes', () => {
+        const codes = Baudot.encode(text);
+        const cipher = new Lorenz(text, key);
+        expect(cipher.encipher(cipher.encipher(codes))).toEqual(codes);
+    });
+
+    test('should repeat each chi stream with the size of its wheel', () => {
+        const stream = new Lorenz(text, key).keystream(2 * 41).chi.map(code => Baudot.impulse(code, 1));
+        expect(stream.slice(41)).toEqual(stream.slice(0, 41));
+    });
+
+    test('should hold the psi wheels while the basic motor is a dot', () => {
+        const still = new Lorenz(text, { ...key, mu: [key.mu[0], '.'.repeat(37)] }).keystream(50).psi;
+        expect(new Set(still).size).toBe(1);
+
+        const moving = new Lorenz(text, { ...key, mu: [key.mu[0], 'x'.repeat(37)] }).keystream(2 * 43).psi
+            .map(code => Baudot.impulse(code, 1));
+        expect(moving.slice(43)).toEqual(moving.slice(0, 43));
+    });
+
+    test('should move the wheels', () => {
+        const cipher = new Lorenz(text, { ...key, mu: ['x'.repeat(61), 'x'.repeat(37)] });
+        expect(cipher.getPositions()).toEqual({ chi: [5, 17, 3, 20, 9], psi: [11, 2, 40, 7, 33], mu: [60, 4] });
+        cipher.move(0);
+        expect(cipher.getPositions()).toEqual({ chi: [6, 18, 4, 21, 10], psi: [12, 3, 41, 8, 34], mu: [61, 5] });
+    });
+
+    test('should change the psi motion with the SZ42 limitations', () => {
+        const sz40 = new Lorenz(text, key).encode();
+        const sz42a = new Lorenz(text, { ...key, limitation: 'SZ42A' }).encode();
+        const sz42b = new Lorenz(text, { ...key, limitation: 'chi2psi1' }).encode();
+        const p5 = new Lorenz(text, { ...key, limitation: 'SZ42B', p5: true }).encode();
+        expect(new Set([sz40, sz42a, sz42b, p5]).size).toBe(4);
+        expect(new Lorenz(sz42a, { ...key, limitation: 'SZ42A' }, true).decode()).toBe(text);
+        expect(new Lorenz(p5, { ...key, limitation: 'SZ42B', p5: true }, true).decode()).toBe(text);
+    });
+
+    test('should accept cams as 0 and 1', () => {
+        const binary = { ...key, chi: key.chi.map(pattern => pattern.replace(/x/g, '1').replace(/\./g, '0')) };
+        expect(new Lorenz(text, binary).encode()).toBe(new Lorenz(text, key).encode());
+    });
+
+    test('should reject bad keys', () => {
+        expect(() => new Lorenz(text, { ...key, chi: ['x.', ...key.chi.slice(1)] })).toThrow('chi1 needs 41 cams');
+        expect(() => new Lorenz(text, { ...key, start: { mu: [62, 1] } })).toThrow('mu61 positions go from 1 to 61');
+        expect(() => new Lorenz(text, { ...key, limitation: 'SZ43' })).toThrow('Unknown Lorenz limitation');
+    });
+});
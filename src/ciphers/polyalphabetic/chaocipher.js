@@ -0,0 +1,198 @@
+import { default as BasicCipher } from '../../core/basicCipher.js';
+import { CipherValidator } from '../../core/validation.js';
+
+const NADIR = 13;
+
+/**
+ * Chaocipher (John F. Byrne, 1918)
+ *
+ * Two mixed alphabets turn like disks: the right one holds the plaintext letters, the left one the
+ * ciphertext letters. A letter is enciphered with the letter at the same position of the other
+ * alphabet, then both alphabets are permuted around the used letters, so the substitution changes
+ * with every letter:
+ * - Left: rotate until the ciphertext letter is at the zenith (position 0), then move the letter at
+ *   zenith + 1 to the nadir (position 13).
+ * - Right: rotate until the plaintext letter is at the zenith, rotate one more position, then move
+ *   the letter at zenith + 2 to the nadir.
+ *
+ * Only the relative alignment of the alphabets matters: rotating both by the same amount gives the
+ * same cipher. Characters other than A-Z are kept and do not move the alphabets.
+ *
+ * Example (Byrne's alphabets as published by Rubin):
+ * Left:       HXUCZVAMDSLKPEFJRIGTWOBNYQ
+ * Right:      PTLNBQDEOYSFAVZKGJRIHWXUMC
+ * Plaintext:  WELLDONEISBETTERTHANWELLSAID
+ * Ciphertext: OAHQHCNYNXTSZJRRHJBYHQKSOUJY
+ *
+ * @param {String} message - Text to be encoded/decoded
+ * @param {Object|Array} key - Starting alphabets: {left, right} or [left, right]
+ * @param {Boolean} encoded - Indicates if message is already encoded
+ * @param {Boolean} debug - Enable debug messages
+ */
+
+export default class Chaocipher extends BasicCipher {
+    constructor(message, key = { left: 'HXUCZVAMDSLKPEFJRIGTWOBNYQ', right: 'PTLNBQDEOYSFAVZKGJRIHWXUMC' }, encoded = false, debug = false) {
+        super(message, encoded, 'chaocipher', key, '', debug);
+        this.reset();
+    }
+
+    /**
+     * Reads and checks the starting alphabets
+     * @param {Object|Array} key - {left, right} or [left, right]
+     * @returns {{left: Array<String>, right: Array<String>}}
+     */
+    parseKey(key) {
+        CipherValidator.validateKey(key);
+        const [left, right] = Array.isArray(key) ? key : [key.left, key.right];
+
+        const check = (alphabet, side) => {
+            if (typeof alphabet !== 'string') {
+                throw new TypeError(`Chaocipher ${side} alphabet must be a string`);
+            }
+            const letters = alphabet.toUpperCase().replace(/[^A-Z]/g, '').split('');
+            if (letters.length !== 26 || new Set(letters).size !== 26) {
+                throw new Error(`Chaocipher ${side} alphabet must contain the 26 letters exactly once`);
+            }
+            return letters;
+        };
+
+        return { left: check(left, 'left'), right: check(right, 'right') };
+    }
+
+    /**
+     * Puts the alphabets back in their starting positions
+     * @param {Object|Array} key - Starting alphabets (default: the cipher key)
+     * @returns {Chaocipher} This instance for chaining
+     */
+    reset(key = this.key) {
+        const { left, right } = this.parseKey(key);
+        this.left = left;
+        this.right = right;
+        return this;
+    }
+
+    /**
+     * Current alphabets
+     * @returns {{left: String, right: String}}
+     */
+    getState() {
+        return { left: this.left.join(''), right: this.right.join('') };
+    }
+
+    /**
+     * Enciphers or deciphers one letter and permutes the alphabets
+     * @param {String} letter - Letter A-Z
+     * @param {Boolean} decode - Decipher instead of encipher (default: false)
+     * @returns {String} Output letter
+     */
+    step(letter, decode = false) {
+        const input = letter.toUpperCase();
+        const position = decode ? this.left.indexOf(input) : this.right.indexOf(input);
+        if (position < 0) {
+            throw new Error(`Chaocipher only handles the letters A-Z, got "${letter}"`);
+        }
+
+        const output = decode ? this.right[position] : this.left[position];
+        this.left = Chaocipher.permuteLeft(this.left, position);
+        this.right = Chaocipher.permuteRight(this.right, position);
+        return output;
+    }
+
+    /**
+     * Runs a message from the starting alphabets and records every step
+     * @param {String} message - Text to process
+     * @param {Boolean} decode - Decipher instead of encipher (default: the encoded flag)
+     * @returns {Array<{input: String, output: String, left: String, right: String}>} One entry per letter,
+     *   with the alphabets used for that letter
+     */
+    trace(message = this.message, decode = this.encoded) {
+        CipherValidator.validateMessage(message);
+        this.reset();
+
+        const steps = [];
+        for (const char of message.toUpperCase()) {
+            if (/[A-Z]/.test(char)) {
+                const { left, right } = this.getState();
+                steps.push({ input: char, output: this.step(char, decode), left, right });
+            }
+        }
+        return steps;
+    }
+
+    /**
+     * Encode message using Chaocipher
+     * @param {String} message - Text to encode
+     * @param {Object|Array} key - Starting alphabets
+     * @returns {String} Encoded message
+     */
+    encode = (message = this.message, key = this.key) => {
+        CipherValidator.validateMessage(message);
+        this.reset(key);
+        const result = message.toUpperCase().replace(/[A-Z]/g, char => this.step(char));
+        this.logMessage(`Chaocipher final state: ${this.left.join('')} / ${this.right.join('')}`);
+        return result;
+    }
+
+    /**
+     * Decode message using Chaocipher
+     * @param {String} message - Text to decode
+     * @param {Object|Array} key - Starting alphabets
+     * @returns {String} Decoded message
+     */
+    decode = (message = this.message, key = this.key) => {
+        CipherValidator.validateMessage(message);
+        this.reset(key);
+        return message.toUpperCase().replace(/[A-Z]/g, char => this.step(char, true));
+    }
+
+    /**
+     * Left (ciphertext) alphabet permutation. Works on any array of 26 items.
+     * @param {Array} alphabet - Current alphabet
+     * @param {Number} zenith - Position of the letter just used
+     * @returns {Array} Permuted alphabet
+     */
+    static permuteLeft(alphabet, zenith) {
+        const rotated = [...alphabet.slice(zenith), ...alphabet.slice(0, zenith)];
+        const [extracted] = rotated.splice(1, 1);
+        rotated.splice(NADIR, 0, extracted);
+        return rotated;
+    }
+
+    /**
+     * Right (plaintext) alphabet permutation. Works on any array of 26 items.
+     * @param {Array} alphabet - Current alphabet
+     * @param {Number} zenith - Position of the letter just used
+     * @returns {Array} Permuted alphabet
+     */
+    static permuteRight(alphabet, zenith) {
+        const start = (zenith + 1) % alphabet.length;
+        const rotated = [...alphabet.slice(start), ...alphabet.slice(0, start)];
+        const [extracted] = rotated.splice(2, 1);
+        rotated.splice(NADIR, 0, extracted);
+        return rotated;
+    }
+
+    /**
+     * Undoes permuteLeft. After a step the left alphabet starts with the ciphertext letter just used.
+     * @param {Array} alphabet - Alphabet after a step
+     * @returns {Array} Alphabet before the step, rotated so the used letter is at the zenith
+     */
+    static unpermuteLeft(alphabet) {
+        const result = [...alphabet];
+        const [extracted] = result.splice(NADIR, 1);
+        result.splice(1, 0, extracted);
+        return result;
+    }
+
+    /**
+     * Undoes permuteRight. After a step the right alphabet ends with the plaintext letter just used.
+     * @param {Array} alphabet - Alphabet after a step
+     * @returns {Array} Alphabet before the step, rotated so the used letter is at the zenith
+     */
+    static unpermuteRight(alphabet) {
+        const result = [...alphabet];
+        const [extracted] = result.splice(NADIR, 1);
+        result.splice(2, 0, extracted);
+        return [result[result.length - 1], ...result.slice(0, -1)];
+    }
+}
@@ -0,0 +1,63 @@
+import Chaocipher from './chaocipher.js';
+
+describe('Chaocipher Tests', () => {
+    // Byrne's alphabets and test message as published by Rubin
+    const key = { left: 'HXUCZVAMDSLKPEFJRIGTWOBNYQ', right: 'PTLNBQDEOYSFAVZKGJRIHWXUMC' };
+
+    test('should encode the published test message', () => {
+        const cipher = new Chaocipher('WELLDONEISBETTERTHANWELLSAID', key);
+        expect(cipher.encode()).toBe('OAHQHCNYNXTSZJRRHJBYHQKSOUJY');
+    });
+
+    test('should decode the published test message', () => {
+        const cipher = new Chaocipher('OAHQHCNYNXTSZJRRHJBYHQKSOUJY', key, true);
+        expect(cipher.decode()).toBe('WELLDONEISBETTERTHANWELLSAID');
+    });
+
+    test('should use the published alphabets by default', () => {
+        expect(new Chaocipher('WELLDONE').encode()).toBe('OAHQHCNY');
+    });
+
+    test('should accept the alphabets as an array and keep non letters', () => {
+        const encoded = new Chaocipher('Well done, is better!', [key.left, key.right]).encode();
+        expect(encoded).toBe('OAHQ HCNY, NX TSZJRR!');
+        expect(new Chaocipher(encoded, key, true).decode()).toBe('WELL DONE, IS BETTER!');
+    });
+
+    test('should permute both alphabets after every letter', () => {
+        const cipher = new Chaocipher('W', key);
+        expect(cipher.step('W')).toBe('O');
+        // Published state after the first letter
+        expect(cipher.getState()).toEqual({ left: 'ONYQHXUCZVAMDBSLKPEFJRIGTW', right: 'XUCPTLNBQDEOYMSFAVZKGJRIHW' });
+    });
+
+    test('should trace the alphabets used for every letter', () => {
+        const cipher = new Chaocipher('WELL DONE', key);
+        const steps = cipher.trace();
+
+        expect(steps).toHaveLength(8);
+        expect(steps[0]).toEqual({ input: 'W', output: 'O', left: key.left, right: key.right });
+        expect(steps[1].left).toBe('ONYQHXUCZVAMDBSLKPEFJRIGTW');
+        expect(steps.map(step => step.output).join('')).toBe('OAHQHCNY');
+
+        cipher.reset();
+        expect(cipher.getState()).toEqual(key);
+    });
+
+    test('should undo the permutations', () => {
+        const left = Chaocipher.permuteLeft(key.left.split(''), 5);
+        expect(left[0]).toBe(key.left[5]);
+        const restored = Chaocipher.unpermuteLeft(left).join('');
+        expect(restored).toBe(key.left.slice(5) + key.left.slice(0, 5));
+
+        const right = Chaocipher.permuteRight(key.right.split(''), 5);
+        expect(right[25]).toBe(key.right[5]);
+        expect(Chaocipher.unpermuteRight(right).join('')).toBe(key.right.slice(5) + key.right.slice(0, 5));
+    });
+
+    test('should reject invalid alphabets', () => {
+        expect(() => new Chaocipher('HELLO', { left: 'ABC', right: key.right })).toThrow('26 letters');
+        expect(() => new Chaocipher('HELLO', { left: key.left, right: 'A'.repeat(26) })).toThrow('26 letters');
+        expect(() => new Chaocipher('HELLO', { left: key.left })).toThrow('right alphabet must be a string');
+    });
+});
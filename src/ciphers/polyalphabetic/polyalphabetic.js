@@ -6,6 +6,9 @@ import { default as Quagmire1 } from './quagmire1.js';
 import { default as Quagmire2 } from './quagmire2.js';
 import { default as Quagmire3 } from './quagmire3.js';
 import { default as Quagmire4 } from './quagmire4.js';
+import { default as Vernam } from './vernam.js';
+import { default as RunningKey } from './runningKey.js';
+import { default as Chaocipher } from './chaocipher.js';
 
 export default {
 	Vigenere,
@@ -15,6 +18,9 @@ export default {
 	Quagmire1,
 	Quagmire2,
 	Quagmire3,
-	Quagmire4
+	Quagmire4,
+	Vernam,
+	RunningKey,
+	Chaocipher
 };
 
@@ -0,0 +1,97 @@
+import { default as BasicCipher } from '../../core/basicCipher.js';
+import { CipherValidator } from '../../core/validation.js';
+
+/**
+ * Running Key Cipher
+ *
+ * A Vigenère cipher whose key is a long text (usually a passage of a book) instead of a short
+ * repeating keyword, so the key never repeats and Kasiski/Friedman find no period.
+ * Only the letters of the key text are used, starting at the given offset.
+ *
+ * Example (key text "THE QUICK BROWN FOX", offset 4):
+ * Plaintext:  HELLO
+ * Key:        UICKB
+ * Ciphertext: BMNVP
+ *
+ * @param {String} message - Text to be encoded/decoded
+ * @param {String} keyText - Key text (book passage); non letters are ignored
+ * @param {Boolean} encoded - Indicates if message is already encoded
+ * @param {Boolean} debug - Enable debug messages
+ * @param {Number} offset - Letter of the key text where the key starts (default: 0)
+ */
+
+export default class RunningKey extends BasicCipher {
+    constructor(message, keyText, encoded = false, debug = false, offset = 0) {
+        super(message, encoded, 'runningKey', keyText, '', debug);
+        this.offset = offset;
+    }
+
+    /**
+     * Letters of the key text used for a message, starting at the offset
+     * @param {String} keyText - Key text
+     * @param {Number} length - Letters in the message
+     * @returns {String} Key letters
+     */
+    getKeyStream(keyText, length) {
+        CipherValidator.validateKey(keyText, 'string');
+        if (!Number.isInteger(this.offset) || this.offset < 0) {
+            throw new Error('Running key offset must be a non-negative integer');
+        }
+
+        const letters = keyText.toUpperCase().replace(/[^A-Z]/g, '');
+        const stream = letters.slice(this.offset, this.offset + length);
+        if (stream.length < length) {
+            throw new Error(`Running key text is too short: ${length} letters needed after offset ${this.offset}, ${stream.length} available`);
+        }
+        return stream;
+    }
+
+    /**
+     * Shifts every letter by the next key letter (direction 1 to encode, -1 to decode)
+     * @param {String} message - Text
+     * @param {String} keyText - Key text
+     * @param {Number} direction - 1 or -1
+     * @returns {String}
+     */
+    shift(message, keyText, direction) {
+        const cleanMessage = message.toUpperCase();
+        const stream = this.getKeyStream(keyText, cleanMessage.replace(/[^A-Z]/g, '').length);
+
+        let result = '';
+        let keyIndex = 0;
+        for (const char of cleanMessage) {
+            if (/[A-Z]/.test(char)) {
+                const shift = (stream.charCodeAt(keyIndex) - 65) * direction;
+                result += String.fromCharCode(((char.charCodeAt(0) - 65 + shift + 26) % 26) + 65);
+                keyIndex++;
+            } else {
+                result += char; // Keep non-alphabetic characters
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Encode message using the running key cipher
+     * @param {String} message - Text to encode
+     * @param {String} keyText - Key text
+     * @returns {String} Encoded message
+     */
+    encode = (message = this.message, keyText = this.key) => {
+        CipherValidator.validateMessage(message);
+        const result = this.shift(message, keyText, 1);
+        this.logMessage(`Running key encoded from key offset ${this.offset}`);
+        return result;
+    }
+
+    /**
+     * Decode message using the running key cipher
+     * @param {String} message - Text to decode
+     * @param {String} keyText - Key text
+     * @returns {String} Decoded message
+     */
+    decode = (message = this.message, keyText = this.key) => {
+        CipherValidator.validateMessage(message);
+        return this.shift(message, keyText, -1);
+    }
+}
@@ -0,0 +1,39 @@
+import RunningKey from './runningKey.js';
+
+describe('Running Key Cipher Tests', () => {
+    const book = 'THE QUICK BROWN FOX JUMPS OVER THE LAZY DOG';
+
+    test('should encode with the key text from an offset', () => {
+        const cipher = new RunningKey('HELLO', book, false, false, 4);
+        expect(cipher.encode()).toBe('BMNVP');
+    });
+
+    test('should decode simple message', () => {
+        const cipher = new RunningKey('BMNVP', book, true, false, 4);
+        expect(cipher.decode()).toBe('HELLO');
+    });
+
+    test('should match Vigenere with the key text as keyword', () => {
+        // ATTACKATDAWN + THEQUICKBROW
+        const cipher = new RunningKey('ATTACKATDAWN', book);
+        expect(cipher.encode()).toBe('TAXQWSCDERKJ');
+    });
+
+    test('should be reciprocal and keep non letters', () => {
+        const encoded = new RunningKey('Meet me at the old mill, at noon!', book, false, false, 7).encode();
+        expect(encoded).toContain(' ');
+        expect(encoded).toContain(',');
+        const decoded = new RunningKey(encoded, book, true, false, 7).decode();
+        expect(decoded).toBe('MEET ME AT THE OLD MILL, AT NOON!');
+    });
+
+    test('should reject a key text shorter than the message', () => {
+        const cipher = new RunningKey('HELLO WORLD', 'SHORT KEY');
+        expect(() => cipher.encode()).toThrow('Running key text is too short');
+        expect(() => new RunningKey('HELLO', book, false, false, 31).encode()).toThrow('Running key text is too short');
+    });
+
+    test('should reject invalid offsets', () => {
+        expect(() => new RunningKey('HELLO', book, false, false, -1).encode()).toThrow('offset');
+    });
+});
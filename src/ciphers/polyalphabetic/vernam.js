@@ -0,0 +1,149 @@
+import { default as BasicCipher } from '../../core/basicCipher.js';
+import { CipherValidator } from '../../core/validation.js';
+import { ByteUtils } from '../../core/byte-utils.js';
+
+/**
+ * Vernam Cipher (One-Time Pad)
+ *
+ * Combines every unit of the message with one unit of a key that is at least as long as the message.
+ * With a truly random key used only once it cannot be broken; reusing the key (many-time pad) is
+ * what CribDrag attacks.
+ *
+ * Modes:
+ * - 'bytes' (default): the message is UTF-8 text, key and ciphertext are bytes written in hex or Base64,
+ *   ciphertext = message XOR key
+ * - 'letters': the classic letter Vernam, C = (P + K) mod 26; other characters are kept and use no key
+ *
+ * Example (letters):
+ * Plaintext:  HELLO
+ * Key:        XMCKL
+ * Ciphertext: EQNVZ
+ *
+ * @param {String} message - Text to be encoded/decoded
+ * @param {String|Array<Number>} key - Pad: hex/Base64 string or bytes ('bytes' mode), letters ('letters' mode)
+ * @param {Boolean} encoded - Indicates if message is already encoded
+ * @param {Boolean} debug - Enable debug messages
+ * @param {String} mode - 'bytes' or 'letters' (default: 'bytes')
+ * @param {String} format - Format of key and ciphertext in 'bytes' mode: 'hex' or 'base64' (default: 'hex')
+ */
+
+export default class Vernam extends BasicCipher {
+    constructor(message, key, encoded = false, debug = false, mode = 'bytes', format = 'hex') {
+        super(message, encoded, 'vernam', key, '', debug);
+        if (!['bytes', 'letters'].includes(mode)) {
+            throw new Error(`Unsupported Vernam mode: ${mode}`);
+        }
+        this.mode = mode;
+        this.format = format;
+    }
+
+    /**
+     * Encode message using the Vernam cipher
+     * @param {String} message - Text to encode
+     * @param {String|Array<Number>} key - Pad
+     * @returns {String} Hex/Base64 ciphertext ('bytes') or letters ('letters')
+     */
+    encode = (message = this.message, key = this.key) => {
+        CipherValidator.validateMessage(message);
+        CipherValidator.validateKey(key);
+
+        if (this.mode === 'letters') {
+            return this.shiftLetters(message, key, 1);
+        }
+
+        const bytes = ByteUtils.fromUtf8(message);
+        const result = ByteUtils.encode(ByteUtils.xor(bytes, this.getPad(key, bytes.length)), this.format);
+        this.logMessage(`Vernam encoded ${bytes.length} bytes: ${result}`);
+        return result;
+    }
+
+    /**
+     * Decode message using the Vernam cipher
+     * @param {String|Array<Number>} message - Hex/Base64 ciphertext or bytes ('bytes'), letters ('letters')
+     * @param {String|Array<Number>} key - Pad
+     * @returns {String} Decoded message
+     */
+    decode = (message = this.message, key = this.key) => {
+        CipherValidator.validateKey(key);
+
+        if (this.mode === 'letters') {
+            CipherValidator.validateMessage(message);
+            return this.shiftLetters(message, key, -1);
+        }
+
+        const bytes = ByteUtils.decode(message, this.format);
+        if (bytes.length === 0) {
+            throw new Error('Message cannot be empty');
+        }
+        return ByteUtils.toUtf8(ByteUtils.xor(bytes, this.getPad(key, bytes.length)));
+    }
+
+    /**
+     * Parses the pad and checks that it covers the message
+     * @param {String|Array<Number>} key - Pad
+     * @param {Number} length - Message length in bytes
+     * @returns {Array<Number>} Pad bytes
+     */
+    getPad(key, length) {
+        const pad = ByteUtils.decode(key, this.format);
+        if (pad.length < length) {
+            throw new Error(`Vernam key must be at least as long as the message (${pad.length} < ${length} bytes)`);
+        }
+        return pad;
+    }
+
+    /**
+     * Adds (direction 1) or subtracts (direction -1) the key letters mod 26
+     * @param {String} message - Text
+     * @param {String} key - Key letters
+     * @param {Number} direction - 1 to encode, -1 to decode
+     * @returns {String}
+     */
+    shiftLetters(message, key, direction) {
+        CipherValidator.validateKey(key, 'string');
+        const cleanMessage = message.toUpperCase();
+        const cleanKey = key.toUpperCase().replace(/[^A-Z]/g, '');
+        const letters = cleanMessage.replace(/[^A-Z]/g, '').length;
+
+        if (cleanKey.length < letters) {
+            throw new Error(`Vernam key must be at least as long as the message (${cleanKey.length} < ${letters} letters)`);
+        }
+
+        let result = '';
+        let keyIndex = 0;
+        for (const char of cleanMessage) {
+            if (/[A-Z]/.test(char)) {
+                const shift = (cleanKey.charCodeAt(keyIndex) - 65) * direction;
+                result += String.fromCharCode(((char.charCodeAt(0) - 65 + shift + 26) % 26) + 65);
+                keyIndex++;
+            } else {
+                result += char;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Generates a random pad
+     * @param {Number} length - Bytes ('bytes' mode) or letters ('letters' mode)
+     * @param {String} format - 'hex', 'base64' or 'letters'
+     * @returns {String} Pad
+     */
+    static generateKey(length, format = 'hex') {
+        const values = new Array(length);
+        if (typeof crypto !== 'undefined' && typeof crypto.getRandomValues === 'function') {
+            const random = crypto.getRandomValues(new Uint8Array(length));
+            random.forEach((value, i) => { values[i] = value; });
+        } else {
+            for (let i = 0; i < length; i++) {
+                values[i] = Math.floor(Math.random() * 256);
+            }
+        }
+
+        if (format === 'letters') {
+            // Scale every random byte to a letter
+            return values.map(value => String.fromCharCode(65 + Math.floor((value / 256) * 26))).join('');
+        }
+        return ByteUtils.encode(values, format);
+    }
+}
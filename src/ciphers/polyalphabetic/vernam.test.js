@@ -0,0 +1,59 @@
+import Vernam from './vernam.js';
+
+describe('Vernam Cipher Tests', () => {
+    describe('Bytes mode', () => {
+        test('should XOR the UTF-8 bytes with a hex pad', () => {
+            // 'Hi' = 48 69
+            const cipher = new Vernam('Hi', '0f f0');
+            expect(cipher.encode()).toBe('4799');
+        });
+
+        test('should be reciprocal with hex and Base64 pads', () => {
+            const message = 'Attack at dawn — café ☕';
+            for (const format of ['hex', 'base64']) {
+                const key = Vernam.generateKey(64, format);
+                const encoded = new Vernam(message, key, false, false, 'bytes', format).encode();
+                expect(new Vernam(encoded, key, true, false, 'bytes', format).decode()).toBe(message);
+            }
+        });
+
+        test('should accept byte arrays as pad and ciphertext', () => {
+            const encoded = new Vernam('OK', [1, 2, 3]).encode();
+            expect(encoded).toBe('4e49');
+            expect(new Vernam([0x4E, 0x49], [1, 2, 3], true).decode()).toBe('OK');
+        });
+
+        test('should reject pads shorter than the message', () => {
+            const cipher = new Vernam('HELLO', 'aabb');
+            expect(() => cipher.encode()).toThrow('at least as long');
+        });
+    });
+
+    describe('Letters mode', () => {
+        test('should add the key letters mod 26', () => {
+            const cipher = new Vernam('HELLO', 'XMCKL', false, false, 'letters');
+            expect(cipher.encode()).toBe('EQNVZ');
+        });
+
+        test('should keep other characters without using key letters', () => {
+            const encoded = new Vernam('HE LLO!', 'XMCKL', false, false, 'letters').encode();
+            expect(encoded).toBe('EQ NVZ!');
+            expect(new Vernam(encoded, 'XMCKL', true, false, 'letters').decode()).toBe('HE LLO!');
+        });
+
+        test('should generate letter pads', () => {
+            expect(Vernam.generateKey(20, 'letters')).toMatch(/^[A-Z]{20}$/);
+        });
+    });
+
+    describe('Edge Cases', () => {
+        test('should throw error with empty message', () => {
+            const cipher = new Vernam('', 'aa');
+            expect(() => cipher.encode()).toThrow();
+        });
+
+        test('should reject unknown modes', () => {
+            expect(() => new Vernam('HELLO', 'KEY', false, false, 'bits')).toThrow();
+        });
+    });
+});
@@ -0,0 +1,230 @@
+import { default as BasicCipher } from '../../core/basicCipher.js';
+import { CipherValidator } from '../../core/validation.js';
+
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+// Contacts of the two halves and levels of every stepping switch
+const SIXES = 6;
+const TWENTIES = 20;
+const LEVELS = 25;
+
+/**
+ * Random stepping switch wirings: at each of the 25 levels, a permutation of the contacts (numbered
+ * from 1, like the tables of Purple Revealed).
+ * @param {Function} random - Numbers in [0, 1) (default: Math.random)
+ * @returns {{sixes: Array<Array<number>>, twenties: Array<Array<Array<number>>>}}
+ */
+const randomWirings = (random = Math.random) => {
+    const permutation = size => {
+        const contacts = Array.from({ length: size }, (contact, i) => i + 1);
+        for (let i = size - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [contacts[i], contacts[j]] = [contacts[j], contacts[i]];
+        }
+        return contacts;
+    };
+    const levels = size => Array.from({ length: LEVELS }, () => permutation(size));
+    return { sixes: levels(SIXES), twenties: [levels(TWENTIES), levels(TWENTIES), levels(TWENTIES)] };
+};
+
+/*
+ * Fixed example wirings (linear congruential generator, seed 1942). The wirings of the machine, as
+ * rebuilt by the US Army SIS and published in Purple Revealed (Freeman, Sullivan and Weierud,
+ * Cryptologia, 2003), can be given in the key instead.
+ */
+const WIRINGS = (() => {
+    let state = 1942;
+    return randomWirings(() => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state / 2147483648;
+    });
+})();
+
+const DEFAULT_KEY = {
+    switches: '1-1,1,1-12',
+    plugboard: 'AEIOUY-BCDFGHJKLMNPQRSTVWXZ'
+};
+
+/**
+ * Purple (97-shiki O-bun In-ji-ki, Cipher Machine Type B)
+ *
+ * Japanese diplomatic cipher machine of 1939-1945. The typed letter goes through a plugboard, which
+ * splits the alphabet in two:
+ * - the sixes: the first six letters of the plugboard go through the sixes stepping switch;
+ * - the twenties: the other twenty go through three twenties stepping switches in series.
+ * A stepping switch is a bank of 25 levels, each wiring its contacts to a different permutation; the
+ * output goes back through the plugboard. The sixes switch steps with every letter, and one of the
+ * twenties switches steps with it: the fast one, or the medium one when the sixes switch is at 25,
+ * or the slow one instead when the sixes switch is at 24 and the medium one at 25.
+ *
+ * Keys are written as the 1941 key lists: sixes position, twenties positions (switches 1, 2 and 3) and
+ * the fast and medium switches, e.g. '9-1,24,6-23' (sixes at 9, switch 2 fast, switch 3 medium and
+ * switch 1 slow). The plugboard gives the sixes letters first: 'NOKTYU-XEQLHBRMPDICJASVWGZF'.
+ *
+ * The default wirings are example permutations, not the ones of the machine (see WIRINGS).
+ *
+ * @param {String} message - Text to be encoded
+ * @param {Object} key - {switches: '9-1,24,6-23', plugboard: 26 letters, sixes first, wirings:
+ *   {sixes: 25 levels of 6 contacts, twenties: 3 switches of 25 levels of 20 contacts}, numbered from 1}
+ * @param {Boolean} encoded - Indicates if message is already encoded
+ * @param {Boolean} debug - Enable debug messages
+ */
+
+export default class Purple extends BasicCipher {
+    static WIRINGS = WIRINGS;
+
+    static DEFAULT_KEY = DEFAULT_KEY;
+
+    static randomWirings = randomWirings;
+
+    constructor(message, key = DEFAULT_KEY, encoded = false, debug = false) {
+        super(message, encoded, 'purple', key, ALPHABET, debug);
+        this.reset();
+    }
+
+    /**
+     * Reads and checks a key
+     * @param {Object} key - Purple key
+     * @returns {{sixes: number, twenties: Array<number>, fast: number, medium: number, slow: number,
+     *   plugboard: String, wirings: Object}} Positions and switches numbered from 0
+     */
+    parseKey(key) {
+        CipherValidator.validateKey(key);
+        const settings = { ...DEFAULT_KEY, ...key };
+        const match = `${settings.switches}`.replace(/\s/g, '').match(/^(\d+)-(\d+),(\d+),(\d+)-([123])([123])$/);
+        if (!match) {
+            throw new Error(`Purple switches "${settings.switches}" should look like 9-1,24,6-23`);
+        }
+        const positions = match.slice(1, 5).map(Number);
+        if (positions.some(position => position < 1 || position > LEVELS)) {
+            throw new Error(`Purple switch positions go from 1 to ${LEVELS}, got ${match.slice(1, 5).join(', ')}`);
+        }
+        const [fast, medium] = [Number(match[5]) - 1, Number(match[6]) - 1];
+        if (fast === medium) {
+            throw new Error(`The fast and medium Purple switches must differ, got ${match[5]}${match[6]}`);
+        }
+
+        const plugboard = `${settings.plugboard}`.toUpperCase().replace(/[^A-Z]/g, '');
+        if (plugboard.length !== 26 || new Set(plugboard).size !== 26) {
+            throw new Error(`The Purple plugboard needs every letter once, got "${settings.plugboard}"`);
+        }
+
+        const wirings = settings.wirings || WIRINGS;
+        const check = (levels, size, name) => {
+            const valid = Array.isArray(levels) && levels.length === LEVELS && levels.every(level => Array.isArray(level)
+                && level.length === size && new Set(level).size === size && level.every(contact => contact >= 1 && contact <= size));
+            if (!valid) {
+                throw new Error(`The ${name} switch needs ${LEVELS} levels wiring contacts 1 to ${size}`);
+            }
+            return levels.map(level => level.map(contact => contact - 1));
+        };
+
+        return {
+            sixes: positions[0] - 1,
+            twenties: positions.slice(1).map(position => position - 1),
+            fast,
+            medium,
+            slow: 3 - fast - medium,
+            plugboard,
+            wirings: {
+                sixes: check(wirings.sixes, SIXES, 'sixes'),
+                twenties: [0, 1, 2].map(i => check((wirings.twenties || [])[i], TWENTIES, `twenties ${i + 1}`))
+            }
+        };
+    }
+
+    /**
+     * Puts the switches back at their starting positions
+     * @param {Object} key - Purple key (default: the cipher key)
+     * @returns {Purple} This instance for chaining
+     */
+    reset(key = this.key) {
+        this.settings = this.parseKey(key);
+        this.sixes = this.settings.sixes;
+        this.twenties = [...this.settings.twenties];
+        return this;
+    }
+
+    /**
+     * Switch positions in the key list format
+     * @returns {String} e.g. '9-1,24,6-23'
+     */
+    getPositions() {
+        const { fast, medium } = this.settings;
+        return `${this.sixes + 1}-${this.twenties.map(position => position + 1).join(',')}-${fast + 1}${medium + 1}`;
+    }
+
+    /**
+     * Steps the sixes switch and one twenties switch
+     */
+    move() {
+        const { fast, medium, slow } = this.settings;
+        if (this.sixes === LEVELS - 2 && this.twenties[medium] === LEVELS - 1) {
+            this.twenties[slow] = (this.twenties[slow] + 1) % LEVELS;
+        } else if (this.sixes === LEVELS - 1) {
+            this.twenties[medium] = (this.twenties[medium] + 1) % LEVELS;
+        } else {
+            this.twenties[fast] = (this.twenties[fast] + 1) % LEVELS;
+        }
+        this.sixes = (this.sixes + 1) % LEVELS;
+        if (this.debug) {
+            this.logMessage(`Purple switches at ${this.getPositions()}`);
+        }
+    }
+
+    /**
+     * One letter through the plugboard and the switches, then the switches step
+     * @param {String} letter - A-Z
+     * @param {Boolean} decode - Through the switches backwards
+     * @returns {String}
+     */
+    press(letter, decode = false) {
+        const { plugboard, wirings } = this.settings;
+        const through = (level, contact) => (decode ? level.indexOf(contact) : level[contact]);
+        let contact = plugboard.indexOf(letter);
+        if (contact < SIXES) {
+            contact = through(wirings.sixes[this.sixes], contact);
+        } else {
+            contact -= SIXES;
+            const order = decode ? [2, 1, 0] : [0, 1, 2];
+            order.forEach(i => { contact = through(wirings.twenties[i][this.twenties[i]], contact); });
+            contact += SIXES;
+        }
+        this.move();
+        return plugboard[contact];
+    }
+
+    /**
+     * Enciphers or deciphers letters from the starting positions
+     * @param {String} letters - A-Z only
+     * @param {Boolean} decode - Through the switches backwards
+     * @returns {String}
+     */
+    encipher(letters, decode = false) {
+        this.reset();
+        return letters.split('').map(letter => this.press(letter, decode)).join('');
+    }
+
+    /**
+     * Encode message using Purple
+     * @param {String} message - Text to encode (letters only)
+     * @param {Object} key - Purple key
+     * @returns {String} Ciphertext letters
+     */
+    encode = (message = this.message, key = this.key) => {
+        CipherValidator.validateMessage(message);
+        this.key = key;
+        return this.encipher(message.toUpperCase().replace(/[^A-Z]/g, ''));
+    }
+
+    /**
+     * Decode message using Purple
+     * @param {String} message - Ciphertext letters
+     * @param {Object} key - Purple key
+     * @returns {String} Plaintext letters
+     */
+    decode = (message = this.message, key = this.key) => {
+        CipherValidator.validateMessage(message);
+        this.key = key;
+        return this.encipher(message.toUpperCase().replace(/[^A-Z]/g, ''), true);
+    }
+}
@@ -0,0 +1,63 @@
+import Purple from './purple.js';
+
+describe('Purple Tests', () => {
+    // Switch settings and plugboard in the format of the 1941 key lists; with the example wirings the
+    // ciphertext is not the one the machine would give
+    const key = { switches: '9-1,24,6-23', plugboard: 'NOKTYU-XEQLHBRMPDICJASVWGZF' };
+    const text = 'THEGOVERNMENTOFJAPANPROMPTEDBYAGENUINEDESIRETOCOMETOANAMICABLEUNDERSTANDING';
+
+    test('should decode what it encodes', () => {
+        const encoded = new Purple(text, key).encode();
+        expect(encoded).toMatch(/^[A-Z]+$/);
+        expect(encoded).toHaveLength(text.length);
+        expect(encoded).not.toBe(text);
+        expect(new Purple(encoded, key, true).decode()).toBe(text);
+    });
+
+    test('should keep the sixes and the twenties apart', () => {
+        const sixes = 'NOKTYU';
+        const encoded = new Purple(text, key).encode();
+        text.split('').forEach((letter, i) => {
+            expect(sixes.includes(encoded[i])).toBe(sixes.includes(letter));
+        });
+    });
+
+    test('should step the fast switch, then the medium one at 25', () => {
+        const cipher = new Purple('', key);
+        expect(cipher.getPositions()).toBe('9-1,24,6-23');
+        cipher.move();
+        expect(cipher.getPositions()).toBe('10-1,25,6-23');
+        const medium = new Purple('', { ...key, switches: '25-1,24,6-23' });
+        medium.move();
+        expect(medium.getPositions()).toBe('1-1,24,7-23');
+    });
+
+    test('should step the slow switch instead at 24 and 25', () => {
+        const cipher = new Purple('', { ...key, switches: '24-1,24,25-23' });
+        cipher.move();
+        expect(cipher.getPositions()).toBe('25-2,24,25-23');
+        cipher.move();
+        expect(cipher.getPositions()).toBe('1-2,24,1-23');
+    });
+
+    test('should use the wirings of the key', () => {
+        const identity = size => Array.from({ length: 25 }, () => Array.from({ length: size }, (contact, i) => i + 1));
+        const wirings = { sixes: identity(6), twenties: [identity(20), identity(20), identity(20)] };
+        expect(new Purple(text, { ...key, wirings }).encode()).toBe(text);
+        const random = Purple.randomWirings();
+        const encoded = new Purple(text, { ...key, wirings: random }).encode();
+        expect(new Purple(encoded, { ...key, wirings: random }, true).decode()).toBe(text);
+    });
+
+    // Needs the wiring tables of Purple Revealed (Freeman, Sullivan and Weierud, Cryptologia, 2003) and
+    // a ciphertext they decrypt, which are not reproduced here until they can be copied from the source
+    test.todo('should decrypt a published message with the wirings of the machine');
+
+    test('should reject bad keys', () => {
+        expect(() => new Purple('A', { ...key, switches: '9-1,24-23' })).toThrow('should look like 9-1,24,6-23');
+        expect(() => new Purple('A', { ...key, switches: '26-1,24,6-23' })).toThrow('go from 1 to 25');
+        expect(() => new Purple('A', { ...key, switches: '9-1,24,6-22' })).toThrow('must differ');
+        expect(() => new Purple('A', { ...key, plugboard: 'ABCDEF' })).toThrow('every letter once');
+        expect(() => new Purple('A', { ...key, wirings: { sixes: [[1, 2, 3]], twenties: [] } })).toThrow('sixes switch needs 25 levels');
+    });
+});
@@ -0,0 +1,139 @@
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+const mod = (value, size) => ((value % size) + size) % size;
+
+/**
+ * Rotor
+ *
+ * Generic wired wheel for the rotor machines (Typex, SIGABA): a permutation of the contacts that
+ * turns with the wheel. At offset o (position minus ring setting) contact c goes to W(c + o) - o.
+ *
+ * - alphabet: the contacts, 26 letters by default (the SIGABA index rotors have 10 digits).
+ * - ring and position: letters (or numbers) of the alphabet.
+ * - notches: positions at which the rotor moves the next one (see lever and odometer).
+ * - reversed: the rotor is inserted the other way round, which wires it as W'(x) = -W^-1(-x).
+ *
+ * The stepping rules of the machines are static methods, so that each machine only decides which
+ * rotors move together.
+ *
+ * @param {String} wiring - Outputs for the contacts in alphabet order
+ * @param {Object} options - {alphabet, notches, ring, position, reversed, name}
+ */
+export default class Rotor {
+    static ALPHABET = ALPHABET;
+
+    constructor(wiring, { alphabet = ALPHABET, notches = '', ring = 0, position = 0, reversed = false, name = null } = {}) {
+        const contacts = `${wiring}`.toUpperCase().split('');
+        if (contacts.length !== alphabet.length || new Set(contacts).size !== alphabet.length
+            || contacts.some(contact => !alphabet.includes(contact))) {
+            throw new Error(`Rotor wiring must be a permutation of ${alphabet}, got "${wiring}"`);
+        }
+        this.name = name;
+        this.alphabet = alphabet;
+        this.size = alphabet.length;
+        this.reversed = Boolean(reversed);
+
+        const map = contacts.map(contact => alphabet.indexOf(contact));
+        const inverse = [];
+        map.forEach((output, input) => { inverse[output] = input; });
+        this.map = this.reversed ? map.map((output, input) => mod(-inverse[mod(-input, this.size)], this.size)) : map;
+        this.inverse = [];
+        this.map.forEach((output, input) => { this.inverse[output] = input; });
+
+        this.notches = `${notches}`.toUpperCase().split('').map(notch => this.index(notch));
+        this.ring = this.index(ring);
+        this.position = this.index(position);
+    }
+
+    /**
+     * Number of a letter (or number) of the alphabet
+     * @param {String|number} value
+     * @returns {number}
+     */
+    index(value) {
+        if (typeof value === 'number') {
+            return mod(value, this.size);
+        }
+        const index = this.alphabet.indexOf(`${value}`.toUpperCase());
+        if (index < 0) {
+            throw new Error(`"${value}" is not on a rotor with ${this.alphabet}`);
+        }
+        return index;
+    }
+
+    /**
+     * Letter in the window
+     * @returns {String}
+     */
+    window() {
+        return this.alphabet[this.position];
+    }
+
+    /**
+     * Contact through the rotor, entry side to exit side
+     * @param {number} contact
+     * @returns {number}
+     */
+    forward(contact) {
+        const offset = this.position - this.ring;
+        return mod(this.map[mod(contact + offset, this.size)] - offset, this.size);
+    }
+
+    /**
+     * Contact through the rotor, exit side to entry side
+     * @param {number} contact
+     * @returns {number}
+     */
+    backward(contact) {
+        const offset = this.position - this.ring;
+        return mod(this.inverse[mod(contact + offset, this.size)] - offset, this.size);
+    }
+
+    /**
+     * Turns the rotor one contact
+     * @param {number} direction - 1 or -1
+     * @returns {Rotor} This rotor for chaining
+     */
+    step(direction = 1) {
+        this.position = mod(this.position + direction, this.size);
+        return this;
+    }
+
+    /**
+     * @returns {boolean} The rotor is at one of its notches
+     */
+    atNotch() {
+        return this.notches.includes(this.position);
+    }
+
+    /**
+     * Pawl and notch stepping (Enigma, Typex). The first rotor moves every time; the next one moves when
+     * the first comes to a notch, or on its own when it is one step before its own notch (double
+     * stepping); then the third one moves if the second came to a notch.
+     * @param {Array<Rotor>} rotors - Fast, medium and slow rotors
+     * @param {number} direction - 1 or -1
+     */
+    static lever(rotors, direction = 1) {
+        const [fast, medium, slow] = rotors;
+        fast.step(direction);
+        const ahead = medium.notches.includes(mod(medium.position + direction, medium.size));
+        if (fast.atNotch() || ahead) {
+            medium.step(direction);
+            if (slow && medium.atNotch()) slow.step(direction);
+        }
+    }
+
+    /**
+     * Counter stepping (SIGABA control rotors): every rotor moves when all the faster ones are at a
+     * notch, like the wheels of an odometer.
+     * @param {Array<Rotor>} rotors - Fastest first
+     * @param {number} direction - 1 or -1
+     */
+    static odometer(rotors, direction = 1) {
+        const moving = [];
+        for (let i = 0; i < rotors.length && (i === 0 || rotors[i - 1].atNotch()); i++) {
+            moving.push(rotors[i]);
+        }
+        moving.forEach(rotor => rotor.step(direction));
+    }
+}
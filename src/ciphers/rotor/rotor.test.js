@@ -0,0 +1,71 @@
+import Rotor from './rotor.js';
+
+describe('Rotor Tests', () => {
+    // Enigma I rotor I
+    const wiring = 'EKMFLGDQVZNTOWYHXUSPAIBRCJ';
+    const letter = (rotor, value) => Rotor.ALPHABET[rotor.forward(Rotor.ALPHABET.indexOf(value))];
+
+    test('should follow the wiring at A', () => {
+        const rotor = new Rotor(wiring);
+        expect(letter(rotor, 'A')).toBe('E');
+        expect(Rotor.ALPHABET[rotor.backward(4)]).toBe('A');
+    });
+
+    test('should shift the wiring with the position and the ring', () => {
+        expect(letter(new Rotor(wiring, { position: 'B' }), 'A')).toBe('J');
+        expect(letter(new Rotor(wiring, { ring: 'B' }), 'A')).toBe('K');
+        expect(letter(new Rotor(wiring, { ring: 'B', position: 'B' }), 'A')).toBe('E');
+    });
+
+    test('should go back the same way', () => {
+        const rotor = new Rotor(wiring, { ring: 'F', position: 'Q' });
+        for (let contact = 0; contact < 26; contact++) {
+            expect(rotor.backward(rotor.forward(contact))).toBe(contact);
+        }
+    });
+
+    test('should mirror the wiring when reversed', () => {
+        const rotor = new Rotor(wiring);
+        const reversed = new Rotor(wiring, { reversed: true });
+        for (let contact = 0; contact < 26; contact++) {
+            expect(reversed.forward(contact)).toBe((26 - rotor.backward((26 - contact) % 26)) % 26);
+        }
+        const twice = new Rotor(reversed.map.map(contact => Rotor.ALPHABET[contact]).join(''), { reversed: true });
+        expect(twice.map).toEqual(rotor.map);
+    });
+
+    test('should work with other alphabets', () => {
+        const rotor = new Rotor('6201348957', { alphabet: '0123456789', position: '3' });
+        expect(rotor.window()).toBe('3');
+        expect(rotor.forward(0)).toBe(8);
+        expect(rotor.step(-1).window()).toBe('2');
+    });
+
+    test('should double step with the lever', () => {
+        const [slow, medium, fast] = ['A', 'D', 'U'].map(position => new Rotor(wiring, { position }));
+        medium.notches = [medium.index('F')];
+        fast.notches = [fast.index('W')];
+        const windows = [];
+        for (let i = 0; i < 3; i++) {
+            Rotor.lever([fast, medium, slow]);
+            windows.push(slow.window() + medium.window() + fast.window());
+        }
+        expect(windows).toEqual(['ADV', 'AEW', 'BFX']);
+    });
+
+    test('should count like an odometer', () => {
+        const rotors = ['Y', 'Z', 'A'].map(position => new Rotor(wiring, { position, notches: 'Z' }));
+        Rotor.odometer(rotors);
+        expect(rotors.map(rotor => rotor.window()).join('')).toBe('ZZA');
+        Rotor.odometer(rotors);
+        expect(rotors.map(rotor => rotor.window()).join('')).toBe('AAB');
+        Rotor.odometer(rotors, -1);
+        expect(rotors.map(rotor => rotor.window()).join('')).toBe('ZAB');
+    });
+
+    test('should reject bad wirings and letters', () => {
+        expect(() => new Rotor('ABC')).toThrow('permutation');
+        expect(() => new Rotor(wiring.replace('E', 'K'))).toThrow('permutation');
+        expect(() => new Rotor(wiring, { position: '1' })).toThrow('"1" is not on a rotor');
+    });
+});
@@ -0,0 +1,111 @@
+import { default as BasicCipher } from '../../core/basicCipher.js';
+import { CipherValidator } from '../../core/validation.js';
+import { ModularMath } from '../../core/modular-math.js';
+
+/**
+ * Affine Cipher
+ *
+ * Monoalphabetic substitution where every symbol is multiplied and shifted modulo the alphabet size:
+ *   Encode: C = a · P + b (mod m)
+ *   Decode: P = a⁻¹ · (C - b) (mod m), so a must be coprime with m
+ * The Caesar shift is the case a = 1 (b is the shift) and Atbash on A-Z is a = 25, b = 25.
+ * With 26 letters there are 12 values of a and 26 of b: 312 keys, few enough to try them all.
+ *
+ * Example (Wikipedia):
+ * Key:        a = 5, b = 8
+ * Plaintext:  AFFINE CIPHER
+ * Ciphertext: IHHWVC SWFRCP
+ *
+ * Symbols outside the alphabet are kept. With an uppercase alphabet lowercase letters are enciphered
+ * too and stay lowercase.
+ *
+ * @param {String} message - Text to be encoded/decoded
+ * @param {Object|Array} key - {a, b} or [a, b]
+ * @param {Boolean} encoded - Indicates if message is already encoded
+ * @param {Boolean} debug - Enable debug messages
+ * @param {String} alphabet - Symbols of the cipher alphabet, its length is the modulus (default: A-Z, mod 26)
+ */
+
+export default class Affine extends BasicCipher {
+    static DEFAULT_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+    constructor(message, key = { a: 5, b: 8 }, encoded = false, debug = false, alphabet = Affine.DEFAULT_ALPHABET) {
+        super(message, encoded, 'affine', key, alphabet, debug);
+        this.modulus = alphabet.length;
+    }
+
+    /**
+     * Every valid key for a modulus: a coprime with m, b from 0 to m - 1.
+     * @param {Number} modulus - Alphabet size (default: 26)
+     * @returns {Array<{a: Number, b: Number}>}
+     */
+    static keys(modulus = 26) {
+        const keys = [];
+        for (let a = 1; a < modulus; a++) {
+            if (ModularMath.gcd(a, modulus) === 1) {
+                for (let b = 0; b < modulus; b++) keys.push({ a, b });
+            }
+        }
+        return keys;
+    }
+
+    /**
+     * Reads and checks a key.
+     * @param {Object|Array} key - {a, b} or [a, b]
+     * @returns {{a: Number, b: Number}} Key reduced modulo the alphabet size
+     */
+    parseKey(key) {
+        CipherValidator.validateKey(key);
+        const [a, b] = Array.isArray(key) ? key : [key.a, key.b];
+        if (!Number.isInteger(a) || !Number.isInteger(b)) {
+            throw new TypeError(`Affine key needs two integers a and b, got ${JSON.stringify(key)}`);
+        }
+        if (ModularMath.gcd(a, this.modulus) !== 1) {
+            throw new Error(`Affine key a = ${a} has no inverse modulo ${this.modulus}, it must be coprime with it`);
+        }
+        return { a: ModularMath.mod(a, this.modulus), b: ModularMath.mod(b, this.modulus) };
+    }
+
+    /**
+     * Replaces every symbol of the alphabet by the one at the given index.
+     * @param {String} text - Text to transform
+     * @param {Function} map - New index from the index of a symbol
+     * @returns {String} Transformed text
+     */
+    transform(text, map) {
+        const upperAlphabet = this.alphabet === this.alphabet.toUpperCase();
+        return text.split('').map(char => {
+            let index = this.alphabet.indexOf(char);
+            if (index >= 0) {
+                return this.alphabet[map(index)];
+            }
+            index = upperAlphabet ? this.alphabet.indexOf(char.toUpperCase()) : -1;
+            return index >= 0 ? this.alphabet[map(index)].toLowerCase() : char;
+        }).join('');
+    }
+
+    /**
+     * Encode message using the affine cipher
+     * @param {String} message - Text to encode
+     * @param {Object|Array} key - {a, b} or [a, b]
+     * @returns {String} Encoded message
+     */
+    encode = (message = this.message, key = this.key) => {
+        CipherValidator.validateMessage(message);
+        const { a, b } = this.parseKey(key);
+        return this.transform(message, index => (a * index + b) % this.modulus);
+    }
+
+    /**
+     * Decode message using the affine cipher
+     * @param {String} message - Text to decode
+     * @param {Object|Array} key - {a, b} or [a, b] used to encode
+     * @returns {String} Decoded message
+     */
+    decode = (message = this.message, key = this.key) => {
+        CipherValidator.validateMessage(message);
+        const { a, b } = this.parseKey(key);
+        const inverse = ModularMath.modInverse(a, this.modulus);
+        return this.transform(message, index => ModularMath.mod(inverse * (index - b), this.modulus));
+    }
+}
@@ -0,0 +1,41 @@
+import Affine from './affine.js';
+import CaesarShift from './caesarShift.js';
+
+describe('Affine Tests', () => {
+    test('should encode the Wikipedia example', () => {
+        expect(new Affine('AFFINE CIPHER', { a: 5, b: 8 }).encode()).toBe('IHHWVC SWFRCP');
+        expect(new Affine('IHHWVC SWFRCP', [5, 8], true).decode()).toBe('AFFINE CIPHER');
+    });
+
+    test('should keep case, spaces and punctuation', () => {
+        const encoded = new Affine('Hello, World!', [7, 3]).encode();
+        expect(encoded).toMatch(/^[A-Z][a-z]{4}, [A-Z][a-z]{4}!$/);
+        expect(new Affine(encoded, [7, 3], true).decode()).toBe('Hello, World!');
+    });
+
+    test('should be a Caesar shift with a = 1 and Atbash with a = b = 25', () => {
+        expect(new Affine('ATTACK AT DAWN', [1, 3]).encode()).toBe(new CaesarShift('ATTACK AT DAWN', 3).encode());
+        expect(new Affine('ABCXYZ', [25, 25]).encode()).toBe('ZYXCBA');
+    });
+
+    test('should use the alphabet length as the modulus', () => {
+        const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+        const cipher = new Affine('AGENT 007', [5, 2], false, false, alphabet);
+        expect(cipher.modulus).toBe(36);
+        const encoded = cipher.encode();
+        expect(new Affine(encoded, [5, 2], true, false, alphabet).decode()).toBe('AGENT 007');
+        expect(() => new Affine('A', [6, 1], false, false, alphabet).encode()).toThrow('no inverse modulo 36');
+    });
+
+    test('should list every valid key', () => {
+        expect(Affine.keys()).toHaveLength(312);
+        expect(Affine.keys(36)).toHaveLength(12 * 36);
+        expect(Affine.keys().some(({ a }) => a === 13)).toBe(false);
+    });
+
+    test('should reject bad keys', () => {
+        expect(() => new Affine('A', [13, 1]).encode()).toThrow('a = 13 has no inverse modulo 26');
+        expect(() => new Affine('A', { a: 5 }).encode()).toThrow('two integers');
+        expect(() => new Affine('A', [5, 1.5]).encode()).toThrow('two integers');
+    });
+});
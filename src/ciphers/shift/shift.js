@@ -5,5 +5,6 @@ import { default as Rot7 } from './rot7.js';
 import { default as Rot13 } from './rot13.js';
 import { default as Rot18 } from './rot18.js';
 import { default as Rot47 } from './rot47.js';
+import { default as Affine } from './affine.js';
 
-export default { CaesarShift, Rot5, Rot7, Rot13, Rot18, Rot47 };
+export default { CaesarShift, Rot5, Rot7, Rot13, Rot18, Rot47, Affine };
@@ -0,0 +1,208 @@
+import { default as BasicCipher } from '../../core/basicCipher.js';
+import { CipherValidator } from '../../core/validation.js';
+import { default as Rotor } from '../rotor/rotor.js';
+
+const { ALPHABET } = Rotor;
+const DIGITS = '0123456789';
+
+/*
+ * Like the Typex, the SIGABA wirings stay unpublished: these are the example rotors of the CyberChef
+ * simulator. Any of the ten 26-contact rotors fits the cipher or the control bank.
+ */
+const ROTORS = {
+    1: 'SRGWANHPJZFXVIDQCEUKBYOLMT',
+    2: 'THQEFSAZVKJYULBODCPXNIMWRG',
+    3: 'XDTUYLEVFNQZBPOGIRCSMHWKAJ',
+    4: 'LOHDMCWUPSTNGVXYFJREQIKBZA',
+    5: 'ERXWNZQIJYLVOFUMSGHTCKPBDA',
+    6: 'FQECYHJIOUMDZVPSLKRTGWXBAN',
+    7: 'TBYIUMKZDJSOPEWXVANHLCFQGR',
+    8: 'QZUPDTFNYIAOMLEBWJXCGHKRSV',
+    9: 'CZWNHEMPOVXLKRSIDGJFYBTQAU',
+    10: 'ENPXJVKYQBFZTICAGMOHWRLDUS'
+};
+
+const INDEX_ROTORS = {
+    1: '6201348957',
+    2: '6147253089',
+    3: '8239647510',
+    4: '7194835260',
+    5: '4873205916'
+};
+
+// Control bank outputs (the four live contacts F, G, H and I) joined into the nine index inputs
+const CONTROL_GROUPS = ['A', 'B', 'C', 'DE', 'FGH', 'IJK', 'LMNO', 'PQRST', 'UVWXYZ'];
+const INDEX_INPUTS = [9, 1, 2, 3, 4, 5, 6, 7, 8];
+// Index outputs in pairs, each pair moving one cipher rotor (left to right)
+const CIPHER_MAGNETS = [[0, 9], [7, 8], [5, 6], [3, 4], [1, 2]];
+// Control rotors move like an odometer, each one when the faster one leaves O
+const NOTCH = 'O';
+
+const DEFAULT_KEY = {
+    cipher: '1 2 3 4 5',
+    control: '6 7 8 9 10',
+    index: '1 2 3 4 5',
+    positions: { cipher: 'AAAAA', control: 'AAAAA', index: '00000' }
+};
+
+/**
+ * SIGABA (ECM Mark II)
+ *
+ * US rotor machine of WWII, never broken. Three banks of five rotors:
+ * - cipher rotors: the letter goes through them (no reflector, so encoding and decoding differ);
+ * - control rotors: four contacts (F, G, H, I) are fed through them at every letter and the outputs
+ *   are joined into nine wires. The middle control rotor moves every letter, the fourth one when the
+ *   middle one is at O, the second one when both are at O; the outer two stay;
+ * - index rotors (10 contacts, set by hand and never moving): they mix the control wires into five
+ *   pairs, and each pair with current moves one cipher rotor. Between one and four cipher rotors move
+ *   at every letter, without any regular pattern.
+ * Rotors can be inserted reversed (R): they are upside down, so their letters also count the other
+ * way. Rotors move after the letter. Spaces are typed as Z (and Z as X); decoding prints Z as a space.
+ *
+ * @param {String} message - Text to be encoded
+ * @param {Object} key - {cipher: five rotors ('1 2R 3 4 5' or {wiring, reversed}), control: five rotors,
+ *   index: five index rotors, positions: {cipher: 'AAAAA', control: 'AAAAA', index: '00000'}}
+ * @param {Boolean} encoded - Indicates if message is already encoded
+ * @param {Boolean} debug - Enable debug messages
+ */
+
+export default class Sigaba extends BasicCipher {
+    static ROTORS = ROTORS;
+
+    static INDEX_ROTORS = INDEX_ROTORS;
+
+    static DEFAULT_KEY = DEFAULT_KEY;
+
+    constructor(message, key = DEFAULT_KEY, encoded = false, debug = false) {
+        super(message, encoded, 'sigaba', key, ALPHABET, debug);
+        this.reset();
+    }
+
+    /**
+     * Builds the three banks at their starting positions
+     * @param {Object} key - SIGABA key (default: the cipher key)
+     * @returns {Sigaba} This instance for chaining
+     */
+    reset(key = this.key) {
+        CipherValidator.validateKey(key);
+        const settings = { ...DEFAULT_KEY, ...key };
+        const positions = { ...DEFAULT_KEY.positions, ...(settings.positions || {}) };
+        this.cipher = this.bank('cipher', settings.cipher, positions.cipher, ROTORS, ALPHABET);
+        this.control = this.bank('control', settings.control, positions.control, ROTORS, ALPHABET);
+        this.control.forEach(rotor => {
+            rotor.notches = [rotor.index(rotor.reversed ? -ALPHABET.indexOf(NOTCH) : NOTCH)];
+        });
+        this.index = this.bank('index', settings.index, positions.index, INDEX_ROTORS, DIGITS);
+        return this;
+    }
+
+    /**
+     * Five rotors of a bank. A reversed rotor is upside down: set at p, it shows -p to the contacts, and
+     * all rotors turn the same way (towards lower letters on the upright ones).
+     * @param {String} name - Bank name for errors
+     * @param {String|Array} specs - Rotor numbers (R for reversed) or {wiring, reversed}
+     * @param {String} positions - Five letters (digits for the index bank)
+     * @param {Object} set - Rotors by number
+     * @param {String} alphabet - Contacts
+     * @returns {Array<Rotor>}
+     */
+    bank(name, specs, positions, set, alphabet) {
+        const list = Array.isArray(specs) ? specs : `${specs}`.toUpperCase().match(/\d+R?/g) || [];
+        const letters = `${positions}`.toUpperCase().replace(/\s/g, '');
+        if (list.length !== 5 || letters.length !== 5) {
+            throw new Error(`The SIGABA ${name} bank needs five rotors and five positions`);
+        }
+        return list.map((spec, i) => {
+            const { wiring, reversed = false } = typeof spec === 'object'
+                ? spec
+                : { wiring: set[parseInt(spec, 10)], reversed: /R$/.test(spec) };
+            if (!wiring) {
+                throw new Error(`Unknown SIGABA ${name} rotor "${spec}", rotors go from 1 to ${Object.keys(set).length}`);
+            }
+            const rotor = new Rotor(wiring, { alphabet, reversed, position: letters[i] });
+            if (reversed) rotor.position = (alphabet.length - rotor.position) % alphabet.length;
+            return rotor;
+        });
+    }
+
+    /**
+     * Letters of the rotors as set (upright), bank by bank
+     * @returns {{cipher: String, control: String, index: String}}
+     */
+    getPositions() {
+        const show = rotors => rotors
+            .map(rotor => rotor.alphabet[(rotor.reversed ? rotor.size - rotor.position : rotor.position) % rotor.size])
+            .join('');
+        return { cipher: show(this.cipher), control: show(this.control), index: show(this.index) };
+    }
+
+    /**
+     * Moves the cipher rotors picked by the control and index banks, then the control rotors
+     */
+    move() {
+        // Control bank, entered from the right
+        const outputs = ['F', 'G', 'H', 'I'].map(letter => {
+            let contact = ALPHABET.indexOf(letter);
+            for (let i = this.control.length - 1; i >= 0; i--) contact = this.control[i].backward(contact);
+            return ALPHABET[contact];
+        });
+        const inputs = CONTROL_GROUPS
+            .map((group, i) => (outputs.some(letter => group.includes(letter)) ? INDEX_INPUTS[i] : null))
+            .filter(input => input !== null);
+        const magnets = inputs.map(input => this.index.reduce((contact, rotor) => rotor.forward(contact), input));
+
+        // Middle control rotor fastest, then the fourth and the second
+        Rotor.odometer([this.control[2], this.control[3], this.control[1]], -1);
+        CIPHER_MAGNETS.forEach((pair, i) => {
+            if (magnets.some(magnet => pair.includes(magnet))) this.cipher[i].step(-1);
+        });
+        if (this.debug) {
+            this.logMessage(`SIGABA rotors at ${JSON.stringify(this.getPositions())}`);
+        }
+    }
+
+    /**
+     * Enciphers or deciphers letters from the starting positions
+     * @param {String} letters - A-Z only
+     * @param {Boolean} decode - Through the cipher bank backwards
+     * @returns {String}
+     */
+    encipher(letters, decode = false) {
+        this.reset();
+        return letters.split('').map(letter => {
+            let contact = ALPHABET.indexOf(letter);
+            if (decode) {
+                for (let i = this.cipher.length - 1; i >= 0; i--) contact = this.cipher[i].backward(contact);
+            } else {
+                this.cipher.forEach(rotor => { contact = rotor.forward(contact); });
+            }
+            this.move();
+            return ALPHABET[contact];
+        }).join('');
+    }
+
+    /**
+     * Encode message using SIGABA
+     * @param {String} message - Text to encode (spaces become Z, Z becomes X)
+     * @param {Object} key - SIGABA key
+     * @returns {String} Ciphertext letters
+     */
+    encode = (message = this.message, key = this.key) => {
+        CipherValidator.validateMessage(message);
+        this.key = key;
+        const letters = message.toUpperCase().replace(/Z/g, 'X').replace(/\s/g, 'Z').replace(/[^A-Z]/g, '');
+        return this.encipher(letters);
+    }
+
+    /**
+     * Decode message using SIGABA
+     * @param {String} message - Ciphertext letters
+     * @param {Object} key - SIGABA key
+     * @returns {String} Plaintext, Z printed as a space
+     */
+    decode = (message = this.message, key = this.key) => {
+        CipherValidator.validateMessage(message);
+        this.key = key;
+        return this.encipher(message.toUpperCase().replace(/[^A-Z]/g, ''), true).replace(/Z/g, ' ');
+    }
+}
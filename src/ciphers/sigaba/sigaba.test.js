@@ -0,0 +1,76 @@
+import Sigaba from './sigaba.js';
+
+describe('Sigaba Tests', () => {
+    const upright = wiring => ({ wiring });
+    const reversed = wiring => ({ wiring, reversed: true });
+    // Settings of the first CyberChef SIGABA test
+    const key = {
+        cipher: [
+            reversed('BHKWECJDOVAYLFMITUGXRNSPZQ'),
+            upright('CDTAKGQOZXLVJYHSWMIBPRUNEF'),
+            upright('WAXHJZMBVDPOLTUYRCQFNSGKEI'),
+            upright('HUSCWIMJQXDALVGBFTOYZKRPNE'),
+            upright('RTLSMNKXFVWQUZGCHEJBYDAIPO')
+        ],
+        control: [
+            upright('GHAQBRJWDMNZTSKLOUXYPFIECV'),
+            reversed('VFLGEMTCXZIQDYAKRPBONHWSUJ'),
+            upright('ZQCAYHRJNXPFLKIOTBUSVWMGDE'),
+            upright('EZVSWPCTULGAOFDJNBIYMXKQHR'),
+            upright('ELKSGDXMVYJUZNCAROQBPWHITF')
+        ],
+        index: ['3891625740', '6297135408', '2389715064', '9264351708', '9573086142'].map(upright),
+        positions: { cipher: 'GLITB', control: 'NQBJR', index: '31866' }
+    };
+
+    test('should match the CyberChef simulator', () => {
+        expect(new Sigaba('HELLO WORLD TESTING THE SIGABA MACHINE', key).encode()).toBe('ULBECJCZJBJFVUDWAVRGRBMPSQHOTTNVQEESKN');
+        expect(new Sigaba('ULBECJCZJBJFVUDWAVRGRBMPSQHOTTNVQEESKN', key, true).decode()).toBe('HELLO WORLD TESTING THE SIGABA MACHINE');
+    });
+
+    test('should type spaces as Z and Z as X', () => {
+        const encoded = new Sigaba('ZERO HOUR', Sigaba.DEFAULT_KEY).encode();
+        expect(encoded).toMatch(/^[A-Z]{9}$/);
+        expect(new Sigaba(encoded, Sigaba.DEFAULT_KEY, true).decode()).toBe('XERO HOUR');
+    });
+
+    test('should not be reciprocal', () => {
+        const cipher = new Sigaba('', { ...Sigaba.DEFAULT_KEY, cipher: '1 2R 3 4 5R' });
+        const encoded = cipher.encipher('ATTACKATDAWN');
+        expect(cipher.encipher(encoded)).not.toBe('ATTACKATDAWN');
+        expect(cipher.encipher(encoded, true)).toBe('ATTACKATDAWN');
+    });
+
+    test('should move one to four cipher rotors at every letter', () => {
+        const cipher = new Sigaba('', key);
+        const moved = [];
+        let before = cipher.getPositions().cipher;
+        for (let i = 0; i < 200; i++) {
+            cipher.move();
+            const after = cipher.getPositions().cipher;
+            moved.push(after.split('').filter((letter, rotor) => letter !== before[rotor]).length);
+            before = after;
+        }
+        expect(Math.min(...moved)).toBeGreaterThanOrEqual(1);
+        expect(Math.max(...moved)).toBeLessThanOrEqual(4);
+        expect(new Set(moved).size).toBeGreaterThan(1);
+    });
+
+    test('should step the control rotors like a counter', () => {
+        const cipher = new Sigaba('', { ...Sigaba.DEFAULT_KEY, positions: { control: 'AAPPA' } });
+        cipher.move();
+        expect(cipher.getPositions().control).toBe('AAOPA');
+        cipher.move();
+        expect(cipher.getPositions().control).toBe('AANOA');
+        // From the start again: a full turn of the two faster rotors moves the slow one once
+        cipher.encipher('A'.repeat(26 * 26));
+        expect(cipher.getPositions().control).toBe('AZPPA');
+        expect(cipher.getPositions().index).toBe('00000');
+    });
+
+    test('should reject bad keys', () => {
+        expect(() => new Sigaba('A', { ...key, cipher: '1 2 3' })).toThrow('cipher bank needs five rotors');
+        expect(() => new Sigaba('A', { ...key, control: '1 2 3 4 11' })).toThrow('Unknown SIGABA control rotor "11"');
+        expect(() => new Sigaba('A', { ...key, index: '1 2 3 4 5', positions: { ...key.positions, index: '0000A' } })).toThrow('"A" is not on a rotor');
+    });
+});
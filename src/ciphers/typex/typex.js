@@ -0,0 +1,240 @@
+import { default as BasicCipher } from '../../core/basicCipher.js';
+import { CipherValidator } from '../../core/validation.js';
+import { default as Rotor } from '../rotor/rotor.js';
+
+const { ALPHABET } = Rotor;
+
+/*
+ * The Typex wirings were never published: like the CyberChef simulator, these are its example rotors
+ * (wiring and notch letters) and reflector, so that messages can be checked against it.
+ */
+const ROTORS = {
+    1: { wiring: 'MCYLPQUVRXGSAOWNBJEZDTFKHI', notches: 'BFHNQUW' },
+    2: { wiring: 'KHWENRCBISXJQGOFMAPVYZDLTU', notches: 'BFHNQUW' },
+    3: { wiring: 'BYPDZMGIKQCUSATREHOJNLFWXV', notches: 'BFHNQUW' },
+    4: { wiring: 'ZANJCGDLVHIXOBRPMSWQUKFYET', notches: 'BFHNQUW' },
+    5: { wiring: 'QXBGUTOVFCZPJIHSWERYNDAMLK', notches: 'BFHNQUW' },
+    6: { wiring: 'BDCNWUEIQVFTSXALOGZJYMHKPR', notches: 'BFHNQUW' },
+    7: { wiring: 'WJUKEIABMSGFTQZVCNPHORDXYL', notches: 'BFHNQUW' },
+    8: { wiring: 'TNVCZXDIPFWQKHSJMAOYLEURGB', notches: 'BFHNQUW' }
+};
+
+const REFLECTOR = 'AN BC FG IE KD LU MH OR TS VZ WQ XJ YP';
+
+// Figures on the letter keys: Z shifts to figures, V back to letters and X is the space
+const FIGURES = {
+    Q: '1', W: '2', E: '3', R: '4', T: '5', Y: '6', U: '7', I: '8', O: '9', P: '0',
+    A: '-', S: '/', F: '%', H: '£', K: '(', L: ')', B: '\'', N: ',', M: '.'
+};
+const FIGURE_KEYS = {};
+Object.keys(FIGURES).forEach(letter => { FIGURE_KEYS[FIGURES[letter]] = letter; });
+
+const DEFAULT_KEY = {
+    rotors: '1 2 3 4 5',
+    rings: 'AAAAA',
+    positions: 'AAAAA',
+    reflector: REFLECTOR,
+    plugboard: '',
+    keyboard: false
+};
+
+/**
+ * Typex
+ *
+ * British rotor machine, an Enigma with five rotors: the two on the right (next to the keyboard) are
+ * stators, set by hand but never moving, and the other three step like the Enigma rotors (with double
+ * stepping), with several notches each, so they move more often. Rotors can be inserted reversed.
+ * The entry is wired the other way round from the Enigma, and the input plugboard can be any
+ * permutation of the letters. The reflector makes the machine reciprocal.
+ *
+ * The Typex keyboard has no space and figures: with keyboard on, encoding types a space as X and
+ * figures between Z (figures) and V (letters), and decoding prints them back. Z and V are then shift
+ * keys: they are lost as letters.
+ *
+ * @param {String} message - Text to be encoded
+ * @param {Object} key - {rotors: five rotors left to right ('1 2 3 4R 5R', R for reversed, or
+ *   {wiring, notches, reversed}), rings, positions (five letters), reflector (13 pairs), plugboard
+ *   (26 letters or ''), keyboard: Boolean}
+ * @param {Boolean} encoded - Indicates if message is already encoded
+ * @param {Boolean} debug - Enable debug messages
+ */
+
+export default class Typex extends BasicCipher {
+    static ROTORS = ROTORS;
+
+    static REFLECTOR = REFLECTOR;
+
+    static DEFAULT_KEY = DEFAULT_KEY;
+
+    constructor(message, key = DEFAULT_KEY, encoded = false, debug = false) {
+        super(message, encoded, 'typex', key, ALPHABET, debug);
+        this.reset();
+    }
+
+    /**
+     * Builds the rotors, reflector and plugboard of a key at their starting positions
+     * @param {Object} key - Typex key (default: the cipher key)
+     * @returns {Typex} This instance for chaining
+     */
+    reset(key = this.key) {
+        CipherValidator.validateKey(key);
+        const settings = { ...DEFAULT_KEY, ...key };
+        const specs = Array.isArray(settings.rotors)
+            ? settings.rotors
+            : `${settings.rotors}`.toUpperCase().match(/\d+R?/g) || [];
+        const rings = `${settings.rings}`.toUpperCase().replace(/[^A-Z]/g, '');
+        const positions = `${settings.positions}`.toUpperCase().replace(/[^A-Z]/g, '');
+        if (specs.length !== 5 || rings.length !== 5 || positions.length !== 5) {
+            throw new Error('Typex needs five rotors, five ring settings and five positions');
+        }
+
+        // Left to right: slow, medium, fast and the two stators
+        this.rotors = specs.map((spec, i) => {
+            const { wiring, notches = '', reversed = false } = typeof spec === 'object'
+                ? spec
+                : { ...ROTORS[parseInt(spec, 10)], reversed: /R$/.test(spec) };
+            if (!wiring) {
+                throw new Error(`Unknown Typex rotor "${spec}", rotors go from 1 to ${Object.keys(ROTORS).length}`);
+            }
+            return new Rotor(wiring, { notches, reversed, ring: rings[i], position: positions[i] });
+        });
+
+        this.reflector = this.pairs(settings.reflector);
+        const plugboard = settings.plugboard ? `${settings.plugboard}`.toUpperCase().replace(/[^A-Z]/g, '') : ALPHABET;
+        // The plugboard has no position: a rotor fixed at A
+        this.plugboard = new Rotor(plugboard);
+        this.keyboard = Boolean(settings.keyboard);
+        return this;
+    }
+
+    /**
+     * Reflector wiring from letter pairs
+     * @param {String} pairs - 13 pairs covering the alphabet
+     * @returns {Array<number>}
+     */
+    pairs(pairs) {
+        const wiring = [];
+        `${pairs}`.toUpperCase().trim().split(/\s+/).forEach(pair => {
+            const [a, b] = pair.split('').map(letter => ALPHABET.indexOf(letter));
+            if (pair.length !== 2 || a < 0 || b < 0 || a === b || wiring[a] !== undefined || wiring[b] !== undefined) {
+                throw new Error(`Typex reflector pair "${pair}" is not valid`);
+            }
+            wiring[a] = b;
+            wiring[b] = a;
+        });
+        if (Object.keys(wiring).length !== 26) {
+            throw new Error('The Typex reflector needs 13 pairs covering every letter');
+        }
+        return wiring;
+    }
+
+    /**
+     * Letters in the windows, left to right
+     * @returns {String}
+     */
+    getPositions() {
+        return this.rotors.map(rotor => rotor.window()).join('');
+    }
+
+    /**
+     * Steps the moving rotors (the stators stay)
+     */
+    move() {
+        const [slow, medium, fast] = this.rotors;
+        Rotor.lever([fast, medium, slow]);
+        if (this.debug) {
+            this.logMessage(`Typex rotors at ${this.getPositions()}`);
+        }
+    }
+
+    /**
+     * One letter: the rotors move first, then the current goes through the plugboard, the mirrored
+     * entry, the rotors right to left, the reflector and back
+     * @param {String} letter - A-Z
+     * @returns {String}
+     */
+    press(letter) {
+        this.move();
+        let contact = (26 - this.plugboard.forward(ALPHABET.indexOf(letter))) % 26;
+        for (let i = this.rotors.length - 1; i >= 0; i--) contact = this.rotors[i].forward(contact);
+        contact = this.reflector[contact];
+        this.rotors.forEach(rotor => { contact = rotor.backward(contact); });
+        return ALPHABET[this.plugboard.backward((26 - contact) % 26)];
+    }
+
+    /**
+     * Typex keyboard: spaces as X, figures between Z and V
+     * @param {String} text
+     * @returns {String} Letters to type
+     */
+    type(text) {
+        let figures = false;
+        let letters = '';
+        for (const char of text.toUpperCase()) {
+            if (char === ' ') {
+                letters += 'X';
+            } else if (FIGURE_KEYS[char]) {
+                letters += (figures ? '' : 'Z') + FIGURE_KEYS[char];
+                figures = true;
+            } else if (ALPHABET.includes(char)) {
+                letters += (figures ? 'V' : '') + char;
+                figures = false;
+            }
+        }
+        return letters;
+    }
+
+    /**
+     * Prints letters like the Typex keyboard: X as a space, figures between Z and V
+     * @param {String} letters
+     * @returns {String}
+     */
+    print(letters) {
+        let figures = false;
+        let text = '';
+        for (const letter of letters) {
+            if (letter === 'X') text += ' ';
+            else if (letter === 'Z') figures = true;
+            else if (letter === 'V') figures = false;
+            else text += figures ? FIGURES[letter] || letter : letter;
+        }
+        return text;
+    }
+
+    /**
+     * Enciphers letters from the starting positions (the same operation deciphers)
+     * @param {String} letters - A-Z only
+     * @returns {String}
+     */
+    encipher(letters) {
+        this.reset();
+        return letters.split('').map(letter => this.press(letter)).join('');
+    }
+
+    /**
+     * Encode message using Typex
+     * @param {String} message - Text to encode (only letters without keyboard)
+     * @param {Object} key - Typex key
+     * @returns {String} Ciphertext letters
+     */
+    encode = (message = this.message, key = this.key) => {
+        CipherValidator.validateMessage(message);
+        this.key = key;
+        this.reset();
+        const letters = this.keyboard ? this.type(message) : message.toUpperCase().replace(/[^A-Z]/g, '');
+        return this.encipher(letters);
+    }
+
+    /**
+     * Decode message using Typex
+     * @param {String} message - Ciphertext letters
+     * @param {Object} key - Typex key
+     * @returns {String} Plaintext (printed by the keyboard when on)
+     */
+    decode = (message = this.message, key = this.key) => {
+        CipherValidator.validateMessage(message);
+        this.key = key;
+        const letters = this.encipher(message.toUpperCase().replace(/[^A-Z]/g, ''));
+        return this.keyboard ? this.print(letters) : letters;
+    }
+}
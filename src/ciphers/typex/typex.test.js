@@ -0,0 +1,67 @@
+import Typex from './typex.js';
+
+describe('Typex Tests', () => {
+    // Settings of the CyberChef Typex tests
+    const key = {
+        rotors: '1 2 3 4R 5R',
+        rings: 'BDFHJ',
+        positions: 'CEGIK',
+        plugboard: 'EHZTLCVKFRPQSYANBUIWOJXGMD'
+    };
+
+    test('should match the CyberChef simulator', () => {
+        expect(new Typex('hello world, this is a test message.', key).encode()).toBe('VIXQQVHLPNUCVLAQDZNZEAYATHWC');
+    });
+
+    test('should type spaces and figures on the Typex keyboard', () => {
+        const keyboard = { ...key, keyboard: true };
+        const cipher = new Typex('hello world, this is a test message.', keyboard);
+        expect(cipher.type('hello world, this is a test message.')).toBe('HELLOXWORLDZNXVTHISXISXAXTESTXMESSAGEZM');
+        const encoded = cipher.encode();
+        expect(encoded).toBe('VIXQQFDJXTWKLDQDFQODCNCSKNULBGJKQDDMVGQ');
+        expect(new Typex(encoded, keyboard, true).decode()).toBe('HELLO WORLD, THIS IS A TEST MESSAGE.');
+    });
+
+    test('should be reciprocal and never encipher a letter as itself', () => {
+        const cipher = new Typex('', key);
+        const letters = 'THEQUICKBROWNFOXJUMPSOVERTHELAZYDOG'.repeat(3);
+        const encoded = cipher.encipher(letters);
+        expect(cipher.encipher(encoded)).toBe(letters);
+        expect(encoded.split('').some((letter, i) => letter === letters[i])).toBe(false);
+    });
+
+    test('should never move the stators', () => {
+        const cipher = new Typex('', key);
+        cipher.encipher('A'.repeat(700));
+        expect(cipher.getPositions().slice(3)).toBe('IK');
+        expect(cipher.getPositions().slice(0, 3)).not.toBe('CEG');
+    });
+
+    test('should double step the middle rotor', () => {
+        // Notches at B F H N Q U W: the fast rotor reaches B and moves the middle one to E, which is then
+        // one step before its notch F and moves again at once, with the slow rotor
+        const cipher = new Typex('', { positions: 'ADAAA' });
+        const windows = [];
+        for (let i = 0; i < 3; i++) {
+            cipher.move();
+            windows.push(cipher.getPositions().slice(0, 3));
+        }
+        expect(windows).toEqual(['AEB', 'BFC', 'BFD']);
+    });
+
+    test('should accept rotors given as wirings', () => {
+        const rotors = '1 2 3 4R 5R'.split(' ').map(spec => ({
+            ...Typex.ROTORS[parseInt(spec, 10)],
+            reversed: spec.endsWith('R')
+        }));
+        expect(new Typex('hello world', { ...key, rotors }).encode()).toBe(new Typex('hello world', key).encode());
+    });
+
+    test('should reject bad keys', () => {
+        expect(() => new Typex('A', { ...key, rotors: '1 2 3 4' })).toThrow('five rotors');
+        expect(() => new Typex('A', { ...key, rotors: '1 2 3 4 9' })).toThrow('Unknown Typex rotor "9"');
+        expect(() => new Typex('A', { ...key, reflector: 'AB CD' })).toThrow('13 pairs');
+        expect(() => new Typex('A', { ...key, reflector: Typex.REFLECTOR.replace('AN', 'AA') })).toThrow('pair "AA"');
+        expect(() => new Typex('A', { ...key, plugboard: 'ABC' })).toThrow('permutation');
+    });
+});
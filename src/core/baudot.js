@@ -0,0 +1,133 @@
+// ITA2 codes as 5-bit numbers, first impulse as the high bit: A = 11000 = 24
+const LETTERS = {
+    A: 0b11000, B: 0b10011, C: 0b01110, D: 0b10010, E: 0b10000, F: 0b10110, G: 0b01011, H: 0b00101,
+    I: 0b01100, J: 0b11010, K: 0b11110, L: 0b01001, M: 0b00111, N: 0b00110, O: 0b00011, P: 0b01101,
+    Q: 0b11101, R: 0b01010, S: 0b10100, T: 0b00001, U: 0b11100, V: 0b01111, W: 0b11001, X: 0b10111,
+    Y: 0b10101, Z: 0b10001
+};
+
+// Figures case of the ITA2 letter keys (D, F, G, H and J are left to national use or control)
+const FIGURES = {
+    A: '-', B: '?', C: ':', E: '3', I: '8', K: '(', L: ')', M: '.', N: ',', O: '9', P: '0', Q: '1',
+    R: '4', S: '\'', T: '5', U: '7', V: '=', W: '2', X: '/', Y: '6', Z: '+'
+};
+
+const NULL = 0b00000;
+const SPACE = 0b00100;
+const LINE_FEED = 0b01000;
+const CARRIAGE_RETURN = 0b00010;
+const FIGURE_SHIFT = 0b11011;
+const LETTER_SHIFT = 0b11111;
+
+// Bletchley Park notation: one printable character per code, the six codes without letter get a digit
+const NOTATION = { ...LETTERS, '/': NULL, 9: SPACE, 3: LINE_FEED, 4: CARRIAGE_RETURN, 5: FIGURE_SHIFT, 8: LETTER_SHIFT };
+const BY_CODE = [];
+Object.keys(NOTATION).forEach(char => { BY_CODE[NOTATION[char]] = char; });
+const LETTER_BY_CODE = [];
+Object.keys(LETTERS).forEach(letter => { LETTER_BY_CODE[LETTERS[letter]] = letter; });
+const FIGURE_CODES = {};
+Object.keys(FIGURES).forEach(letter => { FIGURE_CODES[FIGURES[letter]] = LETTERS[letter]; });
+
+/**
+ * ITA2 (International Telegraph Alphabet No. 2, "Baudot-Murray") for the teleprinter ciphers.
+ *
+ * Every character is a 5-bit code (five impulses, mark = 1 = cross, space = 0 = dot). 32 codes are not
+ * enough for letters and figures, so the same codes mean letters or figures after the letter shift
+ * or figure shift codes; space, carriage return, line feed and null are the same in both cases.
+ *
+ * Codes are numbers 0-31 with the first impulse as the high bit. Cipher machines work on codes, not on
+ * characters, and write them in Bletchley Park notation: the letter of the code, and / (null),
+ * 9 (space), 3 (line feed), 4 (carriage return), 5 (figure shift) and 8 (letter shift).
+ */
+export const Baudot = {
+    NULL,
+    SPACE,
+    LINE_FEED,
+    CARRIAGE_RETURN,
+    FIGURE_SHIFT,
+    LETTER_SHIFT,
+
+    /**
+     * Encodes text as ITA2, starting in letters case and adding the shifts needed.
+     * Line breaks become carriage return + line feed; characters without a code are dropped.
+     * @param {string} text
+     * @returns {Array<number>} Codes 0-31
+     */
+    encode: (text) => {
+        const codes = [];
+        let figures = false;
+        for (const char of text.toUpperCase().replace(/\r?\n/g, '\r\n')) {
+            if (char === ' ') codes.push(SPACE);
+            else if (char === '\r') codes.push(CARRIAGE_RETURN);
+            else if (char === '\n') codes.push(LINE_FEED);
+            else if (LETTERS[char] !== undefined) {
+                if (figures) codes.push(LETTER_SHIFT);
+                figures = false;
+                codes.push(LETTERS[char]);
+            } else if (FIGURE_CODES[char] !== undefined) {
+                if (!figures) codes.push(FIGURE_SHIFT);
+                figures = true;
+                codes.push(FIGURE_CODES[char]);
+            }
+        }
+        return codes;
+    },
+
+    /**
+     * Decodes ITA2 codes to text, following the shifts (letters case at the start).
+     * Null codes are skipped, figure codes without a figure give '?'.
+     * @param {Array<number>} codes - Codes 0-31
+     * @returns {string}
+     */
+    decode: (codes) => {
+        let text = '';
+        let figures = false;
+        for (const code of codes) {
+            if (code === FIGURE_SHIFT) figures = true;
+            else if (code === LETTER_SHIFT) figures = false;
+            else if (code === SPACE) text += ' ';
+            else if (code === CARRIAGE_RETURN) text += '\r';
+            else if (code === LINE_FEED) text += '\n';
+            else if (code !== NULL) {
+                const letter = LETTER_BY_CODE[code];
+                text += figures ? (FIGURES[letter] || '?') : letter;
+            }
+        }
+        return text.replace(/\r\n/g, '\n');
+    },
+
+    /**
+     * Writes codes in Bletchley Park notation.
+     * @param {Array<number>} codes - Codes 0-31
+     * @returns {string} e.g. '9HELLO9' for ' HELLO '
+     */
+    toNotation: (codes) => codes.map(code => BY_CODE[code]).join(''),
+
+    /**
+     * Reads codes written in Bletchley Park notation (other characters are ignored).
+     * @param {string} text - e.g. 'HELLO9WORLD'
+     * @returns {Array<number>} Codes 0-31
+     */
+    fromNotation: (text) => text
+        .toUpperCase()
+        .split('')
+        .filter(char => NOTATION[char] !== undefined)
+        .map(char => NOTATION[char]),
+
+    /**
+     * Impulse (bit) of a code.
+     * @param {number} code - Code 0-31
+     * @param {number} impulse - 1 to 5
+     * @returns {number} 0 (dot) or 1 (cross)
+     */
+    impulse: (code, impulse) => (code >> (5 - impulse)) & 1,
+
+    /**
+     * Delta of a stream: each code added (XOR) to the next one, one code shorter.
+     * @param {Array<number>} codes
+     * @returns {Array<number>}
+     */
+    delta: (codes) => codes.slice(1).map((code, i) => code ^ codes[i])
+};
+
+export default Baudot;
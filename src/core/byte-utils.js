@@ -0,0 +1,179 @@
+const BASE64_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Byte helpers for the stream ciphers (UTF-8, hex, Base64, XOR).
+ * Plain JavaScript so the browser build does not need Buffer or TextEncoder.
+ * Bytes are handled as arrays of numbers 0-255.
+ */
+export const ByteUtils = {
+    /**
+     * Encodes a string as UTF-8.
+     * @param {string} text
+     * @returns {Array<number>} Bytes
+     */
+    fromUtf8: (text) => {
+        const bytes = [];
+        for (const char of text) {
+            const code = char.codePointAt(0);
+            if (code < 0x80) {
+                bytes.push(code);
+            } else if (code < 0x800) {
+                bytes.push(0xC0 | (code >> 6), 0x80 | (code & 0x3F));
+            } else if (code < 0x10000) {
+                bytes.push(0xE0 | (code >> 12), 0x80 | ((code >> 6) & 0x3F), 0x80 | (code & 0x3F));
+            } else {
+                bytes.push(0xF0 | (code >> 18), 0x80 | ((code >> 12) & 0x3F), 0x80 | ((code >> 6) & 0x3F), 0x80 | (code & 0x3F));
+            }
+        }
+        return bytes;
+    },
+
+    /**
+     * Decodes UTF-8 bytes. Invalid sequences become U+FFFD.
+     * @param {Array<number>} bytes
+     * @returns {string}
+     */
+    toUtf8: (bytes) => {
+        let text = '';
+        let i = 0;
+        while (i < bytes.length) {
+            const first = bytes[i];
+            const length = first < 0x80 ? 1 : first < 0xC0 ? 0 : first < 0xE0 ? 2 : first < 0xF0 ? 3 : first < 0xF8 ? 4 : 0;
+            const continuation = bytes.slice(i + 1, i + length);
+
+            if (length === 0 || continuation.length !== length - 1 || continuation.some(byte => (byte & 0xC0) !== 0x80)) {
+                text += '\uFFFD';
+                i++;
+                continue;
+            }
+
+            let code = length === 1 ? first : first & (0xFF >> (length + 1));
+            for (const byte of continuation) {
+                code = (code << 6) | (byte & 0x3F);
+            }
+            text += String.fromCodePoint(code);
+            i += length;
+        }
+        return text;
+    },
+
+    /**
+     * @param {Array<number>} bytes
+     * @returns {string} Lowercase hex
+     */
+    toHex: (bytes) => bytes.map(byte => byte.toString(16).padStart(2, '0')).join(''),
+
+    /**
+     * Parses hex (spaces, colons and 0x prefixes are ignored).
+     * @param {string} hex
+     * @returns {Array<number>} Bytes
+     */
+    fromHex: (hex) => {
+        const clean = hex.replace(/0x/gi, '').replace(/[\s:]/g, '');
+        if (!/^[0-9a-fA-F]*$/.test(clean) || clean.length % 2 !== 0) {
+            throw new Error('Invalid hex string');
+        }
+        const bytes = [];
+        for (let i = 0; i < clean.length; i += 2) {
+            bytes.push(parseInt(clean.slice(i, i + 2), 16));
+        }
+        return bytes;
+    },
+
+    /**
+     * @param {Array<number>} bytes
+     * @returns {string} Base64 with padding
+     */
+    toBase64: (bytes) => {
+        let result = '';
+        for (let i = 0; i < bytes.length; i += 3) {
+            const chunk = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+            result += BASE64_ALPHABET[(chunk >> 18) & 63] + BASE64_ALPHABET[(chunk >> 12) & 63];
+            result += i + 1 < bytes.length ? BASE64_ALPHABET[(chunk >> 6) & 63] : '=';
+            result += i + 2 < bytes.length ? BASE64_ALPHABET[chunk & 63] : '=';
+        }
+        return result;
+    },
+
+    /**
+     * Parses Base64 (standard or URL-safe alphabet, whitespace ignored).
+     * @param {string} text
+     * @returns {Array<number>} Bytes
+     */
+    fromBase64: (text) => {
+        const clean = text.replace(/\s/g, '').replace(/-/g, '+').replace(/_/g, '/').replace(/=+$/, '');
+        if (!/^[A-Za-z0-9+/]*$/.test(clean) || clean.length % 4 === 1) {
+            throw new Error('Invalid Base64 string');
+        }
+        const bytes = [];
+        let buffer = 0;
+        let bits = 0;
+        for (const char of clean) {
+            buffer = ((buffer << 6) | BASE64_ALPHABET.indexOf(char)) & 0xFFFFFF;
+            bits += 6;
+            if (bits >= 8) {
+                bits -= 8;
+                bytes.push((buffer >> bits) & 0xFF);
+            }
+        }
+        return bytes;
+    },
+
+    /**
+     * Parses bytes given in a format.
+     * @param {string|Array<number>|Uint8Array} value - Encoded bytes or the bytes themselves
+     * @param {string} format - 'hex', 'base64' or 'utf8'
+     * @returns {Array<number>} Bytes
+     */
+    decode: (value, format = 'hex') => {
+        if (typeof value !== 'string') {
+            return Array.from(value);
+        }
+        switch (format) {
+            case 'hex':
+                return ByteUtils.fromHex(value);
+            case 'base64':
+                return ByteUtils.fromBase64(value);
+            case 'utf8':
+                return ByteUtils.fromUtf8(value);
+            default:
+                throw new Error(`Unsupported byte format: ${format}`);
+        }
+    },
+
+    /**
+     * Formats bytes.
+     * @param {Array<number>} bytes
+     * @param {string} format - 'hex', 'base64' or 'utf8'
+     * @returns {string}
+     */
+    encode: (bytes, format = 'hex') => {
+        switch (format) {
+            case 'hex':
+                return ByteUtils.toHex(bytes);
+            case 'base64':
+                return ByteUtils.toBase64(bytes);
+            case 'utf8':
+                return ByteUtils.toUtf8(bytes);
+            default:
+                throw new Error(`Unsupported byte format: ${format}`);
+        }
+    },
+
+    /**
+     * XORs two byte arrays up to the shorter length.
+     * @param {Array<number>} a
+     * @param {Array<number>} b
+     * @returns {Array<number>}
+     */
+    xor: (a, b) => {
+        const length = Math.min(a.length, b.length);
+        const result = new Array(length);
+        for (let i = 0; i < length; i++) {
+            result[i] = a[i] ^ b[i];
+        }
+        return result;
+    }
+};
+
+export default ByteUtils;
@@ -0,0 +1,69 @@
+/**
+ * Period-based fractionation engine shared by Bifid, Trifid and Digrafid.
+ *
+ * Every plaintext symbol is replaced by d coordinates. Inside each period block the coordinates
+ * are written in d rows (first coordinates, second coordinates, ...), read row by row and
+ * regrouped in d-tuples, each tuple becoming one ciphertext symbol.
+ * A period of 0 (or one longer than the text) uses the whole text as a single block.
+ */
+export const Fractionation = {
+    /**
+     * Fractionates a list of coordinate tuples.
+     * @param {Array<Array<number>>} coordinates - One d-tuple per plaintext symbol
+     * @param {number} period - Block length in symbols (0 = whole text)
+     * @returns {Array<Array<number>>} One d-tuple per ciphertext symbol
+     */
+    fractionate: (coordinates, period = 0) => {
+        const result = [];
+        for (const block of Fractionation._blocks(coordinates, period)) {
+            const dimension = block[0].length;
+            const stream = [];
+            for (let axis = 0; axis < dimension; axis++) {
+                for (const tuple of block) {
+                    stream.push(tuple[axis]);
+                }
+            }
+            for (let i = 0; i < stream.length; i += dimension) {
+                result.push(stream.slice(i, i + dimension));
+            }
+        }
+        return result;
+    },
+
+    /**
+     * Reverts the fractionation.
+     * @param {Array<Array<number>>} coordinates - One d-tuple per ciphertext symbol
+     * @param {number} period - Block length in symbols (0 = whole text)
+     * @returns {Array<Array<number>>} One d-tuple per plaintext symbol
+     */
+    unfractionate: (coordinates, period = 0) => {
+        const result = [];
+        for (const block of Fractionation._blocks(coordinates, period)) {
+            const dimension = block[0].length;
+            const stream = block.flat();
+            for (let i = 0; i < block.length; i++) {
+                const tuple = [];
+                for (let axis = 0; axis < dimension; axis++) {
+                    tuple.push(stream[axis * block.length + i]);
+                }
+                result.push(tuple);
+            }
+        }
+        return result;
+    },
+
+    /**
+     * Splits the tuples into period blocks (the last block may be shorter).
+     * @private
+     */
+    _blocks: (coordinates, period) => {
+        const size = period > 0 ? period : coordinates.length;
+        const blocks = [];
+        for (let start = 0; start < coordinates.length; start += size) {
+            blocks.push(coordinates.slice(start, start + size));
+        }
+        return blocks;
+    }
+};
+
+export default Fractionation;
@@ -0,0 +1,254 @@
+/**
+ * Modular arithmetic and matrix helpers over Z_m.
+ * Used by matrix-based ciphers (Hill) and their cryptanalysis.
+ */
+export const ModularMath = {
+    /**
+     * Mathematical modulo (always returns a value in [0, m)).
+     * @param {number} value
+     * @param {number} m - Modulus
+     * @returns {number}
+     */
+    mod: (value, m) => ((value % m) + m) % m,
+
+    /**
+     * Greatest common divisor (Euclid).
+     * @param {number} a
+     * @param {number} b
+     * @returns {number}
+     */
+    gcd: (a, b) => {
+        let x = Math.abs(a);
+        let y = Math.abs(b);
+        while (y !== 0) {
+            [x, y] = [y, x % y];
+        }
+        return x;
+    },
+
+    /**
+     * Multiplicative inverse of a modulo m (extended Euclid).
+     * @param {number} a
+     * @param {number} m - Modulus
+     * @returns {number|null} The inverse, or null if gcd(a, m) !== 1
+     */
+    modInverse: (a, m) => {
+        let [oldR, r] = [ModularMath.mod(a, m), m];
+        let [oldS, s] = [1, 0];
+        while (r !== 0) {
+            const q = Math.floor(oldR / r);
+            [oldR, r] = [r, oldR - q * r];
+            [oldS, s] = [s, oldS - q * s];
+        }
+        return oldR === 1 ? ModularMath.mod(oldS, m) : null;
+    },
+
+    /**
+     * Determinant of a square matrix modulo m (Laplace expansion, fine for the small sizes used by ciphers).
+     * @param {Array<Array<number>>} matrix
+     * @param {number} m - Modulus
+     * @returns {number}
+     */
+    determinant: (matrix, m) => {
+        const n = matrix.length;
+        if (n === 1) return ModularMath.mod(matrix[0][0], m);
+        if (n === 2) {
+            return ModularMath.mod(matrix[0][0] * matrix[1][1] - matrix[0][1] * matrix[1][0], m);
+        }
+
+        let det = 0;
+        for (let col = 0; col < n; col++) {
+            const sign = col % 2 === 0 ? 1 : -1;
+            det += sign * matrix[0][col] * ModularMath.determinant(ModularMath.minor(matrix, 0, col), m);
+        }
+        return ModularMath.mod(det, m);
+    },
+
+    /**
+     * Returns the matrix without the given row and column.
+     * @param {Array<Array<number>>} matrix
+     * @param {number} row
+     * @param {number} col
+     * @returns {Array<Array<number>>}
+     */
+    minor: (matrix, row, col) => matrix
+        .filter((_, r) => r !== row)
+        .map(cells => cells.filter((_, c) => c !== col)),
+
+    /**
+     * Checks whether a square matrix is invertible modulo m.
+     * @param {Array<Array<number>>} matrix
+     * @param {number} m - Modulus
+     * @returns {boolean}
+     */
+    isInvertible: (matrix, m) => ModularMath.gcd(ModularMath.determinant(matrix, m), m) === 1,
+
+    /**
+     * Inverse of a square matrix modulo m (adjugate method).
+     * @param {Array<Array<number>>} matrix
+     * @param {number} m - Modulus
+     * @returns {Array<Array<number>>|null} The inverse, or null if the matrix is not invertible
+     */
+    inverseMatrix: (matrix, m) => {
+        const n = matrix.length;
+        const detInverse = ModularMath.modInverse(ModularMath.determinant(matrix, m), m);
+        if (detInverse === null) return null;
+
+        if (n === 1) return [[detInverse]];
+
+        const inverse = [];
+        for (let i = 0; i < n; i++) {
+            inverse[i] = [];
+            for (let j = 0; j < n; j++) {
+                // Adjugate = transpose of the cofactor matrix
+                const sign = (i + j) % 2 === 0 ? 1 : -1;
+                const cofactor = sign * ModularMath.determinant(ModularMath.minor(matrix, j, i), m);
+                inverse[i][j] = ModularMath.mod(cofactor * detInverse, m);
+            }
+        }
+        return inverse;
+    },
+
+    /**
+     * Multiplies two matrices modulo m.
+     * @param {Array<Array<number>>} a
+     * @param {Array<Array<number>>} b
+     * @param {number} m - Modulus
+     * @returns {Array<Array<number>>}
+     */
+    multiplyMatrices: (a, b, m) => a.map(row =>
+        b[0].map((_, j) => ModularMath.mod(row.reduce((sum, value, k) => sum + value * b[k][j], 0), m))
+    ),
+
+    /**
+     * Multiplies a matrix by a column vector modulo m.
+     * @param {Array<Array<number>>} matrix
+     * @param {Array<number>} vector
+     * @param {number} m - Modulus
+     * @returns {Array<number>}
+     */
+    multiplyMatrixVector: (matrix, vector, m) => matrix.map(row =>
+        ModularMath.mod(row.reduce((sum, value, k) => sum + value * vector[k], 0), m)
+    ),
+
+    /**
+     * Prime factors of m (each factor once).
+     * @param {number} m
+     * @returns {Array<number>}
+     */
+    primeFactors: (m) => {
+        const factors = [];
+        let rest = m;
+        for (let p = 2; p * p <= rest; p++) {
+            if (rest % p === 0) {
+                factors.push(p);
+                while (rest % p === 0) rest /= p;
+            }
+        }
+        if (rest > 1) factors.push(rest);
+        return factors;
+    },
+
+    /**
+     * Solves A · x = b over GF(p) with Gaussian elimination.
+     * A may have more equations than unknowns (extra equations are checked for consistency).
+     * When the system is underdetermined every solution is enumerated, up to `limit`.
+     * @param {Array<Array<number>>} a - Coefficient matrix (rows = equations)
+     * @param {Array<number>} b - Right-hand side
+     * @param {number} p - Prime modulus
+     * @param {number} limit - Maximum number of solutions returned (default: 64)
+     * @returns {Array<Array<number>>} Solutions (empty if the system is inconsistent)
+     */
+    solveLinearSystemPrime: (a, b, p, limit = 64) => {
+        const rows = a.length;
+        const cols = a[0].length;
+        const augmented = a.map((row, i) => [...row, b[i]].map(value => ModularMath.mod(value, p)));
+        const pivotCols = [];
+
+        let pivotRow = 0;
+        for (let col = 0; col < cols && pivotRow < rows; col++) {
+            const found = augmented.findIndex((row, r) => r >= pivotRow && row[col] !== 0);
+            if (found === -1) continue;
+            [augmented[pivotRow], augmented[found]] = [augmented[found], augmented[pivotRow]];
+
+            const inverse = ModularMath.modInverse(augmented[pivotRow][col], p);
+            augmented[pivotRow] = augmented[pivotRow].map(value => ModularMath.mod(value * inverse, p));
+
+            for (let r = 0; r < rows; r++) {
+                const factor = augmented[r][col];
+                if (r !== pivotRow && factor !== 0) {
+                    augmented[r] = augmented[r].map((value, k) => ModularMath.mod(value - factor * augmented[pivotRow][k], p));
+                }
+            }
+            pivotCols.push(col);
+            pivotRow++;
+        }
+
+        // Remaining equations must reduce to 0 = 0
+        for (let r = pivotRow; r < rows; r++) {
+            if (augmented[r][cols] !== 0) return [];
+        }
+
+        // Enumerate the free variables, pivot variables follow from the reduced rows
+        const freeCols = [];
+        for (let col = 0; col < cols; col++) {
+            if (!pivotCols.includes(col)) freeCols.push(col);
+        }
+
+        const solutions = [];
+        const total = Math.pow(p, freeCols.length);
+        for (let index = 0; index < total && solutions.length < limit; index++) {
+            const x = new Array(cols).fill(0);
+            let rest = index;
+            for (const col of freeCols) {
+                x[col] = rest % p;
+                rest = Math.floor(rest / p);
+            }
+            pivotCols.forEach((col, r) => {
+                const sum = freeCols.reduce((acc, free) => acc + augmented[r][free] * x[free], 0);
+                x[col] = ModularMath.mod(augmented[r][cols] - sum, p);
+            });
+            solutions.push(x);
+        }
+        return solutions;
+    },
+
+    /**
+     * Solves A · x = b over Z_m for a square-free modulus (e.g. 26 = 2 · 13),
+     * solving modulo each prime factor and combining with the Chinese Remainder Theorem.
+     * Works even when no square subsystem of A is invertible modulo m.
+     * @param {Array<Array<number>>} a - Coefficient matrix (rows = equations)
+     * @param {Array<number>} b - Right-hand side
+     * @param {number} m - Square-free modulus
+     * @param {number} limit - Maximum number of solutions returned (default: 64)
+     * @returns {Array<Array<number>>} Solutions (empty if inconsistent or m is not square-free)
+     */
+    solveLinearSystem: (a, b, m, limit = 64) => {
+        const factors = ModularMath.primeFactors(m);
+        if (factors.reduce((product, p) => product * p, 1) !== m) return [];
+
+        let solutions = [new Array(a[0].length).fill(0)];
+        let modulus = 1;
+        for (const p of factors) {
+            const partials = ModularMath.solveLinearSystemPrime(a, b, p, limit);
+            if (partials.length === 0) return [];
+
+            // CRT: x ≡ solution (mod modulus), x ≡ partial (mod p)
+            const inverse = ModularMath.modInverse(modulus, p);
+            const combined = [];
+            for (const solution of solutions) {
+                for (const partial of partials) {
+                    if (combined.length >= limit) break;
+                    combined.push(solution.map((value, i) =>
+                        value + modulus * ModularMath.mod((partial[i] - value) * inverse, p)
+                    ));
+                }
+            }
+            solutions = combined;
+            modulus *= p;
+        }
+        return solutions;
+    }
+};
+
+export default ModularMath;
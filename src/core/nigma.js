@@ -5,29 +5,61 @@ import {
 	spanishLetterFrequencies,
 	spanishBigramFrequencies,
 	spanishTrigramFrequencies,
-	spanishQuadgramFrequencies,
-	LanguageAnalysis
-} from '../analysis/analysis.js';
+	spanishQuadgramFrequencies
+} from '../language/models/spanish.js';
+import { LanguageAnalysis } from '../analysis/analysis-core.js';
 
 import { default as Columnar } from '../ciphers/columnar/columnar.js';
 import { default as Dictionary } from '../ciphers/dictionary/dictionary.js';
 import { default as Shift } from '../ciphers/shift/shift.js';
 import { default as Enigma } from '../ciphers/enigma/enigma.js';
+import { default as EnigmaModels } from '../ciphers/enigma/models.js';
+import { default as KeySheet } from '../ciphers/enigma/keysheet.js';
+import { default as EnigmaOperator } from '../ciphers/enigma/operator.js';
+import { default as Lorenz } from '../ciphers/lorenz/lorenz.js';
+import { default as M209 } from '../ciphers/hagelin/m209.js';
+import { default as M209Operator } from '../ciphers/hagelin/operator.js';
+import { default as Rotor } from '../ciphers/rotor/rotor.js';
+import { default as Typex } from '../ciphers/typex/typex.js';
+import { default as Sigaba } from '../ciphers/sigaba/sigaba.js';
+import { default as Purple } from '../ciphers/purple/purple.js';
 import { default as Polyalphabetic } from '../ciphers/polyalphabetic/polyalphabetic.js';
 import { HMMSolver } from '../attacks/strategies/hmm-solver.js';
 import { VigenereSolver } from '../attacks/strategies/vigenere-solver.js';
 import { PolyalphabeticSolver } from '../attacks/strategies/polyalphabetic-solver.js';
+import { HillSolver } from '../attacks/strategies/hill-solver.js';
+import { ColumnarSolver } from '../attacks/strategies/columnar-solver.js';
+import { DoubleColumnarSolver } from '../attacks/strategies/double-columnar-solver.js';
+import { RouteSolver } from '../attacks/strategies/route-solver.js';
+import { NihilistSolver } from '../attacks/strategies/nihilist-solver.js';
+import { AdfgxSolver } from '../attacks/strategies/adfgx-solver.js';
+import { BifidSolver } from '../attacks/strategies/bifid-solver.js';
+import { RunningKeySolver } from '../attacks/strategies/running-key-solver.js';
+import { ChaocipherSolver } from '../attacks/strategies/chaocipher-solver.js';
+import { BombeSolver } from '../attacks/strategies/bombe-solver.js';
+import { EnigmaSolver } from '../attacks/strategies/enigma-solver.js';
+import { LorenzSolver } from '../attacks/strategies/lorenz-solver.js';
+import { M209Solver } from '../attacks/strategies/m209-solver.js';
+import { AffineSolver } from '../attacks/strategies/affine-solver.js';
+import { PlayfairSolver } from '../attacks/strategies/playfair-solver.js';
+import { TwoSquareSolver } from '../attacks/strategies/two-square-solver.js';
+import { FourSquareSolver } from '../attacks/strategies/four-square-solver.js';
 import { Orchestrator } from '../attacks/orchestrator.js';
 import { Stats } from '../analysis/stats.js';
 import { Scorers } from '../language/scorers.js';
 import { TextUtils } from './text-utils.js';
+import { ByteUtils } from './byte-utils.js';
+import { Baudot } from './baudot.js';
 import { DictionaryValidator } from '../language/dictionary-validator.js';
 import { Kasiski } from '../analysis/kasiski.js';
 import { CipherIdentifier } from '../analysis/identifier.js';
 import { PeriodicAnalysis } from '../analysis/periodic-analysis.js';
+import { FractionationPeriod } from '../analysis/fractionation-period.js';
+import { CribDrag } from '../analysis/crib-drag.js';
 import { TranspositionDetector } from '../analysis/transposition-detector.js';
 import { HillClimb } from '../search/hillclimb.js';
 import { SimulatedAnnealing } from '../search/simulated-annealing.js';
+import { HomophonicSolver } from '../search/homophonic-solver.js';
 import { Scorer } from '../search/scorer.js';
 import { normalizeCiphertext, groupText, formatTextLines, segmentText, CipherText, ALPHABETS } from './text-preprocessor.js';
 import { segmentText as wordSegmentText, segmentTextWithConfidence } from '../language/word-segmenter.js';
@@ -106,21 +138,53 @@ export default class Nigma {
 	static Dictionary = Dictionary;
 	static Columnar = Columnar;
 	static Enigma = Enigma;
+	static EnigmaModels = EnigmaModels;
+	static KeySheet = KeySheet;
+	static EnigmaOperator = EnigmaOperator;
+	static Lorenz = Lorenz;
+	static M209 = M209;
+	static M209Operator = M209Operator;
+	static Rotor = Rotor;
+	static Typex = Typex;
+	static Sigaba = Sigaba;
+	static Purple = Purple;
 	static LanguageAnalysis = LanguageAnalysis;
 	static HMMSolver = HMMSolver;
 	static VigenereSolver = VigenereSolver;
 	static PolyalphabeticSolver = PolyalphabeticSolver;
+	static HillSolver = HillSolver;
+	static ColumnarSolver = ColumnarSolver;
+	static DoubleColumnarSolver = DoubleColumnarSolver;
+	static RouteSolver = RouteSolver;
+	static NihilistSolver = NihilistSolver;
+	static AdfgxSolver = AdfgxSolver;
+	static BifidSolver = BifidSolver;
+	static RunningKeySolver = RunningKeySolver;
+	static ChaocipherSolver = ChaocipherSolver;
+	static BombeSolver = BombeSolver;
+	static EnigmaSolver = EnigmaSolver;
+	static LorenzSolver = LorenzSolver;
+	static M209Solver = M209Solver;
+	static AffineSolver = AffineSolver;
+	static PlayfairSolver = PlayfairSolver;
+	static TwoSquareSolver = TwoSquareSolver;
+	static FourSquareSolver = FourSquareSolver;
     static Orchestrator = Orchestrator;
 	static Stats = Stats;
 	static Scorers = Scorers;
 	static TextUtils = TextUtils;
+	static ByteUtils = ByteUtils;
+	static Baudot = Baudot;
 	static DictionaryValidator = DictionaryValidator;
     static Kasiski = Kasiski;
     static CipherIdentifier = CipherIdentifier;
     static PeriodicAnalysis = PeriodicAnalysis;
+    static FractionationPeriod = FractionationPeriod;
+    static CribDrag = CribDrag;
     static TranspositionDetector = TranspositionDetector;
     static HillClimb = HillClimb;
     static SimulatedAnnealing = SimulatedAnnealing;
+    static HomophonicSolver = HomophonicSolver;
     static Scorer = Scorer;
     // Text preprocessing and normalization
     static normalizeCiphertext = normalizeCiphertext;
@@ -271,5 +335,5 @@ export default class Nigma {
 	};
 }
 
-export { BasicCipher, Columnar, Dictionary, Shift, Enigma, Polyalphabetic, LanguageAnalysis, HMMSolver, VigenereSolver, PolyalphabeticSolver, Orchestrator, Stats, Scorers, TextUtils, Kasiski, CipherIdentifier, PeriodicAnalysis, TranspositionDetector, HillClimb, SimulatedAnnealing, Scorer, DictionaryValidator, normalizeCiphertext, groupText, formatTextLines, wordSegmentText, segmentTextWithConfidence, CipherText, ALPHABETS };
+export { BasicCipher, Columnar, Dictionary, Shift, Enigma, EnigmaModels, KeySheet, EnigmaOperator, Lorenz, M209, M209Operator, Rotor, Typex, Sigaba, Purple, Polyalphabetic, LanguageAnalysis, HMMSolver, VigenereSolver, PolyalphabeticSolver, HillSolver, ColumnarSolver, DoubleColumnarSolver, RouteSolver, NihilistSolver, AdfgxSolver, BifidSolver, RunningKeySolver, ChaocipherSolver, BombeSolver, EnigmaSolver, LorenzSolver, M209Solver, AffineSolver, PlayfairSolver, TwoSquareSolver, FourSquareSolver, Orchestrator, Stats, Scorers, TextUtils, ByteUtils, Baudot, Kasiski, CipherIdentifier, PeriodicAnalysis, FractionationPeriod, CribDrag, TranspositionDetector, HillClimb, SimulatedAnnealing, HomophonicSolver, Scorer, DictionaryValidator, normalizeCiphertext, groupText, formatTextLines, wordSegmentText, segmentTextWithConfidence, CipherText, ALPHABETS };
 
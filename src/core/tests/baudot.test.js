@@ -0,0 +1,36 @@
+import { Baudot } from '../baudot.js';
+
+describe('Baudot', () => {
+    test('should encode letters with the first impulse as the high bit', () => {
+        expect(Baudot.encode('AE T')).toEqual([0b11000, 0b10000, Baudot.SPACE, 0b00001]);
+        expect(Baudot.impulse(0b11000, 1)).toBe(1);
+        expect(Baudot.impulse(0b11000, 3)).toBe(0);
+    });
+
+    test('should add the shifts only when the case changes', () => {
+        const codes = Baudot.encode('AB 12 C');
+        expect(codes).toEqual([
+            0b11000, 0b10011, Baudot.SPACE, Baudot.FIGURE_SHIFT, 0b11101, 0b11001, Baudot.SPACE, Baudot.LETTER_SHIFT, 0b01110
+        ]);
+        expect(Baudot.decode(codes)).toBe('AB 12 C');
+    });
+
+    test('should round trip text with figures, punctuation and line breaks', () => {
+        const text = 'FEINDLICHE PANZER (12) BEI KM 37.5\nERBITTE WEISUNG?';
+        expect(Baudot.decode(Baudot.encode(text))).toBe(text);
+        expect(Baudot.decode(Baudot.encode('Hello'))).toBe('HELLO');
+        expect(Baudot.encode('A_B')).toEqual(Baudot.encode('AB'));
+    });
+
+    test('should write and read Bletchley Park notation', () => {
+        const codes = Baudot.encode('HI 5\n');
+        expect(Baudot.toNotation(codes)).toBe('HI95T43');
+        expect(Baudot.fromNotation('HI95T43')).toEqual(codes);
+        expect(Baudot.fromNotation('hi 9/')).toEqual([0b00101, 0b01100, Baudot.SPACE, Baudot.NULL]);
+    });
+
+    test('should compute the delta of a stream', () => {
+        expect(Baudot.delta([0b11000, 0b10000, 0b10000])).toEqual([0b01000, 0]);
+        expect(Baudot.delta([7])).toEqual([]);
+    });
+});
@@ -0,0 +1,39 @@
+import { ByteUtils } from '../byte-utils.js';
+
+describe('ByteUtils', () => {
+    test('should encode and decode UTF-8 including multi-byte characters', () => {
+        expect(ByteUtils.fromUtf8('héllo€')).toEqual([0x68, 0xC3, 0xA9, 0x6C, 0x6C, 0x6F, 0xE2, 0x82, 0xAC]);
+        expect(ByteUtils.toUtf8(ByteUtils.fromUtf8('Grüße 😀'))).toBe('Grüße 😀');
+    });
+
+    test('should replace invalid UTF-8 sequences', () => {
+        expect(ByteUtils.toUtf8([0x41, 0xFF, 0xC3])).toBe('A��');
+    });
+
+    test('should convert hex', () => {
+        expect(ByteUtils.toHex([0, 15, 255])).toBe('000fff');
+        expect(ByteUtils.fromHex('0x00 0F:ff')).toEqual([0, 15, 255]);
+        expect(() => ByteUtils.fromHex('abc')).toThrow();
+    });
+
+    test('should convert Base64 with and without padding', () => {
+        expect(ByteUtils.toBase64(ByteUtils.fromUtf8('héllo€'))).toBe('aMOpbGxv4oKs');
+        expect(ByteUtils.toBase64(ByteUtils.fromUtf8('ab'))).toBe('YWI=');
+        expect(ByteUtils.toBase64(ByteUtils.fromUtf8('abcd'))).toBe('YWJjZA==');
+        expect(ByteUtils.toUtf8(ByteUtils.fromBase64('YWJjZA=='))).toBe('abcd');
+        expect(ByteUtils.toUtf8(ByteUtils.fromBase64('YWJjZA'))).toBe('abcd');
+    });
+
+    test('should XOR up to the shorter array', () => {
+        expect(ByteUtils.xor([0xFF, 0x0F, 0x01], [0x0F, 0x0F])).toEqual([0xF0, 0x00]);
+    });
+
+    test('should dispatch on format names', () => {
+        const bytes = [1, 2, 3];
+        for (const format of ['hex', 'base64']) {
+            expect(ByteUtils.decode(ByteUtils.encode(bytes, format), format)).toEqual(bytes);
+        }
+        expect(ByteUtils.decode(new Uint8Array([4, 5]))).toEqual([4, 5]);
+        expect(() => ByteUtils.encode(bytes, 'binary')).toThrow();
+    });
+});
@@ -0,0 +1,24 @@
+import { Fractionation } from '../fractionation.js';
+
+describe('Fractionation', () => {
+    test('should write the coordinates in rows and regroup them', () => {
+        // Rows 0 1 2 / columns 3 4 5 -> (0,1) (2,3) (4,5)
+        expect(Fractionation.fractionate([[0, 3], [1, 4], [2, 5]])).toEqual([[0, 1], [2, 3], [4, 5]]);
+    });
+
+    test('should fractionate each period block separately', () => {
+        const coordinates = [[0, 3], [1, 4], [2, 5], [6, 7]];
+        expect(Fractionation.fractionate(coordinates, 2)).toEqual([[0, 1], [3, 4], [2, 6], [5, 7]]);
+    });
+
+    test('should work with three coordinates per symbol', () => {
+        expect(Fractionation.fractionate([[0, 1, 2], [3, 4, 5]])).toEqual([[0, 3, 1], [4, 2, 5]]);
+    });
+
+    test('should revert the fractionation for any period', () => {
+        const coordinates = Array.from({ length: 11 }, (_, i) => [i % 5, (i * 3) % 5, (i * 7) % 3]);
+        for (const period of [0, 1, 2, 3, 5, 7, 11, 20]) {
+            expect(Fractionation.unfractionate(Fractionation.fractionate(coordinates, period), period)).toEqual(coordinates);
+        }
+    });
+});
@@ -0,0 +1,54 @@
+import { ModularMath } from '../modular-math.js';
+
+describe('ModularMath', () => {
+    test('should compute a non-negative modulo', () => {
+        expect(ModularMath.mod(-1, 26)).toBe(25);
+        expect(ModularMath.mod(27, 26)).toBe(1);
+    });
+
+    test('should compute modular inverses', () => {
+        expect(ModularMath.modInverse(3, 26)).toBe(9);
+        expect(ModularMath.modInverse(25, 26)).toBe(25);
+        expect(ModularMath.modInverse(13, 26)).toBeNull();
+    });
+
+    test('should compute determinants modulo m', () => {
+        expect(ModularMath.determinant([[3, 3], [2, 5]], 26)).toBe(9);
+        expect(ModularMath.determinant([[6, 24, 1], [13, 16, 10], [20, 17, 15]], 26)).toBe(25);
+    });
+
+    test('should invert a matrix so that K · K⁻¹ = I', () => {
+        const key = [[6, 24, 1], [13, 16, 10], [20, 17, 15]];
+        const inverse = ModularMath.inverseMatrix(key, 26);
+        expect(inverse).toEqual([[8, 5, 10], [21, 8, 21], [21, 12, 8]]);
+        expect(ModularMath.multiplyMatrices(key, inverse, 26)).toEqual([[1, 0, 0], [0, 1, 0], [0, 0, 1]]);
+    });
+
+    test('should return null for singular matrices', () => {
+        expect(ModularMath.inverseMatrix([[2, 4], [6, 8]], 26)).toBeNull();
+        expect(ModularMath.isInvertible([[2, 4], [6, 8]], 26)).toBe(false);
+    });
+
+    test('should multiply a matrix by a vector', () => {
+        expect(ModularMath.multiplyMatrixVector([[3, 3], [2, 5]], [7, 4], 26)).toEqual([7, 8]);
+    });
+
+    test('should solve overdetermined linear systems modulo a prime', () => {
+        // x + y = 3, x + 2y = 5, 2x + y = 4 (mod 13) -> x = 1, y = 2
+        expect(ModularMath.solveLinearSystemPrime([[1, 1], [1, 2], [2, 1]], [3, 5, 4], 13)).toEqual([[1, 2]]);
+        expect(ModularMath.solveLinearSystemPrime([[1, 1], [1, 1]], [3, 4], 13)).toEqual([]);
+    });
+
+    test('should enumerate the solutions of underdetermined systems', () => {
+        // x + y = 1 (mod 2) -> (1, 0) and (0, 1)
+        expect(ModularMath.solveLinearSystemPrime([[1, 1]], [1], 2)).toEqual([[1, 0], [0, 1]]);
+    });
+
+    test('should solve linear systems modulo 26 through CRT', () => {
+        // Coefficient matrix with even determinant: not invertible mod 26, still solvable with 3 equations
+        const a = [[2, 1], [4, 3], [1, 5]];
+        const x = [7, 20];
+        const b = a.map(row => ModularMath.mod(row[0] * x[0] + row[1] * x[1], 26));
+        expect(ModularMath.solveLinearSystem(a, b, 26)).toEqual([x]);
+    });
+});
@@ -24,5 +24,11 @@ describe('TextUtils', () => {
         const input = "¡Hola Mundo! 123";
         expect(TextUtils.onlyLetters(input)).toBe("HOLAMUNDO");
     });
+
+    test('should split symbol ciphertexts into numbers or characters', () => {
+        expect(TextUtils.symbols('12 05, 99')).toEqual(['12', '05', '99']);
+        expect(TextUtils.symbols('120599')).toEqual(['12', '05', '99']);
+        expect(TextUtils.symbols('a+B\nc')).toEqual(['a', '+', 'B', 'c']);
+    });
 });
 
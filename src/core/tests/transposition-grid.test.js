@@ -0,0 +1,42 @@
+import { TranspositionGrid } from '../transposition-grid.js';
+
+describe('TranspositionGrid', () => {
+    test('should rank key symbols from left to right on ties', () => {
+        expect(TranspositionGrid.rankSymbols('ZEBRAS'.split(''))).toEqual([6, 3, 2, 4, 1, 5]);
+        expect(TranspositionGrid.rankSymbols([3, 1, 3, 2])).toEqual([3, 1, 4, 2]);
+    });
+
+    test('should give repeated symbols the same rank when repeats are allowed', () => {
+        expect(TranspositionGrid.rankSymbols('TOMATO'.split(''), true)).toEqual([4, 3, 2, 1, 4, 3]);
+    });
+
+    test('should read an irregular grid column by column', () => {
+        // 3 columns, 7 cells: column lengths 3, 2, 2
+        expect(TranspositionGrid.columnarPositions(7, [2, 3, 1])).toEqual([2, 5, 0, 3, 6, 1, 4]);
+    });
+
+    test('should read columns sharing a rank row by row', () => {
+        expect(TranspositionGrid.columnarPositions(6, [1, 2, 1])).toEqual([0, 2, 3, 5, 1, 4]);
+    });
+
+    test('should place the disruption triangles from the ranked columns', () => {
+        const cells = TranspositionGrid.disruptedCells(20, [3, 1, 4, 2]);
+        expect([...cells].sort((a, b) => a - b)).toEqual([1, 2, 3, 6, 7, 11, 15, 16, 17, 18, 19]);
+    });
+
+    test('should fill the free cells before the triangles', () => {
+        const positions = TranspositionGrid.disruptedPositions(8, [2, 1]);
+        // Free cells 0, 4, 6 get ABC, triangle cells 1, 2, 3, 5, 7 get DEFGH
+        expect(TranspositionGrid.transpose('ABCDEFGH', positions)).toBe('DFGHAEBC');
+    });
+
+    test('should revert any transposition', () => {
+        const text = 'THEQUICKBROWNFOX';
+        for (const positions of [
+            TranspositionGrid.columnarPositions(text.length, [4, 2, 1, 3]),
+            TranspositionGrid.disruptedPositions(text.length, [2, 5, 1, 4, 3])
+        ]) {
+            expect(TranspositionGrid.untranspose(TranspositionGrid.transpose(text, positions), positions)).toBe(text);
+        }
+    });
+});
@@ -168,3 +168,39 @@ describe('CipherValidator.validateBoolean', () => {
             .toThrow('encoded must be a boolean, got number');
     });
 });
+
+describe('CipherValidator.validateMatrix', () => {
+    test('should accept invertible 2x2 matrix', () => {
+        expect(CipherValidator.validateMatrix([[3, 3], [2, 5]])).toBe(true);
+    });
+
+    test('should accept invertible 3x3 matrix', () => {
+        expect(() => CipherValidator.validateMatrix([[6, 24, 1], [13, 16, 10], [20, 17, 15]])).not.toThrow();
+    });
+
+    test('should reject non-invertible matrix', () => {
+        expect(() => CipherValidator.validateMatrix([[2, 4], [6, 8]]))
+            .toThrow('Matrix is not invertible modulo 26');
+    });
+
+    test('should respect a custom modulus', () => {
+        // det = 2: not coprime with 26 but coprime with 29
+        expect(() => CipherValidator.validateMatrix([[2, 0], [0, 1]], 29)).not.toThrow();
+        expect(() => CipherValidator.validateMatrix([[2, 0], [0, 1]], 26)).toThrow();
+    });
+
+    test('should reject non-square matrix', () => {
+        expect(() => CipherValidator.validateMatrix([[1, 2, 3], [4, 5, 6]]))
+            .toThrow('Matrix must be square (2x2)');
+    });
+
+    test('should reject non-integer values', () => {
+        expect(() => CipherValidator.validateMatrix([[1, 0.5], [0, 1]]))
+            .toThrow('Matrix must contain only integers');
+    });
+
+    test('should reject empty matrix', () => {
+        expect(() => CipherValidator.validateMatrix([]))
+            .toThrow('Matrix must be a non-empty array of rows');
+    });
+});
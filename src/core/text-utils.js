@@ -82,6 +82,24 @@ export const TextUtils = {
         }
         
         return result;
+    },
+
+    /**
+     * Symbols of a symbol ciphertext (homophonic substitution, etc.): numbers when it only has digits
+     * (two-digit groups when they are run together), otherwise every character but the whitespace.
+     * @param {string} text - Ciphertext
+     * @returns {Array<string>}
+     */
+    symbols: (text) => {
+        const trimmed = `${text}`.trim();
+        if (/^[\d\s,;.-]+$/.test(trimmed)) {
+            const groups = trimmed.match(/\d+/g) || [];
+            if (groups.length === 1 && groups[0].length % 2 === 0) {
+                return groups[0].match(/\d{2}/g);
+            }
+            return groups;
+        }
+        return trimmed.replace(/\s/g, '').split('');
     }
 };
 
@@ -0,0 +1,129 @@
+/**
+ * Grid helpers shared by the columnar transposition ciphers.
+ * A transposition is described by a list of positions: the i-th output symbol is text[positions[i]].
+ * The helpers work on any string (letters or digits), so composite ciphers can reuse them.
+ */
+export const TranspositionGrid = {
+    /**
+     * Ranks the symbols of a key (letters or numbers) in ascending order.
+     * @param {Array<string|number>} symbols - Key symbols
+     * @param {boolean} allowRepeats - Equal symbols share a rank (Myszkowski) instead of ranking left to right
+     * @returns {Array<number>} Rank (from 1) of each column, e.g. ZEBRAS -> [6, 3, 2, 4, 1, 5], TOMATO (repeats) -> [4, 3, 2, 1, 4, 3]
+     */
+    rankSymbols: (symbols, allowRepeats = false) => {
+        const sorted = symbols
+            .map((symbol, index) => ({ symbol, index }))
+            .sort((a, b) => (a.symbol < b.symbol ? -1 : a.symbol > b.symbol ? 1 : a.index - b.index));
+
+        const ranks = new Array(symbols.length);
+        let rank = 0;
+        sorted.forEach((entry, position) => {
+            if (!allowRepeats || position === 0 || entry.symbol !== sorted[position - 1].symbol) {
+                rank++;
+            }
+            ranks[entry.index] = rank;
+        });
+        return ranks;
+    },
+
+    /**
+     * Reading positions of a columnar transposition over an irregular grid (the last row may be short).
+     * Columns are read in rank order, top to bottom. Columns sharing a rank are read together,
+     * row by row from left to right (Myszkowski).
+     * @param {number} length - Text length
+     * @param {Array<number>} ranks - Rank of each column
+     * @returns {Array<number>} Positions in reading order
+     */
+    columnarPositions: (length, ranks) => {
+        const width = ranks.length;
+        const rows = Math.ceil(length / width);
+        const positions = [];
+
+        for (const rank of [...new Set(ranks)].sort((a, b) => a - b)) {
+            const columns = ranks.map((value, column) => (value === rank ? column : -1)).filter(column => column >= 0);
+            for (let row = 0; row < rows; row++) {
+                for (const column of columns) {
+                    const cell = row * width + column;
+                    if (cell < length) positions.push(cell);
+                }
+            }
+        }
+        return positions;
+    },
+
+    /**
+     * Cells of the grid that belong to the disruption triangles.
+     * The first triangle starts on the first row at the column ranked 1 and runs to the end of the row;
+     * every following row starts one column further right. After the row holding only the last column,
+     * the next triangle starts at the column ranked 2, and so on until the grid is covered.
+     * @param {number} length - Text length
+     * @param {Array<number>} ranks - Rank of each column (1-n, no repeats)
+     * @returns {Set<number>} Cell indexes (row * width + column) inside a triangle
+     */
+    disruptedCells: (length, ranks) => {
+        const width = ranks.length;
+        const rows = Math.ceil(length / width);
+        const cells = new Set();
+
+        let row = 0;
+        let triangle = 0;
+        while (row < rows) {
+            const start = ranks.indexOf((triangle % width) + 1);
+            for (let column = start; column < width && row < rows; column++, row++) {
+                for (let cell = row * width + column; cell < (row + 1) * width && cell < length; cell++) {
+                    cells.add(cell);
+                }
+            }
+            triangle++;
+        }
+        return cells;
+    },
+
+    /**
+     * Reading positions of a disrupted columnar transposition.
+     * The text fills the cells outside the triangles first (row by row), then the triangle cells;
+     * the columns are then read in rank order as in a plain columnar transposition.
+     * @param {number} length - Text length
+     * @param {Array<number>} ranks - Rank of each column (1-n, no repeats)
+     * @returns {Array<number>} Positions in reading order
+     */
+    disruptedPositions: (length, ranks) => {
+        const triangles = TranspositionGrid.disruptedCells(length, ranks);
+        const cells = Array.from({ length }, (_, cell) => cell);
+        const fillOrder = [
+            ...cells.filter(cell => !triangles.has(cell)),
+            ...cells.filter(cell => triangles.has(cell))
+        ];
+
+        const textIndexOfCell = new Array(length);
+        fillOrder.forEach((cell, index) => {
+            textIndexOfCell[cell] = index;
+        });
+
+        return TranspositionGrid.columnarPositions(length, ranks).map(cell => textIndexOfCell[cell]);
+    },
+
+    /**
+     * Applies a transposition: output[i] = text[positions[i]].
+     * @param {string} text
+     * @param {Array<number>} positions
+     * @returns {string}
+     */
+    transpose: (text, positions) => positions.map(position => text[position]).join(''),
+
+    /**
+     * Reverts a transposition: output[positions[i]] = text[i].
+     * @param {string} text
+     * @param {Array<number>} positions
+     * @returns {string}
+     */
+    untranspose: (text, positions) => {
+        const result = new Array(positions.length);
+        positions.forEach((position, index) => {
+            result[position] = text[index];
+        });
+        return result.join('');
+    }
+};
+
+export default TranspositionGrid;
@@ -1,3 +1,5 @@
+import { ModularMath } from './modular-math.js';
+
 /**
  * CipherValidator
  * Centralized validation utility for NigmaJS cipher operations.
@@ -115,6 +117,49 @@ export class CipherValidator {
 
         return true;
     }
+
+    /**
+     * Validates a key matrix for matrix-based ciphers (e.g. Hill).
+     * The matrix must be square, contain only integers and be invertible modulo the given modulus,
+     * otherwise the cipher could not be decrypted.
+     *
+     * @method validateMatrix
+     * @param {Array<Array<Number>>} matrix - The key matrix to validate
+     * @param {Number} modulus - Modulus of the arithmetic (alphabet size, 26 by default)
+     * @throws {TypeError} If matrix is not a non-empty square array of integers
+     * @throws {Error} If matrix is not invertible modulo the modulus
+     * @returns {Boolean} Returns true if validation passes
+     *
+     * @example
+     * CipherValidator.validateMatrix([[3, 3], [2, 5]]); // true
+     * CipherValidator.validateMatrix([[2, 4], [6, 8]]); // throws Error (determinant not coprime with 26)
+     */
+    static validateMatrix(matrix, modulus = 26) {
+        if (!Array.isArray(matrix) || matrix.length === 0) {
+            throw new TypeError('Matrix must be a non-empty array of rows');
+        }
+
+        const size = matrix.length;
+        for (const row of matrix) {
+            if (!Array.isArray(row) || row.length !== size) {
+                throw new TypeError(`Matrix must be square (${size}x${size})`);
+            }
+            if (!row.every(value => Number.isInteger(value))) {
+                throw new TypeError('Matrix must contain only integers');
+            }
+        }
+
+        if (!Number.isInteger(modulus) || modulus < 2) {
+            throw new TypeError(`Modulus must be an integer greater than 1, got ${modulus}`);
+        }
+
+        const determinant = ModularMath.determinant(matrix, modulus);
+        if (ModularMath.gcd(determinant, modulus) !== 1) {
+            throw new Error(`Matrix is not invertible modulo ${modulus} (determinant ${determinant})`);
+        }
+
+        return true;
+    }
 }
 
 export default CipherValidator;
@@ -4,21 +4,53 @@ import Nigma, {
     Dictionary,
     Shift,
     Enigma,
+    EnigmaModels,
+    KeySheet,
+    EnigmaOperator,
+    Lorenz,
+    M209,
+    M209Operator,
+    Rotor,
+    Typex,
+    Sigaba,
+    Purple,
     Polyalphabetic,
     LanguageAnalysis,
     HMMSolver,
     VigenereSolver,
     PolyalphabeticSolver,
+    HillSolver,
+    ColumnarSolver,
+    DoubleColumnarSolver,
+    RouteSolver,
+    NihilistSolver,
+    AdfgxSolver,
+    BifidSolver,
+    RunningKeySolver,
+    ChaocipherSolver,
+    BombeSolver,
+    EnigmaSolver,
+    LorenzSolver,
+    M209Solver,
+    AffineSolver,
+    PlayfairSolver,
+    TwoSquareSolver,
+    FourSquareSolver,
     Orchestrator,
     Stats,
     Scorers,
     TextUtils,
+    ByteUtils,
+    Baudot,
     Kasiski,
     CipherIdentifier,
     PeriodicAnalysis,
+    FractionationPeriod,
+    CribDrag,
     TranspositionDetector,
     HillClimb,
     SimulatedAnnealing,
+    HomophonicSolver,
     Scorer,
     DictionaryValidator,
     normalizeCiphertext,
@@ -37,21 +69,53 @@ export {
     Dictionary,
     Shift,
     Enigma,
+    EnigmaModels,
+    KeySheet,
+    EnigmaOperator,
+    Lorenz,
+    M209,
+    M209Operator,
+    Rotor,
+    Typex,
+    Sigaba,
+    Purple,
     Polyalphabetic,
     LanguageAnalysis,
     HMMSolver,
     VigenereSolver,
     PolyalphabeticSolver,
+    HillSolver,
+    ColumnarSolver,
+    DoubleColumnarSolver,
+    RouteSolver,
+    NihilistSolver,
+    AdfgxSolver,
+    BifidSolver,
+    RunningKeySolver,
+    ChaocipherSolver,
+    BombeSolver,
+    EnigmaSolver,
+    LorenzSolver,
+    M209Solver,
+    AffineSolver,
+    PlayfairSolver,
+    TwoSquareSolver,
+    FourSquareSolver,
     Orchestrator,
     Stats,
     Scorers,
     TextUtils,
+    ByteUtils,
+    Baudot,
     Kasiski,
     CipherIdentifier,
     PeriodicAnalysis,
+    FractionationPeriod,
+    CribDrag,
     TranspositionDetector,
     HillClimb,
     SimulatedAnnealing,
+    HomophonicSolver,
     Scorer,
     DictionaryValidator,
     normalizeCiphertext,
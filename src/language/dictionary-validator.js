@@ -1,6 +1,6 @@
 import 'regenerator-runtime/runtime';
 import { TextUtils } from '../core/text-utils.js';
-import { LanguageAnalysis } from '../analysis/analysis.js';
+import { LanguageAnalysis } from '../analysis/analysis-core.js';
 import { segmentText } from '../language/word-segmenter.js';
 
 // Flag to check if we're in browser environment
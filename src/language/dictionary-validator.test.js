@@ -1,5 +1,5 @@
 import { DictionaryValidator } from './dictionary-validator.js';
-import { LanguageAnalysis } from '../analysis/analysis.js';
+import { LanguageAnalysis } from '../analysis/analysis-core.js';
 import fs from 'fs';
 import path from 'path';
 
@@ -0,0 +1,2841 @@
+/**
+ * English n-gram counts of a general corpus: Herman Melville's Moby-Dick (1851) and the State of the
+ * Union addresses of 1790 to 2021, as packaged (public domain) by the stdlib datasets moby-dick and
+ * sotu. 9,660,818 letters, every file read as its own stream.
+ * - Trigrams: all 8,631 seen (9,660,076 in total).
+ * - Quadgrams: the 19,587 seen 50 times or more, 94.7% of the 9,659,705 in total;
+ *   Scorer estimates the others from the trigrams.
+ * The frequency tables of english.js keep the most common n-grams only: a key search needs the rare ones as well.
+ */
+export const englishTrigramTotal = 9660076;
+
+export const englishQuadgramTotal = 9659705;
+
+export const englishTrigramCounts = {
+	THE: 210522, AND: 78202, ION: 70916, TIO: 57368, ENT: 55667, ING: 52512, ATI: 44266, OFT: 42894, FTH: 42073, NTH: 37314,
+	THA: 37207, FOR: 36504, ERE: 34681, RES: 33722, INT: 33489, HER: 31654, EST: 31570, CON: 31029, ATE: 30025, MEN: 29931,
+	HAT: 28810, ETH: 28707, ONS: 28656, VER: 25946, OUR: 25904, SOF: 25840, ESS: 25722, OTH: 25465, REA: 24994, PRO: 24815,
+	ECO: 23740, HES: 23603, DTH: 23601, TER: 23571, TTH: 23329, STA: 23257, TED: 23206, ORT: 23015, ONT: 22829, STH: 22023,
+	ITH: 21447, ALL: 20800, THI: 20729, RTH: 20418, HIS: 20417, SAN: 20116, EOF: 20069, ITI: 19421, ONO: 19276, STO: 18752,
+	COM: 18702, TOF: 18643, TIN: 18640, SIN: 18581, NCE: 18411, DIN: 18394, WIT: 18298, EAR: 18116, HEP: 18036, ESE: 17817,
+	ERI: 17809, EDT: 17655, TOT: 17419, HEC: 17281, ERA: 17169, EIN: 17115, NTO: 17015, ARE: 16808, EVE: 16731, OVE: 16587,
+	NDI: 16573, ILL: 16526, ERS: 16523, ORE: 16511, NDE: 16304, NDT: 16284, NGT: 16243, EAN: 16017, AVE: 15775, EEN: 15584,
+	WHI: 15426, EDI: 15386, ONA: 15379, HEI: 15251, ECT: 15232, STI: 15072, ATT: 15004, TAN: 14975, NOF: 14904, ICA: 14645,
+	TAT: 14528, IVE: 14497, NTI: 14411, AST: 14373, GRE: 14238, CTI: 14139, HAV: 14107, IST: 14056, ERT: 14026, AIN: 14010,
+	NTE: 13988, THO: 13800, ICH: 13576, DER: 13567, END: 13563, PER: 13548, YTH: 13544, NOT: 13517, DTO: 13430, HEA: 13378,
+	HIC: 13334, PRE: 13327, ETO: 13277, HEM: 13180, ERN: 13060, ESA: 13036, EAS: 12997, NAT: 12997, ESO: 12903, STR: 12892,
+	EAT: 12868, RAT: 12768, EPR: 12695, OUN: 12477, RIN: 12386, HOU: 12194, ENE: 12095, UST: 12023, NST: 11920, REC: 11864,
+	INA: 11839, GTH: 11761, SSI: 11727, HEN: 11672, CAN: 11657, IES: 11541, NIT: 11427, OUL: 11402, TES: 11335, ART: 11314,
+	HAS: 11287, ANT: 11263, ENC: 11259, ULD: 11233, RED: 11197, EDA: 11148, INE: 11098, RAN: 11097, INC: 11058, CES: 11017,
+	ACT: 11007, URE: 11003, OSE: 10999, MER: 10959, ONG: 10932, BLE: 10868, MAN: 10821, ITY: 10653, NIN: 10613, WIL: 10596,
+	ONE: 10588, EME: 10562, GHT: 10538, BEE: 10493, STE: 10481, RET: 10424, ROM: 10411, ANC: 10390, AME: 10382, OME: 10382,
+	COU: 10368, HAN: 10349, ITS: 10199, UNI: 10131, IDE: 10065, EDE: 10034, UND: 10008, OFA: 9980, NAN: 9958, HTH: 9952,
+	OMM: 9909, TOR: 9833, NTS: 9768, NTA: 9732, ESI: 9728, NDS: 9708, HED: 9686, RIC: 9681, TRA: 9640, NTR: 9619,
+	REN: 9600, RIT: 9579, EFO: 9552, NAL: 9548, NDA: 9473, ABL: 9451, IGH: 9442, CHA: 9384, TIS: 9349, PAR: 9293,
+	SIO: 9285, HEL: 9254, FRO: 9233, POR: 9216, ENS: 9212, NME: 9169, SEN: 9149, LAT: 9148, INS: 9108, SHA: 9093,
+	EMA: 8999, IND: 8976, ENA: 8925, POS: 8919, HET: 8912, TEN: 8893, EIR: 8874, LAN: 8865, UNT: 8815, OUT: 8807,
+	SHO: 8711, HEE: 8685, TTO: 8676, DAN: 8669, GOV: 8653, RAL: 8643, YOF: 8630, NSI: 8573, WER: 8553, BUT: 8518,
+	HIN: 8488, HEF: 8466, MIN: 8436, ITE: 8435, TRE: 8399, PLE: 8389, ICE: 8329, WAS: 8279, DIT: 8236, RNM: 8200,
+	TUR: 8181, OUS: 8038, EAC: 8023, EDB: 8007, DIS: 7978, HEW: 7951, ISH: 7869, ELA: 7833, ADE: 7829, UTI: 7802,
+	SPE: 7793, OFO: 7763, VEN: 7734, WOR: 7734, TIT: 7718, LES: 7690, LIT: 7684, OST: 7642, EDS: 7600, EBE: 7570,
+	DST: 7538, TIM: 7508, LIN: 7496, FIC: 7494, TIC: 7489, EAD: 7487, ESU: 7454, LIC: 7453, AGE: 7445, EUN: 7436,
+	OPE: 7422, DBY: 7418, INI: 7351, NGA: 7318, ASS: 7316, SES: 7265, YAN: 7259, ONI: 7250, EPA: 7190, DEN: 7187,
+	ARY: 7167, LEA: 7164, SIT: 7156, CRE: 7143, TSO: 7115, VES: 7106, IAL: 7094, ROU: 7086, FOU: 7058, REP: 7046,
+	NES: 7028, REE: 6977, ANS: 6969, NGR: 6933, YIN: 6932, ORI: 6884, YEA: 6884, HEY: 6871, IRE: 6867, ECE: 6833,
+	TTE: 6813, BYT: 6802, NSO: 6802, BLI: 6788, ORA: 6787, EDO: 6774, EMO: 6763, SBE: 6718, ERC: 6685, ASE: 6679,
+	ITA: 6657, SER: 6651, HEU: 6645, HEG: 6622, PRI: 6622, SED: 6612, SON: 6611, NDO: 6610, SSE: 6601, EAL: 6600,
+	PON: 6600, PEN: 6588, TIV: 6583, EPE: 6580, CAL: 6578, DED: 6570, ECA: 6560, ARD: 6554, CHI: 6554, OWE: 6552,
+	SWH: 6542, LET: 6526, ALI: 6522, ISI: 6504, EQU: 6502, ANY: 6494, EHA: 6476, ALS: 6461, MOR: 6454, REI: 6423,
+	YOU: 6409, EXP: 6404, DBE: 6396, ANA: 6394, ENO: 6348, UCH: 6345, ROP: 6343, ISS: 6330, IMP: 6319, RTO: 6309,
+	TRI: 6302, ISE: 6295, RST: 6291, LTH: 6275, ILI: 6274, SUR: 6273, APP: 6250, TOB: 6249, TOA: 6235, NOW: 6208,
+	USE: 6200, WAR: 6177, SAR: 6174, SCO: 6146, ERO: 6144, SSA: 6116, OFF: 6086, LLI: 6080, ELI: 6078, SEC: 6064,
+	NGE: 6048, WHO: 6047, UGH: 6041, EWH: 6030, ANI: 6029, TAL: 6014, THT: 6013, EWI: 6006, IME: 6001, OMP: 5996,
+	NED: 5984, ALA: 5975, ISC: 5948, BER: 5936, NER: 5930, RCE: 5913, ROV: 5894, TAI: 5892, ERY: 5891, HAL: 5885,
+	RIE: 5872, ESP: 5864, WHE: 5817, LLY: 5810, LAR: 5786, ACE: 5779, RRE: 5767, OUG: 5758, SUC: 5693, EED: 5681,
+	NCO: 5673, ESH: 5670, YTO: 5665, SFO: 5658, ARI: 5636, RTA: 5632, TIE: 5625, NTT: 5621, EOP: 5609, SWE: 5602,
+	OBE: 5598, NIS: 5590, EDU: 5586, ASI: 5565, EPO: 5546, GEN: 5539, OFC: 5530, SEL: 5521, AKE: 5514, ORD: 5512,
+	TWE: 5496, OND: 5490, SWI: 5468, MME: 5467, HEB: 5452, ERV: 5445, NSA: 5429, LAS: 5406, EFI: 5393, NGO: 5381,
+	URI: 5354, TAR: 5333, MTH: 5327, ECU: 5311, NSE: 5300, REM: 5293, HOS: 5264, SNO: 5250, DUC: 5226, TSA: 5226,
+	SET: 5220, OIN: 5203, ERM: 5194, ORM: 5189, SEA: 5189, ISA: 5179, RTI: 5177, FUL: 5132, EGO: 5130, IZE: 5116,
+	ROF: 5109, REF: 5102, EEX: 5100, SHI: 5096, SID: 5095, HAR: 5093, LLE: 5089, MON: 5085, RCO: 5079, FFI: 5070,
+	DRE: 5068, TON: 5055, ESW: 5048, ITU: 5005, MAT: 5000, SIS: 4997, REL: 4993, DOF: 4987, ASA: 4985, LED: 4985,
+	TBE: 4967, MEA: 4966, MPL: 4964, PEC: 4945, ICI: 4935, CEO: 4933, ONW: 4926, SST: 4911, RGE: 4906, CET: 4900,
+	ARA: 4898, FIN: 4889, RSO: 4886, DES: 4883, FFE: 4868, TST: 4866, TOP: 4856, OWN: 4853, UAL: 4836, SEO: 4816,
+	HEO: 4809, URC: 4795, SHE: 4794, ARS: 4793, CEA: 4785, ELE: 4785, NGS: 4783, MIT: 4768, EWA: 4765, NDW: 4758,
+	UPO: 4758, TOS: 4749, EWO: 4746, ITT: 4744, OFS: 4736, TME: 4734, STS: 4725, FRE: 4717, WHA: 4714, PEA: 4709,
+	IEN: 4707, OPL: 4704, RAC: 4704, DON: 4695, PEO: 4695, UBL: 4690, RDE: 4688, SSO: 4684, NGI: 4673, NEW: 4670,
+	ONF: 4664, GRA: 4657, ANE: 4655, KIN: 4654, BET: 4642, ELL: 4638, VET: 4627, REV: 4613, TRY: 4609, DWI: 4601,
+	CEI: 4595, GIN: 4589, ATH: 4581, LLA: 4530, TYO: 4530, WOU: 4525, ULA: 4523, MED: 4512, PLA: 4499, TOC: 4499,
+	ALT: 4494, ALE: 4493, THR: 4486, VED: 4474, OFI: 4472, LDB: 4468, ECI: 4461, ETA: 4458, EIT: 4452, URS: 4434,
+	TEM: 4427, ATA: 4423, MET: 4420, CIA: 4415, CUR: 4404, ULT: 4404, LLB: 4366, DEP: 4351, OMT: 4350, IAT: 4342,
+	SOU: 4341, CAT: 4330, CIT: 4330, ETR: 4324, FAC: 4322, EDW: 4318, ETE: 4315, UCT: 4315, ONC: 4281, DFO: 4278,
+	RSA: 4269, MIL: 4263, NFO: 4261, EIS: 4249, PUB: 4249, SRE: 4249, ELY: 4248, NOR: 4241, ASB: 4237, EPU: 4234,
+	OMA: 4233, SOM: 4226, EDF: 4212, LLO: 4204, OTE: 4201, TOM: 4187, URP: 4180, SUP: 4167, TLE: 4166, LIE: 4156,
+	ANG: 4155, MIS: 4139, RSE: 4134, OLI: 4127, URA: 4119, TWI: 4116, IVI: 4115, SLA: 4109, CEN: 4108, TRU: 4108,
+	OVI: 4106, ORS: 4094, CER: 4087, ETI: 4086, FER: 4075, LBE: 4063, OFP: 4059, ACH: 4055, LYA: 4051, SSU: 4028,
+	GAN: 4021, CTE: 4011, NDC: 4007, ETT: 4002, EMI: 4001, OPR: 3989, TOO: 3984, SMA: 3983, VEB: 3983, RIS: 3981,
+	NDP: 3977, SUB: 3973, EWE: 3970, NDU: 3966, SPO: 3960, XPE: 3958, EFF: 3953, SAS: 3951, EGI: 3948, GET: 3929,
+	MUS: 3910, TEA: 3907, HEH: 3904, ORK: 3904, REG: 3902, LAW: 3898, LEG: 3888, LLT: 3887, CTO: 3870, MPO: 3858,
+	NWH: 3855, NSU: 3845, VIN: 3841, UTT: 3831, DAT: 3819, TLY: 3814, UTH: 3808, CED: 3807, ERR: 3805, RMA: 3800,
+	GTO: 3797, LON: 3795, ASU: 3785, MES: 3783, ISP: 3782, SPR: 3782, EGR: 3772, SAL: 3772, DCO: 3771, TCO: 3771,
+	AMO: 3762, ANN: 3759, OMI: 3754, ORC: 3748, FCO: 3735, ILE: 3722, LIS: 3722, NEC: 3717, IGN: 3714, NCI: 3711,
+	MAY: 3709, RPO: 3695, EAM: 3686, BEC: 3679, SEE: 3678, MAD: 3675, QUI: 3667, ELO: 3660, TAB: 3645, TRO: 3644,
+	YBE: 3642, DEF: 3635, ISL: 3611, INO: 3605, STT: 3592, NOU: 3589, ENI: 3584, AIL: 3583, VEA: 3583, EMP: 3580,
+	ETW: 3575, ROW: 3569, JUS: 3560, ALO: 3557, DSO: 3547, HOR: 3547, ABO: 3534, EFE: 3531, MOS: 3530, ARM: 3529,
+	USI: 3529, RIG: 3528, SAT: 3524, INF: 3512, JEC: 3487, BEA: 3483, EVI: 3481, ARG: 3478, ONL: 3474, YST: 3474,
+	LYT: 3470, ATO: 3469, CAR: 3469, HAD: 3468, RNA: 3454, ACC: 3450, NDM: 3450, ORL: 3450, NRE: 3446, LRE: 3437,
+	EFU: 3421, TWO: 3414, TSE: 3413, GES: 3408, QUE: 3402, TOD: 3397, IFI: 3392, NLY: 3392, RIO: 3391, CUL: 3387,
+	POW: 3384, EXT: 3376, ITW: 3371, REO: 3357, OFM: 3343, NDF: 3342, HIL: 3340, SCA: 3325, LSO: 3307, OOD: 3305,
+	DEA: 3295, MBE: 3291, RIA: 3285, VID: 3280, BIL: 3277, YCO: 3252, ENG: 3251, FIT: 3244, ERW: 3243, CHE: 3242,
+	OLD: 3238, HOW: 3237, EEM: 3235, IRS: 3233, PPO: 3230, GAI: 3228, BES: 3222, CLA: 3218, RON: 3217, CIE: 3215,
+	OLL: 3204, WAY: 3204, YRE: 3203, OCO: 3189, NSW: 3188, RMI: 3182, DEC: 3174, ORY: 3169, CHT: 3167, TOE: 3165,
+	FAR: 3163, ATW: 3150, LOW: 3147, AGA: 3145, ATS: 3145, POL: 3134, ITO: 3131, IOU: 3130, RYO: 3129, URN: 3115,
+	URT: 3115, WEL: 3114, TOW: 3099, TIA: 3084, CTS: 3083, CHO: 3079, DOU: 3079, LEM: 3079, TEC: 3073, VEL: 3070,
+	MAR: 3069, ICT: 3064, TIL: 3064, OLE: 3063, EIG: 3062, MAK: 3057, TSI: 3046, QUA: 3044, NDR: 3043, LCO: 3034,
+	ASO: 3027, LEC: 3026, SAM: 3026, NCR: 3022, BJE: 3018, DNO: 3010, REW: 3008, VIC: 3002, LEN: 2998, MAI: 2992,
+	ARR: 2986, OFE: 2980, PPR: 2978, COR: 2976, RYT: 2974, RTS: 2972, UES: 2970, OGR: 2963, TAS: 2959, RVI: 2955,
+	INV: 2950, HIP: 2948, TOU: 2939, ALR: 2929, FEC: 2926, TUT: 2924, LOF: 2923, EFR: 2921, RAD: 2912, RYA: 2906,
+	TFO: 2899, RRI: 2891, ERP: 2888, OFW: 2887, EON: 2880, RPR: 2880, NNO: 2878, ISN: 2874, IMI: 2868, DPR: 2858,
+	EHE: 2856, PAN: 2852, TAK: 2850, AUS: 2835, EXI: 2835, SOR: 2832, OSS: 2807, PUR: 2806, WEA: 2805, NEE: 2803,
+	DAS: 2799, TWA: 2788, RLD: 2776, ALC: 2771, LAC: 2771, DET: 2770, GER: 2770, SOL: 2767, NOM: 2764, EMB: 2763,
+	DEM: 2760, HOL: 2760, NEA: 2758, LDI: 2755, ERF: 2748, EBU: 2745, FAI: 2742, PAS: 2741, FFO: 2731, TYA: 2730,
+	RME: 2723, IAN: 2716, NHA: 2711, FIR: 2709, RNE: 2708, RSI: 2700, MMI: 2699, BEL: 2698, NDH: 2688, UTE: 2686,
+	OTI: 2683, WEE: 2678, NUE: 2670, BEF: 2668, ECR: 2667, RCH: 2667, TWH: 2666, LYI: 2659, VIS: 2654, ULL: 2649,
+	IED: 2646, TOI: 2645, TYT: 2645, NTW: 2644, RAI: 2631, EFA: 2625, VAL: 2623, AGR: 2619, RDI: 2616, DIF: 2614,
+	YFO: 2614, ANO: 2610, GAT: 2610, EOU: 2609, CAS: 2604, ONB: 2603, NBE: 2599, INU: 2590, CCO: 2582, SIB: 2580,
+	TUN: 2580, ORO: 2576, BOR: 2573, IMA: 2573, SSH: 2573, NDD: 2571, ODE: 2567, TEL: 2564, ECH: 2556, ISO: 2554,
+	URR: 2552, ROG: 2544, SEI: 2541, TET: 2541, AID: 2537, FTE: 2536, EGA: 2534, NEX: 2528, DIA: 2527, DEV: 2523,
+	NDL: 2522, ATU: 2518, LVE: 2518, HOF: 2515, SAG: 2505, HRE: 2503, MOU: 2503, NAS: 2502, RVE: 2498, RIV: 2494,
+	NWI: 2487, BEI: 2486, NVE: 2484, ESC: 2483, NNE: 2478, EET: 2475, PIN: 2473, NTL: 2469, OWI: 2469, NSH: 2467,
+	YHA: 2452, GIV: 2451, OTA: 2450, ALP: 2449, DMI: 2446, ACO: 2444, RAG: 2444, LLS: 2441, RAM: 2440, ENU: 2439,
+	ELF: 2437, NEV: 2433, UPP: 2433, NGF: 2428, SPA: 2427, NAC: 2425, WIN: 2424, RCI: 2421, ODU: 2419, LEO: 2418,
+	ZEN: 2417, OWA: 2416, ILD: 2415, TPR: 2414, DHA: 2406, WES: 2405, RTE: 2404, CTT: 2402, IFF: 2401, TOG: 2399,
+	NMA: 2395, MPR: 2391, TIZ: 2387, GED: 2385, AMI: 2383, EOR: 2382, EAP: 2379, EXC: 2379, CAU: 2378, GIS: 2375,
+	RLY: 2372, OFR: 2368, HRO: 2364, ROD: 2359, WTH: 2359, OSI: 2356, DDE: 2353, SEV: 2349, NON: 2346, AVI: 2343,
+	KET: 2343, ESF: 2342, OFH: 2341, TSW: 2341, TIF: 2340, LAI: 2334, DWH: 2332, DUR: 2331, FAN: 2328, SEW: 2320,
+	BRI: 2318, GRO: 2317, PLI: 2316, DIC: 2315, NDB: 2315, TSH: 2308, WEH: 2294, TNO: 2289, TMA: 2287, NAM: 2286,
+	CIP: 2285, ISM: 2282, EYE: 2280, ICU: 2280, TOH: 2278, ORP: 2277, LYE: 2274, AUT: 2270, ARL: 2269, AYS: 2269,
+	NAR: 2269, YWI: 2263, NPR: 2262, IBL: 2259, DFR: 2257, EHO: 2257, ROT: 2253, EMU: 2252, DOM: 2250, ADV: 2248,
+	VEM: 2236, ASH: 2227, REQ: 2225, AIR: 2219, CRI: 2219, RYI: 2219, CHW: 2217, NGL: 2216, CUT: 2215, OPO: 2214,
+	YME: 2212, ASP: 2205, FAL: 2204, CAP: 2203, RSH: 2201, HEV: 2198, DAY: 2192, SBU: 2189, OLO: 2188, HIM: 2187,
+	KNO: 2180, LIG: 2180, EXE: 2170, BOU: 2169, ROS: 2166, AFF: 2165, YWH: 2164, OFL: 2156, ISF: 2153, UTA: 2144,
+	IBE: 2140, RAS: 2138, FAM: 2137, OAD: 2137, HIT: 2136, IKE: 2136, ADI: 2133, DAR: 2133, CLE: 2131, NEN: 2128,
+	IRC: 2127, RAB: 2121, OMO: 2113, ASW: 2108, DSA: 2105, GOO: 2097, LIO: 2096, CEW: 2093, SDE: 2092, ATC: 2088,
+	DUT: 2088, PLO: 2084, TTL: 2077, SUL: 2074, RFO: 2073, TYE: 2070, ACK: 2069, VIL: 2069, MPA: 2067, OWT: 2067,
+	SCH: 2067, NGP: 2066, ISD: 2064, EMS: 2062, DWE: 2056, BYA: 2053, SUN: 2053, DGE: 2051, EES: 2048, OFD: 2048,
+	DDI: 2045, LTO: 2045, UTO: 2044, ADM: 2043, NGW: 2035, USA: 2035, ECL: 2030, LEI: 2028, ANK: 2027, NIO: 2024,
+	CLU: 2023, BAN: 2019, SAC: 2013, MUN: 2011, ONH: 2008, SFR: 2007, LDE: 2004, IEV: 2002, MPE: 2001, NCH: 1996,
+	BEN: 1991, YPR: 1989, RMO: 1981, PAT: 1979, EPT: 1973, GOF: 1973, TEO: 1972, ICO: 1968, OCA: 1966, ERB: 1959,
+	INM: 1956, HIG: 1955, COL: 1954, AWA: 1953, RSU: 1948, URO: 1947, URY: 1946, EGE: 1943, CCE: 1942, OAN: 1938,
+	NAV: 1936, LIK: 1927, REB: 1923, UBJ: 1923, LYS: 1922, AMA: 1921, DAL: 1921, EIM: 1920, SYS: 1920, TAG: 1919,
+	EBY: 1918, RIB: 1911, NCY: 1906, GEO: 1905, UIR: 1904, ROC: 1903, RUC: 1903, INP: 1901, ADO: 1897, OTO: 1897,
+	AYB: 1895, MOF: 1895, STM: 1894, ERG: 1888, LDA: 1888, TAC: 1888, LIM: 1885, ABI: 1883, SUM: 1880, RTM: 1875,
+	THS: 1875, NET: 1874, VAN: 1874, UDE: 1870, LST: 1869, RWH: 1867, YON: 1864, CHH: 1862, LPR: 1861, INW: 1858,
+	TSU: 1856, YAR: 1855, UAR: 1854, NCL: 1852, RIM: 1847, DMA: 1843, ALM: 1840, CTU: 1839, NEO: 1838, ARK: 1835,
+	ESB: 1833, FEN: 1832, BUS: 1831, SFA: 1828, OTB: 1827, TUA: 1824, ORG: 1823, ADD: 1822, MAL: 1822, BED: 1819,
+	PPL: 1819, AFT: 1814, OFG: 1814, STB: 1810, ALF: 1807, NEF: 1805, REH: 1805, NGC: 1801, ATL: 1798, ACI: 1797,
+	ROA: 1795, VIE: 1789, EHI: 1784, XTE: 1780, HAP: 1779, WIS: 1779, ATP: 1777, NAB: 1774, HOM: 1771, NDN: 1771,
+	WEM: 1771, RPE: 1769, ORR: 1768, PED: 1768, FED: 1764, INH: 1762, PTI: 1762, LIF: 1759, LSE: 1759, EAG: 1758,
+	MEO: 1755, IRA: 1750, ODO: 1750, SIM: 1750, STU: 1750, RDS: 1749, DEB: 1748, EGU: 1747, VAT: 1746, MMU: 1745,
+	ORW: 1745, SPI: 1745, RTU: 1743, ONV: 1742, EAV: 1741, LYB: 1739, IFT: 1738, NYO: 1735, OFN: 1734, DEL: 1733,
+	ILY: 1731, AVO: 1729, SAF: 1725, LEF: 1723, ERH: 1719, IFE: 1719, PAY: 1719, OTT: 1715, UCE: 1714, EBA: 1713,
+	HTO: 1713, DUN: 1710, LOS: 1708, NEI: 1707, LAB: 1706, OLU: 1701, DIR: 1700, ATR: 1699, DUS: 1699, RTY: 1698,
+	ZED: 1696, SBY: 1691, SEP: 1691, FLA: 1684, FUN: 1684, RSW: 1683, ARC: 1681, RKE: 1681, FIS: 1678, PAI: 1677,
+	UTU: 1677, OSP: 1674, URG: 1673, EEP: 1670, SNE: 1669, DVA: 1668, HOP: 1668, SIV: 1666, ALW: 1665, CTA: 1665,
+	AYT: 1664, RWA: 1664, RNI: 1663, KEN: 1661, RWI: 1659, POI: 1657, EYO: 1655, WAN: 1652, CEP: 1651, PPE: 1649,
+	ROB: 1646, LIV: 1641, MUC: 1640, OBL: 1640, NIZ: 1639, RUS: 1639, IRI: 1638, ODI: 1637, ROL: 1637, EBO: 1636,
+	FRI: 1632, LTI: 1632, STC: 1632, TAX: 1631, NAD: 1628, RER: 1628, BRO: 1627, HHA: 1627, RBE: 1627, ERL: 1626,
+	EDC: 1621, NGB: 1621, YWE: 1621, TYI: 1619, SCR: 1618, ATY: 1616, ANU: 1614, ISB: 1612, NFI: 1610, YAS: 1610,
+	ASC: 1609, EAB: 1607, MPT: 1601, OHA: 1601, SMO: 1598, UME: 1598, ISW: 1597, FRA: 1593, NVI: 1592, DSE: 1591,
+	ISR: 1591, SOC: 1591, EDP: 1588, TDE: 1588, LYC: 1587, OAS: 1585, PET: 1584, LEW: 1583, NIC: 1579, TOL: 1579,
+	VEI: 1579, LYO: 1577, IPL: 1576, OPP: 1575, TTI: 1574, TEX: 1572, LER: 1571, NSP: 1570, ELS: 1568, MIC: 1568,
+	UMB: 1566, ADY: 1565, AWS: 1564, OOK: 1564, RHA: 1564, TEE: 1563, YDE: 1563, APA: 1561, NGU: 1560, UNC: 1560,
+	DSU: 1557, OFB: 1557, ANB: 1556, GAR: 1555, OCE: 1555, IGA: 1554, DUP: 1553, ETU: 1553, NAG: 1551, HTT: 1550,
+	LOP: 1549, LOY: 1549, MIG: 1548, OON: 1547, ILA: 1545, ISG: 1543, BOT: 1538, NFR: 1538, EDM: 1534, APE: 1533,
+	URF: 1533, EPL: 1532, LOO: 1531, WED: 1527, NWE: 1524, UEN: 1524, AIM: 1519, CIN: 1519, EBR: 1517, ORN: 1515,
+	ARB: 1514, HON: 1513, SEF: 1513, ASK: 1511, WEC: 1507, ALU: 1506, DLY: 1506, RDT: 1506, RYS: 1505, TSP: 1505,
+	EVA: 1499, HME: 1498, PIR: 1496, NTF: 1495, LYR: 1494, VOL: 1493, FUR: 1492, BIT: 1490, EXA: 1489, UAT: 1486,
+	LIA: 1484, ESM: 1482, SWO: 1482, ENF: 1480, DIV: 1478, HTS: 1478, LLC: 1476, EEL: 1471, ONM: 1469, XIS: 1469,
+	DEE: 1468, IDI: 1466, TNE: 1466, BEP: 1463, OAR: 1463, THU: 1462, VIT: 1459, MEM: 1458, MAS: 1457, NUM: 1456,
+	DOW: 1454, EEA: 1454, LUD: 1454, DLE: 1453, NSF: 1452, AKI: 1450, NTU: 1448, CIS: 1447, EDR: 1447, BRA: 1446,
+	ENM: 1444, NWA: 1443, OWH: 1442, ATM: 1438, IBI: 1438, LUS: 1438, DME: 1437, EDH: 1436, BEG: 1433, DSH: 1430,
+	UET: 1430, CEE: 1427, SIG: 1427, ALG: 1426, OAL: 1425, ARN: 1424, SIR: 1424, IPA: 1423, EIV: 1422, ELP: 1421,
+	SEX: 1420, ADA: 1418, ONN: 1417, NBY: 1414, SEM: 1414, AVA: 1413, INR: 1413, NGH: 1413, BEM: 1412, ICS: 1411,
+	SWA: 1411, LDT: 1410, NGM: 1410, RAR: 1409, URD: 1407, ENW: 1406, APR: 1405, PTE: 1404, SME: 1404, TCA: 1404,
+	LFO: 1402, MEE: 1402, LIZ: 1401, ARO: 1399, NTC: 1399, ICY: 1397, UIL: 1397, ASM: 1394, GOT: 1394, YMA: 1392,
+	FIE: 1389, PIT: 1389, API: 1386, LOR: 1386, CEM: 1384, SAI: 1384, AFE: 1383, GEA: 1382, YET: 1382, OAC: 1381,
+	STW: 1380, YSE: 1380, LUE: 1378, RYW: 1376, ELD: 1371, TYW: 1367, SAP: 1364, IMM: 1362, LLN: 1362, UIT: 1362,
+	ASN: 1361, FPR: 1360, ETS: 1359, STP: 1358, DSI: 1357, LYD: 1357, OLA: 1357, LWA: 1356, ATB: 1355, DAM: 1355,
+	SDI: 1351, YIS: 1351, ALD: 1349, UNE: 1349, IHA: 1348, SGO: 1348, EMT: 1343, TBY: 1343, DMO: 1341, NTM: 1341,
+	TSF: 1340, GNI: 1339, KED: 1339, DHE: 1335, LDR: 1335, OCC: 1335, EYA: 1334, IVA: 1334, LLP: 1333, VEO: 1333,
+	MTO: 1332, MST: 1331, EEF: 1329, NDG: 1329, EDN: 1327, HUS: 1325, WEV: 1324, OOU: 1323, ESN: 1321, TTA: 1320,
+	DEX: 1317, TCH: 1317, INN: 1314, NFL: 1314, SAB: 1314, LSA: 1313, SUS: 1313, OGE: 1312, ELV: 1311, STY: 1311,
+	TLA: 1311, VIO: 1308, XCE: 1308, ITM: 1306, USS: 1306, UTY: 1306, LGO: 1304, ODA: 1302, UDG: 1302, FEA: 1300,
+	RMS: 1300, OCI: 1299, OBS: 1297, NPE: 1295, HOO: 1294, PAC: 1293, PRA: 1292, TEV: 1292, IZA: 1291, NCA: 1289,
+	RAP: 1288, FWH: 1287, VOR: 1286, NHI: 1284, ERD: 1283, IRO: 1282, MSE: 1281, TEI: 1278, YIT: 1277, LYP: 1276,
+	NEM: 1276, LDN: 1275, NTP: 1274, MMO: 1270, RDA: 1269, HCO: 1268, IMS: 1265, SOT: 1265, OFU: 1263, OES: 1262,
+	NTB: 1261, STL: 1260, CHM: 1259, LDS: 1257, NEY: 1257, TSC: 1257, UCC: 1257, UDI: 1257, ANP: 1256, OOP: 1256,
+	RYE: 1255, ZAT: 1255, RTT: 1254, DRA: 1253, MEI: 1252, FLI: 1251, DJU: 1248, XEC: 1247, GUL: 1246, MEX: 1246,
+	STF: 1246, AHA: 1243, BOA: 1241, IEW: 1241, RRA: 1240, AAN: 1237, MOV: 1237, AGO: 1236, RDO: 1234, SLE: 1234,
+	ILS: 1233, BUR: 1228, NIF: 1223, LUT: 1222, SLI: 1222, FSU: 1220, GOU: 1217, ILT: 1217, MOD: 1215, GEM: 1213,
+	NUA: 1213, OUB: 1212, OYE: 1208, AMP: 1206, SAD: 1204, FMA: 1203, GIT: 1203, PUL: 1201, RCU: 1201, RGA: 1199,
+	DOR: 1195, WAT: 1194, GAL: 1193, MOT: 1193, NUN: 1192, GRI: 1191, ROR: 1191, AYI: 1189, CIV: 1189, PUT: 1189,
+	ARW: 1188, NLA: 1188, BUI: 1187, CHC: 1187, ANW: 1186, OAT: 1184, OWS: 1184, TFR: 1183, LOC: 1182, IET: 1178,
+	TMO: 1177, RNO: 1175, EOT: 1173, LIB: 1173, LOU: 1172, DWA: 1169, UFF: 1169, OEX: 1168, EUS: 1167, EVO: 1167,
+	TIR: 1166, EEV: 1165, XIC: 1165, DNE: 1162, THC: 1162, BAS: 1161, CCU: 1161, CEF: 1160, DOP: 1160, LYW: 1160,
+	NJU: 1160, RUN: 1160, NGD: 1158, TEP: 1158, OMY: 1157, OOL: 1156, WEW: 1155, OSU: 1153, YEX: 1153, TPO: 1152,
+	IDA: 1151, RIF: 1150, GHE: 1148, HAB: 1148, TBU: 1148, OSA: 1147, DIE: 1146, UED: 1143, YLA: 1143, BLY: 1142,
+	INK: 1142, ENR: 1141, HIE: 1141, DBU: 1140, FPE: 1140, FUT: 1140, LFA: 1136, EAU: 1135, NFE: 1135, NIM: 1132,
+	VEP: 1130, DOT: 1129, RIL: 1129, GON: 1128, GUA: 1127, RWE: 1123, YSU: 1121, IEF: 1120, NEG: 1119, RVA: 1118,
+	FFA: 1116, EDG: 1113, SUE: 1113, LLH: 1111, INL: 1110, CHS: 1109, OKE: 1108, SSW: 1108, DUA: 1107, EAK: 1107,
+	NHE: 1104, UTS: 1104, FWA: 1103, FHI: 1102, OBJ: 1102, NTY: 1099, RGO: 1098, ASF: 1095, LAM: 1095, SAV: 1095,
+	GFO: 1094, LDH: 1094, RLA: 1094, SOV: 1094, YCA: 1094, DWO: 1092, EER: 1092, DPE: 1091, FAS: 1091, YDI: 1091,
+	CLO: 1090, MSO: 1090, OPU: 1090, AIT: 1088, JUD: 1088, THW: 1088, ATN: 1086, NSC: 1085, EDD: 1084, OPT: 1084,
+	URM: 1084, YSH: 1083, ONP: 1082, RYF: 1082, SCI: 1082, APO: 1080, NAP: 1078, ENL: 1076, KTH: 1076, LEE: 1076,
+	DHI: 1075, ACR: 1073, ODS: 1073, LDO: 1072, SAY: 1072, YNO: 1067, TSS: 1065, RYP: 1064, KOF: 1062, LEX: 1062,
+	UMA: 1061, OIT: 1060, APT: 1058, EDL: 1058, TEF: 1058, KEE: 1057, ORB: 1057, UTW: 1057, GLE: 1054, IAM: 1054,
+	KES: 1054, ALY: 1053, LAY: 1053, DAC: 1052, REX: 1052, RRO: 1052, VEC: 1052, YSO: 1051, DIM: 1049, FEL: 1048,
+	LEV: 1048, ENP: 1047, COA: 1046, NLI: 1045, IBU: 1044, HTI: 1043, TAM: 1042, SGR: 1041, EAF: 1040, EYW: 1040,
+	RCA: 1038, SHM: 1037, SIA: 1037, OCK: 1036, AYA: 1035, LYF: 1034, RKI: 1034, ENB: 1033, NBU: 1032, RPA: 1032,
+	RLI: 1030, RYC: 1027, UNA: 1026, FAV: 1025, COS: 1024, GNE: 1024, TUD: 1024, TSB: 1023, LNO: 1019, PTH: 1019,
+	SUF: 1019, TPE: 1019, HWE: 1018, SDO: 1017, OHI: 1016, STD: 1015, ICL: 1014, OPI: 1011, YAL: 1011, CIR: 1010,
+	DEO: 1010, LLR: 1010, NPO: 1007, AVY: 1006, SMI: 1004, CEB: 1003, NIG: 1003, TYF: 1003, EJU: 1001, KER: 1001,
+	IER: 1000, PLY: 1000, MEW: 999, ADS: 998, LMO: 995, NFA: 994, OEN: 993, RBU: 993, DEI: 990, RFE: 990,
+	USL: 990, LLM: 989, DID: 988, CRA: 986, UIS: 986, AYE: 981, ERU: 981, UBS: 981, WEN: 980, SSF: 978,
+	FGO: 977, HUM: 977, ALB: 973, KEA: 973, HTE: 972, NGN: 972, LEB: 970, FLE: 969, OFJ: 968, OWO: 968,
+	SLY: 968, AMS: 967, GCO: 966, CYO: 965, ATD: 963, ADB: 962, EBT: 962, UGG: 962, RMY: 961, HUN: 959,
+	OPA: 959, HAM: 957, IRR: 956, UPT: 956, PPI: 955, ORF: 954, ADT: 953, DCA: 953, INB: 953, BAL: 952,
+	FOL: 951, GAG: 951, VEE: 949, AYO: 948, SFU: 948, YOR: 947, DAB: 945, EUR: 944, LME: 944, DAG: 943,
+	RIZ: 943, FLO: 940, IOD: 940, BST: 938, IRT: 938, DPO: 936, IRD: 934, SOW: 931, ASR: 930, GHI: 929,
+	RFR: 929, LEP: 928, LTU: 928, NAF: 928, PME: 926, IPS: 923, LLF: 923, YED: 922, IRP: 920, OBA: 919,
+	PTA: 918, GGE: 917, CUS: 916, DLA: 914, EUP: 914, GHA: 912, RTR: 912, BAR: 911, FEE: 911, TAP: 911,
+	HWI: 910, LPO: 909, NIA: 909, SMU: 908, DHO: 905, NIE: 905, YAD: 905, FDE: 904, IDU: 903, AIS: 902,
+	COO: 902, ITC: 899, EOB: 898, CUM: 897, JOB: 897, TDI: 896, VEF: 896, OLV: 894, TEW: 893, ETY: 892,
+	NSB: 892, UCA: 892, IPT: 891, NCT: 891, ADJ: 890, BEH: 888, CRO: 888, RFU: 888, SEQ: 888, FFR: 886,
+	NLE: 886, SCE: 886, URB: 886, OMB: 885, GEI: 884, ROO: 883, TFI: 883, YWA: 883, ENH: 882, DFA: 881,
+	EYH: 881, SLO: 879, GAS: 878, NOP: 875, TUP: 875, YAC: 875, GST: 874, DEQ: 873, USP: 872, DLI: 871,
+	GHO: 870, GWI: 869, RPL: 869, SYE: 868, TPA: 867, YBU: 865, BAC: 864, SOO: 862, AYM: 861, IOR: 861,
+	ULE: 861, TLI: 860, DNA: 859, ITR: 858, LHA: 858, ITB: 857, TDO: 856, CAB: 855, LFI: 855, RFA: 852,
+	ARP: 851, LLW: 850, DAD: 847, DOL: 845, EYS: 845, IGI: 845, MSA: 843, FSE: 842, LDW: 842, MMA: 842,
+	AUG: 841, NNI: 839, NNU: 839, LUN: 838, DPA: 837, MWH: 835, WOF: 834, TBR: 833, BYS: 832, GME: 831,
+	LAD: 831, CEL: 830, OOT: 830, ORH: 830, NTD: 829, FID: 828, THY: 827, MBI: 823, ESL: 822, GNA: 822,
+	KAN: 822, LTE: 822, FUS: 821, WNT: 821, YSA: 821, HWH: 818, INJ: 818, ATF: 816, IFY: 816, IRM: 816,
+	THF: 815, RLE: 813, YPO: 811, DAP: 810, IPP: 810, OCR: 810, UBM: 810, SSP: 809, FST: 808, SDU: 808,
+	SIF: 804, NQU: 803, RAW: 803, ONR: 802, SFI: 802, ISU: 801, EFL: 800, MAJ: 800, ABR: 799, LAU: 799,
+	ANH: 798, BYC: 797, RYB: 796, HIR: 795, JUR: 793, YAT: 792, HEJ: 791, CKE: 790, THH: 790, YPE: 790,
+	SPU: 788, BIN: 786, SIL: 786, YFR: 786, CIF: 785, ICK: 785, NKS: 784, NSM: 784, NMO: 783, OTS: 782,
+	MYA: 781, FSO: 779, COV: 778, FOF: 778, SEB: 778, AWI: 777, DUE: 777, OHE: 777, OTR: 776, CAM: 775,
+	NWO: 774, FEW: 773, ANF: 769, RKS: 769, UNS: 769, LSU: 768, OWL: 768, RAV: 767, RYD: 767, GGR: 763,
+	HTA: 762, UBT: 762, EEK: 761, OOR: 761, SSM: 761, AGG: 760, EWS: 760, IAR: 760, YES: 760, GSO: 759,
+	MEP: 758, NPA: 758, ONU: 758, LLD: 757, NOL: 756, THM: 756, TUS: 755, OPM: 753, CEH: 751, IEL: 750,
+	ASD: 749, XER: 748, UNG: 747, TAF: 746, JUN: 744, NBO: 744, YNE: 744, NMY: 743, HCA: 742, STN: 742,
+	HOT: 741, TSM: 741, BMI: 739, YSI: 739, XPA: 738, LMA: 737, TAD: 737, USO: 737, DOE: 736, IDO: 735,
+	IDT: 735, RYM: 734, DGR: 733, XAM: 733, RHE: 732, CKS: 731, ESY: 731, RRY: 731, YBY: 730, LAG: 729,
+	MEC: 729, BAT: 728, FJU: 728, GUN: 727, KTO: 727, TGO: 726, CIL: 725, EEC: 725, LYM: 724, BSE: 723,
+	OGI: 723, UAN: 723, YPA: 723, ASY: 722, AWH: 722, CHP: 722, USC: 722, PAL: 721, RBY: 721, ENN: 720,
+	UEO: 720, FME: 719, TFA: 719, NSS: 718, ABA: 717, SOB: 717, HPR: 715, CRU: 714, FWE: 714, ACA: 713,
+	PTO: 713, SPL: 713, UMS: 713, AJO: 711, MEF: 711, TFU: 711, HOD: 710, OIL: 710, RUE: 710, RHI: 708,
+	URV: 707, REU: 706, OYM: 705, TTR: 705, VEH: 705, LNE: 704, EWT: 703, SOI: 703, MAG: 702, LSI: 701,
+	NKI: 700, RSP: 700, NVO: 699, UIN: 698, CHN: 697, DSW: 697, HEQ: 697, YUN: 697, IOL: 696, GPR: 695,
+	SKI: 695, ABU: 694, SNA: 691, COG: 689, EMY: 689, RID: 689, XPO: 689, BOD: 688, CHR: 688, RUL: 687,
+	HWA: 685, THD: 685, LYH: 684, AFR: 683, BUD: 682, DVI: 682, THP: 682, OGN: 680, URL: 680, CID: 679,
+	FNE: 679, LTS: 678, OMS: 678, FAT: 677, UTR: 677, VAI: 677, DCH: 676, LEH: 676, LPA: 676, RUP: 676,
+	YMO: 676, BEO: 675, ELT: 675, FES: 674, POP: 674, HMA: 673, BRE: 672, GBE: 672, GLY: 672, NEL: 672,
+	HNO: 671, LTA: 671, RBO: 671, DLO: 670, ECK: 670, EPI: 669, FPO: 668, OOF: 668, OSO: 668, DRO: 667,
+	DTR: 666, JOI: 666, ICD: 665, RWO: 665, NNA: 664, SUG: 664, VIG: 664, YAM: 664, YAP: 663, OYO: 662,
+	MUL: 661, FEX: 660, TEG: 660, ACY: 659, ARF: 659, GUI: 658, RAF: 658, VAR: 657, WST: 657, RHO: 655,
+	DYO: 654, RBI: 653, YHE: 653, LDC: 652, VAS: 652, RYH: 651, VEW: 650, DFI: 649, IGE: 649, TYS: 649,
+	YEN: 647, BTA: 646, GLA: 646, FNA: 645, LOT: 645, YWO: 645, UPE: 644, AYW: 643, LBU: 643, RSF: 643,
+	XPR: 643, CEC: 641, LEL: 641, BYM: 640, SBO: 640, SQU: 640, CYA: 639, FTR: 639, SIC: 639, ULY: 639,
+	VEY: 639, ESR: 638, IRL: 638, TSD: 637, FLU: 636, ANM: 635, PTS: 634, AGI: 633, SHT: 633, ABS: 632,
+	ASL: 631, ESD: 631, DAF: 630, MFO: 630, HST: 629, TSR: 629, CTL: 628, EDY: 627, GNO: 627, LOA: 627,
+	FIL: 626, ITL: 626, SCU: 626, SSC: 626, MAC: 625, NHO: 625, HOH: 624, NOC: 624, ILO: 623, LTR: 623,
+	XTR: 623, HTB: 622, TMI: 622, LLU: 621, RGR: 621, SUI: 620, CTW: 619, OWC: 619, LWE: 617, SOP: 617,
+	WON: 617, ANR: 616, BYO: 614, YOT: 614, GFR: 612, RBA: 612, WAL: 612, NMI: 611, EEQ: 610, UCK: 610,
+	ODY: 609, TOY: 609, ATG: 608, DSP: 607, NYA: 607, DGO: 606, FGR: 606, RSB: 606, SOA: 606, WAG: 606,
+	GOR: 605, ICC: 605, IFO: 604, NYE: 604, RYL: 604, EFT: 603, JOR: 602, LPE: 602, NOV: 602, ICP: 600,
+	BON: 597, DRI: 597, DTE: 597, OFV: 597, OMU: 596, OLS: 595, YLE: 595, MOC: 594, NCU: 594, SSS: 593,
+	FET: 592, NEU: 592, MID: 591, PHI: 591, WLE: 590, FDI: 589, GOI: 588, YAG: 588, FAP: 587, GSA: 587,
+	LCA: 587, LYL: 587, USH: 587, ADU: 586, EOV: 585, FOO: 584, MEL: 582, EMN: 581, EMW: 581, RSS: 581,
+	TNA: 581, OWW: 580, LYU: 578, NYT: 578, DDO: 577, BYP: 576, IMU: 576, NUF: 575, DEW: 574, GOA: 574,
+	NTN: 574, GLI: 573, KSA: 573, AWO: 572, OGO: 572, RTW: 572, CIO: 571, SAW: 571, BYW: 570, CCA: 570,
+	REY: 569, UFA: 569, POO: 568, WNA: 568, VOI: 567, GIO: 565, MEB: 565, IRF: 564, TMU: 564, LDP: 563,
+	RSC: 563, GOL: 562, PLU: 562, WSO: 562, SEH: 560, UNF: 560, WTO: 560, EKI: 559, NFU: 559, EBI: 558,
+	MBA: 558, HAC: 555, HFO: 555, HIB: 555, DDU: 553, EJO: 553, OCH: 553, FIG: 552, TOK: 551, PID: 550,
+	RYR: 549, CYT: 548, LWI: 548, OBT: 548, TYB: 548, BYI: 546, EEI: 546, TIG: 546, FYO: 545, OTF: 545,
+	RNS: 545, RUG: 545, YLI: 545, PEL: 544, RGY: 543, RFI: 542, TSN: 542, HOA: 541, DOI: 540, VOT: 540,
+	LAP: 539, RUI: 539, URH: 539, FMO: 538, GEW: 538, OPS: 538, EIP: 537, KEI: 537, ULI: 537, HBO: 535,
+	OIS: 535, ORU: 535, CLI: 534, FTO: 534, GWH: 534, TOV: 534, ZIN: 534, ITN: 531, TLO: 531, UPA: 531,
+	DYE: 530, KIL: 530, MYS: 530, NOB: 530, OTW: 530, UTF: 530, YIM: 530, LYN: 528, OOM: 528, FMI: 527,
+	SUA: 527, CHF: 526, NOS: 526, UMP: 525, UNL: 523, IFW: 522, UTL: 522, WNE: 522, YCH: 522, AFO: 521,
+	SBA: 521, IDS: 519, DIL: 518, HSO: 518, NDJ: 518, ALH: 517, IDD: 517, LOG: 517, EYC: 516, EHU: 515,
+	HSU: 515, NGG: 515, LSW: 514, LWH: 514, TDA: 514, FAG: 513, AGU: 512, RPU: 512, TEB: 512, WSA: 512,
+	GLO: 511, ILW: 511, LSH: 510, NUP: 510, AMB: 508, FPU: 508, KST: 508, MEH: 508, RKA: 508, UTM: 507,
+	FHE: 506, LLG: 506, SCL: 505, USF: 505, BLO: 504, OVA: 504, GUP: 503, YGR: 503, WOM: 501, MYO: 500,
+	UTB: 500, WID: 500, APS: 498, CHL: 498, ITF: 498, TGR: 498, NYP: 497, RNT: 496, DUL: 495, MOM: 495,
+	TSL: 495, CKT: 494, FAD: 493, KEP: 493, DVE: 491, PSA: 491, DPU: 490, HGO: 490, NAU: 490, POU: 490,
+	OIC: 489, CKA: 488, EOC: 488, NUS: 488, PST: 488, DOC: 487, GSU: 487, NDV: 487, UEA: 487, BAB: 486,
+	EKN: 486, IAS: 486, SBR: 486, VEG: 486, CYI: 485, SRA: 485, FPA: 484, NVA: 484, LDF: 483, LUM: 483,
+	NEB: 483, OMW: 483, AFA: 482, EBL: 482, LRO: 482, NJO: 482, ZET: 482, BEY: 481, LOM: 480, GHB: 479,
+	IPR: 478, LDM: 477, USW: 477, YDO: 477, NYI: 476, SYO: 476, OCU: 475, PHE: 475, ILR: 473, RKO: 473,
+	HHE: 472, AHE: 471, FEV: 471, ABE: 470, LOB: 470, BEW: 469, RLO: 469, RSM: 469, FNO: 468, ICM: 468,
+	ICR: 468, URW: 468, FCA: 467, GAM: 466, OFY: 466, YHO: 466, THB: 465, WAI: 465, XCL: 465, YFA: 465,
+	YYE: 465, GPE: 464, ONY: 464, WRE: 464, AXE: 463, COI: 463, IWI: 463, DEG: 462, ISY: 462, LOV: 462,
+	OUC: 462, RGI: 462, YAF: 462, ASG: 461, GAB: 461, HEK: 461, SFE: 461, CTR: 460, IMT: 460, NDY: 460,
+	REJ: 460, SSB: 460, BYL: 459, NGY: 459, OUA: 459, RKT: 459, RYN: 459, YFI: 459, HSH: 458, OIM: 458,
+	NOO: 457, NYC: 457, AWE: 456, COF: 455, GEL: 455, OTP: 454, THG: 454, EAW: 453, BEB: 452, CKI: 452,
+	EIF: 452, DCR: 451, LYG: 451, IAA: 450, YTR: 450, CUP: 449, IAB: 449, CHD: 448, PEE: 448, OCL: 447,
+	EXH: 446, HTW: 446, KSO: 446, OAP: 446, OBU: 446, ULF: 446, IDN: 445, LAV: 445, TPU: 445, DFU: 444,
+	ODW: 444, ENJ: 443, OBR: 443, ODT: 442, POT: 442, ACL: 441, ANL: 441, EUT: 441, HHI: 441, EYM: 440,
+	OUP: 440, WNI: 439, DMU: 438, YSP: 438, FBO: 436, NYS: 436, PIC: 436, CTH: 435, EEO: 435, GOD: 435,
+	NPU: 435, OSH: 435, ULS: 435, BYR: 434, CUB: 434, MUT: 434, RIP: 434, SJU: 434, UEE: 434, WRO: 434,
+	IDL: 433, RDU: 433, TYP: 432, BLA: 431, CQU: 431, LHE: 431, UBA: 431, YER: 431, LID: 430, OCT: 430,
+	OYA: 429, FAF: 428, OID: 428, LLL: 427, GPO: 426, POF: 426, TDU: 426, USB: 426, FSP: 425, IGR: 425,
+	MWI: 425, AYF: 424, NEH: 424, OUD: 424, RDW: 424, IPO: 423, MHA: 423, OMF: 423, CKO: 422, DDR: 422,
+	GMA: 422, OUW: 422, AWT: 421, CTF: 421, DRU: 421, HOI: 421, CDE: 420, GUE: 420, DYT: 419, HYO: 419,
+	OTC: 419, BEU: 418, PTT: 417, OWB: 416, SKE: 416, TEH: 416, UTC: 416, WCO: 416, YHI: 416, ACQ: 415,
+	ITD: 415, MCO: 415, VIR: 415, AYH: 414, IMO: 414, XES: 413, ALN: 412, WHY: 411, DBO: 410, GHS: 410,
+	RAU: 410, SSL: 410, TYC: 410, BUN: 409, BYE: 409, OTM: 409, WOO: 407, YMI: 407, ADR: 406, DSC: 406,
+	EOL: 406, GEF: 406, OHO: 406, UEL: 406, EAI: 405, SOS: 404, GUS: 403, LAL: 402, PES: 402, PHA: 402,
+	TJU: 402, CAD: 401, FHO: 400, HSE: 400, OAM: 400, UTP: 400, MBL: 399, SAU: 399, DBA: 397, HOC: 397,
+	LTY: 397, TBO: 397, COP: 395, INQ: 395, TIP: 395, YGO: 395, CYW: 394, HLY: 394, IZI: 394, LFR: 394,
+	NSL: 394, BSO: 393, DSF: 393, DTA: 392, LDD: 392, OMH: 392, ENV: 390, UMO: 390, USU: 390, YDU: 390,
+	CHB: 389, HFU: 389, MYI: 389, HGR: 388, ICW: 388, KEO: 387, MYP: 387, DIP: 385, GSI: 385, OOS: 385,
+	PSO: 385, UNN: 385, YEV: 385, FTA: 384, IUM: 384, JUL: 384, BOL: 383, CTM: 383, ITP: 383, RRU: 383,
+	GSE: 382, XPL: 382, EGL: 381, LDL: 381, LWO: 381, THL: 380, BOV: 379, EPS: 379, EWR: 379, GMO: 379,
+	ETB: 378, FAB: 378, FCH: 377, SIX: 377, TYH: 377, USD: 377, FCI: 376, IWA: 376, JOY: 376, MSI: 376,
+	TFE: 376, DCI: 375, STG: 375, UBB: 375, OKI: 373, RUT: 373, SEG: 373, CHU: 372, IRW: 372, OTD: 372,
+	ENY: 371, CAI: 370, ULO: 370, FOT: 369, ISV: 369, DYA: 368, GHL: 368, INY: 368, USM: 368, AUN: 367,
+	BYH: 366, DSM: 366, KFO: 366, MSW: 366, NLO: 366, XED: 366, YBO: 366, PUN: 365, HRI: 364, RCL: 364,
+	UTN: 364, FIX: 363, LCH: 363, UGU: 363, EPH: 362, EWC: 362, FYI: 362, NYW: 362, TBA: 362, WNO: 362,
+	YFE: 362, FIV: 359, GDE: 359, JAP: 359, NSR: 359, YAB: 359, LIP: 358, UEI: 358, GGL: 357, SMY: 357,
+	ILV: 356, KYO: 356, LRI: 356, NEQ: 356, OEV: 356, SIH: 356, DBR: 355, SVI: 355, YLO: 355, BYD: 354,
+	DCL: 354, HLE: 354, UMM: 354, NPL: 353, NSN: 353, OMC: 353, EYT: 352, GDO: 352, OOB: 352, YMU: 352,
+	NAH: 351, NAW: 351, NBR: 351, GBU: 349, MNO: 349, ADL: 348, LDU: 348, VEU: 348, XCH: 347, DOV: 346,
+	GEC: 346, CSE: 345, AWN: 344, BYF: 344, FON: 344, RSY: 344, YNA: 344, FHA: 343, CKL: 342, DAH: 342,
+	DAI: 342, DFE: 341, EEW: 341, BIA: 340, GAP: 340, NBA: 340, ROY: 340, WNS: 340, EMF: 339, FWO: 339,
+	WBE: 339, ARH: 338, DGM: 338, DOB: 337, RMT: 337, VIA: 337, MBU: 336, WWE: 336, ALV: 335, FTI: 335,
+	IPI: 335, GYE: 334, NGJ: 334, NRI: 334, UCI: 334, DIG: 333, ESG: 333, FBE: 333, HDE: 333, XAT: 333,
+	YPU: 333, SRI: 332, SVE: 332, TQU: 332, TUB: 332, FMY: 331, IRH: 331, TCR: 331, WEI: 331, YTA: 331,
+	IDB: 330, OJE: 330, ADN: 329, EWM: 329, GIC: 329, LBA: 329, NOI: 329, PIE: 329, UPI: 329, DDL: 328,
+	HPA: 328, ALK: 327, AUD: 327, HMO: 327, IGO: 327, MSH: 327, MWE: 327, PAP: 327, SGI: 327, AFI: 326,
+	FSA: 326, IMB: 326, PPA: 326, IOT: 325, NYM: 325, USR: 325, FBU: 324, HWO: 324, ROJ: 323, SGE: 323,
+	TCE: 323, APL: 322, HAU: 322, IFA: 322, LFT: 321, LPU: 321, MPI: 321, CAA: 320, CHG: 320, NEP: 320,
+	NMU: 320, PIL: 320, EKE: 319, ETF: 319, FEI: 318, UID: 318, ADW: 317, THN: 317, LEU: 316, WWH: 316,
+	GAC: 315, RTF: 315, WOC: 315, YRA: 315, CEU: 314, LNA: 314, HMU: 313, NOA: 313, RMW: 313, TSY: 313,
+	AFU: 312, DPL: 312, LTT: 312, NRA: 312, TCL: 312, WCI: 312, XAS: 312, DSS: 311, GEP: 311, UTD: 311,
+	YUP: 311, AYN: 310, ICF: 310, JAN: 310, LFU: 310, OWF: 310, FIM: 308, RCR: 308, RSN: 308, UNW: 308,
+	COT: 307, EYI: 307, GNC: 307, KNE: 307, XHI: 307, AWF: 306, EYD: 306, HTN: 306, IRG: 306, ISK: 306,
+	NOD: 306, ODF: 306, YJU: 306, GNT: 305, DDA: 304, DGI: 304, HNE: 304, LMI: 304, TYR: 304, FIF: 303,
+	QUO: 303, ADH: 302, KEL: 302, LSF: 302, MYT: 302, SPH: 302, VAG: 302, WNC: 302, GCA: 301, RMU: 301,
+	RUM: 301, TOJ: 301, ULC: 301, YEM: 301, DSB: 300, HAW: 300, NAI: 300, NIV: 300, ETC: 299, OTL: 299,
+	OWD: 299, BUL: 298, NTG: 298, OBO: 298, KWI: 297, LVI: 297, UCL: 297, YDA: 297, GSH: 296, OEF: 296,
+	ETM: 295, HHO: 295, IRB: 295, LUR: 295, MYF: 295, RTN: 295, GHW: 294, MOB: 294, NUI: 294, UOU: 293,
+	HDR: 292, SSD: 292, TMY: 292, OWP: 291, IRN: 290, ONJ: 290, HAI: 289, NUC: 289, RAY: 289, UPR: 289,
+	GNP: 288, GWE: 288, OAB: 288, RKW: 288, VIV: 288, BOO: 287, GWA: 287, LSC: 287, MAM: 287, MIE: 287,
+	MUM: 287, OAG: 287, TID: 287, TSG: 287, YTE: 287, AOF: 286, FFU: 286, BRU: 284, BTE: 284, FSI: 284,
+	IXE: 284, RYG: 284, YBR: 284, AXA: 283, GSW: 283, TPL: 283, AZI: 282, OWM: 282, TYM: 282, WET: 282,
+	DYI: 281, RIK: 281, EYR: 280, LGR: 280, SEU: 280, AYC: 279, EWY: 279, YIF: 279, ADF: 278, HPO: 278,
+	FRU: 277, WEF: 277, WPR: 277, DAW: 276, MPH: 276, UMU: 276, HEX: 275, HSA: 275, USN: 275, MSU: 274,
+	AMT: 273, FDO: 273, HLA: 273, MYD: 273, YFU: 273, GEE: 272, KSI: 272, TIB: 272, YPL: 272, ZEA: 272,
+	IHO: 271, MRE: 271, OTU: 271, SHU: 271, UEG: 271, BSI: 270, LUA: 270, YGE: 270, HFR: 269, OBI: 269,
+	TIH: 269, UER: 269, EWP: 268, LCU: 268, UNP: 268, YEF: 268, GPA: 267, LHO: 267, ODR: 267, OLT: 267,
+	ULN: 267, UNR: 267, WNP: 267, YOP: 267, AYR: 266, GNS: 266, MBR: 266, MPU: 266, SOD: 266, UMI: 266,
+	IPU: 265, LEY: 265, NRO: 265, OUI: 265, SYM: 265, CAW: 264, WEP: 264, YCL: 264, AHI: 263, MFR: 263,
+	DOO: 262, OWR: 262, SSY: 262, HTF: 261, PAB: 261, EID: 260, HAG: 260, NIR: 260, NKE: 260, WNB: 260,
+	FAU: 259, LPT: 259, WFO: 259, DJO: 258, GFA: 258, HUR: 257, LSP: 257, NYF: 257, CTB: 256, DMY: 256,
+	GIM: 256, HBE: 256, RJU: 256, XTY: 256, AHO: 255, HTR: 255, KON: 255, MYC: 255, NSD: 255, PTL: 255,
+	SSR: 255, BID: 254, CKN: 254, UDD: 254, GJU: 253, NGV: 253, NKO: 253, PSE: 253, ROK: 253, SOE: 253,
+	MBO: 252, RDF: 251, RTL: 251, AXI: 250, BIG: 250, BYN: 250, HMI: 250, ILU: 250, OAF: 250, SHG: 250,
+	VOC: 250, IPM: 249, LAF: 249, ROH: 249, VOY: 249, WSI: 249, AUL: 248, FEB: 248, URU: 248, HSI: 247,
+	IQU: 247, ODB: 247, RPS: 247, SRO: 247, AOR: 246, DAU: 246, GTR: 246, ICB: 246, IKN: 246, RDL: 246,
+	SSN: 246, TVI: 246, XAC: 246, FVI: 245, FEU: 244, OEA: 244, TGE: 244, WRI: 244, GDI: 243, LSY: 243,
+	OBY: 243, OJU: 243, RAO: 243, EDV: 242, NKT: 242, RSL: 242, AMM: 241, ETN: 241, FOP: 241, KEY: 241,
+	LLK: 241, RBR: 241, AGN: 240, ARV: 240, EAA: 240, FDU: 240, KEW: 240, PSI: 240, SAH: 240, BUC: 239,
+	DEU: 239, UAB: 239, UAD: 239, XIM: 239, CTC: 238, DQU: 238, HDI: 238, HPE: 238, LHI: 238, TAH: 238,
+	YOB: 238, YVI: 238, LGI: 237, SDA: 237, PSW: 236, LDG: 235, MNI: 235, MYW: 235, SIE: 235, TAU: 235,
+	EAH: 234, FTT: 234, HTY: 234, IWO: 234, MYL: 234, SIP: 234, URK: 234, ADC: 233, FCU: 233, GTE: 233,
+	UWI: 233, WEB: 233, WNF: 233, YRI: 233, DTI: 232, HAF: 232, ICG: 232, KIS: 232, NYD: 232, OTY: 232,
+	RAQ: 232, YSB: 232, EEY: 231, GEB: 231, GEX: 231, NSY: 230, PTU: 230, BYB: 229, HDA: 229, MIR: 229,
+	MYB: 229, YEE: 229, EMH: 228, FWI: 228, MAB: 228, AIG: 227, BVI: 227, CKW: 227, CPR: 227, CST: 227,
+	FEM: 227, FHU: 227, GUR: 227, KLE: 227, OBV: 227, ULP: 227, MWA: 226, NKA: 226, SKY: 226, EWW: 225,
+	FCE: 225, KEC: 225, UIE: 225, YBA: 225, YSW: 225, KEM: 224, RGU: 224, SKA: 224, WYO: 224, YCI: 224,
+	ESK: 222, MNE: 222, OAV: 222, SEY: 222, IAG: 221, KAB: 221, LVA: 221, TUE: 221, TYL: 221, YTI: 221,
+	GOE: 220, TTW: 220, UEF: 220, UGE: 220, FFL: 219, GAD: 219, TAW: 219, YSC: 219, AJU: 218, DCE: 218,
+	IPW: 218, NUR: 218, PPY: 218, ATV: 217, OPH: 217, RUA: 217, EIZ: 216, FLY: 216, GYO: 216, KSW: 216,
+	SOH: 216, TYN: 216, YIE: 216, EDJ: 215, FGE: 215, OGY: 215, UIC: 215, WMA: 215, AMU: 214, RUD: 214,
+	TIW: 214, LGE: 213, RSR: 213, AYP: 212, DYB: 212, LCI: 212, MBY: 212, BSA: 211, UEW: 211, DVO: 210,
+	GEV: 210, KIT: 210, LSB: 210, MUR: 210, BTT: 209, EOW: 209, LJU: 209, OKN: 209, RQU: 209, WNW: 209,
+	YMP: 209, DOS: 208, GAV: 208, MEV: 208, YEL: 208, APH: 207, DBL: 207, PEF: 207, SIZ: 207, FCR: 206,
+	FTW: 206, GFU: 206, HYS: 206, LCR: 206, LPI: 206, OUM: 206, DCU: 205, DHU: 205, DOA: 205, SUD: 205,
+	WSH: 205, JES: 204, LSS: 204, MHE: 204, RYU: 204, AQU: 203, BYG: 203, DYS: 203, IXT: 203, TCI: 203,
+	TVE: 203, CHY: 202, DIH: 202, RSD: 202, ULW: 202, AJE: 201, KOR: 201, NYR: 201, ODC: 201, TAY: 201,
+	WIF: 201, CCR: 200, CPO: 200, EYN: 200, FOC: 200, GGO: 200, HLI: 200, RAZ: 200, UPW: 200, WAM: 200,
+	DFL: 199, ELC: 199, OEM: 199, WDE: 199, AXR: 198, LFE: 198, WEO: 198, HYE: 197, NYB: 197, WOG: 197,
+	ELM: 196, MHI: 196, MYH: 196, TVA: 196, UPS: 196, XTI: 196, AWW: 195, AXC: 195, DIW: 195, EJE: 195,
+	FJA: 195, GYA: 195, HIF: 195, TGI: 195, ULG: 195, YCR: 195, BTO: 194, HCH: 194, UGA: 194, FBA: 193,
+	SHS: 193, WFU: 193, WSW: 193, ACU: 192, BOW: 192, FBR: 192, HBY: 192, PRU: 192, UDY: 192, UOD: 192,
+	BTH: 191, EIL: 191, MYR: 191, SKT: 191, UIP: 191, XCI: 191, YGI: 191, NOE: 190, OLY: 190, SFL: 190,
+	SVA: 190, ARU: 189, EKS: 189, IGU: 189, IIN: 189, LBO: 189, HSP: 188, IFN: 188, SIW: 188, TYD: 188,
+	ALJ: 187, AYL: 187, FSH: 187, GEH: 187, HBU: 187, IAI: 187, LPL: 187, NAA: 187, OUH: 187, PWI: 187,
+	AYD: 186, LKN: 186, OMD: 186, ELU: 185, EWB: 185, FFS: 185, OGA: 185, TUC: 185, TUL: 185, OKA: 184,
+	OTN: 184, RML: 184, SHR: 184, EYP: 183, FFT: 183, FYT: 183, OKT: 183, YAU: 183, YUS: 183, TBI: 182,
+	ZON: 182, BTS: 181, EWL: 181, IMW: 181, LBY: 181, OKS: 181, RFL: 181, RUR: 181, LTW: 180, MEU: 180,
+	RDC: 180, SDR: 180, FMU: 179, GHP: 179, NKN: 179, PHO: 179, PUS: 179, RDR: 179, EIH: 178, EYG: 178,
+	FTY: 178, XIN: 178, BAD: 177, DAV: 177, HIH: 177, MYE: 177, PEI: 177, PEQ: 177, SKS: 177, STV: 177,
+	GBY: 176, GIA: 176, MDE: 176, NDK: 176, DBI: 175, LAK: 175, LFW: 175, LKI: 175, MYM: 175, OTG: 175,
+	IDW: 174, IPE: 174, KWH: 174, AMH: 173, FCL: 173, GFI: 173, GOB: 173, RTB: 173, WME: 173, WNH: 173,
+	EYF: 172, HIO: 172, IVO: 172, OGU: 172, OJO: 172, CMO: 171, DSL: 171, GSP: 171, NUT: 171, DJA: 170,
+	HOB: 170, IPB: 170, KAT: 170, WBU: 170, BBE: 169, EIA: 169, GHC: 169, NBI: 169, OFK: 169, OYI: 169,
+	PSH: 169, DEH: 168, EYB: 168, HTL: 168, ISJ: 168, SBI: 168, VAC: 168, YKN: 168, YSM: 168, CAC: 167,
+	COW: 167, ETP: 167, MCA: 167, VAD: 167, YRO: 167, ANX: 166, IGG: 166, OMR: 166, POV: 166, SKN: 166,
+	TGA: 166, UHA: 166, EWF: 165, LBR: 165, LQU: 165, NKY: 165, NSG: 165, PEW: 165, RKN: 165, YVE: 165,
+	WEK: 164, YOV: 164, EEB: 163, FYE: 163, IDF: 163, YEI: 163, ADP: 162, ERK: 162, FVE: 162, KLY: 162,
+	MEG: 162, NJA: 162, ODH: 162, RKF: 162, CSA: 161, DSN: 161, GIL: 161, KOU: 161, TKN: 161, XIO: 161,
+	YQU: 161, EEH: 160, FGH: 160, KSH: 160, LUC: 160, OMN: 160, UEC: 160, WYE: 160, ALQ: 159, AMC: 159,
+	GBA: 159, OVO: 159, PAG: 159, AMW: 158, AXP: 158, CKH: 158, FEG: 158, IEA: 158, LFS: 158, NIH: 158,
+	PWA: 158, TYY: 158, YSY: 158, COC: 157, CSO: 157, DYP: 157, GBO: 157, KEH: 157, MRS: 157, PHY: 157,
+	ROI: 157, ANQ: 156, ERJ: 156, IRV: 156, OWU: 156, RVO: 156, SHC: 156, CTP: 155, GTA: 155, LCL: 155,
+	OYS: 155, UNK: 155, DNT: 154, MSF: 154, ORV: 154, OXI: 154, RDB: 154, RJO: 154, SHP: 154, TEU: 154,
+	WLY: 154, EAO: 153, HRA: 153, NYN: 153, SRU: 153, VYA: 153, BOY: 152, CKB: 152, CMA: 152, CTN: 152,
+	GWO: 152, IAW: 152, UNB: 152, APU: 151, IUR: 151, NXI: 151, WSE: 151, WSU: 151, WWI: 151, YMY: 151,
+	BUY: 150, DYF: 150, HNI: 150, MSC: 150, ONQ: 150, OYT: 150, TSV: 150, YBI: 150, YCE: 150, ETL: 149,
+	ISQ: 149, KHA: 149, KWE: 149, MAP: 149, UNO: 149, XPI: 149, ZES: 149, DIU: 148, EJA: 148, FEF: 148,
+	FVA: 148, HNA: 148, LRA: 148, RMP: 148, RNC: 148, TYU: 148, UEB: 148, XCU: 148, EWD: 147, HYT: 147,
+	OQU: 147, UDO: 147, UMT: 147, UPL: 147, WSP: 147, EKT: 146, JAC: 146, LFG: 146, LYV: 146, MPS: 146,
+	MSB: 146, NIP: 146, RNW: 146, SOG: 146, YSS: 146, DGA: 145, GAF: 145, KEF: 145, LGA: 145, RNF: 145,
+	RNU: 145, CCI: 144, GCH: 144, NID: 144, PIP: 144, SBL: 144, UTG: 144, XHA: 144, DSY: 143, MLY: 143,
+	MSP: 143, MTI: 143, OKO: 143, YYO: 143, ANV: 142, BEV: 142, BLU: 142, CYS: 142, EIW: 142, IRU: 142,
+	PFO: 142, TEY: 142, XRE: 142, AAS: 141, COH: 141, CUN: 141, FOS: 141, HCE: 141, ILF: 141, AKO: 140,
+	CGR: 140, FSC: 140, GHN: 140, GSB: 140, IDG: 140, MAX: 140, SKO: 140, WOY: 140, EGY: 139, GCL: 139,
+	GEU: 139, RDH: 139, TAV: 139, UOF: 139, DGU: 138, ELW: 138, ETD: 138, FEO: 138, GSC: 138, LIQ: 138,
+	OOV: 138, UNJ: 138, USY: 138, WCA: 138, ANJ: 137, BTI: 137, CAF: 137, DIB: 137, EMM: 137, GIE: 137,
+	HYI: 137, KWA: 137, YOC: 137, EWG: 136, GOW: 136, MHO: 136, NHU: 136, NYL: 136, ODP: 136, RDN: 136,
+	TDR: 136, UMW: 136, HFA: 135, ILC: 135, JOU: 135, NIL: 135, RAH: 135, RNB: 135, UNH: 135, XEM: 135,
+	YTW: 135, ZIL: 135, HLO: 134, KAS: 134, NYY: 134, SGU: 134, UEP: 134, AFG: 133, BIR: 133, BAY: 132,
+	CYB: 132, NKL: 132, UDA: 132, WUN: 132, YOW: 132, AWL: 131, CBU: 131, DTW: 131, DYW: 131, HID: 131,
+	NYH: 131, WOT: 131, EMD: 130, GGI: 130, KEU: 130, RTC: 130, SVO: 130, THJ: 130, AWR: 129, CYH: 129,
+	DYC: 129, FIA: 129, PCO: 129, TNI: 129, UPH: 129, WIC: 129, XTH: 129, ZEO: 129, ABY: 128, AHU: 128,
+	BTL: 128, FUG: 128, HIA: 128, HJU: 128, MNA: 128, ROE: 128, TUM: 128, VYT: 128, YAV: 128, IFU: 127,
+	TCU: 127, AII: 126, OAU: 126, UGM: 126, WAK: 126, XTF: 126, YSL: 126, COD: 125, CYC: 125, MOO: 125,
+	NTV: 125, ODD: 125, OML: 125, POK: 125, WEX: 125, WMO: 125, GIF: 124, GPU: 124, OPY: 124, RDM: 124,
+	SJO: 124, TEQ: 124, YDR: 124, ATQ: 123, BIP: 123, DSD: 123, GMY: 123, RHU: 123, VEJ: 123, VOK: 123,
+	VYI: 123, WND: 123, AON: 122, EMC: 122, HTM: 122, IRY: 122, LSM: 122, OAI: 122, ODG: 122, SGA: 122,
+	SHW: 122, SNU: 122, UDS: 122, WNL: 122, ZAR: 122, AMN: 121, GAW: 121, HSC: 121, HTD: 121, ILM: 121,
+	FBI: 120, GUM: 120, KCO: 120, NYG: 120, RDP: 120, YAW: 120, YGA: 120, BEK: 119, FDA: 119, HTU: 119,
+	IKI: 119, LLV: 119, OOC: 119, STJ: 119, TNU: 119, WFR: 119, WLI: 119, WOP: 119, DKE: 118, EIC: 118,
+	EWN: 118, GNR: 118, GTI: 118, HDO: 118, HRU: 118, IMF: 118, VOU: 118, WAV: 118, AKT: 117, DNU: 117,
+	HOE: 117, HTC: 117, HYW: 117, PBU: 117, THV: 117, UAG: 117, USG: 117, WIM: 117, ASJ: 116, EMR: 116,
+	HYA: 116, MYJ: 116, NOH: 116, OSC: 116, PBE: 116, WNM: 116, BTW: 115, CEX: 115, DNI: 115, EEU: 115,
+	FAW: 115, GYT: 115, IFS: 115, MEY: 115, MSS: 115, ODN: 115, OHU: 115, OUK: 115, PIS: 115, TYG: 115,
+	CAH: 114, LUP: 114, NEZ: 114, SHF: 114, TFL: 114, ULM: 114, AWB: 113, IBR: 113, RBL: 113, RKH: 113,
+	TGU: 113, UGS: 113, UNU: 113, URJ: 113, CAG: 112, CEG: 112, CKF: 112, FOV: 112, GRU: 112, HTP: 112,
+	NOG: 112, BYU: 111, DDT: 111, DTU: 111, EGS: 111, EWJ: 111, EZE: 111, HOV: 111, ILB: 111, LPH: 111,
+	NRU: 111, OEL: 111, OHN: 111, PSS: 111, REK: 111, UNM: 111, WSS: 111, HCR: 110, KUP: 110, NIU: 110,
+	RIU: 110, RMF: 110, YIA: 110, YUR: 110, BSC: 109, GHU: 109, GOP: 109, IAO: 109, KBE: 109, KBU: 109,
+	OUF: 109, PYT: 109, SHN: 109, UBO: 109, UKN: 109, YCU: 109, AMF: 108, AUO: 108, CKY: 108, CYF: 108,
+	DKI: 108, DSR: 108, GHD: 108, GHH: 108, GID: 108, GIR: 108, GMI: 108, GNM: 108, GYP: 108, ICN: 108,
+	IFL: 108, IMH: 108, ITG: 108, OBB: 108, AKA: 107, CWO: 107, HAH: 107, IAH: 107, KHE: 107, KSB: 107,
+	NAY: 107, TKI: 107, UIV: 107, WNU: 107, XAN: 107, YNI: 107, CEY: 106, EFS: 106, EYL: 106, EZU: 106,
+	GNN: 106, IFH: 106, JOH: 106, KID: 106, NKW: 106, WOS: 106, WPE: 106, YHU: 106, ZUE: 106, EEE: 105,
+	EKA: 105, GHF: 105, IFP: 105, PSB: 105, PYO: 105, RYY: 105, LFC: 104, MUP: 104, NTJ: 104, PMA: 104,
+	UPY: 104, AFL: 103, ATK: 103, CUI: 103, DAA: 103, GDU: 103, IAP: 103, IDC: 103, ILH: 103, MSR: 103,
+	NIW: 103, OSM: 103, OTJ: 103, SNT: 103, TTY: 103, YAH: 103, AKS: 102, DIO: 102, ESQ: 102, JON: 102,
+	KLI: 102, PTF: 102, TJO: 102, VUL: 102, ASV: 101, ERQ: 101, HBA: 101, HBR: 101, IDH: 101, LKE: 101,
+	MLI: 101, ORJ: 101, RKM: 101, RMC: 101, ROX: 101, TKE: 101, WSF: 101, YGU: 101, GSM: 100, HVI: 100,
+	LCE: 100, LEQ: 100, LYK: 100, NDQ: 100, OAW: 100, RSG: 100, SYT: 100, UVE: 100, WPA: 100, WWO: 100,
+	YSF: 100, GCI: 99, KEB: 99, LMU: 99, MWO: 99, PWH: 99, ULR: 99, WNR: 99, YKI: 99, FAH: 98,
+	FBY: 98, GQU: 98, HVE: 98, KSF: 98, LFB: 98, LKS: 98, MLA: 98, PEH: 98, VEV: 98, WFA: 98,
+	WLA: 98, WOH: 98, YVA: 98, CWE: 97, DYM: 97, ESV: 97, FEQ: 97, GPL: 97, WEG: 97, AZE: 96,
+	GHR: 96, GNG: 96, HFI: 96, IEC: 96, LAH: 96, LFH: 96, MLE: 96, OUO: 96, RMB: 96, RNP: 96,
+	YEC: 96, YIR: 96, AZA: 95, GSF: 95, GSS: 95, HAZ: 95, LPS: 95, OWG: 95, RNH: 95, CSI: 94,
+	DYH: 94, ELG: 94, HMY: 94, PAU: 94, ULK: 94, UPB: 94, WDI: 94, WJO: 94, GFE: 93, GIB: 93,
+	HCL: 93, IZO: 93, KSS: 93, LYJ: 93, NNY: 93, ODL: 93, PSF: 93, RIR: 93, RTG: 93, AAR: 92,
+	ELB: 92, FTU: 92, GVE: 92, IEU: 92, LPF: 92, NGQ: 92, RMR: 92, TUG: 92, XIB: 92, BEJ: 91,
+	CHV: 91, EEZ: 91, FSM: 91, FTS: 91, HPL: 91, HUG: 91, KAG: 91, KAL: 91, MDI: 91, OED: 91,
+	OOW: 91, RKB: 91, RTP: 91, WAB: 91, YJO: 91, AWM: 90, COB: 90, CTD: 90, EAY: 90, FUE: 90,
+	GCR: 90, OER: 90, SHL: 90, WAP: 90, WWA: 90, EDQ: 89, EEG: 89, FNI: 89, GHM: 89, HCI: 89,
+	JAW: 89, LFL: 89, LSN: 89, OSW: 89, VYW: 89, WGR: 89, YAI: 89, AEL: 88, AQI: 88, ATJ: 88,
+	AYG: 88, FQU: 88, MSM: 88, NIB: 88, PBY: 88, PWE: 88, SAK: 88, SSG: 88, YRU: 88, IAC: 87,
+	IMN: 87, IPC: 87, IUS: 87, ODM: 87, PIO: 87, RDY: 87, RYV: 87, VYD: 87, WNN: 87, CRY: 86,
+	GSY: 86, KFR: 86, MAH: 86, SYL: 86, TBL: 86, VOW: 86, BAA: 85, ESJ: 85, GAZ: 85, IDP: 85,
+	KRE: 85, KSM: 85, MIA: 85, DIZ: 84, GBR: 84, HPU: 84, IFC: 84, KMA: 84, LSL: 84, LYY: 84,
+	MDO: 84, MTA: 84, SMT: 84, SYA: 84, XTT: 84, EUL: 83, FNU: 83, IPH: 83, LGU: 83, LTB: 83,
+	NBL: 83, NUO: 83, OOO: 83, OSL: 83, SWR: 83, UPU: 83, WSB: 83, BTF: 82, CFO: 82, CMI: 82,
+	DYR: 82, FOB: 82, GDA: 82, HFE: 82, KAD: 82, KSU: 82, LFD: 82, LTF: 82, MSD: 82, OFQ: 82,
+	WOA: 82, WTR: 82, BOM: 81, BYV: 81, CDU: 81, CYM: 81, EIB: 81, GSL: 81, IBA: 81, KBY: 81,
+	LLJ: 81, OAH: 81, RTD: 81, SHB: 81, TSJ: 81, WPO: 81, DOY: 80, EML: 80, KSE: 80, MOL: 80,
+	OWY: 80, PSC: 80, PSU: 80, PTC: 80, USK: 80, WAD: 80, WOE: 80, WRA: 80, AKN: 79, CDI: 79,
+	FPL: 79, GEY: 79, KHO: 79, LOI: 79, MAF: 79, MIF: 79, MRA: 79, NTK: 79, OKY: 79, PIA: 79,
+	PTW: 79, SKF: 79, UBE: 79, WGO: 79, WTA: 79, ADG: 78, CKM: 78, DPI: 78, ENK: 78, FBL: 78,
+	GMU: 78, LRU: 78, MCU: 78, TUI: 78, YEQ: 78, YTU: 78, FSL: 77, HAK: 77, MOK: 77, NKR: 77,
+	PSM: 77, THK: 77, UPF: 77, WSR: 77, YIH: 77, BMA: 76, BYJ: 76, GAH: 76, GNW: 76, GYS: 76,
+	IIA: 76, ILP: 76, MIU: 76, NKF: 76, TPI: 76, UAS: 76, AWP: 75, CAV: 75, CGO: 75, HGE: 75,
+	HUP: 75, IXI: 75, LNU: 75, LSD: 75, OKF: 75, TEJ: 75, TII: 75, WOB: 75, WSC: 75, WUP: 75,
+	XTO: 75, YFL: 75, YSR: 75, AYY: 74, CSC: 74, KDO: 74, RIH: 74, UKE: 74, WTE: 74, CFU: 73,
+	EOA: 73, IRJ: 73, LKA: 73, NSK: 73, RPI: 73, USV: 73, WDO: 73, CAO: 72, CWI: 72, FFW: 72,
+	GYI: 72, KEG: 72, LFF: 72, MYG: 72, OLP: 72, OMG: 72, PAM: 72, RDD: 72, RII: 72, SEJ: 72,
+	STK: 72, WLO: 72, DOG: 71, EPP: 71, FYA: 71, GVI: 71, HQU: 71, LDY: 71, MFU: 71, MGO: 71,
+	MLO: 71, UDT: 71, ULU: 71, XCR: 71, AAT: 70, AMY: 70, AWC: 70, BOS: 70, CYN: 70, DWR: 70,
+	HDU: 70, KNI: 70, KYE: 70, LSR: 70, OOH: 70, RAE: 70, TTU: 70, UAC: 70, ULB: 70, YEY: 70,
+	ZUR: 70, BAM: 69, BTR: 69, CKP: 69, DRY: 69, HOG: 69, IDR: 69, KME: 69, LAX: 69, MAW: 69,
+	NTQ: 69, STQ: 69, UEM: 69, VYO: 69, WNG: 69, YID: 69, YSG: 69, AUC: 68, CKC: 68, CWH: 68,
+	GJO: 68, HSW: 68, HUT: 68, IPF: 68, LMY: 68, MAZ: 68, MFA: 68, MSL: 68, RGL: 68, UEH: 68,
+	ABW: 67, ASQ: 67, BIS: 67, CCH: 67, CDO: 67, CUE: 67, DGL: 67, DSK: 67, IXM: 67, KPR: 67,
+	MDU: 67, MIM: 67, POC: 67, PTR: 67, RKP: 67, TOQ: 67, TVO: 67, UDU: 67, AYU: 66, BAG: 66,
+	BSW: 66, CIM: 66, CKU: 66, GOS: 66, KPL: 66, MAA: 66, PMO: 66, SHH: 66, SLU: 66, UWO: 66,
+	VAB: 66, GBI: 65, HIV: 65, JEO: 65, KRU: 65, LAA: 65, LFM: 65, MSN: 65, MYV: 65, RNN: 65,
+	UAI: 65, UNQ: 65, WOD: 65, XTS: 65, ZEI: 65, ZER: 65, AMG: 64, BSB: 64, DYD: 64, EFM: 64,
+	FTB: 64, FUP: 64, GDR: 64, IZU: 64, KHI: 64, MGR: 64, NPI: 64, OLW: 64, RKC: 64, RNL: 64,
+	SFY: 64, TAA: 64, UMN: 64, WSM: 64, YPI: 64, AGL: 63, DEY: 63, IHE: 63, IOG: 63, LUX: 63,
+	MVE: 63, OUV: 63, PAD: 63, PFR: 63, PUP: 63, UAY: 63, VYH: 63, WMY: 63, YBL: 63, DOH: 62,
+	EOI: 62, FEH: 62, FJO: 62, GOH: 62, HVA: 62, HYD: 62, IDM: 62, IDY: 62, IWE: 62, LQA: 62,
+	LUB: 62, TTS: 62, TUO: 62, WCH: 62, WMU: 62, WOL: 62, XRA: 62, YYA: 62, BTB: 61, CKG: 61,
+	EPW: 61, FDR: 61, HYP: 61, IBB: 61, ICV: 61, JET: 61, NIQ: 61, OOI: 61, TSK: 61, WDA: 61,
+	FFF: 60, GCE: 60, III: 60, JEA: 60, SSV: 60, TMR: 60, UFO: 60, XTM: 60, YIC: 60, YKE: 60,
+	ABB: 59, CME: 59, CSH: 59, CSW: 59, EOG: 59, FGU: 59, LHU: 59, LLQ: 59, MFI: 59, QAI: 59,
+	RMN: 59, RSK: 59, ABT: 58, BBS: 58, CUA: 58, CWA: 58, CYE: 58, CYR: 58, DKN: 58, EGH: 58,
+	EGT: 58, LJO: 58, MIX: 58, NUL: 58, OEQ: 58, OTK: 58, PCA: 58, PNE: 58, RDG: 58, RMM: 58,
+	RYJ: 58, UGO: 58, UOT: 58, VEK: 58, WBY: 58, XIL: 58, XOF: 58, YEH: 58, YIW: 58, AXB: 57,
+	AXO: 57, BSF: 57, EDK: 57, EUM: 57, FTL: 57, GTW: 57, LFP: 57, LPM: 57, NGK: 57, NKB: 57,
+	OIR: 57, OKP: 57, OLN: 57, ORQ: 57, OZE: 57, PFU: 57, PYI: 57, SGL: 57, SMW: 57, SNI: 57,
+	WFI: 57, WMI: 57, XIT: 57, YIL: 57, YPT: 57, AUX: 56, BAI: 56, BBL: 56, ECY: 56, EGN: 56,
+	FOI: 56, GIU: 56, GVO: 56, HAY: 56, HUL: 56, IAD: 56, IEP: 56, IIT: 56, KSC: 56, LIH: 56,
+	OET: 56, PYR: 56, UCO: 56, XIG: 56, CFA: 55, COE: 55, EYV: 55, GAU: 55, GAY: 55, IEX: 55,
+	IOF: 55, KGR: 55, KLA: 55, LBI: 55, LOD: 55, MIZ: 55, OOA: 55, OTV: 55, PEB: 55, SKC: 55,
+	EOH: 54, EYK: 54, FKE: 54, IEI: 54, PTB: 54, PYA: 54, SYI: 54, UXI: 54, UYI: 54, WBA: 54,
+	BBA: 53, BBY: 53, BOX: 53, CIB: 53, CPE: 53, CSU: 53, FVO: 53, GYF: 53, MRP: 53, OLB: 53,
+	PSN: 53, RWR: 53, SKW: 53, TUF: 53, TWR: 53, VYY: 53, YSD: 53, YSN: 53, YVO: 53, AMR: 52,
+	AOU: 52, CYP: 52, EKO: 52, ETG: 52, FFC: 52, GEG: 52, IAF: 52, KAM: 52, LIR: 52, LTC: 52,
+	NNS: 52, OLK: 52, OMJ: 52, PSP: 52, PUE: 52, RIW: 52, USQ: 52, UWA: 52, XMO: 52, DIK: 51,
+	KBA: 51, KSP: 51, NYK: 51, OLF: 51, RMH: 51, TJA: 51, UWH: 51, YLU: 51, AGH: 50, AUP: 50,
+	CEV: 50, DSG: 50, DYN: 50, EPC: 50, GCU: 50, HFL: 50, HOK: 50, KAA: 50, KPA: 50, LKO: 50,
+	MEQ: 50, OLC: 50, RYQ: 50, SAQ: 50, UCR: 50, UWE: 50, WCR: 50, WOI: 50, BSU: 49, ELK: 49,
+	EVY: 49, EYU: 49, FGI: 49, GHG: 49, GOC: 49, HKO: 49, KSN: 49, LEJ: 49, LRY: 49, LUK: 49,
+	OIA: 49, OKB: 49, SJA: 49, SSK: 49, UGI: 49, VEX: 49, AAL: 48, AML: 48, BIO: 48, BVE: 48,
+	CEJ: 48, CSP: 48, CSY: 48, DDS: 48, EPB: 48, FOE: 48, FSW: 48, GGA: 48, GYW: 48, HYM: 48,
+	IIS: 48, KAC: 48, KYM: 48, MMY: 48, MOI: 48, NJE: 48, NKC: 48, RYK: 48, SMS: 48, WOV: 48,
+	XON: 48, YNU: 48, AGS: 47, AMD: 47, AOS: 47, CUO: 47, EFP: 47, EXO: 47, GSN: 47, HAO: 47,
+	HSB: 47, JAM: 47, KAH: 47, MTR: 47, NAJ: 47, NKH: 47, NYU: 47, NYV: 47, OAK: 47, UBD: 47,
+	UBV: 47, UON: 47, VYB: 47, XTA: 47, YPH: 47, BUO: 46, CYD: 46, DUO: 46, EAJ: 46, EFW: 46,
+	EPF: 46, ETV: 46, HCU: 46, HEZ: 46, HSL: 46, HUD: 46, ILG: 46, ILK: 46, ILN: 46, JUA: 46,
+	KEV: 46, KIC: 46, LIL: 46, MFE: 46, MOA: 46, OKW: 46, PEY: 46, RBT: 46, RKD: 46, RUB: 46,
+	UAA: 46, UOY: 46, VYS: 46, WAC: 46, XCO: 46, YLV: 46, ZEM: 46, BNO: 45, BUE: 45, CFR: 45,
+	CHJ: 45, CKD: 45, CNE: 45, EGW: 45, EIK: 45, FFB: 45, FKA: 45, HYC: 45, IMC: 45, KCA: 45,
+	LPP: 45, RLS: 45, TGL: 45, UMR: 45, ABH: 44, AHS: 44, BEQ: 44, DDY: 44, DJE: 44, EOM: 44,
+	FTF: 44, GEQ: 44, GNL: 44, GSD: 44, GVA: 44, IMY: 44, KAW: 44, KMO: 44, KUN: 44, LDK: 44,
+	LMS: 44, LUL: 44, LYQ: 44, NWR: 44, OMV: 44, PEK: 44, RJA: 44, UEU: 44, UMC: 44, UTJ: 44,
+	VYC: 44, WOW: 44, YMB: 44, YOL: 44, ZEC: 44, AXS: 43, BBI: 43, BDI: 43, BWH: 43, BYY: 43,
+	DUM: 43, HIW: 43, IRK: 43, KFA: 43, KWO: 43, LBL: 43, LDJ: 43, LVO: 43, MHU: 43, MNL: 43,
+	MTE: 43, NEK: 43, OOE: 43, PTY: 43, RCY: 43, WEU: 43, YWR: 43, BAW: 42, BOF: 42, CBE: 42,
+	CTG: 42, DOD: 42, DYL: 42, ELH: 42, FAJ: 42, GNU: 42, HGU: 42, IML: 42, IOW: 42, IXY: 42,
+	KAR: 42, KDE: 42, KSL: 42, LAZ: 42, MCH: 42, NAK: 42, OGG: 42, PTP: 42, RKL: 42, RNR: 42,
+	SKU: 42, TIK: 42, UMF: 42, UXU: 42, WPL: 42, WSN: 42, XUR: 42, YEW: 42, AXT: 41, CNA: 41,
+	CPA: 41, GFL: 41, HBI: 41, IWH: 41, JER: 41, LKT: 41, LPC: 41, LSK: 41, NPH: 41, ONK: 41,
+	OSY: 41, PUG: 41, RKU: 41, RPH: 41, RSQ: 41, UOR: 41, WAF: 41, WBR: 41, BSH: 40, CYL: 40,
+	GNF: 40, MBS: 40, MYN: 40, OEU: 40, PHR: 40, PIK: 40, RND: 40, RSV: 40, SYB: 40, SYR: 40,
+	WFE: 40, WNV: 40, YJA: 40, AHT: 39, AKF: 39, AWD: 39, AXL: 39, CAY: 39, EWU: 39, EZO: 39,
+	HGA: 39, HJO: 39, KIF: 39, LEK: 39, LTM: 39, MOP: 39, NAO: 39, ODJ: 39, OIF: 39, PEM: 39,
+	SII: 39, SOJ: 39, SUT: 39, ULH: 39, XIE: 39, XYE: 39, BBO: 38, EVU: 38, GIG: 38, GUO: 38,
+	IMD: 38, ITJ: 38, JUM: 38, LPW: 38, MAU: 38, NKP: 38, NSQ: 38, OEC: 38, OKH: 38, PFA: 38,
+	RKR: 38, TCY: 38, UBI: 38, WUS: 38, XTD: 38, AAF: 37, BDU: 37, CFI: 37, DII: 37, GNB: 37,
+	GND: 37, GYC: 37, MEJ: 37, MGE: 37, MIH: 37, MJU: 37, NVU: 37, NYQ: 37, OGL: 37, PYC: 37,
+	UGL: 37, USJ: 37, WBO: 37, YNC: 37, AWK: 36, AWY: 36, BAH: 36, BWA: 36, CPU: 36, DAJ: 36,
+	DMR: 36, EII: 36, EWV: 36, GOG: 36, HSF: 36, LDV: 36, LTP: 36, MCE: 36, NRY: 36, OSQ: 36,
+	PTM: 36, SIK: 36, UDL: 36, UTV: 36, WIR: 36, YEO: 36, YEU: 36, AKW: 35, AWU: 35, BSS: 35,
+	CKR: 35, DPH: 35, EFB: 35, FOW: 35, FWR: 35, IEG: 35, ITZ: 35, KIE: 35, KLO: 35, KMU: 35,
+	KSD: 35, KUL: 35, MCL: 35, MCR: 35, MRM: 35, OGS: 35, OLH: 35, PNO: 35, SAJ: 35, SHD: 35,
+	SHV: 35, UGN: 35, VYP: 35, YGL: 35, AAC: 34, AKD: 34, BTC: 34, CPL: 34, CTJ: 34, DAO: 34,
+	EGG: 34, EIE: 34, FEK: 34, HGI: 34, IMG: 34, IOA: 34, MDA: 34, NSV: 34, QIS: 34, SMR: 34,
+	SSQ: 34, THQ: 34, UVI: 34, VAU: 34, WCL: 34, WGE: 34, YJE: 34, ZEW: 34, BBT: 33, BSP: 33,
+	DYG: 33, EUV: 33, FKN: 33, FSY: 33, GGU: 33, HJA: 33, HSM: 33, HTG: 33, IAE: 33, IFB: 33,
+	JOL: 33, KFU: 33, KIA: 33, LPB: 33, MRV: 33, MSY: 33, NOJ: 33, OUE: 33, OWV: 33, PGR: 33,
+	RBS: 33, SEK: 33, SIU: 33, UPC: 33, VEQ: 33, WAU: 33, YSK: 33, ABD: 32, BUB: 32, CYU: 32,
+	DEK: 32, DOJ: 32, FOA: 32, HUA: 32, HYF: 32, IEB: 32, IHI: 32, IOC: 32, JEF: 32, LNI: 32,
+	LSG: 32, MEK: 32, NOY: 32, OKL: 32, PAK: 32, PDO: 32, PEV: 32, PSL: 32, RAA: 32, RMD: 32,
+	SHY: 32, SYW: 32, WIG: 32, ZAN: 32, ZEH: 32, AQA: 31, AYJ: 31, DYU: 31, EOD: 31, EPY: 31,
+	FPI: 31, HBL: 31, IFM: 31, IOO: 31, IUN: 31, KRA: 31, LTN: 31, MCI: 31, MRU: 31, MUG: 31,
+	OKU: 31, OLM: 31, PWO: 31, SMB: 31, SSJ: 31, TPH: 31, TSQ: 31, UAK: 31, WSL: 31, WSY: 31,
+	WVE: 31, XTG: 31, XTW: 31, ABN: 30, BHA: 30, DEJ: 30, DLU: 30, DOZ: 30, EPD: 30, FGA: 30,
+	GRY: 30, KDI: 30, KFI: 30, KIR: 30, KPI: 30, MYU: 30, NEJ: 30, NSJ: 30, PSD: 30, PYE: 30,
+	RAJ: 30, SKB: 30, VAP: 30, WEJ: 30, YEB: 30, AAM: 29, BIC: 29, BOI: 29, EXU: 29, FFD: 29,
+	HYB: 29, IMR: 29, JEW: 29, KBO: 29, NIK: 29, OEI: 29, OUU: 29, PAV: 29, PUD: 29, SYN: 29,
+	TZE: 29, UAW: 29, UHE: 29, UPN: 29, XOR: 29, AGW: 28, AIF: 28, ARQ: 28, AZO: 28, BUF: 28,
+	CLY: 28, DSV: 28, EFC: 28, EMG: 28, FFP: 28, FKI: 28, GBL: 28, IAU: 28, LAO: 28, NMR: 28,
+	OHT: 28, PAW: 28, PDE: 28, PUM: 28, SMH: 28, TJE: 28, UAH: 28, UBU: 28, VYE: 28, WIV: 28,
+	XAG: 28, AEX: 27, AGT: 27, BTN: 27, FEP: 27, FMR: 27, FTC: 27, GHY: 27, HSS: 27, IIO: 27,
+	IXO: 27, KAF: 27, MGL: 27, MQU: 27, PCR: 27, PTN: 27, RAK: 27, RCT: 27, SOK: 27, UBY: 27,
+	UYA: 27, WAW: 27, WIA: 27, WQU: 27, YAJ: 27, YIB: 27, AUR: 26, BBW: 26, BCO: 26, BFO: 26,
+	BSL: 26, BWE: 26, CVI: 26, FAY: 26, FIB: 26, GOM: 26, HIZ: 26, HYN: 26, IFR: 26, IGC: 26,
+	IOS: 26, IPD: 26, KCR: 26, KEX: 26, KYA: 26, LYZ: 26, MRC: 26, NOQ: 26, OBW: 26, OOG: 26,
+	OPW: 26, OYC: 26, OYH: 26, PHS: 26, SJE: 26, TYV: 26, UMH: 26, VYF: 26, WCE: 26, WNY: 26,
+	WSD: 26, YZE: 26, ZEF: 26, ZZL: 26, AAG: 25, AXD: 25, AZY: 25, BAF: 25, BIE: 25, BTM: 25,
+	CAE: 25, EKR: 25, EMV: 25, EPM: 25, GHV: 25, GYB: 25, HNS: 25, IBS: 25, IBY: 25, IOB: 25,
+	LGL: 25, LTL: 25, LWR: 25, MAE: 25, MSG: 25, NOX: 25, PEP: 25, PIU: 25, RJE: 25, RSJ: 25,
+	SKH: 25, SKM: 25, SYC: 25, TIQ: 25, TOX: 25, XAL: 25, AGM: 24, AJA: 24, ALZ: 24, AUA: 24,
+	EFY: 24, ELN: 24, ELR: 24, FIH: 24, GHQ: 24, GLU: 24, GSR: 24, HHU: 24, HUE: 24, ITV: 24,
+	IXA: 24, JOS: 24, KCI: 24, KSR: 24, MBT: 24, MNT: 24, MOG: 24, OJA: 24, OPC: 24, OPN: 24,
+	OSN: 24, ROZ: 24, TYJ: 24, UMD: 24, UNV: 24, UYT: 24, VIB: 24, VYM: 24, XLA: 24, YMR: 24,
+	AHW: 23, AIV: 23, AKU: 23, AMV: 23, AQW: 23, BYK: 23, CSS: 23, CTY: 23, EGM: 23, FFH: 23,
+	FPH: 23, GIH: 23, GPI: 23, IEO: 23, IFD: 23, IIW: 23, ILJ: 23, KAI: 23, KCH: 23, KGO: 23,
+	KOV: 23, KPO: 23, LIW: 23, MTW: 23, NAZ: 23, OIW: 23, OLG: 23, OUY: 23, RDV: 23, UPM: 23,
+	WRU: 23, AIA: 22, AYV: 22, BHE: 22, BHO: 22, BIB: 22, DZE: 22, EAQ: 22, EIU: 22, ENQ: 22,
+	FFM: 22, IJA: 22, IJU: 22, JUG: 22, KCL: 22, LKW: 22, LTD: 22, LUG: 22, MIW: 22, MJA: 22,
+	MVI: 22, OPF: 22, PBO: 22, POD: 22, PSR: 22, TAO: 22, TLU: 22, UEV: 22, UPD: 22, UZZ: 22,
+	XTC: 22, XTP: 22, YAY: 22, YEG: 22, YYI: 22, ARJ: 21, AUI: 21, BCR: 21, BDO: 21, BTD: 21,
+	CBA: 21, CNO: 21, DSQ: 21, EKL: 21, EYJ: 21, GHJ: 21, GIW: 21, HSY: 21, HYH: 21, ICJ: 21,
+	IGT: 21, IOI: 21, ITK: 21, JAI: 21, KSG: 21, NII: 21, NYJ: 21, PDA: 21, PDI: 21, RGH: 21,
+	SWU: 21, TEK: 21, UYE: 21, UYO: 21, WDR: 21, WVI: 21, XUP: 21, YIP: 21, BWI: 20, CHK: 20,
+	EFH: 20, EWZ: 20, FGL: 20, FTM: 20, GUT: 20, HAJ: 20, HMR: 20, HOY: 20, IEM: 20, IGS: 20,
+	JAV: 20, KNA: 20, KTA: 20, LFY: 20, LMT: 20, MAV: 20, MCC: 20, MFL: 20, MRF: 20, NKD: 20,
+	NLU: 20, OBC: 20, OXE: 20, OYF: 20, OYW: 20, PBA: 20, PIF: 20, QAN: 20, RLU: 20, RPT: 20,
+	SOY: 20, TDY: 20, TIU: 20, WIH: 20, WZE: 20, YIV: 20, YOM: 20, ZZA: 20, ABC: 19, AER: 19,
+	AOV: 19, AQS: 19, AQT: 19, AXU: 19, AXW: 19, BAP: 19, BSM: 19, CBO: 19, CEK: 19, CFE: 19,
+	CZA: 19, EGD: 19, FKO: 19, FTN: 19, HNU: 19, HPI: 19, IOP: 19, IPY: 19, KAP: 19, KAY: 19,
+	KMI: 19, KPE: 19, KYL: 19, LFN: 19, LJA: 19, LKY: 19, LSQ: 19, MVA: 19, NAQ: 19, NDZ: 19,
+	NUG: 19, OIG: 19, OPG: 19, TAJ: 19, UFI: 19, UGT: 19, ULV: 19, WIE: 19, WKN: 19, WLS: 19,
+	WNJ: 19, XBU: 19, YLL: 19, ABM: 18, AEU: 18, AEV: 18, AGB: 18, AXF: 18, BME: 18, CSB: 18,
+	CVA: 18, DTY: 18, EAE: 18, EAX: 18, EKF: 18, EWK: 18, GAJ: 18, GSG: 18, HKN: 18, HYG: 18,
+	IGM: 18, JAH: 18, KSY: 18, LOQ: 18, MRJ: 18, NKM: 18, OAJ: 18, OTQ: 18, OWJ: 18, OWK: 18,
+	PAF: 18, PBR: 18, PEX: 18, UFE: 18, WDU: 18, XBR: 18, XWH: 18, YEP: 18, ZEU: 18, ABF: 17,
+	AHB: 17, BBU: 17, DAQ: 17, DUK: 17, EKW: 17, EOS: 17, FSK: 17, GEJ: 17, GTU: 17, GYN: 17,
+	HGL: 17, HKE: 17, HKI: 17, HNF: 17, IGB: 17, IIH: 17, IOM: 17, IPG: 17, JOK: 17, JUV: 17,
+	KEK: 17, KTE: 17, KYS: 17, LIJ: 17, LML: 17, MAO: 17, MJO: 17, MNS: 17, MOW: 17, MPW: 17,
+	OGT: 17, PHT: 17, POE: 17, PPU: 17, PTD: 17, SYD: 17, TAQ: 17, TMC: 17, UAP: 17, UUP: 17,
+	VAA: 17, VII: 17, VYR: 17, WPU: 17, YOJ: 17, ZEP: 17, ZLE: 17, AAP: 16, AIC: 16, AIH: 16,
+	AKC: 16, APW: 16, BBH: 16, BBR: 16, CIG: 16, CSF: 16, CTV: 16, EBB: 16, EFJ: 16, EHY: 16,
+	EZI: 16, GSK: 16, GYH: 16, HII: 16, HTJ: 16, IEK: 16, KBI: 16, KEJ: 16, KRO: 16, KTR: 16,
+	LAE: 16, LOL: 16, MDR: 16, MPF: 16, MUF: 16, NAE: 16, NOK: 16, OBD: 16, OBN: 16, OKC: 16,
+	OKD: 16, OPD: 16, PAH: 16, PEG: 16, PGO: 16, PIW: 16, PUF: 16, PWR: 16, SMC: 16, UIF: 16,
+	UMY: 16, UXO: 16, WGA: 16, WIP: 16, WSG: 16, XMI: 16, XST: 16, XTB: 16, YAQ: 16, ZEB: 16,
+	ZEL: 16, AEA: 15, APN: 15, AUH: 15, AUW: 15, BIM: 15, BJU: 15, BOG: 15, CBR: 15, CBY: 15,
+	CCL: 15, CSL: 15, DAK: 15, DSJ: 15, ECZ: 15, EGB: 15, EPG: 15, EUO: 15, GGY: 15, GKI: 15,
+	GKN: 15, GNV: 15, HTK: 15, HTV: 15, HWR: 15, ICQ: 15, IGW: 15, IPN: 15, IXH: 15, JOE: 15,
+	KDA: 15, KOT: 15, KRI: 15, KUS: 15, KYW: 15, LUI: 15, MIB: 15, MOH: 15, MRI: 15, OAY: 15,
+	OBM: 15, OHH: 15, OHM: 15, OHY: 15, OIP: 15, OPB: 15, OUJ: 15, OWQ: 15, PFE: 15, PKE: 15,
+	PKI: 15, PYS: 15, RKY: 15, RZE: 15, UAM: 15, UHO: 15, UPG: 15, WFL: 15, WJU: 15, WKI: 15,
+	XSY: 15, XTU: 15, YNT: 15, YOA: 15, ZEE: 15, AAB: 14, AGF: 14, AHH: 14, AIW: 14, AKM: 14,
+	AZZ: 14, BAU: 14, BBD: 14, BUM: 14, CEQ: 14, CJU: 14, CKK: 14, DEZ: 14, FFN: 14, FOH: 14,
+	GYM: 14, GYR: 14, HYL: 14, HYR: 14, IFG: 14, IJO: 14, IYA: 14, KII: 14, KOS: 14, LJE: 14,
+	LPD: 14, LSJ: 14, LUF: 14, MMR: 14, MPB: 14, MRH: 14, MRW: 14, MUE: 14, NZE: 14, OHS: 14,
+	OIB: 14, OLR: 14, OUX: 14, QIP: 14, RKG: 14, RUV: 14, SAA: 14, UDM: 14, UGC: 14, UIA: 14,
+	UMG: 14, UTQ: 14, VTH: 14, WAH: 14, WEY: 14, WTI: 14, WVA: 14, XBI: 14, XCA: 14, XOU: 14,
+	XPU: 14, YOH: 14, YOS: 14, ZOR: 14, ADQ: 13, AHM: 13, AKB: 13, AKY: 13, BAK: 13, BCA: 13,
+	BOP: 13, BSR: 13, BWO: 13, CHQ: 13, CYG: 13, CZE: 13, DYK: 13, EFD: 13, EGF: 13, EHR: 13,
+	EKH: 13, FYM: 13, GPH: 13, GWR: 13, HSD: 13, HVO: 13, HZE: 13, IAV: 13, IAZ: 13, IEH: 13,
+	IIF: 13, ITQ: 13, IZZ: 13, KCU: 13, KPU: 13, LDQ: 13, LPY: 13, MAQ: 13, MCK: 13, MPM: 13,
+	MRO: 13, MUD: 13, NKU: 13, NVY: 13, OBF: 13, OIE: 13, OKM: 13, OXA: 13, OYB: 13, PDR: 13,
+	PGA: 13, PIG: 13, PIM: 13, RMG: 13, RNG: 13, SMF: 13, SYF: 13, UAF: 13, UDH: 13, UEY: 13,
+	URQ: 13, WCU: 13, WIB: 13, WIW: 13, WTU: 13, XDE: 13, XMA: 13, XME: 13, YIG: 13, YIU: 13,
+	YOK: 13, YTY: 13, ZAB: 13, AAD: 12, ADK: 12, APB: 12, AWG: 12, AYK: 12, BAO: 12, BTP: 12,
+	BTU: 12, EEJ: 12, EIO: 12, EKP: 12, ETJ: 12, EUD: 12, EYY: 12, FAK: 12, FIW: 12, FTG: 12,
+	FUM: 12, FYB: 12, IGL: 12, IHU: 12, IRQ: 12, JIM: 12, JOT: 12, KIM: 12, KMY: 12, KYH: 12,
+	KYR: 12, LBS: 12, LZO: 12, MGA: 12, MGI: 12, MYK: 12, NXM: 12, OEO: 12, OGW: 12, OSB: 12,
+	PCL: 12, PHL: 12, PIV: 12, PMY: 12, POG: 12, PRY: 12, PSG: 12, PYP: 12, RUH: 12, RUZ: 12,
+	SEZ: 12, SKR: 12, SYH: 12, UBR: 12, UDB: 12, UGF: 12, UKR: 12, UML: 12, UTK: 12, VYL: 12,
+	WGI: 12, WIK: 12, WSK: 12, XAB: 12, XDO: 12, XFR: 12, XUL: 12, ZBE: 12, ZIS: 12, ANZ: 11,
+	AOP: 11, AOT: 11, AXH: 11, BOB: 11, BRY: 11, BSD: 11, CDA: 11, CUV: 11, DYV: 11, EBS: 11,
+	EKB: 11, ENZ: 11, ERZ: 11, EWQ: 11, EXS: 11, EZV: 11, FJE: 11, GKE: 11, GNH: 11, GUY: 11,
+	HOJ: 11, HUB: 11, IGP: 11, IXF: 11, IXS: 11, KAU: 11, KEQ: 11, KIW: 11, KKN: 11, KLU: 11,
+	LKH: 11, LMC: 11, LMN: 11, LUO: 11, MNC: 11, MND: 11, MNP: 11, MSQ: 11, NKG: 11, OBH: 11,
+	ODV: 11, OIK: 11, PCU: 11, PDU: 11, PFI: 11, PSY: 11, RDQ: 11, REZ: 11, RLH: 11, SCY: 11,
+	SDY: 11, SOQ: 11, SYP: 11, THZ: 11, TYK: 11, TZB: 11, UBW: 11, UDC: 11, UGP: 11, UGR: 11,
+	UHI: 11, UOB: 11, VIZ: 11, WEQ: 11, WJA: 11, WJE: 11, WOK: 11, XBA: 11, XHU: 11, ZVO: 11,
+	ABG: 10, AEM: 10, AHD: 10, AHF: 10, AKL: 10, AKP: 10, AUF: 10, AXM: 10, AYQ: 10, BBC: 10,
+	BHI: 10, BSN: 10, CGE: 10, CMU: 10, CSM: 10, DKA: 10, DOK: 10, DUI: 10, DYJ: 10, EFN: 10,
+	FOG: 10, FOX: 10, FTD: 10, FYS: 10, GIZ: 10, GKO: 10, GYD: 10, HIU: 10, HSN: 10, IPJ: 10,
+	IXB: 10, IXC: 10, IXD: 10, IXW: 10, JEN: 10, JIL: 10, JOV: 10, KCE: 10, KDU: 10, KGE: 10,
+	KIH: 10, KSK: 10, KTI: 10, KYI: 10, LZE: 10, MKE: 10, MNF: 10, MPD: 10, MTU: 10, NTZ: 10,
+	OEW: 10, OHW: 10, OMK: 10, OSK: 10, OYD: 10, PGU: 10, PMI: 10, QTH: 10, RDJ: 10, RNV: 10,
+	SAX: 10, SIJ: 10, SMD: 10, SPT: 10, TCT: 10, TKA: 10, UEZ: 10, UFR: 10, UNY: 10, UOH: 10,
+	UZA: 10, VYG: 10, WBI: 10, XEN: 10, XFO: 10, YAA: 10, YII: 10, YIK: 10, YLY: 10, YMM: 10,
+	YSJ: 10, YSV: 10, YUL: 10, ZHE: 10, ZTH: 10, AEN: 9, AHP: 9, AMQ: 9, BBB: 9, BMU: 9,
+	BNE: 9, CDR: 9, CKV: 9, CPI: 9, CVO: 9, CYJ: 9, DAE: 9, DAZ: 9, DDG: 9, DDW: 9,
+	DIX: 9, DOX: 9, EDZ: 9, EGP: 9, EKC: 9, EMJ: 9, FEJ: 9, FFY: 9, FHY: 9, FOM: 9,
+	FYC: 9, FYH: 9, GHK: 9, GJA: 9, GMR: 9, GSQ: 9, GYL: 9, HAE: 9, HJE: 9, HSK: 9,
+	IBO: 9, ICZ: 9, IGD: 9, IIB: 9, IIM: 9, IIP: 9, IVT: 9, IXN: 9, JAR: 9, JIN: 9,
+	JOP: 9, KFE: 9, KHU: 9, KVI: 9, LMB: 9, LMW: 9, LSV: 9, MGU: 9, MNM: 9, MRB: 9,
+	MRD: 9, MRR: 9, MSV: 9, NCS: 9, NIX: 9, OBG: 9, OEB: 9, OIH: 9, OIX: 9, OYP: 9,
+	PCH: 9, PEU: 9, PHU: 9, PHW: 9, PIH: 9, PJU: 9, POM: 9, RNQ: 9, RUO: 9, SKP: 9,
+	SMM: 9, SMN: 9, TLL: 9, UGB: 9, UIZ: 9, UUN: 9, VRE: 9, VYU: 9, WDS: 9, WHU: 9,
+	WPH: 9, XHO: 9, XLI: 9, XSA: 9, XWI: 9, YOI: 9, ZAL: 9, ABJ: 8, ABP: 8, AES: 8,
+	AHN: 8, AOH: 8, AUB: 8, BUK: 8, CAK: 8, CSD: 8, CSN: 8, CVE: 8, DDF: 8, DDM: 8,
+	DUB: 8, DUG: 8, EGC: 8, EKM: 8, EUG: 8, EVJ: 8, FAQ: 8, FRY: 8, FTP: 8, GKA: 8,
+	HAQ: 8, HUZ: 8, IDQ: 8, IGF: 8, IXP: 8, JDA: 8, KBL: 8, KJU: 8, KOC: 8, KVE: 8,
+	KYP: 8, KYT: 8, LIU: 8, LKF: 8, LTG: 8, LTJ: 8, MIO: 8, NFK: 8, NZA: 8, OAA: 8,
+	OAQ: 8, OEH: 8, OGM: 8, OHP: 8, ONZ: 8, OOZ: 8, OXT: 8, OYN: 8, PHB: 8, PJO: 8,
+	PSV: 8, PUZ: 8, PYH: 8, QIG: 8, QTO: 8, QWI: 8, RGS: 8, RHY: 8, RKV: 8, RNY: 8,
+	RPC: 8, RTJ: 8, SDW: 8, SHJ: 8, SKD: 8, SRS: 8, TDW: 8, TVU: 8, UBC: 8, UGD: 8,
+	UKO: 8, UOI: 8, UQU: 8, UYH: 8, UYS: 8, VAH: 8, VJD: 8, VON: 8, WGL: 8, WGU: 8,
+	WKS: 8, WLT: 8, WOQ: 8, WVO: 8, WYA: 8, XHE: 8, XSH: 8, XUA: 8, YDW: 8, YNN: 8,
+	YSQ: 8, YUK: 8, ZEG: 8, ZLI: 8, AEC: 7, AGP: 7, AHC: 7, AHG: 7, AHR: 7, APF: 7,
+	ARZ: 7, BBF: 7, BFR: 7, BGR: 7, BMO: 7, BSG: 7, BUG: 7, CIC: 7, CKJ: 7, CSR: 7,
+	CTK: 7, CTQ: 7, CUD: 7, DHY: 7, DIQ: 7, EAZ: 7, ECC: 7, EIJ: 7, EJI: 7, EMK: 7,
+	GOY: 7, HDT: 7, HIJ: 7, HKA: 7, HNH: 7, HNT: 7, HRD: 7, HRY: 7, HSR: 7, IDJ: 7,
+	IKA: 7, IOH: 7, JEE: 7, JUP: 7, KBR: 7, KDR: 7, KGA: 7, KOP: 7, KQU: 7, KSV: 7,
+	KUA: 7, KUM: 7, KUW: 7, KVA: 7, LCY: 7, LIY: 7, LNS: 7, LPN: 7, LTV: 7, LZH: 7,
+	MII: 7, MIK: 7, MKN: 7, MPP: 7, MRT: 7, MYY: 7, OBP: 7, OGD: 7, OHD: 7, OHG: 7,
+	OKG: 7, OPK: 7, OUQ: 7, OXO: 7, OXW: 7, PFL: 7, PMU: 7, PQU: 7, PYF: 7, PYN: 7,
+	QIF: 7, QWA: 7, RLT: 7, RLW: 7, RUF: 7, RZO: 7, SIQ: 7, SKG: 7, SKL: 7, SPS: 7,
+	SPY: 7, TZO: 7, UAO: 7, UDF: 7, UDR: 7, UDW: 7, UEJ: 7, UVR: 7, VAK: 7, WAA: 7,
+	WAX: 7, WSV: 7, WWR: 7, XDA: 7, XEQ: 7, XLE: 7, XSO: 7, XTJ: 7, XUB: 7, YUT: 7,
+	ZAP: 7, ZIE: 7, ZIM: 7, ZYA: 7, ACN: 6, AIK: 6, AIO: 6, APY: 6, AUK: 6, AZU: 6,
+	BEX: 6, BFI: 6, BGO: 6, BIF: 6, BOE: 6, BSJ: 6, CBI: 6, CFL: 6, CGA: 6, CIZ: 6,
+	CNU: 6, COY: 6, DDN: 6, DIY: 6, DRH: 6, EHN: 6, EKD: 6, EKU: 6, ELJ: 6, EUB: 6,
+	EVT: 6, EZZ: 6, FAX: 6, FFG: 6, FSN: 6, FSQ: 6, FYP: 6, GGS: 6, GJE: 6, GYJ: 6,
+	HIK: 6, HNW: 6, HUK: 6, IDV: 6, IEE: 6, IIC: 6, IID: 6, IMJ: 6, IMQ: 6, IPK: 6,
+	IVU: 6, IZB: 6, IZT: 6, JIB: 6, KAO: 6, KAV: 6, KFL: 6, KGI: 6, KJO: 6, KKE: 6,
+	KTW: 6, LAJ: 6, LII: 6, LPG: 6, MNW: 6, MPK: 6, MVO: 6, MWR: 6, NHY: 6, OCS: 6,
+	ODK: 6, OEE: 6, OFZ: 6, OIV: 6, OKK: 6, OYG: 6, OYL: 6, OYR: 6, PKN: 6, PNA: 6,
+	POX: 6, PSJ: 6, QIN: 6, RAX: 6, RFF: 6, RGT: 6, RLP: 6, RNJ: 6, RPP: 6, RTK: 6,
+	RTV: 6, STZ: 6, SZE: 6, TIJ: 6, UEX: 6, UFT: 6, UJU: 6, UOW: 6, UPK: 6, VLI: 6,
+	WBL: 6, WTY: 6, XAD: 6, XAR: 6, XBE: 6, XEX: 6, XFE: 6, XGA: 6, XLO: 6, XNA: 6,
+	XSU: 6, XWA: 6, XWE: 6, YAK: 6, YDN: 6, YRN: 6, YUG: 6, AAU: 5, AAW: 5, ACS: 5,
+	ACW: 5, AEG: 5, AGD: 5, AHL: 5, AKR: 5, APG: 5, APM: 5, AQB: 5, AQC: 5, AQO: 5,
+	AVN: 5, AXG: 5, BBN: 5, BDE: 5, BEZ: 5, BGA: 5, BUP: 5, CAJ: 5, CWR: 5, DJI: 5,
+	DKO: 5, DRS: 5, DYY: 5, DZO: 5, EPN: 5, ETK: 5, FAA: 5, FAO: 5, FIO: 5, FRH: 5,
+	FYF: 5, FYN: 5, FYU: 5, GCY: 5, GYG: 5, GYU: 5, HNK: 5, HNR: 5, HSG: 5, HSQ: 5,
+	HUC: 5, HUF: 5, HYU: 5, HYY: 5, IAJ: 5, IFJ: 5, IMV: 5, IOE: 5, IWR: 5, JAL: 5,
+	JOA: 5, JUB: 5, KOH: 5, KOL: 5, KOO: 5, KYB: 5, KYF: 5, KYN: 5, LEZ: 5, LFV: 5,
+	LKM: 5, LMM: 5, LNW: 5, LOH: 5, LPK: 5, MBB: 5, MBM: 5, MIV: 5, MNU: 5, MPC: 5,
+	MRG: 5, MTY: 5, NAX: 5, NFT: 5, NFY: 5, NIY: 5, NNC: 5, NTX: 5, NUD: 5, NWY: 5,
+	NXS: 5, NZI: 5, OAO: 5, OGB: 5, OHL: 5, OSG: 5, OSR: 5, OXH: 5, OXY: 5, OZA: 5,
+	PIB: 5, POA: 5, PTG: 5, PYB: 5, PYG: 5, PYW: 5, QCO: 5, QHA: 5, RFT: 5, RFY: 5,
+	RGW: 5, RMV: 5, RPB: 5, RPF: 5, RRH: 5, RUW: 5, SDC: 5, SGH: 5, SHK: 5, SYG: 5,
+	TCC: 5, TCW: 5, TXI: 5, TYQ: 5, UAU: 5, UBH: 5, UCS: 5, UCU: 5, UDN: 5, UDP: 5,
+	UIM: 5, UJA: 5, UJI: 5, UKI: 5, UKU: 5, UMV: 5, URZ: 5, UUM: 5, UUS: 5, UXT: 5,
+	UYF: 5, VAM: 5, VAO: 5, VNT: 5, VOF: 5, VOO: 5, VOS: 5, VYN: 5, WKE: 5, WKP: 5,
+	WMR: 5, WNK: 5, WOJ: 5, WUR: 5, XNE: 5, XSE: 5, XSI: 5, XYO: 5, YIO: 5, ZAS: 5,
+	ZBA: 5, ZOD: 5, ZUL: 5, AAI: 4, AAV: 4, ABK: 4, ACM: 4, ADZ: 4, AED: 4, AEF: 4,
+	AEO: 4, AET: 4, AGV: 4, AHY: 4, AIE: 4, AIP: 4, AMJ: 4, AMK: 4, APD: 4, AQH: 4,
+	AQM: 4, ARX: 4, AWV: 4, BAE: 4, BDR: 4, BIH: 4, BKI: 4, BKN: 4, BMY: 4, BOH: 4,
+	BOK: 4, BPE: 4, BPR: 4, BPU: 4, BSQ: 4, BSY: 4, BTG: 4, CBL: 4, CDS: 4, CGU: 4,
+	CIH: 4, CJA: 4, CSK: 4, CUU: 4, CZO: 4, DBG: 4, DCW: 4, DDB: 4, DDP: 4, DVU: 4,
+	EFG: 4, EFV: 4, EHH: 4, EHP: 4, EHS: 4, EKY: 4, EMQ: 4, EOO: 4, ETQ: 4, EXB: 4,
+	EXF: 4, EXM: 4, EXW: 4, EZC: 4, EZH: 4, EZW: 4, FCY: 4, FEY: 4, FOD: 4, FSB: 4,
+	FSF: 4, FUC: 4, FYW: 4, GII: 4, GIK: 4, GOJ: 4, GOQ: 4, GTS: 4, GTY: 4, HAA: 4,
+	HCY: 4, HDY: 4, HNB: 4, HND: 4, HNL: 4, HNM: 4, HYK: 4, HYV: 4, IDK: 4, IFK: 4,
+	IGY: 4, IMK: 4, ISZ: 4, IXG: 4, IYE: 4, IYO: 4, JAG: 4, JED: 4, JIG: 4, JUI: 4,
+	JUT: 4, KIK: 4, KIP: 4, KKI: 4, KOK: 4, KOW: 4, KSJ: 4, KVO: 4, KYC: 4, LFJ: 4,
+	LKC: 4, LKL: 4, LKR: 4, LMD: 4, LMF: 4, LMR: 4, LUV: 4, MBW: 4, MKO: 4, MNR: 4,
+	MPN: 4, MSJ: 4, MSK: 4, MUZ: 4, NHV: 4, NZO: 4, ODQ: 4, OEY: 4, OGH: 4, OGP: 4,
+	OII: 4, OIU: 4, OKR: 4, OMQ: 4, OOJ: 4, OOQ: 4, OSZ: 4, OYU: 4, PAA: 4, PAO: 4,
+	PBI: 4, PBL: 4, PCI: 4, PGL: 4, POB: 4, PYD: 4, PYM: 4, QAS: 4, QIR: 4, QSO: 4,
+	QWO: 4, RBM: 4, RJI: 4, RLL: 4, RPD: 4, RRS: 4, RTQ: 4, SJI: 4, SMG: 4, SUV: 4,
+	SYU: 4, SZO: 4, SZT: 4, TAE: 4, TTK: 4, TVP: 4, TYZ: 4, UIK: 4, UJO: 4, ULJ: 4,
+	ULQ: 4, UOS: 4, UPJ: 4, UXA: 4, UYG: 4, UYW: 4, VIU: 4, VOG: 4, VOM: 4, VSE: 4,
+	WDT: 4, WII: 4, WIU: 4, WKB: 4, WKF: 4, WLB: 4, WLU: 4, WLW: 4, WPI: 4, WTW: 4,
+	XDI: 4, XFI: 4, XGR: 4, XIA: 4, XNO: 4, XTL: 4, YDS: 4, YHY: 4, YMC: 4, YND: 4,
+	YZO: 4, ZEV: 4, ZEY: 4, ZIF: 4, ZOO: 4, ZTA: 4, ZWH: 4, ZYT: 4, ZYW: 4, ZZE: 4,
+	ZZI: 4, AAH: 3, AAY: 3, AEI: 3, AEQ: 3, AGC: 3, AGY: 3, AIU: 3, AJI: 3, AKH: 3,
+	AOA: 3, AOC: 3, AOW: 3, APK: 3, AQD: 3, AUM: 3, AVH: 3, AWJ: 3, AXN: 3, BBM: 3,
+	BFL: 3, BFU: 3, BGI: 3, BIQ: 3, BIW: 3, BNA: 3, BOC: 3, BPL: 3, BQU: 3, BSK: 3,
+	CDB: 3, CIU: 3, CNI: 3, CSG: 3, CSQ: 3, CUC: 3, CUF: 3, DCJ: 3, DDC: 3, DDV: 3,
+	DGH: 3, DMC: 3, DRD: 3, DRJ: 3, DRK: 3, DZI: 3, EBC: 3, ECD: 3, ECJ: 3, EGQ: 3,
+	EKG: 3, EOX: 3, EOY: 3, EPJ: 3, EPQ: 3, ESX: 3, EVL: 3, EXD: 3, EXX: 3, EXY: 3,
+	EZA: 3, EZP: 3, EZT: 3, FDM: 3, FDY: 3, FFJ: 3, FFQ: 3, FII: 3, FIU: 3, FOK: 3,
+	FSR: 3, FSS: 3, FTV: 3, FYG: 3, FZO: 3, GAA: 3, GAK: 3, GEK: 3, GGB: 3, GIJ: 3,
+	GIP: 3, GJR: 3, GSJ: 3, GYY: 3, HHS: 3, HNG: 3, HOQ: 3, HPH: 3, HSJ: 3, IAK: 3,
+	IAY: 3, IGQ: 3, IGV: 3, IIE: 3, IIL: 3, IIU: 3, IJI: 3, IKW: 3, IOJ: 3, IPQ: 3,
+	IPV: 3, IRZ: 3, IXR: 3, IXU: 3, IZM: 3, JEL: 3, JOD: 3, JOO: 3, JOW: 3, JRO: 3,
+	KDY: 3, KIO: 3, KOA: 3, KOB: 3, KSQ: 3, KTU: 3, KUT: 3, KWR: 3, KYD: 3, KYJ: 3,
+	LGH: 3, LHY: 3, LKD: 3, LKP: 3, LMG: 3, LNF: 3, LOE: 3, LTQ: 3, LUH: 3, LUY: 3,
+	MBC: 3, MBD: 3, MBF: 3, MBH: 3, MCG: 3, MHT: 3, MHY: 3, MIJ: 3, MIP: 3, MKI: 3,
+	MNB: 3, MNY: 3, MOE: 3, MOY: 3, MPG: 3, MRK: 3, NGZ: 3, NKV: 3, NMS: 3, NNT: 3,
+	NNW: 3, NRH: 3, OAE: 3, OEG: 3, OGJ: 3, OHB: 3, OHC: 3, OIO: 3, OJI: 3, OKV: 3,
+	OOY: 3, OSF: 3, OXC: 3, OZI: 3, OZY: 3, PDC: 3, PEJ: 3, PGE: 3, PGI: 3, PHF: 3,
+	PII: 3, POH: 3, PSK: 3, PTJ: 3, PUC: 3, PVA: 3, PYL: 3, PYU: 3, QAE: 3, QAR: 3,
+	QAW: 3, QBE: 3, QIA: 3, QIO: 3, QSL: 3, QWE: 3, QWH: 3, RBH: 3, RBN: 3, RBW: 3,
+	RDK: 3, RFB: 3, RFD: 3, RFW: 3, RGM: 3, RGN: 3, RKJ: 3, RLB: 3, RMJ: 3, RNK: 3,
+	ROQ: 3, RQA: 3, RRB: 3, RVL: 3, RXI: 3, RZA: 3, RZK: 3, SAE: 3, SML: 3, SMP: 3,
+	SNY: 3, SRH: 3, SUH: 3, SUZ: 3, TAZ: 3, TCF: 3, TGH: 3, TIY: 3, TJI: 3, TKO: 3,
+	TTC: 3, TTN: 3, TVS: 3, UAE: 3, UDV: 3, UFL: 3, UFU: 3, UIH: 3, UIW: 3, UMQ: 3,
+	UOL: 3, UVA: 3, UVO: 3, UYM: 3, VCH: 3, VHA: 3, VIF: 3, VLA: 3, VOA: 3, VPR: 3,
+	WDY: 3, WKA: 3, WKW: 3, WLF: 3, WNQ: 3, WSQ: 3, WYS: 3, XAP: 3, XEA: 3, XID: 3,
+	XII: 3, XOD: 3, XTN: 3, XTQ: 3, XUN: 3, XVI: 3, XWO: 3, XXI: 3, YDB: 3, YEK: 3,
+	YFY: 3, YMN: 3, ZAC: 3, ZAI: 3, ZAM: 3, ZAO: 3, ZAW: 3, ZCA: 3, ZDE: 3, ZGO: 3,
+	ZHA: 3, ZIA: 3, ZKO: 3, ZYB: 3, ZYS: 3, AAA: 2, ACB: 2, ACD: 2, AFB: 2, AHJ: 2,
+	AIB: 2, AKV: 2, AOL: 2, APC: 2, AQF: 2, AQQ: 2, ASZ: 2, AVU: 2, AXY: 2, AZD: 2,
+	BAV: 2, BBG: 2, BBK: 2, BCE: 2, BCH: 2, BDA: 2, BFA: 2, BGL: 2, BGP: 2, BII: 2,
+	BIK: 2, BJO: 2, BMS: 2, BPA: 2, BPO: 2, BTJ: 2, BTQ: 2, BUZ: 2, BYQ: 2, CAQ: 2,
+	CAZ: 2, CBM: 2, CCC: 2, CHZ: 2, CJO: 2, CJS: 2, CJW: 2, CKQ: 2, CMY: 2, COZ: 2,
+	CPH: 2, CYQ: 2, CYV: 2, CYY: 2, DAX: 2, DCB: 2, DCD: 2, DCZ: 2, DHM: 2, DIJ: 2,
+	DKU: 2, DPS: 2, DPY: 2, DRB: 2, DRM: 2, DUF: 2, DVS: 2, DYQ: 2, DZA: 2, EBF: 2,
+	ECS: 2, EGV: 2, EHW: 2, EKV: 2, ELZ: 2, EMX: 2, EOK: 2, EOZ: 2, ERX: 2, ESZ: 2,
+	EUC: 2, EVC: 2, EXL: 2, EXQ: 2, EXR: 2, EYQ: 2, EZD: 2, FAE: 2, FCC: 2, FCZ: 2,
+	FDD: 2, FDJ: 2, FDW: 2, FIP: 2, FLB: 2, FSG: 2, FUZ: 2, FWY: 2, FYD: 2, FYR: 2,
+	FYY: 2, FZU: 2, GAQ: 2, GCZ: 2, GDY: 2, GGT: 2, GOK: 2, GPS: 2, GRS: 2, GSV: 2,
+	GUD: 2, GZA: 2, GZE: 2, HDF: 2, HKS: 2, HLB: 2, HLU: 2, HNC: 2, HNJ: 2, HNQ: 2,
+	HNY: 2, HPY: 2, HRT: 2, HTQ: 2, HUI: 2, HYJ: 2, HYQ: 2, IBF: 2, IBM: 2, IEY: 2,
+	IFV: 2, IGJ: 2, IGZ: 2, IIG: 2, IIR: 2, IIV: 2, IJE: 2, IKM: 2, IKO: 2, ILQ: 2,
+	IOX: 2, ISX: 2, IVF: 2, IXL: 2, IYI: 2, IZC: 2, IZN: 2, IZW: 2, JAB: 2, JAF: 2,
+	JIF: 2, JOC: 2, JOG: 2, JRF: 2, JUE: 2, KAJ: 2, KGL: 2, KIB: 2, KIG: 2, KJA: 2,
+	KOI: 2, KPH: 2, KRZ: 2, KUR: 2, KYV: 2, LCZ: 2, LFQ: 2, LGN: 2, LKB: 2, LLZ: 2,
+	LNM: 2, LNP: 2, LNT: 2, LUJ: 2, LUZ: 2, LVU: 2, LZU: 2, MKA: 2, MOJ: 2, MRN: 2,
+	MUK: 2, MXM: 2, MYQ: 2, MZA: 2, NBS: 2, NCK: 2, NCW: 2, NFC: 2, NFH: 2, NFS: 2,
+	NHH: 2, NHS: 2, NMC: 2, NNF: 2, NNG: 2, NNH: 2, NPS: 2, NSZ: 2, NUB: 2, NVJ: 2,
+	NVL: 2, NZY: 2, OBK: 2, OCQ: 2, OCW: 2, OEP: 2, OGC: 2, OHF: 2, OHJ: 2, OIJ: 2,
+	OJR: 2, OKJ: 2, OKQ: 2, OMZ: 2, OPJ: 2, OSD: 2, OSV: 2, OTZ: 2, OXG: 2, OXL: 2,
+	OXP: 2, OXV: 2, PAE: 2, PAJ: 2, PAQ: 2, PCE: 2, PEZ: 2, PHH: 2, PHM: 2, PHN: 2,
+	PIZ: 2, PJA: 2, PJE: 2, PMR: 2, PNI: 2, PNU: 2, PPH: 2, PTV: 2, PUK: 2, PVE: 2,
+	PYY: 2, QAD: 2, QAL: 2, QAM: 2, QDI: 2, QIC: 2, QID: 2, QII: 2, QIT: 2, QMU: 2,
+	QOF: 2, QOU: 2, QQA: 2, QSC: 2, QSI: 2, QSR: 2, RBF: 2, RCF: 2, RFS: 2, RHM: 2,
+	RHW: 2, RIJ: 2, RKQ: 2, RLF: 2, RLR: 2, RUJ: 2, RVT: 2, RVU: 2, RXE: 2, SAO: 2,
+	SGN: 2, SKJ: 2, SMJ: 2, SMV: 2, SPD: 2, SPW: 2, SQW: 2, SRY: 2, SVU: 2, SXI: 2,
+	SXV: 2, SYK: 2, SYV: 2, SYY: 2, SZI: 2, TCB: 2, TCN: 2, TKU: 2, TNT: 2, TOZ: 2,
+	TPY: 2, TRH: 2, TTB: 2, TTF: 2, TTJ: 2, TTM: 2, TTT: 2, TUH: 2, TVT: 2, TVY: 2,
+	TZA: 2, UBF: 2, UBN: 2, UCJ: 2, UIG: 2, UII: 2, UIO: 2, UKD: 2, ULZ: 2, UOG: 2,
+	UOK: 2, UPV: 2, UXC: 2, UXE: 2, UXH: 2, UXR: 2, UXS: 2, UXW: 2, UYC: 2, UYU: 2,
+	UZE: 2, UZO: 2, VAE: 2, VAW: 2, VBU: 2, VEZ: 2, VFI: 2, VFO: 2, VIH: 2, VIK: 2,
+	VOE: 2, VPU: 2, VSO: 2, VSU: 2, VTO: 2, VYJ: 2, WKT: 2, WNZ: 2, WSJ: 2, WUT: 2,
+	WYT: 2, WYW: 2, XBO: 2, XBY: 2, XEG: 2, XEL: 2, XIF: 2, XIV: 2, XIX: 2, XMU: 2,
+	XOC: 2, XOL: 2, XQU: 2, XRO: 2, XSQ: 2, XXX: 2, XYA: 2, XYG: 2, XYT: 2, YAX: 2,
+	YCY: 2, YDT: 2, YDY: 2, YJI: 2, YKC: 2, YLS: 2, YNX: 2, YOG: 2, YOO: 2, YOX: 2,
+	YRD: 2, YRR: 2, YRT: 2, YZI: 2, ZAG: 2, ZAH: 2, ZCO: 2, ZEK: 2, ZFO: 2, ZIC: 2,
+	ZIG: 2, ZIH: 2, ZIO: 2, ZIT: 2, ZLY: 2, ZNE: 2, ZOL: 2, ZOT: 2, ZPL: 2, ZTO: 2,
+	ZUS: 2, ZWA: 2, ZWI: 2, ZYC: 2, ZYF: 2, ZYL: 2, ZYO: 2, AAQ: 1, ABQ: 1, ABV: 1,
+	ACG: 1, ACP: 1, ACZ: 1, AEJ: 1, AEW: 1, AEZ: 1, AFP: 1, AFS: 1, AFW: 1, AHK: 1,
+	AIQ: 1, AIX: 1, AJD: 1, AJG: 1, AJW: 1, AKG: 1, AOB: 1, AOD: 1, AOK: 1, APJ: 1,
+	AQE: 1, AQJ: 1, AQL: 1, AQN: 1, AQR: 1, AQY: 1, ATZ: 1, AUE: 1, AUU: 1, AUV: 1,
+	AVC: 1, AVF: 1, AVL: 1, AVR: 1, AWQ: 1, AXV: 1, AZG: 1, AZR: 1, AZT: 1, AZW: 1,
+	BAZ: 1, BBP: 1, BBQ: 1, BBV: 1, BCI: 1, BCL: 1, BDY: 1, BFE: 1, BGY: 1, BIV: 1,
+	BKE: 1, BMM: 1, BMP: 1, BMR: 1, BMT: 1, BSV: 1, BTY: 1, BUQ: 1, BVO: 1, BYZ: 1,
+	CCP: 1, CDN: 1, CDY: 1, CEZ: 1, CGH: 1, CGI: 1, CGL: 1, CJE: 1, CJH: 1, CJI: 1,
+	CJT: 1, CJY: 1, CMG: 1, COK: 1, COQ: 1, CPS: 1, CQA: 1, CVS: 1, CXO: 1, CYK: 1,
+	DBD: 1, DBP: 1, DBS: 1, DBT: 1, DCP: 1, DCT: 1, DCY: 1, DDD: 1, DDH: 1, DDJ: 1,
+	DFB: 1, DFH: 1, DFY: 1, DGN: 1, DGP: 1, DHG: 1, DHR: 1, DJM: 1, DKP: 1, DLF: 1,
+	DMF: 1, DMS: 1, DMW: 1, DND: 1, DOQ: 1, DRC: 1, DRF: 1, DRV: 1, DRZ: 1, DTD: 1,
+	DTM: 1, DTS: 1, DUD: 1, DUJ: 1, DUU: 1, DVX: 1, DVY: 1, DWP: 1, DWU: 1, DWV: 1,
+	DXE: 1, DXX: 1, DZU: 1, EBW: 1, ECM: 1, ECV: 1, ECW: 1, EDX: 1, EGK: 1, EHB: 1,
+	EHC: 1, EHD: 1, EHJ: 1, EHM: 1, EHT: 1, EHV: 1, EIQ: 1, EJT: 1, EKJ: 1, ELQ: 1,
+	EMZ: 1, EOQ: 1, EPK: 1, EPV: 1, ETX: 1, ETZ: 1, EUA: 1, EUW: 1, EUX: 1, EVB: 1,
+	EVH: 1, EVM: 1, EVS: 1, EVV: 1, EVW: 1, EXN: 1, EZB: 1, EZF: 1, EZG: 1, EZS: 1,
+	EZY: 1, FAZ: 1, FBJ: 1, FDN: 1, FFV: 1, FGN: 1, FGT: 1, FHD: 1, FHN: 1, FHR: 1,
+	FIK: 1, FJI: 1, FKL: 1, FKU: 1, FKW: 1, FLS: 1, FMC: 1, FMS: 1, FNR: 1, FPF: 1,
+	FPN: 1, FPS: 1, FPY: 1, FQA: 1, FRC: 1, FSV: 1, FTJ: 1, FTK: 1, FTQ: 1, FUD: 1,
+	FUK: 1, FVU: 1, FXE: 1, FXR: 1, FYK: 1, FYL: 1, FYQ: 1, FZA: 1, FZE: 1, GAO: 1,
+	GBT: 1, GDS: 1, GDW: 1, GEZ: 1, GGC: 1, GGF: 1, GGH: 1, GGM: 1, GGN: 1, GGP: 1,
+	GGW: 1, GLB: 1, GMS: 1, GNQ: 1, GPD: 1, GPN: 1, GRH: 1, GTM: 1, GTN: 1, GUK: 1,
+	GVF: 1, GXI: 1, GYV: 1, GZI: 1, HDP: 1, HDW: 1, HGG: 1, HGN: 1, HGW: 1, HHR: 1,
+	HHW: 1, HJI: 1, HKC: 1, HKH: 1, HKR: 1, HMC: 1, HNN: 1, HOX: 1, HPD: 1, HRM: 1,
+	HSV: 1, HVU: 1, IAQ: 1, IBH: 1, ICX: 1, IDZ: 1, IEJ: 1, IEQ: 1, IFQ: 1, IFZ: 1,
+	IHS: 1, IHW: 1, IIJ: 1, IKB: 1, IKG: 1, IKH: 1, IKP: 1, IKT: 1, ILZ: 1, INX: 1,
+	INZ: 1, IOK: 1, IOQ: 1, IOV: 1, IOY: 1, IUO: 1, IUP: 1, IUT: 1, IVB: 1, IVH: 1,
+	IVK: 1, IVP: 1, IVR: 1, IVS: 1, IVY: 1, IXJ: 1, IZF: 1, IZG: 1, IZP: 1, IZS: 1,
+	JAE: 1, JAK: 1, JAS: 1, JAU: 1, JBA: 1, JCS: 1, JDD: 1, JEB: 1, JEH: 1, JEV: 1,
+	JGB: 1, JGE: 1, JHE: 1, JIH: 1, JIS: 1, JMB: 1, JMC: 1, JNM: 1, JOF: 1, JPA: 1,
+	JRA: 1, JRD: 1, JRE: 1, JRL: 1, JRW: 1, JSA: 1, JSE: 1, JSM: 1, JSO: 1, JTF: 1,
+	JTH: 1, JTO: 1, JWE: 1, JWH: 1, JWI: 1, JYO: 1, KAZ: 1, KCM: 1, KGH: 1, KGU: 1,
+	KHP: 1, KHR: 1, KHT: 1, KIU: 1, KKO: 1, KLB: 1, KMR: 1, KNM: 1, KNU: 1, KPM: 1,
+	KPS: 1, KRK: 1, KRM: 1, KTF: 1, KUF: 1, KUG: 1, KUK: 1, KYG: 1, KYU: 1, LCF: 1,
+	LFK: 1, LFX: 1, LGB: 1, LHF: 1, LHW: 1, LJI: 1, LJS: 1, LKU: 1, LKV: 1, LMH: 1,
+	LMJ: 1, LMK: 1, LMP: 1, LMV: 1, LNB: 1, LNC: 1, LNH: 1, LNR: 1, LPJ: 1, LRD: 1,
+	LTK: 1, LUW: 1, LWC: 1, MBG: 1, MBN: 1, MCB: 1, MCD: 1, MCM: 1, MCY: 1, MCZ: 1,
+	MDS: 1, MDW: 1, MDY: 1, MEZ: 1, MFD: 1, MFH: 1, MGN: 1, MJS: 1, MKR: 1, MLM: 1,
+	MLS: 1, MMS: 1, MNH: 1, MNJ: 1, MNV: 1, MNZ: 1, MPJ: 1, MPY: 1, MRL: 1, MRQ: 1,
+	MRY: 1, MTS: 1, MUB: 1, MUJ: 1, MWG: 1, MXP: 1, MYZ: 1, MZE: 1, MZI: 1, NBH: 1,
+	NBJ: 1, NBT: 1, NCC: 1, NCD: 1, NCZ: 1, NDX: 1, NGX: 1, NHC: 1, NHR: 1, NIJ: 1,
+	NJI: 1, NJR: 1, NKJ: 1, NKK: 1, NLC: 1, NLL: 1, NLS: 1, NLW: 1, NMF: 1, NMH: 1,
+	NNK: 1, NNP: 1, NOZ: 1, NPG: 1, NPT: 1, NRB: 1, NRD: 1, NRF: 1, NRW: 1, NUK: 1,
+	NVS: 1, NWB: 1, NWF: 1, NWG: 1, NWP: 1, NXT: 1, NZU: 1, OAX: 1, OBQ: 1, OCB: 1,
+	OCF: 1, OCM: 1, OCY: 1, OEJ: 1, OEK: 1, OFX: 1, OGF: 1, OGV: 1, OHK: 1, OHV: 1,
+	OIQ: 1, OLJ: 1, OLQ: 1, OPQ: 1, OPV: 1, OQA: 1, ORZ: 1, OSJ: 1, OVG: 1, OVS: 1,
+	OXB: 1, OXF: 1, OXM: 1, OXN: 1, OXR: 1, OXS: 1, OXX: 1, OYJ: 1, OYQ: 1, OYV: 1,
+	OYY: 1, OZL: 1, PBC: 1, PBT: 1, PDB: 1, PDM: 1, PDS: 1, PFW: 1, PHC: 1, PHJ: 1,
+	PIJ: 1, PJI: 1, PPC: 1, PPM: 1, PPN: 1, PPS: 1, PRB: 1, PRF: 1, PRW: 1, PSQ: 1,
+	PTK: 1, PTQ: 1, PUI: 1, PVI: 1, PVO: 1, PYQ: 1, PYV: 1, QAB: 1, QAF: 1, QAP: 1,
+	QAT: 1, QAY: 1, QBU: 1, QBY: 1, QDE: 1, QEL: 1, QFO: 1, QFR: 1, QIL: 1, QJU: 1,
+	QLA: 1, QMA: 1, QMO: 1, QNE: 1, QOB: 1, QOP: 1, QRE: 1, QSA: 1, QSE: 1, QSG: 1,
+	QSM: 1, QST: 1, QSU: 1, QTW: 1, QYO: 1, RBC: 1, RBP: 1, RCZ: 1, RFG: 1, RFQ: 1,
+	RGB: 1, RGC: 1, RGG: 1, RGK: 1, RGP: 1, RGV: 1, RHH: 1, RHS: 1, RIX: 1, RIY: 1,
+	RJC: 1, RJM: 1, RJR: 1, RLC: 1, RLG: 1, RLM: 1, RLN: 1, RMK: 1, RPG: 1, RPK: 1,
+	RPW: 1, RRF: 1, RRT: 1, RSZ: 1, RTZ: 1, RUU: 1, RUY: 1, RVB: 1, RVR: 1, RWG: 1,
+	RWU: 1, RXC: 1, RZH: 1, RZI: 1, SAZ: 1, SFB: 1, SFW: 1, SGS: 1, SIY: 1, SJB: 1,
+	SJG: 1, SJP: 1, SJR: 1, SKK: 1, SLB: 1, SLK: 1, SMQ: 1, SNH: 1, SNR: 1, SPC: 1,
+	SPK: 1, SPN: 1, SQA: 1, SQH: 1, SQO: 1, SRT: 1, SUK: 1, SUU: 1, SUW: 1, SWC: 1,
+	SWF: 1, SXA: 1, SXM: 1, TBC: 1, TCD: 1, TCG: 1, TCM: 1, TCS: 1, TDT: 1, TEZ: 1,
+	TFY: 1, TJN: 1, TJR: 1, TJT: 1, TKR: 1, TLB: 1, TLG: 1, TLK: 1, TMS: 1, TPD: 1,
+	TPP: 1, TPT: 1, TQA: 1, TRD: 1, TSX: 1, TTD: 1, TTG: 1, TTP: 1, TTV: 1, TUZ: 1,
+	TXA: 1, TYX: 1, TZD: 1, TZF: 1, TZG: 1, TZH: 1, TZS: 1, TZT: 1, TZU: 1, UAJ: 1,
+	UAV: 1, UBK: 1, UBP: 1, UEQ: 1, UFM: 1, UGW: 1, UHU: 1, UIQ: 1, UJE: 1, UKL: 1,
+	UKS: 1, UKW: 1, UKY: 1, UMZ: 1, UOA: 1, UOM: 1, UOO: 1, USZ: 1, UUK: 1, UXL: 1,
+	UYD: 1, UYL: 1, UYN: 1, UYP: 1, UYR: 1, UZH: 1, UZI: 1, UZL: 1, UZM: 1, UZT: 1,
+	UZW: 1, VAF: 1, VAV: 1, VBR: 1, VGE: 1, VHE: 1, VHU: 1, VIP: 1, VJO: 1, VJU: 1,
+	VKI: 1, VMI: 1, VOD: 1, VOH: 1, VOV: 1, VRA: 1, VSA: 1, VST: 1, VTC: 1, VTE: 1,
+	VTI: 1, VUE: 1, VUM: 1, VVI: 1, VWA: 1, VXN: 1, VYK: 1, VYV: 1, WAJ: 1, WAO: 1,
+	WAQ: 1, WCB: 1, WCG: 1, WDH: 1, WDN: 1, WDW: 1, WFJ: 1, WFS: 1, WHL: 1, WHT: 1,
+	WIQ: 1, WJR: 1, WKC: 1, WKD: 1, WKH: 1, WKQ: 1, WLC: 1, WLG: 1, WLL: 1, WLQ: 1,
+	WLV: 1, WMX: 1, WRY: 1, WUM: 1, WYB: 1, WYD: 1, WYM: 1, XAF: 1, XAU: 1, XAV: 1,
+	XAW: 1, XDR: 1, XDU: 1, XEF: 1, XEH: 1, XET: 1, XEU: 1, XFA: 1, XFU: 1, XGU: 1,
+	XIP: 1, XIR: 1, XIW: 1, XJO: 1, XMY: 1, XOT: 1, XRU: 1, XTV: 1, XVA: 1, XVE: 1,
+	XVO: 1, XXO: 1, XXV: 1, XYI: 1, XYW: 1, YAE: 1, YAO: 1, YAZ: 1, YCD: 1, YDD: 1,
+	YDG: 1, YDJ: 1, YEJ: 1, YGD: 1, YHB: 1, YIJ: 1, YIQ: 1, YIY: 1, YKA: 1, YKL: 1,
+	YKR: 1, YKW: 1, YLD: 1, YLP: 1, YLT: 1, YMS: 1, YNG: 1, YNR: 1, YNW: 1, YOD: 1,
+	YOE: 1, YPD: 1, YRJ: 1, YRS: 1, YRY: 1, YTC: 1, YTG: 1, YUB: 1, YUM: 1, YVU: 1,
+	YXO: 1, ZAY: 1, ZBU: 1, ZCR: 1, ZDA: 1, ZDI: 1, ZEJ: 1, ZFR: 1, ZGE: 1, ZHN: 1,
+	ZID: 1, ZII: 1, ZIW: 1, ZLA: 1, ZMA: 1, ZME: 1, ZMO: 1, ZMU: 1, ZOF: 1, ZOG: 1,
+	ZOV: 1, ZPE: 1, ZPR: 1, ZRE: 1, ZSH: 1, ZSO: 1, ZSW: 1, ZYI: 1, ZYM: 1, ZYV: 1,
+	ZZY: 1,
+};
+
+export const englishQuadgramCounts = {
+	TION: 57083, OFTH: 40530, FTHE: 37318, ATIO: 32839, NTHE: 28731, THAT: 25671, THER: 25137, MENT: 24092, THES: 21809, OTHE: 20421,
+	ETHE: 17948, THEP: 17932, WITH: 17869, INTH: 17857, TTHE: 17627, SAND: 17265, IONS: 17241, THEC: 16769, DTHE: 16579, HERE: 15910,
+	TOTH: 15581, RTHE: 15202, THEI: 14910, STHE: 14382, IONO: 14295, THIS: 14249, INGT: 13754, ANDT: 13557, ONOF: 13149, HAVE: 13030,
+	HICH: 12994, WHIC: 12986, OVER: 12801, THEM: 12600, ONTH: 12084, NDTH: 11965, IONA: 11744, NGTH: 11675, OULD: 11144, HECO: 10977,
+	EAND: 10896, ECON: 10896, FORT: 10796, STAT: 10477, SOFT: 10374, WILL: 10344, ORTH: 10296, YTHE: 10231, THEA: 9896, TATE: 9812,
+	COMM: 9650, BEEN: 9488, ATTH: 9370, GTHE: 9267, SION: 9252, ATES: 9134, RESS: 9076, REAT: 9026, NATI: 8858, HESE: 8698,
+	HEIR: 8659, EVER: 8647, GOVE: 8643, FROM: 8615, CTIO: 8602, VERN: 8579, EDTH: 8573, EDTO: 8559, NMEN: 8546, THEF: 8378,
+	THEE: 8306, HTHE: 8286, INTE: 8282, PORT: 8229, EFOR: 8208, ENTI: 8174, TING: 8164, RNME: 8162, ERNM: 8126, NTER: 8002,
+	THEN: 7955, THET: 7941, TAND: 7936, PRES: 7908, CONS: 7870, RATI: 7855, EOFT: 7761, ANDI: 7691, ENTO: 7611, ENTS: 7544,
+	ANDS: 7437, OUNT: 7418, THEW: 7385, ANCE: 7355, IGHT: 7142, THEL: 7119, DING: 7117, HATT: 6926, ABLE: 6898, UNIT: 6897,
+	ERTH: 6889, IONT: 6864, THEY: 6853, NOFT: 6833, GRES: 6792, HEPR: 6791, ESOF: 6762, TOFT: 6747, ENCE: 6712, THED: 6712,
+	NTOF: 6710, YEAR: 6683, EDIN: 6665, ECOM: 6649, THEU: 6623, NAND: 6587, THEG: 6566, BYTH: 6526, PART: 6514, EDBY: 6450,
+	NDIN: 6433, ANDA: 6382, RICA: 6316, YAND: 6269, ERES: 6239, MERI: 6150, AMER: 6136, NGRE: 6093, RING: 6086, REAS: 6063,
+	REST: 6054, TIVE: 6050, ENTA: 6022, DAND: 6008, ERIC: 6005, RESE: 5975, NDER: 5962, LATI: 5942, EMEN: 5929, STAN: 5928,
+	HEUN: 5910, INGA: 5910, ITED: 5901, FORE: 5896, COUN: 5885, CONT: 5789, ONST: 5746, LAND: 5740, ETHA: 5701, ONAL: 5683,
+	SENT: 5661, OUGH: 5652, FOUR: 5628, ICAN: 5620, ONGR: 5605, ECTI: 5594, SHOU: 5562, THTH: 5561, EPRO: 5535, PROV: 5532,
+	ESSI: 5500, EUNI: 5499, EINT: 5480, HOUL: 5446, ESAN: 5437, CONG: 5418, ESTA: 5403, ITIS: 5385, THAN: 5363, ERAL: 5360,
+	THEB: 5328, EPRE: 5303, MORE: 5293, ITIO: 5271, COMP: 5266, ESEN: 5266, TAIN: 5264, NITE: 5258, ESTI: 5253, SFOR: 5210,
+	ONSI: 5205, DSTA: 5150, ENTH: 5143, ITHT: 5134, ERAT: 5126, VERY: 5112, NTIN: 5108, TIES: 5097, IONI: 5062, OFOU: 5060,
+	EDST: 5031, UNDE: 5017, ESTH: 5015, TEDS: 4985, GREA: 4972, ATED: 4969, CESS: 4954, RETH: 4949, TOBE: 4911, PROP: 4870,
+	ESSA: 4829, SIDE: 4802, TURE: 4773, THIN: 4769, TIME: 4756, THEO: 4752, TEDT: 4737, ESTO: 4723, RECO: 4705, STHA: 4705,
+	UNTR: 4702, EDAN: 4678, SERV: 4668, THOU: 4637, SSIO: 4597, UPON: 4585, DTHA: 4578, FFIC: 4542, ANDO: 4535, WERE: 4520,
+	TSOF: 4510, ONAN: 4507, INST: 4464, OPLE: 4458, SINT: 4444, INGO: 4425, SUCH: 4421, EOPL: 4419, PEOP: 4419, HEIN: 4414,
+	ENTT: 4386, MTHE: 4380, HOSE: 4373, FORM: 4351, ANDW: 4347, NSOF: 4347, OMME: 4302, UBLI: 4295, OURC: 4276, WOUL: 4259,
+	ENDE: 4255, PUBL: 4248, NDIT: 4229, ONSO: 4221, INGS: 4215, BLIC: 4195, ALLY: 4191, EPAR: 4173, DINT: 4155, ULDB: 4129,
+	SEOF: 4097, LDBE: 4089, ROMT: 4045, DFOR: 4033, TERE: 3968, EXPE: 3954, CEOF: 3948, IONW: 3947, DERA: 3946, OWER: 3941,
+	ANDE: 3939, OMTH: 3938, EVEN: 3935, NFOR: 3933, ACTI: 3927, CREA: 3917, HEST: 3913, ILIT: 3902, NTHA: 3856, ASBE: 3837,
+	SPEC: 3837, LLBE: 3811, OUND: 3806, CIAL: 3804, UTIO: 3804, ANDP: 3800, INGI: 3796, OPER: 3784, ANDC: 3765, NGTO: 3765,
+	NTRY: 3745, HASB: 3742, SBEE: 3737, HING: 3734, HELA: 3725, NESS: 3703, DITI: 3670, ONTO: 3666, RAND: 3662, TREA: 3662,
+	NING: 3650, WORK: 3644, MUST: 3633, TMEN: 3629, SWHI: 3613, SOME: 3612, OFCO: 3580, JUST: 3560, THOS: 3559, EARE: 3552,
+	INTO: 3551, POSE: 3547, SING: 3514, ASTH: 3505, TYOF: 3498, DWIT: 3494, THEH: 3491, JECT: 3487, DBYT: 3486, AVEB: 3467,
+	EBEE: 3449, RITY: 3447, PEND: 3436, KING: 3434, ENER: 3427, VEBE: 3426, LTHE: 3425, LAST: 3415, MOST: 3408, ROVI: 3405,
+	SARE: 3396, MADE: 3390, UGHT: 3390, YOFT: 3386, ESIN: 3371, HATI: 3369, STIN: 3352, EWOR: 3350, POWE: 3344, OURS: 3316,
+	ERSO: 3315, ATTE: 3306, DENT: 3292, ITHA: 3284, VING: 3283, RATE: 3263, ENAT: 3258, CENT: 3237, GAIN: 3210, TENT: 3208,
+	TORE: 3184, DTOT: 3179, STRA: 3169, IMPO: 3166, NDTO: 3159, HEEX: 3156, EASE: 3150, INDI: 3150, EARS: 3143, EGOV: 3143,
+	VENT: 3142, HEDE: 3137, ENDI: 3127, ILLI: 3123, ANGE: 3114, SWIT: 3113, ERED: 3106, IOUS: 3101, LESS: 3094, ERIN: 3090,
+	ENTE: 3088, ESSE: 3085, HEGO: 3073, INES: 3069, HENA: 3067, ANDF: 3066, ESST: 3062, LLTH: 3059, CTED: 3055, TITU: 3051,
+	FORC: 3033, URIN: 3018, BJEC: 3017, ORTA: 3016, HEPE: 3014, CHAN: 3012, RECE: 3010, ILLB: 2997, ANDM: 2992, SHAV: 2983,
+	EENT: 2973, ARGE: 2972, AINS: 2970, PERI: 2970, STIT: 2970, TATI: 2965, EROF: 2964, EWIT: 2964, MBER: 2963, ETOT: 2957,
+	CETH: 2950, NGIN: 2948, COUR: 2942, ISLA: 2940, SNOT: 2940, HALL: 2937, NCEO: 2934, CEAN: 2923, IDEN: 2922, NERA: 2921,
+	AINT: 2901, ECES: 2901, ICAL: 2891, RACT: 2889, TTER: 2885, UCTI: 2882, ECOU: 2870, SHIP: 2869, EREA: 2867, GENE: 2862,
+	ALLT: 2853, TABL: 2852, ECUR: 2850, MAND: 2849, ARTI: 2847, RIES: 2843, WHEN: 2843, ROUG: 2841, NCRE: 2839, ITHO: 2835,
+	ONLY: 2828, AGAI: 2826, WORL: 2822, HEMA: 2816, ONSA: 2816, ASUR: 2812, EPUB: 2812, ONIN: 2803, RESP: 2803, ICAT: 2801,
+	VETH: 2796, POLI: 2794, COND: 2791, ITIE: 2782, EASU: 2780, DERT: 2777, EREN: 2775, LITY: 2775, ORLD: 2775, TTHA: 2775,
+	TEST: 2772, INCR: 2771, OFFI: 2770, REVE: 2766, RIGH: 2766, CITI: 2763, STRI: 2760, SURE: 2757, ONTI: 2756, HEPA: 2755,
+	UTTH: 2754, MPOR: 2748, NTHI: 2746, FECT: 2744, HAND: 2744, HENE: 2743, EHAV: 2740, NSTI: 2730, ATER: 2727, SCON: 2727,
+	HESA: 2725, NTOT: 2718, TANT: 2718, ERAN: 2709, HETR: 2708, EDWI: 2707, NTTH: 2705, NCET: 2701, CATI: 2700, FACT: 2694,
+	ESPE: 2687, ATIN: 2686, INED: 2680, FORA: 2676, SECU: 2671, SITI: 2666, HEMO: 2662, WHAT: 2653, COME: 2648, TINT: 2648,
+	HATW: 2644, TFOR: 2638, LONG: 2633, ULAT: 2623, PECT: 2620, ISTR: 2619, ROPE: 2619, ITYO: 2611, STRU: 2608, URES: 2606,
+	ISSI: 2605, ERVI: 2598, HEWO: 2596, NDED: 2594, MEND: 2592, LING: 2590, TARY: 2589, NTAN: 2580, MAIN: 2576, APPR: 2575,
+	ITUT: 2573, ORET: 2573, ERST: 2569, MMEN: 2567, NCES: 2565, EATE: 2564, NECE: 2564, STER: 2552, HESU: 2549, CHTH: 2548,
+	NINT: 2546, ENSE: 2544, CHAR: 2540, ESTR: 2538, LISH: 2538, NOUR: 2538, ISHE: 2531, MINI: 2528, RTOF: 2526, EACH: 2524,
+	TRAT: 2516, EMAN: 2513, NTTO: 2510, TEDA: 2501, ATIV: 2494, ERSA: 2492, DUCT: 2486, ESSO: 2480, FFOR: 2474, TORY: 2470,
+	TSAN: 2469, ANDD: 2459, HOUT: 2459, SINC: 2454, ALRE: 2452, MEAN: 2452, ANDH: 2451, SOUR: 2450, FICI: 2447, NIST: 2447,
+	TOCO: 2447, FTHI: 2446, NTIO: 2445, STOF: 2430, ROGR: 2429, CONF: 2425, ESER: 2425, PROG: 2425, HERI: 2421, TAKE: 2421,
+	STOT: 2417, HEPU: 2416, NGAN: 2414, RSOF: 2414, THAS: 2414, AUSE: 2409, SOFA: 2409, YOUR: 2408, USIN: 2403, ISTH: 2394,
+	ISCO: 2392, VERT: 2392, CTIV: 2384, ONTR: 2382, EREI: 2381, ESHA: 2376, WARD: 2376, MISS: 2372, ANDR: 2371, FICE: 2371,
+	HISC: 2371, PONT: 2371, HATA: 2370, TIZE: 2370, IZEN: 2368, YFOR: 2365, STTH: 2364, RNAT: 2359, EDFO: 2357, ITIZ: 2356,
+	VICE: 2356, HEFI: 2354, EACE: 2345, ESEC: 2344, NWHI: 2343, OREI: 2339, ELAT: 2335, PEAC: 2334, SUPP: 2328, STOR: 2326,
+	ETWE: 2325, BLET: 2321, OINT: 2321, ORCE: 2319, INGF: 2317, IDER: 2314, NDRE: 2310, INAN: 2309, FREE: 2308, FFEC: 2305,
+	ICHT: 2300, RENC: 2299, EREC: 2297, NSID: 2297, ERTO: 2294, THRO: 2287, EQUI: 2284, IATI: 2283, INIS: 2282, EART: 2280,
+	MAKE: 2278, NTED: 2278, ALSO: 2274, TOPR: 2274, RTHA: 2270, RESU: 2268, RESO: 2267, STRE: 2267, TICA: 2264, ORDE: 2260,
+	ORIT: 2260, READ: 2257, IVES: 2256, ODUC: 2253, OMMI: 2253, RODU: 2253, ROVE: 2253, EGRE: 2244, HEPO: 2243, NSAN: 2243,
+	HETH: 2241, WEEN: 2241, RTAN: 2240, ERCE: 2235, FERE: 2235, EDIT: 2232, ISIO: 2231, TWEE: 2231, EDUC: 2230, NEED: 2226,
+	REQU: 2225, ITHI: 2224, INCO: 2221, FULL: 2220, TERR: 2218, MATE: 2217, CONC: 2211, HEDI: 2211, MANY: 2206, LITI: 2203,
+	MERC: 2200, TERN: 2200, LEGI: 2199, THOR: 2197, PPRO: 2190, NDCO: 2189, URRE: 2189, ACCO: 2188, ALAN: 2188, WELL: 2188,
+	BETW: 2184, IESA: 2182, HEAD: 2180, SHAL: 2179, BEIN: 2178, WEHA: 2178, URSE: 2177, BEFO: 2172, EWHO: 2167, TEND: 2166,
+	ETHI: 2165, TEDI: 2160, ONOM: 2159, CAUS: 2156, TUTI: 2153, IFIC: 2152, GIVE: 2150, SETH: 2149, ALLE: 2148, ICUL: 2147,
+	REFO: 2141, NCON: 2139, ECTE: 2135, INAT: 2133, CHIN: 2131, RESI: 2131, PERA: 2130, ALTH: 2129, RVIC: 2127, OMPL: 2126,
+	TANC: 2126, LARG: 2121, SEVE: 2121, EDON: 2118, TWAS: 2118, PROD: 2114, INDE: 2110, ENSI: 2104, ALLO: 2103, ERTA: 2103,
+	HEWA: 2103, REIG: 2103, TERS: 2103, LETH: 2100, SPRO: 2100, DIST: 2097, SAME: 2091, ANDB: 2089, ENTW: 2088, CONO: 2087,
+	EDIS: 2087, ISTE: 2087, EQUA: 2084, TINU: 2084, VISI: 2083, AREA: 2082, SLAT: 2080, SSTH: 2080, ERNA: 2074, RSAN: 2074,
+	SIST: 2072, THEV: 2071, MITT: 2070, ZENS: 2070, OURP: 2065, NEVE: 2063, SSAR: 2063, UTHO: 2063, IBLE: 2062, HEMI: 2058,
+	ONSW: 2056, NSTR: 2055, YSTE: 2055, STAB: 2053, ICHI: 2051, ETER: 2050, TEDB: 2049, IRST: 2048, NOTH: 2048, ALIN: 2045,
+	DERS: 2041, VEST: 2041, ERET: 2040, ININ: 2040, HROU: 2037, EIGN: 2035, VIDE: 2035, LATE: 2033, FCON: 2032, STEM: 2032,
+	ISTI: 2029, HATS: 2027, TTLE: 2027, LION: 2025, HEAR: 2022, NALL: 2019, ISTO: 2014, UEST: 2014, LLIO: 2012, KNOW: 2011,
+	NDEN: 2011, EGIS: 2010, OURA: 2006, RELA: 2002, HEGR: 2001, TESA: 2001, DNOT: 2000, ISNO: 1999, CALL: 1997, ELIE: 1995,
+	IREC: 1993, AREN: 1992, ETRE: 1989, EPEO: 1985, MMER: 1982, REPR: 1982, ERIO: 1980, EREP: 1977, EWIL: 1975, ECRE: 1973,
+	INAL: 1972, METH: 1972, ASIN: 1968, NDOF: 1968, ATIS: 1964, SHED: 1964, ASTO: 1963, BILI: 1962, URPO: 1960, WHER: 1960,
+	GISL: 1958, SSIN: 1958, VERA: 1958, CIEN: 1955, ESWH: 1949, PPOR: 1947, TWIT: 1945, SWIL: 1944, ONDI: 1942, UCHA: 1942,
+	EQUE: 1940, TERI: 1940, ESTE: 1935, INCE: 1934, EEXP: 1932, LYIN: 1932, GOOD: 1929, ANIN: 1926, ECAN: 1926, RECT: 1924,
+	THRE: 1924, FFER: 1923, ONCE: 1923, SUBJ: 1923, LIKE: 1918, IONB: 1915, OVID: 1914, HIGH: 1911, LETO: 1911, TERM: 1910,
+	UBJE: 1910, ENTL: 1906, XPEN: 1905, AUTH: 1904, ESTS: 1904, SYST: 1904, TOFA: 1904, EFFE: 1903, MINA: 1901, QUIR: 1901,
+	RENT: 1899, OLIC: 1894, HORI: 1893, GAND: 1891, DURI: 1890, STIC: 1890, TTHI: 1887, DPRO: 1885, SELF: 1885, TYAN: 1884,
+	IESO: 1883, SINE: 1881, DEPA: 1879, ORTO: 1879, EFUL: 1877, ICHW: 1876, POSI: 1875, TRAN: 1875, GETH: 1872, HIST: 1872,
+	ADMI: 1871, REOF: 1869, INGP: 1868, OURT: 1867, RANC: 1866, DCON: 1865, DEVE: 1863, AINE: 1862, ESHO: 1862, ORTS: 1860,
+	REIN: 1860, TRUC: 1857, NDSO: 1856, URCO: 1856, RFOR: 1852, YING: 1850, ISIN: 1849, STIL: 1849, TWIL: 1845, NION: 1844,
+	ERVE: 1842, NSTH: 1842, RETO: 1842, OFIT: 1840, MPLE: 1839, FIRS: 1838, NITY: 1838, LLOW: 1836, REDI: 1836, CTOF: 1832,
+	PROT: 1832, WHAL: 1831, ARTO: 1830, REMA: 1826, NGOF: 1825, ONWH: 1823, TSTH: 1823, HEME: 1821, ITYA: 1821, INGW: 1820,
+	ESAM: 1819, ERIT: 1818, IEVE: 1818, ESID: 1817, EAME: 1815, MILI: 1815, POSS: 1814, DIFF: 1812, MUNI: 1811, TSIN: 1811,
+	RDER: 1810, SWER: 1809, YCON: 1809, OFIN: 1807, RPOS: 1806, IEST: 1805, ANTI: 1804, IENC: 1804, NDPR: 1801, MEDI: 1800,
+	BECO: 1798, NCEA: 1797, DENC: 1794, HECA: 1794, HERS: 1794, BUTT: 1789, STIM: 1787, PECI: 1785, ARTM: 1783, EPOR: 1783,
+	OFAN: 1781, ROWN: 1780, ROTE: 1779, RTME: 1779, NOTB: 1778, YINT: 1777, REDU: 1776, ENCY: 1775, SPER: 1774, NSTA: 1772,
+	ASON: 1767, EWHI: 1767, SARY: 1766, USTR: 1766, ERMI: 1763, RYOF: 1763, TOMA: 1761, WHIL: 1759, STED: 1756, EXTE: 1753,
+	RITI: 1753, TCON: 1750, LECT: 1748, ENIN: 1747, SSOF: 1747, ANNO: 1745, EING: 1745, NTRI: 1745, OSIT: 1745, HILE: 1743,
+	ITTE: 1742, HERA: 1741, REDT: 1739, ATET: 1738, IONF: 1735, QUES: 1735, TECT: 1735, ARLY: 1733, DISC: 1733, EENA: 1733,
+	ROPO: 1733, ECEI: 1732, OWTH: 1732, HALE: 1729, CULT: 1728, RUCT: 1728, TETH: 1726, ERCO: 1725, NATE: 1724, NTLY: 1720,
+	LLIN: 1716, NCOM: 1714, SULT: 1712, EDER: 1711, PROM: 1711, ATEA: 1709, PERS: 1709, RMAN: 1706, SIBL: 1706, ASSE: 1705,
+	INIT: 1705, OTEC: 1705, INCI: 1703, EIND: 1700, TERT: 1698, TILL: 1697, ATHE: 1695, FTER: 1695, DUCE: 1694, AVEA: 1693,
+	OCON: 1693, EVEL: 1691, MOUN: 1691, NITI: 1691, DFRO: 1690, RTAI: 1690, RABL: 1689, AYBE: 1688, FALL: 1688, MPRO: 1688,
+	CETO: 1686, LEOF: 1685, PLAC: 1685, RINC: 1680, EMUS: 1679, ITYT: 1678, INGC: 1677, NTRA: 1676, PENS: 1676, OFRE: 1675,
+	RCOU: 1675, ANDL: 1671, EMPL: 1671, INGL: 1671, EREF: 1670, RIEN: 1669, SESS: 1669, USTI: 1669, ITHE: 1664, SFRO: 1664,
+	TTOT: 1663, MMUN: 1658, SBUT: 1657, ESOU: 1656, EOUR: 1655, FITS: 1655, TERA: 1655, XTEN: 1653, HISS: 1652, ICHH: 1651,
+	STIO: 1651, ESPO: 1650, PLET: 1647, REPO: 1647, IZED: 1646, ATUR: 1644, EMAI: 1644, TTEN: 1644, ECUT: 1642, IENT: 1640,
+	HANG: 1639, MUCH: 1639, SIVE: 1639, CONV: 1638, BUTI: 1637, ENOT: 1637, ARTH: 1636, IMPR: 1636, LACE: 1635, ALLI: 1632,
+	BLIS: 1632, ERSI: 1631, VERE: 1631, DSOF: 1630, NTSO: 1630, ALCO: 1629, PASS: 1629, OSED: 1628, NNOT: 1627, RCON: 1627,
+	UIRE: 1627, EASO: 1626, DEDT: 1623, OTHI: 1623, VERS: 1623, ABLI: 1619, OMMU: 1619, ACTO: 1618, EATT: 1617, EOFA: 1617,
+	EACT: 1616, RMIN: 1616, INDU: 1615, NGER: 1613, LEAN: 1612, CTTH: 1611, OPRO: 1611, IATE: 1608, LINE: 1607, RITO: 1605,
+	CANN: 1604, DINA: 1604, CERT: 1603, HOUG: 1602, RALL: 1600, ICIE: 1599, EPEN: 1598, NDAN: 1598, OFAL: 1597, RANS: 1597,
+	TICE: 1596, IMAT: 1595, FEDE: 1594, ECAU: 1593, LYTH: 1593, ANDN: 1592, MAYB: 1592, ETIM: 1591, ISSU: 1590, BECA: 1588,
+	HEEN: 1588, AGRE: 1587, HEWH: 1586, AFTE: 1582, DIRE: 1581, ITOR: 1581, EMBE: 1580, ETHO: 1578, SONT: 1577, CANS: 1576,
+	ONSE: 1576, ONFO: 1574, OTBE: 1572, AVET: 1571, TOFO: 1571, ATEO: 1570, RCES: 1565, ECTT: 1564, NWIT: 1560, RETA: 1560,
+	ICES: 1559, EARL: 1556, MEAS: 1555, REAL: 1555, SOFO: 1555, POIN: 1553, EPER: 1552, HEAM: 1552, AINI: 1548, EAST: 1548,
+	ESUL: 1548, GHTT: 1548, HERT: 1548, INUE: 1548, ORMA: 1548, OWIN: 1548, CURI: 1538, ECIA: 1536, CEIN: 1534, LCON: 1533,
+	NSTO: 1533, PERM: 1531, TYEA: 1531, PURP: 1530, RINT: 1529, OMET: 1527, ABOU: 1526, ALIT: 1526, ETAR: 1523, PROC: 1521,
+	DOFT: 1520, HEAC: 1520, OGRA: 1520, PRIN: 1520, GREE: 1518, ITAL: 1518, OMES: 1518, INOU: 1514, ORES: 1514, REAN: 1514,
+	HISP: 1512, OTHA: 1512, EALT: 1511, YTHA: 1511, ORDI: 1509, YMEN: 1509, AMOU: 1508, NCLU: 1508, ECTS: 1507, RADE: 1505,
+	ESFO: 1503, EINC: 1501, EHAS: 1500, HOUS: 1499, SSED: 1498, ADVA: 1497, ONWI: 1494, PLAN: 1494, OPRI: 1490, TRAD: 1490,
+	SSES: 1489, BOUT: 1488, ORTI: 1488, VELO: 1488, BUSI: 1487, ASTE: 1485, RYTH: 1483, DESI: 1479, EMOR: 1479, BENE: 1478,
+	TYTO: 1478, ERCI: 1477, EMOS: 1475, GHTS: 1475, ROFT: 1475, RYAN: 1475, TALL: 1475, HEFA: 1474, DVAN: 1473, EEME: 1473,
+	CHHA: 1472, EADY: 1472, NTST: 1471, STRO: 1471, ANTS: 1470, ASTA: 1470, INSU: 1469, LEAR: 1468, QUAL: 1465, DEFE: 1464,
+	ELAS: 1464, EPRI: 1464, IVED: 1462, RENO: 1462, IVER: 1461, OPOS: 1461, ERMA: 1460, CARE: 1459, EANS: 1459, LAWS: 1457,
+	ENAN: 1456, NTAI: 1456, NDAT: 1454, TEOF: 1452, OURF: 1451, ARIN: 1450, ERRI: 1450, HESO: 1450, INGB: 1450, SPON: 1450,
+	REME: 1449, THOF: 1449, NEDT: 1448, PREV: 1448, EALL: 1447, EWAR: 1447, NSIN: 1445, HOPE: 1444, DOUR: 1442, ITSE: 1442,
+	SSHO: 1442, NTSA: 1441, XIST: 1441, EXIS: 1440, LYTO: 1440, ONIS: 1439, ARES: 1435, AVIN: 1435, TOUR: 1435, PLOY: 1434,
+	NTEN: 1431, PONS: 1431, NISH: 1430, OUTT: 1429, COUL: 1428, EDAS: 1426, ESEA: 1424, IONH: 1424, ULAR: 1424, GATI: 1422,
+	RAGE: 1422, NDST: 1421, ASED: 1420, IVIL: 1420, LDIN: 1420, EYEA: 1419, NEST: 1419, ONSH: 1419, RSTH: 1418, TIMA: 1418,
+	BOTH: 1415, TTED: 1414, ARED: 1411, BELI: 1410, EWAS: 1410, OUTH: 1410, IONE: 1409, HISI: 1408, INGE: 1408, NCER: 1408,
+	WHOL: 1408, CTOR: 1407, MMIS: 1406, DMIN: 1405, OUSE: 1405, ESWI: 1404, MPLO: 1402, ARET: 1400, RIAL: 1400, RTIC: 1399,
+	ALLA: 1394, EDEP: 1393, ENDT: 1393, ROPR: 1393, SEDT: 1393, SHAS: 1393, TRIB: 1393, ANTA: 1392, EFRO: 1391, TITI: 1391,
+	AKIN: 1390, NDUS: 1390, ANTH: 1389, CEIV: 1389, OURN: 1389, HATO: 1388, TRIE: 1388, LLED: 1385, PROS: 1385, ASSI: 1384,
+	LIEV: 1384, ISCA: 1379, LVES: 1379, ORTU: 1379, GHTH: 1377, OSSI: 1377, TPRO: 1374, EMAD: 1373, URTH: 1373, ATIT: 1372,
+	ATWE: 1372, DISP: 1372, ENTR: 1372, LEME: 1372, NEAR: 1372, EIMP: 1368, ELAW: 1368, LICY: 1368, RDIN: 1368, RIOU: 1368,
+	LITA: 1367, NPRO: 1366, ROAD: 1365, WEAR: 1363, CLUD: 1362, HEBE: 1362, NOMI: 1362, SOFC: 1362, YWIT: 1362, ERRE: 1360,
+	BERE: 1359, EAPP: 1359, CTIN: 1358, IGAT: 1358, DEPE: 1357, EPOS: 1357, NTRO: 1357, HANT: 1356, MATI: 1355, AVER: 1353,
+	ENCO: 1350, NOFA: 1349, ORAN: 1349, TORI: 1349, GEST: 1347, NCEI: 1347, NEOF: 1347, URAL: 1347, HEFO: 1346, TOSE: 1345,
+	OGRE: 1344, TEMP: 1344, EDAT: 1341, GEOF: 1341, DEST: 1340, EINS: 1340, STHI: 1340, ESUB: 1339, OMPA: 1338, EOFO: 1337,
+	ASWE: 1336, CUTI: 1336, SATI: 1336, RPRO: 1334, RYIN: 1334, UPPO: 1334, DONE: 1333, TIAL: 1333, LYRE: 1332, REGA: 1332,
+	SSIB: 1330, EDFR: 1326, FINA: 1326, TELY: 1326, GRAM: 1324, VEME: 1323, ORIN: 1322, HELE: 1321, RSTA: 1321, LAIM: 1320,
+	SCOM: 1320, SWHO: 1319, RIAT: 1317, ENDA: 1315, MILL: 1315, TOIN: 1315, FAIR: 1314, OSPE: 1314, STBE: 1314, LPRO: 1313,
+	SCAL: 1313, NCIP: 1312, CLAI: 1311, CRET: 1311, HELP: 1311, CULA: 1310, DUST: 1310, TWHI: 1310, USEO: 1306, EXCE: 1305,
+	RONG: 1304, WEVE: 1304, RANT: 1303, TSTO: 1302, ELVE: 1301, OUTO: 1301, WEMU: 1301, ANYO: 1298, TUAL: 1298, RELI: 1297,
+	ACTE: 1294, YARE: 1294, REIS: 1292, MARK: 1290, ITAR: 1288, NDAR: 1288, ECTO: 1287, GROW: 1287, HINT: 1287, WAST: 1287,
+	EATY: 1286, FOUN: 1285, RSON: 1284, RSTO: 1281, RYTO: 1280, CURR: 1279, ONSU: 1277, OREA: 1277, HENT: 1276, OFPR: 1276,
+	USTO: 1276, DATI: 1275, POST: 1275, UNDA: 1275, WING: 1273, ELOP: 1272, NITS: 1272, INGH: 1271, SECO: 1271, SSAN: 1271,
+	NABL: 1270, PROB: 1269, ENGT: 1268, OOUR: 1268, SEST: 1268, EFFO: 1266, THAV: 1266, SSTO: 1265, ANDG: 1263, EFIR: 1263,
+	IESW: 1263, ISTA: 1263, ONEO: 1260, IVET: 1258, ALOF: 1257, EIVE: 1257, URIT: 1257, ITWA: 1256, ATEL: 1255, INGM: 1255,
+	ONHA: 1255, SUCC: 1254, NDFO: 1253, NTAT: 1253, IZAT: 1252, ZATI: 1252, AMON: 1251, LICA: 1251, FICA: 1250, STOB: 1250,
+	FTHA: 1247, RTUN: 1247, EROU: 1246, EXEC: 1246, NDWH: 1246, ONVE: 1245, PRIA: 1245, XECU: 1245, NDWI: 1243, SECR: 1243,
+	EREW: 1242, NAME: 1240, OMIN: 1239, SHOW: 1239, URET: 1238, ENTF: 1237, TODE: 1235, HOLE: 1234, LYAN: 1234, RRIT: 1234,
+	SEWH: 1234, UREA: 1234, INRE: 1233, NTIA: 1232, LIES: 1231, ASSU: 1230, ROUS: 1230, TURN: 1230, UCCE: 1230, DONT: 1229,
+	ARDT: 1227, USTA: 1227, UMBE: 1226, ICER: 1224, LEAS: 1224, RCOM: 1224, TOOU: 1224, HEHA: 1223, MING: 1223, DIVI: 1222,
+	EBUT: 1222, EREL: 1222, TIST: 1221, LIMI: 1220, OMIC: 1220, CCES: 1218, NCOU: 1218, IMIN: 1217, TOGE: 1216, HATC: 1214,
+	IVEN: 1214, PERC: 1214, AKEN: 1213, LABO: 1213, CASE: 1212, VIEW: 1212, MALL: 1211, IVEA: 1210, NDIA: 1210, SELV: 1210,
+	HEAL: 1209, ARDS: 1208, NDIS: 1208, EREM: 1207, BEST: 1206, DUTY: 1206, ABOR: 1205, ICHA: 1205, LDRE: 1205, CHAS: 1203,
+	SETT: 1203, TIFI: 1203, ECHA: 1202, ARYO: 1201, HOWE: 1201, OFWH: 1201, PTIO: 1201, ECLA: 1200, TAGE: 1200, IHAV: 1199,
+	INGU: 1199, REED: 1199, RSIN: 1199, DHAV: 1198, EMED: 1194, NENT: 1194, REAC: 1193, TREN: 1193, MEOF: 1191, OVIS: 1190,
+	REPU: 1189, ETTE: 1188, HECH: 1188, BUIL: 1187, LIVE: 1186, AAND: 1185, STEA: 1185, ULTI: 1185, MONG: 1184, HATH: 1183,
+	IALL: 1183, AGES: 1182, ONGT: 1182, LOFT: 1181, NOTA: 1181, ANDU: 1177, SEIN: 1177, UNIO: 1177, BILL: 1176, ETRA: 1176,
+	ISRE: 1176, SIGN: 1176, AVES: 1175, ERPR: 1175, CESO: 1174, OURE: 1173, RCHA: 1173, NOTT: 1172, WAYS: 1172, USTB: 1171,
+	CORD: 1170, YPRO: 1170, YWHI: 1170, EMIN: 1169, OMPE: 1169, YHAV: 1169, CHIL: 1168, THUS: 1168, CIVI: 1167, ILLA: 1167,
+	NGOU: 1167, TEVE: 1167, NDWE: 1166, OGET: 1166, OUSA: 1165, URCE: 1165, OFAM: 1164, NSWH: 1163, PLEA: 1163, TOME: 1162,
+	ULDN: 1162, HOME: 1161, TEAN: 1161, CANB: 1160, EOFF: 1160, TOWA: 1160, FORD: 1159, ILLS: 1159, EFEN: 1158, RGEN: 1158,
+	SONA: 1158, ULLY: 1158, CURE: 1157, EARN: 1157, VENU: 1157, AVOR: 1155, INTA: 1155, EPAS: 1154, ITSO: 1154, ARAN: 1152,
+	PRIV: 1151, TEDW: 1151, ACHI: 1150, ETTH: 1150, NDDE: 1149, ONFI: 1149, SNOW: 1148, ENEW: 1147, NCED: 1147, OPPO: 1147,
+	RREN: 1147, EXIC: 1145, IESI: 1145, MSEL: 1145, TISA: 1145, DTOA: 1144, DUPO: 1144, ONOR: 1144, WASA: 1143, MEXI: 1142,
+	CLEA: 1141, SEEM: 1141, CEPT: 1140, EGUL: 1140, ISHA: 1140, EOTH: 1139, STOP: 1139, UALL: 1139, ERIG: 1138, ROUN: 1138,
+	SEAN: 1138, SURY: 1138, GANI: 1137, NDOU: 1137, MIGH: 1136, OVEM: 1132, HELI: 1131, IDED: 1131, EASI: 1129, EEND: 1129,
+	OURO: 1129, GENT: 1128, ABIL: 1127, DTHI: 1126, ITTH: 1126, CEED: 1123, SCOU: 1123, WECA: 1123, EMEA: 1122, OSEO: 1122,
+	VETO: 1122, ORAT: 1121, OSEW: 1121, DITS: 1120, ENEF: 1120, ENUE: 1120, HISA: 1120, NDON: 1120, ONIT: 1120, ANBE: 1119,
+	CTIC: 1119, OFMA: 1119, VALU: 1119, LIFE: 1118, ALGO: 1117, INFO: 1117, ESUP: 1116, NSIO: 1116, EWHA: 1115, TRIC: 1115,
+	LEIN: 1114, ACTU: 1113, HISG: 1113, IRED: 1113, ESWE: 1112, EARI: 1111, ITUR: 1111, ORRE: 1110, FENS: 1109, PARE: 1109,
+	NHAS: 1108, TISF: 1108, REMO: 1107, NCEW: 1106, APPE: 1105, ERSH: 1105, RRES: 1105, BANK: 1104, KETH: 1104, RAIN: 1104,
+	ASES: 1102, EATI: 1102, OWAR: 1102, EITH: 1101, OBJE: 1101, GINT: 1100, ESAR: 1099, OSTO: 1098, ENTU: 1097, GULA: 1097,
+	LREA: 1097, NICA: 1097, NUMB: 1097, NVEN: 1096, EGEN: 1095, RENG: 1095, SIMP: 1095, METO: 1094, MONE: 1094, WERS: 1094,
+	NEFI: 1093, OMAK: 1093, OSTA: 1093, DITU: 1092, OFSU: 1092, IBER: 1091, PLES: 1091, RIVE: 1090, BRIT: 1089, ERFO: 1089,
+	HMEN: 1089, AMEN: 1088, HATE: 1088, OFPE: 1087, ROSP: 1086, LGOV: 1085, SESO: 1084, UTUR: 1083, LEAD: 1082, NDSA: 1082,
+	AINA: 1081, FUTU: 1081, REGU: 1081, TUNI: 1081, DIAN: 1080, NGFO: 1080, ENTC: 1078, FORS: 1078, EARA: 1077, OMMO: 1077,
+	INVE: 1076, ALPR: 1075, BLEA: 1075, EDUP: 1075, ESIR: 1075, ECEN: 1072, ESIT: 1072, ERTY: 1071, ANCI: 1070, LIBE: 1069,
+	LINT: 1069, OFHI: 1069, CIPL: 1068, TIAT: 1068, ARYT: 1067, EGAR: 1066, HEYA: 1066, MEET: 1066, SHIN: 1065, TESO: 1065,
+	DRES: 1064, EEST: 1064, NDMA: 1064, REVI: 1064, ACON: 1063, ITIC: 1063, REDA: 1063, REND: 1063, AYTH: 1062, LYBE: 1062,
+	ORGA: 1062, FORI: 1061, IEND: 1061, OMEN: 1061, NERS: 1060, OREC: 1060, ORED: 1060, SWEL: 1060, TYTH: 1060, EENS: 1059,
+	HEFU: 1059, RISE: 1059, GRAN: 1058, OMAN: 1058, STOC: 1058, AMIL: 1057, GARD: 1057, ONAS: 1056, SPOS: 1056, IFTH: 1055,
+	REPA: 1055, RGAN: 1055, HTTO: 1054, ERSW: 1053, NANC: 1053, ATAN: 1052, ITWI: 1052, PRAC: 1052, OFFE: 1051, EEFF: 1050,
+	HEDA: 1050, NEXT: 1050, SOFS: 1049, ELEG: 1048, IMES: 1048, YTHI: 1047, HEHO: 1046, HETE: 1046, ICTI: 1046, ALON: 1045,
+	HERO: 1045, TRAI: 1045, GFOR: 1044, TERO: 1044, IVIN: 1043, ALLB: 1042, NSIB: 1042, FRIE: 1041, IFFE: 1041, EDOM: 1040,
+	FIND: 1040, INCL: 1040, OSEC: 1040, SPIR: 1040, YTOT: 1040, CATE: 1039, DOTH: 1039, OFWA: 1037, SOCI: 1037, ENEC: 1036,
+	ILLE: 1036, TOTA: 1035, EMON: 1034, IMIT: 1034, ORME: 1034, AGEN: 1033, LDNO: 1033, ISFA: 1032, SWHE: 1032, WTHE: 1032,
+	OLIT: 1031, ONES: 1030, RTHI: 1030, MINE: 1029, TOAN: 1029, BLEM: 1028, NTAL: 1028, REDE: 1028, CARR: 1027, EIRC: 1027,
+	SAGE: 1027, ARCH: 1026, GING: 1026, NOTO: 1026, UREO: 1026, INWH: 1025, OSET: 1025, SINA: 1025, FAMI: 1023, NSWI: 1023,
+	STEN: 1023, EEDO: 1022, EFIN: 1021, SOFP: 1021, ENTB: 1019, ETTL: 1019, GEME: 1019, NVES: 1019, SUFF: 1019, TRON: 1019,
+	HARE: 1018, HILD: 1018, ROMO: 1018, TIRE: 1018, TURA: 1018, PAST: 1017, RIBU: 1017, OLUT: 1016, PLEO: 1016, ROCE: 1016,
+	TROL: 1016, FURT: 1015, HATP: 1015, NATU: 1015, CAND: 1014, DERE: 1014, FORW: 1014, FUND: 1014, ISHM: 1013, SPRE: 1013,
+	URNA: 1013, CHIE: 1012, DCOM: 1012, GENC: 1012, NOFC: 1011, OHAV: 1010, TSHO: 1009, HAVI: 1008, PERT: 1007, DTOB: 1006,
+	EIGH: 1006, STOM: 1006, HASA: 1005, IVID: 1004, CCOM: 1003, EAMO: 1003, IPLE: 1003, ASAN: 1002, CIRC: 1002, HESP: 1002,
+	HOLD: 1001, RTED: 1000, SENA: 1000, TSWH: 1000, ENSA: 999, LEDT: 999, MATT: 999, EEXE: 998, SUND: 998, ANSA: 997,
+	NACT: 997, OURM: 997, OWEV: 997, PREC: 997, TWOU: 997, DEFI: 996, DICA: 996, OCAL: 996, TOEX: 996, USAN: 995,
+	DBEE: 994, DEMA: 994, INGR: 994, NFRO: 994, HEYE: 993, MPLI: 993, TNOT: 993, TOFC: 993, UTIN: 993, IALS: 991,
+	APPL: 990, ENDS: 990, TERP: 990, ANIZ: 989, HEFR: 989, DOWN: 988, INGD: 988, UDGE: 988, UNTI: 988, FARM: 987,
+	ESNO: 985, EYOU: 985, DUAL: 984, HISW: 984, SEAS: 984, ANEN: 983, WEST: 983, ETOA: 981, NTAG: 981, ONEY: 981,
+	STME: 981, CANA: 980, ATHA: 979, ENTP: 979, ERSE: 979, UILD: 979, ITYI: 978, RICT: 978, RTIO: 978, SPEN: 978,
+	WHOS: 977, NSUR: 976, EDOF: 975, EENE: 975, ORAL: 975, OROU: 975, GTOT: 974, EPEA: 973, ISPO: 973, AREF: 972,
+	OVED: 972, RMED: 972, ASNO: 970, HEMS: 970, PING: 970, ROMI: 970, OFOR: 969, NDHA: 968, EINA: 967, GHTI: 967,
+	HEBA: 967, VESS: 967, ESSH: 966, SETO: 966, GTHA: 965, HERW: 965, NTIT: 965, BEMA: 963, HOUR: 963, STYE: 963,
+	DEBT: 962, NOFO: 962, OMEO: 962, OSTI: 962, RCEN: 962, SSEN: 962, SAFE: 961, NSHA: 960, SSEL: 959, STOA: 959,
+	LASS: 958, COST: 957, FAVO: 957, URDE: 957, AGEO: 956, WESH: 956, EOFP: 955, GRAT: 955, BLES: 954, CESA: 954,
+	ETOB: 954, DBYA: 953, ESEE: 953, LYCO: 953, ENOW: 952, ICIA: 952, RIVA: 952, CERS: 951, URED: 950, BUTA: 949,
+	EDOU: 949, SSIT: 949, EPUR: 948, ERHA: 948, IRCU: 948, SUBS: 948, ITIN: 947, BERA: 946, NIGH: 946, ARAT: 945,
+	AVEN: 945, HEIM: 944, EPLA: 943, LOWE: 943, PARA: 943, DWHI: 942, LLOF: 942, SOTH: 942, WISE: 942, CIPA: 941,
+	TEDF: 941, DJUS: 940, ESSF: 940, LOOK: 940, RRED: 940, DOUB: 939, EENM: 939, EREV: 939, LLCO: 939, NOTE: 939,
+	SSIS: 939, VEIN: 939, ADET: 938, EWHE: 938, SSAG: 938, TOAC: 938, LEST: 937, TCOM: 937, IDIN: 936, REFU: 936,
+	ETWO: 935, ESSW: 933, INVI: 933, IVAT: 933, RENE: 933, RIOD: 933, YOUT: 933, ELEC: 932, FISC: 932, OURI: 932,
+	UTOF: 932, ENSO: 931, EYAR: 931, ARRI: 930, ERWH: 930, NDSE: 930, NGCO: 930, FAME: 929, SHME: 929, ERVA: 928,
+	NOMY: 928, NTSI: 928, RITA: 928, ISPR: 927, NDAL: 927, NHIS: 927, DEMO: 926, DERI: 926, EENC: 926, STAR: 926,
+	TESI: 926, RERE: 925, ADDI: 924, ITHS: 924, ITOF: 923, MEST: 922, ENFO: 921, HREE: 921, OBLE: 921, SOUT: 921,
+	VATE: 921, ARSA: 920, HEFE: 920, HEGE: 920, ISAN: 920, OSES: 920, ROMA: 920, TONL: 920, BETT: 919, NSFO: 919,
+	HELO: 918, ISIS: 918, ROUR: 918, EATH: 916, NDSU: 916, TOFI: 916, LETE: 915, SONS: 914, ACTS: 913, LDTH: 913,
+	ITAT: 912, RALA: 912, EPOW: 911, HEIS: 911, TORS: 910, HEYW: 909, HOFT: 909, LFOR: 909, SMAL: 909, OMEA: 908,
+	TSHA: 908, LOSE: 906, OUSL: 906, ONBE: 905, PPLI: 905, ALST: 904, EALI: 904, ERIE: 904, NTIM: 904, PTED: 904,
+	SFAC: 904, HEBO: 903, ITAN: 903, REAR: 903, UETO: 903, EFRE: 902, ENED: 902, OLLE: 902, VEAN: 902, CING: 901,
+	DSAN: 901, LLEN: 901, MOVE: 901, TOSU: 901, GHTO: 900, LCOM: 900, NALA: 900, RELY: 899, TOEN: 899, TRYA: 899,
+	ARTE: 898, ESAS: 897, IMET: 897, FHIS: 896, LYEA: 896, PITA: 896, RTER: 896, STOO: 896, TINC: 896, UMAN: 896,
+	COLL: 895, ERWI: 895, HEAT: 895, ONTE: 895, ACEA: 894, HEBU: 894, PMEN: 894, USES: 893, ECTA: 892, ILLN: 892,
+	IONC: 892, ATCO: 891, OPEN: 891, SUPO: 891, ANAT: 890, URGE: 889, ARKE: 888, SEQU: 888, ATIF: 887, EDIA: 887,
+	NETH: 887, TRAC: 887, EFIT: 886, HESH: 886, WATE: 886, IMME: 885, ASTY: 884, CEST: 884, CITY: 884, NTRE: 884,
+	RALI: 884, SGOV: 884, CRIM: 882, LLAR: 882, EDED: 881, TFRO: 881, VANC: 881, ALES: 880, IBIL: 880, STSO: 880,
+	ANAN: 879, EHEA: 879, INGN: 879, LUDE: 879, MMIT: 879, NOWT: 879, SAST: 879, URAG: 879, ESHI: 878, HERP: 878,
+	NWAS: 878, ATEI: 877, CHOO: 877, NGAG: 877, ONDE: 877, ANTO: 876, REEM: 876, ALTO: 875, INFL: 875, CLOS: 874,
+	HEOT: 874, RANG: 874, CHED: 873, DEQU: 873, EIRO: 873, ELIN: 873, ELLI: 873, MPOS: 873, ELLA: 872, BERO: 871,
+	EEDS: 871, SHOR: 871, NTOA: 869, FTHO: 868, ICEA: 868, NGIT: 868, ISGO: 867, ROBL: 867, ARAC: 866, ITSA: 866,
+	QUEN: 866, XICO: 866, CANC: 865, LLYA: 865, RICE: 865, ASEO: 864, CEWI: 864, ENAC: 864, PORA: 864, SLAN: 864,
+	ULTU: 864, ABLY: 863, ANOT: 863, FWHI: 863, TESW: 863, OLON: 862, AREO: 861, IBUT: 861, LLNO: 860, STCO: 860,
+	ALYE: 859, EFAC: 859, ICEO: 859, LTUR: 859, PAND: 859, VEDT: 859, ANTE: 858, DGET: 858, EGOT: 858, NTHO: 858,
+	SATT: 858, CRED: 857, HIPS: 857, LWAY: 857, MEMB: 857, OFAR: 856, RWHI: 856, ARRA: 855, HEMT: 855, NIZE: 855,
+	REHE: 855, WANT: 855, ONSF: 854, RMER: 854, RNIN: 854, ONGE: 853, UATE: 853, DETH: 852, NDMO: 852, NEDA: 852,
+	OTON: 852, NGWI: 851, ORTT: 851, HERN: 850, SEAR: 850, TTOB: 850, OROF: 849, RTSO: 849, TBUT: 849, LTHA: 848,
+	NTWI: 848, TRES: 848, UALI: 848, DALL: 847, MONT: 846, PERF: 846, PRIC: 846, PULA: 846, ALUE: 845, EMPT: 845,
+	LLRE: 845, NSTT: 845, OPRE: 845, ATTA: 844, DATT: 844, EREG: 844, ALWA: 843, ENRE: 842, TONE: 842, HARG: 841,
+	LDHA: 841, NDAS: 841, ONNE: 841, SALL: 841, TYIN: 841, DIAT: 840, ERBE: 840, HISM: 840, NDEX: 840, ALAR: 839,
+	ATAL: 839, NDIV: 839, OFDE: 838, ADEA: 837, ASTS: 837, CTUR: 837, DUTI: 837, LIGH: 837, SOFF: 837, ALSE: 836,
+	ANST: 836, HERC: 836, TOWH: 836, EMSE: 835, ENTM: 835, NDEP: 835, ALLS: 834, ENMA: 834, HISD: 834, EEDI: 833,
+	HISR: 833, RUST: 833, TISH: 833, ASSO: 832, ATOR: 832, CIES: 832, HASE: 832, OTTO: 832, RWIT: 832, ESUC: 831,
+	NONE: 831, OFGO: 831, FORO: 830, LUTI: 830, SOFM: 830, LESO: 829, NGST: 829, ESET: 828, ESON: 827, HAPP: 827,
+	IONM: 827, NALS: 827, OCCU: 827, UENC: 827, ULDH: 827, CYOF: 826, LLAS: 826, SCRI: 826, SIRE: 826, UTIE: 826,
+	CTSO: 825, EACC: 824, TENS: 824, NAVY: 823, NSWE: 823, REPE: 823, TEDO: 823, TOFF: 823, EDCO: 822, MANI: 822,
+	NDNO: 822, DEDA: 821, EARM: 821, MMON: 821, PACI: 821, SOFI: 821, ARNE: 820, DISA: 820, FIED: 820, OLLA: 820,
+	UTIV: 820, DWIL: 819, EIRP: 818, ENEX: 818, ERIS: 818, HAST: 818, ITSP: 818, DTOS: 817, EEVE: 817, OURR: 817,
+	SCAN: 817, VANT: 817, AKET: 816, DREN: 816, EYHA: 816, HARA: 816, PIRI: 816, SHAR: 816, SMAY: 816, HESI: 815,
+	DETE: 814, EADI: 814, NSIS: 814, SEDA: 814, ADOP: 813, ANNE: 813, DOPT: 813, NNEC: 813, USTH: 813, AREI: 812,
+	EEXT: 811, EOFS: 811, RSHA: 811, SSUR: 811, UNTE: 811, ECOR: 810, LANC: 810, ORTE: 810, ATEN: 809, EMIS: 809,
+	ENEE: 809, GHTE: 809, STOS: 809, DDIT: 808, ESOL: 808, HADB: 808, HANA: 808, ANTT: 807, DSTH: 807, HEYH: 807,
+	NDME: 807, SUBM: 807, VOLU: 807, EADO: 806, HEAP: 806, OFAC: 806, CORP: 805, SCHO: 805, YWIL: 805, EFED: 804,
+	ETOS: 804, TARI: 804, ARIS: 803, BERS: 803, CHOF: 803, ENSU: 803, TODO: 803, OAST: 802, RKIN: 802, SSHA: 802,
+	UROP: 802, KEEP: 801, LICI: 801, SAID: 801, XPER: 801, AREC: 800, EDRE: 800, HECI: 800, LOCA: 800, VERI: 800,
+	EITS: 799, LNOT: 798, EITI: 797, INAR: 797, TITS: 797, ATRE: 796, FORP: 796, VATI: 796, FIDE: 795, NORT: 795,
+	ONFE: 795, SINS: 795, URCH: 795, USLY: 795, ARYA: 794, CTER: 794, IVEL: 794, IDEA: 793, NDDI: 793, OFSE: 793,
+	RECI: 793, SONE: 793, EDSO: 792, HATM: 792, IDUA: 792, RESA: 792, EENR: 791, ETUR: 791, HUMA: 791, NARY: 791,
+	OFTE: 791, ORKI: 791, SSUE: 791, BUTW: 790, EFER: 790, ICET: 790, ORMO: 790, RSHI: 790, FARE: 789, ITYW: 788,
+	OURG: 788, RNED: 788, SIBI: 788, ACHE: 787, ASMA: 787, VIDU: 787, BERT: 786, LANT: 786, NDSH: 786, OTAL: 786,
+	DTOP: 785, ADBE: 784, ALMO: 784, HISH: 784, ISES: 784, LARS: 784, ARME: 782, PRIS: 782, THEJ: 782, ASRE: 781,
+	CTUA: 781, ONOU: 781, REWI: 781, ARDE: 780, EONT: 780, SWAS: 780, FPRO: 779, LIZE: 779, OFLA: 779, SELS: 779,
+	TEAD: 779, TINA: 779, UPPL: 779, EURO: 778, UROW: 778, BETH: 777, ENOR: 777, HETI: 777, MAKI: 777, MANE: 777,
+	OCOM: 777, OOPE: 777, ISON: 776, NAGE: 776, ONCO: 776, EOFC: 775, HISO: 775, NEGO: 775, OWNT: 775, ESIS: 774,
+	EUND: 774, SCHA: 774, ASHI: 773, IRIT: 773, NTFO: 773, OCIA: 773, WHET: 773, ONER: 772, OPIN: 772, TICI: 772,
+	VENO: 772, ARMY: 771, COVE: 771, UCED: 771, TTIN: 770, AGRI: 769, AKES: 769, ELAN: 769, MSOF: 769, ONET: 769,
+	REBE: 769, REFE: 769, ATHO: 768, MENA: 768, RICU: 768, TLEM: 768, USED: 768, DEDI: 767, DUND: 767, GOUR: 767,
+	ORAB: 767, HEWI: 766, ONED: 766, OUTA: 766, RCIT: 766, RPRI: 766, TISN: 766, TOST: 766, XPEC: 766, CALY: 765,
+	DMOR: 765, EFIC: 765, HETW: 765, LLAN: 765, NTSW: 765, OURD: 765, TCAN: 765, TOFS: 765, ONBY: 764, ONON: 764,
+	GRIC: 762, TERC: 762, EEDE: 761, EREB: 761, ITTO: 761, ORIZ: 761, RDTH: 761, SOFE: 761, UCAT: 761, URSU: 761,
+	ANCH: 760, APIT: 760, AYIN: 760, CAPI: 760, DANG: 760, DUCA: 760, TALI: 760, SAPP: 759, STSE: 759, EADE: 758,
+	EDIF: 758, ATIC: 757, IFFI: 757, NTCO: 757, MESS: 756, DTOC: 755, ENOU: 755, HISE: 755, LENT: 755, BACK: 754,
+	ETHR: 754, GOTI: 754, GROU: 754, GWIT: 754, TUDE: 754, EDES: 753, EFOU: 753, ESTT: 753, ETIT: 753, HEOP: 753,
+	MMED: 753, OLLO: 753, DEDB: 752, NINC: 752, RMAT: 752, CIFI: 751, DECI: 751, INPR: 751, LSOF: 751, OTIA: 751,
+	PPEA: 751, APER: 750, FSUC: 750, BEPR: 749, FCOM: 749, NDUN: 749, PTHE: 749, EHAD: 748, CANP: 747, RMIT: 747,
+	YCOM: 747, EBET: 746, MPAN: 746, NSHO: 746, TONI: 746, TSEL: 746, IALA: 745, OFST: 745, SWOU: 745, VESA: 745,
+	EMOV: 744, EWER: 744, AGED: 743, CHIS: 743, NGAS: 743, TALS: 743, TOIT: 743, DBUT: 742, DELI: 742, ISHI: 742,
+	SRES: 742, LOYE: 741, BRIN: 740, DINC: 740, EDUN: 740, ESCO: 740, ADJU: 739, EMAR: 739, ERIA: 739, APPO: 738,
+	EXER: 738, ISEA: 738, LUSI: 738, OLVE: 738, BEGI: 737, STAL: 737, ARST: 736, EDEC: 736, CTTO: 735, FWAR: 735,
+	IFIE: 735, ISIT: 735, NGSO: 735, NUAL: 735, OMEE: 735, UBMI: 735, ACET: 734, ALFO: 734, CANT: 733, CHWE: 733,
+	EOFI: 733, EXAM: 733, VEAL: 733, ANNU: 732, ONOT: 732, SEDI: 732, TOAL: 732, ANIS: 731, NWIL: 731, RALG: 730,
+	UNIC: 730, FAIL: 729, FOLL: 729, NALI: 729, RPRE: 729, TRYT: 729, ANSW: 728, ELON: 728, IDES: 728, LECO: 728,
+	TSTA: 728, IOND: 727, LOPM: 727, MERE: 727, HEWE: 726, NBUT: 726, AIMS: 725, ENDO: 725, FICU: 725, ILLC: 725,
+	NANY: 725, REDB: 725, USET: 725, ALIZ: 724, APRO: 724, HEVA: 724, OSSE: 724, SOFW: 724, TEIN: 724, VERB: 724,
+	MODE: 723, RIED: 723, SOVE: 723, VESO: 723, ELFA: 722, NDUC: 722, OPME: 722, OWED: 722, TARE: 722, YHAS: 722,
+	ACOM: 721, ENAV: 721, ISED: 721, NDSI: 721, UNTO: 721, ASIT: 720, SITS: 720, HENI: 719, TONT: 719, ASSA: 718,
+	ASTR: 718, BROA: 718, KTHE: 718, PANI: 718, RITS: 718, TRUS: 718, EFFI: 717, HEVE: 717, ILDR: 717, PPRE: 717,
+	STOW: 717, TOHA: 717, WEWI: 717, DWHE: 716, WTHA: 716, MPET: 714, NTIR: 714, TYFO: 714, ATEC: 713, CERN: 713,
+	INJU: 713, TMAY: 713, RONT: 712, SUME: 712, CHIT: 711, INHI: 711, ATEV: 710, ISTS: 710, SREC: 710, TRYI: 710,
+	ASCO: 709, DIND: 709, INSO: 709, NEDI: 709, OING: 709, ONDU: 709, STSA: 709, ESAT: 708, DONO: 707, ELES: 707,
+	ESUM: 707, FINT: 707, NDOT: 707, ORPO: 707, PROF: 707, CLAS: 706, NFID: 706, NOTI: 706, NUET: 706, OFJU: 706,
+	OUBT: 706, ANEW: 705, GOFT: 705, NMAD: 705, HOOL: 704, METI: 704, OFME: 704, TUTE: 704, ACCE: 703, AFFO: 703,
+	EATL: 703, OREP: 703, PPOI: 703, RPOR: 703, HONO: 701, NDFR: 701, OWHI: 701, YOFO: 701, GHTA: 700, ITAB: 700,
+	MEIN: 700, ITYF: 699, MANA: 699, OBEA: 699, ENOF: 698, HATN: 698, HENO: 698, ANAG: 697, ESAL: 697, ETOF: 697,
+	HEQU: 697, ROMP: 697, SESA: 697, TINE: 697, EDEV: 696, HALF: 696, NGOV: 696, YOFA: 696, CISE: 695, EAVE: 695,
+	GUAR: 695, IELD: 695, NGES: 695, OFLI: 695, ONAB: 695, TIMP: 695, DEAL: 694, EVOL: 694, OFSO: 694, YSHO: 694,
+	ESOR: 693, GAGE: 693, HEHE: 693, ONAR: 693, OYME: 693, ESUR: 692, ETIN: 692, HEHI: 692, NFER: 692, OREM: 692,
+	SORT: 692, TELL: 692, ALDE: 691, DOLL: 691, NTIL: 691, RIOR: 691, EWOU: 690, OMOT: 690, ILED: 689, SHER: 689,
+	AMIN: 688, EDEF: 688, ESEV: 688, NGON: 688, EBYT: 687, EENP: 687, LITT: 687, LLEG: 687, ONCL: 687, ONEA: 687,
+	SERI: 687, HEBR: 686, RCIA: 686, RESH: 686, ETOO: 685, ORYO: 685, TSFO: 685, TWHE: 685, AIRS: 684, ANSI: 684,
+	ONAT: 684, ASTI: 683, BLED: 683, HTHA: 683, OALL: 683, ACTT: 682, ANKS: 682, BMIT: 682, EGRA: 682, EPOL: 682,
+	HECL: 682, ERGE: 681, EXPO: 681, HANI: 681, HATD: 681, YINC: 681, FFAI: 680, SMAN: 680, AYME: 679, ELLO: 679,
+	CEME: 678, IGHE: 678, NTSH: 678, RDTO: 678, ASPR: 677, CHWI: 677, ERTI: 677, VELY: 677, ATOF: 676, EDGE: 676,
+	ICIT: 676, ISDE: 676, IVEI: 676, NDBE: 676, PAYM: 676, RDED: 676, RTOT: 676, NEDB: 675, ORSO: 675, RWAR: 675,
+	DSIN: 674, BUDG: 673, GEAN: 673, HEOR: 673, NGPR: 673, FGOV: 672, IVEO: 672, KIND: 672, OSTS: 672, ANAL: 671,
+	EDWH: 671, SMAD: 671, NIZA: 670, ORKE: 670, TRIA: 670, ETOP: 669, NSIV: 669, EINF: 668, MAST: 668, ATCH: 667,
+	EMTH: 667, HINK: 667, ISMA: 667, ITST: 667, TODA: 667, THEQ: 666, EAUT: 665, EENO: 665, PATI: 665, RCHI: 665,
+	TOAS: 665, ELEA: 664, IANS: 664, SOON: 664, URCI: 664, COGN: 663, NCTI: 663, NTUR: 663, OFFR: 663, OPUL: 663,
+	RPEO: 663, VIOL: 663, INIO: 662, LSAN: 662, OGNI: 662, ORCO: 662, PAIN: 662, SEDB: 662, URNI: 662, YONE: 662,
+	DDIS: 661, HARD: 661, HEDU: 661, OBLI: 661, VITA: 661, EGRO: 660, LEDG: 660, SMOR: 660, EMIL: 659, HEDO: 659,
+	NSUC: 659, NWHO: 659, ANSO: 658, CCOR: 658, DEOF: 658, HEES: 658, AREP: 657, NALC: 657, NTIS: 657, NYOF: 657,
+	PURS: 657, RNES: 657, SFUL: 657, UNDT: 657, IRRE: 656, LEAV: 656, LEGA: 656, PREP: 656, DOES: 655, TTOA: 655,
+	URPR: 655, EATB: 654, ECOG: 654, ITSC: 654, ITWO: 654, MPER: 654, NOWI: 654, ONSC: 654, TICU: 654, ESMA: 653,
+	HISB: 653, RETU: 653, RIZE: 653, RSEL: 653, ATEM: 652, FACE: 652, ILLT: 652, NGBE: 652, OTHO: 652, ATPR: 651,
+	EDIC: 651, NTOR: 651, ATLA: 650, ERAB: 650, HATR: 650, ICHM: 650, SALS: 650, USTE: 650, ELYT: 649, INAS: 649,
+	ISCH: 649, NGLE: 649, NOFS: 649, ONWA: 649, INAM: 648, NGLY: 648, ONGA: 648, DARE: 647, DINS: 647, EOFR: 647,
+	EONL: 647, HISN: 647, POPU: 647, RISI: 647, AITH: 646, EIRS: 646, EMTO: 646, OUST: 646, RTIN: 646, SOLU: 646,
+	WAND: 646, ILDI: 645, INMA: 645, INOR: 645, IONP: 645, LENG: 645, NACC: 645, QUAT: 645, RRAN: 645, SSUB: 645,
+	BLIG: 644, CEDI: 644, CHES: 644, EARW: 644, EVET: 644, INTI: 644, NTWH: 644, OARD: 644, ODAY: 644, RALS: 644,
+	ADEQ: 643, IRES: 643, NNUA: 643, NSOM: 643, OFNA: 643, SOFL: 643, ILIZ: 642, RIBE: 642, SEEN: 642, TOPA: 642,
+	ARDO: 641, ASIO: 641, DECL: 641, ENUM: 641, NSES: 641, ADIN: 640, EEDT: 640, INAD: 640, RKET: 640, WASH: 640,
+	ADEI: 639, EASS: 639, EBES: 639, EREO: 639, ERNE: 639, GGES: 639, HHAS: 639, OTIN: 639, OURL: 639, PEAR: 639,
+	RGED: 639, AGET: 638, EHIG: 638, HISF: 638, HREA: 638, ISHO: 638, SWOR: 638, DICT: 637, HINA: 637, INEN: 637,
+	IRIN: 637, OYOU: 637, SHAD: 637, AREE: 636, CIDE: 636, DBEA: 636, NERG: 636, COOP: 635, EALS: 635, EDUT: 635,
+	SAGA: 635, ANAM: 634, HETA: 634, IALI: 634, LIST: 634, TERW: 634, THIR: 634, ISAS: 633, EONE: 632, HECR: 632,
+	ITTL: 632, EATA: 631, RIME: 631, SITY: 631, ULDA: 631, YWHE: 631, ASTT: 630, COLO: 630, ERWA: 630, NDBY: 630,
+	SPAI: 630, DSTO: 629, NRES: 629, UNDI: 629, ANEX: 628, CEDE: 628, NOWN: 628, PLIC: 628, RREC: 628, EIRR: 627,
+	JOIN: 627, NORD: 627, ONWE: 627, GMEN: 626, NSAR: 626, NTIC: 626, REGI: 626, REWA: 626, ERFE: 625, NTON: 625,
+	OLDI: 625, OMIS: 625, ONSB: 625, ORWH: 625, PLIE: 625, TOHI: 625, UGGE: 625, VIOU: 625, ARTS: 624, EMAT: 624,
+	EXPR: 624, NPEO: 624, OMMA: 624, PPIN: 624, REWE: 624, WERT: 624, ADER: 623, DEAN: 623, FAIT: 623, SENS: 623,
+	GHTB: 622, ILLR: 622, IMEN: 622, LTHO: 622, RYFO: 622, OAND: 621, OFNE: 621, ACED: 620, AFFA: 620, ENTY: 620,
+	EXTR: 620, LLPR: 620, LMOS: 619, STON: 619, TECO: 619, TUPO: 619, UTIT: 619, XPRE: 619, BLEI: 618, BOUN: 618,
+	CLUS: 618, DBET: 618, ENGA: 618, AMET: 617, ENTD: 617, HORT: 617, INTR: 617, STRY: 617, ENAB: 616, HHAV: 616,
+	OFFO: 616, OFTR: 616, ONIG: 616, TPRE: 616, ARRY: 615, CORR: 615, ETOC: 615, EUSE: 615, OFEX: 615, ISBE: 614,
+	TETO: 614, ATBR: 613, HENS: 613, ICHS: 613, STLY: 613, ECAR: 612, ORMI: 612, TBEC: 612, TENE: 612, CAPT: 611,
+	CESI: 611, DTOM: 611, EFIS: 611, EUPO: 611, LICS: 611, LICT: 611, UTED: 611, BOAR: 610, EEQU: 610, LEGE: 610,
+	RAIL: 610, RSWH: 610, TSCO: 610, YOTH: 610, ASAL: 609, DHIS: 609, GATE: 609, IGNE: 609, LLYI: 609, TBEE: 609,
+	URPE: 609, ECAP: 608, ROWT: 608, STOD: 608, WHOH: 608, SEDO: 607, EADV: 606, INHA: 606, KAND: 606, PLIS: 606,
+	STHR: 606, UDIN: 606, BASI: 605, ILLP: 605, ISDI: 605, JUDG: 605, MANU: 605, OSTE: 605, BOAT: 604, MFOR: 604,
+	TCOU: 604, YPRE: 604, EXPA: 603, RALP: 603, SUGG: 603, HASN: 602, UPER: 602, URNE: 602, AGEM: 600, ALLC: 600,
+	DTOR: 600, ESIG: 600, FISH: 600, ICHC: 600, LOYM: 600, TOAD: 600, TOHE: 600, ULTS: 600, VARI: 600, AYOF: 599,
+	JUNE: 599, OFGR: 599, TRAL: 599, VECO: 599, DMEN: 598, NBYT: 598, OFAS: 598, TSWI: 598, AJOR: 597, AMPL: 597,
+	ASPE: 597, CEDT: 597, EMER: 597, MAJO: 597, SOFD: 597, VEDI: 597, VILI: 597, NLYT: 596, OFPO: 596, PLEW: 596,
+	REIT: 596, ALPO: 595, NDEM: 595, TANY: 595, AREM: 594, CONN: 594, EENI: 594, ERYO: 594, ESBE: 594, FRAN: 594,
+	JOBS: 594, LLHA: 594, LRES: 594, ORWA: 594, RTTO: 594, TSUC: 594, HCON: 593, NGFR: 593, ALLP: 592, ATYO: 592,
+	ELIM: 592, ETOR: 592, MMAN: 592, NSIT: 592, UNDS: 592, FANY: 591, OPEA: 591, REEN: 591, ANCO: 590, ANPE: 590,
+	NDLE: 590, ECIS: 589, IEDT: 589, NARE: 589, TPER: 589, DAST: 588, IRCO: 588, ONDO: 588, RCIS: 588, RVAT: 588,
+	TSES: 588, AVED: 587, NSAT: 587, TTIM: 587, EISL: 586, LLYT: 586, SIND: 586, VENI: 586, XERC: 586, AGGR: 585,
+	CESW: 585, EVED: 585, HEON: 585, ICIN: 585, NOTS: 585, PEDI: 585, RMOR: 585, STEP: 585, USSI: 585, ENDL: 584,
+	HECU: 584, ITUD: 584, LESA: 584, NDPE: 584, SURP: 584, CCOU: 583, ERNO: 583, OCRA: 583, TEMO: 583, TLEA: 583,
+	TRUE: 583, YREC: 583, AKEA: 582, EDBU: 582, EOVE: 582, ISCR: 582, ARDA: 581, ECAS: 581, EIST: 581, EOPE: 581,
+	HEAV: 581, LDAN: 581, LYDE: 581, ONEW: 581, URAN: 581, ASIS: 580, DRAW: 580, DTOI: 580, EETH: 580, HETO: 580,
+	HWIL: 580, IROW: 580, REHA: 580, TESH: 580, ILET: 579, NDLY: 579, RECA: 579, YBUT: 579, CABL: 578, EGAT: 578,
+	ERSU: 578, UENT: 578, CHAL: 577, DEIN: 577, GGRE: 577, ICIP: 577, ICLE: 577, TBRI: 577, BEAR: 576, BRAN: 576,
+	EENF: 576, ESTM: 576, ITHH: 576, LYAS: 576, NDHE: 576, STTO: 576, ARIT: 575, ATNO: 575, HASI: 575, ITHF: 575,
+	LUDI: 575, TATT: 575, DREA: 574, EMOF: 574, FELL: 574, INMY: 574, ITSH: 574, LIGA: 574, NOFF: 574, OSEA: 574,
+	CALA: 573, EOFM: 573, NGEN: 573, TLED: 573, TLES: 573, GTHI: 572, LEFO: 572, NAPP: 572, ONTA: 572, RACE: 572,
+	ICEI: 571, NSHI: 571, CEWH: 570, DEXP: 570, EMAY: 570, LAIN: 570, LEVE: 570, ONFR: 570, ROFI: 570, SUPE: 570,
+	CHCO: 569, ESEP: 569, ESOM: 569, PINI: 569, STHO: 569, TYOU: 569, INAC: 568, NAST: 568, SACT: 568, SPEA: 568,
+	VAIL: 568, XPAN: 568, BLEC: 567, EEAR: 567, ITHW: 567, NIND: 567, ARIE: 566, HERM: 566, MITS: 566, NSAS: 566,
+	RPAR: 566, COAS: 565, CTAN: 565, EHER: 564, HOHA: 564, IMEA: 564, NCIE: 564, DECE: 563, DETO: 563, DMAN: 563,
+	ISET: 563, NALP: 563, NDHO: 563, NECT: 563, NNIN: 563, RATT: 563, ROSS: 563, SOWN: 563, UFAC: 563, ANUF: 562,
+	HATB: 562, NEXP: 562, NGAL: 562, NUFA: 562, OFDI: 562, EINV: 561, OSEE: 561, OUTS: 561, RAME: 561, WASS: 561,
+	ANAD: 560, ANIM: 560, ATOU: 560, EDPR: 560, ETEN: 560, ILTH: 560, MIND: 560, PAID: 560, THWH: 560, ESCA: 559,
+	OUSI: 559, DPER: 558, EDNO: 558, SPAR: 558, VEDA: 558, ANSP: 557, EDEM: 557, ICAB: 557, NDAM: 557, OFAP: 557,
+	PPLY: 557, TOLE: 557, INVO: 556, OVIN: 556, TITW: 556, UFFI: 556, UGHO: 556, HISL: 555, OYED: 555, ERME: 554,
+	NKIN: 554, ORSE: 554, QUAR: 554, RGOV: 554, VOLV: 554, ARDI: 553, BEDE: 553, ETAI: 553, LAME: 553, NOWA: 553,
+	OTES: 553, RDOF: 553, RTTH: 553, TOPE: 553, AGEA: 552, ALSA: 552, BYCO: 552, HASS: 552, STST: 552, YFRO: 552,
+	EDBE: 551, HEEA: 551, HITE: 551, MISE: 551, NDCA: 551, STMA: 551, TINS: 551, TOSA: 551, ATEF: 550, HEVI: 550,
+	TICL: 550, AVAL: 549, EADM: 549, EGIN: 549, EREQ: 549, ISMO: 549, MSTA: 549, UEOF: 549, HTOF: 548, IMPL: 548,
+	NEAN: 548, NINS: 548, NPRE: 548, SEXP: 548, SOFH: 548, UNTA: 548, YRES: 548, HATF: 547, JURI: 547, OONE: 547,
+	UREI: 547, WHOM: 547, AWAY: 546, LDIS: 546, NTOB: 546, RAIS: 546, TNOW: 546, DAME: 545, EIRA: 545, ELYA: 545,
+	GINA: 545, HELD: 545, IPAT: 545, TEAC: 545, ELIV: 544, ILLH: 544, NSTE: 544, NUED: 544, RINE: 544, STOE: 544,
+	TSAR: 544, EISN: 543, INEV: 543, NAVA: 543, NDWO: 543, PLEI: 543, RTIE: 543, ADES: 542, ATWH: 542, CEAS: 542,
+	DHER: 542, EEXC: 542, ISPE: 542, NONT: 542, NREC: 542, OLAT: 542, TOFP: 542, EANT: 541, ERGY: 541, NUES: 541,
+	RYOU: 541, TLYA: 541, ATWI: 540, DEEM: 540, DTOE: 540, ESFR: 540, ETOD: 540, ITAI: 540, LEDA: 540, MARI: 540,
+	ONRE: 540, PPOS: 540, SBET: 540, SOUN: 540, TSPR: 540, WEAL: 540, XCEP: 540, EENG: 539, FORG: 539, HOTH: 539,
+	ORIE: 539, ORST: 539, WAGE: 539, FERR: 538, UATI: 538, UTHA: 538, BALA: 537, EASA: 537, EORG: 537, EPTI: 537,
+	HIEV: 537, PLAI: 537, DHAS: 536, ERAS: 536, LYPR: 536, NGHI: 536, OREO: 536, OTTH: 536, RIST: 536, TAST: 536,
+	ATEW: 535, BSTA: 535, ENGE: 535, ESSU: 535, LLEC: 535, NTAR: 535, RCEA: 535, TERF: 535, YNOT: 535, IPPI: 534,
+	RCUM: 534, BLEF: 533, DATE: 533, GRAD: 533, MONS: 533, OREV: 533, AVEC: 532, CTLY: 532, DTHO: 532, ECOL: 532,
+	RYCO: 532, TOYO: 532, TTHO: 532, BROU: 531, EMOC: 531, OCEE: 531, ONPR: 531, OODS: 531, OURH: 531, SINO: 531,
+	USTM: 531, AMAT: 530, BYAN: 530, EEMP: 530, EVIO: 530, EWAY: 530, MEDT: 530, NDPA: 530, SAMO: 530, TAIL: 530,
+	WHIT: 530, FEEL: 529, FYOU: 529, HIBI: 529, INET: 529, RRIE: 529, AILE: 528, ENST: 528, LHAV: 528, SITW: 528,
+	SPLA: 528, ATHI: 527, LFAR: 527, LLIT: 527, MOCR: 527, RAMS: 527, RULE: 527, TTOS: 527, BELO: 526, DEFO: 526,
+	ERPO: 526, ESSS: 526, GOLD: 526, ISEN: 526, LTHI: 526, NDEF: 526, NORA: 526, ALEX: 525, ARIF: 525, CASI: 525,
+	ETOM: 525, IBIT: 525, ONEI: 525, REAM: 525, RTAT: 525, ACES: 524, ATON: 524, DOME: 524, EREH: 524, EWIS: 524,
+	LATT: 524, RIND: 524, SELE: 524, SISA: 524, DBEF: 523, EAGA: 523, ERAG: 523, TOFM: 523, TWOR: 523, BUTE: 522,
+	DWOR: 522, EECO: 522, EISA: 522, HONE: 522, LIZA: 522, ACHO: 521, CEFO: 521, EWES: 521, NDPO: 521, ADTH: 520,
+	CILI: 520, DOUT: 520, IVEP: 520, LIEF: 520, SURA: 520, DRED: 519, ESBU: 519, FINI: 519, ISAL: 519, ISST: 519,
+	NDWA: 519, UMST: 519, CEHA: 518, EANA: 518, GEDI: 518, LOUR: 518, MPLA: 518, RILY: 518, RIMI: 518, AHAB: 517,
+	ATLE: 517, CALI: 517, KERS: 517, LIED: 517, MERS: 517, RAVE: 517, ROWI: 517, SGRE: 517, TYWI: 517, EARO: 516,
+	FNAT: 516, GALL: 516, HENU: 516, HEYS: 516, LYEX: 516, NEIT: 516, OBER: 516, PETI: 516, TOCA: 516, ULDS: 516,
+	UTHE: 516, EDAL: 515, ELLE: 515, EVIL: 515, ICAS: 515, ISOF: 515, NSEO: 515, SBYT: 515, AIDT: 514, CCUR: 514,
+	ITHC: 514, LIAN: 514, OGIV: 514, UBST: 514, YEXP: 514, CISI: 513, NIMP: 513, OSER: 513, THAL: 513, UALS: 513,
+	WASN: 513, ABRO: 512, EOFE: 512, ERCH: 512, EVAL: 512, HWHI: 512, ITSI: 512, NDIM: 512, OFMO: 512, SNAT: 512,
+	STAS: 512, ACEO: 511, DIMP: 511, ECHI: 511, GETO: 511, HTHI: 511, ISHT: 511, YCAN: 511, BREA: 510, CALC: 510,
+	DREC: 510, DTHR: 510, NOTF: 510, SDIS: 510, TENC: 510, TREM: 510, EHEN: 509, ERRO: 509, ITIA: 509, ODER: 509,
+	ONMA: 509, SSUC: 509, VEPR: 509, WASI: 509, DAYS: 508, EFUT: 508, MPAR: 508, RYEA: 508, ARAS: 507, CUMS: 507,
+	MPRE: 507, NCEB: 507, NEWA: 507, OUNC: 507, PEAN: 507, SEIT: 507, UCHI: 507, UDED: 507, URAT: 507, CAME: 506,
+	IGNA: 506, INFA: 506, NOWL: 506, ORSA: 506, RCEO: 506, SWEH: 506, VEOF: 506, VICT: 506, ASET: 505, DERO: 505,
+	GHOU: 505, HFOR: 505, HOST: 505, LONE: 505, SAIL: 505, SERE: 505, TSRE: 505, BODY: 504, HEDT: 504, SEPR: 504,
+	THCO: 504, UNIS: 504, ARER: 503, EVIS: 503, FIRM: 503, MOTE: 503, NALT: 503, NGSA: 503, NVIT: 503, ONBU: 503,
+	SPOR: 503, URPL: 503, CAPA: 502, EDHI: 502, ESES: 502, ESRE: 502, GFRO: 502, NDEV: 502, OMPT: 502, PEAK: 502,
+	SCIE: 502, EBEN: 501, EHOU: 501, EIRF: 501, ENWH: 501, ERWE: 501, IANC: 501, LIGE: 501, LSTA: 501, VENE: 501,
+	DTOO: 500, OMPR: 500, TTAC: 500, WHOW: 500, YTOA: 500, ANIT: 499, ANYA: 499, AVEE: 499, ERYS: 499, NTME: 499,
+	ORNE: 499, IRET: 498, ITLE: 498, ODIS: 498, RIFF: 498, THOD: 498, TUAT: 498, UTTO: 498, ZING: 498, ACIF: 497,
+	CCAS: 497, EIRE: 497, ITMA: 497, NMAN: 497, ODOF: 497, OFMI: 497, OFPU: 497, OMBI: 497, RDEN: 497, RGET: 497,
+	SYEA: 497, ANDJ: 496, DTOD: 496, ERLY: 496, NCEM: 496, NGUP: 496, RAPI: 496, TORA: 496, ENCI: 495, SOFR: 495,
+	TOUS: 495, TTOR: 495, ADEB: 494, ESSM: 494, FPEA: 494, HEAN: 494, INSE: 494, NOVE: 494, USEF: 494, EINO: 493,
+	IFWE: 493, IGNI: 493, ISNE: 493, LEDI: 493, ORAR: 493, TTOM: 493, ASEI: 492, CEIP: 492, DBEC: 492, ESPR: 492,
+	NVOL: 492, SARI: 492, THOM: 492, HEPL: 491, LSTH: 491, MICA: 491, NDLA: 491, OPED: 491, BAND: 490, EARC: 490,
+	ESTL: 490, LARE: 490, NHAV: 490, OCCA: 490, TIFY: 490, TODI: 490, YWER: 490, AVEP: 489, ECIT: 489, ENCH: 489,
+	ENEV: 489, EWEL: 489, NSEQ: 489, NTPR: 489, OPET: 489, PREH: 489, RFUL: 489, SCRE: 489, TTOP: 489, WAYT: 489,
+	ALME: 488, ATST: 488, IONR: 488, NGWH: 488, OLEN: 488, ANYP: 487, MANN: 487, TOGI: 487, FRON: 486, GHER: 486,
+	GTON: 486, HANC: 486, OFAG: 486, ONGS: 486, OWNA: 486, RYWH: 486, TENA: 486, ATIE: 485, EGIV: 485, EHIS: 485,
+	ESYS: 485, MTHA: 485, NDIF: 485, NTOC: 485, NTOE: 485, RROR: 485, RTST: 485, RVED: 485, TSOM: 485, CIOU: 484,
+	FINE: 484, IMEI: 484, NOFP: 484, TBYT: 484, WELF: 484, ATRI: 483, BLEP: 483, EIPT: 483, FORN: 483, NATT: 483,
+	NTOS: 483, NWHE: 483, OUTI: 483, YDIS: 483, AVEI: 482, BESU: 482, INSP: 482, OUSC: 482, RFRO: 482, ARYS: 481,
+	ATMA: 481, AYTO: 481, INGG: 481, MOTI: 481, NDES: 481, NHER: 481, NSUL: 481, ACEI: 480, DEDF: 480, EOUT: 480,
+	ESBY: 480, GOIN: 480, NSEN: 480, OWNE: 480, BEEX: 479, EOFW: 479, GNIT: 479, IALT: 479, IDTH: 479, NGSU: 479,
+	NTAS: 479, OACH: 479, RNAL: 479, SANA: 479, TAPP: 479, UNCE: 479, APID: 478, ARIO: 478, CHMA: 478, ITBE: 478,
+	LSER: 478, RREL: 478, SDES: 478, UARY: 478, ETAK: 477, GEIN: 477, INCA: 477, KILL: 477, LYWI: 477, RARY: 477,
+	REES: 477, SEEK: 477, ALLH: 476, ANDV: 476, DNAT: 476, ELAR: 476, ERPE: 476, INSI: 476, MEDA: 476, OREE: 476,
+	RELE: 476, ALIS: 475, ESPA: 475, LEWH: 475, NGAT: 475, ONSS: 475, PONA: 475, RALC: 475, REET: 475, ASHE: 474,
+	ILES: 474, SOFG: 474, BTAI: 473, COMI: 473, FORB: 473, OBTA: 473, PECU: 473, RADI: 473, SAVE: 473, TEXP: 473,
+	AREB: 472, ERDE: 472, HEAG: 472, HEYC: 472, IKET: 472, LBEA: 472, OARE: 472, TBEA: 472, UMEN: 472, OFPA: 471,
+	POND: 471, SASA: 471, STAK: 471, STIF: 471, ANYT: 470, ARSI: 470, ARSO: 470, EWEA: 470, HEEF: 470, HTIN: 470,
+	MOME: 470, NOFI: 470, RASS: 470, ROBA: 470, RTHO: 470, SSFU: 470, YAPP: 470, EABL: 469, EFAR: 469, ESTP: 469,
+	HTSO: 469, ITHM: 469, REVO: 469, TRYW: 469, TSEE: 469, VAST: 469, WARA: 469, EISS: 468, IONN: 468, IONU: 468,
+	JUDI: 468, REDO: 468, TUND: 468, AILS: 467, AVEM: 467, DEPR: 467, GNIZ: 467, NSPO: 467, OSEI: 467, OSTR: 467,
+	RKER: 467, SSTA: 467, STUR: 467, TOFE: 467, UDIC: 467, ADEF: 466, NCHE: 466, OOLS: 466, OVET: 466, WERO: 466,
+	APAR: 465, EJUS: 465, GNED: 465, ICTO: 465, MARC: 465, NALD: 465, NNER: 465, OREF: 465, ARMO: 464, EEXI: 464,
+	FILL: 464, HINE: 464, INEA: 464, NTOP: 464, OWIT: 464, EXCL: 463, IESF: 463, ILLO: 463, OWLE: 463, DOFF: 462,
+	EBRI: 462, FACI: 462, FORF: 462, HABI: 462, ILIE: 462, IMPE: 462, ITHD: 462, IZET: 462, ORPR: 462, SEND: 462,
+	SESI: 462, ESTC: 461, NGPE: 461, TEDU: 461, UREC: 461, CEBE: 460, ETOW: 460, FSTA: 460, IALC: 460, ILLM: 460,
+	NDEC: 460, NFLU: 460, OBEC: 460, OWOR: 460, RDAN: 460, SMEN: 460, TISE: 460, UETH: 460, ZETH: 460, CERE: 459,
+	HIEF: 459, HUND: 459, IFOR: 459, IPTS: 459, NCEN: 459, RAST: 459, SSIV: 459, UART: 459, USTT: 459, CROS: 458,
+	MPTI: 458, NALR: 458, ONAC: 458, WHOA: 458, DESP: 457, NGED: 457, NTHS: 457, HEOF: 456, OITS: 456, OMOR: 456,
+	TSWE: 456, XPED: 456, ADOF: 455, CHAP: 455, CIAT: 455, DSHO: 455, ENEM: 455, ERFU: 455, LUEN: 455, NJUR: 455,
+	NTSE: 455, QUIT: 455, SMUS: 455, DPRE: 454, ILAN: 454, RETI: 454, TAME: 454, TTEM: 454, ASTF: 453, EDOR: 453,
+	ESOV: 453, ISUN: 453, OURB: 453, UTES: 453, VESI: 453, APTA: 452, ARRE: 452, ARYF: 452, DSHI: 452, FLUE: 452,
+	LESH: 452, SUIT: 452, THAD: 452, ARIL: 451, CHRE: 451, EMEM: 451, FTEN: 451, NOLO: 451, RWIL: 451, TIND: 451,
+	AVEL: 450, COMB: 450, DELA: 450, EANI: 450, LAWA: 450, SACR: 450, YALL: 450, CLAR: 449, EDIR: 449, FIEL: 449,
+	ITUA: 449, NCYO: 449, NSON: 449, TART: 449, VERW: 449, ASFO: 448, ECUL: 448, EDIE: 448, ETOE: 448, NDFA: 448,
+	NOTW: 448, RHIS: 448, SAGO: 448, STPR: 448, SUST: 448, YBEE: 448, ISDO: 447, ISSO: 447, LOWI: 447, RLDW: 447,
+	VORA: 447, YOFS: 447, YPER: 447, ANYC: 446, ECED: 446, EDEN: 446, EOFD: 446, ETAX: 446, FIGH: 446, MINT: 446,
+	NDAC: 446, NDEA: 446, RYHA: 446, TECH: 446, USEI: 446, YSTA: 446, AINL: 445, ALTR: 445, ANTL: 445, AREW: 445,
+	ECAL: 445, GPRO: 445, IETY: 445, IREM: 445, IVEC: 445, LEMS: 445, NDNE: 445, EPAY: 444, NINA: 444, NLYA: 444,
+	SOLD: 444, AFFE: 443, AINO: 443, DAGA: 443, EETT: 443, NEFF: 443, NGEM: 443, NSER: 443, NYOT: 443, OHEL: 443,
+	SBEC: 443, CEIT: 442, DOMI: 442, EWAN: 442, NDGR: 442, OFUN: 442, EDME: 441, ERYP: 441, ITSS: 441, LIVI: 441,
+	OLES: 441, RIGI: 441, RWOR: 441, TOMO: 441, EATM: 440, EDAR: 440, ENTN: 440, FGRE: 440, HATG: 440, HTBE: 440,
+	REBY: 440, RPER: 440, SSUM: 440, STAI: 440, SUED: 440, ANSF: 439, DWAS: 439, FARA: 439, LTIM: 439, OFAD: 439,
+	RSWE: 439, TBET: 439, ATSO: 438, AWAR: 438, ICHE: 438, PETH: 438, RTSA: 438, SURV: 438, THIT: 438, YIMP: 438,
+	EBEL: 437, ILLF: 437, ORYA: 437, PLUS: 437, RPLU: 437, XCLU: 437, BSER: 436, EKIN: 436, ERMS: 436, FAND: 436,
+	RWAS: 436, RYRE: 436, SYOU: 436, HPRO: 435, INNO: 435, LYOF: 435, NDUR: 435, NEWE: 435, SPRI: 435, CEIS: 434,
+	DERN: 434, EPTE: 434, HTTH: 434, LLYO: 434, RIVI: 434, THEK: 434, TISM: 434, ACHA: 433, ANRE: 433, ARMS: 433,
+	ARSH: 433, ERNI: 433, INGY: 433, NDIC: 433, OLDA: 433, OTAK: 433, RBUT: 433, RDIS: 433, TACT: 433, ULDT: 433,
+	WNTH: 433, ANUN: 432, EDEE: 432, FLIC: 432, GION: 432, NEMP: 432, NOTP: 432, OURW: 432, SEPA: 432, TWHA: 432,
+	ALEN: 431, ARYI: 431, CLES: 431, FORR: 431, LSEC: 431, NDAD: 431, OMEW: 431, RTIS: 431, SEWI: 431, SSOM: 431,
+	TEDE: 431, WORT: 431, YOUA: 431, YOUN: 431, ALAS: 430, CYAN: 430, DASA: 430, DEEP: 430, EOFH: 430, FAST: 430,
+	FEVE: 430, ISEO: 430, MENO: 430, NDHI: 430, REMI: 430, RSWI: 430, SSTR: 430, USIO: 430, AGEI: 429, DETA: 429,
+	EAPO: 429, ERLA: 429, ETRU: 429, HERD: 429, HIND: 429, LYFO: 429, NDLO: 429, NTOO: 429, OFUS: 429, SONL: 429,
+	STFO: 429, STUD: 429, UARD: 429, AISE: 428, ATAR: 428, DEBY: 428, ENPR: 428, HASP: 428, LYDI: 428, NEIN: 428,
+	OICE: 428, OMAT: 428, REDF: 428, RSAR: 428, SANI: 428, SREA: 428, SREP: 428, TFUL: 428, TISI: 428, TMUS: 428,
+	TYWH: 428, WENT: 428, ALLW: 427, ALTE: 427, CTSA: 427, EKNO: 427, HIRD: 427, IESH: 427, IPAL: 427, RYON: 427,
+	SINV: 427, TITL: 427, OBET: 426, ROLL: 426, TAXE: 426, ATME: 425, BLEO: 425, CECO: 425, DOFA: 425, EAVI: 425,
+	ERTE: 425, ESCR: 425, ETRI: 425, HEEM: 425, INDO: 425, OUTE: 425, TANE: 425, TEME: 425, TTOC: 425, VIET: 425,
+	ESEL: 424, HEOB: 424, IMEO: 424, NUND: 424, OOTH: 424, ORKO: 424, PIRE: 424, SASW: 424, UFFE: 424, ARAG: 423,
+	AVEF: 423, DTOH: 423, EIRD: 423, IALP: 423, LERE: 423, MOFT: 423, TEDN: 423, UCHC: 423, VEDE: 423, AFOR: 422,
+	DARD: 422, GCON: 422, LTOT: 422, NERO: 422, ONME: 422, REDW: 422, SDUR: 422, TACK: 422, ULTO: 422, URMI: 422,
+	URVE: 422, XTRA: 422, EBAN: 421, FULA: 421, LOVE: 421, RGES: 421, TALO: 421, YBEC: 421, YTOS: 421, AKEI: 420,
+	EAGE: 420, ICDE: 420, NDAB: 420, NGPO: 420, DSUC: 419, GHBO: 419, HEJU: 419, ISPU: 419, LEFT: 419, OFCA: 419,
+	PTAI: 419, SISS: 419, BURD: 418, CEDB: 418, ELIB: 418, ESUN: 418, LACK: 418, OBSE: 418, ORKS: 418, RINS: 418,
+	STSI: 418, UMER: 418, ANAC: 417, AROU: 417, ERYE: 417, LLIG: 417, NDLI: 417, OMEI: 417, ORPE: 417, WLED: 417,
+	ATWA: 416, EDUR: 416, EORD: 416, GHTW: 416, ISGR: 416, NDCH: 416, TATU: 416, TEMA: 416, ULDR: 416, WIDE: 416,
+	ACEF: 415, ACQU: 415, EROR: 415, NCEH: 415, NEIG: 415, OPTE: 415, UCTS: 415, ANTR: 414, CUBA: 414, EFAI: 414,
+	ELIG: 414, EWOF: 414, FORH: 414, NIES: 414, OESN: 414, TILI: 414, TPAR: 414, ASST: 413, BARR: 413, BASE: 413,
+	DSOM: 413, EBRA: 413, EELI: 413, ELAY: 413, GESA: 413, NESE: 413, PURC: 413, RUPT: 413, SHIS: 413, TAKI: 413,
+	UREW: 413, AROF: 412, EDAM: 412, EYON: 412, HIMS: 412, ISAP: 412, ONNO: 412, SABL: 412, TALA: 412, TLET: 412,
+	TTOO: 412, VOTE: 412, XPOR: 412, ADAN: 411, CHER: 411, DTOW: 411, ERMO: 411, EVIE: 411, IPRO: 411, ORDA: 411,
+	ORDS: 411, ORIS: 411, OUBL: 411, RLDT: 411, RLYA: 411, ACEW: 410, ALLN: 410, ASAR: 410, EBOA: 410, ENIT: 410,
+	ENLA: 410, ERYA: 410, FPER: 410, ILIN: 410, NCIA: 410, RVET: 410, SHES: 410, VIDI: 410, AVEH: 409, EAGR: 409,
+	OBED: 409, SANE: 409, SHTH: 409, TEDP: 409, TOFH: 409, YWAS: 409, ANWH: 408, DERW: 408, EETI: 408, LICD: 408,
+	OBAB: 408, OIMP: 408, RHAS: 408, TDIS: 408, UNDR: 408, ACRE: 407, ARYP: 407, EALO: 407, ECTL: 407, ESPI: 407,
+	FEAR: 407, ISAB: 407, NADD: 407, ONVI: 407, RACY: 407, SECT: 407, SITU: 407, SSTI: 407, TESF: 407, YOFW: 407,
+	ALDI: 406, ANYS: 406, ATSU: 406, BORS: 406, DEAT: 406, ESSC: 406, HERB: 406, ICHO: 406, NSEA: 406, OFBO: 406,
+	ORER: 406, SOFB: 406, ALAC: 405, ASHA: 405, IGRA: 405, ILIA: 405, MSAN: 405, NGRA: 405, NLES: 405, RTAK: 405,
+	STDE: 405, TOFW: 405, YOND: 405, BYWH: 404, CCUP: 404, CESH: 404, EANE: 404, ENES: 404, EPAI: 404, GOUT: 404,
+	NANT: 404, NDTR: 404, NSET: 404, RMON: 404, ROFA: 404, YITS: 404, BORD: 403, CHWA: 403, DITW: 403, EATS: 403,
+	EIRI: 403, ICAR: 403, LEWI: 403, OFAF: 403, OMUC: 403, ORIG: 403, REEX: 403, SHEA: 403, SOLE: 403, SOLI: 403,
+	VESE: 403, VINC: 403, ALLM: 402, DECO: 402, DEGR: 402, DWHA: 402, FANA: 402, ISYE: 402, LARL: 402, OWAN: 402,
+	PATE: 402, SEFU: 402, TSTR: 402, UNCT: 402, YOUW: 402, AILA: 401, DDUR: 401, EATP: 401, EITW: 401, EMPO: 401,
+	GERS: 401, IESB: 401, NFLI: 401, ULDI: 401, EGAL: 400, FLAT: 400, MENW: 400, MWHI: 400, NDNA: 400, NGLA: 400,
+	SFAR: 400, SWEA: 400, WASP: 400, ACIT: 399, ATTO: 399, EDEL: 399, ERYC: 399, HEUS: 399, IERS: 399, LLOU: 399,
+	MIGR: 399, NCEF: 399, NSUM: 399, SPEE: 399, STPO: 399, ULDE: 399, NBET: 398, NDFI: 398, PINE: 398, RKED: 398,
+	SCAR: 398, URIS: 398, BEYO: 397, DSUP: 397, EMAS: 397, ERAC: 397, LAID: 397, OSAL: 397, RWHE: 397, ECOS: 396,
+	ITHR: 396, MORA: 396, NTEL: 396, OSIN: 396, RALT: 396, SASS: 396, DEPO: 395, EBUS: 395, EIRL: 395, ERCA: 395,
+	ESEI: 395, INQU: 395, ISSE: 395, NEWH: 395, OINC: 395, POSA: 395, RESC: 395, RNIS: 395, SNEC: 395, TOPU: 395,
+	ANAR: 394, EHEL: 394, IVEB: 394, IWIL: 394, LEXP: 394, OBEE: 394, PLED: 394, RCEI: 394, TLYT: 394, WARI: 394,
+	ACIL: 393, ASEA: 393, ASOU: 393, BEAC: 393, CEON: 393, DBEM: 393, IGHB: 393, LOAN: 393, OFSP: 393, RAMO: 393,
+	REAU: 393, RSHO: 393, SEME: 393, CCEP: 392, EGOO: 392, EHAR: 392, HADT: 392, HWAS: 392, IZIN: 392, LENC: 392,
+	NDOL: 392, NGMA: 392, NTIE: 392, NTLE: 392, OMAI: 392, RALR: 392, SINF: 392, VERH: 392, WORD: 392, ANEA: 391,
+	APRI: 391, BOND: 391, ESSB: 391, EWAT: 391, HEEV: 391, ITSR: 391, SWHA: 391, TTHR: 391, VILS: 391, YINA: 391,
+	CHNO: 390, EDWE: 390, HEAB: 390, ITSF: 390, OFEV: 390, ONEE: 390, ORMS: 390, OUNG: 390, RARE: 390, REON: 390,
+	SITE: 390, SLIK: 390, UTWE: 390, XAMI: 390, YONT: 390, BUTO: 389, CHTO: 389, ESHE: 389, ETOI: 389, GTHO: 389,
+	HBOR: 389, ILAR: 389, LLYS: 389, NFIN: 389, NQUI: 389, RALO: 389, SCEN: 389, TFIS: 389, TIGA: 389, BEDI: 388,
+	INER: 388, NOWW: 388, OFHE: 388, OTEN: 388, OWNI: 388, STNO: 388, UCHT: 388, ULDP: 388, URFO: 388, URGO: 388,
+	ANYI: 387, APAN: 387, AUGH: 387, DBES: 387, DSTR: 387, EFUN: 387, FPUB: 387, HASC: 387, IGEN: 387, SIMI: 387,
+	TISO: 387, TMOR: 387, TSPE: 387, ARWI: 386, ATEP: 386, AXES: 386, EBAS: 386, ESAF: 386, HISY: 386, IVEM: 386,
+	LLYC: 386, OTRE: 386, RGEA: 386, VEFO: 386, YTOB: 386, DTOG: 385, EIMM: 385, FREP: 385, ITIM: 385, KOFT: 385,
+	LWIT: 385, NOUG: 385, NPER: 385, NSPE: 385, NTWO: 385, ORSU: 385, BESE: 384, EJUD: 384, ENSH: 384, ERYT: 384,
+	ESTW: 384, GESO: 384, TEDM: 384, ATAS: 383, EADS: 383, EYWI: 383, GETT: 383, INTS: 383, LAVE: 383, LBES: 383,
+	LTER: 383, MULA: 383, NAVI: 383, RSIT: 383, RSUC: 383, SOFN: 383, TISB: 383, USTC: 383, CTAT: 382, EABO: 382,
+	EDHA: 382, ENAL: 382, HATL: 382, IMIL: 382, LVER: 382, NTBE: 382, ORYT: 382, RVES: 382, YOFF: 382, EPIN: 381,
+	NJUS: 381, OREN: 381, OSEN: 381, TWEA: 381, UING: 381, VEDF: 381, EENL: 380, ENJO: 380, EXPL: 380, HOAR: 380,
+	INEX: 380, LINC: 380, NTWA: 380, NYOU: 380, REEF: 380, TMEA: 380, CUST: 379, FEST: 379, FFRE: 379, FURN: 379,
+	NOTC: 379, SSWI: 379, UREF: 379, VERC: 379, ASAC: 378, ATTI: 378, BOVE: 378, DICI: 378, EATO: 378, ENAS: 378,
+	FMAN: 378, ICYO: 378, INVA: 378, JULY: 378, OMIT: 378, ROFF: 378, RPOW: 378, TREP: 378, ABIT: 377, ADVI: 377,
+	AHEA: 377, ALIF: 377, EALR: 377, EHAN: 377, ENWE: 377, HEYM: 377, ISFO: 377, OEXP: 377, RYPR: 377, SESW: 377,
+	WART: 377, YATT: 377, ARYE: 376, AVEO: 376, BLEW: 376, DINO: 376, DPRI: 376, EOBJ: 376, IALR: 376, LYSU: 376,
+	MEWH: 376, NCHA: 376, OLEA: 376, ABOV: 375, ETED: 375, HEAU: 375, ISPA: 375, MILA: 375, NGAB: 375, NGNE: 375,
+	NGSE: 375, NOTR: 375, NTWE: 375, OHIS: 375, STOI: 375, TOFL: 375, VOID: 375, AMEA: 374, ANSH: 374, CQUI: 374,
+	DEED: 374, DEFF: 374, DYOU: 374, LIAR: 374, NDSW: 374, NNAT: 374, NTEX: 374, OFCI: 374, SBEL: 374, TASK: 374,
+	TESS: 374, TICS: 374, URTS: 374, USTS: 374, YREA: 374, AVOI: 373, DILY: 373, LVED: 373, NGLI: 373, NGMO: 373,
+	OCEA: 373, ORKT: 373, SSER: 373, SSOR: 373, STOG: 373, TEMB: 373, TWER: 373, WERA: 373, ADEO: 372, FRES: 372,
+	LDER: 372, MYAN: 372, OFHO: 372, ROSE: 372, SLAV: 372, TEEN: 372, TTOE: 372, ULDC: 372, USOF: 372, YSUC: 372,
+	AFET: 371, DOMA: 371, ENIE: 371, IRAB: 371, ISCU: 371, OADS: 371, SHAN: 371, TSAS: 371, UCHO: 371, WASD: 371,
+	ATEG: 370, ERON: 370, HARP: 370, IDEO: 370, IEWO: 370, LDCO: 370, NAMO: 370, OCAT: 370, REXP: 370, SEFO: 370,
+	HANE: 369, HERR: 369, LLST: 369, NTSU: 369, OSTP: 369, PENT: 369, REWH: 369, UISI: 369, XCEE: 369, YBET: 369,
+	YYEA: 369, ALAM: 368, ARTY: 368, ASTW: 368, BABL: 368, EELE: 368, INEO: 368, LICO: 368, NCIT: 368, PPED: 368,
+	TEAM: 368, TOAP: 368, TWEH: 368, WASC: 368, WOFT: 368, ANGO: 367, DAYO: 367, ERSF: 367, EYWE: 367, GERO: 367,
+	GOAL: 367, IDAT: 367, NTOU: 367, PATR: 367, RMOF: 367, ALLF: 366, ANDY: 366, ESSP: 366, FOTH: 366, GEDT: 366,
+	IONL: 366, IRPR: 366, LLFO: 366, MAIL: 366, MBIN: 366, NWOR: 366, ONSP: 366, SSOU: 366, TOBR: 366, TSON: 366,
+	AILT: 365, COIN: 365, DESE: 365, DSEC: 365, ESAI: 365, IBEL: 365, INDT: 365, LLIE: 365, LLSO: 365, NCAN: 365,
+	NCHI: 365, OTIC: 365, REOR: 365, RTRA: 365, SALR: 365, UTAN: 365, YLAS: 365, AILR: 364, ASAT: 364, CALE: 364,
+	CRAC: 364, DWAR: 364, EDNE: 364, EEPI: 364, HADA: 364, LYON: 364, MECO: 364, NOWS: 364, OLOG: 364, PEDT: 364,
+	RKOF: 364, RSTT: 364, TOWO: 364, VITE: 364, YMAN: 364, ERIV: 363, HGOV: 363, ITHP: 363, LLME: 363, MASS: 363,
+	NALO: 363, NREL: 363, ROFO: 363, TURY: 363, UISH: 363, VENA: 363, YTOP: 363, AIDI: 362, ATDE: 362, ENON: 362,
+	HENC: 362, IGIN: 362, ISTU: 362, ITRA: 362, LOPE: 362, LTIE: 362, NDTE: 362, NOTD: 362, OFOT: 362, OKEE: 362,
+	ORAS: 362, QUEE: 362, SEWE: 362, SONO: 362, TEXA: 362, AINF: 361, ARMA: 361, DIDN: 361, EBUI: 361, EEMS: 361,
+	ICRE: 361, ILRO: 361, NEWS: 361, NFLA: 361, NUPO: 361, ADTO: 360, AMAN: 360, EANY: 360, EEAS: 360, EPRA: 360,
+	IVIT: 360, KETS: 360, LROA: 360, OFCH: 360, OVAL: 360, STAG: 360, TIVI: 360, TNAT: 360, TTOD: 360, WOME: 360,
+	ETOG: 359, GERM: 359, IVEE: 359, KFOR: 359, MILY: 359, REBU: 359, TEDC: 359, TISS: 359, TROO: 359, ATIM: 358,
+	BUTS: 358, CTST: 358, EADD: 358, EDMA: 358, HITS: 358, INNI: 358, JAPA: 358, LIMP: 358, LYAD: 358, PEAL: 358,
+	RESW: 358, RMIL: 358, TONA: 358, WARW: 358, WERI: 358, EADT: 357, FIVE: 357, MESA: 357, NGSI: 357, NSUP: 357,
+	ONCA: 357, ONDS: 357, RCET: 357, SCAP: 357, SPAS: 357, YAME: 357, YLAW: 357, ARWE: 356, BYRE: 356, EDAG: 356,
+	ERER: 356, ERSS: 356, HARM: 356, ITCA: 356, NEQU: 356, OFFA: 356, PREM: 356, RSEA: 356, RYST: 356, SURR: 356,
+	TPOS: 356, EBUR: 355, EOLD: 355, ILVE: 355, INEI: 355, NAMA: 355, NDMI: 355, NLAR: 355, NMOR: 355, OREG: 355,
+	RCUL: 355, SABO: 355, UBLE: 355, USEA: 355, USIV: 355, UTRA: 355, ANIE: 354, ASAS: 354, ATTL: 354, AYEA: 354,
+	CHCA: 354, DEDW: 354, DINF: 354, EDAC: 354, EMET: 354, ERPA: 354, ICCO: 354, IKEA: 354, ISWO: 354, LLSU: 354,
+	NTOM: 354, OUSP: 354, REUN: 354, SILV: 354, UNLE: 354, VALO: 354, WRON: 354, AVIG: 353, DIEN: 353, DOMO: 353,
+	EBEC: 353, EDNA: 353, FDIS: 353, HEAS: 353, ISWI: 353, LYOU: 353, NCYA: 353, NQUE: 353, SAYT: 353, STIG: 353,
+	STOH: 353, THST: 353, URST: 353, YWOU: 353, AMOR: 352, ATSA: 352, BEAD: 352, CHPR: 352, DINM: 352, ERAI: 352,
+	ISAD: 352, LEPR: 352, MSTO: 352, NTEM: 352, NTMA: 352, SSFO: 352, VEDO: 352, WEDO: 352, ACTA: 351, ANON: 351,
+	EGIO: 351, ENDM: 351, ETOH: 351, FCOU: 351, IAAN: 351, OSAY: 351, SEDE: 351, SMUC: 351, TOKE: 351, TREC: 351,
+	USCO: 351, VEAS: 351, ADIS: 350, BATT: 350, BLER: 350, CHAM: 350, ECIV: 350, GNAT: 350, LARA: 350, MUTU: 350,
+	NGDE: 350, NGUI: 350, NPAR: 350, OPTI: 350, OVIE: 350, RUSS: 350, THCA: 350, UTUA: 350, UTYT: 350, VEMA: 350,
+	VISE: 350, ASDE: 349, AVAI: 349, EINI: 349, HANO: 349, HTSA: 349, ILLD: 349, IMEW: 349, IMPA: 349, INLY: 349,
+	LTIN: 349, RSTR: 349, URLA: 349, ANOF: 348, ASWI: 348, ELYI: 348, ENLI: 348, HAME: 348, HEEL: 348, HEMU: 348,
+	HITH: 348, IMMI: 348, ITTI: 348, LEHA: 348, LYSE: 348, NESO: 348, NIFI: 348, PANY: 348, VEIT: 348, ALOR: 347,
+	EDET: 347, GHIS: 347, HEMW: 347, HERL: 347, HERU: 347, MERG: 347, NLYB: 347, NOUN: 347, NTSF: 347, OFEN: 347,
+	RANY: 347, REGO: 347, RMSO: 347, TCHA: 347, TOFR: 347, ALIM: 346, APPI: 346, ECTU: 346, ELOW: 346, ENHA: 346,
+	HENW: 346, ICED: 346, IEDA: 346, IOLA: 346, NAGR: 346, NGAM: 346, NTHR: 346, NTOD: 346, OFLE: 346, ONFL: 346,
+	RBIT: 346, RYIS: 346, SEDU: 346, URTR: 346, VESU: 346, YPAR: 346, AREL: 345, ARPO: 345, AYAN: 345, DAMO: 345,
+	ECHN: 345, ESEM: 345, FITT: 345, HSTA: 345, ICSE: 345, IVEF: 345, LARI: 345, LEIT: 345, MENC: 345, NDEE: 345,
+	NDSP: 345, NEDW: 345, ORSH: 345, OSTM: 345, OUSS: 345, RATH: 345, TOCH: 345, UTYO: 345, ANKI: 344, BEDO: 344,
+	BYOU: 344, CEWE: 344, EMBA: 344, EREE: 344, ICAI: 344, LOWC: 344, ORGE: 344, ROOP: 344, SCUS: 344, SEAT: 344,
+	SSIA: 344, TWES: 344, YOFC: 344, APAC: 343, CHSH: 343, DGRE: 343, EOCC: 343, EPAC: 343, EWIN: 343, HERF: 343,
+	IMSE: 343, ITHG: 343, OOPS: 343, PERO: 343, WASO: 343, DINE: 342, ECLO: 342, ETON: 342, ITSW: 342, NADE: 342,
+	NOFM: 342, NSCO: 342, THAR: 342, TOOD: 342, WSTH: 342, BITI: 341, CKIN: 341, DOVE: 341, EHOW: 341, EINE: 341,
+	ENEA: 341, ETOU: 341, EXCH: 341, ICEW: 341, IDET: 341, IFES: 341, ISIM: 341, ISWA: 341, LICL: 341, LLYE: 341,
+	OBES: 341, OREL: 341, PEED: 341, TOFU: 341, XAMP: 341, ANHA: 340, DANC: 340, EOFG: 340, HEDB: 340, MANS: 340,
+	ORTW: 340, SDOM: 340, SEBE: 340, TEDL: 340, UCHM: 340, UTAL: 340, WSOF: 340, YTOC: 340, AFRI: 339, ARYC: 339,
+	ATLY: 339, DIPL: 339, ERBU: 339, HANK: 339, ITCO: 339, NOTM: 339, NYIN: 339, OSUC: 339, SALE: 339, TSIT: 339,
+	ARSW: 338, EACO: 338, EOFL: 338, IRON: 338, LLTO: 338, MITE: 338, NCHO: 338, NEER: 338, NEWI: 338, NGDO: 338,
+	NGNO: 338, ONGO: 338, ROLO: 338, ROTH: 338, RREP: 338, SPUR: 338, SREG: 338, TASI: 338, UTAS: 338, YCOU: 338,
+	DGME: 337, EHOP: 337, ENWI: 337, INAF: 337, MODI: 337, NREA: 337, ONSM: 337, RBOR: 337, RRYI: 337, RSAG: 337,
+	TEFO: 337, TSBE: 337, UTON: 337, VEAC: 337, YINS: 337, DBYC: 336, ERYW: 336, IFYI: 336, IPLO: 336, NGME: 336,
+	NREG: 336, RSEO: 336, SINM: 336, SOVI: 336, SUSP: 336, USPE: 336, ADEW: 335, EDAY: 335, ENEG: 335, EVID: 335,
+	FYIN: 335, GSOF: 335, LOMA: 335, LPAR: 335, LUNT: 335, MIST: 335, NTEE: 335, TONC: 335, ADDE: 334, ANES: 334,
+	ATEE: 334, CEDA: 334, CEFU: 334, EDHE: 334, ERNS: 334, FEND: 334, HECE: 334, IESC: 334, LLMA: 334, NCUR: 334,
+	OWNS: 334, RISO: 334, SBEI: 334, SPIT: 334, TESC: 334, THSO: 334, XCHA: 334, ALPA: 333, AMES: 333, ASAP: 333,
+	BEAB: 333, DBEP: 333, EINH: 333, ERHE: 333, FTRA: 333, GHES: 333, IEDB: 333, ITME: 333, NECO: 333, OFYO: 333,
+	PAIR: 333, RGER: 333, SOLV: 333, DALS: 332, DDEN: 332, GITS: 332, GUIS: 332, HFUL: 332, INDS: 332, LICE: 332,
+	LLER: 332, LOTH: 332, NDGO: 332, NORI: 332, NYEA: 332, ONAM: 332, PLOM: 332, RIMP: 332, TBES: 332, TLAN: 332,
+	ARBU: 331, CUSS: 331, DEDU: 331, EBEI: 331, ECIR: 331, FAGR: 331, IESS: 331, LABL: 331, LOSS: 331, NYTH: 331,
+	OMEF: 331, ONEH: 331, OSEP: 331, OSUP: 331, REEA: 331, SEET: 331, SISO: 331, TLAS: 331, TMAN: 331, TOIM: 331,
+	YSTR: 331, CEPR: 330, DONL: 330, EOPP: 330, FETY: 330, GONE: 330, HIMT: 330, ICLA: 330, INSA: 330, MOUR: 330,
+	OODA: 330, REFR: 330, RLDA: 330, URFA: 330, WNIN: 330, YITI: 330, YTHR: 330, ANSM: 329, GEDA: 329, HEBI: 329,
+	ISEX: 329, ISPL: 329, LAPP: 329, MESO: 329, NJOY: 329, NORE: 329, NSOL: 329, NWOU: 329, RSFO: 329, TNES: 329,
+	WISH: 329, AKER: 328, ARBI: 328, BLEB: 328, DREP: 328, IBES: 328, KENT: 328, ONWO: 328, SACC: 328, UALA: 328,
+	UTWH: 328, VIGA: 328, YIND: 328, ATEB: 327, CHAC: 327, DOIN: 327, DSHA: 327, EAFT: 327, ERAP: 327, ICOF: 327,
+	INFR: 327, INGJ: 327, KYOU: 327, NOWB: 327, PLEM: 327, SINW: 327, SIRA: 327, TURB: 327, TYIS: 327, USTL: 327,
+	YTHO: 327, ENBY: 326, ERSB: 326, INAG: 326, OLUN: 326, ONGI: 326, RWAY: 326, SCER: 326, UCTE: 326, VERM: 326,
+	XATI: 326, DAPP: 325, EBRO: 325, ISNA: 325, LOOD: 325, MITY: 325, NEWT: 325, NGBU: 325, OTIO: 325, RLDI: 325,
+	TRIO: 325, CADE: 324, FMIL: 324, HORE: 324, ILWA: 324, NALE: 324, NDIR: 324, NEDO: 324, ORNI: 324, REGR: 324,
+	RWHO: 324, SERT: 324, TCHE: 324, TSOW: 324, UCHP: 324, VEDB: 324, WEAP: 324, YTOR: 324, BEAN: 323, BURE: 323,
+	EOUS: 323, HESC: 323, MSTH: 323, NEWC: 323, NSEC: 323, NTYE: 323, OCES: 323, SAVI: 323, SUMM: 323, TANA: 323,
+	TMAS: 323, TWEC: 323, AWTH: 322, DMIT: 322, EADA: 322, EDDU: 322, EREX: 322, INWA: 322, LETS: 322, LYMA: 322,
+	RHAV: 322, RTIF: 322, SALO: 322, SJUS: 322, TABI: 322, TSMA: 322, AUGU: 321, EARB: 321, HASR: 321, INCH: 321,
+	ITYB: 321, LFOF: 321, LSTO: 321, NTBU: 321, OATS: 321, OLUM: 321, USTN: 321, ASHO: 320, DFAI: 320, EDPE: 320,
+	IOLE: 320, ISBU: 320, LEWE: 320, NETO: 320, NSBE: 320, OFWO: 320, ORAM: 320, PATH: 320, PROJ: 320, RADU: 320,
+	RAPP: 320, RNOR: 320, ROJE: 320, RSET: 320, TSFR: 320, TUNA: 320, ULLE: 320, ATUT: 319, CANF: 319, EFRA: 319,
+	EOFN: 319, FCOL: 319, FEAT: 319, FORL: 319, GHAN: 319, LETT: 319, LIND: 319, NIFE: 319, OPOR: 319, ORIC: 319,
+	OUTR: 319, REWO: 319, RYWI: 319, WASR: 319, CLIN: 318, DTRA: 318, EDSU: 318, ENDU: 318, ETAL: 318, HERH: 318,
+	ICAA: 318, INME: 318, INOF: 318, IREL: 318, LLOT: 318, MANC: 318, MENS: 318, NDAG: 318, OJEC: 318, ROAC: 318,
+	ROMC: 318, RPOL: 318, SEMB: 318, SPUT: 318, SREQ: 318, TISP: 318, YMAY: 318, AFEW: 317, CYTH: 317, EADJ: 317,
+	INKI: 317, NEXC: 317, OFMY: 317, OMOF: 317, ORKA: 317, REAK: 317, REYO: 317, ROUT: 317, SYET: 317, TAMO: 317,
+	TOVE: 317, ACRO: 316, CRAT: 316, DASS: 316, EBEG: 316, EDPO: 316, ESSL: 316, FERI: 316, GINN: 316, LETU: 316,
+	LLYD: 316, LOUS: 316, OASS: 316, ONEC: 316, RGEO: 316, SHEL: 316, TLYI: 316, TOCK: 316, URPA: 316, ANYM: 315,
+	ASNE: 315, DNOW: 315, ELSO: 315, ETUS: 315, EVES: 315, HIMA: 315, ISAC: 315, LYEN: 315, NALG: 315, OLDE: 315,
+	OMED: 315, REFF: 315, SDEP: 315, SEFF: 315, SELY: 315, SSON: 315, WARS: 315, CANI: 314, DBYO: 314, DEDO: 314,
+	DENO: 314, DINV: 314, DISE: 314, EANN: 314, EERS: 314, EINP: 314, FNEW: 314, HOWT: 314, LLNE: 314, MANT: 314,
+	THAM: 314, UGGL: 314, UGHA: 314, WASM: 314, ABAN: 313, ADUA: 313, ANIF: 313, ATPE: 313, BENO: 313, EALA: 313,
+	EMIG: 313, ILTO: 313, NDJU: 313, RDST: 313, TOSP: 313, APON: 312, AREG: 312, DEVI: 312, DUET: 312, EAFF: 312,
+	ECTW: 312, ELYS: 312, FULF: 312, INCU: 312, LREC: 312, LSOT: 312, LTOF: 312, NGET: 312, OBRI: 312, ONDT: 312,
+	OUTL: 312, RSAL: 312, RVEY: 312, RWIS: 312, SWEM: 312, VETE: 312, ZEDT: 312, ACCU: 311, ASOF: 311, BESO: 311,
+	DANE: 311, EVIT: 311, FJUS: 311, ITIV: 311, LBEC: 311, MBAR: 311, NITW: 311, OWHA: 311, PHIL: 311, QUIS: 311,
+	RYPO: 311, SACO: 311, SEAC: 311, TLYR: 311, AGIN: 310, AINW: 310, ALSU: 310, ATGO: 310, CRES: 310, ERSC: 310,
+	ETAN: 310, GITI: 310, HTHO: 310, INNE: 310, LLSE: 310, LUEO: 310, NSPI: 310, UDEN: 310, WASF: 310, YDES: 310,
+	ARBO: 309, BERI: 309, FREN: 309, ITSB: 309, ITSD: 309, NWHA: 309, OACC: 309, PERH: 309, SBEF: 309, SITA: 309,
+	TWAR: 309, AGEW: 308, AYSA: 308, CHME: 308, DARY: 308, ENGI: 308, HOWN: 308, LLYR: 308, MEFO: 308, ROMW: 308,
+	RTOR: 308, SINI: 308, SSOC: 308, SSUP: 308, VILE: 308, CANR: 307, CEDU: 307, CKET: 307, IGNC: 307, IVEW: 307,
+	MITA: 307, MPEN: 307, ORFO: 307, REPL: 307, STOU: 307, UGHI: 307, UMED: 307, WECO: 307, AILI: 306, BITR: 306,
+	DITA: 306, ECTF: 306, EDDE: 306, ESAC: 306, EXAS: 306, GHTN: 306, ISLE: 306, NTBY: 306, OMEP: 306, PUTE: 306,
+	RDEP: 306, RETE: 306, SGIV: 306, SIHA: 306, SSAT: 306, TSNO: 306, CKED: 305, DDLE: 305, EAVO: 305, EENB: 305,
+	EWTH: 305, ISWH: 305, LSIN: 305, MITI: 305, NGAR: 305, OPAY: 305, PRED: 305, RESF: 305, RISH: 305, RMEN: 305,
+	SITH: 305, TPRI: 305, TSAT: 305, YDEP: 305, YMOR: 305, ADEC: 304, IGNT: 304, NCIN: 304, NUME: 304, OEST: 304,
+	ONUN: 304, RROW: 304, RTYA: 304, SPAN: 304, TBEI: 304, THHI: 304, TWEM: 304, YEVE: 304, ALCA: 303, ASAM: 303,
+	AYST: 303, DECA: 303, EALW: 303, EDMO: 303, ERYD: 303, EXHI: 303, HOFO: 303, ISME: 303, MILE: 303, NTOI: 303,
+	NTOW: 303, OWST: 303, REDS: 303, REIM: 303, RFEC: 303, RSOM: 303, TGOV: 303, UNDO: 303, WCIT: 303, ATTR: 302,
+	ILEG: 302, INAP: 302, MITM: 302, NATO: 302, NGYE: 302, NMAR: 302, OEVE: 302, RDSO: 302, SUAL: 302, THFU: 302,
+	THYO: 302, WNTO: 302, DCOU: 301, ELFI: 301, ESTU: 301, ETOL: 301, LACT: 301, LEMA: 301, LERA: 301, NDOR: 301,
+	OCAR: 301, PLEN: 301, RONE: 301, RSPE: 301, SINP: 301, TBEF: 301, TESB: 301, TOUT: 301, TWOC: 301, WASE: 301,
+	ALLR: 300, GIVI: 300, GONT: 300, HEBL: 300, IDNO: 300, ILEA: 300, IREF: 300, OFNO: 300, OWNC: 300, PLAT: 300,
+	RCEM: 300, RHAP: 300, SKIN: 300, TELE: 300, TOOK: 300, UITA: 300, UMOF: 300, XHIB: 300, YBEA: 300, APTE: 299,
+	DLES: 299, EEVI: 299, IARY: 299, ISFI: 299, IVAL: 299, KEIT: 299, LINS: 299, PEAT: 299, PHER: 299, RORI: 299,
+	RUGG: 299, WEMA: 299, BUTN: 298, ELEV: 298, ESOC: 298, EWEH: 298, HCAR: 298, NDAP: 298, NVIE: 298, PANA: 298,
+	RNOT: 298, SAGR: 298, TOBU: 298, TSOR: 298, YHAD: 298, AINC: 297, ATAM: 297, BYLA: 297, DDED: 297, EHOL: 297,
+	HESY: 297, HODS: 297, ODTH: 297, OFAB: 297, OWCI: 297, SOMU: 297, TEDH: 297, TEFF: 297, TEWI: 297, YAST: 297,
+	DBYS: 296, DIES: 296, EARD: 296, ERLI: 296, ESTD: 296, EYSH: 296, LAWT: 296, LEDB: 296, NGCA: 296, NORM: 296,
+	OFOF: 296, ORBY: 296, PAPE: 296, RHEA: 296, RISD: 296, RYDE: 296, SHOP: 296, UDGM: 296, UNAT: 296, WERF: 296,
+	CRUI: 295, ECAM: 295, ERBY: 295, FPRE: 295, INOT: 295, OCOU: 295, OTWI: 295, RSUP: 295, TERD: 295, YTOD: 295,
+	ASEN: 294, ATCA: 294, BLEE: 294, DPAR: 294, EMST: 294, FUNC: 294, GINE: 294, GREG: 294, LWOR: 294, MBIA: 294,
+	NPLA: 294, NSRE: 294, RPLA: 294, SEDW: 294, SSEE: 294, TILT: 294, TOGO: 294, ACKS: 293, ADIT: 293, ANAP: 293,
+	ANEV: 293, DHEA: 293, ERIM: 293, HITI: 293, LMES: 293, NGHA: 293, TTRA: 293, UCLE: 293, WISD: 293, ANUA: 292,
+	DCHA: 292, EATU: 292, EIRH: 292, FSOM: 292, ILEI: 292, NSOU: 292, ODIF: 292, ORCA: 292, OREX: 292, PERP: 292,
+	SANC: 292, TALT: 292, UNIF: 292, UREN: 292, WENE: 292, YEST: 292, YUND: 292, ARLI: 291, BELL: 291, EDEA: 291,
+	EFLE: 291, GERT: 291, LEVI: 291, LLDE: 291, NACO: 291, NDPU: 291, NGAP: 291, ONHI: 291, OUSD: 291, PTIN: 291,
+	RLAS: 291, SSME: 291, STWH: 291, TONO: 291, ACLE: 290, AIDA: 290, ARKS: 290, ARSE: 290, EARF: 290, ECRI: 290,
+	ERDI: 290, GESI: 290, ICEN: 290, INHE: 290, NTCA: 290, OAPP: 290, OBST: 290, ONEB: 290, PRET: 290, RPOO: 290,
+	RSIS: 290, TAFF: 290, TESE: 290, TTOW: 290, ABUS: 289, DANA: 289, IMSO: 289, LBEI: 289, LESI: 289, NIVE: 289,
+	NSMA: 289, OEFF: 289, OFLO: 289, OLDT: 289, OSEL: 289, OVEA: 289, REEO: 289, RTOA: 289, SEAL: 289, TINO: 289,
+	TWEN: 289, UREL: 289, YMEA: 289, CUTE: 288, DTOF: 288, ELLT: 288, ESWO: 288, HGRE: 288, IATH: 288, IDON: 288,
+	INPE: 288, NINE: 288, NPOW: 288, NUCL: 288, OFBE: 288, OINS: 288, RIOT: 288, TROU: 288, UNTS: 288, YACT: 288,
+	EIRW: 287, EMAK: 287, ESLI: 287, HIPA: 287, KSAN: 287, NANE: 287, STWI: 287, TAGA: 287, TASA: 287, TEWH: 287,
+	XICA: 287, ALEA: 286, ANYW: 286, DESC: 286, EHAL: 286, ERSP: 286, ERYM: 286, IDLY: 286, IGNP: 286, IMED: 286,
+	INON: 286, JORI: 286, NDBU: 286, OCLA: 286, OKIN: 286, OODT: 286, PENE: 286, REAP: 286, RTHY: 286, SDIC: 286,
+	TDAY: 286, TESM: 286, TILE: 286, TOFD: 286, TOLA: 286, TROY: 286, UARA: 286, UCET: 286, URBA: 286, VEOU: 286,
+	ANSE: 285, DERC: 285, DEVO: 285, DWOU: 285, EASW: 285, ECOV: 285, ESWA: 285, FIFT: 285, GERE: 285, LERS: 285,
+	LFIN: 285, NTIF: 285, REOU: 285, SGRA: 285, SWES: 285, AGUA: 284, ARMI: 284, ASIA: 284, CALP: 284, DLEA: 284,
+	DVIS: 284, EJOB: 284, EYCA: 284, FBOT: 284, HEMB: 284, HTAN: 284, IANT: 284, IEDI: 284, INDA: 284, IRAN: 284,
+	ITES: 284, LDOF: 284, LEDO: 284, NESA: 284, NGIS: 284, NLAN: 284, NSMI: 284, RIFI: 284, SREL: 284, STUB: 284,
+	TOSO: 284, ABSO: 283, DEMN: 283, EDWO: 283, ENMO: 283, INLA: 283, INPA: 283, LBET: 283, MANW: 283, NASS: 283,
+	NREP: 283, SSWH: 283, ALLD: 282, BORA: 282, EORI: 282, ETYO: 282, FOOD: 282, LRIG: 282, LUTE: 282, OBEP: 282,
+	OFAT: 282, PUNI: 282, ROFE: 282, SASI: 282, SMOS: 282, SNOR: 282, TUBB: 282, WINT: 282, ASCE: 281, ATSE: 281,
+	CANM: 281, CLAN: 281, DASI: 281, EAKE: 281, EFUR: 281, FRIC: 281, LLAW: 281, LOFF: 281, NALB: 281, NGHE: 281,
+	OACT: 281, OREW: 281, RSEC: 281, RSUE: 281, STSU: 281, ACRI: 280, ALFA: 280, EBIL: 280, ECID: 280, ELAB: 280,
+	FWHA: 280, LOCK: 280, LOWS: 280, NASI: 280, OFHA: 280, OFIM: 280, ORRO: 280, PREA: 280, RALE: 280, RRIG: 280,
+	TEIT: 280, TISW: 280, TOFJ: 280, DINP: 279, GHLY: 279, HEYD: 279, ILLG: 279, ILLW: 279, LLBU: 279, NGWE: 279,
+	NWAR: 279, OBEL: 279, OFEA: 279, OFRA: 279, PARI: 279, RARM: 279, ROMS: 279, STWE: 279, TERH: 279, THDR: 279,
+	TOTR: 279, TRUG: 279, UOUS: 279, WARE: 279, AIDB: 278, ALAD: 278, ALEM: 278, ALMA: 278, ARDW: 278, CDEB: 278,
+	DMIL: 278, ELLB: 278, HEOL: 278, HOWI: 278, JANU: 278, LBUT: 278, MWIT: 278, NNOW: 278, NOFE: 278, NUAR: 278,
+	ODES: 278, ONLA: 278, OWNO: 278, REVA: 278, RWHA: 278, SEDF: 278, TEXT: 278, TSOU: 278, UILT: 278, CHWO: 277,
+	DEAS: 277, EDRA: 277, EETO: 277, HWIT: 277, IANA: 277, ICTA: 277, IREA: 277, ISER: 277, LASK: 277, NEDU: 277,
+	PERV: 277, RREA: 277, SSMA: 277, TYET: 277, UCHS: 277, UPTO: 277, URYA: 277, AWSA: 276, ESTY: 276, FFEN: 276,
+	FULC: 276, IASK: 276, IEWT: 276, ILAB: 276, LPRE: 276, LYAC: 276, MEMO: 276, NEDF: 276, NIFO: 276, OOKI: 276,
+	REAF: 276, RSER: 276, STAM: 276, VERO: 276, YCHA: 276, ANFO: 275, BORI: 275, DBYM: 275, DISS: 275, DUCI: 275,
+	EENH: 275, GYEA: 275, HAPS: 275, HHAD: 275, IDDL: 275, IDEF: 275, LTRA: 275, LYST: 275, NCIL: 275, NGUN: 275,
+	ODAN: 275, OFBU: 275, PROA: 275, SEXC: 275, AREV: 274, CIET: 274, ERAR: 274, ESUS: 274, HART: 274, INUA: 274,
+	LEDE: 274, NINF: 274, RAFT: 274, RITW: 274, SKIL: 274, UPTH: 274, ASFA: 273, ATFO: 273, CHOU: 273, DCAN: 273,
+	EINW: 273, HEOC: 273, IFEA: 273, ITER: 273, ITYS: 273, IXED: 273, MIES: 273, MMIG: 273, MTHI: 273, NAFF: 273,
+	OMFO: 273, ONHE: 273, REDR: 273, RICH: 273, ROMH: 273, SISN: 273, SOLA: 273, STAC: 273, TOOB: 273, UNEM: 273,
+	YOFP: 273, APPA: 272, DABO: 272, DVER: 272, EANO: 272, FLAW: 272, FOFT: 272, LLAT: 272, LYHA: 272, NGSW: 272,
+	OANY: 272, OONA: 272, ROME: 272, RTHR: 272, SQUA: 272, TEPS: 272, THTO: 272, TSUP: 272, USRE: 272, WAIT: 272,
+	YOFM: 272, ASAF: 271, BEHA: 271, DFIN: 271, DINI: 271, DOFC: 271, ERFR: 271, ESMO: 271, GNCO: 271, INCT: 271,
+	NOTL: 271, NPOL: 271, TEMS: 271, TSTE: 271, VESW: 271, WIND: 271, DFRE: 270, DWEL: 270, DWER: 270, EATC: 270,
+	EDSI: 270, ICHP: 270, LESW: 270, LNAT: 270, LYAP: 270, LYBY: 270, NDUP: 270, ORAC: 270, ORAD: 270, OSTC: 270,
+	OSTT: 270, OWAS: 270, PETE: 270, RLDS: 270, SENC: 270, SINR: 270, TERV: 270, YTOM: 270, ANPR: 269, ATWO: 269,
+	AVEG: 269, CANW: 269, ECIP: 269, FMAR: 269, HASM: 269, HCOM: 269, IGOR: 269, RRUP: 269, STWA: 269, UALR: 269,
+	UTET: 269, AVAG: 268, CANG: 268, DMAK: 268, DNAV: 268, DONA: 268, EDEX: 268, ERWO: 268, IEWS: 268, NDMU: 268,
+	NTAC: 268, OREB: 268, PENI: 268, POOR: 268, RGRE: 268, TASS: 268, TOFG: 268, AGOO: 267, AILO: 267, AMED: 267,
+	AYWE: 267, BEAT: 267, DBER: 267, DENS: 267, DIFI: 267, ENAM: 267, EOFB: 267, IABL: 267, LAWO: 267, LPOW: 267,
+	MIDD: 267, NOFW: 267, NOPE: 267, NSEL: 267, OCTO: 267, ORNO: 267, OUTP: 267, SMEA: 267, STEX: 267, TEMI: 267,
+	TRIK: 267, ATAC: 266, BEAS: 266, BUTF: 266, DACT: 266, EDLY: 266, EEDA: 266, HEFL: 266, HHIS: 266, HTER: 266,
+	IGNS: 266, ILLU: 266, INTM: 266, LYUN: 266, MPAI: 266, NGAC: 266, OLOF: 266, OMEM: 266, TIER: 266, TINF: 266,
+	TOWI: 266, ALUA: 265, DEWI: 265, ENBE: 265, EYES: 265, IMUM: 265, INIM: 265, ITNO: 265, LETI: 265, MPAT: 265,
+	NHAN: 265, NLYI: 265, NMAY: 265, ONEM: 265, OPAR: 265, OUCH: 265, OUSO: 265, SEIS: 265, TALE: 265, TEAS: 265,
+	TSBU: 265, UALM: 265, ASIM: 264, ASPO: 264, AYSO: 264, DHIM: 264, EATN: 264, ELSE: 264, FORY: 264, FULT: 264,
+	GTOA: 264, HEMF: 264, IEDO: 264, ISEI: 264, KEPT: 264, LLAL: 264, LREL: 264, NGEO: 264, NGPA: 264, OREH: 264,
+	OTED: 264, RGIN: 264, RINA: 264, SDON: 264, SLEA: 264, SOUG: 264, SSCO: 264, TISC: 264, TRYS: 264, URER: 264,
+	AFFI: 263, ALSI: 263, ANMA: 263, CALS: 263, CLAM: 263, CRIB: 263, DSFO: 263, FFRA: 263, HASH: 263, INFU: 263,
+	LDPR: 263, LSOR: 263, META: 263, OWNP: 263, STFI: 263, TEDD: 263, THGR: 263, URYT: 263, DECR: 262, EARR: 262,
+	FIRE: 262, GERA: 262, ILYA: 262, LDMA: 262, LDTO: 262, LEDU: 262, LEIS: 262, MWHA: 262, NTDE: 262, POON: 262,
+	RETR: 262, RFRE: 262, SMIT: 262, SOLO: 262, SSOL: 262, TOFN: 262, UTNO: 262, XPOS: 262, YSEL: 262, ACKT: 261,
+	ANWE: 261, EFIE: 261, EHON: 261, ELYB: 261, EMBL: 261, ENNE: 261, ERUN: 261, GHTF: 261, GSAN: 261, LBEP: 261,
+	LCHA: 261, MOUS: 261, NPRI: 261, OCIE: 261, ORLE: 261, ORYI: 261, OWBE: 261, RCED: 261, SESH: 261, SORE: 261,
+	TMAK: 261, TOLI: 261, UALT: 261, YUPO: 261, ADEM: 260, AINP: 260, AREH: 260, EMID: 260, ETIR: 260, IFIT: 260,
+	ILST: 260, ITYC: 260, NCID: 260, NDAF: 260, ORBE: 260, ORKW: 260, RFER: 260, RLAN: 260, RSTI: 260, RYIT: 260,
+	SSPE: 260, TAXA: 260, ANTW: 259, ASSH: 259, AWSO: 259, BETO: 259, DDES: 259, DDRE: 259, ENHE: 259, ESAG: 259,
+	EWED: 259, HATY: 259, LEND: 259, MENI: 259, NCEP: 259, NEMY: 259, OIND: 259, ORSI: 259, OSST: 259, RANA: 259,
+	SOBE: 259, STHU: 259, TSAL: 259, ZEDA: 259, ALBU: 258, AUST: 258, DAYT: 258, DEAD: 258, DESO: 258, DOFO: 258,
+	ECOA: 258, ELFT: 258, EMIT: 258, FUSE: 258, GRAV: 258, HDRA: 258, HMAY: 258, IODO: 258, LANS: 258, NGSH: 258,
+	OFSA: 258, ONEN: 258, OODW: 258, OWTO: 258, RKAN: 258, RVIN: 258, SELA: 258, SESP: 258, TANN: 258, TLYB: 258,
+	TSDE: 258, ALWI: 257, ASIC: 257, ATSH: 257, AWAI: 257, AWOR: 257, CHOT: 257, ECIF: 257, EDLE: 257, ELIK: 257,
+	ERAM: 257, ERGO: 257, ERYI: 257, ERYL: 257, GUPO: 257, HOLL: 257, IMAN: 257, ISAR: 257, ISAT: 257, LMEN: 257,
+	NFAV: 257, NMAK: 257, NSCI: 257, OLLY: 257, TLAW: 257, TLYS: 257, TTOI: 257, UTFO: 257, YADM: 257, ACHT: 256,
+	BYPR: 256, DABL: 256, EASY: 256, ENSW: 256, ESSD: 256, NCYT: 256, NGFA: 256, OFSI: 256, OMAL: 256, ORHI: 256,
+	TACH: 256, TDES: 256, TERB: 256, TWEL: 256, ADVE: 255, ALBA: 255, ATPA: 255, AVIE: 255, DACC: 255, DGED: 255,
+	EYMA: 255, FANE: 255, GBEE: 255, ICAW: 255, NIEN: 255, SCHE: 255, SPHE: 255, TESU: 255, TINV: 255, UEEQ: 255,
+	USUA: 255, ADED: 254, CANE: 254, CTSW: 254, CULI: 254, DPOL: 254, EHIM: 254, EIRB: 254, EPLE: 254, ERLE: 254,
+	FMEX: 254, ITNE: 254, LAWF: 254, LOWA: 254, NANA: 254, NGWA: 254, NVIC: 254, PIRA: 254, PONW: 254, RDSA: 254,
+	SAFT: 254, SALA: 254, TBED: 254, TOHO: 254, UCIN: 254, ULIA: 254, WSAN: 254, XCES: 254, ATPO: 253, EEIN: 253,
+	ESED: 253, HEYR: 253, HWER: 253, ITRE: 253, LAMA: 253, LEMO: 253, LITS: 253, MMOD: 253, NDFU: 253, NEVI: 253,
+	NTYO: 253, OFDO: 253, OMOU: 253, OSTF: 253, PTEM: 253, RAWN: 253, RRIV: 253, STOL: 253, TERG: 253, TMOS: 253,
+	URNT: 253, ACTM: 252, BORN: 252, EPAT: 252, EVAR: 252, EVOT: 252, FEAN: 252, GOTH: 252, LLSA: 252, NGHO: 252,
+	NOWE: 252, OBEI: 252, OMEC: 252, PLAY: 252, QUEG: 252, SFOU: 252, SHAP: 252, STSW: 252, TTAI: 252, URYO: 252,
+	ADIL: 251, ASTC: 251, CELE: 251, CHEC: 251, EDWA: 251, EMEX: 251, EYRE: 251, FERT: 251, GUST: 251, ICTE: 251,
+	IGNO: 251, ISAM: 251, ITSL: 251, KSOF: 251, LLYB: 251, NGJU: 251, ONAP: 251, OODO: 251, OUTB: 251, PRIL: 251,
+	RANE: 251, RLEG: 251, RMSA: 251, SENG: 251, SEPT: 251, TITH: 251, TJUS: 251, TOAM: 251, TTEE: 251, ULDD: 251,
+	UNSE: 251, WNER: 251, YERS: 251, YTOE: 251, BERL: 250, CTSI: 250, EFOL: 250, EGUN: 250, GNPO: 250, HARB: 250,
+	IDAN: 250, INEF: 250, KSTH: 250, LEFF: 250, NFUL: 250, NOFH: 250, NTES: 250, RTOB: 250, STEE: 250, TOMI: 250,
+	TRYH: 250, TSER: 250, USEW: 250, ADDR: 249, AIDO: 249, AILW: 249, AMEP: 249, ANNI: 249, AWAN: 249, BESI: 249,
+	BITA: 249, BLIN: 249, BLOO: 249, BTED: 249, BUSE: 249, CAST: 249, DCAR: 249, DEMP: 249, EDSA: 249, EEOF: 249,
+	EFUS: 249, ERYF: 249, ETIO: 249, HSUC: 249, LDEF: 249, LLWE: 249, NSOR: 249, OFES: 249, ONAG: 249, OUSM: 249,
+	PPER: 249, RAGU: 249, RBAN: 249, ROKE: 249, SEAM: 249, SNEV: 249, SNEW: 249, SONW: 249, SREM: 249, YBES: 249,
+	DNEW: 248, EDSE: 248, EFEA: 248, EFRI: 248, GELY: 248, NGEA: 248, NTPO: 248, NTSB: 248, OFON: 248, OLDS: 248,
+	ORIA: 248, OTCO: 248, PSAN: 248, SBUR: 248, SOPE: 248, SVER: 248, TSUB: 248, TTOH: 248, UANC: 248, UNCH: 248,
+	YASS: 248, YBYT: 248, ZEDB: 248, ACKO: 247, ARTT: 247, CANO: 247, CYIN: 247, DANT: 247, DBEI: 247, EEMI: 247,
+	ETTO: 247, FWOR: 247, GAME: 247, GSTA: 247, HMUS: 247, ISHG: 247, LTHC: 247, NALM: 247, NTOH: 247, OOSE: 247,
+	PONI: 247, RMYA: 247, RYLA: 247, TCHI: 247, TEPR: 247, UTST: 247, YEFF: 247, YETT: 247, AYNO: 246, DPLA: 246,
+	DWHO: 246, ELPT: 246, ENFR: 246, FEXP: 246, MERO: 246, NEUR: 246, NINO: 246, NVER: 246, OURV: 246, OUTW: 246,
+	TTOG: 246, UNFO: 246, BRAC: 245, CEOU: 245, CESF: 245, DENI: 245, DTHU: 245, EXAC: 245, FLAG: 245, HIPO: 245,
+	ISAG: 245, LATU: 245, NINV: 245, NLAW: 245, OLET: 245, RMTH: 245, RTYO: 245, RYWE: 245, TOEF: 245, UTRE: 245,
+	XACT: 245, ANPO: 244, BUTH: 244, CKTH: 244, DSPE: 244, ESCE: 244, ESIM: 244, HEEC: 244, INEE: 244, ITSM: 244,
+	KWIT: 244, LBER: 244, LTED: 244, NSAB: 244, OLIS: 244, ONBO: 244, PIDL: 244, RCAN: 244, RCAR: 244, RECL: 244,
+	RTRE: 244, SULA: 244, TYCO: 244, WAYO: 244, ALCH: 243, ARBE: 243, ARCO: 243, CEBY: 243, ESCH: 243, EWEM: 243,
+	FRAU: 243, GNIF: 243, HECK: 243, HWOU: 243, INFE: 243, ISEL: 243, ISOR: 243, ITWE: 243, LBEN: 243, NANI: 243,
+	NGOR: 243, OATT: 243, OFTA: 243, SADM: 243, SDEC: 243, SIGH: 243, TLYE: 243, TOSH: 243, TRAV: 243, TYHA: 243,
+	UALC: 243, ACEN: 242, ATYW: 242, BEHI: 242, BSOL: 242, DATA: 242, DIMI: 242, DSEE: 242, DWES: 242, ETRO: 242,
+	FELT: 242, HESL: 242, LOST: 242, NDRA: 242, RNAV: 242, RSEW: 242, RYAS: 242, SALT: 242, SEHA: 242, THIM: 242,
+	UCHR: 242, WOCO: 242, YTOO: 242, YWOR: 242, ALEF: 241, ALWE: 241, ARTA: 241, ASPA: 241, EEXA: 241, EGUA: 241,
+	ELOC: 241, FITA: 241, HEGU: 241, ILIP: 241, NBOT: 241, NEWM: 241, NSAC: 241, ODEF: 241, OWNB: 241, PACE: 241,
+	RIDE: 241, RNTO: 241, RSUI: 241, SCOR: 241, SESU: 241, SONI: 241, SOTO: 241, TENO: 241, THOW: 241, THSU: 241,
+	TRYO: 241, ULFI: 241, YINV: 241, ANIC: 240, ANYF: 240, ARNI: 240, ARYR: 240, ATNE: 240, BEAP: 240, BINE: 240,
+	CEAT: 240, FLIF: 240, HEHU: 240, IALD: 240, LLAM: 240, RANK: 240, RLYI: 240, STWO: 240, TMON: 240, TREG: 240,
+	TSEA: 240, UCHE: 240, ACAN: 239, AWHA: 239, CHHE: 239, DBEN: 239, DLIK: 239, EHIN: 239, ERAD: 239, HNOL: 239,
+	ICIO: 239, LDAL: 239, OFVI: 239, PTLY: 239, RTNE: 239, SANO: 239, SORD: 239, SSEM: 239, VESH: 239, YNEE: 239,
+	ALCU: 238, ATEH: 238, CREW: 238, EBAT: 238, ECAD: 238, GABO: 238, HORO: 238, HOWS: 238, IGHL: 238, LEXI: 238,
+	LFIL: 238, LWAR: 238, NAGA: 238, NCEC: 238, NISA: 238, NORO: 238, OMWH: 238, OSEF: 238, RLYT: 238, RTOP: 238,
+	RUNI: 238, SAUT: 238, SSEC: 238, STMO: 238, SURG: 238, URTO: 238, WEDT: 238, YACC: 238, YIST: 238, YSHA: 238,
+	ARTN: 237, BUCK: 237, DNES: 237, EAWA: 237, EDLA: 237, EIRM: 237, ILDA: 237, IRAT: 237, LESU: 237, NOWH: 237,
+	NTFR: 237, OGOV: 237, OKED: 237, PONE: 237, THME: 237, VERP: 237, VOCA: 237, ADEP: 236, ADYT: 236, AINB: 236,
+	ASKE: 236, ASPI: 236, BESA: 236, BYME: 236, CARA: 236, DAHA: 236, EALE: 236, ETAS: 236, FPRI: 236, GBUT: 236,
+	HTEN: 236, INPO: 236, ITSN: 236, LBEF: 236, LONI: 236, NTSS: 236, ONGL: 236, ORUN: 236, OWWE: 236, RBEF: 236,
+	RDUT: 236, TFAI: 236, TSEX: 236, UCHL: 236, YREL: 236, AKEO: 235, ALED: 235, DEXT: 235, EDAP: 235, EINM: 235,
+	ESAV: 235, GMOR: 235, HINS: 235, INGV: 235, ITEM: 235, LOWT: 235, ONEF: 235, ORPS: 235, PANS: 235, PSOF: 235,
+	RPEA: 235, SENO: 235, SOIN: 235, SSAS: 235, ACIN: 234, AINH: 234, ALAG: 234, ATSW: 234, CSER: 234, DEAV: 234,
+	EAMS: 234, EBUD: 234, ECLI: 234, EEDF: 234, EVIC: 234, FORU: 234, HEJO: 234, HTNO: 234, IALE: 234, ICTS: 234,
+	ITFO: 234, KETO: 234, LLYW: 234, LNES: 234, LYNE: 234, NHAB: 234, NSFR: 234, NTAB: 234, OCHA: 234, RKTO: 234,
+	RMWH: 234, ROUP: 234, RVIS: 234, TEER: 234, VITY: 234, WAYA: 234, BYIT: 233, CHFO: 233, DACO: 233, DEAR: 233,
+	DWEA: 233, EENU: 233, EGAN: 233, ENAR: 233, FIXE: 233, FULN: 233, GGLE: 233, HCAN: 233, ICHR: 233, ILSE: 233,
+	NEAC: 233, OFOP: 233, PLEH: 233, ROCL: 233, SIAN: 233, SSWE: 233, TOAT: 233, TSTI: 233, YSIN: 233, YSOM: 233,
+	AINM: 232, ALIK: 232, DHAR: 232, EBAL: 232, ECEM: 232, ERSM: 232, ICOA: 232, ILLL: 232, INAB: 232, NEHA: 232,
+	NGEI: 232, NSUN: 232, NUIN: 232, POTE: 232, PPAR: 232, RAUD: 232, REFL: 232, SLOW: 232, SNEE: 232, TALR: 232,
+	TLIN: 232, TOPP: 232, URFR: 232, URIE: 232, VEEN: 232, WHOC: 232, YOFI: 232, AIME: 231, CEOR: 231, CTME: 231,
+	DIER: 231, DREG: 231, EBEF: 231, EIRT: 231, EMBR: 231, HEPH: 231, MEPR: 231, NDBR: 231, NGEX: 231, NGTR: 231,
+	PRIO: 231, RTIA: 231, TBER: 231, TDEP: 231, TOFB: 231, UDDE: 231, ANTP: 230, ANYE: 230, DCHI: 230, DIVE: 230,
+	EVAI: 230, FEUR: 230, GCOM: 230, GHTY: 230, KEDT: 230, LEBU: 230, LYCA: 230, NALF: 230, NGDI: 230, OMPO: 230,
+	OUWI: 230, RBYT: 230, RSEV: 230, SANT: 230, THFO: 230, UEAN: 230, UPRE: 230, VERD: 230, YANY: 230, YOUS: 230,
+	ALRI: 229, ASYS: 229, ATMO: 229, AYHA: 229, CANH: 229, CINT: 229, DMAR: 229, DOFS: 229, ETTI: 229, HEKI: 229,
+	HIPP: 229, IMTO: 229, IPUL: 229, ISOW: 229, LYIM: 229, MESI: 229, NASA: 229, NGTE: 229, NSBU: 229, NSEE: 229,
+	NSUB: 229, OFEU: 229, OODF: 229, RENA: 229, RERS: 229, TOAB: 229, UDES: 229, ULES: 229, UTMO: 229, VIAT: 229,
+	YNAT: 229, ASEX: 228, AXAT: 228, EEPE: 228, EPOI: 228, FACO: 228, HASD: 228, HISV: 228, IKNO: 228, IORI: 228,
+	IRRI: 228, LAWI: 228, LIGI: 228, LLEX: 228, MPTL: 228, NDCR: 228, RGEL: 228, RLES: 228, RRAS: 228, RSOU: 228,
+	SOMA: 228, TDOE: 228, TURI: 228, USTD: 228, YAGE: 228, YTOW: 228, ADNO: 227, BYAL: 227, CTWI: 227, DELE: 227,
+	DRUG: 227, ELEM: 227, ELSA: 227, ESTB: 227, ESUF: 227, FOOT: 227, FREC: 227, ISMI: 227, LAUT: 227, LICM: 227,
+	LLHE: 227, LPRI: 227, MONI: 227, NEWP: 227, NNOU: 227, NOWO: 227, OAME: 227, OBVI: 227, OFCU: 227, ONEV: 227,
+	RDEF: 227, RYNO: 227, SAMA: 227, TARB: 227, TEXC: 227, TOMS: 227, TOUN: 227, YPOS: 227, DHOW: 226, EDIM: 226,
+	ELET: 226, EMOT: 226, ENCA: 226, ICPR: 226, LIPP: 226, MBRA: 226, NWEA: 226, OANS: 226, OBEM: 226, OKEN: 226,
+	OYEE: 226, TINI: 226, TYWE: 226, UCTU: 226, UTHI: 226, VIGO: 226, WTHI: 226, ACTW: 225, AHAS: 225, CHOI: 225,
+	CRIT: 225, DGIV: 225, ELYC: 225, ERRU: 225, HERG: 225, LWHI: 225, MORT: 225, NCAL: 225, NDOP: 225, OINA: 225,
+	ONSR: 225, OSTU: 225, QUIE: 225, RITT: 225, SAVA: 225, AILU: 224, ARHA: 224, ARYL: 224, ASTM: 224, ATAT: 224,
+	DBYI: 224, ERUL: 224, HEND: 224, HRES: 224, ICST: 224, ILOR: 224, IRSA: 224, LAUS: 224, LIAT: 224, LSUP: 224,
+	MAYH: 224, NADV: 224, RIET: 224, ROHI: 224, ROMM: 224, RTIM: 224, TIHA: 224, TISD: 224, TOCR: 224, TOES: 224,
+	TOUC: 224, TOWN: 224, ULTE: 224, UNIV: 224, VEYE: 224, WFOR: 224, BEPA: 223, BLAC: 223, CIPR: 223, DSOU: 223,
+	EFAM: 223, ESTF: 223, HADN: 223, INBE: 223, KEAN: 223, LDSE: 223, LSTR: 223, NBEC: 223, NDYE: 223, NSNO: 223,
+	OEXE: 223, OFHU: 223, OTPR: 223, PELL: 223, PPEN: 223, RYEX: 223, SLEG: 223, STIP: 223, SUPR: 223, TBEL: 223,
+	UREX: 223, WARR: 223, ANYD: 222, APLA: 222, CELL: 222, CHEA: 222, DIAL: 222, DITH: 222, ENNO: 222, ERHI: 222,
+	EUTR: 222, FHER: 222, HASO: 222, INWI: 222, ITMU: 222, LLWH: 222, LLYP: 222, LSOB: 222, NCAS: 222, NEUT: 222,
+	NEXA: 222, NFRE: 222, OPLA: 222, OURU: 222, PONO: 222, RMAL: 222, RSEN: 222, RSFR: 222, RYME: 222, SAFF: 222,
+	SGEN: 222, SLON: 222, THWE: 222, UNRE: 222, URMO: 222, VORO: 222, WARO: 222, ACOU: 221, AMBE: 221, DAYI: 221,
+	DBEG: 221, DEIT: 221, DLYA: 221, DWEM: 221, DYET: 221, DYOF: 221, ECER: 221, EDSH: 221, EEAN: 221, ERMW: 221,
+	ICHF: 221, LYAT: 221, MPIR: 221, NCYI: 221, NSBY: 221, NTNO: 221, ONAF: 221, OREY: 221, OTET: 221, PTTH: 221,
+	RPUB: 221, SADV: 221, SORI: 221, TEDR: 221, URSO: 221, ASCA: 220, CCEE: 220, DSUB: 220, EIRG: 220, HOFA: 220,
+	HOIC: 220, IHOP: 220, ISCL: 220, LELE: 220, NDDO: 220, NOON: 220, NOTY: 220, NTSP: 220, NWER: 220, OLID: 220,
+	OMEH: 220, ONSN: 220, ORWI: 220, OURY: 220, PERL: 220, RALD: 220, RDES: 220, RMEA: 220, SGRO: 220, THOT: 220,
+	TIPU: 220, TRUM: 220, URTA: 220, YPLA: 220, CEMB: 219, DAFT: 219, DECK: 219, DIGN: 219, IOTI: 219, IRTH: 219,
+	LOFA: 219, LURE: 219, LYAF: 219, NDGE: 219, NEIS: 219, NMIL: 219, NOFL: 219, OBEF: 219, REEC: 219, RFUT: 219,
+	RMAR: 219, RMOU: 219, ROUD: 219, SINH: 219, SOAS: 219, TMIG: 219, TNER: 219, TOAR: 219, TSSH: 219, UNTT: 219,
+	URIO: 219, WALL: 219, ABET: 218, ANAS: 218, ANCT: 218, APPY: 218, CKOF: 218, CTIS: 218, CYTO: 218, DSON: 218,
+	ENUN: 218, GETI: 218, ITEA: 218, ITHB: 218, LDIE: 218, LESE: 218, LUMB: 218, MBUT: 218, NAUT: 218, NGRO: 218,
+	OTHT: 218, PINT: 218, RAFF: 218, RTSI: 218, SENE: 218, SLAS: 218, TABO: 218, TACC: 218, TOEV: 218, WORS: 218,
+	YBEL: 218, ASUB: 217, BURS: 217, EATR: 217, EDID: 217, ELIT: 217, EMPE: 217, ERYB: 217, GETA: 217, HEAI: 217,
+	IALM: 217, IALO: 217, ITYH: 217, LDWE: 217, LEAT: 217, LEDF: 217, LLPA: 217, MCON: 217, NAUG: 217, NEWO: 217,
+	NSCA: 217, NTAK: 217, OHIB: 217, ORDT: 217, PROH: 217, RKTH: 217, RNEW: 217, RUND: 217, RVAL: 217, SANY: 217,
+	SCOV: 217, SMAK: 217, TSYS: 217, URGR: 217, URSI: 217, VEHA: 217, VERF: 217, AGER: 216, ARYB: 216, DGES: 216,
+	DGOV: 216, DPOW: 216, ECLE: 216, EDAF: 216, EIRN: 216, EPHI: 216, IDEL: 216, IPAN: 216, LBEM: 216, LDST: 216,
+	LEON: 216, NIAL: 216, NTOL: 216, OFDU: 216, OFTO: 216, PEOF: 216, PLYT: 216, RCEW: 216, SITT: 216, TIOU: 216,
+	UABL: 216, ULAN: 216, ANOR: 215, BYIN: 215, CUTT: 215, DLAB: 215, DRIV: 215, EBOU: 215, EEYE: 215, EPTH: 215,
+	ESLA: 215, EWEC: 215, FLOW: 215, FONE: 215, GSTH: 215, HOOD: 215, ICEF: 215, IRDE: 215, LLIS: 215, LLPE: 215,
+	MEDB: 215, MERA: 215, MSIN: 215, NOWP: 215, NTUN: 215, OTFA: 215, RETT: 215, RSMA: 215, RSNO: 215, RTOS: 215,
+	SEIZ: 215, SHGO: 215, SOIL: 215, SPOL: 215, STNE: 215, TERL: 215, TOGR: 215, UTOU: 215, UTTI: 215, WASB: 215,
+	YBEF: 215, YTOI: 215, BEHE: 214, BINA: 214, BUTB: 214, CKTO: 214, CRIP: 214, DMIS: 214, DOFI: 214, EHUN: 214,
+	EITA: 214, EITT: 214, EWTO: 214, GWHI: 214, HATU: 214, HESM: 214, IDTO: 214, IRAQ: 214, OMEB: 214, ONUP: 214,
+	OTIM: 214, OUTC: 214, POUR: 214, RMIS: 214, RYMA: 214, SMIG: 214, TEGR: 214, TOAV: 214, TOLO: 214, TPLA: 214,
+	ULDO: 214, WOND: 214, YREQ: 214, ARYD: 213, ASER: 213, ASKI: 213, ASMU: 213, DFUL: 213, DSOL: 213, EATW: 213,
+	ELOS: 213, EPUT: 213, GLOB: 213, HPAR: 213, LUAB: 213, MULT: 213, NARR: 213, NHIM: 213, ONIA: 213, OUTF: 213,
+	OWES: 213, PTER: 213, REJU: 213, RUIS: 213, TNEC: 213, TPEA: 213, TPUR: 213, TRIV: 213, UEIN: 213, URMA: 213,
+	WAYI: 213, YPOW: 213, BEUN: 212, CAPE: 212, CTRI: 212, DBYL: 212, ESEF: 212, ETSA: 212, EVAS: 212, EVIN: 212,
+	GECO: 212, HILI: 212, INEW: 212, KINT: 212, LPOL: 212, LREV: 212, MFRO: 212, NOPO: 212, NTSC: 212, OADE: 212,
+	OLAN: 212, ORYW: 212, PLIN: 212, PSTH: 212, RWEA: 212, TWHO: 212, TYIT: 212, USPR: 212, VEEX: 212, VEGO: 212,
+	YBEN: 212, CKAN: 211, DBED: 211, DITO: 211, DPEO: 211, DSTI: 211, DSWE: 211, EEMT: 211, ICHN: 211, IMTH: 211,
+	INMO: 211, ISLI: 211, ITAS: 211, LDWA: 211, LORD: 211, MANO: 211, MEWE: 211, MONY: 211, NLYO: 211, NPUR: 211,
+	NTRU: 211, OPEO: 211, ORMT: 211, OSOM: 211, OTYE: 211, PENA: 211, PHAS: 211, PRIM: 211, PUTT: 211, RBEE: 211,
+	REEL: 211, ROFC: 211, SSSH: 211, STLA: 211, THPR: 211, TMIL: 211, TRIN: 211, UGUS: 211, USSE: 211, WATC: 211,
+	ADEN: 210, ASSM: 210, ASUN: 210, AYFO: 210, BEMO: 210, CEWA: 210, CRIS: 210, EATD: 210, EBYA: 210, EDLI: 210,
+	HIPI: 210, HYOU: 210, ISOU: 210, ISWE: 210, LLIA: 210, LLUS: 210, LOGY: 210, MPLY: 210, NGIV: 210, NSSH: 210,
+	NTFI: 210, OWHO: 210, REFI: 210, RSAS: 210, RUTH: 210, SSPR: 210, TOOT: 210, ULNE: 210, VEAR: 210, VEHE: 210,
+	AIRE: 209, CESB: 209, CTFO: 209, DENE: 209, DMOS: 209, DPEA: 209, EDEB: 209, ETSO: 209, FOFF: 209, GOFA: 209,
+	GSUC: 209, HANW: 209, HSHO: 209, LYWH: 209, MINO: 209, MYSE: 209, NESI: 209, ORDO: 209, ORHA: 209, SEDS: 209,
+	SFIR: 209, TORT: 209, UEDT: 209, UITE: 209, YHIS: 209, YSUP: 209, YWAY: 209, ASEV: 208, ATOT: 208, AWOF: 208,
+	BOLI: 208, DSER: 208, EDAB: 208, EEDU: 208, ENGR: 208, ETFO: 208, HASG: 208, LDIT: 208, LLDO: 208, LLSH: 208,
+	LORI: 208, MAME: 208, NAPR: 208, OLAR: 208, OSUB: 208, OWHE: 208, REEW: 208, RPUR: 208, RTYT: 208, SQUE: 208,
+	STCA: 208, TBEP: 208, TEAR: 208, TEMT: 208, TSEC: 208, TYBE: 208, WEAK: 208, YGRE: 208, YSAN: 208, YSER: 208,
+	BUND: 207, CENE: 207, CTOB: 207, ECHO: 207, EGES: 207, ELOF: 207, ELTH: 207, ESDE: 207, ILUR: 207, ITET: 207,
+	LICW: 207, NFIR: 207, NSEP: 207, OFGE: 207, ONDA: 207, OROT: 207, RDIA: 207, RNTH: 207, SBES: 207, SBRO: 207,
+	SUMO: 207, TNEE: 207, TOAG: 207, TTAK: 207, UTAT: 207, UTTE: 207, UWIL: 207, YGEN: 207, ARDL: 206, AWHI: 206,
+	DEXC: 206, ECIE: 206, EMSO: 206, ERIL: 206, GRET: 206, ILSO: 206, INPU: 206, NDVI: 206, NEOU: 206, NGFU: 206,
+	NKTH: 206, NOFR: 206, OLLI: 206, RBET: 206, SBOT: 206, SISI: 206, STUN: 206, TMAR: 206, TYAS: 206, UREB: 206,
+	ANGU: 205, DWOM: 205, DYTO: 205, EHOM: 205, EMNI: 205, FESS: 205, ICHD: 205, ISSA: 205, KESU: 205, LCUL: 205,
+	LYPE: 205, NITA: 205, NOUT: 205, NTPE: 205, OTRA: 205, RTOM: 205, SPAC: 205, SWEC: 205, TDEC: 205, TOTE: 205,
+	TOUG: 205, UESO: 205, UNNE: 205, YREM: 205, ABUN: 204, ALAT: 204, APRE: 204, ASKA: 204, AYRE: 204, AYSB: 204,
+	BETA: 204, CHEM: 204, CREE: 204, CRIE: 204, DERL: 204, DMEA: 204, DOCT: 204, EMPI: 204, ENAD: 204, ESEG: 204,
+	ETEL: 204, FFIN: 204, FIMP: 204, GINS: 204, HIPT: 204, IRSO: 204, LYSO: 204, MTOT: 204, NONL: 204, OHAS: 204,
+	OHIM: 204, OLEM: 204, OTAS: 204, QUIC: 204, RYSE: 204, SITO: 204, TACO: 204, TALW: 204, TRAR: 204, UCTO: 204,
+	UGHS: 204, UICK: 204, XPLO: 204, YOFE: 204, ARDF: 203, ATDI: 203, BELA: 203, DCIT: 203, EJOI: 203, ENIS: 203,
+	ESNE: 203, FRIG: 203, GUID: 203, HIPW: 203, IDBE: 203, INLI: 203, KSTO: 203, LCOU: 203, LIEN: 203, LPER: 203,
+	LSYS: 203, LYFR: 203, NEMI: 203, NOWC: 203, NSEV: 203, OOFT: 203, OSHO: 203, REAB: 203, SEXT: 203, SFRE: 203,
+	STEF: 203, TSAC: 203, ULTA: 203, UTCO: 203, ALEO: 202, ALSW: 202, ALSY: 202, CEBU: 202, CHAT: 202, DGEN: 202,
+	DINH: 202, EBRU: 202, EDUS: 202, ELDO: 202, HANN: 202, IGHS: 202, INUN: 202, LIAB: 202, LINA: 202, LYAL: 202,
+	OINV: 202, OMER: 202, ORAP: 202, RTOO: 202, SCIT: 202, SIFT: 202, SSIG: 202, SUDD: 202, SYMP: 202, TISU: 202,
+	TPOW: 202, TSBY: 202, UNAL: 202, URVI: 202, YMUS: 202, AREU: 201, AWIN: 201, DESA: 201, DWEW: 201, ELYD: 201,
+	ESEW: 201, ESUG: 201, EYET: 201, HASL: 201, HEDW: 201, HMOR: 201, IMUL: 201, IPPE: 201, LENO: 201, LLON: 201,
+	LLYF: 201, MBLE: 201, MEBE: 201, MOUT: 201, NIED: 201, NISM: 201, NMIN: 201, OFAU: 201, ORNA: 201, RSBU: 201,
+	RYBE: 201, SALW: 201, SPRA: 201, SSOO: 201, SUMP: 201, TINP: 201, TOOL: 201, TOPL: 201, ULIN: 201, UMPT: 201,
+	URFI: 201, YEDI: 201, ARWH: 200, AWST: 200, CAAN: 200, CAMP: 200, COFF: 200, DAYA: 200, DLOC: 200, DSWH: 200,
+	EOFU: 200, ERRA: 200, ETHU: 200, HINO: 200, ICPO: 200, LDEV: 200, LLEA: 200, LSFO: 200, MAGN: 200, NFRA: 200,
+	ODEA: 200, OEXT: 200, OFCE: 200, ROFS: 200, RSAT: 200, RSTE: 200, RYAR: 200, SEMI: 200, SEOU: 200, SMAR: 200,
+	STTI: 200, ULDF: 200, AFAI: 199, ANGI: 199, BEGU: 199, BYAC: 199, BYHI: 199, COAN: 199, DDEV: 199, DTER: 199,
+	DTOY: 199, EMWI: 199, ENVI: 199, ESSN: 199, GITA: 199, ICEP: 199, ITHN: 199, ITHU: 199, ITPR: 199, LAGE: 199,
+	LDWI: 199, LOGI: 199, LUES: 199, MEDY: 199, NADA: 199, NALW: 199, NBEM: 199, NLYS: 199, ONCU: 199, PUTA: 199,
+	RALB: 199, RBUC: 199, RCAP: 199, RSUA: 199, SETA: 199, SIFI: 199, SILE: 199, SORS: 199, TDUR: 199, THPA: 199,
+	TREE: 199, TREL: 199, ULTT: 199, UNCO: 199, YEES: 199, YSTI: 199, ALAU: 198, ALET: 198, ALLU: 198, ASAG: 198,
+	BETR: 198, DGOO: 198, DINR: 198, EDOV: 198, EENW: 198, ELYP: 198, EMOD: 198, HAMB: 198, HAPT: 198, ICYT: 198,
+	IFYO: 198, LBEL: 198, LEDW: 198, NBEA: 198, NDSC: 198, NGNA: 198, NORS: 198, NTUP: 198, OKNO: 198, ONEX: 198,
+	TASW: 198, TAXR: 198, TLEG: 198, TROV: 198, TSEN: 198, TWEW: 198, UANT: 198, UNCI: 198, URUN: 198, USTP: 198,
+	YIEL: 198, ATBE: 197, CATH: 197, CUPA: 197, DANY: 197, DOFP: 197, DTON: 197, EBOT: 197, ENGL: 197, HEAF: 197,
+	IPLI: 197, IRMA: 197, ITDO: 197, IVIS: 197, IWAS: 197, LEBE: 197, NFED: 197, ODOU: 197, ODSO: 197, ONEP: 197,
+	OREU: 197, OWNW: 197, PROU: 197, RFAR: 197, RYAM: 197, SEMA: 197, SHIG: 197, TINM: 197, TWOG: 197, WEIG: 197,
+	YSOF: 197, ABIN: 196, APAB: 196, ARIA: 196, BEGA: 196, BUTL: 196, CANL: 196, DGRA: 196, DISR: 196, ELDI: 196,
+	ELOO: 196, ENYE: 196, EPTA: 196, FITO: 196, GLAN: 196, GOES: 196, GRAP: 196, HEER: 196, IDST: 196, IESM: 196,
+	ISCI: 196, IWOU: 196, LSWH: 196, LYWE: 196, NDID: 196, NDUL: 196, ORAG: 196, OTME: 196, RCLA: 196, RLAW: 196,
+	ROFP: 196, RREG: 196, SOCC: 196, THHO: 196, TORN: 196, VELE: 196, VEMO: 196, AFRE: 195, ANWI: 195, AYER: 195,
+	BVIO: 195, CABI: 195, DITE: 195, EWCO: 195, FDUT: 195, FLAS: 195, FSPA: 195, GEDB: 195, GORO: 195, ICTH: 195,
+	INAU: 195, KENO: 195, LDEN: 195, LSOA: 195, MAYN: 195, MENE: 195, NLYW: 195, NSUS: 195, NYCO: 195, OADA: 195,
+	ODEC: 195, OFFU: 195, OMYA: 195, OPOL: 195, RAMA: 195, ROOM: 195, SKED: 195, SPOW: 195, STDI: 195, SUES: 195,
+	TEFU: 195, TTON: 195, UISE: 195, ULCO: 195, URBE: 195, WAYW: 195, WCON: 195, WEEK: 195, AGUE: 194, ANYR: 194,
+	APOL: 194, ATPU: 194, CENO: 194, CKNO: 194, EERI: 194, ENTG: 194, EQUO: 194, FART: 194, FHUM: 194, FREQ: 194,
+	FUSI: 194, HADE: 194, HEVO: 194, HOMA: 194, LAYI: 194, LFTH: 194, LREP: 194, LSOO: 194, NDCL: 194, NTEG: 194,
+	NWEH: 194, OFCR: 194, OMYI: 194, OPAS: 194, OPES: 194, ORUS: 194, RASP: 194, SFIN: 194, SMIS: 194, SSHE: 194,
+	TESP: 194, UPAT: 194, WILD: 194, YINF: 194, YMIL: 194, AYED: 193, CEDO: 193, DURE: 193, EENN: 193, GAST: 193,
+	GESW: 193, GOFF: 193, HASF: 193, HCOU: 193, IMEF: 193, IPSA: 193, ITOU: 193, LDFO: 193, LREM: 193, LUND: 193,
+	OLIV: 193, ONGW: 193, RINF: 193, SAPR: 193, SATA: 193, SEPO: 193, SERS: 193, STLE: 193, TAXC: 193, TLYC: 193,
+	TOAF: 193, ULDM: 193, WHOD: 193, YSTH: 193, ACKN: 192, COLU: 192, DBYP: 192, DORD: 192, EMOU: 192, ERGR: 192,
+	FSPE: 192, ISEF: 192, JEST: 192, NTOG: 192, OFJA: 192, OWWH: 192, SICA: 192, THAP: 192, UBSE: 192, UBSI: 192,
+	YBEI: 192, YSEE: 192, AGOV: 191, ANSC: 191, ARFO: 191, AWHO: 191, DREM: 191, DSWI: 191, DYIN: 191, EXCI: 191,
+	GEDW: 191, ISDU: 191, LLCA: 191, NDFE: 191, NDSF: 191, NOFB: 191, QUIP: 191, RCEL: 191, RSCO: 191, RUIT: 191,
+	SBYA: 191, SESE: 191, SIZE: 191, SWEW: 191, TENI: 191, TOWE: 191, TSUN: 191, UAND: 191, UBTE: 191, VEYO: 191,
+	YNOW: 191, ALAW: 190, ANTU: 190, ARCE: 190, ASAD: 190, BEPE: 190, BYAS: 190, DAGR: 190, ELAI: 190, ELLS: 190,
+	ICEB: 190, LARM: 190, LENA: 190, LLAC: 190, LYPA: 190, MEON: 190, NFAC: 190, NNEL: 190, ORYE: 190, RACI: 190,
+	REOV: 190, RIAN: 190, RILL: 190, SIAM: 190, SMET: 190, SSIP: 190, STDA: 190, TEGO: 190, THSA: 190, UESA: 190,
+	UTWI: 190, VERR: 190, WPRO: 190, XTYE: 190, AJES: 189, ATNA: 189, CITE: 189, DANI: 189, EREU: 189, ESLE: 189,
+	EXTY: 189, FCHI: 189, FLEC: 189, FNOT: 189, FULI: 189, IBLY: 189, LLES: 189, LSHA: 189, MAJE: 189, MARY: 189,
+	MEPE: 189, MONO: 189, NSAL: 189, NSFE: 189, NTPA: 189, NTSM: 189, OCKS: 189, OUSN: 189, PTTO: 189, STSH: 189,
+	TADV: 189, TALC: 189, TGRE: 189, TICC: 189, UITS: 189, WTHO: 189, YHEA: 189, ACKE: 188, ALTI: 188, BEOF: 188,
+	DCLA: 188, EABS: 188, EDDI: 188, EFIG: 188, ELDT: 188, EYIN: 188, FATH: 188, FJUN: 188, FWAS: 188, GAVE: 188,
+	HAPE: 188, HEOU: 188, HMAN: 188, IGIO: 188, IMEH: 188, INUI: 188, MOTH: 188, NHAD: 188, ORTF: 188, OTOF: 188,
+	RLIE: 188, SCHI: 188, TEMW: 188, THMU: 188, TOOM: 188, TRAO: 188, TSCA: 188, UPPR: 188, XTRE: 188, ACEB: 187,
+	AHIG: 187, AIRT: 187, ALEI: 187, ANHO: 187, ANTM: 187, BROK: 187, BYDI: 187, CTIT: 187, DOFM: 187, GLIN: 187,
+	IMEB: 187, IPOF: 187, IRLI: 187, MAYS: 187, MEWI: 187, NFOU: 187, NNEW: 187, ORON: 187, RSES: 187, RYWA: 187,
+	SSIM: 187, STFR: 187, SWHY: 187, TSPA: 187, TYON: 187, URTE: 187, ADST: 186, ALTA: 186, ATUN: 186, AVEW: 186,
+	DDEF: 186, ECHE: 186, EDHO: 186, EETS: 186, EMWH: 186, ESME: 186, FLAN: 186, HISU: 186, HOSP: 186, LECA: 186,
+	LEWA: 186, LSHO: 186, MYIN: 186, NOFD: 186, OFBR: 186, OUSF: 186, RAVA: 186, TEOU: 186, THON: 186, TSHI: 186,
+	UDET: 186, UMUL: 186, URME: 186, WNAN: 186, YLEG: 186, YMAD: 186, YOFN: 186, ADHE: 185, ARSB: 185, DTOL: 185,
+	EBAR: 185, EDCA: 185, ERPL: 185, ERSY: 185, ETWI: 185, FAPR: 185, FERS: 185, FITI: 185, HADO: 185, IRTU: 185,
+	LEAG: 185, LTRE: 185, NASP: 185, OWCO: 185, RASA: 185, RASI: 185, RIPT: 185, ROVA: 185, RYBU: 185, SFER: 185,
+	SHEW: 185, SSOT: 185, SWAR: 185, TBYA: 185, TEWA: 185, TITM: 185, USAL: 185, YAMO: 185, ALIE: 184, ASLO: 184,
+	CRIF: 184, DLET: 184, EIDE: 184, ELYE: 184, ELYO: 184, FMOR: 184, GATT: 184, HALI: 184, IAND: 184, IFET: 184,
+	IPIN: 184, LUST: 184, MEDO: 184, MEHA: 184, MYPR: 184, NASW: 184, NISN: 184, NMUS: 184, ODET: 184, OFTI: 184,
+	ORHO: 184, OUTM: 184, PTUR: 184, RDEC: 184, RECR: 184, REMU: 184, RFEL: 184, RHAN: 184, RTHW: 184, SDIR: 184,
+	SPIC: 184, STIS: 184, TESN: 184, TIFT: 184, TPOL: 184, URSH: 184, URYE: 184, VESF: 184, VITI: 184, AIRA: 183,
+	DAMA: 183, DITT: 183, DLAW: 183, DLEG: 183, EBEA: 183, ELDA: 183, GEOU: 183, HIRT: 183, IKEL: 183, ISEV: 183,
+	LLUN: 183, MYCO: 183, NGAD: 183, NHOW: 183, ODEV: 183, OOKE: 183, ORPU: 183, RAOR: 183, SARM: 183, SGOO: 183,
+	SMAT: 183, TIBL: 183, TSIS: 183, TUDY: 183, UIRI: 183, ULDG: 183, URNO: 183, VAGE: 183, VEMB: 183, YAFF: 183,
+	YSTO: 183, YSUB: 183, AIND: 182, AINR: 182, AORD: 182, ARFR: 182, ASIF: 182, ATRA: 182, CESU: 182, DENL: 182,
+	EGRI: 182, ELIF: 182, ETUN: 182, HEDR: 182, HSOM: 182, INBU: 182, ISBO: 182, ITIT: 182, KTHA: 182, LBED: 182,
+	MIRA: 182, MYLA: 182, NSPR: 182, OBUI: 182, ODWI: 182, OENA: 182, OLER: 182, OOKT: 182, ORGO: 182, ORSW: 182,
+	ORTR: 182, PLEB: 182, PPLE: 182, QUOD: 182, RYDI: 182, SADD: 182, SDUE: 182, SLIG: 182, TRUT: 182, TSSU: 182,
+	USHE: 182, VEDW: 182, WARB: 182, YPUR: 182, ADOR: 181, ALOU: 181, ANTC: 181, ARKA: 181, ARYW: 181, AYIT: 181,
+	AYSI: 181, CEFR: 181, DWEH: 181, EASP: 181, EEKS: 181, FCIV: 181, FEBR: 181, FLEG: 181, FMON: 181, FPOS: 181,
+	GTOS: 181, ITSU: 181, KEST: 181, MACH: 181, NAHA: 181, NDEQ: 181, NOFN: 181, OFBA: 181, OJUS: 181, OOKS: 181,
+	OSTD: 181, PABL: 181, PAYI: 181, PSTO: 181, RSBE: 181, TROD: 181, UELA: 181, UTSI: 181, WAYF: 181, WEDI: 181,
+	AKEP: 180, ALAP: 180, ARWA: 180, BRUA: 180, DISO: 180, EDMI: 180, ESEX: 180, ESOT: 180, ETME: 180, FLEE: 180,
+	HENH: 180, HROW: 180, ICON: 180, IONG: 180, LATO: 180, LAWW: 180, LIDA: 180, LOPI: 180, MHAS: 180, NKST: 180,
+	NYON: 180, OBIL: 180, OSPI: 180, RUAR: 180, RVAN: 180, TOOF: 180, VIRT: 180, YASA: 180, YDAY: 180, YDUT: 180,
+	YINO: 180, YREP: 180, YWHA: 180, ADAP: 179, ANSU: 179, ATEX: 179, BEWI: 179, CALM: 179, CALR: 179, CYWH: 179,
+	DMAI: 179, EAVY: 179, EMSA: 179, EVEM: 179, EYCO: 179, HYOF: 179, IESP: 179, IRCH: 179, ISOB: 179, MPEL: 179,
+	NDSM: 179, NDYO: 179, NKOF: 179, NTNE: 179, OALS: 179, OLDM: 179, OOKA: 179, RAGI: 179, REHO: 179, RLEA: 179,
+	RTYI: 179, SCLE: 179, SNES: 179, STAD: 179, TAFT: 179, TOBA: 179, TSPO: 179, TUCK: 179, UEDA: 179, URFE: 179,
+	WEWE: 179, CHLE: 178, CHSU: 178, DENA: 178, DURA: 178, ELPE: 178, ENET: 178, FMEN: 178, FYTH: 178, HADS: 178,
+	HIMP: 178, ISTT: 178, LAUG: 178, LIFO: 178, LKNO: 178, LORE: 178, MEDF: 178, MPTA: 178, NGGR: 178, NGOO: 178,
+	NISS: 178, OMAC: 178, RNIA: 178, SATH: 178, SCRU: 178, TOLD: 178, USTW: 178, UTIF: 178, VEPO: 178, YHER: 178,
+	YOUM: 178, ALBE: 177, ARAL: 177, ARPR: 177, AUTI: 177, BTTH: 177, CHMO: 177, CTOU: 177, DMAY: 177, EGON: 177,
+	EOBL: 177, EPOP: 177, EVEA: 177, EVEI: 177, EXTI: 177, GHIN: 177, IALF: 177, INBO: 177, ISSH: 177, LEPE: 177,
+	LORA: 177, LYHO: 177, LYNO: 177, NDPL: 177, NOMO: 177, NYAN: 177, OAGR: 177, OANA: 177, OSEB: 177, PEQU: 177,
+	RANI: 177, REEI: 177, ROPP: 177, RRIN: 177, RTUR: 177, SASM: 177, SEEI: 177, TATA: 177, TEES: 177, TLYP: 177,
+	TOPO: 177, ULTY: 177, UREM: 177, WNCO: 177, YBER: 177, ADSO: 176, AGRA: 176, ANTF: 176, ARON: 176, BOOK: 176,
+	DBEL: 176, DGRO: 176, DREL: 176, EDIV: 176, ERHO: 176, ERTR: 176, ESEO: 176, EYAN: 176, GPOW: 176, HAWA: 176,
+	LFRE: 176, LYLA: 176, MAYA: 176, MISP: 176, NCOR: 176, NGEF: 176, NGUS: 176, OODC: 176, OVES: 176, OWOU: 176,
+	PAYT: 176, RATU: 176, RGRA: 176, RLYD: 176, RMAM: 176, RMOS: 176, ROUB: 176, RTSH: 176, SADO: 176, SRIG: 176,
+	TAGR: 176, TRYM: 176, UMBI: 176, URRI: 176, VEDU: 176, VOYA: 176, YOUC: 176, YSPE: 176, AGAN: 175, ALWO: 175,
+	CEMA: 175, CTWH: 175, DTAK: 175, ETBE: 175, ICHB: 175, IREN: 175, ITRU: 175, LDAS: 175, LFAC: 175, MYTH: 175,
+	NGEV: 175, NOTN: 175, ONJU: 175, OPEF: 175, OTAN: 175, OTSO: 175, PPLA: 175, RAGR: 175, RATO: 175, RSEM: 175,
+	RSUB: 175, RTIL: 175, SIPP: 175, STPA: 175, TIMU: 175, TRIG: 175, TTWO: 175, TUNE: 175, UALE: 175, ULDL: 175,
+	VEON: 175, WFUL: 175, ADSA: 174, ANEF: 174, ARSF: 174, AYWI: 174, BEAL: 174, BITS: 174, CARC: 174, CHEX: 174,
+	DDEC: 174, EBON: 174, EFLO: 174, ENEN: 174, ENOM: 174, EORT: 174, GOFO: 174, HINC: 174, ICYW: 174, IEDW: 174,
+	LMOR: 174, MPHA: 174, NBEF: 174, NCEU: 174, NEXE: 174, NOBL: 174, NOTG: 174, NSPA: 174, NTDU: 174, OODI: 174,
+	OPPE: 174, RREV: 174, TALK: 174, TLYO: 174, TOCU: 174, TONS: 174, ULLA: 174, UNPR: 174, UTEA: 174, YOFL: 174,
+	YSBE: 174, AINU: 173, ALSH: 173, DCRE: 173, DDEM: 173, DDOW: 173, DHEL: 173, DYTH: 173, EDAD: 173, EESS: 173,
+	ELYR: 173, ERSN: 173, FDEF: 173, FEET: 173, GANA: 173, GANT: 173, GHAS: 173, GIST: 173, HWEH: 173, IDEI: 173,
+	IFEI: 173, ISHS: 173, LDOU: 173, LEBY: 173, LMAN: 173, OENC: 173, PLYI: 173, RALW: 173, RCHE: 173, REDC: 173,
+	ROMB: 173, RSED: 173, SFAI: 173, SSCA: 173, STPE: 173, TACL: 173, TGIV: 173, THUN: 173, TOOP: 173, VOIC: 173,
+	YWEL: 173, ANMI: 172, ARYM: 172, CLEO: 172, CTHA: 172, DINW: 172, EINJ: 172, EOPI: 172, ESMU: 172, FLAB: 172,
+	FRAM: 172, HACO: 172, IKES: 172, IRAC: 172, IVEH: 172, LENE: 172, LLMO: 172, NDBO: 172, NVIR: 172, OCKE: 172,
+	OFRI: 172, OTEX: 172, PLAU: 172, RTOD: 172, RUME: 172, RVEA: 172, SFIE: 172, TCEN: 172, TREQ: 172, TSLA: 172,
+	TSWO: 172, UITY: 172, UPTI: 172, VEHI: 172, YANA: 172, YWHO: 172, ALPE: 171, ANDK: 171, APEA: 171, BORE: 171,
+	BUNA: 171, BYSU: 171, DERF: 171, DSAT: 171, DYAN: 171, EAMA: 171, EFAV: 171, FLIV: 171, FULP: 171, GHIM: 171,
+	HANH: 171, IBUN: 171, ICEC: 171, IDOF: 171, IEFT: 171, INFI: 171, ITHL: 171, LANE: 171, LBUS: 171, LIFI: 171,
+	NEYS: 171, NOTU: 171, NTMO: 171, OLDW: 171, ONOP: 171, REDM: 171, RTON: 171, SASP: 171, SREF: 171, SSTE: 171,
+	SWEE: 171, THWI: 171, TSHE: 171, ACKI: 170, AMEO: 170, COAL: 170, DDEP: 170, DGEO: 170, EAPE: 170, EBOD: 170,
+	EBOR: 170, EINR: 170, ELIA: 170, ENEI: 170, ETEA: 170, FEAC: 170, FLOO: 170, GSIN: 170, ICKE: 170, INAW: 170,
+	IPME: 170, ISEM: 170, ISPH: 170, LAGR: 170, LDON: 170, MAGI: 170, NARM: 170, NERE: 170, OPUT: 170, ORFR: 170,
+	OUSB: 170, TYOR: 170, USTF: 170, WESE: 170, YARD: 170, YGIV: 170, YMAK: 170, YOFR: 170, YOUH: 170, AIDS: 169,
+	AMST: 169, AULT: 169, AWFU: 169, BODI: 169, BUTM: 169, CPRO: 169, DAYW: 169, DBYH: 169, DERM: 169, DLIN: 169,
+	DUSE: 169, EDPA: 169, EHUM: 169, EMAL: 169, ETAT: 169, FRAI: 169, FWEA: 169, GNOR: 169, HADI: 169, HITW: 169,
+	ICMO: 169, LAKE: 169, LANA: 169, LBAN: 169, LYSA: 169, NATH: 169, NGBY: 169, NORW: 169, NTDI: 169, NTIV: 169,
+	OFCL: 169, OFWE: 169, ONSD: 169, ONYO: 169, OWNH: 169, OYEA: 169, PLEF: 169, RAGA: 169, RAPH: 169, REFA: 169,
+	RYLI: 169, SBEA: 169, SSAL: 169, SUNI: 169, TDOW: 169, TIEN: 169, TIVA: 169, TNEW: 169, TSIM: 169, UARE: 169,
+	UTBE: 169, YGRA: 169, YMPA: 169, ADYA: 168, ALLG: 168, ALPU: 168, AMIT: 168, ANLI: 168, APEO: 168, CEAG: 168,
+	CEAL: 168, DISB: 168, DISH: 168, DROU: 168, ELPI: 168, EMEC: 168, GEFO: 168, GICA: 168, GTHR: 168, HEED: 168,
+	HEYN: 168, HIMI: 168, IREO: 168, LFIS: 168, LORS: 168, LPTH: 168, LYSH: 168, MOVA: 168, MOVI: 168, NCAR: 168,
+	OPPR: 168, ORIM: 168, RALM: 168, RTSW: 168, SDEM: 168, TRAG: 168, UTEL: 168, VEBR: 168, VEOR: 168, VEWI: 168,
+	YSET: 168, ACKA: 167, ALHA: 167, ASAW: 167, AWIL: 167, BLEN: 167, CKLE: 167, DBYE: 167, EDOC: 167, EETA: 167,
+	EMFO: 167, EPTT: 167, EVIA: 167, EYWO: 167, FDEC: 167, FSEC: 167, FULO: 167, GHTL: 167, GTOB: 167, HODO: 167,
+	INEU: 167, INSH: 167, IVEY: 167, KENI: 167, LEET: 167, LICC: 167, LIFT: 167, LLLE: 167, NOMA: 167, NRIG: 167,
+	OBEO: 167, OMTO: 167, ONCI: 167, ONMU: 167, OSTL: 167, OYAG: 167, RSOR: 167, SEFR: 167, TOEM: 167, WEDB: 167,
+	ACHM: 166, ANYB: 166, ASKT: 166, ASTB: 166, ATRO: 166, BSTI: 166, EEPT: 166, EGLO: 166, ELYW: 166, FINS: 166,
+	GANE: 166, GJUN: 166, IDIT: 166, ILEN: 166, INAH: 166, IRFA: 166, IWAN: 166, LTTH: 166, MEIS: 166, MYRE: 166,
+	NBES: 166, NDBA: 166, NEWL: 166, NGFI: 166, NGSP: 166, NRED: 166, OFMU: 166, POVE: 166, RFIN: 166, RLDO: 166,
+	RSCH: 166, RUDE: 166, RVEN: 166, RYSU: 166, SOWE: 166, TANI: 166, TCAR: 166, THSE: 166, USAS: 166, USFA: 166,
+	UTLI: 166, VELA: 166, VELS: 166, WERW: 166, ALLL: 165, ALUN: 165, ANOP: 165, CEMO: 165, CHST: 165, CTCO: 165,
+	CTHE: 165, CUMU: 165, DATO: 165, DSHE: 165, EAKI: 165, ELYF: 165, EMHA: 165, EPAN: 165, FINC: 165, GERI: 165,
+	GUES: 165, IRME: 165, JURY: 165, LEFR: 165, LEMN: 165, LLEV: 165, LLIF: 165, LPOS: 165, MAGE: 165, MEFR: 165,
+	MYAD: 165, NEWY: 165, ODYO: 165, ORPA: 165, OTHP: 165, OTTE: 165, ROCK: 165, ROOF: 165, RTOC: 165, RYSH: 165,
+	SDUT: 165, SEVI: 165, TICP: 165, TRYB: 165, UCHD: 165, UCKE: 165, ULLI: 165, VETA: 165, XCIT: 165, YDEC: 165,
+	AMPA: 164, ANHE: 164, APOR: 164, ARAR: 164, ASYE: 164, DIED: 164, ECOO: 164, EEKI: 164, EEMA: 164, EMAJ: 164,
+	ERDO: 164, ETES: 164, FULS: 164, HIPB: 164, KEIN: 164, LADV: 164, MNIT: 164, MURD: 164, NOWR: 164, NUEA: 164,
+	OBEH: 164, OWRE: 164, PRIE: 164, RGEP: 164, SCLO: 164, SPAT: 164, TEBU: 164, YOVE: 164, ASGR: 163, DAPT: 163,
+	DART: 163, DCAP: 163, DHOU: 163, EMPH: 163, EMUC: 163, ERDA: 163, EYTH: 163, FANO: 163, FAPP: 163, GNAN: 163,
+	HANY: 163, IESN: 163, INKT: 163, LBEE: 163, LEEX: 163, LEOU: 163, LICP: 163, LTAN: 163, NDRO: 163, NENE: 163,
+	NLIG: 163, NLIK: 163, NOCO: 163, NREF: 163, NSHE: 163, OCIT: 163, OINE: 163, OLIN: 163, ONAD: 163, OWNF: 163,
+	OYAL: 163, RAZI: 163, RIKE: 163, RNEY: 163, RPET: 163, RYOR: 163, SALI: 163, SOFU: 163, SREV: 163, THHE: 163,
+	UCHF: 163, UDEO: 163, VETR: 163, YDIF: 163, YOUI: 163, ALOB: 162, ANNA: 162, ANWA: 162, CCUM: 162, CENS: 162,
+	CHDE: 162, CHIH: 162, CROW: 162, DHON: 162, DLAS: 162, DPUR: 162, DUNI: 162, EEPO: 162, EESO: 162, EPLY: 162,
+	ESSR: 162, ETEM: 162, FANI: 162, GETS: 162, ITWH: 162, LTIV: 162, NDCI: 162, NEAS: 162, NGEL: 162, NTUC: 162,
+	ODIN: 162, ONEL: 162, OREQ: 162, OTFO: 162, PLOR: 162, ROMD: 162, RYCA: 162, THSI: 162, TINH: 162, TSID: 162,
+	TWOO: 162, UCHW: 162, UDEA: 162, UPAN: 162, URHI: 162, WONT: 162, WRIT: 162, YETB: 162, YLEA: 162, YORK: 162,
+	YWEH: 162, BEIM: 161, DOOR: 161, DSAR: 161, EEDY: 161, EISE: 161, EISO: 161, ERUS: 161, FJUL: 161, FPOL: 161,
+	HOWA: 161, HWAY: 161, LEWO: 161, LYLE: 161, NBEH: 161, NCAP: 161, NLEA: 161, NORC: 161, ONGD: 161, OUSR: 161,
+	OUTD: 161, PWIT: 161, REAG: 161, REDP: 161, REXA: 161, RLIN: 161, RMST: 161, RONM: 161, SIDI: 161, SITM: 161,
+	SUIN: 161, TATO: 161, TIDE: 161, TOEA: 161, TTOF: 161, UTAR: 161, VEAT: 161, VERL: 161, YCAL: 161, YISA: 161,
+	YITW: 161, ALFR: 160, ANAV: 160, ANUM: 160, DANO: 160, DARI: 160, DMUS: 160, DSOC: 160, EAAN: 160, EAGG: 160,
+	ECRU: 160, EOBS: 160, EPEQ: 160, FECO: 160, FPAR: 160, FREV: 160, FTIM: 160, GYOU: 160, KENA: 160, LYWA: 160,
+	MEDE: 160, MESU: 160, NBOA: 160, NIMA: 160, NLIS: 160, OFUR: 160, OLOR: 160, OOTI: 160, PEDA: 160, REER: 160,
+	REHI: 160, REYE: 160, RSRE: 160, RTAL: 160, SATE: 160, SECA: 160, TISR: 160, VEAD: 160, YAGA: 160, AIRL: 159,
+	AMAJ: 159, BYMA: 159, DAFF: 159, DUNT: 159, EDCH: 159, EDJU: 159, EGIT: 159, EROC: 159, GWHA: 159, HDAY: 159,
+	HEGL: 159, IDEW: 159, ILEW: 159, INMI: 159, ISCE: 159, LMAK: 159, LTOG: 159, NAWA: 159, NIMU: 159, NOFG: 159,
+	NTLA: 159, NUNI: 159, ODAT: 159, OFVE: 159, ONEG: 159, OUSW: 159, RKSA: 159, RNST: 159, RRAT: 159, RTWO: 159,
+	THAC: 159, TLER: 159, TMAD: 159, TRYF: 159, URAR: 159, WOOD: 159, YETI: 159, YSEC: 159, ABOL: 158, ANEC: 158,
+	ASEC: 158, AWIT: 158, CTAS: 158, DADV: 158, DNEC: 158, DSMA: 158, DVIC: 158, EDRO: 158, EENJ: 158, EONA: 158,
+	FCIT: 158, HEYO: 158, HOOS: 158, IBED: 158, ICIS: 158, ISBR: 158, ISEW: 158, ITSG: 158, KEDA: 158, LLAP: 158,
+	LLWI: 158, LWAS: 158, NAFT: 158, NEAT: 158, NEFO: 158, NKNO: 158, NSEI: 158, OSEM: 158, OTEA: 158, PTAN: 158,
+	RAMT: 158, RANN: 158, RAWA: 158, RDSH: 158, RIMA: 158, RURA: 158, STCE: 158, SUSE: 158, TSAD: 158, WARF: 158,
+	WASW: 158, WEDE: 158, YADV: 158, YTIM: 158, AGNI: 157, AJUS: 157, ANCA: 157, ANOU: 157, ANWO: 157, APTU: 157,
+	ASDI: 157, ASTL: 157, AYCO: 157, BLEH: 157, BSEQ: 157, DMON: 157, DPOS: 157, EBLE: 157, ELCO: 157, ERYR: 157,
+	EWYO: 157, FALA: 157, FFED: 157, FSUP: 157, HUSF: 157, ICAC: 157, LLDI: 157, LLFI: 157, LOFO: 157, OADV: 157,
+	OENT: 157, OMHI: 157, ONMO: 157, OUSH: 157, OWSO: 157, PALL: 157, SABI: 157, SHON: 157, TDEM: 157, TSST: 157,
+	ULTH: 157, UMIN: 157, URYI: 157, YEXC: 157, ABRI: 156, AMIC: 156, ANQU: 156, DEFR: 156, DEND: 156, DSTU: 156,
+	ELST: 156, EWAL: 156, FHEA: 156, GINC: 156, GLAW: 156, GLEC: 156, HERY: 156, ICSA: 156, ILYT: 156, ISBA: 156,
+	ITEW: 156, LEAL: 156, LMEA: 156, LPIN: 156, LYBU: 156, MPTT: 156, NELE: 156, OFEM: 156, ONGB: 156, OYER: 156,
+	RTWI: 156, RYBY: 156, SABR: 156, SHEH: 156, SKTH: 156, SPEO: 156, SSAC: 156, TAXP: 156, TBEN: 156, TCLA: 156,
+	TCOR: 156, TDEF: 156, URDI: 156, UTSO: 156, ALSC: 155, ARVE: 155, CAIS: 155, CHLA: 155, DEDS: 155, EADW: 155,
+	EANC: 155, ESAB: 155, FOLD: 155, GHIT: 155, GPEO: 155, HUST: 155, IALW: 155, INWE: 155, IPAR: 155, IPTI: 155,
+	LDAT: 155, LVIN: 155, MESE: 155, MYDU: 155, NAMI: 155, NANO: 155, NEBY: 155, NEND: 155, NGBO: 155, NONA: 155,
+	OADD: 155, OBAL: 155, PAYA: 155, REUS: 155, RIGA: 155, RPEN: 155, SAYI: 155, SIXT: 155, THDA: 155, TLIK: 155,
+	TLYD: 155, TRED: 155, TSEV: 155, WARM: 155, WOGO: 155, XTIN: 155, ADLY: 154, ASLE: 154, ATBO: 154, DOPE: 154,
+	EERE: 154, ESAP: 154, ESOI: 154, EWRO: 154, EWST: 154, GINI: 154, GTOO: 154, HESW: 154, ICYI: 154, IGHW: 154,
+	IPTH: 154, IRPO: 154, ISRA: 154, ISVE: 154, LAYE: 154, LLHI: 154, LLKN: 154, LUSE: 154, NGGO: 154, OADO: 154,
+	ORCI: 154, PERE: 154, PSIN: 154, PUTI: 154, RSTS: 154, RSYS: 154, SLET: 154, TBEM: 154, TGEN: 154, TORM: 154,
+	TORO: 154, TTOL: 154, VENM: 154, ADYB: 153, AITI: 153, ALVA: 153, ARGU: 153, ASAB: 153, ASTD: 153, ATLI: 153,
+	DASW: 153, DNEV: 153, DSEN: 153, DTOU: 153, EABU: 153, EFOO: 153, EINN: 153, ELEF: 153, ETST: 153, HARI: 153,
+	ICHL: 153, IKEW: 153, INLE: 153, LDNE: 153, LLPO: 153, LSET: 153, MPTE: 153, NJUN: 153, NWES: 153, ODSA: 153,
+	OFOL: 153, OINF: 153, OMAR: 153, ONHO: 153, ONIF: 153, OWSA: 153, PROO: 153, RFAC: 153, RICO: 153, SASU: 153,
+	SEAA: 153, SEON: 153, SINK: 153, TLYW: 153, TOON: 153, URAB: 153, UREH: 153, XERT: 153, YEDA: 153, YREF: 153,
+	BATE: 152, BEUS: 152, BYST: 152, CHMI: 152, COMF: 152, DFRI: 152, DIAM: 152, DJUD: 152, EALM: 152, EARH: 152,
+	EDOW: 152, ELIC: 152, EMAG: 152, GTOD: 152, GTOW: 152, HICA: 152, HIHA: 152, ITEL: 152, IVEU: 152, LITE: 152,
+	LPUR: 152, LYIT: 152, NDCU: 152, NGBA: 152, NKYO: 152, NVAS: 152, OLVI: 152, PANE: 152, RDEM: 152, RFAI: 152,
+	RLYC: 152, RSAF: 152, SASO: 152, SSET: 152, TIAM: 152, TQUA: 152, TRUL: 152, UNEA: 152, URNS: 152, VALE: 152,
+	WYOR: 152, YPOL: 152, YTOG: 152, YWEA: 152, ARIG: 151, ASMO: 151, ATBU: 151, CTRE: 151, DAGE: 151, DBRI: 151,
+	DERP: 151, DIFT: 151, DMET: 151, ECTH: 151, EELS: 151, FTAX: 151, GBET: 151, GENU: 151, GOTO: 151, HAUS: 151,
+	HENB: 151, HIMW: 151, HUNT: 151, IFYT: 151, ILYI: 151, IMAG: 151, ITBY: 151, IURG: 151, LARC: 151, MEIT: 151,
+	MEVE: 151, NECA: 151, NFAI: 151, NPOS: 151, NSLA: 151, OMEL: 151, PITE: 151, REDN: 151, RITE: 151, RKWI: 151,
+	RLIV: 151, ROFM: 151, RTAX: 151, SDEF: 151, SDEV: 151, SLEE: 151, STBU: 151, TFIR: 151, TIAN: 151, TMER: 151,
+	TOMY: 151, TULA: 151, VEEV: 151, ACER: 150, ALNE: 150, ALOP: 150, AMEI: 150, ANFR: 150, ANXI: 150, ANYN: 150,
+	AVEU: 150, BEGR: 150, CALO: 150, DLYR: 150, DOPP: 150, EASH: 150, EENV: 150, EIHA: 150, ESTN: 150, GPAR: 150,
+	INOP: 150, ITAP: 150, KESA: 150, LAFF: 150, LENI: 150, LLTA: 150, LYCH: 150, MOFA: 150, NGTA: 150, NGWO: 150,
+	OEXC: 150, OLTH: 150, ONQU: 150, ORBI: 150, ORLA: 150, POFT: 150, RAMI: 150, RISA: 150, ROLE: 150, SAWA: 150,
+	SLYA: 150, SMIN: 150, SNEA: 150, SORA: 150, STAY: 150, STLI: 150, TGRO: 150, TINY: 150, UALP: 150, VALS: 150,
+	YASW: 150, ALEC: 149, ASKY: 149, ATMI: 149, CESE: 149, CEUP: 149, EEIT: 149, ESAD: 149, EXPI: 149, GEOR: 149,
+	GUNS: 149, HANS: 149, HEGA: 149, HTST: 149, ICMA: 149, ICOM: 149, ICSO: 149, IGER: 149, IMEP: 149, ISEE: 149,
+	ISQU: 149, KELY: 149, KSIN: 149, LSON: 149, LSUC: 149, MICS: 149, MISC: 149, NYPR: 149, OFEC: 149, OFTW: 149,
+	RBUS: 149, REEP: 149, RELO: 149, RTLY: 149, RYAT: 149, SEDP: 149, SSLY: 149, STAF: 149, SUAN: 149, TASH: 149,
+	TSSO: 149, UTYI: 149, VENW: 149, WEBE: 149, YKNO: 149, YTAK: 149, ANSB: 148, ATAP: 148, BLEL: 148, CCON: 148,
+	CTSH: 148, ERSR: 148, GANY: 148, IRNE: 148, KEOU: 148, LANN: 148, LEGR: 148, LEOR: 148, NCYW: 148, NDRI: 148,
+	NDSB: 148, NMOS: 148, NPEA: 148, OBSA: 148, OFVA: 148, OONT: 148, ORAI: 148, ORCH: 148, OUAN: 148, OWOF: 148,
+	RHER: 148, RNAN: 148, RSTC: 148, SENI: 148, SEPE: 148, SKYO: 148, SOUL: 148, SWAY: 148, TFIN: 148, TFOU: 148,
+	TGRA: 148, TWIS: 148, XPIR: 148, YEDT: 148, ALIA: 147, ALMI: 147, AMEL: 147, ANKY: 147, ATAF: 147, ATFI: 147,
+	BLYA: 147, BSAN: 147, CEAB: 147, CHIM: 147, CHRI: 147, DEWH: 147, EADL: 147, EANW: 147, EARP: 147, EDBO: 147,
+	EDGR: 147, EGET: 147, ERYG: 147, ERYH: 147, FGOO: 147, GDOW: 147, GEWH: 147, GLES: 147, GPER: 147, HSOF: 147,
+	HTOT: 147, INYO: 147, LART: 147, LCAR: 147, LINF: 147, LYTR: 147, NBRO: 147, NGYO: 147, NNED: 147, OHOL: 147,
+	RBED: 147, RISK: 147, RYFR: 147, SADE: 147, SASH: 147, SATL: 147, SINN: 147, SOFV: 147, SSAI: 147, STEV: 147,
+	TANO: 147, TEEL: 147, TYPE: 147, ADCO: 146, AMSA: 146, ANAF: 146, EDFA: 146, EEPA: 146, EFLY: 146, ELFG: 146,
+	EWSO: 146, GSTO: 146, ICYA: 146, IREI: 146, ISLO: 146, KNES: 146, LAYS: 146, LEMP: 146, LSOI: 146, MAYR: 146,
+	NBEI: 146, NDRU: 146, OHAD: 146, ONSL: 146, ORWO: 146, OSSO: 146, RBEA: 146, RCUR: 146, RDFO: 146, RTOW: 146,
+	SBAN: 146, SESB: 146, SEWA: 146, SSRE: 146, TKNO: 146, USFO: 146, VELI: 146, VENB: 146, WEKN: 146, YABO: 146,
+	YDUR: 146, YLAR: 146, YSOU: 146, ASWO: 145, ATHT: 145, AWAS: 145, BANC: 145, BEHO: 145, DADE: 145, DATH: 145,
+	DEBA: 145, DNOR: 145, DROP: 145, EAPR: 145, EIRV: 145, ELED: 145, EMOM: 145, ENPA: 145, ERNT: 145, ERSL: 145,
+	ESDU: 145, EWAG: 145, GHWA: 145, HANM: 145, HOFF: 145, ICOT: 145, IESE: 145, ITBU: 145, ITYP: 145, LEPO: 145,
+	LETM: 145, LLGO: 145, LREQ: 145, LYGR: 145, LYUP: 145, MAYT: 145, MOFG: 145, NCEL: 145, NDHU: 145, NICI: 145,
+	NUAN: 145, OANE: 145, OHER: 145, ONIE: 145, ONLE: 145, OTHR: 145, REXT: 145, RFAM: 145, RINK: 145, RONA: 145,
+	RTOE: 145, RWOU: 145, SISH: 145, SLAR: 145, SQUI: 145, TOKN: 145, UITO: 145, UNFA: 145, YTRA: 145, ARPE: 144,
+	ATSI: 144, AYSW: 144, BYSO: 144, DEAC: 144, DITY: 144, EAMI: 144, FARB: 144, HSHA: 144, IFTE: 144, KANS: 144,
+	KORE: 144, LEEA: 144, LLAD: 144, LOFU: 144, LTHY: 144, MNOT: 144, NDEL: 144, NEDS: 144, NEYE: 144, NHEL: 144,
+	NNOR: 144, NYRE: 144, OLEC: 144, ONPE: 144, POUT: 144, RSHE: 144, RTHT: 144, RUET: 144, RYAC: 144, SSIF: 144,
+	TOJU: 144, TSAM: 144, TSSE: 144, TYBU: 144, UREP: 144, VESB: 144, VIRO: 144, YRED: 144, YTOH: 144, YTRE: 144,
+	ADIC: 143, AFUL: 143, ARGO: 143, ATAD: 143, ATDO: 143, AVYA: 143, BEAU: 143, DHIG: 143, EDCR: 143, EEKT: 143,
+	ERIF: 143, EWEW: 143, FTEX: 143, GTOP: 143, HUNG: 143, ICTR: 143, IFNO: 143, IRTR: 143, LDDE: 143, LEHE: 143,
+	LLNA: 143, LPED: 143, MEPO: 143, NDAH: 143, NDDA: 143, NDDU: 143, NHEA: 143, OCEN: 143, OSTW: 143, OTER: 143,
+	RACK: 143, RIMM: 143, RINV: 143, RLYP: 143, RUPO: 143, SEDC: 143, SELI: 143, SESF: 143, SINB: 143, SSAM: 143,
+	STHM: 143, TSCH: 143, UNWI: 143, UPIN: 143, URLI: 143, UTYA: 143, VECA: 143, YBEP: 143, YDEM: 143, YPRI: 143,
+	AMEM: 142, ASLA: 142, ATFR: 142, ATSP: 142, AYFR: 142, CATT: 142, CEUN: 142, DOSO: 142, EDTE: 142, ENPL: 142,
+	ETIC: 142, ETYA: 142, EWON: 142, FFIR: 142, GATH: 142, GEIS: 142, GIME: 142, GTOG: 142, HEDF: 142, HEYP: 142,
+	HOFJ: 142, IALB: 142, ICEM: 142, IORT: 142, ISVI: 142, LFAN: 142, LOSI: 142, LYAR: 142, LYOR: 142, NDTA: 142,
+	NERI: 142, NOPP: 142, NTNA: 142, NVIN: 142, NWEL: 142, OACO: 142, OMEV: 142, ONPA: 142, ONUS: 142, PREF: 142,
+	RECK: 142, RGEM: 142, RJUS: 142, RMYO: 142, SBYW: 142, SLES: 142, SMIL: 142, STFA: 142, TBEG: 142, TOTI: 142,
+	TSMO: 142, ULOU: 142, UNAN: 142, YPAS: 142, YYOU: 142, ACHS: 141, ALFI: 141, ARLE: 141, ATUL: 141, DTIM: 141,
+	DWAT: 141, DYBE: 141, EEPL: 141, EGIM: 141, ERLO: 141, GEAS: 141, GRIT: 141, IMAR: 141, IPSO: 141, ISHP: 141,
+	ISSP: 141, ITON: 141, IZEA: 141, LINV: 141, LLIM: 141, LTSO: 141, NDOW: 141, ODST: 141, OOBT: 141, OPEI: 141,
+	ORKF: 141, ORWE: 141, OTIV: 141, OVEO: 141, OWDE: 141, RDEL: 141, RFRI: 141, RGRO: 141, SDIF: 141, SEGO: 141,
+	STUP: 141, SWED: 141, TREF: 141, USDE: 141, UTBY: 141, XCEL: 141, YASP: 141, AMAG: 140, AMOF: 140, ATGR: 140,
+	AXIM: 140, BRAV: 140, CALT: 140, CHSE: 140, CMON: 140, DARK: 140, DFUR: 140, DMIR: 140, DOFE: 140, DSUR: 140,
+	EDGO: 140, EDTR: 140, ICKL: 140, IETU: 140, IMSA: 140, ISHC: 140, ISOL: 140, IVEG: 140, LDBY: 140, LELI: 140,
+	NGUA: 140, NLYF: 140, OBEG: 140, OLDO: 140, OYTH: 140, PONH: 140, PTOT: 140, REEV: 140, RSEB: 140, SCLA: 140,
+	THOL: 140, TOBO: 140, TSUR: 140, TWOY: 140, TYYE: 140, UIDE: 140, UNET: 140, USST: 140, VEFA: 140, VEPE: 140,
+	WARN: 140, WEWO: 140, WHOI: 140, YASI: 140, YBED: 140, YFIR: 140, YISS: 140, ALHE: 139, DINN: 139, DOFW: 139,
+	DPUB: 139, DSTE: 139, EAIR: 139, EDUL: 139, ELDS: 139, EMAC: 139, EMIC: 139, ENBU: 139, ENPE: 139, ESMI: 139,
+	HABS: 139, HEMH: 139, ICGR: 139, ILEO: 139, INTW: 139, LLTI: 139, MANK: 139, MEHO: 139, MOBI: 139, NARI: 139,
+	NGCH: 139, NGCL: 139, OFOC: 139, ORBU: 139, OSHA: 139, PEDO: 139, RACO: 139, RECU: 139, REGE: 139, ROMF: 139,
+	SEXI: 139, SHTO: 139, SOBJ: 139, TITA: 139, TLOO: 139, TRIP: 139, UGHW: 139, UIDA: 139, UMME: 139, UNDW: 139,
+	USHA: 139, VEWE: 139, WASL: 139, WHOP: 139, WOYE: 139, YGOV: 139, YJUS: 139, AFEG: 138, ALWH: 138, ANEM: 138,
+	ASLI: 138, ATDA: 138, BEOB: 138, CEAR: 138, DOFH: 138, EDMY: 138, EFEE: 138, EISI: 138, EMBY: 138, ERPU: 138,
+	HPER: 138, ICEH: 138, INEM: 138, INTY: 138, KEWI: 138, LAYT: 138, LDEP: 138, LEMI: 138, LFGO: 138, LHIS: 138,
+	LIQU: 138, LLFU: 138, LSOC: 138, LSWE: 138, NMYL: 138, NOLE: 138, NOWF: 138, OALI: 138, ODEL: 138, ODOW: 138,
+	OMCO: 138, ONLI: 138, OUHA: 138, PACT: 138, PTSO: 138, RHOM: 138, RSBY: 138, RTFO: 138, RWER: 138, RYPA: 138,
+	TALP: 138, TINW: 138, UNJU: 138, UNSA: 138, VASI: 138, YDON: 138, YREV: 138, ALTY: 137, ASID: 137, BERW: 137,
+	CASH: 137, CKSO: 137, DALO: 137, DITM: 137, EBTA: 137, EGOI: 137, EOWN: 137, FFTH: 137, FTRE: 137, GTER: 137,
+	HOWO: 137, IATO: 137, LEUN: 137, LFRO: 137, LINI: 137, LYPO: 137, MARE: 137, MPRI: 137, NBYA: 137, NDIW: 137,
+	NETA: 137, NGLO: 137, OBEN: 137, OLOM: 137, OOVE: 137, OTDE: 137, OTUN: 137, QUIL: 137, RADV: 137, RDOM: 137,
+	RLYS: 137, TCRI: 137, TNAM: 137, TPAY: 137, TSUS: 137, TYPR: 137, VEUS: 137, YDEF: 137, ADRE: 136, ASWA: 136,
+	ATLO: 136, AXRE: 136, BYSE: 136, CAUT: 136, CHEE: 136, CHGO: 136, CYIS: 136, DFAC: 136, DLYI: 136, DREF: 136,
+	EAVA: 136, ELEN: 136, FEGU: 136, FERA: 136, HIPM: 136, IRPA: 136, ITEO: 136, KENB: 136, LANG: 136, MAXI: 136,
+	MEBU: 136, NTAD: 136, OAVO: 136, ODOT: 136, OFFT: 136, OFUL: 136, OLLS: 136, RALF: 136, REEY: 136, RSIO: 136,
+	SAWH: 136, SDEE: 136, SEEX: 136, SIMM: 136, SKNO: 136, SSIL: 136, TERY: 136, UTIL: 136, VEFR: 136, VEUN: 136,
+	YEXT: 136, ADEL: 135, AMOS: 135, ANSL: 135, AZIL: 135, CROP: 135, DFAR: 135, DINB: 135, DULE: 135, ECTR: 135,
+	EITE: 135, EMIE: 135, EXHA: 135, GASI: 135, GIND: 135, GOTT: 135, GTOC: 135, IRTY: 135, JOUR: 135, KABL: 135,
+	KEOF: 135, LOAT: 135, MANH: 135, MEAL: 135, MECH: 135, MYOU: 135, NCOL: 135, NHAR: 135, NITH: 135, NLYP: 135,
+	NMAI: 135, OCHI: 135, ORHE: 135, ORLO: 135, ORYS: 135, OTIS: 135, PEST: 135, RANO: 135, RCOL: 135, RGEI: 135,
+	RKFO: 135, ROLI: 135, RUSH: 135, SASE: 135, SEMP: 135, SEUN: 135, TALM: 135, TEHO: 135, TISG: 135, TWAY: 135,
+	URFU: 135, USME: 135, USWH: 135, VALI: 135, VENS: 135, VORE: 135, ZEDI: 135, ABOA: 134, ANTD: 134, BLYT: 134,
+	CECA: 134, DABR: 134, DDEL: 134, DMAT: 134, EBLO: 134, EBTS: 134, ECRO: 134, EDCI: 134, EFAL: 134, EFTH: 134,
+	EGLE: 134, ENAG: 134, ENLY: 134, EWEN: 134, FABO: 134, FCAP: 134, FGHA: 134, FULE: 134, GINF: 134, HINI: 134,
+	IESU: 134, IMEL: 134, LALL: 134, LDAD: 134, LDDO: 134, LNEE: 134, LSOM: 134, MWIL: 134, NAAN: 134, NCEE: 134,
+	NDET: 134, NDSS: 134, NEGL: 134, NGAF: 134, OCKA: 134, OFRO: 134, OINI: 134, OMON: 134, OOFF: 134, ORYC: 134,
+	OTSU: 134, PAYE: 134, RABI: 134, RECH: 134, RVIV: 134, RYSO: 134, RYWO: 134, SFUR: 134, SONF: 134, SPOU: 134,
+	SSBY: 134, TDIF: 134, TEAT: 134, TINR: 134, TRAF: 134, TTIT: 134, TYRE: 134, UIET: 134, ULDW: 134, UTLA: 134,
+	WSTA: 134, YAFT: 134, YENT: 134, YFEL: 134, YREG: 134, AFGH: 133, AIMA: 133, ALJU: 133, AMEW: 133, AYAS: 133,
+	BYEX: 133, DOMT: 133, DSIT: 133, EABI: 133, EDBA: 133, EDDO: 133, EYOF: 133, EYTO: 133, FLOA: 133, FUNI: 133,
+	HELM: 133, HWES: 133, IFEO: 133, INAI: 133, KTOT: 133, LEDS: 133, LUME: 133, LVET: 133, NATA: 133, NCLA: 133,
+	NENO: 133, NEWB: 133, NGEC: 133, NINR: 133, OADT: 133, ODIE: 133, OFSC: 133, ONNA: 133, OPEW: 133, ORTL: 133,
+	RCIR: 133, RDLY: 133, RLYE: 133, ROCA: 133, RPAS: 133, RUIN: 133, SASC: 133, SOCO: 133, STGR: 133, TREV: 133,
+	TUNT: 133, UEDI: 133, UNGE: 133, XPLA: 133, YWES: 133, AGEF: 132, AKEC: 132, ALSF: 132, ANYL: 132, ANYY: 132,
+	AXPA: 132, CHOS: 132, DTRE: 132, DULY: 132, ECTB: 132, EITM: 132, ELYN: 132, ERBO: 132, ERFA: 132, EXEM: 132,
+	FBUS: 132, FINF: 132, GCOU: 132, GEVE: 132, GSTR: 132, HEWR: 132, HMEA: 132, IESD: 132, IESR: 132, ISAY: 132,
+	LDSO: 132, LTOA: 132, LYHE: 132, MELA: 132, MOFC: 132, NBEE: 132, NDEB: 132, NINP: 132, NTTR: 132, OGIC: 132,
+	OPTH: 132, RERA: 132, RESB: 132, REXI: 132, RIEF: 132, RMAY: 132, ROWS: 132, RSID: 132, RSSH: 132, SEWO: 132,
+	SHEM: 132, SMON: 132, STCH: 132, THNO: 132, TICR: 132, UGHE: 132, UNNI: 132, URTI: 132, UTSU: 132, VEAG: 132,
+	VESP: 132, XEMP: 132, YSYS: 132, AMTH: 131, ANIA: 131, AUNI: 131, AUTO: 131, BEAM: 131, BRAZ: 131, BRIE: 131,
+	BYAP: 131, DBEO: 131, DHAD: 131, ECTC: 131, ECUS: 131, ELFW: 131, EMUN: 131, EOUG: 131, ERYN: 131, EYNE: 131,
+	FREL: 131, GIOU: 131, GULF: 131, IAMS: 131, IEFL: 131, MINU: 131, NISI: 131, NSAF: 131, NTSY: 131, OADM: 131,
+	OCOL: 131, OCUR: 131, ODFO: 131, ODIT: 131, PFOR: 131, RDWI: 131, REJE: 131, RINO: 131, RNOF: 131, RYMO: 131,
+	SCAU: 131, SEAB: 131, SRAT: 131, TEGI: 131, TLON: 131, TOCC: 131, TYWA: 131, URCA: 131, USNE: 131, VORS: 131,
+	WASG: 131, XPAY: 131, YBEM: 131, YOFG: 131, ADEU: 130, ASEF: 130, AYWH: 130, BALL: 130, CLIM: 130, CTON: 130,
+	CUTS: 130, DEPL: 130, DEXE: 130, DIHA: 130, DMAD: 130, DSAS: 130, EACQ: 130, EASC: 130, EATF: 130, EBLA: 130,
+	EDFI: 130, EFLA: 130, EJEC: 130, ENAP: 130, EUNF: 130, EWRE: 130, FCUB: 130, FFRO: 130, FSEP: 130, GTOH: 130,
+	HTWH: 130, HUSA: 130, ILDE: 130, IRLA: 130, IRSE: 130, KEDI: 130, LDES: 130, LLGR: 130, LLWO: 130, LLYU: 130,
+	LSUB: 130, LTAX: 130, LYAB: 130, MEAT: 130, NABO: 130, NOIN: 130, NOOT: 130, OMTI: 130, ONIM: 130, OOKO: 130,
+	OPUR: 130, OTDO: 130, PATC: 130, RDAY: 130, RIER: 130, RRET: 130, RTIT: 130, SALM: 130, SEGR: 130, SONC: 130,
+	SORB: 130, TOJO: 130, TTRI: 130, TURK: 130, TYSH: 130, UGHL: 130, VEPA: 130, XIOU: 130, YINW: 130, YOFH: 130,
+	ALEL: 129, CHUN: 129, DAUT: 129, DAWA: 129, DMUC: 129, DOFL: 129, DRIG: 129, DVAL: 129, DWEC: 129, EIZE: 129,
+	ENOC: 129, FEIT: 129, GNTY: 129, GYAN: 129, HANP: 129, HEUT: 129, HORS: 129, ICAF: 129, IEDS: 129, ILYO: 129,
+	ISFR: 129, ITHY: 129, ITYM: 129, LDWH: 129, LICB: 129, LISM: 129, NBEN: 129, NREM: 129, OODE: 129, OTOT: 129,
+	RADM: 129, RGOO: 129, RNEI: 129, SBEG: 129, SEHE: 129, TESR: 129, TITT: 129, TMET: 129, USDI: 129, VEAP: 129,
+	YDEV: 129, YOCC: 129, YOFJ: 129, ZEAL: 129, ACOR: 128, AILY: 128, ASEW: 128, ASOR: 128, BONE: 128, BORT: 128,
+	CALG: 128, CEND: 128, DALA: 128, DSEA: 128, EDIL: 128, EFTT: 128, ELFO: 128, FGEN: 128, FTTH: 128, GNOT: 128,
+	GSOM: 128, HNOT: 128, HPRE: 128, IRWA: 128, ITYE: 128, LDSU: 128, LGIV: 128, LTTO: 128, LYLI: 128, MEMA: 128,
+	MHIS: 128, MPAS: 128, MSWH: 128, MTIM: 128, NDGI: 128, NENC: 128, NEWR: 128, NYFO: 128, NYWH: 128, OCRE: 128,
+	OFIR: 128, OMBA: 128, OMYT: 128, PELE: 128, PERU: 128, PETU: 128, REXC: 128, RSEI: 128, RTRO: 128, RVER: 128,
+	RWEH: 128, SAPA: 128, SEBU: 128, TDUT: 128, TERU: 128, TFEW: 128, TICO: 128, TSNE: 128, UNDU: 128, URHO: 128,
+	URWO: 128, VALA: 128, VEAM: 128, YANE: 128, ACCR: 127, ALCI: 127, AMOD: 127, APSE: 127, AUNC: 127, AWIS: 127,
+	BEBE: 127, BEFA: 127, BEPU: 127, BITE: 127, BLOC: 127, BORH: 127, BUTC: 127, CKON: 127, ECAB: 127, ENHI: 127,
+	ETEC: 127, HANB: 127, HEMP: 127, HNIC: 127, HRIS: 127, ICBU: 127, IMBE: 127, INEB: 127, INKO: 127, INUT: 127,
+	IRAL: 127, LEBR: 127, LHAS: 127, LIMA: 127, LOMB: 127, LYMO: 127, MTOB: 127, NDUE: 127, NEYA: 127, NGSC: 127,
+	NKSA: 127, NSUF: 127, NWEM: 127, ONOV: 127, OOLI: 127, OTLE: 127, OUDO: 127, QUAD: 127, RDIT: 127, REDH: 127,
+	RORA: 127, ROYE: 127, RUSE: 127, SODE: 127, SOFJ: 127, SSBU: 127, SSDE: 127, TOVI: 127, TYBY: 127, USPI: 127,
+	VEWO: 127, VILW: 127, WARH: 127, WHOB: 127, YJUD: 127, YNEC: 127, ADRO: 126, AIGN: 126, ALEB: 126, ALEW: 126,
+	ALHO: 126, AMAR: 126, ANSS: 126, ASCH: 126, CELY: 126, CENC: 126, CHDI: 126, CHUR: 126, DATL: 126, EBAC: 126,
+	EGER: 126, ERGI: 126, ESCI: 126, EXTF: 126, HASW: 126, HBUT: 126, IQUI: 126, ITSV: 126, LICF: 126, LWIL: 126,
+	MANR: 126, MAYW: 126, NARC: 126, NELA: 126, NERY: 126, NGSB: 126, NNUM: 126, NOME: 126, OFSH: 126, OFYE: 126,
+	ONPO: 126, OOMA: 126, ORAF: 126, OUCA: 126, OUNS: 126, RHAD: 126, RNOW: 126, RSPA: 126, RTOI: 126, SACH: 126,
+	SCIP: 126, SEAG: 126, SESC: 126, TSDU: 126, UCEA: 126, UNDF: 126, UTLE: 126, XHAU: 126, YAUT: 126, YSEN: 126,
+	YWEM: 126, ABAL: 125, ANCY: 125, ARAB: 125, ASWH: 125, BLEU: 125, CKSA: 125, DAPR: 125, DOIT: 125, EDAW: 125,
+	EESA: 125, ELOA: 125, EMES: 125, ESAY: 125, ESDI: 125, FADE: 125, FRUI: 125, HTIM: 125, IDAB: 125, IFTY: 125,
+	IMPU: 125, IRGO: 125, LAMO: 125, LEBO: 125, LLAG: 125, LLGI: 125, LWEL: 125, LWHO: 125, MITO: 125, NINI: 125,
+	NNEX: 125, NTAP: 125, NYYE: 125, OFAV: 125, OFWI: 125, OMEX: 125, OORD: 125, PLEX: 125, RACC: 125, RDIF: 125,
+	REMP: 125, RTEN: 125, RTFR: 125, SETR: 125, SITC: 125, TEBE: 125, TEIS: 125, TLEO: 125, TPAS: 125, UGHN: 125,
+	UGME: 125, UPPE: 125, URYW: 125, UTER: 125, ZEDW: 125, ACAR: 124, ALIV: 124, ALNA: 124, AMAS: 124, AMTO: 124,
+	AUGM: 124, AYOU: 124, AYSE: 124, BSID: 124, BYAM: 124, CATO: 124, CEAM: 124, CGRO: 124, CHAD: 124, COPE: 124,
+	DHUM: 124, ECKS: 124, EDRI: 124, EEWO: 124, EISR: 124, ENOP: 124, ESIF: 124, EUNE: 124, FETH: 124, FLOU: 124,
+	FOST: 124, FSTR: 124, GINO: 124, HOFS: 124, IEFO: 124, IRCL: 124, ITEN: 124, KENE: 124, KLES: 124, LARO: 124,
+	LAUN: 124, LHEL: 124, NDOB: 124, NEGR: 124, NEME: 124, NERT: 124, NEYI: 124, NTAM: 124, NTMI: 124, OBAC: 124,
+	OCTR: 124, OLEO: 124, OLSA: 124, ONFU: 124, ORRU: 124, OUPS: 124, OWIS: 124, PLEC: 124, RANQ: 124, RDEV: 124,
+	SEOR: 124, SFOL: 124, TEHA: 124, TEQU: 124, TOCL: 124, UBTT: 124, ULLO: 124, URSA: 124, USMA: 124, USWI: 124,
+	UTEN: 124, UTPE: 124, VERG: 124, YEXE: 124, AGOI: 123, AMEF: 123, ASKS: 123, ATQU: 123, BRIG: 123, BYAR: 123,
+	CUPI: 123, DBYR: 123, DCOL: 123, DDIN: 123, DISI: 123, DREV: 123, DSAL: 123, EAKO: 123, EAOF: 123, EFEL: 123,
+	ELOV: 123, ERBA: 123, ETHD: 123, EWME: 123, FAFR: 123, GDIS: 123, GMAN: 123, GTOI: 123, HLES: 123, HUSI: 123,
+	ILOF: 123, ILSA: 123, IRSU: 123, LBEO: 123, LDCA: 123, LEAC: 123, LLAB: 123, LPLA: 123, LSOU: 123, MESW: 123,
+	NEDE: 123, NESW: 123, NEWF: 123, NEYT: 123, NSCH: 123, NTLI: 123, NTMU: 123, ODOI: 123, ORGR: 123, QUAN: 123,
+	RAGO: 123, REUP: 123, ROCI: 123, RSEE: 123, STBY: 123, STCL: 123, TAUT: 123, THFR: 123, THSP: 123, UADR: 123,
+	URHE: 123, YCIT: 123, YISN: 123, ALAB: 122, ANEO: 122, ARBY: 122, ATOM: 122, BELE: 122, BIPA: 122, CHNI: 122,
+	DLAN: 122, DLYT: 122, DORE: 122, EARG: 122, EDUE: 122, EFAT: 122, EILL: 122, EIRU: 122, EYSA: 122, FITW: 122,
+	FLIB: 122, FWIT: 122, GHTM: 122, HDIS: 122, HFRO: 122, HREG: 122, IRHO: 122, LAPS: 122, LEEP: 122, LYFA: 122,
+	MALA: 122, MAYP: 122, MESH: 122, NALH: 122, NEWG: 122, NLIF: 122, NTHU: 122, OJOI: 122, OLST: 122, ONGP: 122,
+	ORFU: 122, OSAV: 122, OTAT: 122, PETO: 122, POKE: 122, PPIL: 122, PRID: 122, PRUD: 122, RIDA: 122, RSUN: 122,
+	SBRI: 122, SCAT: 122, SEEA: 122, SELL: 122, SIAA: 122, TFRE: 122, THDE: 122, TLYH: 122, TTRE: 122, TYNO: 122,
+	UNDB: 122, URWA: 122, VILA: 122, YPEO: 122, YRIG: 122, ANFA: 121, ANOB: 121, ASFR: 121, ASSP: 121, DADM: 121,
+	EEMB: 121, ESEB: 121, ETEX: 121, ETNA: 121, EUST: 121, EWID: 121, FFAC: 121, FULW: 121, GIAN: 121, GNEW: 121,
+	GTOM: 121, IANG: 121, ILAT: 121, IRSI: 121, ISRI: 121, LYDO: 121, MICP: 121, MSHA: 121, NINH: 121, NOCE: 121,
+	NOWM: 121, OANO: 121, ORMU: 121, ORTY: 121, OWND: 121, RDSI: 121, RFIR: 121, RORS: 121, RREM: 121, SSWA: 121,
+	STDO: 121, TUSE: 121, ULGE: 121, USEH: 121, WAII: 121, AGOT: 120, ANTB: 120, ARAM: 120, ASUP: 120, BLYB: 120,
+	BYPE: 120, CONQ: 120, CTFU: 120, DBUS: 120, DCOR: 120, DUAT: 120, DVOC: 120, EGIC: 120, EHOS: 120, EIVI: 120,
+	ELYU: 120, ENIA: 120, EPOO: 120, ERSD: 120, FEXT: 120, FJAN: 120, FPOW: 120, FSOC: 120, GEIT: 120, GLEA: 120,
+	HATV: 120, HEYT: 120, ICOR: 120, IDEB: 120, IDEE: 120, IGHA: 120, ILYB: 120, INDL: 120, INTT: 120, IRLY: 120,
+	KEDB: 120, LACC: 120, LCIT: 120, LDUT: 120, LEAM: 120, LLYM: 120, LMIN: 120, LTSA: 120, LWEA: 120, LYPU: 120,
+	NDIH: 120, NEXI: 120, NGPU: 120, NPOR: 120, OATH: 120, OBEW: 120, OONB: 120, OPSA: 120, OWEL: 120, OWNL: 120,
+	PAIG: 120, PHIC: 120, RGYA: 120, ROMN: 120, SEIM: 120, SHIM: 120, SINL: 120, SSAF: 120, SSBE: 120, SUMI: 120,
+	TAPR: 120, TFRI: 120, THAF: 120, TRET: 120, TWOT: 120, VEBU: 120, WELC: 120, YALT: 120, ADVO: 119, ALCR: 119,
+	ALER: 119, AMIS: 119, ANBU: 119, ANYG: 119, ANYH: 119, ARRO: 119, ASTP: 119, ATBY: 119, AYIS: 119, AZIN: 119,
+	BTLE: 119, BYAD: 119, CHBE: 119, CHNE: 119, CRUE: 119, DDET: 119, DDIR: 119, DSAF: 119, DSOT: 119, DYFO: 119,
+	EIFT: 119, ELIS: 119, ENSP: 119, EOCE: 119, EPTO: 119, ERNC: 119, FSAN: 119, GGER: 119, GHTD: 119, GUND: 119,
+	HANF: 119, ICOU: 119, IDDE: 119, IHAD: 119, IMAL: 119, INEC: 119, IRPE: 119, LARP: 119, LDSA: 119, LSWI: 119,
+	LTAK: 119, LYME: 119, MALI: 119, MAYI: 119, MECA: 119, MYIS: 119, NACE: 119, NBED: 119, NEBE: 119, NGMY: 119,
+	NIMM: 119, NTCH: 119, OBEU: 119, ODEM: 119, OMAS: 119, ORMY: 119, PILY: 119, PLYA: 119, RAWI: 119, RCHO: 119,
+	REBO: 119, RHOO: 119, ROLT: 119, RSPR: 119, RTSF: 119, RUCK: 119, SUNT: 119, THRI: 119, TOCE: 119, ULLS: 119,
+	URYN: 119, VALF: 119, VEWA: 119, WEDA: 119, WOUR: 119, WYEA: 119, YEXI: 119, YLIN: 119, YOUG: 119, ALGR: 118,
+	BARB: 118, BEEF: 118, CALD: 118, CHOR: 118, CHWH: 118, DLYC: 118, DOFB: 118, DRON: 118, EBTO: 118, EISD: 118,
+	EISH: 118, ERBR: 118, GUME: 118, HENR: 118, HESK: 118, IARI: 118, IGNR: 118, INAA: 118, IRCA: 118, IRSH: 118,
+	ISEB: 118, ISMU: 118, ITYN: 118, KETI: 118, LADE: 118, LARR: 118, LLSI: 118, MITH: 118, NINM: 118, NUEI: 118,
+	NYMO: 118, ONAH: 118, OOLA: 118, OTHS: 118, PLYO: 118, RAYE: 118, RIFT: 118, RINW: 118, RNER: 118, RULY: 118,
+	RUNN: 118, RYPE: 118, SPOK: 118, SSUF: 118, STES: 118, TADM: 118, TDOU: 118, TEAL: 118, TEPE: 118, TFAC: 118,
+	TFUN: 118, THOP: 118, TITC: 118, TLYF: 118, TODR: 118, TSOL: 118, UBTL: 118, UNEX: 118, UNGA: 118, USAT: 118,
+	WAKE: 118, WNFR: 118, YHOP: 118, YINI: 118, AKEM: 117, ALSP: 117, AMBI: 117, AMEC: 117, AMSH: 117, ASCR: 117,
+	AVYT: 117, AWSW: 117, AYHE: 117, BEES: 117, BRAT: 117, DAIL: 117, DRAT: 117, EEFR: 117, EHAP: 117, EKEE: 117,
+	EYED: 117, FSEL: 117, GHTC: 117, GIES: 117, HEYB: 117, HHIM: 117, HPRI: 117, HYTH: 117, IETN: 117, IMON: 117,
+	INSC: 117, IZES: 117, LKIN: 117, LOBA: 117, MAYC: 117, MICG: 117, MPAC: 117, NESH: 117, NGOL: 117, NITU: 117,
+	NNOV: 117, NPUB: 117, NYSU: 117, OGEN: 117, ORID: 117, OVEN: 117, OWPR: 117, RCEF: 117, RGUM: 117, ROBJ: 117,
+	RRYT: 117, RTWH: 117, RYLE: 117, RYUN: 117, SAYS: 117, SBYS: 117, SMAI: 117, STAP: 117, TEOR: 117, TFUR: 117,
+	THHA: 117, TIAR: 117, TICM: 117, TITY: 117, TLEN: 117, TNEV: 117, TQUE: 117, TWON: 117, TYFI: 117, UHAV: 117,
+	URRO: 117, URYD: 117, YACO: 117, ACEM: 116, ANKO: 116, APOS: 116, ARSP: 116, AWSI: 116, BYFO: 116, CHAI: 116,
+	CORE: 116, DASH: 116, DBYF: 116, DFRA: 116, DINL: 116, DSEL: 116, DSIL: 116, EAUS: 116, EDPU: 116, EDYO: 116,
+	EESP: 116, EKEP: 116, ELFS: 116, EORA: 116, EPEC: 116, EWYE: 116, FBEI: 116, FMAI: 116, HENP: 116, HTWI: 116,
+	IALN: 116, IAMA: 116, IMOF: 116, IREP: 116, IVOR: 116, LDEC: 116, LGRO: 116, LSPE: 116, LUNI: 116, MEAR: 116,
+	MELE: 116, MELY: 116, NLYC: 116, NLYR: 116, NODO: 116, NORG: 116, NRET: 116, NTEV: 116, NUEO: 116, NUSE: 116,
+	OCED: 116, OLDF: 116, OODB: 116, OODP: 116, ORSP: 116, OTHC: 116, OWIL: 116, PARK: 116, PONC: 116, PTAT: 116,
+	RBAR: 116, RDON: 116, RDOU: 116, RIZI: 116, RROU: 116, RSOL: 116, SBAC: 116, SEYE: 116, SISF: 116, SPLE: 116,
+	SSHI: 116, SSPO: 116, SSYS: 116, TBAN: 116, TDEL: 116, TEON: 116, THMA: 116, TTOU: 116, VORT: 116, WCOM: 116,
+	YFAI: 116, YGRO: 116, ACYA: 115, AMCO: 115, ARDB: 115, ARSS: 115, BITT: 115, BSTR: 115, CHON: 115, CTIM: 115,
+	DASP: 115, DOWE: 115, DRAI: 115, DSET: 115, EVIV: 115, EWPR: 115, FCEN: 115, FREA: 115, FSOU: 115, FTIN: 115,
+	FUSA: 115, HASU: 115, HEEQ: 115, HEID: 115, HILS: 115, HUSS: 115, IGHP: 115, IKIN: 115, INNA: 115, INWO: 115,
+	ISEC: 115, LFTO: 115, LYLO: 115, MEDW: 115, MWAS: 115, NEDC: 115, NGAW: 115, NGTI: 115, NHON: 115, NSAG: 115,
+	NVIO: 115, OIDE: 115, OMBE: 115, OODR: 115, ORFA: 115, OSEH: 115, OSTB: 115, OSTH: 115, PTSF: 115, RBES: 115,
+	RFOU: 115, RHIM: 115, ROPI: 115, RRYO: 115, RYFA: 115, SCOP: 115, TASU: 115, TELA: 115, TWED: 115, UGUR: 115,
+	UMET: 115, URPU: 115, UTOR: 115, UTUN: 115, VEGR: 115, VICI: 115, VOTI: 115, WAME: 115, YBEG: 115, AGIT: 114,
+	AKEU: 114, ALBO: 114, ASGI: 114, ATUS: 114, BING: 114, CESM: 114, CUSE: 114, DEON: 114, DISM: 114, DPAY: 114,
+	DSPA: 114, EAID: 114, EFEC: 114, EGOA: 114, FEAS: 114, GLIS: 114, GLOR: 114, IEVI: 114, LANW: 114, LECH: 114,
+	LEFI: 114, LHEA: 114, LINO: 114, LMAT: 114, LOWL: 114, LOYA: 114, LSTI: 114, LUET: 114, MBIT: 114, MINC: 114,
+	MORR: 114, MYOF: 114, NBEP: 114, NBIL: 114, NBOR: 114, NGOT: 114, NIZI: 114, NLIN: 114, ONRO: 114, RWES: 114,
+	SANS: 114, SATO: 114, SEAP: 114, SONN: 114, SORP: 114, SRED: 114, STFE: 114, TBEO: 114, TBIL: 114, TCER: 114,
+	TOPT: 114, TPOI: 114, TSAP: 114, TSLE: 114, USON: 114, UTDE: 114, WEPR: 114, WERB: 114, WHOT: 114, YFOU: 114,
+	YOPE: 114, ADIF: 113, ANKE: 113, ARSM: 113, ATAG: 113, AWAL: 113, COLD: 113, CTSF: 113, DADD: 113, DFIR: 113,
+	DIMM: 113, DOFD: 113, DPRA: 113, DSEV: 113, EBRE: 113, ELYM: 113, EMWE: 113, ENIF: 113, ESLO: 113, FASH: 113,
+	GESH: 113, GNAL: 113, HADD: 113, HOMT: 113, HUSB: 113, HYSI: 113, ICEX: 113, ICHG: 113, IMER: 113, INYE: 113,
+	ISJU: 113, LANK: 113, LBEG: 113, MANP: 113, MEAC: 113, NBRI: 113, NHAL: 113, NIAA: 113, NOPR: 113, NSAI: 113,
+	NTGO: 113, NUSU: 113, NXIO: 113, OADI: 113, OCAN: 113, ONGH: 113, ORLI: 113, OWNM: 113, PHYS: 113, POUN: 113,
+	PULL: 113, RARI: 113, RAUT: 113, RHIG: 113, RIBL: 113, RLIK: 113, ROMU: 113, RRIB: 113, RSTP: 113, SALU: 113,
+	SHIT: 113, SLAW: 113, THIG: 113, TLAR: 113, TLYM: 113, TSCI: 113, TTOY: 113, UNEW: 113, UPIE: 113, YEMP: 113,
+	YUSE: 113, AIDF: 112, ANEQ: 112, AREX: 112, ASGO: 112, ASIL: 112, CHMU: 112, CHPO: 112, DEDH: 112, DITB: 112,
+	DVEN: 112, EAKT: 112, ECIO: 112, EDYE: 112, EISC: 112, ELLW: 112, EMFR: 112, EPST: 112, ETAC: 112, FOVE: 112,
+	FTWO: 112, GEWI: 112, GILA: 112, GURA: 112, HNAT: 112, ICAH: 112, ITCH: 112, KETA: 112, LADM: 112, LESB: 112,
+	LEVA: 112, LOFI: 112, LSEN: 112, LYSI: 112, MEEX: 112, MEWO: 112, NBUS: 112, NCUB: 112, NDDR: 112, NDVE: 112,
+	NIRE: 112, NTTA: 112, NWEC: 112, NWIS: 112, OFDA: 112, OIST: 112, ONIC: 112, OURJ: 112, OWON: 112, POLY: 112,
+	RALH: 112, RCHT: 112, RLDH: 112, RPAT: 112, RYSI: 112, SBEN: 112, SHAM: 112, SSAU: 112, SSNE: 112, SUEO: 112,
+	TAWA: 112, TCRE: 112, TEFR: 112, TOAI: 112, TSDI: 112, UALO: 112, UCAN: 112, UIPM: 112, UITI: 112, UNDL: 112,
+	UPWA: 112, URAS: 112, UREE: 112, USEN: 112, VECH: 112, WNPE: 112, YAGR: 112, YCAR: 112, YHOW: 112, ACTL: 111,
+	ADDT: 111, CEHE: 111, CHEN: 111, DCER: 111, DICE: 111, DPAS: 111, EASF: 111, EASK: 111, EISM: 111, ELPO: 111,
+	EMYS: 111, ERUP: 111, ESIL: 111, EUNC: 111, EUNS: 111, FCHA: 111, GHTP: 111, GPRI: 111, INBR: 111, INLO: 111,
+	IORA: 111, IREG: 111, LESF: 111, MEHE: 111, NAFR: 111, NMAT: 111, NMON: 111, NSEW: 111, OCUM: 111, ODEP: 111,
+	PREJ: 111, RISS: 111, RLON: 111, RSOC: 111, RSSO: 111, RTOU: 111, RTYW: 111, RYNE: 111, SNOL: 111, SSPA: 111,
+	SUMS: 111, TEXI: 111, TPRA: 111, WHOF: 111, WITN: 111, YADJ: 111, YCAS: 111, YSAT: 111, ACYO: 110, ANEL: 110,
+	ARGI: 110, ATYA: 110, BUTP: 110, BYTR: 110, COPI: 110, CPOL: 110, CRAF: 110, CUME: 110, DLEE: 110, DOCU: 110,
+	EABA: 110, EAPA: 110, EDFU: 110, EFIL: 110, ERAF: 110, ESAW: 110, GEON: 110, GEPR: 110, GPRE: 110, GTHT: 110,
+	GTOR: 110, HWHA: 110, IRDO: 110, ISMY: 110, ITFR: 110, KOUT: 110, LEAP: 110, LFUN: 110, LIAM: 110, LICH: 110,
+	LTIT: 110, MACY: 110, MOFF: 110, MYST: 110, NAVE: 110, NDVA: 110, NGIM: 110, NOUS: 110, NRAT: 110, OAID: 110,
+	OITI: 110, OLEI: 110, OMEU: 110, OMIL: 110, ONDR: 110, OUAR: 110, OUIS: 110, RBOA: 110, REJO: 110, RITH: 110,
+	RKSO: 110, RLYB: 110, RNEA: 110, RSCA: 110, RTOH: 110, SEDR: 110, SKOF: 110, SORO: 110, SREN: 110, SWIS: 110,
+	THCE: 110, TOGU: 110, TSAG: 110, UCHG: 110, UCHH: 110, UERE: 110, UNTH: 110, WALK: 110, WINC: 110, YDIR: 110,
+	ABSE: 109, ADAT: 109, AIDE: 109, AISI: 109, ANKA: 109, ATFA: 109, ATHY: 109, AYPR: 109, BEFI: 109, BEFU: 109,
+	BOTT: 109, CALF: 109, CORN: 109, CURS: 109, DBAN: 109, DLOO: 109, ELDE: 109, ENEZ: 109, ENHO: 109, ENOS: 109,
+	EONC: 109, ERCU: 109, ESCU: 109, ETCH: 109, FMAK: 109, GAGA: 109, GALI: 109, GESU: 109, HHER: 109, HMEX: 109,
+	HOCO: 109, IGIL: 109, INBY: 109, IODI: 109, ISFU: 109, KEDO: 109, LASI: 109, LEEN: 109, LGOO: 109, NBER: 109,
+	NDOM: 109, NEDH: 109, NEDP: 109, NFRI: 109, NIOR: 109, NITO: 109, NVAL: 109, OBOT: 109, OBUT: 109, ODRE: 109,
+	OLDB: 109, ORFI: 109, ORYP: 109, OTSE: 109, OUKN: 109, OWAM: 109, PIED: 109, RLAB: 109, RMLY: 109, RWEC: 109,
+	RYGR: 109, SEDM: 109, SLOO: 109, SWIF: 109, TBEH: 109, TCAU: 109, TEET: 109, TEYO: 109, TOOR: 109, TPEO: 109,
+	TSFU: 109, TTAX: 109, TYAT: 109, UKNO: 109, USEL: 109, VIGI: 109, VISA: 109, YBIL: 109, YMAR: 109, YTOF: 109,
+	ACCI: 108, ALDU: 108, ARFA: 108, ARNO: 108, ARTW: 108, ASYO: 108, AVYI: 108, BUTR: 108, BYNO: 108, CCRE: 108,
+	CKLY: 108, CTBE: 108, CYHA: 108, DIUM: 108, DLYS: 108, DSBE: 108, DUPT: 108, EADF: 108, EBYS: 108, EEAC: 108,
+	EJUR: 108, ERFI: 108, EROA: 108, EURG: 108, EYDO: 108, EYGE: 108, FITB: 108, GEWO: 108, ICAG: 108, ICAM: 108,
+	IEFA: 108, IFAN: 108, IRDI: 108, ITAG: 108, LASH: 108, LERI: 108, LESP: 108, LEXC: 108, LHER: 108, LIER: 108,
+	LOFC: 108, LSEE: 108, LYDA: 108, LYEM: 108, LYES: 108, MARS: 108, MESP: 108, MHAV: 108, MOFS: 108, NINW: 108,
+	NOWD: 108, NSSO: 108, OMYW: 108, OSEV: 108, OWAL: 108, PULS: 108, RFED: 108, RHAR: 108, RLDB: 108, ROFH: 108,
+	ROLA: 108, RYBO: 108, RYCH: 108, SAPE: 108, SARR: 108, SBRA: 108, SEXE: 108, STIA: 108, TDIR: 108, TSAF: 108,
+	TSME: 108, TTRU: 108, USBE: 108, USCA: 108, WNAS: 108, XIMU: 108, YINE: 108, YOFB: 108, YURG: 108, ADEE: 107,
+	ADYS: 107, AFEL: 107, AIMO: 107, ANLE: 107, ARDC: 107, BUTU: 107, CHIC: 107, CITS: 107, DBEH: 107, DCRI: 107,
+	DEDE: 107, DLIB: 107, EAUO: 107, EDTA: 107, EGAI: 107, ELSW: 107, FAMO: 107, FATA: 107, GNIN: 107, GPEA: 107,
+	IGNM: 107, INIA: 107, KENP: 107, KTOG: 107, LCLA: 107, LNEV: 107, LREG: 107, MEWA: 107, MOFO: 107, MONL: 107,
+	NADM: 107, NKAN: 107, NLON: 107, NTFA: 107, NTSD: 107, NYPA: 107, OAFF: 107, ODFA: 107, OEXI: 107, OFAI: 107,
+	ORRA: 107, ORRI: 107, ORYB: 107, QUID: 107, QUIV: 107, RAID: 107, RDWO: 107, RFAV: 107, RIKI: 107, RTAS: 107,
+	RUGS: 107, SBAS: 107, SEBY: 107, SIAS: 107, SSEV: 107, TAPE: 107, THGO: 107, TOFV: 107, TORP: 107, TPOR: 107,
+	UNIN: 107, WASU: 107, YNEW: 107, YOUD: 107, YOUK: 107, ACKW: 106, ADJO: 106, AGEC: 106, AIRI: 106, ARTL: 106,
+	CETI: 106, COTT: 106, CURT: 106, DASO: 106, DCIV: 106, DERB: 106, DMED: 106, EEDW: 106, ENBR: 106, ENOB: 106,
+	ENUS: 106, ESGO: 106, EZUE: 106, FEIN: 106, FLOR: 106, FPEO: 106, FSIL: 106, FYEA: 106, GEDO: 106, GSHO: 106,
+	IAMC: 106, ICHU: 106, IGNN: 106, IMEC: 106, ITYR: 106, KESO: 106, KNEW: 106, LJUS: 106, MODA: 106, MSWE: 106,
+	NADO: 106, NBYC: 106, NEZU: 106, NFAM: 106, NIHA: 106, NMER: 106, NNEE: 106, NONC: 106, NYDE: 106, OEND: 106,
+	OFAW: 106, OIDA: 106, OLEL: 106, OMWE: 106, ONFA: 106, OUSY: 106, PWAR: 106, RALY: 106, RMET: 106, ROCC: 106,
+	RSWO: 106, RTUE: 106, SBUS: 106, SORG: 106, SSUN: 106, STTW: 106, TILA: 106, TSCR: 106, TSEF: 106, TVAL: 106,
+	UMMA: 106, URDO: 106, USHO: 106, VILL: 106, WEFA: 106, WTOT: 106, YADE: 106, YOWN: 106, YWEC: 106, ZUEL: 106,
+	ASKO: 105, BEFR: 105, BLOW: 105, CANV: 105, CTSU: 105, DEDM: 105, DERG: 105, DPAT: 105, DPOI: 105, DRET: 105,
+	EASM: 105, EDSP: 105, ENCR: 105, ENRA: 105, EOFY: 105, ERCL: 105, ESDO: 105, ESEH: 105, FEWY: 105, FGOL: 105,
+	GARE: 105, GEAM: 105, GROS: 105, GWHE: 105, HADR: 105, HAMP: 105, HOFM: 105, HWEA: 105, ICOH: 105, ICWO: 105,
+	IEAR: 105, IESL: 105, IGGE: 105, LAYA: 105, LFUR: 105, LLHO: 105, LOUT: 105, LTOO: 105, NTDA: 105, NUEF: 105,
+	OFED: 105, ONSG: 105, RASW: 105, RCEB: 105, RORO: 105, RVEI: 105, SEHO: 105, SOPR: 105, TFAR: 105, TGOO: 105,
+	THLE: 105, THMO: 105, TICT: 105, TMAT: 105, TSAI: 105, TSGR: 105, TSWA: 105, TWOS: 105, UALD: 105, ULEN: 105,
+	URBO: 105, UTPR: 105, WBUT: 105, WETH: 105, YDIC: 105, ACYI: 104, AFEA: 104, AHAL: 104, ALAF: 104, AMHA: 104,
+	ARBA: 104, BULL: 104, CESC: 104, DSCA: 104, DSUF: 104, EDMU: 104, ETIS: 104, EUNA: 104, FFRI: 104, FGRA: 104,
+	HILA: 104, HOIS: 104, HYEA: 104, IALG: 104, IFEW: 104, ILLY: 104, ITYL: 104, IZEO: 104, JOHN: 104, LDHE: 104,
+	LSOS: 104, LYIS: 104, MABL: 104, MATH: 104, MATU: 104, MMIN: 104, MTHO: 104, NAID: 104, NEOR: 104, NEWJ: 104,
+	NGMI: 104, NJAN: 104, NMEX: 104, NOSE: 104, NPAY: 104, NTOV: 104, ODOR: 104, OHEA: 104, OILA: 104, ONMI: 104,
+	PRAI: 104, RBYA: 104, RDEA: 104, RKAB: 104, SEFA: 104, SISC: 104, SISE: 104, SMES: 104, STSC: 104, TASP: 104,
+	TCAP: 104, TEEX: 104, THBE: 104, TSAB: 104, TSOP: 104, TWOM: 104, UEFO: 104, VOKE: 104, WFRO: 104, WIFT: 104,
+	YFRE: 104, YSOL: 104, YTWO: 104, ACEC: 103, AGEB: 103, AMPE: 103, AROL: 103, ATYT: 103, BSEN: 103, CEWO: 103,
+	DONB: 103, DORS: 103, DSNO: 103, EDAH: 103, EGOL: 103, EIAM: 103, EITC: 103, EMBO: 103, ENAF: 103, EOFV: 103,
+	EPLO: 103, ERDU: 103, ERMU: 103, ETOK: 103, EXAT: 103, FANT: 103, FASI: 103, FDEP: 103, FHIG: 103, GHTR: 103,
+	HADC: 103, HIRE: 103, HTFU: 103, HTRA: 103, ICEL: 103, ICOC: 103, INHO: 103, IREX: 103, ITMI: 103, JUNC: 103,
+	LDIF: 103, LDLI: 103, LINQ: 103, LWHE: 103, NDCE: 103, NHAP: 103, NIAR: 103, NNOC: 103, NSWO: 103, NTAF: 103,
+	NTSN: 103, NYTI: 103, OABO: 103, OATA: 103, OMPU: 103, ONMY: 103, OWLY: 103, RATS: 103, RBID: 103, RCIV: 103,
+	RCLE: 103, RDSW: 103, REDD: 103, RISM: 103, RLIF: 103, RONO: 103, SCOL: 103, SNOS: 103, SOHA: 103, SOPP: 103,
+	SPOT: 103, STTE: 103, STTR: 103, STUS: 103, TADE: 103, TETR: 103, TLEF: 103, TOIL: 103, TOPI: 103, UESW: 103,
+	ULFO: 103, WHEL: 103, WSIN: 103, YCLA: 103, YFIN: 103, YFUR: 103, YSMA: 103, ABST: 102, AIMT: 102, ALUT: 102,
+	AMOM: 102, APHI: 102, APST: 102, ASFI: 102, ASTU: 102, AWFO: 102, AWRE: 102, BORO: 102, DBYW: 102, DREQ: 102,
+	EEDB: 102, EMUT: 102, ENIO: 102, ENUP: 102, FCOR: 102, FSER: 102, GAPP: 102, GEDU: 102, HADP: 102, HARK: 102,
+	HASY: 102, HTWE: 102, INEQ: 102, KEAL: 102, LDPE: 102, LOND: 102, LSOP: 102, LYAM: 102, LYOB: 102, MANL: 102,
+	MBAT: 102, MELI: 102, MIDS: 102, MPUT: 102, MYHA: 102, NADI: 102, NASM: 102, NFUR: 102, NGDU: 102, NIRA: 102,
+	NSYS: 102, NYCA: 102, ODON: 102, OFRU: 102, OITA: 102, OLAW: 102, ONGU: 102, RBEL: 102, ROFR: 102, ROFW: 102,
+	SATP: 102, SECH: 102, STTA: 102, TASE: 102, THPE: 102, TMOD: 102, TSLI: 102, UNUS: 102, URBU: 102, URLE: 102,
+	USWE: 102, WENO: 102, WEWA: 102, WSTO: 102, YANO: 102, YHEL: 102, ADYP: 101, ANTY: 101, ARKI: 101, AUOF: 101,
+	AWSH: 101, CEAC: 101, CEDW: 101, COPY: 101, DEAG: 101, DGEA: 101, DISN: 101, DOFR: 101, DOUS: 101, DSCO: 101,
+	EAFR: 101, EBOO: 101, EDEG: 101, EDIP: 101, EDOO: 101, EEDL: 101, EGED: 101, EOBT: 101, EOFJ: 101, ERQU: 101,
+	ESBO: 101, EUNL: 101, EUSA: 101, EUTM: 101, FRED: 101, FTHR: 101, GHTU: 101, GLAD: 101, GWOR: 101, HIMB: 101,
+	HMIG: 101, HSUB: 101, HTIT: 101, HTSW: 101, HWHO: 101, IAMP: 101, IEFS: 101, IKEM: 101, IMST: 101, INKA: 101,
+	ISFE: 101, LALS: 101, LAWE: 101, LYWO: 101, MESF: 101, NIPO: 101, NLEG: 101, NSIM: 101, ODOM: 101, OFOV: 101,
+	ORDW: 101, OWEA: 101, OYIN: 101, PROX: 101, RICK: 101, RMAJ: 101, RMPR: 101, ROLD: 101, RYDA: 101, SORY: 101,
+	SSUS: 101, TESD: 101, TITO: 101, TMES: 101, TMUC: 101, TROP: 101, UBAN: 101, UNLI: 101, VIVE: 101, WARP: 101,
+	WNED: 101, WWHA: 101, YEDB: 101, YETA: 101, YINM: 101, YOUF: 101, YSIC: 101, ACEH: 100, ADOW: 100, AGEP: 100,
+	AKEE: 100, ARSU: 100, ASBY: 100, ASRA: 100, BEME: 100, BUTD: 100, CHLI: 100, CHSO: 100, CSOF: 100, DBOT: 100,
+	DEIS: 100, DLON: 100, DWIS: 100, EDVE: 100, ELFR: 100, ELLY: 100, EROB: 100, EROL: 100, ERTS: 100, FCRI: 100,
+	GENI: 100, GEXP: 100, GGED: 100, GONA: 100, IABI: 100, INTU: 100, IRDU: 100, ISAW: 100, LCAS: 100, LCOR: 100,
+	LDEM: 100, LEQU: 100, LLBR: 100, LSAR: 100, LYFE: 100, MORN: 100, NDQU: 100, NLYH: 100, NNEV: 100, NOIS: 100,
+	NOSU: 100, NSIG: 100, NTTI: 100, OFBI: 100, OMSO: 100, OPIC: 100, ORFE: 100, OROR: 100, OTAC: 100, OUIN: 100,
+	OVEI: 100, PURE: 100, RAIG: 100, REDL: 100, RNEE: 100, ROPH: 100, ROXI: 100, RPLE: 100, RYCI: 100, SANN: 100,
+	SEAD: 100, SECL: 100, SEMO: 100, SPOI: 100, SRET: 100, TIMI: 100, TITB: 100, TITR: 100, TOSI: 100, TSFI: 100,
+	TYCA: 100, TYST: 100, ULEO: 100, UNDC: 100, UTEI: 100, VESM: 100, AIMI: 99, ALFU: 99, AYSH: 99, BEON: 99,
+	BLEG: 99, BTAN: 99, BTHE: 99, CHGR: 99, CUIT: 99, CWOR: 99, DEDC: 99, DIDA: 99, DSAI: 99, DSIM: 99,
+	DULG: 99, EAGO: 99, EDCL: 99, EDIU: 99, EDOL: 99, EEXH: 99, ELSI: 99, ENME: 99, FARR: 99, FICO: 99,
+	FREG: 99, GGLI: 99, GNNA: 99, GWAS: 99, HENF: 99, HHOL: 99, HORR: 99, HTED: 99, IODT: 99, IPOT: 99,
+	IRMI: 99, ITDE: 99, ITYD: 99, KNOT: 99, LDLE: 99, LIZI: 99, LLLA: 99, LLOV: 99, LOUI: 99, LTHR: 99,
+	LYTE: 99, MEUN: 99, MMOR: 99, MOFM: 99, MSWI: 99, MYJU: 99, NOFU: 99, NOTJ: 99, NREV: 99, NYWA: 99,
+	OALO: 99, OCKI: 99, OKTH: 99, OLEW: 99, OTAB: 99, OTBU: 99, OWNR: 99, OXIM: 99, RAPE: 99, RCRE: 99,
+	RENS: 99, ROFD: 99, SELO: 99, SRAP: 99, STOV: 99, STSB: 99, TCIT: 99, TNOR: 99, TNUM: 99, TVER: 99,
+	ULOF: 99, ULTW: 99, URHA: 99, URSY: 99, YCHI: 99, YONA: 99, AGEE: 98, ALOT: 98, ALQU: 98, AMME: 98,
+	ANAU: 98, ANBY: 98, ANFI: 98, ARCA: 98, ARDU: 98, ASDO: 98, BESP: 98, CAHA: 98, CELA: 98, DALI: 98,
+	DEBE: 98, EANU: 98, EDOB: 98, EELT: 98, EFUG: 98, EHAB: 98, ELEB: 98, EMBU: 98, ENMI: 98, ERNB: 98,
+	ERTT: 98, ESGR: 98, ESKI: 98, ESQU: 98, FENG: 98, FORV: 98, FPEN: 98, GENO: 98, HACT: 98, HEJA: 98,
+	HTFO: 98, ITEH: 98, LANI: 98, LEHO: 98, LSEW: 98, LVAL: 98, MACA: 98, MENF: 98, MPED: 98, MTOP: 98,
+	NAPO: 98, NEBU: 98, NEDM: 98, NEON: 98, NEYW: 98, NITT: 98, NOCC: 98, NSDE: 98, NTFU: 98, NTSR: 98,
+	NYPO: 98, OANI: 98, ODTO: 98, OFIG: 98, OOMU: 98, PARD: 98, RASH: 98, RBEC: 98, RERI: 98, RJOB: 98,
+	RKIS: 98, RNEU: 98, RTOG: 98, SAHE: 98, SEDL: 98, SEFI: 98, SISP: 98, SLIT: 98, SLYT: 98, SOCA: 98,
+	SONM: 98, TBRE: 98, TCAL: 98, TDID: 98, THCH: 98, TOBJ: 98, TOOS: 98, TSOT: 98, UGHC: 98, ULSE: 98,
+	URAC: 98, URKE: 98, VADE: 98, WAVE: 98, WOUN: 98, WSWH: 98, YANI: 98, YLAN: 98, YMAI: 98, YRET: 98,
+	ADAS: 97, ADYI: 97, AGON: 97, AHAV: 97, ANME: 97, ARDH: 97, CAIN: 97, CHPA: 97, CLOT: 97, CUPY: 97,
+	CURA: 97, DBYN: 97, DEOU: 97, DONI: 97, DORI: 97, DQUE: 97, ECTM: 97, EEPS: 97, ENIM: 97, EYBE: 97,
+	FALS: 97, FCLA: 97, FEQU: 97, FMAY: 97, FRUS: 97, FTOT: 97, GEHA: 97, GEND: 97, GHCO: 97, GNRE: 97,
+	GUAG: 97, HAIR: 97, HISQ: 97, IEDF: 97, INDW: 97, INIR: 97, JOYM: 97, LANO: 97, LEEV: 97, LLEL: 97,
+	LNOW: 97, MIDA: 97, MOFP: 97, NADJ: 97, NBEL: 97, NDFL: 97, NENG: 97, NEYG: 97, NSSU: 97, ODEO: 97,
+	OGUA: 97, ONGC: 97, OPHE: 97, PENN: 97, PONM: 97, PTHA: 97, RDAS: 97, RKST: 97, SISW: 97, SMER: 97,
+	THAB: 97, THWA: 97, TORU: 97, TSDO: 97, TSLO: 97, TSUM: 97, TUEN: 97, TYAR: 97, UAGE: 97, ULLP: 97,
+	UNAB: 97, URDU: 97, VAIN: 97, VEIM: 97, WAYB: 97, WHOR: 97, YADD: 97, YBOD: 97, YINH: 97, YTON: 97,
+	ZEDC: 97, ADFO: 96, ADYE: 96, AFIN: 96, AIRP: 96, ANAB: 96, ASEL: 96, ASME: 96, CAWI: 96, CTUP: 96,
+	DEMI: 96, DORA: 96, EDFE: 96, EELA: 96, EHOR: 96, ELLK: 96, ENPU: 96, ENWO: 96, ETIE: 96, EYDE: 96,
+	FATT: 96, FHON: 96, FLEX: 96, FULR: 96, GGRA: 96, GNER: 96, GTRA: 96, IDFO: 96, IGNG: 96, IMBU: 96,
+	IODS: 96, ITUE: 96, LASO: 96, LAWL: 96, LOFW: 96, LTYO: 96, MBLI: 96, MEBY: 96, MSFO: 96, MTOA: 96,
+	NACH: 96, NDAI: 96, NEWW: 96, NEYO: 96, NGCI: 96, NGEW: 96, NREQ: 96, NTBO: 96, OATI: 96, OFEQ: 96,
+	ONIH: 96, OTAF: 96, OTST: 96, PALA: 96, PLIA: 96, PONU: 96, PREL: 96, PROL: 96, PUSH: 96, RKNO: 96,
+	ROCU: 96, SCIO: 96, SDOW: 96, SETW: 96, SHEI: 96, SHOL: 96, SSUG: 96, TAGO: 96, TATL: 96, TBOT: 96,
+	TCHO: 96, TONN: 96, UCTA: 96, UMBL: 96, URIM: 96, USBU: 96, WALO: 96, WWHI: 96, YETW: 96, YMUC: 96,
+	AGGE: 95, AIGH: 95, AINN: 95, APED: 95, ASOC: 95, ATEU: 95, AYMA: 95, DASF: 95, DINJ: 95, DSUS: 95,
+	DTUR: 95, EAKS: 95, EBYC: 95, ECKE: 95, EFOF: 95, ELPA: 95, ENDW: 95, ENOL: 95, ESOO: 95, EUPT: 95,
+	FARF: 95, FATE: 95, FDEM: 95, FEXC: 95, FIGU: 95, HATQ: 95, HISK: 95, HTRE: 95, HURC: 95, HUSE: 95,
+	IEWI: 95, ILCO: 95, IPST: 95, IREW: 95, ISBY: 95, JACK: 95, KEDF: 95, LDAC: 95, MOFI: 95, MSHO: 95,
+	NASH: 95, NDAU: 95, NDTI: 95, NELS: 95, NEPR: 95, NGPL: 95, NIFT: 95, NMEA: 95, NSTU: 95, OBEB: 95,
+	OEMP: 95, OITT: 95, OLDC: 95, ONSY: 95, OODN: 95, RCEC: 95, RLYO: 95, RMYI: 95, ROWA: 95, RREF: 95,
+	RSTW: 95, RSWA: 95, RYEF: 95, SDEA: 95, SDET: 95, SOWI: 95, STSP: 95, TECA: 95, TPUB: 95, TRAS: 95,
+	TRIF: 95, TSOV: 95, UPTE: 95, UTAC: 95, VEIS: 95, WEAT: 95, WEOU: 95, WREC: 95, XING: 95, YBRI: 95,
+	YINP: 95, ANRI: 94, ASEP: 94, ATIH: 94, BIRT: 94, COTH: 94, DASE: 94, DCHE: 94, DERH: 94, DTEN: 94,
+	DTOK: 94, DTRU: 94, EATG: 94, ELAP: 94, ENYO: 94, ESIA: 94, EUNT: 94, FLEA: 94, FTTO: 94, FWHO: 94,
+	GEDF: 94, GSHA: 94, GTOE: 94, GURE: 94, HAPR: 94, HEXP: 94, HOWW: 94, HSID: 94, ICOW: 94, IGUR: 94,
+	ILYP: 94, INBA: 94, INPL: 94, ISDA: 94, LAWR: 94, LDEB: 94, LESC: 94, LOBE: 94, LOWO: 94, LUCT: 94,
+	LYSP: 94, LYTA: 94, MAGA: 94, MYBU: 94, NAFO: 94, NAGG: 94, NCIV: 94, NDIG: 94, NENA: 94, NETR: 94,
+	NMIS: 94, NNES: 94, NREN: 94, NSEX: 94, NTDO: 94, OANN: 94, ODEN: 94, ONAU: 94, OOBS: 94, PHAN: 94,
+	PICI: 94, RMID: 94, ROML: 94, ROMR: 94, RSIF: 94, SEEF: 94, SEEV: 94, SETE: 94, SONB: 94, SOOF: 94,
+	SWEN: 94, TADD: 94, TCOL: 94, TWOH: 94, UCHB: 94, ULYT: 94, USAG: 94, UTAB: 94, WEIN: 94, WHYI: 94,
+	WNBY: 94, YIFT: 94, YOFD: 94, YTAX: 94, ABAS: 93, ADEH: 93, AIDW: 93, ANHI: 93, APOW: 93, ARIC: 93,
+	BEBR: 93, CKST: 93, DALM: 93, DORG: 93, EITO: 93, EKTO: 93, ENBO: 93, ENIP: 93, ENRI: 93, ERCR: 93,
+	ESIH: 93, ETCO: 93, ETUA: 93, EYMU: 93, FAFF: 93, FHOS: 93, FRAG: 93, FULM: 93, GALA: 93, GHPR: 93,
+	GREP: 93, GSEA: 93, HOCA: 93, HOVE: 93, HTSI: 93, ICWE: 93, IFUL: 93, ILEP: 93, INEL: 93, IODW: 93,
+	ISOP: 93, ITEC: 93, KEAS: 93, LDOM: 93, LEDC: 93, LELA: 93, LISI: 93, LSTE: 93, LUSO: 93, LYMI: 93,
+	MAYD: 93, MNOW: 93, MOFE: 93, MONA: 93, MWHE: 93, MYFE: 93, NAFE: 93, NASE: 93, NETE: 93, NGRI: 93,
+	NGRU: 93, NLYD: 93, NSLE: 93, NSLI: 93, NVAR: 93, ODOS: 93, OFIL: 93, OGOO: 93, OILI: 93, OLOO: 93,
+	OREJ: 93, OWEN: 93, OWMA: 93, PESO: 93, PULO: 93, RINI: 93, RMAS: 93, ROOT: 93, RSTU: 93, RYDU: 93,
+	RYMU: 93, SFUN: 93, SHCO: 93, SISB: 93, SORR: 93, SUET: 93, TALF: 93, TEVI: 93, UALF: 93, UINE: 93,
+	UIRY: 93, USTG: 93, USYE: 93, VENF: 93, YDET: 93, YENG: 93, YHIG: 93, YRAN: 93, YSEV: 93, AGOA: 92,
+	AMSO: 92, ARFU: 92, ARTF: 92, ARYN: 92, ASTN: 92, BEDB: 92, BOLD: 92, BYDE: 92, CSAN: 92, DETR: 92,
+	DNON: 92, DTAX: 92, EECH: 92, ELDB: 92, ELPF: 92, ENLO: 92, ETBY: 92, EXIB: 92, FEDU: 92, FERO: 92,
+	FOPP: 92, GAMO: 92, GHNO: 92, HIMF: 92, HNEW: 92, HOLI: 92, HTES: 92, ICOP: 92, IDEM: 92, ISHW: 92,
+	LDEX: 92, LECL: 92, LERO: 92, LEXE: 92, LLTR: 92, LQUE: 92, LSAT: 92, LSCO: 92, LYAG: 92, LYUR: 92,
+	MENH: 92, MONC: 92, MSAR: 92, NDAY: 92, NDJA: 92, NDOV: 92, NGQU: 92, NMUC: 92, NPAI: 92, OFAH: 92,
+	OLEP: 92, ONIR: 92, OOLO: 92, OSSA: 92, OTOC: 92, PERR: 92, PLER: 92, PRAY: 92, RDAB: 92, RDET: 92,
+	REBA: 92, REEB: 92, REEQ: 92, RHOW: 92, RIUM: 92, RQUE: 92, RYAD: 92, SEDH: 92, SSAV: 92, TALY: 92,
+	TAMP: 92, THBU: 92, THPO: 92, TIPL: 92, TOAU: 92, TPON: 92, TRYC: 92, UEFR: 92, UGHF: 92, UILL: 92,
+	URKI: 92, USEE: 92, UTCH: 92, UTWA: 92, VEFU: 92, WARC: 92, WOTH: 92, YDID: 92, YSUR: 92, ADNE: 91,
+	ARMP: 91, ASEM: 91, ASHT: 91, BEPL: 91, DASU: 91, DEDD: 91, DFOU: 91, DSPR: 91, EBTE: 91, EFEW: 91,
+	ELYH: 91, ENLE: 91, ENVO: 91, EWJO: 91, FDOL: 91, GEAR: 91, GEWE: 91, GUNT: 91, HAMM: 91, HCAS: 91,
+	HEET: 91, HEYL: 91, HIFT: 91, HILL: 91, HION: 91, HLEG: 91, IAME: 91, IAMH: 91, ICSI: 91, IFIN: 91,
+	IKEI: 91, IORS: 91, IRDS: 91, KBUT: 91, LACI: 91, LCRE: 91, LEPA: 91, LGRA: 91, LLYG: 91, LPEA: 91,
+	LTOB: 91, LYBR: 91, NDGA: 91, NEMA: 91, NETI: 91, NGFE: 91, NIAM: 91, NKSI: 91, NSSE: 91, NSUI: 91,
+	ODSI: 91, OENF: 91, OODH: 91, ORIO: 91, ORYF: 91, OTNE: 91, OTSA: 91, RBEI: 91, RCOR: 91, RONI: 91,
+	SBUI: 91, SBYM: 91, SEOB: 91, SHIO: 91, SINJ: 91, SITB: 91, SSAP: 91, SSNO: 91, TBOD: 91, THNE: 91,
+	TLEI: 91, TOCI: 91, TSIG: 91, TYMA: 91, ULSI: 91, VEBO: 91, VEDS: 91, WJOB: 91, YBYA: 91, YCLE: 91,
+	YINR: 91, YISI: 91, YORD: 91, ALEH: 90, ARAD: 90, ASFU: 90, ATOB: 90, BEWE: 90, CARG: 90, CHAF: 90,
+	CISM: 90, CTWA: 90, DBEB: 90, DLYD: 90, DOFG: 90, DSIS: 90, ECOI: 90, EGEO: 90, EINL: 90, EMSI: 90,
+	EMYA: 90, ENFU: 90, EROO: 90, ESSY: 90, FCER: 90, FEOF: 90, FMIN: 90, FRAT: 90, GRAS: 90, HOFI: 90,
+	HTOR: 90, IINV: 90, IRFO: 90, ISAF: 90, ISIA: 90, ITDI: 90, ITEI: 90, IZON: 90, KEDW: 90, LADD: 90,
+	LAWB: 90, LDBU: 90, LEDP: 90, LLEY: 90, MEDU: 90, MEPA: 90, MICD: 90, NANN: 90, NBOU: 90, NEWD: 90,
+	NFAN: 90, NLIV: 90, NMYJ: 90, NSMO: 90, NSOC: 90, OHIG: 90, OTJU: 90, OWFO: 90, OWNU: 90, PEFU: 90,
+	PLEE: 90, RABO: 90, RADO: 90, RDRE: 90, REOP: 90, RESM: 90, RIDG: 90, RIZO: 90, RLDC: 90, RLDP: 90,
+	RMSW: 90, SBIL: 90, SEES: 90, SHRI: 90, SRAI: 90, STLO: 90, TAHA: 90, TIMO: 90, TUST: 90, TYRA: 90,
+	TYSE: 90, UTEB: 90, UTYW: 90, VEDM: 90, VORI: 90, WESA: 90, XTER: 90, YETH: 90, YOPI: 90, ACIO: 89,
+	ANET: 89, ARYG: 89, ATYE: 89, BRID: 89, BURN: 89, BYOT: 89, BYSP: 89, CESP: 89, CHFR: 89, COOR: 89,
+	DEDN: 89, DITC: 89, DPUT: 89, DSME: 89, DWID: 89, EBTI: 89, EDOI: 89, EDQU: 89, EFIF: 89, ELLD: 89,
+	ELPS: 89, ENUI: 89, EREY: 89, FCAR: 89, FDIF: 89, FNOV: 89, FULD: 89, GEDE: 89, GEFF: 89, GNGO: 89,
+	GRAC: 89, HTHR: 89, HWHE: 89, ILDT: 89, ILYC: 89, INGQ: 89, INKS: 89, INSW: 89, IPTO: 89, ISHN: 89,
+	ISIV: 89, JONA: 89, JOYE: 89, KEMA: 89, KOFA: 89, LDUN: 89, LTON: 89, METE: 89, METR: 89, NART: 89,
+	NSNE: 89, NVOY: 89, OALA: 89, OCKO: 89, ODWH: 89, OMAD: 89, OMYO: 89, OONS: 89, OTBY: 89, RCAS: 89,
+	RCER: 89, RIPP: 89, RKEY: 89, RNSO: 89, ROLS: 89, RSAC: 89, RTAR: 89, SFEL: 89, SIAT: 89, SIFW: 89,
+	SSID: 89, STSF: 89, TDUE: 89, TENN: 89, TESG: 89, THLA: 89, TIMM: 89, TORG: 89, TSET: 89, TWOP: 89,
+	UNDH: 89, UROF: 89, USNO: 89, USSO: 89, VAGA: 89, WONA: 89, WWIT: 89, YCHE: 89, YOUO: 89, AIRC: 88,
+	ALAL: 88, AMAC: 88, ANDQ: 88, AQUE: 88, ARAP: 88, ATVA: 88, AVAS: 88, AVYW: 88, AWTO: 88, CERI: 88,
+	CHEV: 88, CUMB: 88, DALT: 88, DARM: 88, DMER: 88, DONS: 88, DSAV: 88, EMNO: 88, EMSW: 88, EYST: 88,
+	FACC: 88, FHIM: 88, FIMM: 88, GATO: 88, GLED: 88, GPLA: 88, GSWH: 88, HEAW: 88, HEMM: 88, HENM: 88,
+	IFFO: 88, IKEO: 88, ILDL: 88, IRBE: 88, ISAV: 88, KONT: 88, LAWH: 88, LDME: 88, LEDR: 88, LETR: 88,
+	LLAF: 88, LLCL: 88, LLEM: 88, LLSP: 88, LMON: 88, MEYE: 88, MPTO: 88, NCLO: 88, NDIE: 88, NGCR: 88,
+	NHIG: 88, NIAN: 88, NJUL: 88, NLIM: 88, NYDI: 88, OEAR: 88, OILS: 88, OMOV: 88, ORGI: 88, OTGO: 88,
+	PICT: 88, RAQI: 88, RCAL: 88, RDAG: 88, REXE: 88, RGEC: 88, RONS: 88, RSUR: 88, RTRI: 88, RYGO: 88,
+	RYNA: 88, SDEL: 88, SFAM: 88, SHEE: 88, SLEF: 88, SPUB: 88, STAX: 88, TASM: 88, TEDG: 88, THIC: 88,
+	TMEE: 88, TPUT: 88, UBOR: 88, UIES: 88, ULDU: 88, UPOF: 88, URSC: 88, URYF: 88, USEM: 88, USFR: 88,
+	YARR: 88, YCOL: 88, YORT: 88, ACHC: 87, ADAL: 87, AGEH: 87, AITS: 87, ARDM: 87, ARDP: 87, ASBU: 87,
+	ASJU: 87, AYAL: 87, AYDE: 87, AYSS: 87, AZAR: 87, BEAV: 87, CESN: 87, CIAR: 87, CTUN: 87, DBIL: 87,
+	DCAL: 87, DCOO: 87, DIME: 87, DOWH: 87, DYEA: 87, EBYW: 87, ECUN: 87, EDIG: 87, EFAN: 87, EINB: 87,
+	ESYO: 87, EYSE: 87, FCAN: 87, FEWE: 87, FUGE: 87, GHEA: 87, HCHA: 87, HEDS: 87, HEKN: 87, HNOW: 87,
+	ICOI: 87, IFFA: 87, ILYS: 87, IMEE: 87, IMIS: 87, ISGE: 87, ITUN: 87, LBEB: 87, LEDH: 87, LLFA: 87,
+	LONT: 87, LSIT: 87, LTRI: 87, LYFI: 87, LYGO: 87, MEAG: 87, MITW: 87, MSCO: 87, MYOW: 87, NEHU: 87,
+	NEMO: 87, NFAR: 87, NGSF: 87, NGSM: 87, NGVE: 87, NKSO: 87, NNEG: 87, NOLD: 87, NTYF: 87, NYMA: 87,
+	OEXA: 87, OFIS: 87, OFNI: 87, OFSM: 87, OGRO: 87, ORYH: 87, OTAP: 87, OWWI: 87, PLIF: 87, POLL: 87,
+	RGOT: 87, RNEC: 87, RPOP: 87, RTES: 87, RTUG: 87, RVIE: 87, RYIM: 87, SAPO: 87, SILY: 87, SROO: 87,
+	SSEX: 87, SUNL: 87, TAGG: 87, TFAV: 87, THBY: 87, TISL: 87, TLIT: 87, TNON: 87, TONW: 87, TYDE: 87,
+	TYFR: 87, TYUN: 87, UCEO: 87, UCHN: 87, USEX: 87, UTFR: 87, VEPL: 87, VEWH: 87, VEYS: 87, WERP: 87,
+	YBUD: 87, YGOO: 87, YTOL: 87, YWAR: 87, ZEAN: 87, ZENO: 87, ABUT: 86, ADYF: 86, AKEH: 86, ALEV: 86,
+	ASBR: 86, ASCI: 86, ASOL: 86, AVYD: 86, AXCU: 86, BYLE: 86, BYMO: 86, CTNO: 86, CUNI: 86, CYWI: 86,
+	DBEU: 86, DBYD: 86, DDEA: 86, DEDP: 86, DHOL: 86, DICK: 86, DITR: 86, DOCC: 86, DOWI: 86, EAGU: 86,
+	EDLO: 86, EEDN: 86, EMEE: 86, ENFI: 86, ENNI: 86, ENOD: 86, ESTG: 86, ETPR: 86, ETWH: 86, FDOM: 86,
+	FREI: 86, FUEL: 86, GALO: 86, GCAR: 86, HADF: 86, HINF: 86, HREC: 86, HTOB: 86, IERA: 86, ILDO: 86,
+	INEP: 86, IPWI: 86, ISTW: 86, ITHV: 86, KESI: 86, KTHI: 86, LDAG: 86, LDSH: 86, LYCL: 86, LYIF: 86,
+	MANB: 86, MEDS: 86, MERT: 86, MPOW: 86, MPUL: 86, MSHI: 86, NELI: 86, NODI: 86, NONO: 86, NPAS: 86,
+	NTAX: 86, NTYT: 86, OADW: 86, OCOO: 86, ODCO: 86, OEAC: 86, OLDR: 86, ONGN: 86, ONRA: 86, OTEL: 86,
+	OTHH: 86, PSHA: 86, RINH: 86, RINM: 86, RLYM: 86, RMSI: 86, ROPS: 86, RTWE: 86, RUNT: 86, SEXA: 86,
+	SHOT: 86, SITN: 86, SLAB: 86, SMOV: 86, SUNA: 86, TOOV: 86, TSFA: 86, TTHU: 86, UEDB: 86, UGHB: 86,
+	URBI: 86, UTAH: 86, VEMI: 86, VENG: 86, VENH: 86, VESC: 86, WOMA: 86, XCUT: 86, XIMA: 86, YFEE: 86,
+	ACTF: 85, AKTH: 85, ALLK: 85, ANLA: 85, ASIZ: 85, AWHE: 85, AWLE: 85, BESH: 85, BORR: 85, CCOA: 85,
+	CHIF: 85, CTAC: 85, DBEW: 85, DLAR: 85, EAHA: 85, EBTT: 85, EBYL: 85, EGUI: 85, EITB: 85, ELLM: 85,
+	EPOU: 85, EROP: 85, EUSU: 85, FEMP: 85, FOCT: 85, FTED: 85, GNOW: 85, HEYF: 85, IANI: 85, IEFI: 85,
+	INTC: 85, IRCR: 85, ISEP: 85, LDFA: 85, LDTA: 85, LESM: 85, LLFR: 85, LLWA: 85, LMAR: 85, LOFS: 85,
+	LOUD: 85, LTIP: 85, LTOP: 85, LUNG: 85, MAYE: 85, MCOM: 85, MICR: 85, MPTS: 85, NASO: 85, NDAW: 85,
+	NTUA: 85, ONCH: 85, ORBO: 85, OSTN: 85, OWEX: 85, OWNN: 85, RCRI: 85, RCUI: 85, RDCO: 85, REBR: 85,
+	RENW: 85, RFUR: 85, RHEL: 85, RSTM: 85, SASF: 85, SATS: 85, SHIF: 85, SOIM: 85, SSAD: 85, SSLE: 85,
+	TBAC: 85, TDAN: 85, TENU: 85, TLEV: 85, TMIN: 85, UCEM: 85, ULSO: 85, USAC: 85, UTEF: 85, UTHT: 85,
+	UTMA: 85, WWHE: 85, YHIM: 85, YMIG: 85, YORI: 85, AGRO: 84, ANEI: 84, ARYH: 84, ASMI: 84, ATAB: 84,
+	ATAX: 84, BIDD: 84, BYHE: 84, CEEX: 84, COHA: 84, CTSB: 84, DCOS: 84, DONM: 84, DREW: 84, EBTW: 84,
+	EDOT: 84, EDPL: 84, EISP: 84, ENSC: 84, EPUN: 84, ESEQ: 84, ESFA: 84, ESFI: 84, EXTT: 84, FAPE: 84,
+	FARI: 84, FAUG: 84, FFOU: 84, FILI: 84, FNEC: 84, FOPI: 84, GFUN: 84, GLIK: 84, GODB: 84, GOFC: 84,
+	GOFS: 84, HETU: 84, HIMO: 84, HPOW: 84, HSCH: 84, HSPA: 84, HTBY: 84, HTOS: 84, IDNT: 84, IDOU: 84,
+	IERT: 84, IODA: 84, IRFU: 84, IRGI: 84, IRHE: 84, IRMO: 84, IRTE: 84, IRWI: 84, KEPR: 84, KWAS: 84,
+	LPAY: 84, LREF: 84, LSOH: 84, LTEN: 84, LYEV: 84, MART: 84, MICE: 84, MRSP: 84, MTOM: 84, MYOP: 84,
+	NDMY: 84, NIMI: 84, NNEA: 84, OBYD: 84, OESA: 84, OMRE: 84, ONCR: 84, OWAT: 84, PTSA: 84, RASE: 84,
+	RESN: 84, RGOA: 84, RMAI: 84, RORT: 84, RTSB: 84, RTYF: 84, RWEM: 84, SESM: 84, SLIF: 84, SNON: 84,
+	STOK: 84, SUBO: 84, TBUS: 84, TDEA: 84, THDI: 84, THJU: 84, TIMB: 84, TOIS: 84, TSUF: 84, UCES: 84,
+	UDIE: 84, UGAL: 84, WHON: 84, XESA: 84, YFIV: 84, YFUN: 84, YOUB: 84, YTER: 84, YTOU: 84, ACKL: 83,
+	AFER: 83, ALNO: 83, BECH: 83, BITO: 83, CODE: 83, DCUR: 83, DFAS: 83, DNEI: 83, DTEC: 83, EAYE: 83,
+	EBEH: 83, ECRA: 83, ERNW: 83, EWSA: 83, FADM: 83, FBRI: 83, FELY: 83, FFEE: 83, GBEF: 83, GGOO: 83,
+	GSWE: 83, GWIL: 83, HADM: 83, HALT: 83, HEPI: 83, HOMI: 83, HTON: 83, IKEC: 83, ILOU: 83, ILYE: 83,
+	IMWH: 83, IONY: 83, ISHF: 83, KOFF: 83, LDFR: 83, LEBA: 83, LLIB: 83, LLYL: 83, LRED: 83, LSAS: 83,
+	LTSI: 83, LTST: 83, LUPO: 83, MEOT: 83, MESB: 83, MOBY: 83, MOND: 83, MYME: 83, NGOP: 83, NOBJ: 83,
+	NOVA: 83, NYPE: 83, OASK: 83, OAUT: 83, OBEY: 83, OCHE: 83, ODSH: 83, OLDH: 83, ONIZ: 83, ORKM: 83,
+	OSMA: 83, OTNO: 83, OUMA: 83, PAGA: 83, PANT: 83, PAYF: 83, PONB: 83, RFIS: 83, RITM: 83, RPAY: 83,
+	RWEL: 83, SAYE: 83, SICK: 83, SISM: 83, SITD: 83, SNEI: 83, SSWO: 83, TDON: 83, TINJ: 83, TLAY: 83,
+	TSOB: 83, UALW: 83, UECO: 83, ULRE: 83, UNIA: 83, UNSU: 83, URCU: 83, URYS: 83, UTAM: 83, UTSE: 83,
+	UTUP: 83, VEAB: 83, YITH: 83, YKIN: 83, YREN: 83, ZARD: 83, ACYT: 82, ADWH: 82, AFUR: 82, AKOF: 82,
+	ALIB: 82, ALRA: 82, ARTU: 82, AYON: 82, BBER: 82, BYAF: 82, CCID: 82, CEXP: 82, CHOL: 82, DBRO: 82,
+	DEUP: 82, DIWI: 82, DJOU: 82, EANP: 82, EDOE: 82, EEUR: 82, ENGO: 82, ENSF: 82, ETSI: 82, ETSU: 82,
+	ETYT: 82, FPAY: 82, GALT: 82, GAWA: 82, GIMP: 82, GREC: 82, GTRE: 82, GUPT: 82, HEOV: 82, HEYI: 82,
+	HIMH: 82, HSEA: 82, IANP: 82, ICAD: 82, IDGE: 82, IFHE: 82, IGID: 82, ILDS: 82, IRLO: 82, ISIB: 82,
+	ISUP: 82, LEXT: 82, LGEN: 82, LICR: 82, LMIL: 82, LNEC: 82, LSEA: 82, LSOW: 82, MALS: 82, MBOD: 82,
+	MEFA: 82, MSUC: 82, NBUI: 82, NCOA: 82, NCRO: 82, NDSL: 82, NDSN: 82, NEWN: 82, NHOU: 82, NSAM: 82,
+	NUOU: 82, OBAT: 82, OFNU: 82, OMAB: 82, ORTC: 82, ORYR: 82, OTAD: 82, PEFO: 82, REWS: 82, RHOU: 82,
+	RIAG: 82, RMOD: 82, RSMO: 82, RYES: 82, SBEY: 82, SBOA: 82, SDOE: 82, SEAF: 82, SEPU: 82, SORC: 82,
+	SSSU: 82, SUNF: 82, SURI: 82, TALD: 82, TBRA: 82, TRYD: 82, UENO: 82, UESI: 82, VACA: 82, VEDH: 82,
+	WERC: 82, YCRE: 82, YRAT: 82, ADON: 81, AHAR: 81, AKED: 81, ALVI: 81, ANGL: 81, AROR: 81, ATFU: 81,
+	AWEL: 81, BIND: 81, BYMY: 81, BYON: 81, BYPA: 81, BYWA: 81, CEDF: 81, CHAG: 81, CHPE: 81, CTSC: 81,
+	CTSS: 81, DACH: 81, DDER: 81, DFEE: 81, DONC: 81, EAMP: 81, EMSH: 81, ERAW: 81, ERNP: 81, ESIX: 81,
+	EVEW: 81, EYPR: 81, FICC: 81, FLAR: 81, FNAV: 81, FSET: 81, GASA: 81, GBAC: 81, GIFT: 81, GMAD: 81,
+	GPOS: 81, HCHI: 81, HEDP: 81, HENY: 81, HICK: 81, HTLY: 81, IAGE: 81, ICTU: 81, ILYR: 81, INDR: 81,
+	IQUE: 81, IRML: 81, IRNA: 81, IRPL: 81, ISKI: 81, ISMT: 81, KSON: 81, LSAV: 81, LTOS: 81, LTWI: 81,
+	MBYT: 81, MEAM: 81, MISI: 81, NGBR: 81, NISE: 81, NMYO: 81, NNIC: 81, NUNT: 81, OCLO: 81, ODWE: 81,
+	OFEI: 81, OFQU: 81, OITW: 81, OKTO: 81, OMAY: 81, OMEG: 81, ONGF: 81, OSTV: 81, OUTG: 81, OWSE: 81,
+	RAMW: 81, REEE: 81, RILT: 81, RINP: 81, RLYR: 81, ROWD: 81, RRIS: 81, RTHS: 81, RYAL: 81, SARO: 81,
+	SCAS: 81, SIES: 81, SLYI: 81, SOST: 81, SSSO: 81, STBA: 81, STNA: 81, SUNS: 81, THAG: 81, THRU: 81,
+	TIWA: 81, TKIN: 81, TSOC: 81, TWOA: 81, TYAG: 81, TYLE: 81, UGHH: 81, ULYA: 81, UMPH: 81, UREG: 81,
+	UTSA: 81, VEBA: 81, VEDC: 81, VEJU: 81, VIRG: 81, WHYT: 81, WLES: 81, WSHA: 81, YEMB: 81, ADWI: 80,
+	AIRO: 80, AWEN: 80, AYBU: 80, BATI: 80, BELG: 80, DAGG: 80, DBLE: 80, DDUT: 80, DELY: 80, DOMF: 80,
+	DORT: 80, DULT: 80, DYES: 80, EABE: 80, EETE: 80, EFTO: 80, EISB: 80, EISU: 80, EITP: 80, ELGI: 80,
+	EMNA: 80, ENWA: 80, EPAP: 80, ESOA: 80, FBUT: 80, FDES: 80, GHAR: 80, GNES: 80, GNTR: 80, GRIE: 80,
+	HATK: 80, HAZA: 80, HIPC: 80, HOCK: 80, IAIN: 80, ICDU: 80, ICMI: 80, IETI: 80, ILDC: 80, IMAS: 80,
+	IRCI: 80, IRFI: 80, KEAD: 80, LCAP: 80, LDHO: 80, LLLO: 80, LLOR: 80, LLSF: 80, LPUB: 80, MBAS: 80,
+	MTOS: 80, NBAN: 80, NDBI: 80, NEDN: 80, NFIS: 80, NGSY: 80, NLET: 80, NTYA: 80, OMSA: 80, ORKH: 80,
+	ORSM: 80, ORTG: 80, OWSI: 80, RAGG: 80, RCEH: 80, RENI: 80, RLIM: 80, RQUA: 80, RSTD: 80, RTCO: 80,
+	RTSS: 80, RYDO: 80, RYSP: 80, SANU: 80, SEAW: 80, STFU: 80, STGO: 80, STOJ: 80, SWEV: 80, TLOS: 80,
+	TSBO: 80, TSNA: 80, TSPU: 80, UBAA: 80, UREU: 80, UTEO: 80, UTEV: 80, VEFE: 80, WOOL: 80, YCOR: 80,
+	YFAC: 80, ACHY: 79, ALSB: 79, AMNO: 79, AMSW: 79, ANPA: 79, APLE: 79, ARNA: 79, ASPL: 79, ATOP: 79,
+	BEJU: 79, BYFA: 79, CEIF: 79, CLER: 79, CTWE: 79, DBUD: 79, DHOP: 79, DJOB: 79, DJUN: 79, DSPI: 79,
+	DUNE: 79, EBIG: 79, EERA: 79, EHES: 79, EIFW: 79, ELTI: 79, ELYL: 79, EMNE: 79, ENFA: 79, FEXI: 79,
+	FICR: 79, FMAT: 79, FOUG: 79, FTAN: 79, GFAC: 79, GGIN: 79, GLAS: 79, GLEG: 79, GNST: 79, HEYG: 79,
+	HRUS: 79, ICDI: 79, ICFO: 79, IFTI: 79, ILYD: 79, IRHA: 79, IROF: 79, ITPO: 79, IUMP: 79, KEAC: 79,
+	KECO: 79, LAMI: 79, LANF: 79, LCAN: 79, LCOO: 79, LELY: 79, LLLI: 79, MEME: 79, MESM: 79, MHER: 79,
+	MTOR: 79, NDKE: 79, NESP: 79, NGUL: 79, NISL: 79, NNAG: 79, NYNA: 79, OBYT: 79, OCHO: 79, OFEL: 79,
+	OISS: 79, ONBA: 79, ONDW: 79, ORIL: 79, OSEU: 79, OTMA: 79, PEDF: 79, PHOL: 79, RASC: 79, RBRA: 79,
+	RESY: 79, RETC: 79, RFUN: 79, RNIT: 79, ROFL: 79, RTRU: 79, RUEL: 79, RYHE: 79, SBYP: 79, SHEC: 79,
+	SLIM: 79, SOGR: 79, TACR: 79, TEPO: 79, TEXE: 79, TYAL: 79, UNDN: 79, UNSO: 79, UNWA: 79, UROB: 79,
+	UTDO: 79, VALL: 79, VALR: 79, VEEF: 79, VEGI: 79, VINE: 79, VIVA: 79, WEEP: 79, XTFI: 79, YBRO: 79,
+	YFAR: 79, YTRU: 79, AFRA: 78, AGOW: 78, AMPS: 78, AMSI: 78, APIN: 78, ARKT: 78, AYOR: 78, BEDT: 78,
+	BLYS: 78, CCRU: 78, CTAP: 78, DEDR: 78, DITN: 78, DJAP: 78, DKEE: 78, DOFN: 78, DOWS: 78, DRAG: 78,
+	DTWO: 78, EACR: 78, EAKA: 78, ECKT: 78, EEDM: 78, ELER: 78, ELLF: 78, ENMU: 78, ENUR: 78, EROW: 78,
+	ETYI: 78, EULT: 78, FFAR: 78, GADE: 78, GEBU: 78, GETR: 78, HGRA: 78, HOND: 78, IANO: 78, IECE: 78,
+	INUS: 78, IPSW: 78, ITYU: 78, KENF: 78, KIDS: 78, LEDM: 78, LEUS: 78, LROU: 78, MARR: 78, MAYL: 78,
+	METW: 78, MSRE: 78, NASC: 78, NFOL: 78, NISR: 78, NSST: 78, OARS: 78, OENS: 78, OKAT: 78, OMHE: 78,
+	OMHO: 78, OSUR: 78, OTEO: 78, OTLO: 78, OUPO: 78, PSWE: 78, RATA: 78, RBIL: 78, RDWH: 78, RIZA: 78,
+	RLAT: 78, RMAD: 78, RMTO: 78, RRIA: 78, RSAI: 78, SAHA: 78, SAKE: 78, SBOR: 78, SBYC: 78, SCUT: 78,
+	SERA: 78, SIBE: 78, SIWI: 78, SSEA: 78, STMI: 78, STVI: 78, TAXI: 78, TDEV: 78, TEGY: 78, TENY: 78,
+	TOBL: 78, TOEL: 78, TOOC: 78, TUDI: 78, TUNL: 78, TYHE: 78, UCER: 78, ULER: 78, UNDP: 78, URAD: 78,
+	UREY: 78, URWH: 78, USEC: 78, UTBR: 78, UTIS: 78, WELV: 78, WHAV: 78, XAND: 78, YEQU: 78, YETS: 78,
+	YSAI: 78, ALFE: 77, ANED: 77, APET: 77, ASDU: 77, ATYI: 77, ATYS: 77, BARG: 77, BEKE: 77, BEWA: 77,
+	BIAA: 77, BLYE: 77, CAFF: 77, CEDS: 77, CERA: 77, CHBY: 77, CHYE: 77, DATP: 77, DAYB: 77, DBYB: 77,
+	DCLE: 77, DENY: 77, DITF: 77, DSBY: 77, DSRE: 77, DYCO: 77, EACA: 77, EBYM: 77, ECKL: 77, EDAI: 77,
+	EEZE: 77, ESSG: 77, ETAB: 77, FFEB: 77, GACT: 77, GESC: 77, GETW: 77, GGRO: 77, HACC: 77, HANU: 77,
+	HEDM: 77, HEKE: 77, HENL: 77, HHOU: 77, HOIN: 77, HSTR: 77, HTOA: 77, IBRA: 77, IFFL: 77, INNU: 77,
+	ITMY: 77, KWHI: 77, LDWO: 77, LELO: 77, LEXA: 77, LLTE: 77, LLYH: 77, LOBL: 77, LSCA: 77, MSAS: 77,
+	MYTO: 77, NASU: 77, NAVO: 77, NDAV: 77, NDJO: 77, NGSS: 77, NIMO: 77, NLOO: 77, NLYM: 77, NOFJ: 77,
+	NOWU: 77, NTCR: 77, OHAR: 77, OLIF: 77, ONOW: 77, ORSF: 77, OTPE: 77, PIEC: 77, PONP: 77, PUTO: 77,
+	RADD: 77, RERO: 77, RLDF: 77, RLOC: 77, RNCO: 77, RNUM: 77, RWAT: 77, RYAG: 77, SHOC: 77, SMOK: 77,
+	SSOA: 77, TATH: 77, TEEO: 77, TELI: 77, TEPI: 77, TINL: 77, TLIM: 77, TORD: 77, UCTT: 77, UNES: 77,
+	UNHA: 77, YALO: 77, ADEG: 76, ANER: 76, ARTB: 76, ASKF: 76, ASPU: 76, ASSW: 76, ASUC: 76, ATIB: 76,
+	ATMY: 76, BEBU: 76, BIGG: 76, BILD: 76, DASM: 76, DHAP: 76, DISL: 76, DKIN: 76, DLIF: 76, DPOR: 76,
+	DSFR: 76, EDYA: 76, ELMI: 76, ERBI: 76, ERJU: 76, ETHC: 76, ETUP: 76, EYDI: 76, EYWA: 76, FEFF: 76,
+	FEXE: 76, HABA: 76, HAUT: 76, HBYT: 76, HEIG: 76, HOWM: 76, HREF: 76, HREP: 76, ICKA: 76, ICTT: 76,
+	IGAN: 76, IGHI: 76, IGNW: 76, ILEC: 76, IMEM: 76, IRBU: 76, ISRU: 76, ISUS: 76, ITTA: 76, IXTH: 76,
+	KERM: 76, KSWH: 76, LASA: 76, LDED: 76, LDGI: 76, LDTR: 76, LEGO: 76, LERY: 76, LOPP: 76, LPHI: 76,
+	MAYO: 76, NANU: 76, NBEG: 76, NEDD: 76, NGMU: 76, NIDE: 76, NISC: 76, NTSL: 76, NWAY: 76, NYST: 76,
+	OCUS: 76, OFFS: 76, OISE: 76, OLEG: 76, OMNO: 76, ONLO: 76, OORS: 76, OWFA: 76, POIS: 76, PPYT: 76,
+	PSWI: 76, ROFN: 76, RONL: 76, RTYS: 76, SAFA: 76, SCUR: 76, SECI: 76, SEDD: 76, SLIV: 76, SLOS: 76,
+	SSCH: 76, STCR: 76, TARD: 76, TDEG: 76, THYE: 76, TLIV: 76, TOOO: 76, TYLA: 76, UNAV: 76, UNFI: 76,
+	UNGP: 76, USHI: 76, UTAF: 76, UTLO: 76, VEPU: 76, VILR: 76, YBOT: 76, YSAF: 76, ACTB: 75, AING: 75,
+	AISA: 75, ALAI: 75, ALID: 75, ALVE: 75, AOFT: 75, BEAF: 75, BECL: 75, BOYS: 75, BSOR: 75, BYEV: 75,
+	CAWE: 75, CHHI: 75, CION: 75, CTMA: 75, DBYG: 75, DLEC: 75, DLYB: 75, DNEA: 75, DSCH: 75, DSSH: 75,
+	DUNL: 75, EAWH: 75, EBUL: 75, EBYP: 75, EDAU: 75, EDYT: 75, EELY: 75, EERF: 75, ELAU: 75, ENIG: 75,
+	ENNA: 75, EONS: 75, EORS: 75, ETNO: 75, EYFO: 75, FPOR: 75, FSEV: 75, FSTE: 75, GEAC: 75, GHWH: 75,
+	GLYI: 75, GORA: 75, GSWI: 75, GTIM: 75, HAGR: 75, HUGE: 75, ILSI: 75, IMOU: 75, ISAI: 75, ITAC: 75,
+	KABO: 75, KATT: 75, KERE: 75, LBEH: 75, LETA: 75, LPTO: 75, MCAN: 75, MTOD: 75, MWHO: 75, NALN: 75,
+	NDSY: 75, NGDA: 75, NOCH: 75, NPRA: 75, NSIF: 75, NSMU: 75, NTBA: 75, NUEW: 75, OFBL: 75, OFPL: 75,
+	OLDD: 75, OMST: 75, ONPU: 75, OOKF: 75, OPEL: 75, OSEG: 75, OSTG: 75, OSUS: 75, OVAT: 75, QUER: 75,
+	RCAU: 75, RCOA: 75, RIFE: 75, RKHA: 75, RLIB: 75, SGET: 75, SICO: 75, SNOO: 75, SSLA: 75, TARG: 75,
+	TARM: 75, TBEW: 75, TEMH: 75, THIE: 75, TIFW: 75, TINN: 75, TLYU: 75, USIT: 75, UTOM: 75, UTOT: 75,
+	VYAN: 75, VYTH: 75, WITS: 75, YCAP: 75, ZONE: 75, ACLA: 74, ADPR: 74, ADYC: 74, ADYM: 74, AFIR: 74,
+	AKEF: 74, ALGA: 74, ASEB: 74, ATHR: 74, AUDI: 74, AWWH: 74, BACC: 74, BEDR: 74, BEPO: 74, BORW: 74,
+	BOWS: 74, BRAI: 74, BYBO: 74, CCUS: 74, CEDP: 74, CHYO: 74, DDIF: 74, DESH: 74, DIFW: 74, DUNC: 74,
+	ECAT: 74, EDVI: 74, EESI: 74, EGIA: 74, EMIU: 74, ENOO: 74, ENPO: 74, ENSB: 74, EPOT: 74, ESPL: 74,
+	EWWE: 74, EYAL: 74, FBIL: 74, FHAV: 74, FLES: 74, FLIN: 74, FMOD: 74, FOOL: 74, FPAN: 74, FREF: 74,
+	GCLA: 74, GEMA: 74, GERB: 74, GERW: 74, GESS: 74, GHST: 74, GITT: 74, GOON: 74, HALA: 74, HAPO: 74,
+	HCEN: 74, HEDC: 74, HEDH: 74, HENG: 74, HENN: 74, HISJ: 74, HODE: 74, IAGA: 74, ICEE: 74, ICSC: 74,
+	IDLE: 74, LACR: 74, LARB: 74, LBUD: 74, LORY: 74, LSBE: 74, LUTA: 74, MISA: 74, MYWI: 74, NDTU: 74,
+	NGSL: 74, NHEM: 74, NISP: 74, NMYP: 74, NUSA: 74, OADJ: 74, OFSL: 74, OPOW: 74, ORDN: 74, ORKB: 74,
+	OSOL: 74, OWUN: 74, RDUR: 74, REAW: 74, REEH: 74, RITU: 74, RSIM: 74, RTEE: 74, RTOL: 74, RVEO: 74,
+	RYYE: 74, SAUL: 74, SETF: 74, SGOI: 74, SHOF: 74, SNOM: 74, SOBL: 74, STEL: 74, STPL: 74, TBUI: 74,
+	TEAG: 74, TKEE: 74, TSAV: 74, TSJU: 74, ULLC: 74, UMWA: 74, USAR: 74, UTHS: 74, VEES: 74, VEHO: 74,
+	WELO: 74, WHOE: 74, YADO: 74, YATA: 74, YLIF: 74, YLOO: 74, YMAT: 74, YPAI: 74, ACEP: 73, ALPL: 73,
+	AMID: 73, ANKL: 73, ANKT: 73, ARSN: 73, ATDU: 73, ATOC: 73, AVOW: 73, AWSS: 73, AYAT: 73, AYSU: 73,
+	BEOU: 73, CKEN: 73, CKER: 73, CUTO: 73, DERD: 73, DIDT: 73, DOMS: 73, DOMW: 73, EADB: 73, EFAS: 73,
+	EFIX: 73, EMAX: 73, EORE: 73, ETET: 73, EWSP: 73, FCRE: 73, FFLA: 73, FLOC: 73, FOCU: 73, FSCI: 73,
+	FSEA: 73, FSMA: 73, GACO: 73, GCHA: 73, GSUP: 73, HCOL: 73, HEMD: 73, HTIA: 73, HWAR: 73, ICCR: 73,
+	ICFU: 73, ICGO: 73, IFOU: 73, ILYW: 73, IMUS: 73, ITEP: 73, JURE: 73, KEUP: 73, LASW: 73, LDAF: 73,
+	LEFA: 73, LLCH: 73, LLOC: 73, LOBJ: 73, LSOL: 73, LYHI: 73, MANF: 73, MEDC: 73, MEIM: 73, MENB: 73,
+	MEOU: 73, MHAP: 73, MIUM: 73, MSUR: 73, MUND: 73, NAPE: 73, NCTU: 73, NDGU: 73, NMET: 73, NORP: 73,
+	NSWA: 73, NURS: 73, NYTO: 73, ONDC: 73, ONEU: 73, OOFO: 73, OPST: 73, OQUE: 73, ORIF: 73, OSPA: 73,
+	OTDI: 73, OTUR: 73, OVOT: 73, PALO: 73, PYTO: 73, RMEM: 73, ROES: 73, RSIA: 73, RYET: 73, SAVO: 73,
+	SAYA: 73, SISD: 73, SITR: 73, SMEM: 73, SMOF: 73, SOSO: 73, SVAL: 73, SWIN: 73, TCAS: 73, TFAL: 73,
+	THRA: 73, TITD: 73, TJUD: 73, TOVO: 73, TUIT: 73, TWIN: 73, UIVA: 73, VEOC: 73, WINS: 73, WMEX: 73,
+	YABL: 73, YLON: 73, YNOM: 73, YSAY: 73, ACHP: 72, ADRI: 72, ADUT: 72, AIRW: 72, ANJU: 72, ARMT: 72,
+	ASUM: 72, ATRU: 72, AYBY: 72, CARI: 72, CFOR: 72, CHTR: 72, CKWA: 72, CSTA: 72, DAIR: 72, DDOM: 72,
+	DDON: 72, DEAM: 72, DENM: 72, DMEX: 72, DUES: 72, EADU: 72, ECUB: 72, EDRU: 72, EHEW: 72, EIBE: 72,
+	EISG: 72, EKIL: 72, ELFB: 72, ENVE: 72, EORY: 72, ERIZ: 72, ERNF: 72, EROI: 72, ETSH: 72, FEWM: 72,
+	FMER: 72, FNEA: 72, FNEG: 72, FPUR: 72, FSUB: 72, GEPO: 72, GEWA: 72, GGOV: 72, GHAL: 72, GHSE: 72,
+	HAMO: 72, HEMC: 72, HRIN: 72, ICOB: 72, IDID: 72, ILYL: 72, INKE: 72, ISUB: 72, ITOO: 72, KCON: 72,
+	KELE: 72, KFRO: 72, LAYB: 72, LCOS: 72, LDLA: 72, LEYO: 72, LIEU: 72, LOTT: 72, LSUR: 72, LUEA: 72,
+	MEDP: 72, MEOR: 72, MMAT: 72, MONU: 72, NABA: 72, NCHM: 72, NCIR: 72, NEAM: 72, NISO: 72, NITB: 72,
+	NLYE: 72, NORB: 72, NORF: 72, NTEC: 72, NTLO: 72, NTPU: 72, NUTE: 72, NWEW: 72, OBSO: 72, ODBL: 72,
+	ODPR: 72, OFEF: 72, OHIO: 72, ONGM: 72, OORT: 72, ORSS: 72, OVEF: 72, OWBU: 72, PINO: 72, RGAI: 72,
+	RMIE: 72, RMUS: 72, ROFG: 72, ROWE: 72, RSAM: 72, RSLI: 72, RTAG: 72, SLED: 72, SOBV: 72, SONH: 72,
+	SSDI: 72, SSTU: 72, TALB: 72, TAYE: 72, TCLE: 72, TLYL: 72, TONF: 72, TSAY: 72, TWIC: 72, UEDW: 72,
+	ULWA: 72, UNEI: 72, USIS: 72, UTAG: 72, UTNE: 72, WIST: 72, YARI: 72, YENC: 72, YEND: 72, YMES: 72,
+	ACIE: 71, ALBY: 71, AMSU: 71, ANKR: 71, ARNT: 71, ASUS: 71, ATPL: 71, AVEJ: 71, BLUE: 71, BSIS: 71,
+	BYNE: 71, CINE: 71, CLAU: 71, CTPR: 71, DBAL: 71, DDAY: 71, DEDJ: 71, DEDL: 71, DFED: 71, DSYS: 71,
+	DYRE: 71, EAFA: 71, EEWH: 71, EJAP: 71, ELFC: 71, ELLC: 71, EMUL: 71, EONO: 71, EPAL: 71, ERVO: 71,
+	EWEI: 71, FABR: 71, FANC: 71, FATR: 71, FING: 71, FLAM: 71, FPOP: 71, FTEE: 71, GABL: 71, GEUP: 71,
+	GMIL: 71, GQUE: 71, HELL: 71, HITT: 71, HOMW: 71, HSPE: 71, HYAN: 71, ICAO: 71, ICAP: 71, ICKI: 71,
+	IFEL: 71, IGHC: 71, ILRI: 71, INDF: 71, IPBE: 71, ISSY: 71, LARF: 71, LBRI: 71, LDET: 71, LIDI: 71,
+	LLSW: 71, LOFH: 71, LOWF: 71, MICC: 71, NCLI: 71, NDBL: 71, NLAB: 71, NMYM: 71, NRAI: 71, OADC: 71,
+	OCOR: 71, OCUT: 71, ODIR: 71, OESI: 71, OESO: 71, OLEE: 71, OMHA: 71, OMSU: 71, OODL: 71, OTEI: 71,
+	PLEP: 71, PONF: 71, PREE: 71, RATL: 71, RCIN: 71, RELS: 71, RFLA: 71, RIGG: 71, RNET: 71, RPSO: 71,
+	RSSI: 71, RYFI: 71, RYTR: 71, SAWT: 71, SDID: 71, SKFO: 71, SLOC: 71, SPAY: 71, SPIN: 71, TABU: 71,
+	TAMI: 71, TAPA: 71, TEPA: 71, TFEE: 71, TIAS: 71, TSMU: 71, TSPI: 71, UCKS: 71, UEDU: 71, UGHM: 71,
+	ULPR: 71, UNGM: 71, URWI: 71, USPO: 71, USSU: 71, UTEW: 71, VYDE: 71, WANC: 71, WNUP: 71, WSRE: 71,
+	YBUR: 71, YLET: 71, AARE: 70, ABID: 70, ACKB: 70, ADAY: 70, ADWE: 70, AFAR: 70, AHAN: 70, ANSN: 70,
+	ASSR: 70, ATHS: 70, ATSC: 70, AVEY: 70, AWNF: 70, AYSF: 70, BASS: 70, BEEM: 70, BEVE: 70, BLYI: 70,
+	CALB: 70, CALW: 70, CARD: 70, CARP: 70, CEDM: 70, CHAB: 70, CHAW: 70, CHFU: 70, CINS: 70, CRUT: 70,
+	DDIV: 70, DENG: 70, DIDE: 70, DONW: 70, DSOR: 70, DSUN: 70, EAMB: 70, EBER: 70, EISW: 70, ELLH: 70,
+	ENIC: 70, EOPA: 70, ERTU: 70, ETEE: 70, ETSW: 70, EVIG: 70, FBAN: 70, FHAR: 70, FICS: 70, FSUF: 70,
+	FTRU: 70, GDOM: 70, GHSC: 70, GONI: 70, GSAR: 70, HALO: 70, HEEU: 70, HINM: 70, HITA: 70, HSHE: 70,
+	HTIS: 70, HTYE: 70, IAHA: 70, IDAS: 70, IREB: 70, ITEY: 70, ITMO: 70, KEHI: 70, LTOM: 70, LTOR: 70,
+	MYDE: 70, NDOC: 70, NGAH: 70, NHUM: 70, NITM: 70, NTGR: 70, NTJU: 70, OFOB: 70, OMCU: 70, OMFR: 70,
+	OODU: 70, ORCR: 70, ORTB: 70, ORTM: 70, OWPE: 70, PALP: 70, PLUN: 70, RAIR: 70, RAPR: 70, RBRI: 70,
+	SEDN: 70, SSOV: 70, SUEA: 70, SURF: 70, TAMA: 70, TLIB: 70, TMAI: 70, TORC: 70, TRIU: 70, TRUN: 70,
+	TSOO: 70, TYAM: 70, ULLT: 70, UPLE: 70, UTAP: 70, VANI: 70, VERU: 70, WNAT: 70, WNWA: 70, YAPR: 70,
+	YPOI: 70, YSHE: 70, ZURE: 70, ADFA: 69, AMFO: 69, AQUA: 69, ARSC: 69, ASEH: 69, BAAN: 69, BOMB: 69,
+	CKAD: 69, CMAJ: 69, COOK: 69, CRUP: 69, CTAL: 69, CTBY: 69, CTSE: 69, DBEY: 69, DCRU: 69, DEMY: 69,
+	DESU: 69, DOTO: 69, DSOA: 69, DUNA: 69, EABR: 69, EAHE: 69, EARU: 69, EBOW: 69, ELFD: 69, EORC: 69,
+	EORL: 69, ERYY: 69, ESIC: 69, EYOR: 69, FEED: 69, FENT: 69, FICT: 69, FWED: 69, GECA: 69, GFAM: 69,
+	GINV: 69, GLYA: 69, GRAI: 69, HAIL: 69, HIES: 69, HOWF: 69, ILEF: 69, INDH: 69, ITEF: 69, ITIG: 69,
+	LAYO: 69, LBYT: 69, LDNT: 69, LDUP: 69, LLPU: 69, LPEO: 69, LYUS: 69, LYVI: 69, MERL: 69, MISU: 69,
+	NABR: 69, NABU: 69, NCYS: 69, NFUT: 69, NITC: 69, NKIT: 69, NSEF: 69, NTQU: 69, NUNC: 69, NVOK: 69,
+	NYME: 69, NYWI: 69, ONUM: 69, ORSC: 69, OUPL: 69, RDAM: 69, RDEB: 69, RENU: 69, RGOE: 69, RLDE: 69,
+	RORD: 69, RSLA: 69, RSOV: 69, RSST: 69, SATR: 69, SDOU: 69, SEHI: 69, SETS: 69, SFAS: 69, SFEE: 69,
+	SORW: 69, SSPI: 69, SSYO: 69, STQU: 69, STSS: 69, SWAT: 69, SWEP: 69, TADI: 69, TDAT: 69, TEPT: 69,
+	TEWE: 69, TGUA: 69, THLY: 69, TIFU: 69, TMAJ: 69, TMOM: 69, TRYE: 69, TRYP: 69, TYSO: 69, UEWH: 69,
+	USTU: 69, UTHW: 69, WICE: 69, WNPR: 69, WSHO: 69, XCRE: 69, YARM: 69, YELE: 69, YEVI: 69, YFOL: 69,
+	YSCH: 69, YSEA: 69, AFRO: 68, AILM: 68, ASIG: 68, ATCI: 68, AUDA: 68, AWMA: 68, AXCR: 68, AYAB: 68,
+	BALE: 68, BEIT: 68, BLAN: 68, BULK: 68, BURG: 68, BYEN: 68, CESR: 68, CHDO: 68, CHHO: 68, DDAN: 68,
+	DHAN: 68, DIDO: 68, DLED: 68, DNEE: 68, DQUI: 68, DSBU: 68, DYMA: 68, ECTP: 68, EDIB: 68, EHIT: 68,
+	EIRJ: 68, FAGE: 68, FMEA: 68, FMIS: 68, FRAC: 68, FSHI: 68, FVES: 68, GCAN: 68, GEEA: 68, GNOF: 68,
+	GUPA: 68, HSER: 68, HTOD: 68, ILIS: 68, ILSW: 68, ISSC: 68, KSFO: 68, LBUR: 68, LDPA: 68, LFSU: 68,
+	LLET: 68, LSHI: 68, LTYI: 68, MONR: 68, NBAS: 68, NBYS: 68, NCHG: 68, NDTW: 68, NERW: 68, NFUS: 68,
+	NGVI: 68, NMIG: 68, NONP: 68, NPOI: 68, NROL: 68, NSEB: 68, NSGR: 68, ODHA: 68, OLAY: 68, OLLU: 68,
+	OMAG: 68, ONJA: 68, OSOO: 68, OTPO: 68, OUTU: 68, OWNG: 68, PLEL: 68, RBAL: 68, RBAS: 68, RDAT: 68,
+	RGEE: 68, RGIV: 68, RLOO: 68, RMAC: 68, RMUL: 68, RNIZ: 68, RPOI: 68, RTHC: 68, RUTI: 68, RYHO: 68,
+	SAYW: 68, SEAI: 68, SENF: 68, SFAV: 68, SLYS: 68, SNOP: 68, SORF: 68, SSRO: 68, TASO: 68, TDOM: 68,
+	TEHE: 68, TINB: 68, TITE: 68, TIWI: 68, TLEW: 68, TNOO: 68, TTAR: 68, TUGA: 68, TUNF: 68, TUSA: 68,
+	ULYL: 68, UMEO: 68, USBA: 68, VESN: 68, WEAC: 68, WETO: 68, WHYW: 68, WOOF: 68, YELL: 68, YHAR: 68,
+	YISO: 68, YNOR: 68, YORG: 68, YOUL: 68, YQUE: 68, YTEN: 68, YYET: 68, ZEDN: 68, ADIA: 67, AKEW: 67,
+	AMPR: 67, BMAR: 67, CASS: 67, COCE: 67, CYFO: 67, CYWE: 67, DABU: 67, DCLO: 67, DEXA: 67, DHOS: 67,
+	DIBE: 67, DMOD: 67, DQUA: 67, DRAM: 67, DTRI: 67, DWIN: 67, EBYR: 67, ELFH: 67, ERMY: 67, ETOY: 67,
+	EVAN: 67, FITF: 67, FVIE: 67, GFUL: 67, GSPE: 67, GUAT: 67, HEEI: 67, HEMN: 67, HWEM: 67, IALH: 67,
+	IAMN: 67, IARL: 67, ICCH: 67, ICWI: 67, IERC: 67, IETO: 67, IFEE: 67, IFTO: 67, INEH: 67, INOB: 67,
+	IRAD: 67, IRDA: 67, IRFR: 67, IXTY: 67, KENU: 67, LAGA: 67, LARW: 67, LDAR: 67, LLYN: 67, LPOR: 67,
+	LSBU: 67, LSFR: 67, LSOD: 67, LTHT: 67, LTOE: 67, LWOU: 67, LYGA: 67, MONW: 67, NGJO: 67, NISB: 67,
+	ODYA: 67, OKFO: 67, OKOF: 67, OLDL: 67, ONTW: 67, OPYO: 67, OTRY: 67, OWCA: 67, OWFR: 67, OWSH: 67,
+	PALE: 67, PIDI: 67, PTHI: 67, REEG: 67, RINJ: 67, RLYF: 67, ROGA: 67, RWAG: 67, RWEW: 67, SBOU: 67,
+	SHAK: 67, SMOU: 67, SNEG: 67, STJU: 67, STYS: 67, TALN: 67, TANG: 67, TASC: 67, TBAS: 67, TBYC: 67,
+	TFOL: 67, THSH: 67, TIBE: 67, TICF: 67, TIMS: 67, TMEX: 67, TMIS: 67, TOQU: 67, TOTU: 67, UEON: 67,
+	UNEQ: 67, UNTY: 67, URLO: 67, USWA: 67, VECR: 67, VELT: 67, WEFI: 67, WEHO: 67, WHIS: 67, WRES: 67,
+	YENA: 67, YIAM: 67, YPOR: 67, ACAD: 66, ADAC: 66, AIRN: 66, ALEG: 66, ALRO: 66, AMEB: 66, ANIL: 66,
+	ANSR: 66, APUB: 66, ARDR: 66, AREY: 66, ASQU: 66, ATYB: 66, AVAT: 66, AWID: 66, AXIN: 66, BROW: 66,
+	CANU: 66, CHOC: 66, DACR: 66, DADO: 66, DBUR: 66, DDTO: 66, DEHA: 66, DESF: 66, DEWA: 66, DLYF: 66,
+	DSOI: 66, DUPA: 66, EADH: 66, EAFO: 66, ECEA: 66, EDOP: 66, EETW: 66, ENEU: 66, EORF: 66, EORP: 66,
+	EROS: 66, ERSG: 66, EUNW: 66, EVAT: 66, EWFO: 66, EWMO: 66, FJAP: 66, FRAY: 66, GERC: 66, GETF: 66,
+	GSUB: 66, HABO: 66, HCLA: 66, HERV: 66, HEUR: 66, HITM: 66, HNES: 66, HOWH: 66, IDBY: 66, ILYF: 66,
+	INOW: 66, ITAF: 66, KETT: 66, KHAS: 66, KUPO: 66, LLEF: 66, LOTO: 66, LTAT: 66, LTOC: 66, LYOP: 66,
+	LYPL: 66, MAYF: 66, MEAP: 66, MEHI: 66, MYFI: 66, NAWO: 66, NCRI: 66, NEYF: 66, NINN: 66, NSDU: 66,
+	NSTS: 66, NVAD: 66, ODED: 66, ODOA: 66, OFEE: 66, OGAT: 66, OLOV: 66, OMIE: 66, OTWA: 66, OTWH: 66,
+	OUNI: 66, PERW: 66, RCEP: 66, RKSH: 66, RPED: 66, RSEP: 66, RTGA: 66, RYAP: 66, RYSA: 66, SADI: 66,
+	SBER: 66, SEEW: 66, SHAT: 66, SILL: 66, SLYC: 66, SSAY: 66, SSST: 66, STDU: 66, SVIT: 66, THNA: 66,
+	TMEM: 66, TOTO: 66, TSGO: 66, TSTU: 66, UDOF: 66, UEDO: 66, URWE: 66, UTIA: 66, VEAF: 66, VEUP: 66,
+	WAPP: 66, XRED: 66, YALS: 66, YCOO: 66, YLES: 66, YONL: 66, YPUB: 66, YRAI: 66, YVIE: 66, YWAN: 66,
+	ABRA: 65, ACTH: 65, ACTN: 65, ADAR: 65, ADBU: 65, ADMO: 65, AMEE: 65, ANOL: 65, ATMU: 65, AWNO: 65,
+	AYLA: 65, AYSC: 65, BTOF: 65, CARS: 65, CAUG: 65, CEPO: 65, CHCH: 65, CITA: 65, CITO: 65, DABI: 65,
+	DAMI: 65, DEFA: 65, DENF: 65, DEWE: 65, DFEA: 65, DFLA: 65, DISU: 65, DLIM: 65, DNUM: 65, DOUG: 65,
+	DSAC: 65, DSOO: 65, DWAG: 65, EBYO: 65, ECEP: 65, EDSC: 65, EEKA: 65, EEON: 65, EESW: 65, ELDF: 65,
+	ELTO: 65, EMRE: 65, ENDF: 65, ENTJ: 65, EPHA: 65, ERID: 65, EXTS: 65, FELE: 65, FFUS: 65, FMUT: 65,
+	FRET: 65, FWAT: 65, GARM: 65, GERP: 65, GMON: 65, GOAN: 65, HATJ: 65, HEOW: 65, HHEA: 65, HINV: 65,
+	HREN: 65, HWEC: 65, IANR: 65, ICDO: 65, ICTL: 65, IEFF: 65, IFFU: 65, IFIA: 65, INAV: 65, ISTM: 65,
+	JEOP: 65, KLIN: 65, KPLA: 65, LARY: 65, LDMO: 65, LEIF: 65, LEYE: 65, LISS: 65, LOCC: 65, LORG: 65,
+	LYJU: 65, MANM: 65, MBLY: 65, MTOC: 65, MWOU: 65, NAYE: 65, NCAM: 65, NCEY: 65, NEDR: 65, NENL: 65,
+	NEXH: 65, NITR: 65, NODE: 65, NSTF: 65, NSTW: 65, NURG: 65, NYAM: 65, OASC: 65, ODBY: 65, OINM: 65,
+	OLAS: 65, ONTT: 65, OOFA: 65, OTHB: 65, OTOU: 65, OUWO: 65, OWLI: 65, PBET: 65, PIPE: 65, PTIT: 65,
+	RAHA: 65, RILS: 65, ROFB: 65, ROMG: 65, ROYT: 65, RRAI: 65, RSLE: 65, RTBY: 65, RTHL: 65, RUNA: 65,
+	SABA: 65, SDAN: 65, SDRA: 65, SMOD: 65, SODI: 65, SSFR: 65, SSOI: 65, SUNC: 65, TBEB: 65, TGOA: 65,
+	THEX: 65, THTR: 65, TORW: 65, ULTF: 65, UMTH: 65, UNEL: 65, UNQU: 65, URYB: 65, USSH: 65, UTPA: 65,
+	VEDR: 65, WIDO: 65, WITI: 65, YASM: 65, YBRA: 65, YECO: 65, YMET: 65, YMOD: 65, YPEA: 65, YUNI: 65,
+	ACYW: 64, ADHA: 64, ADIR: 64, ADOU: 64, ADYO: 64, AHUN: 64, ANGR: 64, ANOV: 64, ASIE: 64, ASUF: 64,
+	BEAG: 64, BEGO: 64, BENT: 64, BESW: 64, CEAD: 64, CINI: 64, CREC: 64, CRUS: 64, DADI: 64, DDEB: 64,
+	DEUN: 64, DRAP: 64, DWAY: 64, EDTI: 64, EEIG: 64, EGEA: 64, EIZU: 64, ELOR: 64, ELTE: 64, ENDR: 64,
+	ENTV: 64, EVIR: 64, EVOU: 64, EWBU: 64, EYSO: 64, FASU: 64, FEWA: 64, FFUR: 64, FILE: 64, GARR: 64,
+	GEPA: 64, GFRE: 64, GLET: 64, GNMA: 64, GTAX: 64, GUIL: 64, HADH: 64, HEGI: 64, HMIN: 64, HREM: 64,
+	HSEE: 64, HTPR: 64, IEDU: 64, IEFM: 64, IENS: 64, IFLE: 64, ILEM: 64, INJA: 64, IRSW: 64, IRTO: 64,
+	ISFY: 64, ISRO: 64, ITEX: 64, ITHJ: 64, IZUR: 64, KENS: 64, LAWP: 64, LCAL: 64, LCRI: 64, LDAM: 64,
+	LLOP: 64, LRET: 64, LSOE: 64, MALO: 64, MATC: 64, MEAD: 64, MESC: 64, MORY: 64, NABI: 64, NAIR: 64,
+	NOST: 64, NPUT: 64, NTEA: 64, NTUS: 64, NVEY: 64, NWAT: 64, NYAR: 64, OCUL: 64, ODIC: 64, ODSW: 64,
+	OGOT: 64, OPOF: 64, OTEV: 64, OTTA: 64, OUSG: 64, PELA: 64, RAMM: 64, RDLE: 64, REOB: 64, RIEV: 64,
+	RLIA: 64, RMAK: 64, RNEG: 64, RONC: 64, RUSA: 64, SCOO: 64, SEBO: 64, SEEH: 64, SGUI: 64, SHUT: 64,
+	SITP: 64, SMAS: 64, SSSE: 64, STEC: 64, SUPT: 64, SUSA: 64, TAVE: 64, TBYS: 64, TCLO: 64, TGAG: 64,
+	TRID: 64, TSGE: 64, TSSI: 64, TVES: 64, TWAN: 64, TWOD: 64, TWOF: 64, TYSI: 64, TYWO: 64, UALB: 64,
+	UBMA: 64, UGHP: 64, UNTW: 64, URAI: 64, URFL: 64, URJU: 64, URVA: 64, URYH: 64, UTIM: 64, VISO: 64,
+	VORY: 64, WYOU: 64, YALI: 64, YANN: 64, YCAU: 64, YCER: 64, YEDO: 64, YMOU: 64, YOFU: 64, YSPA: 64,
+	YTUR: 64, YVER: 64, ACOL: 63, ADAM: 63, ALKI: 63, ANTN: 63, APRA: 63, AREJ: 63, AVYH: 63, AWSF: 63,
+	BEWO: 63, BSTH: 63, BULW: 63, COTO: 63, DAAN: 63, DEMB: 63, DESS: 63, DEVA: 63, DFLO: 63, DIZE: 63,
+	DLYP: 63, EECE: 63, EIMA: 63, EMOB: 63, EREJ: 63, ETDE: 63, EWGR: 63, EWRI: 63, FADV: 63, FALI: 63,
+	FEWI: 63, FNIC: 63, FWES: 63, GERF: 63, GESB: 63, GNAF: 63, GODS: 63, GSYS: 63, HAGU: 63, HAMA: 63,
+	HLAS: 63, HTAS: 63, HTOP: 63, HUSC: 63, ICLI: 63, IDEC: 63, IKEH: 63, IMNO: 63, INDN: 63, IRIM: 63,
+	ISHU: 63, KSHA: 63, KSWI: 63, LDSP: 63, LEPU: 63, LFOU: 63, LGRE: 63, LLCR: 63, LOAD: 63, LSAL: 63,
+	LSIO: 63, LTHS: 63, LWER: 63, MASA: 63, MICH: 63, NCUM: 63, NCYB: 63, NDKI: 63, NDOI: 63, NHES: 63,
+	NJOB: 63, NORH: 63, NTEF: 63, OABA: 63, OALT: 63, ODRA: 63, OFFL: 63, OSAN: 63, OTOM: 63, OTOR: 63,
+	OWSU: 63, PERD: 63, RDOL: 63, REEK: 63, RESL: 63, RGEW: 63, RLAR: 63, RMYT: 63, RSME: 63, RTAB: 63,
+	RUPU: 63, RYEV: 63, RYFE: 63, SAMI: 63, SHOO: 63, SHTE: 63, SISL: 63, SMAJ: 63, SOAR: 63, STEI: 63,
+	TARR: 63, THAU: 63, THLI: 63, TICW: 63, TMYD: 63, TNOS: 63, TOHU: 63, TSVA: 63, TUSO: 63, UBBE: 63,
+	UCHU: 63, UERT: 63, UIPP: 63, UNBO: 63, UPUL: 63, UTAD: 63, VALP: 63, VIND: 63, WNSE: 63, WORE: 63,
+	WSIT: 63, WUND: 63, XASA: 63, XEDA: 63, YBUS: 63, YESA: 63, YEYE: 63, YOBS: 63, ACUR: 62, ADDA: 62,
+	ADMA: 62, AIIA: 62, AIRM: 62, ALSS: 62, ANAI: 62, ANBO: 62, ANID: 62, ANMO: 62, ARTR: 62, ASAU: 62,
+	AUDU: 62, AWSR: 62, BYAT: 62, CEHO: 62, CHSI: 62, CHTE: 62, COWA: 62, CREL: 62, DAID: 62, DASC: 62,
+	DFOL: 62, DIDI: 62, DIHO: 62, EAKN: 62, EBEY: 62, ECKA: 62, EHEH: 62, ELPH: 62, EMCO: 62, ENOV: 62,
+	ENSS: 62, ERFL: 62, ETRY: 62, ETTY: 62, GANC: 62, GASO: 62, GEDS: 62, GHEN: 62, GHRE: 62, HINH: 62,
+	HOLA: 62, HORN: 62, HPOS: 62, HTAL: 62, HTBU: 62, HTOC: 62, ICEU: 62, ICWH: 62, IDOW: 62, ILWH: 62,
+	IRFE: 62, IRWO: 62, ITIF: 62, ITOL: 62, KEAM: 62, LEHI: 62, LFWI: 62, LIDE: 62, LINK: 62, LLBY: 62,
+	LLFE: 62, LOPT: 62, LRAT: 62, LYFU: 62, LYKN: 62, MORO: 62, NFUN: 62, NGBI: 62, NKER: 62, NMEE: 62,
+	NOBS: 62, NRIC: 62, NSAD: 62, NSCR: 62, NYSE: 62, OEMB: 62, OILT: 62, OMDE: 62, OMWI: 62, OOOF: 62,
+	OORE: 62, ORBA: 62, OWEM: 62, PARL: 62, PAYS: 62, PTOW: 62, RAMP: 62, RBEN: 62, RBOT: 62, RCHL: 62,
+	RCOI: 62, REUR: 62, RLDM: 62, RNBO: 62, ROWO: 62, RSIG: 62, RSNE: 62, RSTB: 62, RYBA: 62, SABS: 62,
+	SCOS: 62, SDEB: 62, SEUP: 62, SEYO: 62, SFRA: 62, SFRI: 62, SIXM: 62, SNOD: 62, SSOW: 62, STPU: 62,
+	SWIM: 62, TABR: 62, TESL: 62, THBO: 62, TICD: 62, TLIE: 62, TNIG: 62, TONB: 62, TOOW: 62, TRYN: 62,
+	TSMI: 62, TTOK: 62, TUOU: 62, TYAC: 62, TYIF: 62, TYSU: 62, UDEI: 62, UEDF: 62, USAD: 62, USCH: 62,
+	VELL: 62, VYIN: 62, WARL: 62, WERH: 62, WHAS: 62, WNON: 62, WSFO: 62, YALA: 62, YEDU: 62, YFRI: 62,
+	YISH: 62, YNEG: 62, YPAY: 62, YSHI: 62, YSPR: 62, YSUS: 62, YWEW: 62, ZEST: 62, ACTP: 61, AIDD: 61,
+	ALOW: 61, ALQA: 61, ALYS: 61, ANVE: 61, ARAI: 61, ARMF: 61, ARPA: 61, ARWO: 61, ATCR: 61, ATEJ: 61,
+	AVIL: 61, AVIT: 61, BEDA: 61, BERH: 61, BYGR: 61, CDUT: 61, CREV: 61, CTAR: 61, DATM: 61, DIFY: 61,
+	DISG: 61, DLYE: 61, DOBL: 61, DOFU: 61, DPAC: 61, DSCI: 61, DSMO: 61, DTEA: 61, DVIG: 61, EDDA: 61,
+	EIFI: 61, ERTW: 61, EWTR: 61, EXCU: 61, FALO: 61, FFOF: 61, FLON: 61, FNOR: 61, FPLA: 61, GTOF: 61,
+	GTOL: 61, GUNI: 61, HCER: 61, HFRA: 61, HIPF: 61, HIPH: 61, HOSH: 61, HPLA: 61, HRON: 61, HTAB: 61,
+	HWOR: 61, HYWE: 61, IAPP: 61, IAWH: 61, IDAL: 61, IFEB: 61, IFEF: 61, IMSW: 61, INUO: 61, ISGU: 61,
+	ISHL: 61, IXIN: 61, LABA: 61, LCAU: 61, LDOR: 61, LITW: 61, LMUS: 61, LOFP: 61, LOOS: 61, LYCR: 61,
+	MERW: 61, MICI: 61, MTOH: 61, NDUT: 61, NIQU: 61, NISD: 61, NOFV: 61, NOSA: 61, NOWG: 61, NPEN: 61,
+	NUEL: 61, NWAL: 61, OARR: 61, OATW: 61, OBOA: 61, OCLE: 61, OESS: 61, OHOP: 61, OIDT: 61, OLOU: 61,
+	OMUS: 61, OMWA: 61, ONTS: 61, OODY: 61, OPPI: 61, OPUB: 61, OURK: 61, PERB: 61, PILL: 61, PTIB: 61,
+	PYOF: 61, RGEU: 61, RMYW: 61, RNFR: 61, ROFU: 61, RREQ: 61, RSAP: 61, RSDE: 61, RSSU: 61, RSTL: 61,
+	RYLO: 61, SCUE: 61, SHUM: 61, SIER: 61, SNAM: 61, STIR: 61, TALH: 61, TDET: 61, TEAP: 61, TILY: 61,
+	TLEB: 61, TUSI: 61, UFFR: 61, UNER: 61, UODS: 61, UPLI: 61, USCL: 61, UTEX: 61, WAYC: 61, WEME: 61,
+	WINE: 61, WNLI: 61, YFAM: 61, YISE: 61, YLIK: 61, YLIV: 61, YOPP: 61, YORS: 61, YQUA: 61, YSUF: 61,
+	ACOA: 60, ADSE: 60, AGIC: 60, AIRF: 60, AJOI: 60, ALGU: 60, ALUS: 60, APTI: 60, ASAV: 60, BSCR: 60,
+	BTHA: 60, CAWH: 60, CKWI: 60, COUP: 60, CTRA: 60, DANU: 60, DARO: 60, DBAC: 60, DBAS: 60, DCAU: 60,
+	DDAM: 60, DFEL: 60, DIAS: 60, DIWA: 60, DOAN: 60, DOBE: 60, DSUG: 60, EEFO: 60, EISF: 60, EMEL: 60,
+	EOIL: 60, EORM: 60, EORW: 60, EPEL: 60, EPES: 60, ERNH: 60, ESOW: 60, ETSF: 60, EWEE: 60, EXTM: 60,
+	EYNO: 60, FASP: 60, FAUL: 60, FBRA: 60, FEWO: 60, FFAN: 60, FIER: 60, FINV: 60, FIXI: 60, FMUC: 60,
+	FVAL: 60, GAGR: 60, GDIF: 60, GLYT: 60, HADL: 60, HEUP: 60, HIMM: 60, HSIN: 60, IBAL: 60, IFFS: 60,
+	IGIB: 60, ILAD: 60, ILWE: 60, IRER: 60, IRUN: 60, IVIA: 60, JOBT: 60, LICG: 60, LINH: 60, LLCI: 60,
+	LOOM: 60, LOPA: 60, LPOI: 60, MASK: 60, MORI: 60, NACR: 60, NEPE: 60, NEVO: 60, NGCE: 60, NHOS: 60,
+	NIOU: 60, NIUS: 60, NLYN: 60, NNON: 60, NOIL: 60, NSOV: 60, NWHY: 60, NYCH: 60, OBAN: 60, OBRE: 60,
+	OFJO: 60, OLOS: 60, OMYS: 60, PEDB: 60, PEDW: 60, PSWH: 60, PTON: 60, PTSI: 60, PTST: 60, RAMF: 60,
+	RBUR: 60, RDAL: 60, RDID: 60, RGIE: 60, RNFO: 60, ROST: 60, RSEX: 60, RYCL: 60, RYEN: 60, SCIR: 60,
+	SCRA: 60, SETU: 60, SFEA: 60, SLYD: 60, SMOM: 60, SSAB: 60, TARS: 60, TBEU: 60, TDIV: 60, TEBO: 60,
+	TESY: 60, THYA: 60, TLEC: 60, TONH: 60, TRAP: 60, UBTF: 60, UGHD: 60, UMMI: 60, UMOR: 60, UMUS: 60,
+	UNKN: 60, URCL: 60, USLI: 60, UTMI: 60, WENF: 60, XRAT: 60, YCRI: 60, YFRA: 60, YHUM: 60, YLIM: 60,
+	YOUP: 60, YSID: 60, YSRE: 60, YSWE: 60, YSWI: 60, YYAR: 60, ABEL: 59, ACAS: 59, AFED: 59, AFLO: 59,
+	ALLV: 59, ANFL: 59, ANKN: 59, ANOC: 59, ARGA: 59, ATBA: 59, ATGE: 59, AXED: 59, AXRA: 59, BARK: 59,
+	BLYC: 59, BLYD: 59, BREE: 59, BTFU: 59, CEYO: 59, DBRE: 59, DBUI: 59, DCAS: 59, DCEN: 59, DDOU: 59,
+	DDRA: 59, DEPU: 59, DGER: 59, DILL: 59, DMYS: 59, DOLD: 59, DOYO: 59, DRAF: 59, DYHA: 59, EARY: 59,
+	EBYI: 59, EFRU: 59, ELAK: 59, ELTA: 59, EMYO: 59, ENIU: 59, EPTS: 59, EROV: 59, ETSS: 59, EWOO: 59,
+	EWTE: 59, FCAL: 59, FEWW: 59, FIAB: 59, FMYP: 59, FNUC: 59, FOPE: 59, FSLA: 59, GBYT: 59, GESF: 59,
+	GHOW: 59, GONL: 59, GPUB: 59, GUAY: 59, GWAR: 59, HSTH: 59, HTOO: 59, ICME: 59, IMID: 59, IMSI: 59,
+	INKW: 59, INOI: 59, INSM: 59, IPSI: 59, IREE: 59, ISEH: 59, ISEY: 59, KERA: 59, KERI: 59, KETF: 59,
+	LAGO: 59, LECR: 59, LGUA: 59, LHON: 59, LLQU: 59, LLUT: 59, LOFY: 59, LPEN: 59, LYDU: 59, MEDN: 59,
+	MTHR: 59, MUMW: 59, MWAG: 59, NATL: 59, NGDR: 59, NONI: 59, NSAV: 59, NSED: 59, NSTC: 59, NSTM: 59,
+	NUIT: 59, OADB: 59, ODNE: 59, OLDP: 59, ONAV: 59, ORKP: 59, ORYL: 59, OTMO: 59, PTAB: 59, RADJ: 59,
+	RBIN: 59, REAO: 59, RGEF: 59, RGYS: 59, RKSI: 59, RLYW: 59, RNSA: 59, RUEI: 59, RYSC: 59, SABU: 59,
+	SDAY: 59, SLYE: 59, SLYP: 59, SOEX: 59, SRIS: 59, SSEI: 59, SSMY: 59, STSM: 59, TCHT: 59, TEBY: 59,
+	THVI: 59, TIDO: 59, TOGA: 59, TSSA: 59, TTES: 59, UDAN: 59, UEPR: 59, UEWI: 59, URTW: 59, USOR: 59,
+	UTDI: 59, UVER: 59, VIVI: 59, WESU: 59, WNDE: 59, YEIT: 59, YPRA: 59, YSIX: 59, YWIS: 59, ACAP: 58,
+	AMAZ: 58, AYAR: 58, BECR: 58, BEOP: 58, BUTG: 58, BYUN: 58, CDIS: 58, CEDH: 58, CEMU: 58, CESL: 58,
+	CHCI: 58, CHFA: 58, CLET: 58, CTNE: 58, DCIR: 58, DCRO: 58, DDEE: 58, DERR: 58, DFAM: 58, DUSA: 58,
+	DVES: 58, EALP: 58, EDBR: 58, EETR: 58, EEWA: 58, EMPR: 58, ENBA: 58, EOGR: 58, EONW: 58, ESFU: 58,
+	FACH: 58, FANN: 58, FDEA: 58, FICP: 58, FLYI: 58, FTRO: 58, GATA: 58, GEBE: 58, GEOG: 58, GESP: 58,
+	GIBL: 58, GINH: 58, GMED: 58, HACA: 58, HHEL: 58, HOCC: 58, HREL: 58, IAMI: 58, IANN: 58, ICSH: 58,
+	ICSW: 58, IMWI: 58, IPBU: 58, IREH: 58, IRWE: 58, ISKN: 58, ITEV: 58, KIST: 58, LDLO: 58, LEIM: 58,
+	LERT: 58, LFCO: 58, LGET: 58, LISA: 58, LQAI: 58, LSCH: 58, LYAV: 58, LYDR: 58, MADR: 58, MERR: 58,
+	MMAR: 58, MSUP: 58, MYBE: 58, NAFG: 58, NBYW: 58, NFEB: 58, NGEB: 58, NHOL: 58, NINB: 58, NJOI: 58,
+	NKSW: 58, NSAP: 58, NUNE: 58, OBSI: 58, OCAU: 58, ODUN: 58, OEQU: 58, OHON: 58, OORA: 58, ORSB: 58,
+	OTWO: 58, PABI: 58, PEIN: 58, PEIS: 58, PETR: 58, POLA: 58, PWHI: 58, QAID: 58, RALN: 58, RDSF: 58,
+	RDSU: 58, RDWE: 58, RILO: 58, RINN: 58, ROYA: 58, RYOP: 58, SACA: 58, SEED: 58, SISU: 58, STGE: 58,
+	SWON: 58, TAFA: 58, TBON: 58, TCOS: 58, TEBA: 58, TICK: 58, TOOI: 58, TSBR: 58, TTAS: 58, TYMI: 58,
+	UGAR: 58, UMAY: 58, UPWI: 58, USEB: 58, UTME: 58, UTSH: 58, VEBY: 58, VENY: 58, VILY: 58, VULS: 58,
+	WNOT: 58, XCUS: 58, YAWA: 58, YMIN: 58, YMON: 58, YOBL: 58, YSCO: 58, YSOO: 58, ACEE: 57, ACKF: 57,
+	ADSU: 57, ALIC: 57, ARAF: 57, ARDY: 57, ARUN: 57, ASIB: 57, ASYT: 57, ATVI: 57, AYSP: 57, BABI: 57,
+	BAMA: 57, BEBO: 57, BYCA: 57, CANJ: 57, CATA: 57, CERO: 57, CHIP: 57, CTHI: 57, DALW: 57, DAUG: 57,
+	DNIG: 57, DRID: 57, DSOS: 57, DYPR: 57, EANG: 57, EASB: 57, EASL: 57, EBYE: 57, ECKO: 57, ECTN: 57,
+	EDSW: 57, EEOR: 57, EEWI: 57, EGYP: 57, EHOO: 57, EKSA: 57, ELLU: 57, ELPM: 57, ENSL: 57, ERAU: 57,
+	EWNA: 57, FCOO: 57, FERY: 57, FFOO: 57, FITE: 57, FLUC: 57, FSOL: 57, FWEW: 57, GINW: 57, GITW: 57,
+	GNEE: 57, GYPT: 57, GYTH: 57, HIDE: 57, HIMN: 57, HSAN: 57, HTEG: 57, HURR: 57, ICYH: 57, IDCO: 57,
+	IEWE: 57, IIAN: 57, IPMA: 57, ISMW: 57, ITYG: 57, KADE: 57, KEDU: 57, KPRO: 57, KRUP: 57, LARD: 57,
+	LDSI: 57, LECI: 57, LEMT: 57, LFAS: 57, LIBR: 57, LIMB: 57, LIME: 57, LNUM: 57, LOFM: 57, LSNO: 57,
+	LTOD: 57, MBUR: 57, MEDH: 57, MEPL: 57, MSON: 57, MYWE: 57, NAFI: 57, NBUR: 57, NBYP: 57, NDIL: 57,
+	NDOE: 57, NESU: 57, NGOA: 57, NILL: 57, NKRU: 57, NOEX: 57, NUNS: 57, OCKH: 57, ODYT: 57, OHOU: 57,
+	OLSO: 57, OOKP: 57, ORQU: 57, OSHI: 57, OTEM: 57, OTLI: 57, OUVE: 57, OYAN: 57, PARS: 57, PIDE: 57,
+	PIES: 57, PION: 57, QUOT: 57, RADA: 57, RALJ: 57, RDSE: 57, REDG: 57, RELU: 57, RENF: 57, RIDI: 57,
+	RSIE: 57, RYMI: 57, SEBA: 57, SETI: 57, SIFA: 57, SISR: 57, SKEE: 57, SNOC: 57, SPAP: 57, SWEF: 57,
+	TAPO: 57, TAUG: 57, TBUR: 57, TDEE: 57, TEEM: 57, TNEG: 57, TNEI: 57, TOOH: 57, TQUI: 57, TRIL: 57,
+	TTUR: 57, UCHV: 57, UEEN: 57, UEIT: 57, UESE: 57, UITT: 57, UMTO: 57, UNFR: 57, URNM: 57, URTT: 57,
+	UTIC: 57, VABL: 57, VEDN: 57, WAYM: 57, WLIN: 57, WNCI: 57, WNHA: 57, YDEL: 57, YGUA: 57, YHAN: 57,
+	YIHA: 57, YOBJ: 57, AIST: 56, ALDO: 56, ALFT: 56, ALRU: 56, AMBO: 56, AMUS: 56, ANTG: 56, ASIH: 56,
+	AVIO: 56, AWSB: 56, BROT: 56, CESD: 56, CKSI: 56, CTAB: 56, CTBU: 56, DABE: 56, DBLO: 56, DBRA: 56,
+	DEBU: 56, DELU: 56, DNOS: 56, DONH: 56, DSAY: 56, DSIG: 56, DSSO: 56, DVIO: 56, EANM: 56, EOBV: 56,
+	ERRY: 56, ESNA: 56, EVAC: 56, EXIG: 56, FACR: 56, FETO: 56, FLIG: 56, FPAS: 56, GDUT: 56, GELS: 56,
+	GHOF: 56, GIRL: 56, GONO: 56, GRUN: 56, HABW: 56, HAKE: 56, HEDD: 56, HEUL: 56, HMAK: 56, HMIL: 56,
+	HODI: 56, HONT: 56, HSTO: 56, ICOO: 56, ICWA: 56, IEDP: 56, IFCO: 56, IFER: 56, IFTA: 56, IKEP: 56,
+	ILMA: 56, IOGR: 56, IROU: 56, ISGI: 56, KENN: 56, KETE: 56, KSAR: 56, KSWE: 56, LADY: 56, LBEW: 56,
+	LBRA: 56, LDIM: 56, LEDD: 56, LFEE: 56, LIFY: 56, LIPI: 56, LMET: 56, LPAS: 56, LYGU: 56, MAHA: 56,
+	MILD: 56, MONP: 56, MYAT: 56, NCEG: 56, NCOO: 56, NELO: 56, NESC: 56, NEVA: 56, NFAL: 56, NFLO: 56,
+	NGOB: 56, NOBT: 56, NOSI: 56, NSOT: 56, NSUG: 56, OBUS: 56, OCKT: 56, ODYI: 56, OFGU: 56, OILE: 56,
+	OKEO: 56, OMOB: 56, OMOD: 56, OODM: 56, OOLT: 56, OOMS: 56, OPSO: 56, ORMW: 56, ORTP: 56, OTRI: 56,
+	OUDT: 56, OUMU: 56, OWDO: 56, PAYO: 56, PBUI: 56, PILE: 56, PITC: 56, PITS: 56, RACR: 56, RAIT: 56,
+	REEZ: 56, RESD: 56, RLOS: 56, RSMU: 56, RTSM: 56, RUNS: 56, SCRO: 56, SFAL: 56, SHPR: 56, SLEV: 56,
+	SMTH: 56, SOFY: 56, SONP: 56, SSLI: 56, SSUI: 56, SUGA: 56, SVIE: 56, TANU: 56, TEHI: 56, TGET: 56,
+	THUM: 56, TOAH: 56, UDUL: 56, ULEX: 56, UPHO: 56, USBY: 56, VESY: 56, WARK: 56, WFAR: 56, WHOU: 56,
+	WREN: 56, WWOR: 56, XIGE: 56, XTHE: 56, YOFY: 56, YSOT: 56, ACHW: 55, ACLO: 55, ACOP: 55, ADSI: 55,
+	ALHI: 55, ANEU: 55, ARII: 55, ASBO: 55, ATVE: 55, AUDS: 55, BEEA: 55, BEMU: 55, BTIN: 55, CASU: 55,
+	CCHA: 55, CEAP: 55, CHIA: 55, CHNA: 55, CITU: 55, CTFR: 55, CYAS: 55, DAFR: 55, DASR: 55, DATR: 55,
+	DEME: 55, DFIS: 55, DHES: 55, DHEW: 55, DMUT: 55, DUNS: 55, DWEN: 55, EFIV: 55, EIWI: 55, ELAX: 55,
+	ELSH: 55, ENOI: 55, EORO: 55, EOWE: 55, EPIT: 55, ERNU: 55, ESBA: 55, ESOP: 55, EWPO: 55, EXAN: 55,
+	FADI: 55, FARO: 55, FAUT: 55, FMED: 55, FSAI: 55, FTOF: 55, FULB: 55, GCAP: 55, GEEX: 55, GETM: 55,
+	GIUM: 55, GOFR: 55, HABT: 55, HALS: 55, HEIL: 55, HFRE: 55, HOFU: 55, HOWC: 55, HTOU: 55, ICCA: 55,
+	ICFA: 55, ICHY: 55, ICTW: 55, ILEE: 55, ILTA: 55, IMSH: 55, INRO: 55, ITUP: 55, JEAL: 55, KOFC: 55,
+	LBEU: 55, LDAP: 55, LDBA: 55, LDFI: 55, LEGS: 55, LEUP: 55, LGIU: 55, LLGE: 55, LSHE: 55, LWHA: 55,
+	LYEF: 55, MCUS: 55, MENM: 55, MISM: 55, MNES: 55, MOFR: 55, MSOM: 55, MTOW: 55, MUPO: 55, MYFO: 55,
+	NAPA: 55, NASY: 55, NDNI: 55, NEEX: 55, NGGE: 55, NGTW: 55, NGVO: 55, NNAV: 55, NOTK: 55, NPOP: 55,
+	NSLO: 55, NTAU: 55, OLIE: 55, OMCA: 55, OMDI: 55, OMUN: 55, ONEQ: 55, ONYA: 55, OPSI: 55, PACK: 55,
+	PAUS: 55, PLEU: 55, RCHY: 55, RDHA: 55, RIAB: 55, RITB: 55, RKNE: 55, RKSW: 55, RMES: 55, RNOU: 55,
+	SDER: 55, SFUT: 55, SGON: 55, SHEN: 55, SLAI: 55, SOPH: 55, SUEI: 55, TASY: 55, TAXB: 55, TEUN: 55,
+	THBR: 55, TISV: 55, TOPS: 55, TUEO: 55, TWOB: 55, TYUP: 55, UEGS: 55, UEIS: 55, UFOR: 55, UITC: 55,
+	UMES: 55, UNIM: 55, VEAU: 55, VENC: 55, VEND: 55, VOUS: 55, WBEI: 55, WESP: 55, WHOO: 55, WIFE: 55,
+	WINA: 55, WPRE: 55, YATL: 55, YMEX: 55, YNEA: 55, YNEX: 55, YORO: 55, YSIS: 55, YTHU: 55, ACEL: 54,
+	ADEV: 54, ADYH: 54, AFFL: 54, ALCE: 54, ANBA: 54, ANLO: 54, ANNY: 54, APOP: 54, ASKC: 54, ATOA: 54,
+	ATSB: 54, ATUP: 54, AUSP: 54, AVYO: 54, BLEV: 54, BMIS: 54, BRIC: 54, BUYI: 54, BYFR: 54, BYGI: 54,
+	CEHI: 54, CKNE: 54, CREP: 54, CTSM: 54, DALR: 54, DAVE: 54, DBOU: 54, DESW: 54, DIBL: 54, DMIG: 54,
+	DNAN: 54, DORC: 54, DSLA: 54, EBED: 54, EFMA: 54, EGOD: 54, EHEI: 54, EMEO: 54, ETYW: 54, EUNP: 54,
+	EWMA: 54, EXTO: 54, FEFO: 54, FELI: 54, FENE: 54, FHAS: 54, FSHO: 54, FWEL: 54, GAFT: 54, GANO: 54,
+	GASW: 54, GJOB: 54, GOFH: 54, GOFI: 54, GOFP: 54, HARV: 54, HOBE: 54, HOWL: 54, HTOM: 54, HVES: 54,
+	ICKS: 54, ILTY: 54, ILWI: 54, IMAY: 54, INUP: 54, IRAS: 54, IRLE: 54, IROP: 54, IRPU: 54, ITSJ: 54,
+	IZEI: 54, KSHO: 54, KTHR: 54, LALI: 54, LDDI: 54, LDIR: 54, LLJU: 54, LLUP: 54, LSIS: 54, MBEI: 54,
+	MFUL: 54, MPRA: 54, MYPA: 54, NALJ: 54, NDSD: 54, NEFR: 54, NEPA: 54, NESF: 54, NGIF: 54, NKEE: 54,
+	NMAS: 54, NOPA: 54, NRIS: 54, NSEM: 54, NTPL: 54, NUAT: 54, NUNA: 54, OASI: 54, OAWA: 54, OCKY: 54,
+	OENG: 54, OENL: 54, OFDR: 54, OHUN: 54, OMBU: 54, OMEY: 54, OMSE: 54, ONYW: 54, OOTS: 54, ORTD: 54,
+	OTAG: 54, OTHG: 54, PALI: 54, PEEC: 54, PERN: 54, PICK: 54, PINA: 54, PITO: 54, PONR: 54, PPIA: 54,
+	PSED: 54, PTOA: 54, PTOF: 54, RAEL: 54, RDAR: 54, RDSM: 54, RFOO: 54, RHUM: 54, RIHA: 54, RJUD: 54,
+	RKON: 54, RKWH: 54, RSUS: 54, RTWA: 54, RUTA: 54, RYFU: 54, RYPU: 54, SASY: 54, SATW: 54, SDIV: 54,
+	SELD: 54, SEPL: 54, SFLA: 54, SHOM: 54, SHSU: 54, SNUM: 54, SODO: 54, SOSU: 54, SRAE: 54, SROU: 54,
+	SSOS: 54, STAU: 54, SUSI: 54, SYTO: 54, TAFE: 54, TBRO: 54, TCOA: 54, TECI: 54, TEMF: 54, TENM: 54,
+	TFEL: 54, THFA: 54, THMI: 54, TOBS: 54, TOSS: 54, TSPL: 54, TUTO: 54, TWAT: 54, UNLA: 54, URGI: 54,
+	USCR: 54, USOU: 54, UTFE: 54, UTGO: 54, WEDU: 54, WNOU: 54, YAMA: 54, YASC: 54, YBEO: 54, YDRA: 54,
+	YDUE: 54, YMOV: 54, YORA: 54, YSPI: 54, YSUG: 54, YSWH: 54, ADIE: 53, ADSH: 53, AGOF: 53, AHOM: 53,
+	ALKA: 53, ALOC: 53, ANJO: 53, ANRA: 53, APUR: 53, ARDN: 53, ASOV: 53, ASSC: 53, ATEY: 53, ATKI: 53,
+	AVAN: 53, AVYY: 53, CEDR: 53, CHLO: 53, CKWH: 53, CLAW: 53, COOL: 53, CPOW: 53, DAYH: 53, DEOR: 53,
+	DJAC: 53, DLOW: 53, EKST: 53, ELUC: 53, ENCL: 53, ENCU: 53, ERMR: 53, ESJU: 53, EUTE: 53, EWSI: 53,
+	FAFE: 53, FAPA: 53, FAPO: 53, FITH: 53, FOIL: 53, FPAT: 53, GAPR: 53, GASU: 53, GBUS: 53, GLOO: 53,
+	GLYR: 53, GLYS: 53, GRIG: 53, GSHI: 53, GSOU: 53, HAIN: 53, HBET: 53, HGOO: 53, HOLY: 53, HPOL: 53,
+	HTWA: 53, IAMG: 53, IBEG: 53, ICPE: 53, IEUT: 53, IFYA: 53, ILOS: 53, IRDT: 53, IRVA: 53, ISEQ: 53,
+	ITSY: 53, KEEN: 53, KESH: 53, KETW: 53, KITS: 53, LATA: 53, LDGO: 53, LDGR: 53, LDPO: 53, LEOB: 53,
+	LMAI: 53, LQUA: 53, LSSH: 53, LSTU: 53, LTSW: 53, LYNA: 53, LYRA: 53, LYSM: 53, MACE: 53, MALE: 53,
+	MASI: 53, MMUS: 53, NALU: 53, NBAC: 53, NBYM: 53, NDVO: 53, NEAL: 53, NOBE: 53, NORR: 53, NSAY: 53,
+	OADH: 53, ODCI: 53, ODIM: 53, OFUT: 53, ONPL: 53, OPAN: 53, OUTN: 53, PATT: 53, PFRO: 53, POLE: 53,
+	RAMB: 53, RESR: 53, RIDO: 53, RILA: 53, RISN: 53, RNON: 53, RSPO: 53, RTUA: 53, RTYY: 53, RUED: 53,
+	RYBR: 53, SCAM: 53, SFLO: 53, SHET: 53, SHUN: 53, SIMU: 53, SIRO: 53, SKAN: 53, SMEE: 53, SUBT: 53,
+	SUSU: 53, TBYW: 53, TDEB: 53, TEED: 53, TEPU: 53, THLO: 53, TNOP: 53, TOBY: 53, TRIS: 53, TSIF: 53,
+	UEOU: 53, UESH: 53, UGHR: 53, UNST: 53, UWOU: 53, WBEC: 53, WELI: 53, WNOF: 53, WNRE: 53, WONE: 53,
+	WSPA: 53, WTOB: 53, XAST: 53, YATH: 53, YEXA: 53, YFUL: 53, YGOD: 53, YHOL: 53, YIRE: 53, YSIT: 53,
+	YSPO: 53, ZEDO: 53, ADLO: 52, AFAV: 52, ALCL: 52, ARDD: 52, AWSU: 52, BARE: 52, BERG: 52, BRUT: 52,
+	BSIN: 52, CCEL: 52, CHCR: 52, CHTI: 52, CIEP: 52, CIND: 52, CKHO: 52, CTSD: 52, CYRE: 52, DAPE: 52,
+	DARR: 52, DEUR: 52, DEXI: 52, DGOD: 52, DIFA: 52, DSDE: 52, EAWE: 52, EDBI: 52, EEPR: 52, EHEM: 52,
+	EITF: 52, ELFF: 52, ELSS: 52, EMAB: 52, EPSW: 52, ERKN: 52, ESHU: 52, ESNT: 52, ESYE: 52, ESYM: 52,
+	ETAP: 52, FASC: 52, FINJ: 52, FOFM: 52, FQUE: 52, FREM: 52, GALE: 52, GASP: 52, GCHI: 52, GDEF: 52,
+	GGEN: 52, GSUR: 52, HDES: 52, HEIT: 52, HEOA: 52, HEYK: 52, ICSU: 52, IDEH: 52, IEPA: 52, IMMO: 52,
+	IRTA: 52, ISAU: 52, ITFU: 52, IUMO: 52, KINA: 52, KISH: 52, LEEF: 52, LHAN: 52, LHOU: 52, LOBS: 52,
+	LSAF: 52, LSRE: 52, LTFR: 52, LUAT: 52, MBOL: 52, MERP: 52, MNAT: 52, MREC: 52, MRES: 52, MSAT: 52,
+	NALY: 52, NAWH: 52, NCLE: 52, NDIP: 52, NEPO: 52, NICO: 52, NICS: 52, NOTV: 52, NOWY: 52, NTCL: 52,
+	NWEN: 52, NYHA: 52, OCER: 52, ODBE: 52, ODHE: 52, OELI: 52, OLEV: 52, ONIO: 52, OPHI: 52, ORCU: 52,
+	ORJU: 52, OTEW: 52, OTFI: 52, OUCO: 52, OULS: 52, OWMO: 52, PBUT: 52, PEWI: 52, PIAN: 52, PITI: 52,
+	PRIZ: 52, PSAR: 52, PSFO: 52, PTHO: 52, REIF: 52, RGEB: 52, RHOP: 52, RLOW: 52, RMCO: 52, RMUC: 52,
+	RMYH: 52, RMYS: 52, RTSU: 52, RTYB: 52, RYIF: 52, RYOT: 52, SALV: 52, SASR: 52, SBYI: 52, SJUD: 52,
+	SKCO: 52, SLIN: 52, SLIP: 52, SNOA: 52, TBYP: 52, TCAM: 52, TFRA: 52, THFI: 52, THYT: 52, TLOW: 52,
+	TOAW: 52, TOSC: 52, TPAI: 52, TYRI: 52, UBBS: 52, UCKI: 52, UCKT: 52, UDEW: 52, UDYO: 52, UINT: 52,
+	UMEA: 52, URIA: 52, URSP: 52, USIM: 52, USLA: 52, USQU: 52, UTPU: 52, UTWO: 52, VYHA: 52, WEAN: 52,
+	WEEX: 52, WEPA: 52, WINN: 52, WSAR: 52, WTHR: 52, WWAS: 52, WWIL: 52, XEST: 52, YESO: 52, YESS: 52,
+	YETR: 52, YIFW: 52, ADAA: 51, ADLE: 51, AIDU: 51, AKNE: 51, ALNU: 51, AMAD: 51, ANUP: 51, AONT: 51,
+	APAT: 51, APSI: 51, ARIZ: 51, ARKN: 51, ARML: 51, ARPL: 51, ATHW: 51, ATIW: 51, AWAK: 51, AWEA: 51,
+	AYDO: 51, BEEQ: 51, BEOV: 51, CKUP: 51, CLOU: 51, DAFO: 51, DAIN: 51, DATW: 51, DAYM: 51, DFAL: 51,
+	DIDS: 51, DIOU: 51, DLIV: 51, DNOO: 51, DRAN: 51, EBAY: 51, EDTW: 51, EEDH: 51, EEGO: 51, EHAG: 51,
+	EINY: 51, EITN: 51, EIWA: 51, EMUR: 51, ERYU: 51, ERYV: 51, ESMY: 51, ESRA: 51, ETSE: 51, EUSI: 51,
+	EVOI: 51, EWLY: 51, FAMA: 51, FANU: 51, FARS: 51, FDAN: 51, FFAL: 51, FMAS: 51, FOFA: 51, FSOF: 51,
+	FSUS: 51, GARI: 51, GESE: 51, GEVI: 51, GHAD: 51, GHSO: 51, GLAR: 51, GSAT: 51, GSTE: 51, GWHO: 51,
+	HADG: 51, HAVA: 51, HCOR: 51, HEDG: 51, HOLO: 51, HTAG: 51, ICTC: 51, IDIA: 51, IGED: 51, ILER: 51,
+	INRA: 51, IRGR: 51, KENW: 51, KTOW: 51, KWIL: 51, LASP: 51, LAWC: 51, LDHI: 51, LDOT: 51, LFUL: 51,
+	LLPL: 51, LOWN: 51, LVEM: 51, LYBO: 51, MEAB: 51, MEFU: 51, MEUP: 51, MOFL: 51, MSBU: 51, NACA: 51,
+	NCYF: 51, NETW: 51, NHUN: 51, NIAS: 51, NINJ: 51, NLOC: 51, NLYG: 51, NNEI: 51, NNIA: 51, NOCT: 51,
+	NTGE: 51, NYAC: 51, OADF: 51, OAMO: 51, OASA: 51, OFIX: 51, OGYA: 51, OHUM: 51, ONBR: 51, ONIW: 51,
+	ONYE: 51, OODD: 51, OSOU: 51, OTOS: 51, OUFO: 51, OUSU: 51, OWDI: 51, OWLA: 51, OWMU: 51, OWUP: 51,
+	PCOM: 51, PSTA: 51, PUER: 51, RBUD: 51, RCHF: 51, RDNA: 51, RDSS: 51, RENB: 51, REOT: 51, REWT: 51,
+	RGYT: 51, RIOG: 51, RKWE: 51, RLYH: 51, ROTO: 51, ROVO: 51, RSPI: 51, RTYP: 51, SBOD: 51, SBYO: 51,
+	SBYR: 51, SESN: 51, SIWA: 51, SLIB: 51, SOBS: 51, SWAL: 51, SYAN: 51, TAFR: 51, TARA: 51, THAW: 51,
+	THYS: 51, TSAU: 51, TUPT: 51, TVIO: 51, TYNE: 51, UBSC: 51, UNAC: 51, USUR: 51, UYIN: 51, VALT: 51,
+	VEEM: 51, VOWE: 51, VYYA: 51, WEFO: 51, WNFO: 51, WNSA: 51, WNSO: 51, YAID: 51, YBAS: 51, YBEW: 51,
+	YDEE: 51, YDIM: 51, YDOE: 51, YEME: 51, YHON: 51, YINN: 51, YLOS: 51, YTOK: 51, ABAT: 50, ABOD: 50,
+	ACHB: 50, ACUT: 50, ADUL: 50, ADWA: 50, ADYR: 50, AILF: 50, AMUC: 50, ANAW: 50, ANTV: 50, APEN: 50,
+	ASMY: 50, ATID: 50, BEDU: 50, BLYR: 50, BORM: 50, BYAG: 50, BYPU: 50, CART: 50, CBUI: 50, CDEV: 50,
+	CETA: 50, CFUN: 50, CHUS: 50, CKAG: 50, CKSW: 50, CONJ: 50, CROA: 50, CTAM: 50, DATS: 50, DBOA: 50,
+	DHOM: 50, DICO: 50, DIRR: 50, DLOS: 50, DMEM: 50, DPOP: 50, DUER: 50, DUNF: 50, EDAV: 50, EDIH: 50,
+	ELAC: 50, ELPL: 50, ELWI: 50, ESEU: 50, ESSV: 50, ETOV: 50, EUNR: 50, EWDA: 50, EWWH: 50, FBON: 50,
+	FICD: 50, FITN: 50, FVIO: 50, GAPA: 50, GCOS: 50, GEDC: 50, GEFR: 50, GETE: 50, GLEI: 50, GPOL: 50,
+	GSER: 50, HBOT: 50, HEXT: 50, HEYV: 50, HJUS: 50, HTCO: 50, HUMP: 50, IDSA: 50, IEDH: 50, IESG: 50,
+	IEWA: 50, IFTT: 50, ILEH: 50, IMFO: 50, IMSU: 50, INKL: 50, ISHH: 50, ISUR: 50, KEME: 50, KERO: 50,
+	KINS: 50, LCOL: 50, LEMU: 50, LERK: 50, LFDE: 50, LLBA: 50, LLRI: 50, LLUD: 50, LPAN: 50, LPLE: 50,
+	LSEL: 50, LVAN: 50, LYCE: 50, LYGI: 50, MBEN: 50, MEBA: 50, MEGR: 50, MELO: 50, MEMI: 50, MEQU: 50,
+	MICF: 50, MINS: 50, MSBE: 50, MYWH: 50, NCAU: 50, NEMB: 50, NLAT: 50, NQUA: 50, NUTI: 50, NYNE: 50,
+	OBUY: 50, OCOV: 50, OFVO: 50, OISO: 50, OLIM: 50, OMAM: 50, OOST: 50, OPEH: 50, OPTA: 50, ORKC: 50,
+	ORTN: 50, OSIG: 50, OTOB: 50, OVEP: 50, OWPA: 50, OWYO: 50, PEDE: 50, PTAS: 50, RACL: 50, RASO: 50,
+	RDIR: 50, RDWA: 50, REAA: 50, RENV: 50, RERT: 50, RIBB: 50, ROAR: 50, RTHU: 50, RUNK: 50, RVEL: 50,
+	RYQU: 50, RYUP: 50, SAFI: 50, SAFU: 50, SAQU: 50, SAWI: 50, SFAT: 50, SHNE: 50, SIWO: 50, SLAU: 50,
+	SLID: 50, SOWH: 50, SSOP: 50, STYT: 50, SUAD: 50, SUNE: 50, SWAN: 50, TBYM: 50, TCHW: 50, TEWO: 50,
+	TFEA: 50, TNOA: 50, TSRI: 50, UAIN: 50, UCEI: 50, UESS: 50, UGEE: 50, ULWO: 50, USMO: 50, USNA: 50,
+	USPA: 50, VEMU: 50, VIED: 50, VILD: 50, WAYH: 50, WBEE: 50, WNBE: 50, WNHO: 50, WOFI: 50, YAVO: 50,
+	YDOW: 50, YENO: 50, YFEW: 50, YMIS: 50, YOUV: 50, YSGO: 50, YTRI: 50,
+};
@@ -1,7 +1,12 @@
 import { Scorer } from './scorer.js';
 import { HillClimb } from './hillclimb.js';
 import { SimulatedAnnealing } from './simulated-annealing.js';
+import { HomophonicSolver } from './homophonic-solver.js';
+import { KeySquare } from './key-square.js';
 import Shift from '../ciphers/shift/shift.js';
+import Homophonic from '../ciphers/dictionary/homophonic.js';
+import { TEST_TEXTS } from '../attacks/tests/common/test-texts.js';
+import { seeded } from '../attacks/tests/common/seeded.js';
 
 // Helper function to calculate similarity between two strings
 function calculateSimilarity(str1, str2) {
@@ -29,6 +34,17 @@ describe('Heuristic Search Engines', () => {
             // English should score better than random (even if marginally)
             expect(englishScore - randomScore).toBeGreaterThan(0.1); // At least 0.1 point difference
         });
+
+        it('should use the n-gram table matching the requested length', () => {
+            const bigrams = new Scorer('english', 2);
+            const trigrams = new Scorer('english', 3);
+
+            expect(bigrams.model.n).toBe(2);
+            expect(trigrams.model.n).toBe(3);
+            expect(bigrams.score('THEREANDTHEN')).toBeGreaterThan(bigrams.score('QXZWPLKMJNHB'));
+            expect(trigrams.score('THEANDTHE')).toBeGreaterThan(trigrams.score('QXZWPLKMJ'));
+            expect(() => new Scorer('english', 5)).toThrow('Unsupported n-gram length');
+        });
         
         it('should create a random key with all 26 letters', () => {
             const key = Scorer.randomKey();
@@ -83,6 +99,67 @@ describe('Heuristic Search Engines', () => {
         });
     });
     
+    describe('Scorer (corpus tables)', () => {
+        const scorer = new Scorer('english', 4, { corpus: true });
+        const letters = text => text.toUpperCase().replace(/[^A-Z]/g, '');
+        const shuffle = (text, random) => {
+            const shuffled = text.split('');
+            for (let i = shuffled.length - 1; i > 0; i--) {
+                const j = Math.floor(random() * (i + 1));
+                [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+            }
+            return shuffled.join('');
+        };
+
+        it('should score every quadgram, the rare ones above the impossible ones', () => {
+            expect(scorer.total('TION')).toBeGreaterThan(scorer.total('RHYT'));
+            expect(scorer.total('RHYT')).toBeGreaterThan(scorer.total('QZXJ'));
+            expect(scorer.total('ZQXJ')).toBeGreaterThan(scorer.floor - 1e-6);
+            expect(scorer.total('THATHE')).toBeCloseTo(scorer.total('THAT') + scorer.total('HATH') + scorer.total('ATHE'), 5);
+        });
+
+        it('should average the table in score and quality', () => {
+            const text = letters(TEST_TEXTS.english.medium);
+
+            expect(scorer.score(text)).toBeCloseTo(scorer.total(text) / (text.length - 3), 5);
+            expect(scorer.score('The cat')).toBe(scorer.score('THECAT'));
+            expect(scorer.score('THE')).toBe(scorer.floor);
+            expect(scorer.quality('THE')).toBe(0);
+        });
+
+        it('should calibrate the confidence between English and the same letters shuffled', () => {
+            const random = seeded(7);
+            for (const text of [TEST_TEXTS.english.medium, TEST_TEXTS.english.long]) {
+                const plain = letters(text);
+                expect(scorer.quality(plain)).toBeGreaterThan(0.8);
+                expect(scorer.confidence(plain)).toBe(0.9);
+
+                for (let i = 0; i < 5; i++) {
+                    const shuffled = shuffle(plain, random);
+                    expect(scorer.quality(shuffled)).toBeLessThan(0.6);
+                    expect(scorer.confidence(shuffled)).toBe(0.3);
+                }
+            }
+        });
+
+        it('should give random letters a quality around 0', () => {
+            const random = seeded(11);
+            const text = Array.from({ length: 300 }, () => String.fromCharCode(65 + Math.floor(random() * 26))).join('');
+
+            expect(Math.abs(scorer.quality(text))).toBeLessThan(0.15);
+            expect(scorer.confidence(text)).toBe(0.3);
+        });
+
+        it('should fall back to the frequency tables of the other languages', () => {
+            const spanish = new Scorer('spanish', 4, { corpus: true });
+            const text = letters(TEST_TEXTS.spanish.long);
+
+            expect(spanish.total('CION')).toBeGreaterThan(spanish.total('QZXJ'));
+            expect(spanish.quality(text)).toBeGreaterThan(spanish.quality(shuffle(text, seeded(3))));
+            expect(() => new Scorer('klingon', 4, { corpus: true })).toThrow('Unsupported language');
+        });
+    });
+
     describe('Hill Climbing', () => {
         it('should decrypt a simple substitution cipher', () => {
             // Use a longer, more realistic plaintext
@@ -109,6 +186,28 @@ describe('Heuristic Search Engines', () => {
             expect(result.score).toBeLessThan(-2); // Not perfect, but better than random
         }, 60000); // 60s timeout
         
+        it('should start from a frequency key that holds every letter', () => {
+            // 17 letters only: the 9 missing ones still get a plaintext letter each
+            const key = Scorer.frequencyKey('EEEEAAAOOOSSRRNIDLCTUMPBGVY', 'italian');
+
+            expect(Object.values(key).sort().join('')).toBe('ABCDEFGHIJKLMNOPQRSTUVWXYZ');
+            expect(key.E).toBe('E');
+        });
+
+        it('should recover a substitution with kicks out of the local maxima', () => {
+            const plaintext = TEST_TEXTS.english.long.replace(/[^A-Z]/g, '');
+            const ciphertext = new Scorer('english').applyKey(plaintext, Scorer.randomKey(seeded(4)));
+            const solver = new HillClimb('english', { corpus: true });
+            const options = { initMethod: 'random', useDictionary: false, random: seeded(3) };
+
+            const climbed = solver.solve(ciphertext, options);
+            const kicked = solver.solve(ciphertext, { ...options, random: seeded(3), perturbations: 10 });
+
+            expect(kicked.score).toBeGreaterThanOrEqual(climbed.score);
+            expect(kicked.plaintext).toBe(plaintext);
+            expect(solver.solve(ciphertext, { ...options, random: seeded(3), perturbations: 10 }).key).toEqual(kicked.key);
+        }, 60000);
+
         it('should improve score over iterations', () => {
             const plaintext = 'THE QUICK BROWN FOX JUMPS OVER THE LAZY DOG';
             const caesar = new Shift.CaesarShift(plaintext, 7);
@@ -175,5 +274,142 @@ describe('Heuristic Search Engines', () => {
             expect(results[0].temperature).toBeGreaterThan(results[results.length - 1].temperature);
         }, 30000);
     });
-});
+    
+    describe('Simulated Annealing (generic keys)', () => {
+        it('should anneal any key with the given score and moves', () => {
+            // Find 42 by steps of ±1 from 0
+            let state = 7;
+            const random = () => {
+                state = (state * 1103515245 + 12345) % 2147483648;
+                return state / 2147483648;
+            };
+            const result = SimulatedAnnealing.anneal({
+                key: 0,
+                score: key => 100 - Math.abs(key - 42),
+                neighbour: key => key + (random() < 0.5 ? -1 : 1),
+                maxIterations: 5000,
+                initialTemp: 2,
+                coolingRate: 0.999,
+                random
+            });
+            
+            expect(result.key).toBe(42);
+            expect(result.score).toBe(100);
+            expect(result.iterations).toBeLessThanOrEqual(5000);
+        });
+
+        it('should cool down to the final temperature over all the iterations', () => {
+            const options = { key: 0, score: key => key, neighbour: key => key + 1, initialTemp: 10 };
+
+            // Without a cooling rate, every iteration runs whatever their number
+            expect(SimulatedAnnealing.anneal({ ...options, maxIterations: 200000 }).iterations).toBe(200000);
+            // A faster rate reaches the final temperature first: 10 × 0.9996^n < 0.01 past 17266 iterations
+            const fast = SimulatedAnnealing.anneal({ ...options, maxIterations: 200000, coolingRate: 0.9996 });
+            expect(fast.iterations).toBeGreaterThan(17200);
+            expect(fast.iterations).toBeLessThan(17300);
+            const warm = SimulatedAnnealing.anneal({ ...options, maxIterations: 200000, finalTemp: 1, coolingRate: 0.9996 });
+            expect(warm.iterations).toBeLessThan(fast.iterations);
+        });
+    });
+
+    describe('Key Square', () => {
+        // MONAR / CHYBD / EFGIK / LPQST / UVWXZ
+        const square = KeySquare.fromKeyword('MONARCHY');
+
+        it('should fill the square with the keyword, then the rest of the alphabet', () => {
+            expect(square).toBe('MONARCHYBDEFGIKLPQSTUVWXZ');
+            expect(KeySquare.fromKeyword('jumble')).toBe('IUMBLEACDFGHKNOPQRSTVWXYZ');
+            expect(KeySquare.random(seeded(1)).split('').sort().join('')).toBe(KeySquare.ALPHABET);
+        });
 
+        it('should move to squares of the same 25 letters', () => {
+            const random = seeded(1);
+            let current = square;
+            for (let i = 0; i < 200; i++) {
+                const next = KeySquare.neighbour(current, random);
+                expect(next).not.toBe(current);
+                expect(next.split('').sort().join('')).toBe(KeySquare.ALPHABET);
+                current = next;
+            }
+        });
+
+        it('should swap rows and columns and flip the square', () => {
+            // First number picks the move, the next ones the rows or columns
+            const moves = numbers => {
+                const queue = [...numbers];
+                return () => queue.shift();
+            };
+
+            expect(KeySquare.neighbour(square, moves([0.92, 0, 0]))).toBe('CHYBDMONAREFGIKLPQSTUVWXZ');
+            expect(KeySquare.neighbour(square, moves([0.95, 0, 0]))).toBe('OMNARHCYBDFEGIKPLQSTVUWXZ');
+            expect(KeySquare.neighbour(square, moves([0.965, 0, 0]))).toBe('UVWXZLPQSTEFGIKCHYBDMONAR');
+            expect(KeySquare.neighbour(square, moves([0.975, 0, 0]))).toBe('RANOMDBYHCKIGFETSQPLZXWVU');
+            expect(KeySquare.neighbour(square, moves([0.99, 0, 0]))).toBe('MCELUOHFPVNYGQWABISXRDKTZ');
+        });
+    });
+
+    describe('Homophonic Solver', () => {
+        const plaintext = 'IN CRYPTOGRAPHY A SUBSTITUTION CIPHER IS A METHOD OF ENCRYPTING BY WHICH UNITS OF PLAINTEXT ARE REPLACED WITH CIPHERTEXT ACCORDING TO A FIXED SYSTEM THE UNITS MAY BE SINGLE LETTERS THE MOST COMMON PAIRS OF LETTERS DIGRAMS OR TRIPLETS OF LETTERS TRIGRAMS OR OTHER COMBINATIONS';
+        const key = Homophonic.generateKey({ symbols: Array.from({ length: 40 }, (symbol, i) => `${i + 10}`), random: seeded(1) });
+        const ciphertext = new Homophonic(plaintext, key).encode();
+        
+        it('should assign a letter to every symbol', () => {
+            const solver = new HomophonicSolver('english');
+            const result = solver.solve(ciphertext, { maxIterations: 5000, restarts: 1, random: seeded(2) });
+            const symbols = Homophonic.symbols(ciphertext);
+            
+            expect(result.method).toBe('homophonic-annealing');
+            expect(result.plaintext).toBe(symbols.map(symbol => result.mapping[symbol]).join(''));
+            expect(Object.values(result.key).flat().sort()).toEqual([...new Set(symbols)].sort());
+        }, 60000);
+        
+        it('should score better than a random assignment', () => {
+            const solver = new HomophonicSolver('english');
+            const result = solver.solve(ciphertext, { maxIterations: 10000, restarts: 1, random: seeded(3) });
+            const random = seeded(4);
+            const guess = Homophonic.symbols(ciphertext)
+                .map(() => String.fromCharCode(65 + Math.floor(random() * 26))).join('');
+            
+            expect(result.score).toBeGreaterThan(solver.scorer.score(guess));
+        }, 60000);
+        
+        it('should repeat a run with the same random numbers', () => {
+            const solver = new HomophonicSolver('english');
+            const first = solver.solve(ciphertext, { maxIterations: 2000, restarts: 1, random: seeded(5) });
+            const second = solver.solve(ciphertext, { maxIterations: 2000, restarts: 1, random: seeded(5) });
+            
+            expect(second.mapping).toEqual(first.mapping);
+        }, 60000);
+        
+        it('should recover most letters of a longer ciphertext', () => {
+            const solver = new HomophonicSolver('english');
+            const longCiphertext = new Homophonic(TEST_TEXTS.english.long, key).encode();
+            const letters = TEST_TEXTS.english.long.replace(/[^A-Z]/g, '');
+
+            const result = solver.solve(longCiphertext, { random: seeded(2) });
+            const recovered = [...letters].filter((letter, i) => result.plaintext[i] === letter).length;
+
+            // 334 letters over 40 symbols: the homophones of the rare letters may stay wrong
+            expect(recovered / letters.length).toBeGreaterThan(0.8);
+            expect(result.agreement).toBeGreaterThan(0.85);
+            expect(result.confidence).toBe(0.9);
+        }, 60000);
+
+        it('should not trust runs that disagree', () => {
+            const solver = new HomophonicSolver('english');
+            // 80 symbols for 334 letters: every run finds another decryption
+            const wideKey = Homophonic.generateKey({ symbols: Array.from({ length: 80 }, (symbol, i) => `${i + 10}`), random: seeded(1) });
+            const result = solver.solve(new Homophonic(TEST_TEXTS.english.long, wideKey).encode(), { random: seeded(2) });
+
+            expect(result.agreement).toBeLessThan(0.5);
+            expect(result.confidence).toBe(0.3);
+        }, 60000);
+
+        it('should give up on too few symbols', () => {
+            const result = new HomophonicSolver('english').solve('12 34');
+            
+            expect(result.key).toBeNull();
+            expect(result.plaintext).toBe('');
+        });
+    });
+});
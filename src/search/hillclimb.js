@@ -1,7 +1,11 @@
 import 'regenerator-runtime/runtime';
 import { Scorer } from './scorer.js';
 import { TextUtils } from '../core/text-utils.js';
-import { LanguageAnalysis } from '../analysis/analysis.js';
+import { LanguageAnalysis } from '../analysis/analysis-core.js';
+
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+// Random swaps of a kick out of a local maximum
+const KICK_SWAPS = 3;
 
 /**
  * Hill Climbing algorithm for breaking substitution ciphers.
@@ -12,6 +16,7 @@ import { LanguageAnalysis } from '../analysis/analysis.js';
  * 3. Try all possible swaps of two letters in the key
  * 4. If a swap improves the score, accept it and repeat
  * 5. Stop when no swap improves the score (local maximum)
+ * 6. Optionally kick the key out of it with a few random swaps and climb again (iterated local search)
  * 
  * References:
  * - "Cryptanalysis of Classical Ciphers Using Hill Climbing" (Gaines)
@@ -21,10 +26,14 @@ export class HillClimb {
     /**
      * Creates a Hill Climbing solver.
      * @param {string} language - Target language ('english', 'spanish', etc.)
+     * @param {Object} options
+     * @param {boolean} options.corpus - Score with the corpus quadgram tables, which see every swap, instead
+     *   of the frequency tables (default: false)
      */
-    constructor(language = 'english') {
+    constructor(language = 'english', options = {}) {
+        const { corpus = false } = options;
         this.language = language;
-        this.scorer = new Scorer(language, 4); // Use quadgrams
+        this.scorer = new Scorer(language, 4, { corpus }); // Use quadgrams
     }
     
     /**
@@ -36,6 +45,9 @@ export class HillClimb {
      * @param {number} options.maxIterations - Maximum iterations before giving up (default: 10000).
      * @param {number} options.restarts - Number of random restarts (default: 1).
      * @param {boolean} options.useDictionary - Use dictionary validation in scoring (default: true).
+     * @param {Function} options.random - Numbers in [0, 1) for the random keys and kicks (default: Math.random).
+     * @param {number} options.perturbations - Kicks out of each local maximum, a few random swaps and a new
+     *   climb kept when it scores better (default: 0).
      * @returns {Object} Result object with { plaintext, key, score, iterations }.
      */
     solve(ciphertext, options = {}) {
@@ -43,14 +55,16 @@ export class HillClimb {
             initMethod = 'frequency',
             maxIterations = 10000,
             restarts = 1,
-            useDictionary = true
+            useDictionary = true,
+            random = Math.random,
+            perturbations = 0
         } = options;
         
         let bestResult = null;
         
         // Try multiple restarts to avoid local maxima
         for (let restart = 0; restart < restarts; restart++) {
-            const result = this._singleRun(ciphertext, initMethod, maxIterations, useDictionary);
+            const result = this._singleRun(ciphertext, initMethod, maxIterations, useDictionary, random, perturbations);
             
             if (!bestResult || result.score > bestResult.score) {
                 bestResult = result;
@@ -104,14 +118,47 @@ export class HillClimb {
     }
     
     /**
-     * Single hill climbing run.
+     * Single hill climbing run, kicked out of its local maxima `perturbations` times.
      * @private
      */
-    _singleRun(ciphertext, initMethod, maxIterations, useDictionary = true) {
+    _singleRun(ciphertext, initMethod, maxIterations, useDictionary = true, random = Math.random, perturbations = 0) {
         const cleaned = TextUtils.onlyLetters(ciphertext);
         
         // Initialize key
-        let currentKey = this._initializeKey(cleaned, initMethod);
+        let best = this._climb(cleaned, ciphertext, this._initializeKey(cleaned, initMethod, random), maxIterations, useDictionary);
+        let { iterations } = best;
+        
+        // Kicks: a few random swaps, then a new climb, kept when it ends higher (iterated local search)
+        for (let kick = 0; kick < perturbations; kick++) {
+            let { key } = best;
+            for (let swap = 0; swap < KICK_SWAPS; swap++) {
+                key = Scorer.swapKey(key, ALPHABET[Math.floor(random() * 26)], ALPHABET[Math.floor(random() * 26)]);
+            }
+            const result = this._climb(cleaned, ciphertext, key, maxIterations, useDictionary);
+            iterations += result.iterations;
+            if (result.score > best.score) {
+                best = result;
+            }
+        }
+        
+        const plaintext = this.scorer.applyKey(cleaned, best.key);
+        
+        return {
+            plaintext: plaintext,
+            key: best.key,
+            score: best.score,
+            iterations,
+            method: 'hillclimb'
+        };
+    }
+
+    /**
+     * Climbs from a key until no swap of two letters improves the score.
+     * @private
+     * @returns {{key: Object, score: number, iterations: number}}
+     */
+    _climb(cleaned, ciphertext, key, maxIterations, useDictionary) {
+        let currentKey = key;
         // Use hybrid scoring if dictionary is enabled
         let currentScore = useDictionary 
             ? this._scoreWithDictionary(cleaned, ciphertext, currentKey)
@@ -120,18 +167,16 @@ export class HillClimb {
         let iteration = 0;
         let improved = true;
         
-        const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
-        
         // Main loop: keep improving until stuck
         while (improved && iteration < maxIterations) {
             improved = false;
             iteration++;
             
             // Try all possible swaps
-            for (let i = 0; i < alphabet.length; i++) {
-                for (let j = i + 1; j < alphabet.length; j++) {
-                    const char1 = alphabet[i];
-                    const char2 = alphabet[j];
+            for (let i = 0; i < ALPHABET.length; i++) {
+                for (let j = i + 1; j < ALPHABET.length; j++) {
+                    const char1 = ALPHABET[i];
+                    const char2 = ALPHABET[j];
                     
                     // Swap
                     const newKey = Scorer.swapKey(currentKey, char1, char2);
@@ -152,25 +197,17 @@ export class HillClimb {
             }
         }
         
-        const plaintext = this.scorer.applyKey(cleaned, currentKey);
-        
-        return {
-            plaintext: plaintext,
-            key: currentKey,
-            score: currentScore,
-            iterations: iteration,
-            method: 'hillclimb'
-        };
+        return { key: currentKey, score: currentScore, iterations: iteration };
     }
     
     /**
      * Initializes a key based on the specified method.
      * @private
      */
-    _initializeKey(ciphertext, method) {
+    _initializeKey(ciphertext, method, random = Math.random) {
         switch (method) {
             case 'random':
-                return Scorer.randomKey();
+                return Scorer.randomKey(random);
             case 'frequency':
                 return Scorer.frequencyKey(ciphertext, this.language);
             case 'identity':
@@ -202,8 +239,6 @@ export class HillClimb {
         let iteration = 0;
         let improved = true;
         
-        const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
-        
         // Yield initial state
         yield {
             iteration: 0,
@@ -217,10 +252,10 @@ export class HillClimb {
             improved = false;
             iteration++;
             
-            for (let i = 0; i < alphabet.length; i++) {
-                for (let j = i + 1; j < alphabet.length; j++) {
-                    const char1 = alphabet[i];
-                    const char2 = alphabet[j];
+            for (let i = 0; i < ALPHABET.length; i++) {
+                for (let j = i + 1; j < ALPHABET.length; j++) {
+                    const char1 = ALPHABET[i];
+                    const char2 = ALPHABET[j];
                     
                     const newKey = Scorer.swapKey(currentKey, char1, char2);
                     const newScore = this.scorer.scoreWithKey(cleaned, newKey);
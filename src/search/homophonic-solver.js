@@ -0,0 +1,189 @@
+import 'regenerator-runtime/runtime';
+import { Scorer } from './scorer.js';
+import { SimulatedAnnealing } from './simulated-annealing.js';
+import { LanguageAnalysis } from '../analysis/analysis-core.js';
+import { TextUtils } from '../core/text-utils.js';
+
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const LETTER_WEIGHT = 3;
+// Share of the letters two runs must agree on for the decryption to be trusted
+const AGREEMENT = 0.85;
+
+/**
+ * Simulated Annealing over homophone assignments.
+ *
+ * A homophonic key is not a permutation: several symbols may stand for the same letter, so instead of
+ * swapping two letters of the key, every move gives one symbol another letter (and, now and then, swaps
+ * the letters of two symbols). Moves that lower the score are accepted with probability exp(Δ / T)
+ * while the temperature T cools down, from temperatures given per ciphertext symbol.
+ *
+ * The decryption is scored with the corpus quadgrams of the Scorer plus how well its letter counts fit
+ * the language: with one symbol per letter the counts are fixed, but here they depend on the assignment,
+ * and without that term the search drifts to a few frequent letters. With a free letter for every
+ * symbol, wrong assignments read like the language too (their quadgram quality is close to the right
+ * one's), but they differ from run to run: the confidence comes from how much the two best runs agree, and the
+ * restarts stop as soon as two runs agree. Symbols of rare letters may still come out wrong, and short
+ * texts with many symbols have no single answer.
+ *
+ * References:
+ * - "Efficient Cryptanalysis of Homophonic Substitution Ciphers" (Dhavare, Low and Stamp, 2013)
+ */
+export class HomophonicSolver {
+    /**
+     * Creates a homophonic solver.
+     * @param {string} language - Target language ('english', 'spanish', etc.)
+     */
+    constructor(language = 'english') {
+        this.language = language;
+        this.scorer = new Scorer(language, 4, { corpus: true });
+        const langData = LanguageAnalysis.languages[language] || LanguageAnalysis.languages.english;
+        const monograms = langData.monograms;
+        const total = ALPHABET.split('').reduce((sum, letter) => sum + (monograms[letter] || 0), 0);
+        // log10 of the letter probabilities, the rare missing ones get a small share
+        this.letterLogs = ALPHABET.split('').map(letter => Math.log10(Math.max(monograms[letter] || 0, 0.01) / total));
+    }
+
+    /**
+     * Solves a homophonic substitution cipher.
+     *
+     * @param {string} ciphertext - Cipher symbols (numbers or characters, see TextUtils.symbols).
+     * @param {Object} options - Solver options.
+     * @param {number} options.maxIterations - Moves per run (default: 100000).
+     * @param {number} options.initialTemp - Initial temperature per symbol (default: 0.06).
+     * @param {number} options.finalTemp - Final temperature per symbol (default: 0.004).
+     * @param {number} options.restarts - Most random restarts, 2 at least for a confidence (default: 4).
+     * @param {Function} options.random - Numbers in [0, 1) (default: Math.random).
+     * @returns {Object} Result object with { plaintext, key, mapping, confidence, agreement, score, iterations }.
+     */
+    solve(ciphertext, options = {}) {
+        const {
+            maxIterations = 100000,
+            initialTemp = 0.06,
+            finalTemp = 0.004,
+            restarts = 4,
+            random = Math.random
+        } = options;
+
+        const tokens = TextUtils.symbols(ciphertext);
+        const symbols = [...new Set(tokens)];
+        if (tokens.length < this.scorer.ngramLength) {
+            return {
+                plaintext: '',
+                key: null,
+                mapping: {},
+                confidence: 0,
+                score: this.scorer.model.floor,
+                iterations: 0,
+                method: 'homophonic-annealing'
+            };
+        }
+        const text = tokens.map(symbol => symbols.indexOf(symbol));
+        const decrypt = assignment => text.map(symbol => ALPHABET[assignment[symbol]]).join('');
+
+        // Runs from the best score down
+        const pick = count => Math.floor(random() * count);
+        const runs = [];
+        for (let restart = 0; restart < restarts; restart++) {
+            const result = SimulatedAnnealing.anneal({
+                key: Array.from({ length: symbols.length }, () => pick(ALPHABET.length)),
+                score: assignment => this._score(text, assignment),
+                neighbour: assignment => HomophonicSolver.neighbour(assignment, random),
+                maxIterations,
+                initialTemp: initialTemp * text.length,
+                finalTemp: finalTemp * text.length,
+                random
+            });
+            runs.push({ ...result, plaintext: decrypt(result.key) });
+            runs.sort((a, b) => b.score - a.score);
+            if (runs.length > 1 && HomophonicSolver.agreement(runs[0].plaintext, runs[1].plaintext) >= AGREEMENT) {
+                break;
+            }
+        }
+        const bestResult = runs[0];
+        const agreement = runs.length > 1 ? HomophonicSolver.agreement(runs[0].plaintext, runs[1].plaintext) : 0;
+        let confidence = 0.3;
+        if (agreement >= AGREEMENT) {
+            confidence = 0.9;
+        } else if (agreement >= 0.7) {
+            confidence = 0.75;
+        } else if (agreement >= 0.5) {
+            confidence = 0.55;
+        }
+
+        const mapping = {};
+        const key = {};
+        ALPHABET.split('').forEach(letter => { key[letter] = []; });
+        symbols.forEach((symbol, i) => {
+            mapping[symbol] = ALPHABET[bestResult.key[i]];
+            key[mapping[symbol]].push(symbol);
+        });
+        const { plaintext } = bestResult;
+
+        return {
+            plaintext,
+            key,
+            mapping,
+            confidence: Math.min(confidence, this.scorer.confidence(plaintext)),
+            agreement,
+            score: this.scorer.score(plaintext),
+            iterations: maxIterations,
+            method: 'homophonic-annealing'
+        };
+    }
+
+    /**
+     * Share of the letters two decryptions have in common, position by position.
+     * @param {string} a - Decryption
+     * @param {string} b - Decryption of the same length
+     * @returns {number} From 0 to 1
+     */
+    static agreement(a, b) {
+        let same = 0;
+        for (let i = 0; i < a.length; i++) {
+            if (a[i] === b[i]) same += 1;
+        }
+        return a.length ? same / a.length : 0;
+    }
+
+    /**
+     * An assignment next to the given one: one symbol given another letter or, now and then, the letters
+     * of two symbols swapped.
+     * @param {Array<number>} assignment - Letter index of every symbol
+     * @param {Function} random - Numbers in [0, 1)
+     * @returns {Array<number>} New assignment
+     */
+    static neighbour(assignment, random = Math.random) {
+        const pick = count => Math.floor(random() * count);
+        const candidate = [...assignment];
+        const symbol = pick(assignment.length);
+        if (random() < 0.2) {
+            const other = pick(assignment.length);
+            [candidate[symbol], candidate[other]] = [candidate[other], candidate[symbol]];
+        } else {
+            candidate[symbol] = pick(ALPHABET.length);
+        }
+        return candidate;
+    }
+
+    /**
+     * Trigram log-likelihood plus letter log-likelihood of a decryption.
+     * @private
+     * @param {Array<number>} text - Symbol indexes
+     * @param {Array<number>} assignment - Letter index of every symbol
+     * @returns {number} Total score (higher is better)
+     */
+    _score(text, assignment) {
+        const counts = new Array(ALPHABET.length).fill(0);
+        let plaintext = '';
+        for (let i = 0; i < text.length; i++) {
+            const letter = assignment[text[i]];
+            counts[letter] += 1;
+            plaintext += ALPHABET[letter];
+        }
+        let score = this.scorer.total(plaintext);
+        counts.forEach((count, i) => {
+            if (count) score += LETTER_WEIGHT * count * (this.letterLogs[i] - Math.log10(count / text.length));
+        });
+        return score;
+    }
+}
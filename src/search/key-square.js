@@ -0,0 +1,75 @@
+// Key squares have 25 letters: J is written as I
+const ALPHABET = 'ABCDEFGHIKLMNOPQRSTUVWXYZ';
+
+/**
+ * 5×5 key squares, as the Playfair, Two-Square, Four-Square, Bifid and Nihilist ciphers use them:
+ * 25 letters written row by row. The key searches start from random or keyword squares and move
+ * to neighbouring squares.
+ */
+export class KeySquare {
+    static ALPHABET = ALPHABET;
+
+    /**
+     * A random key square
+     * @param {Function} random - Numbers in [0, 1)
+     * @returns {string} 25 letters
+     */
+    static random(random = Math.random) {
+        const letters = ALPHABET.split('');
+        for (let i = letters.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [letters[i], letters[j]] = [letters[j], letters[i]];
+        }
+        return letters.join('');
+    }
+
+    /**
+     * Key square from a keyword: its letters without repeats, then the rest of the alphabet.
+     * @param {string} keyword - Keyword ('' gives the plain alphabet)
+     * @returns {string} 25 letters
+     */
+    static fromKeyword(keyword = '') {
+        const letters = `${keyword}`.toUpperCase().replace(/J/g, 'I').replace(/[^A-Z]/g, '') + ALPHABET;
+        return [...new Set(letters)].join('');
+    }
+
+    /**
+     * A square next to the given one: mostly two letters swapped, sometimes two rows or columns
+     * swapped or the whole square flipped.
+     * @param {string} square - 25 letters
+     * @param {Function} random - Numbers in [0, 1)
+     * @returns {string} New square
+     */
+    static neighbour(square, random = Math.random) {
+        const cells = square.split('');
+        const pick = count => Math.floor(random() * count);
+        const at = (row, col) => square[row * 5 + col];
+        const move = random();
+        if (move < 0.9) {
+            const i = pick(25);
+            const j = (i + 1 + pick(24)) % 25;
+            [cells[i], cells[j]] = [cells[j], cells[i]];
+            return cells.join('');
+        }
+        const x = pick(5);
+        const y = (x + 1 + pick(4)) % 5;
+        for (let row = 0; row < 5; row++) {
+            for (let col = 0; col < 5; col++) {
+                if (move < 0.93) {
+                    // Swap rows x and y
+                    cells[row * 5 + col] = at(row === x ? y : row === y ? x : row, col);
+                } else if (move < 0.96) {
+                    // Swap columns x and y
+                    cells[row * 5 + col] = at(row, col === x ? y : col === y ? x : col);
+                } else if (move < 0.97) {
+                    cells[row * 5 + col] = at(4 - row, col);
+                } else if (move < 0.98) {
+                    cells[row * 5 + col] = at(row, 4 - col);
+                } else {
+                    cells[row * 5 + col] = at(col, row);
+                }
+            }
+        }
+        return cells.join('');
+    }
+}
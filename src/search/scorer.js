@@ -8,6 +8,37 @@ import frenchData from '../language/models/french.js';
 import germanData from '../language/models/german.js';
 import italianData from '../language/models/italian.js';
 import portugueseData from '../language/models/portuguese.js';
+import {
+    englishTrigramCounts,
+    englishTrigramTotal,
+    englishQuadgramCounts,
+    englishQuadgramTotal
+} from '../language/models/english-corpus.js';
+
+const ALPHABET_SIZE = 26;
+
+// N-gram counts of a general corpus by language (every trigram, the common quadgrams)
+const CORPORA = {
+    english: {
+        trigrams: englishTrigramCounts,
+        trigramTotal: englishTrigramTotal,
+        quadgrams: englishQuadgramCounts,
+        quadgramTotal: englishQuadgramTotal
+    }
+};
+
+// Corpus tables are built once per language and n-gram length
+const corpusTables = {};
+
+// Confidence of a decryption by its quadgram quality (see Scorer.confidence), measured on English from
+// outside the corpus: its windows of 40 to 300 letters score over 0.85 nineteen times in twenty, while
+// shuffled English scores 0.4 (at most 0.67 at 40 letters, 0.52 at 150) and the wrong squares a Playfair
+// annealing stops on 0.45 to 0.55. Near misses, a few letters wrong, land in between.
+const CONFIDENCE_LEVELS = [
+    { above: 0.8, confidence: 0.9 },
+    { above: 0.7, confidence: 0.75 },
+    { above: 0.6, confidence: 0.55 }
+];
 
 /**
  * Optimized scorer for heuristic search algorithms.
@@ -16,6 +47,12 @@ import portugueseData from '../language/models/portuguese.js';
  * Based on the equation:
  * score(T) = Σ log(P(ngram_i))
  * 
+ * With the corpus option, the scorer reads a table of every n-gram instead (english-corpus.js: every
+ * trigram and the common quadgrams of a general corpus, the rarer quadgrams estimated from their
+ * trigrams), so that a rare n-gram scores above an impossible one and the key searches have a slope to
+ * climb. The searches add up `total` for each key they try, and report the `confidence` of the same
+ * table. Languages without corpus counts fall back to their frequency tables.
+ *
  * References:
  * - "Cryptanalysis of Classical Ciphers Using Hill Climbing" (Gaines, adapted)
  * - "An Interactive Cryptanalysis Algorithm for the Vigenère Cipher" (Joux et al.)
@@ -24,9 +61,12 @@ export class Scorer {
     /**
      * Creates a scorer for a specific language.
      * @param {string} language - Language code ('english', 'spanish', etc.)
-     * @param {number} ngramLength - Length of n-grams to use (default: 4 for quadgrams)
+     * @param {number} ngramLength - Length of n-grams to use: 2 (bigrams), 3 (trigrams) or 4 (quadgrams, default)
+     * @param {Object} options
+     * @param {boolean} options.corpus - Score every n-gram from the corpus table (default: false)
      */
-    constructor(language = 'english', ngramLength = 4) {
+    constructor(language = 'english', ngramLength = 4, options = {}) {
+        const { corpus = false } = options;
         this.language = language;
         this.ngramLength = ngramLength;
         
@@ -36,8 +76,24 @@ export class Scorer {
             throw new Error(`Unsupported language: ${language}`);
         }
         
-        // Create N-gram model
-        this.model = new NGramModel(languageData.quadgrams, ngramLength, -10); // Lower floor for better discrimination
+        // Create N-gram model from the table matching the n-gram length
+        const tables = { 2: languageData.bigrams, 3: languageData.trigrams, 4: languageData.quadgrams };
+        const frequencies = tables[ngramLength];
+        if (!frequencies) {
+            throw new Error(`Unsupported n-gram length for ${language}: ${ngramLength}`);
+        }
+        this.model = new NGramModel(frequencies, ngramLength, -10); // Lower floor for better discrimination
+
+        if (corpus) {
+            const key = `${language.toLowerCase()}-${ngramLength}`;
+            if (!corpusTables[key]) {
+                const counts = CORPORA[language.toLowerCase()];
+                corpusTables[key] = counts
+                    ? Scorer._buildCorpusTable(counts, ngramLength)
+                    : Scorer._buildFrequencyTable(frequencies, ngramLength);
+            }
+            Object.assign(this, corpusTables[key]);
+        }
     }
     
     /**
@@ -67,15 +123,61 @@ export class Scorer {
     score(text) {
         const cleaned = TextUtils.onlyLetters(text);
         if (cleaned.length < this.ngramLength) {
-            return this.model.floor; // Very short text
+            return this.table ? this.floor : this.model.floor; // Very short text
         }
         
-        const totalScore = this.model.score(text);
+        const totalScore = this.table ? this.total(cleaned) : this.model.score(text);
         const numNgrams = cleaned.length - this.ngramLength + 1;
         
         return totalScore / numNgrams; // Average score per n-gram
     }
     
+    /**
+     * Sum of the log10 probabilities of the n-grams of a text, from the corpus table: the fitness of the
+     * key searches, which score every key they try.
+     * @param {string} letters - Uppercase letters A-Z only
+     * @returns {number}
+     */
+    total(letters) {
+        const n = this.ngramLength;
+        const size = ALPHABET_SIZE ** n;
+        let sum = 0;
+        let index = 0;
+        for (let i = 0; i < letters.length; i++) {
+            index = (index * ALPHABET_SIZE + letters.charCodeAt(i) - 65) % size;
+            if (i >= n - 1) {
+                sum += this.table[index];
+            }
+        }
+        return sum;
+    }
+
+    /**
+     * Average n-gram of a text on the corpus table, from random letters (0) to the corpus itself (1),
+     * whatever the length of the text.
+     * @param {string} text - Text (letters only are scored)
+     * @returns {number} Quality, 0 for texts shorter than an n-gram
+     */
+    quality(text) {
+        const letters = TextUtils.onlyLetters(text);
+        if (letters.length < this.ngramLength) {
+            return 0;
+        }
+        const average = this.total(letters) / (letters.length - this.ngramLength + 1);
+        return (average - this.random) / (this.expected - this.random);
+    }
+
+    /**
+     * Solver confidence from the quality of a decryption (see CONFIDENCE_LEVELS).
+     * @param {string} text - Decrypted text
+     * @returns {number} 0.9, 0.75, 0.55 or 0.3
+     */
+    confidence(text) {
+        const quality = this.quality(text);
+        const level = CONFIDENCE_LEVELS.find(({ above }) => quality > above);
+        return level ? level.confidence : 0.3;
+    }
+
     /**
      * Scores a text after applying a substitution key.
      * This is optimized for hill climbing where we repeatedly apply different keys.
@@ -107,11 +209,16 @@ export class Scorer {
     
     /**
      * Creates a random substitution key (permutation of the alphabet).
+     * @param {Function} random - Numbers in [0, 1) (default: Math.random)
      * @returns {Object} A random key mapping.
      */
-    static randomKey() {
+    static randomKey(random = Math.random) {
         const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('');
-        const shuffled = [...alphabet].sort(() => Math.random() - 0.5);
+        const shuffled = [...alphabet];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
         
         const key = {};
         for (let i = 0; i < alphabet.length; i++) {
@@ -163,21 +270,21 @@ export class Scorer {
             'portuguese': 'AEOSIRNMTDULCPVGQBFHJZXYKW'
         };
         
-        const plaintextFreq = langFreq[language.toLowerCase()] || langFreq['english'];
+        // Every letter A-Z once: the letters missing from the order come last
+        const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+        const order = (langFreq[language.toLowerCase()] || langFreq['english']).replace(/[^A-Z]/g, '');
+        const plaintextFreq = order + alphabet.replace(new RegExp(`[${order}]`, 'g'), '');
         
-        // Create mapping
+        // Create mapping: the letters missing from the ciphertext get the rarest letters, so that the key
+        // stays a permutation and a swap can bring every letter in
         const key = {};
-        for (let i = 0; i < cipherFreq.length; i++) {
-            key[cipherFreq[i]] = plaintextFreq[i] || plaintextFreq[plaintextFreq.length - 1];
-        }
-        
-        // Fill in missing letters with identity
-        const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
-        for (const char of alphabet) {
-            if (!key[char]) {
-                key[char] = char;
+        const cipherOrder = cipherFreq.filter(char => alphabet.includes(char));
+        alphabet.split('').forEach(char => {
+            if (!cipherOrder.includes(char)) {
+                cipherOrder.push(char);
             }
-        }
+        });
+        cipherOrder.forEach((char, i) => { key[char] = plaintextFreq[i]; });
         
         return key;
     }
@@ -197,6 +304,101 @@ export class Scorer {
         return newKey;
     }
     
+    /**
+     * Builds the log10 table of a corpus, index (a * 26 + b) * 26 + c for the trigram abc (and so on).
+     * Trigrams come with their count, half an occurrence for the ones never seen; bigrams are the starts
+     * of the trigrams. The quadgrams left out of the counts get their trigram estimate P(abc) P(d | bc),
+     * kept under the rarest quadgram counted.
+     * Also returns the floor, the expected n-gram of the corpus and that of random letters (every cell
+     * equally likely).
+     * @private
+     */
+    static _buildCorpusTable(corpus, n) {
+        const cells = ALPHABET_SIZE ** n;
+        const indexOf = ngram => [...ngram].reduce((value, letter) => value * ALPHABET_SIZE + letter.charCodeAt(0) - 65, 0);
+
+        const trigrams = new Float64Array(ALPHABET_SIZE ** 3).fill(0.5 / corpus.trigramTotal);
+        Object.keys(corpus.trigrams).forEach(trigram => {
+            trigrams[indexOf(trigram)] = corpus.trigrams[trigram] / corpus.trigramTotal;
+        });
+        const bigrams = new Float64Array(ALPHABET_SIZE ** 2);
+        trigrams.forEach((p, index) => { bigrams[Math.floor(index / ALPHABET_SIZE)] += p; });
+
+        const probabilities = new Float64Array(cells);
+        const counted = new Uint8Array(cells);
+        if (n === 2) {
+            probabilities.set(bigrams);
+            counted.fill(1);
+        } else if (n === 3) {
+            probabilities.set(trigrams);
+            counted.fill(1);
+        } else if (n === 4) {
+            const rarest = Math.min(...Object.values(corpus.quadgrams)) / corpus.quadgramTotal;
+            for (let index = 0; index < cells; index++) {
+                const bc = Math.floor(index / ALPHABET_SIZE) % (ALPHABET_SIZE ** 2);
+                const estimate = trigrams[Math.floor(index / ALPHABET_SIZE)] * trigrams[index % (ALPHABET_SIZE ** 3)] / bigrams[bc];
+                probabilities[index] = Math.min(estimate, rarest);
+            }
+            Object.keys(corpus.quadgrams).forEach(quadgram => {
+                const index = indexOf(quadgram);
+                probabilities[index] = corpus.quadgrams[quadgram] / corpus.quadgramTotal;
+                counted[index] = 1;
+            });
+        } else {
+            throw new Error(`Unsupported n-gram length for the corpus: ${n}`);
+        }
+
+        // Expected n-gram of the corpus: the n-grams left out share what the counted ones leave
+        const table = new Float32Array(cells);
+        let countedMass = 0;
+        let countedSum = 0;
+        let estimatedMass = 0;
+        let estimatedSum = 0;
+        for (let index = 0; index < cells; index++) {
+            table[index] = Math.log10(probabilities[index]);
+            if (counted[index]) {
+                countedMass += probabilities[index];
+                countedSum += probabilities[index] * table[index];
+            } else {
+                estimatedMass += probabilities[index];
+                estimatedSum += probabilities[index] * table[index];
+            }
+        }
+        const expected = countedSum + (estimatedMass > 0 ? Math.max(0, 1 - countedMass) * estimatedSum / estimatedMass : 0);
+        const random = table.reduce((sum, value) => sum + value, 0) / cells;
+        const floor = table.reduce((min, value) => Math.min(min, value), 0);
+
+        return { table, floor, expected, random };
+    }
+
+    /**
+     * Builds the same table from a frequency table (percentages), for the languages without corpus counts:
+     * the n-grams it leaves out get half the rarest one, so most keys of a search score the floor.
+     * @private
+     */
+    static _buildFrequencyTable(frequencies, n) {
+        const cells = ALPHABET_SIZE ** n;
+        const probabilities = {};
+        Object.keys(frequencies)
+            .filter(ngram => ngram.length === n && /^[A-Z]+$/.test(ngram))
+            .forEach(ngram => { probabilities[ngram] = frequencies[ngram] / 100; });
+        const floor = Math.log10(Math.min(...Object.values(probabilities)) / 2);
+
+        const table = new Float32Array(cells).fill(floor);
+        let seen = 0;
+        let expected = 0;
+        Object.keys(probabilities).forEach(ngram => {
+            const index = [...ngram].reduce((value, letter) => value * ALPHABET_SIZE + letter.charCodeAt(0) - 65, 0);
+            table[index] = Math.log10(probabilities[ngram]);
+            seen += probabilities[ngram];
+            expected += probabilities[ngram] * table[index];
+        });
+        expected += Math.max(0, 1 - seen) * floor;
+        const random = table.reduce((sum, value) => sum + value, 0) / cells;
+
+        return { table, floor, expected, random };
+    }
+
     /**
      * Copies a key.
      * @param {Object} key - The key to copy.
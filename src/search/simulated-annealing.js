@@ -1,7 +1,7 @@
 import 'regenerator-runtime/runtime';
 import { Scorer } from './scorer.js';
 import { TextUtils } from '../core/text-utils.js';
-import { LanguageAnalysis } from '../analysis/analysis.js';
+import { LanguageAnalysis } from '../analysis/analysis-core.js';
 
 /**
  * Simulated Annealing algorithm for breaking substitution ciphers.
@@ -68,6 +68,64 @@ export class SimulatedAnnealing {
         return bestResult;
     }
 
+    /**
+     * Annealing loop for keys that are not letter substitutions (Playfair squares, etc.): the caller
+     * gives the starting key, how to score a key and how to move to a neighbouring one.
+     *
+     * @param {Object} options - Search options.
+     * @param {*} options.key - Starting key.
+     * @param {Function} options.score - Score of a key (higher is better).
+     * @param {Function} options.neighbour - A new key next to the given one (which must not be modified).
+     * @param {number} options.maxIterations - Maximum iterations (default: 50000).
+     * @param {number} options.initialTemp - Initial temperature (default: 20).
+     * @param {number} options.finalTemp - Temperature at which the run stops (default: 0.01).
+     * @param {number} options.coolingRate - Cooling rate per iteration (default: the rate that takes the
+     *   initial temperature down to the final one in maxIterations). With a faster rate, the run stops
+     *   at the final temperature, before maxIterations.
+     * @param {Function} options.random - Numbers in [0, 1) (default: Math.random).
+     * @returns {Object} Best key seen with { key, score, iterations }.
+     */
+    static anneal(options) {
+        const {
+            key,
+            score,
+            neighbour,
+            maxIterations = 50000,
+            initialTemp = 20,
+            finalTemp = 0.01,
+            coolingRate = Math.pow(finalTemp / initialTemp, 1 / maxIterations),
+            random = Math.random
+        } = options;
+
+        let currentKey = key;
+        let currentScore = score(currentKey);
+        let bestKey = currentKey;
+        let bestScore = currentScore;
+        let temperature = initialTemp;
+        let iteration = 0;
+
+        for (; iteration < maxIterations && temperature >= finalTemp; iteration++) {
+            const newKey = neighbour(currentKey);
+            const newScore = score(newKey);
+            const delta = newScore - currentScore;
+
+            // Accept if improvement OR with probability based on temperature
+            if (delta > 0 || random() < Math.exp(delta / temperature)) {
+                currentKey = newKey;
+                currentScore = newScore;
+
+                if (currentScore > bestScore) {
+                    bestKey = currentKey;
+                    bestScore = currentScore;
+                }
+            }
+
+            temperature *= coolingRate;
+        }
+
+        return { key: bestKey, score: bestScore, iterations: iteration };
+    }
+
     /**
      * Scores text using N-gram scoring + dictionary validation (hybrid).
      * @private